@@ -0,0 +1,87 @@
+// scripts/extract-nwb-specs.mjs
+//
+// Tooling (NOT part of the library): generate `src/io/nwb-specs.ts`, the cached
+// NWB schema the NWB writers embed under `/specifications`, from a file written
+// by pynwb. The namespaces listed below are copied verbatim; any others in the
+// source file (e.g. ndx-multisubjects) are skipped. The output is run through
+// biome, so it matches the checked-in file byte for byte.
+//
+// Usage (from repo root):
+//   node scripts/extract-nwb-specs.mjs [nwb=tests/data/nwb/minimal.pose.nwb]
+//   node scripts/extract-nwb-specs.mjs --check   # fail if the file is stale
+//
+// `--check` runs as part of the `check` package script.
+
+import { execFileSync } from "node:child_process";
+import { readFileSync, writeFileSync } from "node:fs";
+import h5wasm from "h5wasm/node";
+
+const args = process.argv.slice(2);
+const CHECK = args.includes("--check");
+const SOURCE =
+  args.find((arg) => !arg.startsWith("--")) ?? "tests/data/nwb/minimal.pose.nwb";
+const OUT = "src/io/nwb-specs.ts";
+const NAMESPACES = ["core", "hdmf-common", "hdmf-experimental", "ndx-pose"];
+
+await h5wasm.ready;
+const file = new h5wasm.File(SOURCE, "r");
+const lines = [];
+for (const name of NAMESPACES) {
+  const namespace = file.get(`specifications/${name}`);
+  if (!namespace) throw new Error(`${SOURCE} has no cached '${name}' spec.`);
+  const [version] = namespace.keys();
+  const group = namespace.get(version);
+  lines.push(`  ${JSON.stringify(name)}: {`);
+  lines.push(`    version: ${JSON.stringify(version)},`);
+  lines.push("    sources: {");
+  for (const source of group.keys()) {
+    const text = group.get(source).value;
+    lines.push(`      ${JSON.stringify(source)}: ${JSON.stringify(text)},`);
+  }
+  lines.push("    },");
+  lines.push("  },");
+}
+file.close();
+
+const text = `/**
+ * Cached NWB schema written under \`/specifications\` by the NWB writers.
+ *
+ * GENERATED FILE: do not edit by hand. Regenerate it with
+ * \`node scripts/extract-nwb-specs.mjs\` from a pynwb-written file
+ * (\`tests/data/nwb/minimal.pose.nwb\`). The \`check\` package script fails when
+ * this file differs from the script's output. Each entry is one namespace
+ * (\`/specifications/<name>/<version>/<source>\`), its sources the JSON text
+ * pynwb caches.
+ *
+ * @internal Not part of the public API.
+ */
+
+/** A cached namespace: its version and the JSON text of each source. */
+export interface CachedNwbNamespace {
+  version: string;
+  sources: Record<string, string>;
+}
+
+/** Namespaces cached in written files, keyed by namespace name. */
+export const NWB_CACHED_SPECS: Record<string, CachedNwbNamespace> = {
+${lines.join("\n")}
+};
+`;
+
+const formatted = execFileSync(
+  "node_modules/.bin/biome",
+  ["format", `--stdin-file-path=${OUT}`],
+  { input: text, encoding: "utf8", maxBuffer: 64 * 1024 * 1024 },
+);
+
+if (CHECK) {
+  if (readFileSync(OUT, "utf8") !== formatted) {
+    console.error(
+      `${OUT} is out of date with ${SOURCE}; ` +
+        "run `node scripts/extract-nwb-specs.mjs` to regenerate it.",
+    );
+    process.exit(1);
+  }
+} else {
+  writeFileSync(OUT, formatted);
+}
@@ -96,14 +96,31 @@ _registerFileWriter(async (filename: string, bytes: Uint8Array) => {
 // node: imports here means the shared h5.ts (and thus the browser bundle) never
 // references Node built-ins.
 _registerNodeFileOps({
-  writeFile: async (filename: string, bytes: Uint8Array) => {
-    const { writeFile } = await import("node:fs/promises");
-    await writeFile(filename, bytes);
+  writeFile: async (
+    filename: string,
+    bytes: Uint8Array | Iterable<Uint8Array>,
+  ) => {
+    const { open, writeFile } = await import("node:fs/promises");
+    if (bytes instanceof Uint8Array) {
+      await writeFile(filename, bytes);
+      return;
+    }
+    // Write chunk by chunk, pulling the next one only after the last landed.
+    const handle = await open(filename, "w");
+    try {
+      for (const chunk of bytes) await handle.write(chunk);
+    } finally {
+      await handle.close();
+    }
   },
   fileExists: async (path: string) => {
     const { existsSync } = await import("node:fs");
     return existsSync(path);
   },
+  readFile: async (path: string) => {
+    const { readFile } = await import("node:fs/promises");
+    return new Uint8Array(await readFile(path));
+  },
   readPackageVersion: async () => {
     try {
       const { readFile } = await import("node:fs/promises");
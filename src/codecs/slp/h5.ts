@@ -107,9 +107,10 @@ export function _registerNodeH5(
 // from the Node entry point). They stay null in the browser so this shared,
 // browser-safe module never references Node built-ins (issue #70).
 let _nodeWriteFile:
-  | ((path: string, bytes: Uint8Array) => Promise<void>)
+  | ((path: string, bytes: Uint8Array | Iterable<Uint8Array>) => Promise<void>)
   | null = null;
 let _nodeFileExists: ((path: string) => Promise<boolean>) | null = null;
+let _nodeReadFile: ((path: string) => Promise<Uint8Array>) | null = null;
 let _nodeReadPackageVersion: (() => Promise<string | null>) | null = null;
 
 /**
@@ -119,19 +120,28 @@ let _nodeReadPackageVersion: (() => Promise<string | null>) | null = null;
  * @internal
  */
 export function _registerNodeFileOps(ops: {
-  writeFile: (path: string, bytes: Uint8Array) => Promise<void>;
+  writeFile: (
+    path: string,
+    bytes: Uint8Array | Iterable<Uint8Array>,
+  ) => Promise<void>;
   fileExists: (path: string) => Promise<boolean>;
+  readFile: (path: string) => Promise<Uint8Array>;
   readPackageVersion: () => Promise<string | null>;
 }): void {
   _nodeWriteFile = ops.writeFile;
   _nodeFileExists = ops.fileExists;
+  _nodeReadFile = ops.readFile;
   _nodeReadPackageVersion = ops.readPackageVersion;
 }
 
-/** Write bytes to a path via the Node provider. Throws in the browser. */
+/**
+ * Write bytes to a path via the Node provider. Throws in the browser. An
+ * iterable of chunks is written as it is consumed, so it never has to be held
+ * in memory whole.
+ */
 export async function nodeWriteFile(
   path: string,
-  bytes: Uint8Array,
+  bytes: Uint8Array | Iterable<Uint8Array>,
 ): Promise<void> {
   if (!_nodeWriteFile) {
     throw new Error(
@@ -149,6 +159,16 @@ export async function nodeFileExists(path: string): Promise<boolean | null> {
   return _nodeFileExists ? _nodeFileExists(path) : null;
 }
 
+/** Read a file's bytes via the Node provider. Throws in the browser. */
+export async function nodeReadFile(path: string): Promise<Uint8Array> {
+  if (!_nodeReadFile) {
+    throw new Error(
+      "Reading files by path requires a Node.js environment. Pass the file contents instead.",
+    );
+  }
+  return _nodeReadFile(path);
+}
+
 /** Read the package version via the Node provider, or null if unavailable. */
 export async function nodeReadPackageVersion(): Promise<string | null> {
   return _nodeReadPackageVersion ? _nodeReadPackageVersion() : null;
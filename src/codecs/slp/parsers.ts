@@ -483,6 +483,12 @@ export interface VideoMetadata {
   channelOrder?: string;
   /** Whether video is embedded in the SLP file */
   embedded: boolean;
+  /** Output `[height, width]` of a virtual resize (see `Video.resize`). */
+  resize?: [number, number];
+  /** Resize factor `[sx, sy]` recorded with {@link resize}. */
+  resizeScale?: [number, number];
+  /** Resampling method recorded with {@link resize}. */
+  resizeInterpolation?: string;
   /**
    * Full serialized `source_video` lineage dict (`{ filename?, backend?,
    * source_video? }`) when present in `videos_json` — reconstructed with its
@@ -565,6 +571,11 @@ export function parseVideosMetadata(
       fps: backendMeta.fps as number | undefined,
       channelOrder: backendMeta.channel_order as string | undefined,
       embedded,
+      resize: backendMeta.resize as [number, number] | undefined,
+      resizeScale: backendMeta.resize_scale as [number, number] | undefined,
+      resizeInterpolation: backendMeta.resize_interpolation as
+        | string
+        | undefined,
       sourceVideo: parsed.source_video as Record<string, unknown> | undefined,
     });
   }
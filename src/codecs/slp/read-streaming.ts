@@ -63,9 +63,10 @@ import { Identity } from "../../model/identity.js";
 import { Embedding } from "../../model/embedding.js";
 import { StreamingHdf5VideoBackend } from "../../video/streaming-hdf5-video.js";
 import { CropVideoBackend } from "../../video/crop-backend.js";
+import { ResizeVideoBackend } from "../../video/resize-backend.js";
 import { resolveSourceFrameCount } from "./frame-count.js";
 import type { CropRect } from "../../transform/points.js";
-import type { Fill } from "../../transform/frame.js";
+import type { Fill, ResizeInterpolation } from "../../transform/frame.js";
 
 /**
  * Options for streaming SLP file loading.
@@ -855,7 +856,8 @@ async function readVideosStreaming(
         }
       }
 
-      let videoBackend: typeof backend | CropVideoBackend = backend;
+      let videoBackend: typeof backend | CropVideoBackend | ResizeVideoBackend =
+        backend;
       const backendMetadata: Record<string, unknown> = {
         dataset: datasetPath,
         format,
@@ -898,6 +900,32 @@ async function readVideosStreaming(
         backendMetadata.crop_fill = cropEntry.fill;
       }
 
+      // Resize reconstruction from the videos_json `resize` keys, after the
+      // crop. Mirrors read.ts readVideos.
+      if (meta.resize) {
+        const [rh, rw] = meta.resize;
+        if (openVideos && videoBackend) {
+          videoBackend = ResizeVideoBackend.wrap({
+            inner: videoBackend,
+            size: meta.resize,
+            interpolation: meta.resizeInterpolation as
+              | ResizeInterpolation
+              | undefined,
+          });
+        }
+        const viewShape = backendMetadata.shape as number[] | undefined;
+        if (viewShape && viewShape.length === 4) {
+          if (backendMetadata.source_shape == null) {
+            backendMetadata.source_shape = [...viewShape];
+          }
+          backendMetadata.shape = [viewShape[0], rh, rw, viewShape[3]];
+        }
+        backendMetadata.resize = [rh, rw];
+        backendMetadata.resize_scale = meta.resizeScale ?? null;
+        backendMetadata.resize_interpolation =
+          meta.resizeInterpolation ?? "bilinear";
+      }
+
       // Reconstruct the source_video lineage WITH its recorded shape (and any
       // deeper chain), preferring the authoritative `{group}/source_video` HDF5
       // group for embedded videos and falling back to the nested videos_json
@@ -43,9 +43,10 @@ import {
 import { getFsResolver } from "../../model/matching.js";
 import { isUrl } from "../../io/remote.js";
 import { CropVideoBackend } from "../../video/crop-backend.js";
+import { ResizeVideoBackend } from "../../video/resize-backend.js";
 import { resolveSourceFrameCount } from "./frame-count.js";
 import type { CropRect } from "../../transform/points.js";
-import type { Fill } from "../../transform/frame.js";
+import type { Fill, ResizeInterpolation } from "../../transform/frame.js";
 import {
   Camera,
   CameraGroup,
@@ -998,6 +999,12 @@ async function readVideos(
             channelOrder,
             shape,
             fps: backendMeta.fps,
+            // TIFF stack planes recorded by `loadVideo` (see main.ts).
+            axis: backendMeta.axis,
+            t: backendMeta.t,
+            z: backendMeta.z,
+            c: backendMeta.c,
+            intensityRange: backendMeta.intensity_range,
             // Persist the remote `.slp` auth headers onto remote/embedded video
             // backends so reopens / existence probes stay authenticated. The
             // factory only uses them for URL-backed backends; embedded/local
@@ -1006,7 +1013,7 @@ async function readVideos(
           });
         } catch (err) {
           // Resilient load: a single video whose backend can't be built — an
-          // image-sequence with missing files, an unsupported `.avi`/`.mpeg`, or
+          // image-sequence with missing files, an unsupported `.mpeg`, or
           // a decode failure — must NOT abort the whole project load. Leave the
           // backend null and record the reason so the consumer can show an
           // actionable message / resolver instead of the load throwing.
@@ -1090,6 +1097,35 @@ async function readVideos(
       backendMetadata.crop_fill = cropEntry.fill;
     }
 
+    // Resize reconstruction: videos_json keeps the `resize` keys written by
+    // Video.resize. Wrap the (possibly cropped) backend and report the resized
+    // shape, keeping the full-frame shape as source_shape.
+    const resizeSize = backendMeta.resize as [number, number] | undefined;
+    if (resizeSize) {
+      if (openVideos && backend) {
+        backend = ResizeVideoBackend.wrap({
+          inner: backend,
+          size: resizeSize,
+          interpolation: backendMeta.resize_interpolation as
+            | ResizeInterpolation
+            | undefined,
+        });
+      }
+      backendMetadata = { ...backendMetadata };
+      const viewShape = backendMetadata.shape as number[] | undefined;
+      if (viewShape && viewShape.length === 4) {
+        if (backendMetadata.source_shape == null) {
+          backendMetadata.source_shape = [...viewShape];
+        }
+        backendMetadata.shape = [
+          viewShape[0],
+          resizeSize[0],
+          resizeSize[1],
+          viewShape[3],
+        ];
+      }
+    }
+
     const video = new Video({
       filename,
       backend,
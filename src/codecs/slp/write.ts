@@ -12,6 +12,8 @@ import type { Skeleton } from "../../model/skeleton.js";
 import { SuggestionFrame } from "../../model/suggestions.js";
 import type { Video } from "../../model/video.js";
 import { CropVideoBackend } from "../../video/crop-backend.js";
+import { GrayscaleVideoBackend } from "../../video/grayscale-backend.js";
+import { ResizeVideoBackend } from "../../video/resize-backend.js";
 import {
   encodeBitmapToPng,
   encodeImageDataToPng,
@@ -2054,11 +2056,19 @@ function serializeSkeletons(skeletons: Skeleton[]): {
   return { skeletons: serialized, nodes };
 }
 
+/** `videos_json` backend keys recording a virtual resize (see `Video.resize`). */
+const RESIZE_KEYS = ["resize", "resize_scale", "resize_interpolation"];
+
 function writeVideos(file: any, videos: Video[]): void {
   const payload = videos.map((video) => JSON.stringify(serializeVideo(video)));
   file.create_dataset({ name: "videos_json", data: payload });
 }
 
+/** `backend` without its outermost grayscale layer, if any. */
+function unwrapGrayscale(backend: Video["backend"]): Video["backend"] {
+  return backend instanceof GrayscaleVideoBackend ? backend.inner : backend;
+}
+
 function serializeVideo(video: Video): Record<string, unknown> {
   const backend = { ...(video.backendMetadata ?? {}) } as Record<
     string,
@@ -2080,9 +2090,18 @@ function serializeVideo(video: Video): Record<string, unknown> {
   // videos_json describes the full frame and old readers never hit an unknown
   // wrapper type. The crop rides /video_crops (see writeVideoCrops); it must NOT
   // enter videos_json. Port of Python video_to_dict (slp.py:503-580).
-  const liveBackend = video.backend;
-  if (liveBackend instanceof CropVideoBackend) {
-    const inner = liveBackend.inner;
+  //
+  // A resize layer on top (Resize(Crop(raw))) is unwrapped the same way: its
+  // resize/resize_scale/resize_interpolation keys stay in videos_json and are
+  // re-applied on read, while shape describes the full source frame. Any
+  // grayscale layer sits outermost (Grayscale(Resize(Crop(raw)))) and is
+  // peeled first; it is recorded by the `grayscale` key.
+  const liveBackend = unwrapGrayscale(video.backend);
+  const resizeLayer =
+    liveBackend instanceof ResizeVideoBackend ? liveBackend : null;
+  const unresized = resizeLayer ? resizeLayer.inner : liveBackend;
+  if (unresized instanceof CropVideoBackend) {
+    const inner = unresized.inner;
     if (inner instanceof CropVideoBackend) {
       // A nested (un-flattened) crop-of-crop can't be represented by the
       // single-crop-per-video /video_crops schema. wrap() only nests when fills
@@ -2102,24 +2121,37 @@ function serializeVideo(video: Video): Record<string, unknown> {
     else delete backend.shape;
     if (inner.dataset != null) backend.dataset = inner.dataset;
     if (inner.fps != null) backend.fps = inner.fps;
-  } else if (liveBackend == null && "crop" in backend) {
-    // Closed cropped path: backendMetadata carries the CROPPED shape plus a crop
-    // record. Restore the UNCROPPED source shape so videos_json describes the
-    // full frame; refuse to emit a self-inconsistent entry when unavailable.
+  } else if (
+    liveBackend == null &&
+    ("crop" in backend || "resize" in backend)
+  ) {
+    // Closed cropped/resized path: backendMetadata carries the VIEW shape plus
+    // a crop/resize record. Restore the source shape so videos_json describes
+    // the full frame; refuse to emit a self-inconsistent entry when unavailable.
+    // A resize's sourceVideo is the unresized (possibly cropped) view, so only
+    // its recorded source_shape describes the full frame.
     let srcShape: number[] | null = null;
-    if (video.sourceVideo?.shape != null) {
+    if (video.sourceVideo?.shape != null && !("resize" in backend)) {
       srcShape = [...video.sourceVideo.shape];
     } else if (backend.source_shape != null) {
       srcShape = [...(backend.source_shape as number[])];
     }
     if (srcShape == null) {
       throw new Error(
-        "Cannot serialize closed cropped video: the uncropped source shape is " +
+        "Cannot serialize closed cropped/resized video: the source shape is " +
           "unavailable (no source_video and no recorded source_shape), so " +
           "videos_json cannot describe the full frame.",
       );
     }
     backend.shape = srcShape;
+  } else if (resizeLayer) {
+    // Resized, uncropped: serialize the inner's full-frame shape/dataset/fps.
+    const innerShape =
+      unresized?.shape ?? (backend.source_shape as number[] | undefined);
+    if (innerShape != null) backend.shape = [...innerShape];
+    else delete backend.shape;
+    if (unresized?.dataset != null) backend.dataset = unresized.dataset;
+    if (unresized?.fps != null) backend.fps = unresized.fps;
   } else {
     if (backend.dataset == null && liveBackend?.dataset)
       backend.dataset = liveBackend.dataset;
@@ -2129,6 +2161,13 @@ function serializeVideo(video: Video): Record<string, unknown> {
       backend.fps = liveBackend.fps;
   }
 
+  // An open resize is authoritative over any copied metadata.
+  if (resizeLayer) {
+    backend.resize = [...resizeLayer.size];
+    backend.resize_scale = resizeLayer.scale ?? backend.resize_scale ?? null;
+    backend.resize_interpolation = resizeLayer.interpolation;
+  }
+
   // Strip crop keys from videos_json regardless of path (they ride /video_crops).
   delete backend.crop;
   delete backend.crop_fill;
@@ -3933,16 +3972,23 @@ function writeEmbeddedVideosJson(
       };
       // For a cropped video, videos_json must describe the UNCROPPED inner frame
       // (the crop rides /video_crops and is re-applied once on read); read the
-      // shape/fps from the inner backend, not the cropped facade.
+      // shape/fps from the inner backend, not the cropped facade. A resize
+      // layer (under any grayscale layer) is peeled first and its keys carried
+      // over for the same reason.
+      const live = unwrapGrayscale(video.backend);
+      const unresized = live instanceof ResizeVideoBackend ? live.inner : live;
       const inner =
-        video.backend instanceof CropVideoBackend
-          ? video.backend.inner
-          : video.backend;
+        unresized instanceof CropVideoBackend ? unresized.inner : unresized;
       const innerShape =
         inner?.shape ??
         (video.backendMetadata?.source_shape as number[] | undefined);
       if (innerShape) backend.shape = innerShape;
       if (inner?.fps != null) backend.fps = inner.fps;
+      for (const key of RESIZE_KEYS) {
+        if (video.backendMetadata?.[key] != null) {
+          backend[key] = video.backendMetadata[key];
+        }
+      }
 
       const outEntry: Record<string, unknown> = {
         filename: ".",
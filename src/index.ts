@@ -5,7 +5,7 @@ import "./codecs/slp/h5-node.js";
 // Register the Node `fs`-backed default resolver for merge/matching video
 // file-identity checks (kept out of the browser-reachable graph; issue #70).
 import "./model/node-fs-resolver.js";
-// Register the Node `fs`-backed byte source for reading .seq files from a path.
+// Register the Node `fs`-backed byte source for .seq/.avi/.tif/.zip paths.
 import "./video/seq-node.js";
 // Register the Node `fs`-backed TIFF reader for loadLabelImages() path inputs.
 import "./io/label-images-node.js";
@@ -50,6 +50,11 @@ export {
   getImageBytesReader,
   type ImageBytesReader,
 } from "./video/image-source.js";
+export {
+  ZipImageSource,
+  globToRegExp,
+  type ZipImageSourceOptions,
+} from "./video/zip-image-source.js";
 export {
   resolveVideoSource,
   videoPathCandidates,
@@ -71,8 +76,16 @@ export {
   SeqHeader,
   SeqIndex,
   BlobByteSource,
+  RangeByteSource,
   type ByteSource,
 } from "./video/seq-video.js";
+export { AviVideoBackend, AviHeader, AviIndex } from "./video/avi-video.js";
+export {
+  TiffStackVideoBackend,
+  parseStackAxes,
+  type TiffStackAxes,
+  type TiffStackOptions,
+} from "./video/tiff-video.js";
 export {
   createVideoBackend,
   UnsupportedVideoFormatError,
@@ -88,6 +101,10 @@ export {
   GrayscaleVideoBackend,
   type GrayscaleWrapOptions,
 } from "./video/grayscale-backend.js";
+export {
+  ResizeVideoBackend,
+  type ResizeWrapOptions,
+} from "./video/resize-backend.js";
 export * from "./io/main.js";
 export * from "./io/remote.js";
 export {
@@ -99,11 +116,21 @@ export {
 } from "./io/gdrive.js";
 export * from "./io/geojson.js";
 export * from "./io/trackmate.js";
+export * from "./io/trackmate-xml.js";
 export * from "./io/ultralytics.js";
 export * from "./io/coco.js";
 export * from "./io/coco-node.js";
 export * from "./io/jabs.js";
+export * from "./io/leap.js";
+export * from "./io/labels-json.js";
+export * from "./io/npz.js";
+export * from "./io/arrow.js";
 export * from "./io/dlc-node.js";
+export * from "./io/labelstudio.js";
+export * from "./io/labelstudio-node.js";
+export * from "./io/cvat.js";
+export * from "./io/cvat-node.js";
+export * from "./io/formats.js";
 export * from "./codecs/dictionary.js";
 export * from "./codecs/numpy.js";
 export * from "./codecs/skeleton-yaml.js";
@@ -172,3 +199,45 @@ export {
   setFsResolver,
   type FsResolver,
 } from "./model/matching.js";
+export { linearSumAssignment } from "./model/assignment.js";
+export { Tracker, type TrackerOptions } from "./model/tracking.js";
+export {
+  interpolateTrackGaps,
+  type InterpolateTracksOptions,
+  type InterpolationMethod,
+  type InterpolationResult,
+} from "./model/interpolation.js";
+export {
+  smoothTrajectories,
+  medianFilter,
+  savgolFilter,
+  exponentialFilter,
+  kalmanFilter,
+  type SmoothingMethod,
+  type SmoothingOptions,
+} from "./model/smoothing.js";
+export {
+  trackTrajectories,
+  nodeVelocities,
+  nodeSpeeds,
+  nodeAccelerations,
+  nodeDistances,
+  jointAngles,
+  headings,
+  interAnimalDistances,
+  type TrackKey,
+  type TrackFeatures,
+  type KinematicsOptions,
+  type TrajectoryOptions,
+  type NodePair,
+  type EdgeRef,
+  type InterAnimalDistances,
+} from "./model/kinematics.js";
+export {
+  evaluatePredictions,
+  type EvaluationOptions,
+  type EvaluationMatch,
+  type EvaluationResult,
+  type NodeErrorStats,
+  type UnmatchedInstance,
+} from "./model/evaluation.js";
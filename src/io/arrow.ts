@@ -0,0 +1,677 @@
+/**
+ * Long-format pose export as Apache Arrow IPC (Feather v2).
+ *
+ * One row per (video, frame, track, instance, node), the tidy layout that
+ * DuckDB, Polars and pandas (`pyarrow.feather.read_table`) read directly:
+ *
+ * | column | Arrow type | |
+ * | --- | --- | --- |
+ * | `video` | dictionary<int32, utf8> | video filename |
+ * | `frame_idx` | int32 | |
+ * | `track` | dictionary<int32, utf8> | null when untracked |
+ * | `instance` | int32 | position of the instance within its frame |
+ * | `node` | dictionary<int32, utf8> | node name |
+ * | `x`, `y` | float64 | null when the point is missing |
+ * | `score` | float64 | point score, null for user instances |
+ * | `visible` | bool | |
+ * | `is_predicted` | bool | user (`false`) or predicted (`true`) |
+ *
+ * Rows are written in record batches of at most `batchSize` rows from the
+ * instances' point columns. Lazy-loaded labels are read straight from the
+ * `LazyDataStore` columns (`LazyDataStore.instanceColumns`), so no frame or
+ * instance is materialized. {@link iterArrowPoses} yields the output
+ * piece by piece for streaming; {@link writeArrowPoses} returns it whole.
+ *
+ * The Arrow metadata (FlatBuffers) is encoded here without a runtime
+ * dependency. Browser-safe; {@link saveArrowPoses} writes through the Node
+ * file writer registered by `h5-node.ts`.
+ */
+
+import { nodeWriteFile } from "../codecs/slp/h5.js";
+import { PredictedInstance, type Track } from "../model/instance.js";
+import type { LabeledFrame } from "../model/labeled-frame.js";
+import type { Labels } from "../model/labels.js";
+import type { Skeleton } from "../model/skeleton.js";
+import type { Video } from "../model/video.js";
+
+/** Options for {@link iterArrowPoses} and friends. */
+export interface ArrowPosesOptions {
+  /**
+   * `"file"` (default) writes the Arrow IPC file format, i.e. Feather v2.
+   * `"stream"` writes the IPC stream format, which has no footer and can be
+   * read while it is being produced.
+   */
+  format?: "file" | "stream";
+  /** Maximum rows per record batch. Default: 65536. */
+  batchSize?: number;
+  /** Only export frames of this video. Default: all videos. */
+  video?: Video;
+}
+
+// =============================================================================
+// FlatBuffers
+// =============================================================================
+
+/** A table field: an inline scalar or a reference to a child object. */
+type FbField =
+  | { type: "u8" | "i16" | "i32" | "i64"; value: number }
+  | { type: "ref"; value: FbObject };
+
+/** A FlatBuffers object: a table (fields by id), vector or string. */
+type FbObject =
+  | { table: Array<FbField | null> }
+  | { vector: FbObject[] }
+  | { structs: Uint8Array; count: number }
+  | { string: string };
+
+const FIELD_SIZES = { i64: 8, i32: 4, ref: 4, i16: 2, u8: 1 };
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Serialize a FlatBuffers object graph. Objects are laid out front to back,
+ * each child after its parent, so every offset points forward as the format
+ * requires. Structs are assumed to need 8-byte alignment (Arrow's all do).
+ */
+function encodeFlatbuffer(root: FbObject): Uint8Array {
+  let buf = new Uint8Array(256);
+  let view = new DataView(buf.buffer);
+  let end = 0;
+  const pending: Array<{ at: number; target: FbObject }> = [];
+
+  const reserve = (size: number, align: number, shift = 0): number => {
+    while ((end + shift) % align !== 0) end++;
+    const at = end;
+    end += size;
+    if (end > buf.length) {
+      const grown = new Uint8Array(Math.max(end, buf.length * 2));
+      grown.set(buf);
+      buf = grown;
+      view = new DataView(buf.buffer);
+    }
+    return at;
+  };
+
+  const place = (obj: FbObject): number => {
+    if ("string" in obj) {
+      const bytes = textEncoder.encode(obj.string);
+      const at = reserve(4 + bytes.length + 1, 4);
+      view.setUint32(at, bytes.length, true);
+      buf.set(bytes, at + 4);
+      return at;
+    }
+    if ("structs" in obj) {
+      const at = reserve(4 + obj.structs.length, 8, 4);
+      view.setUint32(at, obj.count, true);
+      buf.set(obj.structs, at + 4);
+      return at;
+    }
+    if ("vector" in obj) {
+      const at = reserve(4 + 4 * obj.vector.length, 4);
+      view.setUint32(at, obj.vector.length, true);
+      obj.vector.forEach((target, i) => {
+        pending.push({ at: at + 4 + 4 * i, target });
+      });
+      return at;
+    }
+
+    // Table: vtable first, then the table with its fields largest first.
+    const fields = obj.table;
+    const order = fields
+      .map((field, id) => ({ field, id }))
+      .filter((f): f is { field: FbField; id: number } => f.field !== null)
+      .sort((a, b) => FIELD_SIZES[b.field.type] - FIELD_SIZES[a.field.type]);
+    const fieldOffsets = new Array<number>(fields.length).fill(0);
+    let size = 4;
+    for (const { field, id } of order) {
+      const fieldSize = FIELD_SIZES[field.type];
+      while (size % fieldSize !== 0) size++;
+      fieldOffsets[id] = size;
+      size += fieldSize;
+    }
+
+    const vtable = reserve(4 + 2 * fields.length, 2);
+    view.setUint16(vtable, 4 + 2 * fields.length, true);
+    view.setUint16(vtable + 2, size, true);
+    fieldOffsets.forEach((offset, id) => {
+      view.setUint16(vtable + 4 + 2 * id, offset, true);
+    });
+
+    // The fields are aligned relative to the table start, so align the table
+    // start for its widest field (past the 4-byte vtable offset).
+    const widest = order.length ? FIELD_SIZES[order[0].field.type] : 4;
+    const table =
+      widest === 8 ? reserve(size, 8, 4) : reserve(size, Math.max(widest, 4));
+    view.setInt32(table, table - vtable, true);
+    for (const { field, id } of order) {
+      const at = table + fieldOffsets[id];
+      if (field.type === "ref") pending.push({ at, target: field.value });
+      else if (field.type === "i64") {
+        view.setBigInt64(at, BigInt(field.value), true);
+      } else if (field.type === "i32") view.setInt32(at, field.value, true);
+      else if (field.type === "i16") view.setInt16(at, field.value, true);
+      else view.setUint8(at, field.value);
+    }
+    return table;
+  };
+
+  reserve(4, 4);
+  pending.push({ at: 0, target: root });
+  for (let i = 0; i < pending.length; i++) {
+    const { at, target } = pending[i];
+    const pos = place(target);
+    view.setUint32(at, pos - at, true);
+  }
+  reserve(0, 8);
+  return buf.slice(0, end);
+}
+
+const u8 = (value: number): FbField => ({ type: "u8", value });
+const i16 = (value: number): FbField => ({ type: "i16", value });
+const i32 = (value: number): FbField => ({ type: "i32", value });
+const i64 = (value: number): FbField => ({ type: "i64", value });
+const ref = (value: FbObject): FbField => ({ type: "ref", value });
+
+/** Pack `[a, b]` int64 pairs into a vector of 16-byte structs. */
+function int64Pairs(pairs: Array<[number, number]>): FbObject {
+  const structs = new Uint8Array(16 * pairs.length);
+  const view = new DataView(structs.buffer);
+  pairs.forEach(([a, b], i) => {
+    view.setBigInt64(16 * i, BigInt(a), true);
+    view.setBigInt64(16 * i + 8, BigInt(b), true);
+  });
+  return { structs, count: pairs.length };
+}
+
+// =============================================================================
+// Arrow schema and messages
+// =============================================================================
+
+const METADATA_V5 = 4;
+const HEADER_SCHEMA = 1;
+const HEADER_DICTIONARY_BATCH = 2;
+const HEADER_RECORD_BATCH = 3;
+const TYPE_INT = 2;
+const TYPE_FLOAT = 3;
+const TYPE_UTF8 = 5;
+const TYPE_BOOL = 6;
+
+type ColumnKind = "int32" | "float64" | "bool" | "dict";
+
+interface ColumnSpec {
+  name: string;
+  kind: ColumnKind;
+  nullable: boolean;
+  /** Dictionary id, for `dict` columns. */
+  dictionary?: number;
+}
+
+const COLUMNS: ColumnSpec[] = [
+  { name: "video", kind: "dict", nullable: false, dictionary: 0 },
+  { name: "frame_idx", kind: "int32", nullable: false },
+  { name: "track", kind: "dict", nullable: true, dictionary: 1 },
+  { name: "instance", kind: "int32", nullable: false },
+  { name: "node", kind: "dict", nullable: false, dictionary: 2 },
+  { name: "x", kind: "float64", nullable: true },
+  { name: "y", kind: "float64", nullable: true },
+  { name: "score", kind: "float64", nullable: true },
+  { name: "visible", kind: "bool", nullable: false },
+  { name: "is_predicted", kind: "bool", nullable: false },
+];
+
+const int32Type = (): FbObject => ({ table: [i32(32), u8(1)] });
+
+function fieldTable(column: ColumnSpec): FbObject {
+  const [typeId, type]: [number, FbObject] =
+    column.kind === "float64"
+      ? [TYPE_FLOAT, { table: [i16(2)] }]
+      : column.kind === "int32"
+        ? [TYPE_INT, int32Type()]
+        : column.kind === "bool"
+          ? [TYPE_BOOL, { table: [] }]
+          : [TYPE_UTF8, { table: [] }];
+  const dictionary =
+    column.dictionary === undefined
+      ? null
+      : ref({ table: [i64(column.dictionary), ref(int32Type()), u8(0)] });
+  return {
+    table: [
+      ref({ string: column.name }),
+      u8(column.nullable ? 1 : 0),
+      u8(typeId),
+      ref(type),
+      dictionary,
+      ref({ vector: [] }),
+    ],
+  };
+}
+
+function schemaTable(): FbObject {
+  return { table: [i16(0), ref({ vector: COLUMNS.map(fieldTable) })] };
+}
+
+/** An encapsulated IPC message: framed metadata plus its body. */
+interface Message {
+  metadata: Uint8Array;
+  body: Uint8Array[];
+  bodyLength: number;
+}
+
+function message(
+  headerType: number,
+  header: FbObject,
+  body: Uint8Array[] = [],
+): Message {
+  const bodyLength = body.reduce((sum, part) => sum + part.length, 0);
+  const flatbuffer = encodeFlatbuffer({
+    table: [i16(METADATA_V5), u8(headerType), ref(header), i64(bodyLength)],
+  });
+  // Continuation marker and length, then the (8-byte padded) flatbuffer.
+  const metadata = new Uint8Array(8 + flatbuffer.length);
+  const view = new DataView(metadata.buffer);
+  view.setUint32(0, 0xffffffff, true);
+  view.setInt32(4, flatbuffer.length, true);
+  metadata.set(flatbuffer, 8);
+  return { metadata, body, bodyLength };
+}
+
+/** Column buffers of one batch, padded to 8 bytes, plus their layout. */
+class BodyBuilder {
+  parts: Uint8Array[] = [];
+  buffers: Array<[number, number]> = [];
+  nodes: Array<[number, number]> = [];
+  private length = 0;
+
+  buffer(bytes: Uint8Array): void {
+    this.buffers.push([this.length, bytes.length]);
+    this.parts.push(bytes);
+    this.length += bytes.length;
+    const padding = (8 - (bytes.length % 8)) % 8;
+    if (padding) {
+      this.parts.push(new Uint8Array(padding));
+      this.length += padding;
+    }
+  }
+
+  /** Append a column: its validity bitmap (if any nulls) and data buffers. */
+  column(
+    length: number,
+    validity: Uint8Array | null,
+    ...data: Uint8Array[]
+  ): void {
+    let nullCount = 0;
+    if (validity) {
+      for (let i = 0; i < length; i++) {
+        if (!(validity[i >> 3] & (1 << (i & 7)))) nullCount++;
+      }
+    }
+    this.nodes.push([length, nullCount]);
+    this.buffer(nullCount ? (validity as Uint8Array) : new Uint8Array(0));
+    for (const bytes of data) this.buffer(bytes);
+  }
+
+  recordBatch(length: number): FbObject {
+    return {
+      table: [
+        i64(length),
+        ref(int64Pairs(this.nodes)),
+        ref(int64Pairs(this.buffers)),
+      ],
+    };
+  }
+}
+
+const bytesOf = (array: ArrayBufferView): Uint8Array =>
+  new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+
+/** A dictionary batch holding a Utf8 column of `values`. */
+function dictionaryMessage(id: number, values: string[]): Message {
+  const offsets = new Int32Array(values.length + 1);
+  const encoded = values.map((value) => textEncoder.encode(value));
+  encoded.forEach((bytes, i) => {
+    offsets[i + 1] = offsets[i] + bytes.length;
+  });
+  const data = new Uint8Array(offsets[values.length]);
+  encoded.forEach((bytes, i) => {
+    data.set(bytes, offsets[i]);
+  });
+
+  const body = new BodyBuilder();
+  body.column(values.length, null, bytesOf(offsets), data);
+  return message(
+    HEADER_DICTIONARY_BATCH,
+    { table: [i64(id), ref(body.recordBatch(values.length)), u8(0)] },
+    body.parts,
+  );
+}
+
+// =============================================================================
+// Rows
+// =============================================================================
+
+/** Row columns of one record batch, filled up to `capacity` rows. */
+class RowBatch {
+  video!: Int32Array;
+  frameIdx!: Int32Array;
+  track!: Int32Array;
+  instance!: Int32Array;
+  node!: Int32Array;
+  x!: Float64Array;
+  y!: Float64Array;
+  score!: Float64Array;
+  visible!: Uint8Array;
+  predicted!: Uint8Array;
+  length = 0;
+
+  constructor(readonly capacity: number) {
+    this.reset();
+  }
+
+  /** Start over on new columns (flushed messages keep views of the old). */
+  private reset(): void {
+    const n = this.capacity;
+    this.video = new Int32Array(n);
+    this.frameIdx = new Int32Array(n);
+    this.track = new Int32Array(n);
+    this.instance = new Int32Array(n);
+    this.node = new Int32Array(n);
+    this.x = new Float64Array(n);
+    this.y = new Float64Array(n);
+    this.score = new Float64Array(n);
+    this.visible = new Uint8Array(n);
+    this.predicted = new Uint8Array(n);
+    this.length = 0;
+  }
+
+  get full(): boolean {
+    return this.length === this.capacity;
+  }
+
+  /** Encode the rows as a record batch message and start over. */
+  flush(): Message {
+    const n = this.length;
+    const bitmap = (test: (i: number) => boolean): Uint8Array => {
+      const bits = new Uint8Array(Math.ceil(n / 8));
+      for (let i = 0; i < n; i++) {
+        if (test(i)) bits[i >> 3] |= 1 << (i & 7);
+      }
+      return bits;
+    };
+    const notNaN = (values: Float64Array) =>
+      bitmap((i) => !Number.isNaN(values[i]));
+    const int32 = (values: Int32Array) => bytesOf(values.subarray(0, n));
+    const float64 = (values: Float64Array) => bytesOf(values.subarray(0, n));
+
+    const body = new BodyBuilder();
+    body.column(n, null, int32(this.video));
+    body.column(n, null, int32(this.frameIdx));
+    body.column(
+      n,
+      bitmap((i) => this.track[i] >= 0),
+      int32(this.track),
+    );
+    body.column(n, null, int32(this.instance));
+    body.column(n, null, int32(this.node));
+    body.column(n, notNaN(this.x), float64(this.x));
+    body.column(n, notNaN(this.y), float64(this.y));
+    body.column(n, notNaN(this.score), float64(this.score));
+    body.column(
+      n,
+      null,
+      bitmap((i) => this.visible[i] !== 0),
+    );
+    body.column(
+      n,
+      null,
+      bitmap((i) => this.predicted[i] !== 0),
+    );
+    const msg = message(HEADER_RECORD_BATCH, body.recordBatch(n), body.parts);
+    this.reset();
+    return msg;
+  }
+}
+
+/** The instances to export, as point spans over column-like arrays. */
+interface InstanceSpan {
+  video: Video;
+  frameIdx: number;
+  instanceIdx: number;
+  skeleton: Skeleton;
+  track: Track | null;
+  predicted: boolean;
+  x: (i: number) => number;
+  y: (i: number) => number;
+  visible: (i: number) => boolean;
+  score: (i: number) => number;
+  count: number;
+}
+
+/** Frames held as objects: all of them, or a lazy list's added frames. */
+function eagerFrames(labels: Labels): LabeledFrame[] {
+  return labels._lazyDataStore
+    ? (labels._lazyFrameList?._supplementary ?? [])
+    : labels.labeledFrames;
+}
+
+function* instanceSpans(labels: Labels): Generator<InstanceSpan> {
+  const store = labels._lazyDataStore;
+  if (store) {
+    for (const inst of store.instanceColumns()) {
+      const { columns, start, coordOffset } = inst;
+      yield {
+        ...inst,
+        x: (i) => Number(columns.x?.[start + i] ?? Number.NaN) + coordOffset,
+        y: (i) => Number(columns.y?.[start + i] ?? Number.NaN) + coordOffset,
+        visible: (i) => Boolean(columns.visible?.[start + i]),
+        score: (i) =>
+          inst.predicted
+            ? Number(columns.score?.[start + i] ?? Number.NaN)
+            : Number.NaN,
+        count: inst.end - start,
+      };
+    }
+  }
+  for (const frame of eagerFrames(labels)) {
+    for (const [instanceIdx, inst] of frame.instances.entries()) {
+      const predicted = inst instanceof PredictedInstance;
+      const score = predicted ? inst._score : null;
+      yield {
+        video: frame.video,
+        frameIdx: frame.frameIdx,
+        instanceIdx,
+        skeleton: inst.skeleton,
+        track: inst.track ?? null,
+        predicted,
+        x: (i) => inst._xy[2 * i],
+        y: (i) => inst._xy[2 * i + 1],
+        visible: (i) => inst._visible[i] !== 0,
+        score: (i) => (score ? score[i] : Number.NaN),
+        count: inst._n,
+      };
+    }
+  }
+}
+
+/** Position of `value` in `list`, appending it when new. */
+function indexIn<T>(list: T[], index: Map<T, number>, value: T): number {
+  let i = index.get(value);
+  if (i === undefined) {
+    i = list.length;
+    list.push(value);
+    index.set(value, i);
+  }
+  return i;
+}
+
+/**
+ * Export poses as Arrow IPC bytes, yielded piece by piece: the schema and
+ * dictionaries first, then one record batch per `batchSize` rows, then (for
+ * the file format) the footer. Concatenated, the pieces form the file.
+ */
+export function* iterArrowPoses(
+  labels: Labels,
+  options: ArrowPosesOptions = {},
+): Generator<Uint8Array> {
+  const format = options.format ?? "file";
+  const batchSize = options.batchSize ?? 65536;
+  if (!(batchSize >= 1)) throw new Error("batchSize must be at least 1.");
+
+  // Dictionaries must come before the batches that use them, so collect
+  // every video, track and node name up front.
+  const videos = [...labels.videos];
+  const tracks = [...labels.tracks];
+  const nodes: string[] = [];
+  const videoIndex = new Map(videos.map((v, i) => [v, i]));
+  const trackIndex = new Map(tracks.map((t, i) => [t, i]));
+  const nodeIndex = new Map<string, number>();
+  const skeletonNodes = new Map<Skeleton, Int32Array>();
+  const nodeIndices = (skeleton: Skeleton): Int32Array => {
+    let indices = skeletonNodes.get(skeleton);
+    if (!indices) {
+      indices = Int32Array.from(skeleton.nodeNames, (name) =>
+        indexIn(nodes, nodeIndex, name),
+      );
+      skeletonNodes.set(skeleton, indices);
+    }
+    return indices;
+  };
+  for (const skeleton of labels.skeletons) nodeIndices(skeleton);
+  // Frames and instances may refer to objects missing from those lists.
+  const store = labels._lazyDataStore;
+  for (const video of store?.videos ?? []) indexIn(videos, videoIndex, video);
+  for (const track of store?.tracks ?? []) indexIn(tracks, trackIndex, track);
+  for (const skeleton of store?.skeletons ?? []) nodeIndices(skeleton);
+  for (const frame of eagerFrames(labels)) {
+    indexIn(videos, videoIndex, frame.video);
+    for (const inst of frame.instances) {
+      if (inst.track) indexIn(tracks, trackIndex, inst.track);
+      nodeIndices(inst.skeleton);
+    }
+  }
+
+  let offset = 0;
+  const dictionaryBlocks: Array<[number, number, number]> = [];
+  const recordBlocks: Array<[number, number, number]> = [];
+  const emit = function* (
+    msg: Message,
+    blocks: Array<[number, number, number]> | null,
+  ): Generator<Uint8Array> {
+    blocks?.push([offset, msg.metadata.length, msg.bodyLength]);
+    offset += msg.metadata.length + msg.bodyLength;
+    yield msg.metadata;
+    yield* msg.body;
+  };
+
+  if (format === "file") {
+    // "ARROW1" plus padding to 8 bytes.
+    const magic = new Uint8Array(8);
+    magic.set(textEncoder.encode("ARROW1"));
+    offset += 8;
+    yield magic;
+  }
+  yield* emit(message(HEADER_SCHEMA, schemaTable()), null);
+  yield* emit(
+    dictionaryMessage(
+      0,
+      videos.map((v) =>
+        Array.isArray(v.filename) ? (v.filename[0] ?? "") : v.filename,
+      ),
+    ),
+    dictionaryBlocks,
+  );
+  yield* emit(
+    dictionaryMessage(
+      1,
+      tracks.map((t) => t.name),
+    ),
+    dictionaryBlocks,
+  );
+  yield* emit(dictionaryMessage(2, nodes), dictionaryBlocks);
+
+  const batch = new RowBatch(batchSize);
+  for (const span of instanceSpans(labels)) {
+    if (options.video && span.video !== options.video) continue;
+    const video = videoIndex.get(span.video) ?? 0;
+    const track = span.track ? (trackIndex.get(span.track) ?? -1) : -1;
+    const nodeIds = nodeIndices(span.skeleton);
+    const count = Math.min(span.count, nodeIds.length);
+    for (let i = 0; i < count; i++) {
+      const row = batch.length++;
+      batch.video[row] = video;
+      batch.frameIdx[row] = span.frameIdx;
+      batch.track[row] = track;
+      batch.instance[row] = span.instanceIdx;
+      batch.node[row] = nodeIds[i];
+      batch.x[row] = span.x(i);
+      batch.y[row] = span.y(i);
+      batch.score[row] = span.score(i);
+      batch.visible[row] = span.visible(i) ? 1 : 0;
+      batch.predicted[row] = span.predicted ? 1 : 0;
+      if (batch.full) yield* emit(batch.flush(), recordBlocks);
+    }
+  }
+  if (batch.length || !recordBlocks.length) {
+    yield* emit(batch.flush(), recordBlocks);
+  }
+
+  // End-of-stream marker.
+  const eos = new Uint8Array(8);
+  new DataView(eos.buffer).setUint32(0, 0xffffffff, true);
+  yield eos;
+
+  if (format === "file") {
+    const blocks = (list: Array<[number, number, number]>): FbObject => {
+      const structs = new Uint8Array(24 * list.length);
+      const view = new DataView(structs.buffer);
+      list.forEach(([blockOffset, metaDataLength, bodyLength], i) => {
+        view.setBigInt64(24 * i, BigInt(blockOffset), true);
+        view.setInt32(24 * i + 8, metaDataLength, true);
+        view.setBigInt64(24 * i + 16, BigInt(bodyLength), true);
+      });
+      return { structs, count: list.length };
+    };
+    const footer = encodeFlatbuffer({
+      table: [
+        i16(METADATA_V5),
+        ref(schemaTable()),
+        ref(blocks(dictionaryBlocks)),
+        ref(blocks(recordBlocks)),
+      ],
+    });
+    const trailer = new Uint8Array(10);
+    new DataView(trailer.buffer).setInt32(0, footer.length, true);
+    trailer.set(textEncoder.encode("ARROW1"), 4);
+    yield footer;
+    yield trailer;
+  }
+}
+
+/**
+ * Export poses as one Arrow IPC buffer (Feather v2 unless `format` is
+ * `"stream"`). See the module docs for the columns.
+ */
+export function writeArrowPoses(
+  labels: Labels,
+  options: ArrowPosesOptions = {},
+): Uint8Array {
+  const parts = [...iterArrowPoses(labels, options)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+/**
+ * Save poses as an Arrow IPC file (`.arrow` / `.feather`), writing record
+ * batches as they are encoded rather than building the file in memory.
+ */
+export async function saveArrowPoses(
+  labels: Labels,
+  filename: string,
+  options: ArrowPosesOptions = {},
+): Promise<void> {
+  await nodeWriteFile(filename, iterArrowPoses(labels, options));
+}
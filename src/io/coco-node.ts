@@ -1,16 +1,28 @@
 /**
- * Node-only path-based COCO loaders (file I/O + image-path resolution).
+ * Node-only path-based COCO loaders and savers (file I/O + image paths).
  *
  * Wraps the browser-safe core in `coco.ts`. Reads the annotation JSON from disk
  * and installs a default fs-based image resolver replicating Python
  * `resolve_image_path` (direct path, common prefixes, recursive basename glob).
+ * The savers write the annotation JSON and export each labeled frame's image
+ * next to it.
  */
 
 import * as fs from "fs";
 import * as path from "path";
 
+import type { LabeledFrame } from "../model/labeled-frame.js";
 import type { Labels } from "../model/labels.js";
-import { readCoco, type ReadCocoOptions } from "./coco.js";
+import { LabelsSet } from "../model/labels-set.js";
+import {
+  defaultCocoImageFileName,
+  readCoco,
+  type ReadCocoOptions,
+  writeCoco,
+  type WriteCocoOptions,
+} from "./coco.js";
+import { exportFrameImage, sourceImagePath } from "./frame-images-node.js";
+import { probeImageSize } from "./ultralytics.js";
 
 /**
  * Recursively search `root` for a file whose basename equals `base`. Returns the
@@ -114,3 +126,115 @@ export function loadCocoSet(
   }
   return result;
 }
+
+/** Options for {@link saveCoco} / {@link saveCocoSet}. */
+export interface SaveCocoOptions extends Omit<WriteCocoOptions, "imageInfo"> {
+  /**
+   * Export each labeled frame's image into `imagesDir` (default `true`).
+   * When `false`, images are referenced in place: image files by their path
+   * relative to the JSON file, video frames by a synthetic name.
+   */
+  saveImages?: boolean;
+  /** Image directory, relative to the JSON file (default `"images"`). */
+  imagesDir?: string;
+  /** PNG compression level (0–9) for frames encoded from decoded pixels. */
+  imageQuality?: number | null;
+}
+
+/**
+ * Save a {@link Labels} object as a COCO dataset: the annotation document
+ * ({@link writeCoco}) at `jsonPath` and, by default, one image per labeled
+ * frame under `imagesDir` next to it. Frames whose image cannot be obtained
+ * are skipped with a warning. The output round-trips through {@link loadCoco}.
+ */
+export async function saveCoco(
+  labels: Labels,
+  jsonPath: string,
+  options: SaveCocoOptions = {},
+): Promise<void> {
+  const {
+    saveImages = true,
+    imagesDir = "images",
+    imageQuality = null,
+    ...writeOptions
+  } = options;
+  const root = path.dirname(jsonPath);
+  fs.mkdirSync(root, { recursive: true });
+
+  const entries = new Map<
+    LabeledFrame,
+    { fileName: string; height?: number; width?: number }
+  >();
+  const frames = labels.labeledFrames;
+  if (saveImages) {
+    const dir = path.join(root, imagesDir);
+    fs.mkdirSync(dir, { recursive: true });
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+      const written = await exportFrameImage(
+        frame,
+        dir,
+        String(i).padStart(7, "0"),
+        imageQuality,
+      );
+      if (written === null) {
+        console.warn(
+          `Could not load frame ${frame.frameIdx} from video, skipping.`,
+        );
+        continue;
+      }
+      const shape = written.shape ?? frame.video.shape?.slice(1, 3);
+      entries.set(frame, {
+        fileName: path.posix.join(
+          imagesDir.split(path.sep).join("/"),
+          written.name,
+        ),
+        height: shape?.[0],
+        width: shape?.[1],
+      });
+    }
+  } else {
+    for (const frame of frames) {
+      const source = sourceImagePath(frame);
+      const shape = source
+        ? probeImageSize(source)
+        : frame.video.shape?.slice(1, 3);
+      entries.set(frame, {
+        fileName: source
+          ? path.relative(root, source).split(path.sep).join("/")
+          : defaultCocoImageFileName(frame),
+        height: shape?.[0],
+        width: shape?.[1],
+      });
+    }
+  }
+
+  const coco = writeCoco(labels, {
+    ...writeOptions,
+    imageInfo: (frame) => entries.get(frame) ?? null,
+  });
+  fs.writeFileSync(jsonPath, JSON.stringify(coco));
+}
+
+/**
+ * Save multiple splits as a COCO dataset directory: `<split>.json` per split,
+ * with images under `<imagesDir>/<split>/`. The inverse of
+ * {@link loadCocoSet}.
+ */
+export async function saveCocoSet(
+  labelsSet: LabelsSet | Record<string, Labels>,
+  datasetPath: string,
+  options: SaveCocoOptions = {},
+): Promise<void> {
+  const splits =
+    labelsSet instanceof LabelsSet
+      ? [...labelsSet.entries()]
+      : Object.entries(labelsSet);
+  const imagesDir = options.imagesDir ?? "images";
+  for (const [splitName, labels] of splits) {
+    await saveCoco(labels, path.join(datasetPath, `${splitName}.json`), {
+      ...options,
+      imagesDir: path.join(imagesDir, splitName),
+    });
+  }
+}
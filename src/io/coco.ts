@@ -1,13 +1,14 @@
 /**
- * COCO-style dataset reader (read path only).
+ * COCO-style dataset reader and writer.
  *
- * Port of the read path of `sleap_io/io/coco.py`. Supports both pose-estimation
- * datasets (keypoints) and detection-only datasets (bounding boxes and/or
- * segmentation as polygons or RLE), decoding them into a {@link Labels} object.
+ * Port of `sleap_io/io/coco.py`. Supports both pose-estimation datasets
+ * (keypoints) and detection-only datasets (bounding boxes and/or segmentation
+ * as polygons or RLE), decoding them into a {@link Labels} object and encoding
+ * a {@link Labels} object back into a COCO document ({@link writeCoco}).
  *
  * This module is browser-safe: it never imports `fs`/`path` at the top level.
- * The path-based Node loader lives in `coco-node.ts`. The COCO *writing* path
- * (`convert_labels`, `write_labels`, panoptic) is intentionally NOT ported.
+ * The path-based Node loaders and savers (including image export) live in
+ * `coco-node.ts`. Panoptic output is not supported.
  */
 
 import {
@@ -15,7 +16,7 @@ import {
   type BoundingBoxOptions,
   PredictedBoundingBox,
 } from "../model/bbox.js";
-import { Instance, Track } from "../model/instance.js";
+import { Instance, PredictedInstance, Track } from "../model/instance.js";
 import { LabeledFrame } from "../model/labeled-frame.js";
 import { Labels } from "../model/labels.js";
 import {
@@ -702,3 +703,398 @@ export function readCocoSet(
   }
   return result;
 }
+
+/** Options for {@link writeCoco}. */
+export interface WriteCocoOptions {
+  /**
+   * Keypoint visibility encoding. `"ternary"` (default): 2 = visible, 1 =
+   * labeled but not visible, 0 = missing. `"binary"`: 1 = visible, 0 otherwise.
+   */
+  visibility?: "binary" | "ternary";
+  /**
+   * Segmentation encoding. `"auto"` (default) writes ROIs as polygons and
+   * masks as RLE; `"polygon"` and `"rle"` force one encoding for both.
+   */
+  segmentationFormat?: "auto" | "polygon" | "rle";
+  /** Write RLE `counts` in the compressed string form (default `true`). */
+  compressRle?: boolean;
+  /** Include `PredictedInstance`s, with their `score` (default `true`). */
+  includePredictions?: boolean;
+  /**
+   * Image entry for each labeled frame, or `null` to drop the frame. Defaults
+   * to {@link defaultCocoImageFileName} with the video's frame size.
+   */
+  imageInfo?: (
+    frame: LabeledFrame,
+    index: number,
+  ) => { fileName: string; height?: number; width?: number } | null;
+}
+
+/**
+ * Encode run lengths as a COCO compressed RLE string (pycocotools
+ * `rleToString`), the inverse of {@link decodeCompressedRleCounts}.
+ */
+export function encodeCompressedRleCounts(runs: ArrayLike<number>): string {
+  // Appended one character at a time: spreading a large mask's codes into
+  // `String.fromCharCode` overflows the argument limit.
+  let out = "";
+  for (let i = 0; i < runs.length; i++) {
+    let x = runs[i];
+    if (i > 2) x -= runs[i - 2];
+    let more = true;
+    while (more) {
+      let c = x & 0x1f;
+      x >>= 5;
+      more = c & 0x10 ? x !== -1 : x !== 0;
+      if (more) c |= 0x20;
+      out += String.fromCharCode(c + 48);
+    }
+  }
+  return out;
+}
+
+/**
+ * Encode a row-major binary mask as COCO RLE. COCO runs are column-major, so
+ * the raster is traversed column by column; the first run counts zeros.
+ */
+export function encodeCocoRle(
+  mask: ArrayLike<number>,
+  height: number,
+  width: number,
+  compressed = true,
+): CocoRle {
+  const runs: number[] = [];
+  let current = 0;
+  let count = 0;
+  for (let c = 0; c < width; c++) {
+    for (let r = 0; r < height; r++) {
+      const value = mask[r * width + c] ? 1 : 0;
+      if (value !== current) {
+        runs.push(count);
+        current = value;
+        count = 0;
+      }
+      count++;
+    }
+  }
+  runs.push(count);
+  return {
+    counts: compressed ? encodeCompressedRleCounts(runs) : runs,
+    size: [height, width],
+  };
+}
+
+/**
+ * Default COCO `file_name` for a frame: the frame's own file for image-list or
+ * single-image videos, else `<video stem>/<frame index, 7 digits>.png`.
+ */
+export function defaultCocoImageFileName(frame: LabeledFrame): string {
+  const { filename } = frame.video;
+  if (Array.isArray(filename)) {
+    return filename[frame.frameIdx] ?? filename[0];
+  }
+  const base = filename.split(/[\\/]/).pop() ?? filename;
+  if (/\.(png|jpe?g|bmp|tiff?|gif|webp)$/i.test(base)) return filename;
+  const stem = base.replace(/\.[^.]*$/, "") || "video";
+  return `${stem}/${String(frame.frameIdx).padStart(7, "0")}.png`;
+}
+
+/** A {@link CocoAnnotation} before its `id` and `image_id` are assigned. */
+type AnnotationBody = Omit<
+  CocoAnnotation,
+  "id" | "image_id" | "category_id"
+> & {
+  category_id: number;
+};
+
+/** COCO polygons (exterior rings, unclosed, flattened) of a geometry. */
+function geometryToPolygons(geometry: Geometry): number[][] {
+  if (geometry.type === "GeometryCollection") {
+    return geometry.geometries.flatMap(geometryToPolygons);
+  }
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+  const out: number[][] = [];
+  for (const polygon of polygons) {
+    // COCO polygons cannot express holes; only exterior rings are kept.
+    const ring = polygon[0] ?? [];
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    const closed =
+      ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+    const vertices = closed ? ring.slice(0, -1) : ring;
+    if (vertices.length >= 3) out.push(vertices.flat());
+  }
+  return out;
+}
+
+/** A mask raster in image space (resampled when it carries a transform). */
+function maskImageData(
+  mask: SegmentationMask,
+  height: number,
+  width: number,
+): { data: Uint8Array; height: number; width: number } {
+  if (!mask.hasSpatialTransform) {
+    return { data: mask.data, height: mask.height, width: mask.width };
+  }
+  const raster = mask.toPolygon().toMask(height, width);
+  return { data: raster.data, height, width };
+}
+
+/**
+ * Convert a {@link Labels} object into a COCO document (the inverse of
+ * {@link readCoco}). Browser-safe; images are referenced, not written (see
+ * `saveCoco` in `coco-node.ts` for image export).
+ *
+ * Each skeleton becomes a keypoint category (1-based `skeleton` edges); the
+ * categories of unlinked masks, ROIs and boxes become keypoint-less categories
+ * (reusing a skeleton category of the same name). Each instance yields one
+ * annotation carrying its keypoints, its linked (same `instance`) box and
+ * segmentation if any, a 1-based `track_id` in `labels.tracks` order, and a
+ * `score` when predicted. Unlinked masks, ROIs and boxes yield detection
+ * annotations. Bounding boxes default to the visible keypoints' extent.
+ */
+export function writeCoco(
+  labels: Labels,
+  options: WriteCocoOptions = {},
+): CocoJson {
+  const ternary = (options.visibility ?? "ternary") === "ternary";
+  const segFormat = options.segmentationFormat ?? "auto";
+  if (!["auto", "polygon", "rle"].includes(segFormat)) {
+    throw new Error(
+      `segmentationFormat must be 'auto', 'polygon' or 'rle', got ${JSON.stringify(segFormat)}.`,
+    );
+  }
+  const compressRle = options.compressRle ?? true;
+  const includePredictions = options.includePredictions ?? true;
+  const imageInfo =
+    options.imageInfo ??
+    ((frame: LabeledFrame) => {
+      const shape = frame.video.shape;
+      return {
+        fileName: defaultCocoImageFileName(frame),
+        height: shape?.[1],
+        width: shape?.[2],
+      };
+    });
+
+  // Categories: one per skeleton, then one per detection category name.
+  const categories: CocoCategory[] = [];
+  const skeletonCategory = new Map<Skeleton, number>();
+  const namedCategory = new Map<string, number>();
+  for (const skeleton of labels.skeletons) {
+    const id = categories.length + 1;
+    const name = skeleton.name || "animal";
+    const edgeIndex = (node: Node) => skeleton.nodes.indexOf(node) + 1;
+    categories.push({
+      id,
+      name,
+      supercategory: "animal",
+      keypoints: skeleton.nodeNames,
+      skeleton: skeleton.edges.map((edge) => [
+        edgeIndex(edge.source),
+        edgeIndex(edge.destination),
+      ]),
+    });
+    skeletonCategory.set(skeleton, id);
+    if (!namedCategory.has(name)) namedCategory.set(name, id);
+  }
+  const categoryFor = (name: string): number => {
+    const key = name || "object";
+    let id = namedCategory.get(key);
+    if (id === undefined) {
+      id = categories.length + 1;
+      categories.push({ id, name: key });
+      namedCategory.set(key, id);
+    }
+    return id;
+  };
+
+  const trackIds = new Map<Track, number>();
+  for (const track of labels.tracks) trackIds.set(track, trackIds.size + 1);
+
+  const images: CocoImage[] = [];
+  const annotations: CocoAnnotation[] = [];
+  const frames = labels.labeledFrames;
+  for (let index = 0; index < frames.length; index++) {
+    const frame = frames[index];
+    const info = imageInfo(frame, index);
+    if (info == null) continue;
+    const imageId = images.length + 1;
+    const height = info.height ?? 0;
+    const width = info.width ?? 0;
+    const image: CocoImage = { id: imageId, file_name: info.fileName };
+    if (height > 0 && width > 0) {
+      image.height = height;
+      image.width = width;
+    }
+    images.push(image);
+
+    const encodeMask = (mask: SegmentationMask) => {
+      if (segFormat === "polygon") {
+        return {
+          segmentation: geometryToPolygons(mask.toPolygon().geometry),
+          area: mask.area / (mask.scale[0] * mask.scale[1]),
+        };
+      }
+      const raster = maskImageData(mask, height, width);
+      let area = 0;
+      for (const v of raster.data) if (v) area++;
+      return {
+        segmentation: encodeCocoRle(
+          raster.data,
+          raster.height,
+          raster.width,
+          compressRle,
+        ),
+        area,
+      };
+    };
+    const encodeRoi = (roi: ROI) => {
+      if (segFormat === "rle" && height > 0 && width > 0) {
+        const mask = roi.toMask(height, width);
+        return {
+          segmentation: encodeCocoRle(mask.data, height, width, compressRle),
+          area: mask.area,
+        };
+      }
+      return { segmentation: geometryToPolygons(roi.geometry), area: roi.area };
+    };
+    const push = (annotation: AnnotationBody) => {
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: imageId,
+        ...annotation,
+      });
+    };
+
+    // Pose annotations, absorbing the first box/segmentation linked to each.
+    const linked = new Set<unknown>();
+    for (const inst of frame.instances) {
+      const predicted = inst instanceof PredictedInstance;
+      if (predicted && !includePredictions) continue;
+      const skeleton = inst.skeleton;
+      const categoryId =
+        skeletonCategory.get(skeleton) ?? categoryFor(skeleton.name ?? "");
+
+      const points = inst.numpy({ invisibleAsNaN: false });
+      const keypoints: number[] = [];
+      let numKeypoints = 0;
+      for (let k = 0; k < points.length; k++) {
+        const [x, y] = points[k];
+        let flag = 0;
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+          if (inst.points[k].visible) flag = ternary ? 2 : 1;
+          else if (ternary) flag = 1;
+        }
+        if (flag > 0) numKeypoints++;
+        keypoints.push(flag > 0 ? x : 0, flag > 0 ? y : 0, flag);
+      }
+
+      const mask = frame.masks.find((m) => m.instance === inst);
+      const roi = mask
+        ? undefined
+        : frame.rois.find((r) => r.instance === inst);
+      const box = frame.bboxes.find((b) => b.instance === inst);
+      let segmentation: CocoSegmentation = [];
+      let area: number | null = null;
+      if (mask) {
+        linked.add(mask);
+        ({ segmentation, area } = encodeMask(mask));
+      } else if (roi) {
+        linked.add(roi);
+        ({ segmentation, area } = encodeRoi(roi));
+      }
+      let bbox: number[];
+      if (box) {
+        linked.add(box);
+        const b = box.bounds;
+        bbox = [b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY];
+      } else {
+        const extent = inst.boundingBox();
+        bbox = extent
+          ? [
+              extent[0][0],
+              extent[0][1],
+              extent[1][0] - extent[0][0],
+              extent[1][1] - extent[0][1],
+            ]
+          : [0, 0, 0, 0];
+      }
+
+      const annotation: AnnotationBody = {
+        category_id: categoryId,
+        keypoints,
+        num_keypoints: numKeypoints,
+        bbox,
+        area: area ?? bbox[2] * bbox[3],
+        iscrowd: 0,
+        segmentation,
+      };
+      if (inst.track) {
+        let trackId = trackIds.get(inst.track);
+        if (trackId === undefined) {
+          trackId = trackIds.size + 1;
+          trackIds.set(inst.track, trackId);
+        }
+        annotation.track_id = trackId;
+      }
+      if (predicted) annotation.score = inst.score;
+      push(annotation);
+    }
+
+    // Detection annotations for everything not linked to an instance.
+    const scoreOf = (item: object) =>
+      "score" in item && typeof item.score === "number"
+        ? { score: item.score }
+        : {};
+    for (const mask of frame.masks) {
+      if (linked.has(mask)) continue;
+      const b = mask.bbox;
+      push({
+        category_id: categoryFor(mask.category),
+        bbox: [b.x, b.y, b.width, b.height],
+        iscrowd: 0,
+        ...encodeMask(mask),
+        ...scoreOf(mask),
+      });
+    }
+    for (const roi of frame.rois) {
+      if (linked.has(roi)) continue;
+      const encoded = encodeRoi(roi);
+      if (
+        Array.isArray(encoded.segmentation) &&
+        encoded.segmentation.length === 0
+      ) {
+        continue;
+      }
+      const b = roi.bounds;
+      push({
+        category_id: categoryFor(roi.category),
+        bbox: [b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY],
+        iscrowd: 0,
+        ...encoded,
+        ...scoreOf(roi),
+      });
+    }
+    for (const box of frame.bboxes) {
+      if (linked.has(box)) continue;
+      const b = box.bounds;
+      const w = b.maxX - b.minX;
+      const h = b.maxY - b.minY;
+      push({
+        category_id: categoryFor(box.category),
+        bbox: [b.minX, b.minY, w, h],
+        area: w * h,
+        iscrowd: 0,
+        ...scoreOf(box),
+      });
+    }
+  }
+
+  return { images, annotations, categories };
+}
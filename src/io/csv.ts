@@ -1,5 +1,5 @@
 /**
- * SLEAP Analysis CSV export.
+ * SLEAP Analysis CSV export and import.
  *
  * Writes `Labels` to the "SLEAP Analysis" CSV format — one row per instance per
  * frame with columns `track, frame_idx, instance.score, {node}.score,
@@ -16,12 +16,18 @@
  * {@link labelsToCsv} is pure (browser-safe) and returns the CSV text;
  * {@link saveLabelsCsv} writes it to disk via the Node fs writer registered by
  * `h5-node.ts`, so this module stays free of Node-only imports.
+ *
+ * {@link labelsFromCsv} / {@link loadLabelsCsv} are the inverse: they rebuild
+ * instances, tracks and scores from the CSV, so that `labelsToCsv` of the
+ * result reproduces the input text.
  */
 
-import type { Labels } from "../model/labels.js";
-import type { Video } from "../model/video.js";
-import { PredictedInstance } from "../model/instance.js";
-import { nodeWriteFile } from "../codecs/slp/h5.js";
+import { Labels } from "../model/labels.js";
+import { Video } from "../model/video.js";
+import { Instance, PredictedInstance, Track } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Skeleton } from "../model/skeleton.js";
+import { nodeReadFile, nodeWriteFile } from "../codecs/slp/h5.js";
 
 export interface CsvExportOptions {
   /** Restrict output to one video (a `Video` or its index). Default: all videos. */
@@ -56,7 +62,7 @@ function videoFrameCount(video: Video): number {
 }
 
 /** Format one CSV cell: `null`/`NaN` -> empty, numbers as-is, strings quoted if needed. */
-function csvCell(value: number | string | null | undefined): string {
+export function csvCell(value: number | string | null | undefined): string {
   if (value == null) return "";
   if (typeof value === "number")
     return Number.isNaN(value) ? "" : String(value);
@@ -222,3 +228,195 @@ export async function saveLabelsCsv(
   const bytes = new TextEncoder().encode(text);
   await nodeWriteFile(filename, bytes);
 }
+
+export interface CsvImportOptions {
+  /**
+   * Skeleton of the instances. Must name every node in the CSV; nodes missing
+   * from the CSV are left invisible. Default: inferred from the `{node}.x`
+   * columns (in column order).
+   */
+  skeleton?: Skeleton;
+  /**
+   * Video all frames belong to (a `Video` or its filename). The CSV does not
+   * record videos. Default: a video with an empty filename.
+   */
+  video?: Video | string;
+}
+
+/** Split CSV text into rows of cells, honoring RFC 4180 quoting. */
+export function parseCsvRows(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') {
+        cell += ch;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/** Parse a numeric cell; empty (or non-numeric) cells are NaN. */
+function csvNumber(cell: string | undefined): number {
+  return cell ? Number(cell) : Number.NaN;
+}
+
+/**
+ * Rebuild {@link Labels} from SLEAP Analysis CSV text (the inverse of
+ * {@link labelsToCsv}).
+ *
+ * Rows with an `instance.score` become {@link PredictedInstance}s (with the
+ * `{node}.score` columns as point scores), the others user {@link Instance}s.
+ * Rows with no track, score or coordinates are the `includeEmpty` padding and
+ * add no instance; when they run past the last labeled frame of a new video,
+ * its frame count is set so the padding is reproduced on export.
+ *
+ * Pure and browser-safe. See {@link loadLabelsCsv} to read from a path.
+ *
+ * @throws If the text lacks the `frame_idx` column, or a CSV node is not in
+ *   `options.skeleton`.
+ */
+export function labelsFromCsv(
+  text: string,
+  options: CsvImportOptions = {},
+): Labels {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const col = new Map(header.map((name, i) => [name, i]));
+  const frameCol = col.get("frame_idx");
+  if (frameCol === undefined) {
+    throw new Error("Not a SLEAP Analysis CSV: missing the frame_idx column.");
+  }
+  const trackCol = col.get("track");
+  const scoreCol = col.get("instance.score");
+
+  // Node names from the `{node}.x` / `{node}.y` columns, in column order.
+  const csvNodes: string[] = [];
+  for (const name of header) {
+    const match = /^(.+)\.(x|y)$/.exec(name);
+    if (match && !csvNodes.includes(match[1])) csvNodes.push(match[1]);
+  }
+  const skeleton = options.skeleton ?? new Skeleton({ nodes: csvNodes });
+  for (const name of csvNodes) {
+    if (!skeleton.nodeNames.includes(name)) {
+      throw new Error(`CSV node '${name}' is not in the skeleton.`);
+    }
+  }
+  const nodeCols = skeleton.nodeNames.map((name) => ({
+    x: col.get(`${name}.x`),
+    y: col.get(`${name}.y`),
+    score: col.get(`${name}.score`),
+  }));
+
+  const video =
+    options.video instanceof Video
+      ? options.video
+      : new Video({ filename: options.video ?? "", openBackend: false });
+  const tracks = new Map<string, Track>();
+  const frames = new Map<number, LabeledFrame>();
+  let lastFrame = -1;
+  // Tracked in the loop (not Math.max(...spread)) to stay safe for long
+  // sessions with a labeled frame per row.
+  let lastLabeled = -1;
+  for (const row of rows) {
+    if (row.length === 1 && row[0] === "") continue;
+    const frameIdx = csvNumber(row[frameCol]);
+    if (Number.isNaN(frameIdx)) continue;
+    lastFrame = Math.max(lastFrame, frameIdx);
+
+    const cell = (i: number | undefined) => (i === undefined ? "" : row[i]);
+    const trackName = cell(trackCol);
+    const scoreCell = cell(scoreCol);
+    const points = nodeCols.map(({ x, y, score }) => [
+      csvNumber(cell(x)),
+      csvNumber(cell(y)),
+      csvNumber(cell(score)),
+    ]);
+    const hasPoints = points.some(
+      ([x, y]) => !(Number.isNaN(x) && Number.isNaN(y)),
+    );
+    if (!trackName && !scoreCell && !hasPoints) continue;
+
+    let track: Track | null = null;
+    if (trackName) {
+      track = tracks.get(trackName) ?? new Track(trackName);
+      tracks.set(trackName, track);
+    }
+    const instance = scoreCell
+      ? PredictedInstance.fromNumpy({
+          pointsData: points,
+          skeleton,
+          track,
+          score: csvNumber(scoreCell),
+        })
+      : Instance.fromNumpy({
+          pointsData: points.map(([x, y]) => [x, y]),
+          skeleton,
+          track,
+        });
+
+    let frame = frames.get(frameIdx);
+    if (!frame) {
+      frame = new LabeledFrame({ video, frameIdx, instances: [] });
+      frames.set(frameIdx, frame);
+    }
+    frame.instances.push(instance);
+    lastLabeled = Math.max(lastLabeled, frameIdx);
+  }
+
+  const labeledFrames = [...frames.values()];
+  if (!(options.video instanceof Video) && !video.shape) {
+    if (lastFrame > lastLabeled) {
+      // Only the frame count is known; height and width stay 0.
+      video.shape = [lastFrame + 1, 0, 0, 1];
+    }
+  }
+  return new Labels({
+    labeledFrames,
+    videos: [video],
+    skeletons: [skeleton],
+    tracks: [...tracks.values()],
+  });
+}
+
+/**
+ * Load a SLEAP Analysis CSV (e.g. from `sleap-track` or {@link saveLabelsCsv}).
+ *
+ * `source` is a file path (Node-only), or `{ text }` holding the CSV text
+ * itself (same as {@link labelsFromCsv}).
+ */
+export async function loadLabelsCsv(
+  source: string | { text: string },
+  options: CsvImportOptions = {},
+): Promise<Labels> {
+  if (typeof source !== "string") return labelsFromCsv(source.text, options);
+  const bytes = await nodeReadFile(source);
+  const labels = labelsFromCsv(new TextDecoder().decode(bytes), options);
+  labels.provenance.filename = source;
+  return labels;
+}
@@ -0,0 +1,59 @@
+/**
+ * Node-only path-based CVAT XML loader and saver.
+ *
+ * Wraps the browser-safe core in `cvat.ts`: reads / writes the XML on disk and
+ * resolves `<image>` names against the XML file's directory (and the `images/`
+ * folder of an extracted CVAT dataset export).
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import type { Labels } from "../model/labels.js";
+import {
+  readCvat,
+  type ReadCvatOptions,
+  writeCvat,
+  type WriteCvatOptions,
+} from "./cvat.js";
+
+/**
+ * Read a CVAT 1.1 XML file (e.g. an extracted `annotations.xml`). Unless the
+ * caller supplies `resolveImage`, image names found next to the XML file or
+ * under its `images/` folder are made absolute; others are kept as is.
+ */
+export function loadCvat(
+  xmlPath: string,
+  options: ReadCvatOptions = {},
+): Labels {
+  if (!fs.existsSync(xmlPath)) {
+    throw new Error(`CVAT annotation file not found: ${xmlPath}`);
+  }
+  const text = fs.readFileSync(xmlPath, "utf-8");
+  const root = path.dirname(xmlPath);
+  const resolveImage =
+    options.resolveImage ??
+    ((name: string) => {
+      for (const candidate of [
+        path.join(root, name),
+        path.join(root, "images", name),
+      ]) {
+        if (fs.existsSync(candidate)) return candidate;
+      }
+      return name;
+    });
+  return readCvat(text, { ...options, resolveImage });
+}
+
+/**
+ * Save a {@link Labels} object as a CVAT 1.1 XML file ({@link writeCvat}).
+ * Images are referenced by name, not exported.
+ */
+export function saveCvat(
+  labels: Labels,
+  xmlPath: string,
+  options: WriteCvatOptions = {},
+): void {
+  fs.mkdirSync(path.dirname(xmlPath), { recursive: true });
+  fs.writeFileSync(xmlPath, writeCvat(labels, options));
+}
@@ -0,0 +1,942 @@
+/**
+ * CVAT XML (1.1) reader and writer.
+ *
+ * Handles both CVAT dump flavors:
+ *
+ * - "CVAT for images": one `<image>` per frame holding its shapes.
+ * - "CVAT for video": one `<track>` per object holding one shape per
+ *   (key)frame. Frames between keyframes are filled by linear interpolation,
+ *   as CVAT does, and a shape with `outside="1"` ends the object until the
+ *   next keyframe.
+ *
+ * `<skeleton>` shapes (and standalone `<points>` shapes) become
+ * {@link Instance}s, `<box>` shapes {@link UserBoundingBox}es and `<polygon>`
+ * shapes {@link UserROI}s. Every CVAT track becomes a {@link Track}; shapes that
+ * share a `group_id` (or a track) in a frame are linked to the same instance.
+ * Skeletons (nodes and edges) come from the `<labels>` spec in `<meta>`.
+ *
+ * This module is browser-safe. The path-based Node loader and saver live in
+ * `cvat-node.ts`.
+ */
+
+import { UserBoundingBox } from "../model/bbox.js";
+import { Instance, PredictedInstance, Track } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import type { ROI } from "../model/roi.js";
+import { UserROI } from "../model/roi.js";
+import { Skeleton } from "../model/skeleton.js";
+import { Video } from "../model/video.js";
+import {
+  parseXml,
+  type XmlAttributes,
+  type XmlElement,
+  XmlWriter,
+  xmlChild,
+  xmlChildren,
+  xmlChildText,
+} from "./xml-utils.js";
+
+/** Options for {@link readCvat}. */
+export interface ReadCvatOptions {
+  /**
+   * Video all frames belong to. CVAT frame numbers are mapped to frame
+   * indices through the task's `start_frame` and `frame_filter` step.
+   * Defaults to the task `<source>` for video (`interpolation`) tasks.
+   */
+  video?: Video | string;
+  /**
+   * Map an `<image>` name to the path stored on its {@link Video}, or `null` to
+   * skip the frame. Defaults to the name itself.
+   */
+  resolveImage?: (name: string) => string | null;
+  /** Fill track frames between keyframes (default `true`). */
+  interpolate?: boolean;
+}
+
+/**
+ * Predicate: true for text that looks like a CVAT XML dump (an `<annotations>`
+ * root holding `<meta>`, `<image>` or `<track>` elements).
+ */
+export function isCvatXml(text: string): boolean {
+  return (
+    /<annotations[\s>]/.test(text) && /<(meta|image|track)[\s>/]/.test(text)
+  );
+}
+
+// =============================================================================
+// Read
+// =============================================================================
+
+/** A node of a `<skeleton>` shape. */
+interface CvatNode {
+  xy: [number, number];
+  occluded: boolean;
+}
+
+/** One shape of an `<image>` or `<track>`, in pixels. */
+interface CvatShape {
+  type: "box" | "polygon" | "points" | "skeleton";
+  frame: number;
+  label: string;
+  outside: boolean;
+  occluded: boolean;
+  keyframe: boolean;
+  /** Links the shapes of one object within a frame (group or track). */
+  link: string | null;
+  /** Key of the {@link Track} the shape belongs to, if any. */
+  trackKey: string | null;
+  box?: { xtl: number; ytl: number; xbr: number; ybr: number; rot: number };
+  points?: number[][];
+  nodes?: Map<string, CvatNode>;
+}
+
+/** A `<labels>` entry. */
+interface CvatLabelSpec {
+  name: string;
+  type: string;
+  parent: string | null;
+  svg: string;
+}
+
+const SHAPE_TYPES = new Set(["box", "polygon", "points", "skeleton"]);
+
+/** Parse a CVAT `points` attribute (`x1,y1;x2,y2;...`). */
+function parsePoints(text: string | undefined): number[][] {
+  if (!text) return [];
+  return text
+    .split(";")
+    .filter((pair) => pair.trim())
+    .map((pair) => pair.split(",").map(Number));
+}
+
+/** Parse a box, polygon, points or skeleton element into a {@link CvatShape}. */
+function parseShape(
+  el: XmlElement,
+  frame: number,
+  label: string,
+  link: string | null,
+  trackKey: string | null,
+): CvatShape {
+  const a = el.attributes;
+  const shape: CvatShape = {
+    type: el.name as CvatShape["type"],
+    frame,
+    label,
+    outside: a.outside === "1",
+    occluded: a.occluded === "1",
+    keyframe: a.keyframe !== "0",
+    link,
+    trackKey,
+  };
+  if (el.name === "box") {
+    shape.box = {
+      xtl: Number(a.xtl),
+      ytl: Number(a.ytl),
+      xbr: Number(a.xbr),
+      ybr: Number(a.ybr),
+      rot: Number(a.rotation ?? 0),
+    };
+  } else if (el.name === "skeleton") {
+    shape.nodes = new Map();
+    for (const point of xmlChildren(el, "points")) {
+      if (point.attributes.outside === "1") continue;
+      const [xy] = parsePoints(point.attributes.points);
+      if (!xy) continue;
+      shape.nodes.set(point.attributes.label, {
+        xy: [xy[0], xy[1]],
+        occluded: point.attributes.occluded === "1",
+      });
+    }
+  } else {
+    shape.points = parsePoints(a.points);
+  }
+  return shape;
+}
+
+/** Linear interpolation of two point lists (`a` when their sizes differ). */
+function lerpPoints(a: number[][], b: number[][], t: number): number[][] {
+  if (a.length !== b.length) return a.map((p) => [...p]);
+  return a.map(([x, y], i) => [x + (b[i][0] - x) * t, y + (b[i][1] - y) * t]);
+}
+
+/** The shape between keyframes `a` and `b` at fraction `t` of the way. */
+function lerpShape(
+  a: CvatShape,
+  b: CvatShape,
+  frame: number,
+  t: number,
+): CvatShape {
+  const shape: CvatShape = { ...a, frame, keyframe: false };
+  // An object leaving the scene holds its last keyframe until it is gone.
+  if (b.outside) t = 0;
+  if (a.box && b.box) {
+    const lerp = (u: number, v: number) => u + (v - u) * t;
+    shape.box = {
+      xtl: lerp(a.box.xtl, b.box.xtl),
+      ytl: lerp(a.box.ytl, b.box.ytl),
+      xbr: lerp(a.box.xbr, b.box.xbr),
+      ybr: lerp(a.box.ybr, b.box.ybr),
+      rot: lerp(a.box.rot, b.box.rot),
+    };
+  }
+  if (a.points && b.points) shape.points = lerpPoints(a.points, b.points, t);
+  if (a.nodes && b.nodes) {
+    shape.nodes = new Map();
+    for (const [name, node] of a.nodes) {
+      const other = b.nodes.get(name);
+      const [xy] = other ? lerpPoints([node.xy], [other.xy], t) : [node.xy];
+      shape.nodes.set(name, { xy: [xy[0], xy[1]], occluded: node.occluded });
+    }
+  }
+  return shape;
+}
+
+/**
+ * Fill the frames between consecutive shapes of a track (sorted by frame)
+ * and drop `outside` shapes.
+ */
+function expandTrack(shapes: CvatShape[], interpolate: boolean): CvatShape[] {
+  const out: CvatShape[] = [];
+  shapes.forEach((a, k) => {
+    if (a.outside) return;
+    out.push(a);
+    const b = shapes[k + 1];
+    if (!interpolate || !b) return;
+    for (let f = a.frame + 1; f < b.frame; f++) {
+      out.push(lerpShape(a, b, f, (f - a.frame) / (b.frame - a.frame)));
+    }
+  });
+  return out;
+}
+
+/** Nodes and edges of a skeleton label, from its `<svg>` or its sublabels. */
+function specSkeleton(spec: CvatLabelSpec, sublabels: string[]): Skeleton {
+  const byId = new Map<string, string>();
+  for (const [circle] of spec.svg.matchAll(/<circle\b[^>]*>/g)) {
+    const id = /data-node-id="([^"]*)"/.exec(circle)?.[1];
+    const name = /data-label-name="([^"]*)"/.exec(circle)?.[1];
+    if (id != null && name != null) byId.set(id, name);
+  }
+  const nodes = byId.size
+    ? [...byId.entries()]
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([, name]) => name)
+    : sublabels;
+  const edges: [number, number][] = [];
+  for (const [line] of spec.svg.matchAll(/<line\b[^>]*>/g)) {
+    const from = byId.get(/data-node-from="([^"]*)"/.exec(line)?.[1] ?? "");
+    const to = byId.get(/data-node-to="([^"]*)"/.exec(line)?.[1] ?? "");
+    if (from == null || to == null) continue;
+    edges.push([nodes.indexOf(from), nodes.indexOf(to)]);
+  }
+  return new Skeleton({ nodes, edges, name: spec.name });
+}
+
+/** The `<labels>` spec of a task, job or project `<meta>`. */
+function readLabelSpecs(meta: XmlElement | undefined): CvatLabelSpec[] {
+  const owner =
+    meta &&
+    (xmlChild(meta, "task") ??
+      xmlChild(meta, "job") ??
+      xmlChild(meta, "project"));
+  const labels = owner && xmlChild(owner, "labels");
+  if (!labels) return [];
+  return xmlChildren(labels, "label").map((label) => ({
+    name: xmlChildText(label, "name") ?? "",
+    type: xmlChildText(label, "type") ?? "any",
+    parent: xmlChildText(label, "parent") || null,
+    svg: xmlChild(label, "svg")?.text ?? "",
+  }));
+}
+
+/**
+ * Read a CVAT 1.1 XML dump into {@link Labels}. Browser-safe core (no `fs`).
+ *
+ * Frames come from a video when `options.video` is given or the task is a
+ * video task with a `<source>`; otherwise `<image>` names become image-list
+ * videos, one per image size. CVAT tracks are named `track_<id>` (the first
+ * CVAT track id of each group). Shape `source` is not kept: everything is read
+ * as user annotations. Shapes other than boxes, polygons, points and skeletons
+ * (masks, polylines, ellipses, cuboids) are skipped with a warning.
+ *
+ * @throws On malformed XML, or a root element other than `<annotations>`.
+ */
+export function readCvat(xml: string, options: ReadCvatOptions = {}): Labels {
+  const root = parseXml(xml);
+  if (root.name !== "annotations") {
+    throw new Error(
+      `Not a CVAT XML document (root element is <${root.name}>).`,
+    );
+  }
+  const interpolate = options.interpolate ?? true;
+  const meta = xmlChild(root, "meta");
+  const task =
+    meta &&
+    (xmlChild(meta, "task") ??
+      xmlChild(meta, "job") ??
+      xmlChildren(
+        xmlChild(xmlChild(meta, "project") ?? meta, "tasks") ?? meta,
+        "task",
+      )[0]);
+
+  // Shapes from <image> and <track> elements.
+  const shapes: CvatShape[] = [];
+  const images = new Map<
+    number,
+    { name: string; width: number; height: number }
+  >();
+  const skipped = new Set<string>();
+  const trackNames = new Map<string, string>();
+  for (const el of root.children) {
+    if (el.name === "image") {
+      const frame = Number(el.attributes.id);
+      images.set(frame, {
+        name: el.attributes.name ?? `frame_${frame}`,
+        width: Number(el.attributes.width ?? 0),
+        height: Number(el.attributes.height ?? 0),
+      });
+      for (const child of el.children) {
+        if (!SHAPE_TYPES.has(child.name)) {
+          if (child.name !== "tag") skipped.add(child.name);
+          continue;
+        }
+        const group = Number(child.attributes.group_id ?? 0);
+        shapes.push(
+          parseShape(
+            child,
+            frame,
+            child.attributes.label,
+            group ? `g${group}` : null,
+            null,
+          ),
+        );
+      }
+    } else if (el.name === "track") {
+      const group = Number(el.attributes.group_id ?? 0);
+      const key = group ? `g${group}` : `t${el.attributes.id}`;
+      if (!trackNames.has(key))
+        trackNames.set(key, `track_${el.attributes.id}`);
+      const trackShapes = el.children
+        .filter((child) => {
+          if (SHAPE_TYPES.has(child.name)) return true;
+          skipped.add(child.name);
+          return false;
+        })
+        .map((child) =>
+          parseShape(
+            child,
+            Number(child.attributes.frame),
+            el.attributes.label,
+            key,
+            key,
+          ),
+        )
+        .sort((a, b) => a.frame - b.frame);
+      shapes.push(...expandTrack(trackShapes, interpolate));
+    }
+  }
+  if (skipped.size) {
+    console.warn(
+      `CVAT shapes not supported, skipped: ${[...skipped].sort().join(", ")}.`,
+    );
+  }
+
+  // Skeletons: from the label spec, else inferred from the shapes.
+  const specs = readLabelSpecs(meta);
+  const skeletons = new Map<string, Skeleton>();
+  for (const spec of specs) {
+    if (spec.type !== "skeleton") continue;
+    const sublabels = specs
+      .filter((s) => s.parent === spec.name)
+      .map((s) => s.name);
+    skeletons.set(spec.name, specSkeleton(spec, sublabels));
+  }
+  const inferred = new Map<string, string[]>();
+  for (const shape of shapes) {
+    if (skeletons.has(shape.label)) continue;
+    if (shape.type !== "skeleton" && shape.type !== "points") continue;
+    const nodes = inferred.get(shape.label) ?? [];
+    inferred.set(shape.label, nodes);
+    if (shape.nodes) {
+      for (const name of shape.nodes.keys()) {
+        if (!nodes.includes(name)) nodes.push(name);
+      }
+    } else {
+      for (let k = nodes.length; k < (shape.points?.length ?? 0); k++) {
+        nodes.push(String(k + 1));
+      }
+    }
+  }
+  for (const [label, nodes] of inferred) {
+    skeletons.set(label, new Skeleton({ nodes, name: label }));
+  }
+
+  // Frames: one video for video tasks, else image-list videos by size.
+  const start = Number(task ? (xmlChildText(task, "start_frame") ?? 0) : 0);
+  const filter = task ? (xmlChildText(task, "frame_filter") ?? "") : "";
+  const step = Number(/step\s*=\s*(\d+)/.exec(filter)?.[1] ?? 1);
+  let video: Video | null = null;
+  if (options.video instanceof Video) {
+    video = options.video;
+  } else if (options.video != null) {
+    video = new Video({ filename: options.video, openBackend: false });
+  } else {
+    const source = task ? xmlChildText(task, "source") : undefined;
+    const mode = task ? xmlChildText(task, "mode") : undefined;
+    const hasImages = images.size > 0;
+    if (source && (mode === "interpolation" || !hasImages)) {
+      video = new Video({ filename: source, openBackend: false });
+      const size = task && xmlChild(task, "original_size");
+      const stop = task ? xmlChildText(task, "stop_frame") : undefined;
+      if (size && stop != null) {
+        video.shape = [
+          Number(stop) + 1,
+          Number(xmlChildText(size, "height")),
+          Number(xmlChildText(size, "width")),
+          3,
+        ];
+      }
+    } else if (!hasImages) {
+      video = new Video({
+        filename: (task && xmlChildText(task, "name")) || "cvat",
+        openBackend: false,
+      });
+    }
+  }
+  const resolveImage = options.resolveImage ?? ((name: string) => name);
+  const imageFrames = new Map<number, { video: Video; frameIdx: number }>();
+  if (!video) {
+    const groups = new Map<string, string[]>();
+    const groupVideos = new Map<string, Video>();
+    for (const [frame, image] of [...images].sort(([a], [b]) => a - b)) {
+      const path = resolveImage(image.name);
+      if (path == null) continue;
+      const key = `${image.height},${image.width}`;
+      let paths = groups.get(key);
+      if (!paths) {
+        paths = [];
+        groups.set(key, paths);
+        groupVideos.set(
+          key,
+          new Video({
+            filename: paths,
+            openBackend: false,
+            backendMetadata: { shape: [0, image.height, image.width, 3] },
+          }),
+        );
+      }
+      imageFrames.set(frame, {
+        video: groupVideos.get(key) as Video,
+        frameIdx: paths.length,
+      });
+      paths.push(path);
+    }
+    for (const [key, paths] of groups) {
+      (groupVideos.get(key)?.backendMetadata.shape as number[])[0] =
+        paths.length;
+    }
+  }
+  const frameFor = (frame: number) =>
+    video ? { video, frameIdx: start + frame * step } : imageFrames.get(frame);
+
+  // Build frames in CVAT frame order.
+  const tracks = new Map<string, Track>();
+  const trackFor = (key: string | null): Track | null => {
+    if (key == null) return null;
+    let track = tracks.get(key);
+    if (!track) {
+      track = new Track(trackNames.get(key) ?? key);
+      tracks.set(key, track);
+    }
+    return track;
+  };
+  const byFrame = new Map<number, CvatShape[]>();
+  for (const shape of shapes) {
+    const list = byFrame.get(shape.frame) ?? [];
+    list.push(shape);
+    byFrame.set(shape.frame, list);
+  }
+  const frames = [...new Set([...images.keys(), ...byFrame.keys()])].sort(
+    (a, b) => a - b,
+  );
+
+  const labeledFrames: LabeledFrame[] = [];
+  for (const frame of frames) {
+    const target = frameFor(frame);
+    if (!target) continue;
+    const frameShapes = byFrame.get(frame) ?? [];
+    const instances: Instance[] = [];
+    const linked = new Map<string, Instance>();
+    for (const shape of frameShapes) {
+      if (shape.type !== "skeleton" && shape.type !== "points") continue;
+      const skeleton = skeletons.get(shape.label) as Skeleton;
+      const rows = skeleton.nodeNames.map((name, k) => {
+        if (shape.nodes) {
+          const node = shape.nodes.get(name);
+          return node
+            ? [node.xy[0], node.xy[1], node.occluded ? 0 : 1]
+            : [Number.NaN, Number.NaN, 0];
+        }
+        const xy = shape.points?.[k];
+        return xy
+          ? [xy[0], xy[1], shape.occluded ? 0 : 1]
+          : [Number.NaN, Number.NaN, 0];
+      });
+      const instance = Instance.fromNumpy({
+        pointsData: rows,
+        skeleton,
+        track: trackFor(shape.trackKey),
+      });
+      instances.push(instance);
+      if (shape.link && !linked.has(shape.link)) {
+        linked.set(shape.link, instance);
+      }
+    }
+
+    const lf = new LabeledFrame({ ...target, instances });
+    for (const shape of frameShapes) {
+      const instance = (shape.link && linked.get(shape.link)) || null;
+      const track = trackFor(shape.trackKey);
+      if (shape.box) {
+        lf.bboxes.push(
+          new UserBoundingBox({
+            x1: shape.box.xtl,
+            y1: shape.box.ytl,
+            x2: shape.box.xbr,
+            y2: shape.box.ybr,
+            angle: (shape.box.rot * Math.PI) / 180,
+            category: shape.label,
+            instance,
+            track,
+          }),
+        );
+      } else if (shape.type === "polygon" && shape.points?.length) {
+        lf.rois.push(
+          UserROI.fromPolygon(shape.points, {
+            category: shape.label,
+            instance,
+            track,
+          }),
+        );
+      }
+    }
+    labeledFrames.push(lf);
+  }
+
+  const videos = [
+    ...new Set(labeledFrames.map((lf) => lf.video)),
+    ...(video ? [video] : []),
+  ];
+  return new Labels({
+    labeledFrames,
+    videos: [...new Set(videos)],
+    skeletons: [...skeletons.values()],
+    tracks: [...tracks.values()],
+  });
+}
+
+// =============================================================================
+// Write
+// =============================================================================
+
+/** Options for {@link writeCvat}. */
+export interface WriteCvatOptions {
+  /**
+   * `"images"` writes one `<image>` per labeled frame ("CVAT for images");
+   * `"video"` writes one `<track>` per track ("CVAT for video", single video
+   * only). Defaults to `"video"` when the labels have tracks and one video,
+   * else `"images"`.
+   */
+  mode?: "images" | "video";
+  /** Task name written to `<meta>` (default `"sleap-io"`). */
+  taskName?: string;
+}
+
+/** Format a coordinate the way CVAT does (2 decimals). */
+function fmt(value: number): string {
+  return value.toFixed(2);
+}
+
+/** Format a point list as a CVAT `points` attribute. */
+function fmtPoints(points: number[][]): string {
+  return points.map(([x, y]) => `${fmt(x)},${fmt(y)}`).join(";");
+}
+
+/** Unique, non-empty label names for `skeletons`. */
+function skeletonLabelNames(skeletons: Skeleton[]): string[] {
+  const used = new Set<string>();
+  return skeletons.map((skeleton, i) => {
+    const base = skeleton.name || `skeleton_${i}`;
+    let name = base;
+    for (let k = 1; used.has(name); k += 1) name = `${base}_${k}`;
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * The `<svg>` CVAT stores for a skeleton label: nodes on a circle in its
+ * 100 x 100 canvas, edges as lines.
+ */
+function skeletonSvg(skeleton: Skeleton): string {
+  const n = skeleton.nodes.length;
+  const at = (k: number) => [
+    50 + 40 * Math.cos((2 * Math.PI * k) / Math.max(n, 1)),
+    50 + 40 * Math.sin((2 * Math.PI * k) / Math.max(n, 1)),
+  ];
+  const lines = skeleton.edgeIndices.map(([a, b]) => {
+    const [x1, y1] = at(a);
+    const [x2, y2] = at(b);
+    return (
+      `<line x1="${fmt(x1)}" y1="${fmt(y1)}" x2="${fmt(x2)}" y2="${fmt(y2)}" ` +
+      `stroke="black" data-type="edge" data-node-from="${a + 1}" ` +
+      `stroke-width="0.5" data-node-to="${b + 1}"></line>`
+    );
+  });
+  const circles = skeleton.nodeNames.map((name, k) => {
+    const [cx, cy] = at(k);
+    return (
+      `<circle r="1.5" stroke="black" fill="#b3b3b3" cx="${fmt(cx)}" ` +
+      `cy="${fmt(cy)}" stroke-width="0.1" data-type="element node" ` +
+      `data-element-id="${k + 1}" data-node-id="${k + 1}" ` +
+      `data-label-name="${name.replaceAll('"', "&quot;")}"></circle>`
+    );
+  });
+  return [...lines, ...circles].join("\n");
+}
+
+/** The image name of a frame in `"images"` mode. */
+function imageName(frame: LabeledFrame, multiVideo: boolean): string {
+  const { filename } = frame.video;
+  if (Array.isArray(filename) && filename[frame.frameIdx] != null) {
+    return filename[frame.frameIdx];
+  }
+  const name = `frame_${String(frame.frameIdx).padStart(6, "0")}`;
+  if (!multiVideo || Array.isArray(filename)) return name;
+  const stem =
+    filename
+      .split(/[\\/]/)
+      .pop()
+      ?.replace(/\.[^.]*$/, "") ?? "";
+  return `${stem}/${name}`;
+}
+
+/** One writable shape of a frame, with its object key for tracks. */
+interface WriteShape {
+  el: "skeleton" | "box" | "polygon";
+  label: string;
+  source: "manual" | "auto";
+  group: number;
+  /** Track (or object) the shape belongs to, for `"video"` mode. */
+  object: string;
+  write: (w: XmlWriter, attrs: XmlAttributes) => void;
+}
+
+/**
+ * Convert a {@link Labels} object into a CVAT 1.1 XML document (the inverse of
+ * {@link readCvat}). Browser-safe.
+ *
+ * Each instance becomes a `<skeleton>` (missing nodes `outside`, invisible
+ * ones `occluded`). Its linked boxes (`<box>`) and ROIs (`<polygon>`, exterior
+ * rings) share its `group_id`; other boxes and ROIs are written on their own,
+ * labeled by `category`. Predicted items are written with `source="auto"`.
+ * In `"video"` mode every object is a `<track>` keyed on every frame it
+ * appears in (untracked instances become one-frame tracks), and the frame
+ * after each run is marked `outside`. Masks are not written.
+ *
+ * @throws In `"video"` mode, when the labels hold more than one video.
+ */
+export function writeCvat(
+  labels: Labels,
+  options: WriteCvatOptions = {},
+): string {
+  const frames = labels.labeledFrames;
+  const videos = [...new Set(frames.map((lf) => lf.video))];
+  const mode =
+    options.mode ??
+    (videos.length === 1 &&
+    frames.some((lf) => lf.instances.some((inst) => inst.track))
+      ? "video"
+      : "images");
+  if (mode === "video" && videos.length > 1) {
+    throw new Error(
+      `CVAT video export needs a single video, got ${videos.length}.`,
+    );
+  }
+  const skeletons = [
+    ...new Set([
+      ...labels.skeletons,
+      ...frames.flatMap((lf) => lf.instances.map((inst) => inst.skeleton)),
+    ]),
+  ];
+  const skeletonNames = new Map(
+    skeletonLabelNames(skeletons).map((name, i) => [skeletons[i], name]),
+  );
+
+  // Label spec: skeletons first, then box / polygon categories.
+  const categories = new Map<string, string>();
+  const addCategory = (name: string, type: string) => {
+    const known = categories.get(name);
+    categories.set(name, known && known !== type ? "any" : type);
+  };
+
+  // Shapes per frame.
+  const trackIds = new Map(labels.tracks.map((track, i) => [track, i]));
+  const frameShapes = frames.map((lf) => {
+    const shapes: WriteShape[] = [];
+    let nextGroup = 1;
+    const groups = new Map<Instance, number>();
+    const groupOf = (instance: Instance | null): number => {
+      if (!instance || !lf.instances.includes(instance)) return 0;
+      let group = groups.get(instance);
+      if (group === undefined) {
+        group = nextGroup++;
+        groups.set(instance, group);
+      }
+      return group;
+    };
+    const linkedItems = new Set<Instance>([
+      ...lf.bboxes.flatMap((b) => (b.instance ? [b.instance] : [])),
+      ...lf.rois.flatMap((r) => (r.instance ? [r.instance] : [])),
+    ]);
+    const objectOf = (
+      track: Track | null,
+      suffix: string,
+      fallback: string,
+    ): string =>
+      track ? `t${trackIds.get(track) ?? track.name}:${suffix}` : fallback;
+
+    lf.instances.forEach((inst, i) => {
+      const label = skeletonNames.get(inst.skeleton) as string;
+      const group = linkedItems.has(inst) ? groupOf(inst) : 0;
+      shapes.push({
+        el: "skeleton",
+        label,
+        source: inst instanceof PredictedInstance ? "auto" : "manual",
+        group,
+        object: objectOf(inst.track ?? null, label, `f${lf.frameIdx}:i${i}`),
+        write: (w, attrs) => {
+          w.start("skeleton", attrs);
+          inst.points.forEach((point, k) => {
+            const [x, y] = point.xy;
+            const missing = Number.isNaN(x) || Number.isNaN(y);
+            const pointAttrs: XmlAttributes = {
+              label: inst.skeleton.nodeNames[k],
+              source: attrs.source,
+              outside: missing ? 1 : 0,
+              occluded: !missing && !point.visible ? 1 : 0,
+            };
+            if ("keyframe" in attrs) pointAttrs.keyframe = attrs.keyframe;
+            pointAttrs.points = missing ? "0.00,0.00" : fmtPoints([[x, y]]);
+            w.empty("points", pointAttrs);
+          });
+          w.end();
+        },
+      });
+    });
+    lf.bboxes.forEach((box, i) => {
+      const label = box.category || "object";
+      addCategory(label, "rectangle");
+      const track = box.track ?? box.instance?.track ?? null;
+      shapes.push({
+        el: "box",
+        label,
+        source: box.isPredicted ? "auto" : "manual",
+        group: groupOf(box.instance),
+        object: objectOf(track, `box:${label}`, `f${lf.frameIdx}:b${i}`),
+        write: (w, attrs) => {
+          const hw = box.width / 2;
+          const hh = box.height / 2;
+          w.empty("box", {
+            ...attrs,
+            xtl: fmt(box.xCenter - hw),
+            ytl: fmt(box.yCenter - hh),
+            xbr: fmt(box.xCenter + hw),
+            ybr: fmt(box.yCenter + hh),
+            rotation: box.angle ? fmt((box.angle * 180) / Math.PI) : null,
+          });
+        },
+      });
+    });
+    lf.rois.forEach((roi: ROI, i) => {
+      const label = roi.category || "object";
+      const rings = exteriorRings(roi);
+      if (!rings.length) return;
+      addCategory(label, "polygon");
+      const track = roi.track ?? roi.instance?.track ?? null;
+      rings.forEach((ring, r) => {
+        shapes.push({
+          el: "polygon",
+          label,
+          source: roi.isPredicted ? "auto" : "manual",
+          group: groupOf(roi.instance),
+          object: objectOf(
+            track,
+            `polygon:${label}:${r}`,
+            `f${lf.frameIdx}:p${i}:${r}`,
+          ),
+          write: (w, attrs) => {
+            w.empty("polygon", { ...attrs, points: fmtPoints(ring) });
+          },
+        });
+      });
+    });
+    return shapes;
+  });
+
+  const w = new XmlWriter();
+  w.start("annotations");
+  w.text("version", "1.1");
+  const video = videos[0];
+  const shape = mode === "video" ? video?.shape : null;
+  const maxFrame = Math.max(0, ...frames.map((lf) => lf.frameIdx));
+  const size = mode === "video" ? shape?.[0] || maxFrame + 1 : frames.length;
+
+  w.start("meta").start("task");
+  w.text("name", options.taskName ?? "sleap-io");
+  w.text("size", size);
+  w.text("mode", mode === "video" ? "interpolation" : "annotation");
+  w.text("overlap", 0);
+  w.text("start_frame", 0);
+  w.text("stop_frame", Math.max(0, size - 1));
+  w.text("frame_filter", "");
+  w.start("labels");
+  for (const [skeleton, name] of skeletonNames) {
+    w.start("label");
+    w.text("name", name);
+    w.text("type", "skeleton");
+    w.empty("attributes");
+    w.text("svg", skeletonSvg(skeleton));
+    w.end();
+    for (const node of skeleton.nodeNames) {
+      w.start("label");
+      w.text("name", node);
+      w.text("type", "points");
+      w.empty("attributes");
+      w.text("parent", name);
+      w.end();
+    }
+  }
+  for (const [name, type] of categories) {
+    w.start("label");
+    w.text("name", name);
+    w.text("type", type);
+    w.empty("attributes");
+    w.end();
+  }
+  w.end();
+  if (mode === "video" && video) {
+    if (shape) {
+      w.start("original_size");
+      w.text("width", shape[2]);
+      w.text("height", shape[1]);
+      w.end();
+    }
+    const filename = Array.isArray(video.filename)
+      ? video.filename[0]
+      : video.filename;
+    w.text("source", filename ?? "");
+  }
+  w.end().end();
+
+  if (mode === "images") {
+    const multiVideo = videos.length > 1;
+    frames.forEach((lf, index) => {
+      const dims = lf.video.shape;
+      w.start("image", {
+        id:
+          videos.length === 1 && !Array.isArray(lf.video.filename)
+            ? lf.frameIdx
+            : index,
+        name: imageName(lf, multiVideo),
+        width: dims?.[2] ?? null,
+        height: dims?.[1] ?? null,
+      });
+      for (const s of frameShapes[index]) {
+        const attrs: XmlAttributes = {
+          label: s.label,
+          source: s.source,
+          occluded: 0,
+          z_order: 0,
+        };
+        if (s.group) attrs.group_id = s.group;
+        s.write(w, attrs);
+      }
+      w.end();
+    });
+  } else {
+    // Collect each object's shapes over frames, in order of first appearance.
+    const objects = new Map<
+      string,
+      { shape: WriteShape; frame: number; group: number }[]
+    >();
+    const order = frames
+      .map((lf, index) => ({ lf, index }))
+      .sort((a, b) => a.lf.frameIdx - b.lf.frameIdx);
+    for (const { lf, index } of order) {
+      for (const s of frameShapes[index]) {
+        const list = objects.get(s.object) ?? [];
+        list.push({ shape: s, frame: lf.frameIdx, group: s.group });
+        objects.set(s.object, list);
+      }
+    }
+    // Objects of one track share a group id so they read back linked.
+    const trackGroups = new Map<string, number>();
+    let id = 0;
+    for (const [key, entries] of objects) {
+      const first = entries[0].shape;
+      const trackKey = key.startsWith("t") ? key.split(":")[0] : null;
+      let group = 0;
+      if (trackKey) {
+        group = trackGroups.get(trackKey) ?? trackGroups.size + 1;
+        trackGroups.set(trackKey, group);
+      }
+      const trackAttrs: XmlAttributes = {
+        id: id++,
+        label: first.label,
+        source: first.source,
+      };
+      if (group) trackAttrs.group_id = group;
+      w.start("track", trackAttrs);
+      entries.forEach(({ shape: s, frame }, k) => {
+        const attrs = {
+          frame,
+          keyframe: 1,
+          outside: 0,
+          occluded: 0,
+          z_order: 0,
+        };
+        s.write(w, attrs);
+        const next = entries[k + 1];
+        if ((next ? next.frame : size) > frame + 1) {
+          s.write(w, { ...attrs, frame: frame + 1, outside: 1 });
+        }
+      });
+      w.end();
+    }
+  }
+  w.end();
+  return w.toString();
+}
+
+/** Exterior rings (unclosed) of an ROI's polygons. */
+function exteriorRings(roi: ROI): number[][][] {
+  const { geometry } = roi;
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+  return polygons
+    .map((polygon) => {
+      const ring = polygon[0] ?? [];
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      const closed =
+        ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+      return closed ? ring.slice(0, -1) : ring;
+    })
+    .filter((ring) => ring.length >= 3);
+}
@@ -7,6 +7,8 @@
  * - supplies a real-`fs` {@link DlcFileSystem} adapter and re-exposes the core
  *   readers as path-based `loadDlc` / `loadDlcProject` (plus fs-backed
  *   `isDlcFile` / `readDlcConfig` / `discoverConfig` / `isDlcProjectPath`);
+ * - writes annotations back out as a CSV (`saveDlc`) or a whole project
+ *   (`saveDlcProject`), exporting the labeled frame images;
  * - implements `loadDlcSplits`, which recovers a DLC project's train/test
  *   partition from its `Documentation_data-*.pickle` — this needs a Python
  *   pickle decoder built on `Buffer`, so it lives here and never enters the
@@ -18,9 +20,12 @@
 
 import * as fs from "fs";
 import * as path from "path";
+import YAML from "yaml";
 
+import type { LabeledFrame } from "../model/labeled-frame.js";
 import { Labels } from "../model/labels.js";
 import { LabelsSet } from "../model/labels-set.js";
+import type { Video } from "../model/video.js";
 import {
   warn,
   readDlc,
@@ -33,9 +38,16 @@ import {
   findProjectCsvs,
   resolveProjectConfigPath,
   videoSetsStemMap,
+  defaultDlcImagePath,
+  dlcVideoFolderName,
+  dlcVideoSetKey,
+  writeDlcCsv,
+  writeDlcConfig,
   type Config,
   type DlcFileSystem,
+  type WriteDlcCsvOptions,
 } from "./dlc.js";
+import { exportFrameImage } from "./frame-images-node.js";
 
 // Re-export the browser-safe core + pure helpers so the Node entry point
 // (which exports only this module for DLC) exposes the full public API.
@@ -53,6 +65,12 @@ export {
   findProjectCsvs,
   resolveProjectConfigPath,
   readDlcDataframe,
+  dlcVideoSetKey,
+  dlcVideoFolderName,
+  defaultDlcImagePath,
+  formatDlcCrop,
+  writeDlcCsv,
+  writeDlcConfig,
 } from "./dlc.js";
 export type {
   DlcFileSystem,
@@ -60,6 +78,8 @@ export type {
   ReadDlcOptions,
   ReadDlcProjectOptions,
   DlcDataframe,
+  WriteDlcCsvOptions,
+  WriteDlcConfigOptions,
 } from "./dlc.js";
 
 // -----------------------------------------------------------------------------
@@ -95,6 +115,10 @@ export const nodeDlcFileSystem: DlcFileSystem = {
 export interface LoadDlcOptions {
   videoSearchPaths?: string[];
   config?: string | false | null;
+  /** See {@link LoadDlcProjectOptions.useSourceVideos}. */
+  useSourceVideos?: boolean;
+  /** See {@link LoadDlcProjectOptions.configNodeOrder}. */
+  configNodeOrder?: boolean;
   /** Accepted-and-ignored (PR #488 parity): openVideos, lazy, etc. */
   [key: string]: unknown;
 }
@@ -105,11 +129,24 @@ export function loadDlc(filename: string, options?: LoadDlcOptions): Labels {
     fs: nodeDlcFileSystem,
     videoSearchPaths: options?.videoSearchPaths,
     config: options?.config ?? null,
+    useSourceVideos: options?.useSourceVideos,
+    configNodeOrder: options?.configNodeOrder,
   });
 }
 
 export interface LoadDlcProjectOptions {
   videoSearchPaths?: string[];
+  /**
+   * Load each folder's frames onto its `video_sets` source video at the frame
+   * numbers in the image names, instead of onto the folder's images by
+   * position (see {@link ReadDlcProjectOptions.useSourceVideos}).
+   */
+  useSourceVideos?: boolean;
+  /**
+   * Order nodes as the config lists the bodyparts instead of by name (see
+   * {@link ReadDlcProjectOptions.configNodeOrder}).
+   */
+  configNodeOrder?: boolean;
   /** Accepted-and-ignored (PR #488 parity). */
   [key: string]: unknown;
 }
@@ -122,6 +159,8 @@ export function loadDlcProject(
   return readDlcProject(path.resolve(config), {
     fs: nodeDlcFileSystem,
     videoSearchPaths: options?.videoSearchPaths,
+    useSourceVideos: options?.useSourceVideos,
+    configNodeOrder: options?.configNodeOrder,
   });
 }
 
@@ -157,6 +196,211 @@ export function isDlcProjectPath(filename: string): boolean {
   return coreIsDlcProjectPath(filename, nodeDlcFileSystem);
 }
 
+// -----------------------------------------------------------------------------
+// Writing (labeled-data folders, extracted frame images, config.yaml)
+// -----------------------------------------------------------------------------
+
+/** Options for {@link saveDlc}. */
+export interface SaveDlcOptions
+  extends Omit<WriteDlcCsvOptions, "imagePath" | "video"> {
+  /** Export each labeled frame's image (default `true`). */
+  saveImages?: boolean;
+  /** PNG compression level (0–9) for frames encoded from decoded pixels. */
+  imageQuality?: number | null;
+}
+
+/** Options for {@link saveDlcProject}. */
+export interface SaveDlcProjectOptions
+  extends Omit<WriteDlcCsvOptions, "imagePath" | "video"> {
+  /** Task name (default: the existing config's, else the skeleton name). */
+  task?: string;
+  /** Project date (default: the existing config's, else today). */
+  date?: string;
+  /** PNG compression level (0–9) for frames encoded from decoded pixels. */
+  imageQuality?: number | null;
+}
+
+/**
+ * `labeled-data/<folder>` name per video with labeled frames. Videos sharing a
+ * stem get a numeric suffix (their folders then no longer link to
+ * `video_sets`).
+ */
+function dlcFolderNames(labels: Labels): Map<Video, string> {
+  const names = new Map<Video, string>();
+  const used = new Set<string>();
+  for (const video of labels.videos) {
+    if (!labels.labeledFrames.some((lf) => lf.video === video)) continue;
+    const stem = dlcVideoFolderName(video);
+    let name = stem;
+    for (let i = 1; used.has(name); i += 1) name = `${stem}_${i}`;
+    if (name !== stem) {
+      warn(
+        `Multiple videos share the DLC folder name '${stem}'; writing ` +
+          `'${name}', which will not link back to its source video.`,
+      );
+    }
+    used.add(name);
+    names.set(video, name);
+  }
+  return names;
+}
+
+/**
+ * Export the images of `frames` into `dir`, named like
+ * {@link defaultDlcImagePath}. Returns each written frame's CSV image path
+ * (`labeled-data/<folder>/<file>`) and the first image's `[height, width]`.
+ * Frames without an obtainable image are skipped with a warning.
+ */
+async function exportDlcImages(
+  frames: LabeledFrame[],
+  folder: string,
+  dir: string,
+  imageQuality: number | null,
+): Promise<{
+  paths: Map<LabeledFrame, string>;
+  shape: [number, number] | null;
+}> {
+  fs.mkdirSync(dir, { recursive: true });
+  const paths = new Map<LabeledFrame, string>();
+  let shape: [number, number] | null = null;
+  for (const frame of frames) {
+    const stem = path.posix.basename(defaultDlcImagePath(frame), ".png");
+    const written = await exportFrameImage(frame, dir, stem, imageQuality);
+    if (written === null) {
+      warn(`Could not load frame ${frame.frameIdx} from video, skipping.`);
+      continue;
+    }
+    shape = shape ?? written.shape;
+    paths.set(frame, `labeled-data/${folder}/${written.name}`);
+  }
+  return { paths, shape };
+}
+
+/**
+ * Save labels as a single DeepLabCut annotation CSV ({@link writeDlcCsv}).
+ *
+ * By default each labeled frame's image is exported where {@link loadDlc}
+ * finds it: next to the CSV when the frames come from one video, else under
+ * `labeled-data/<folder>/` next to the CSV. Frames whose image cannot be
+ * obtained are left out with a warning. No `config.yaml` is written; use
+ * {@link saveDlcProject} for a complete project.
+ */
+export async function saveDlc(
+  labels: Labels,
+  csvPath: string,
+  options: SaveDlcOptions = {},
+): Promise<void> {
+  const { saveImages = true, imageQuality = null, ...csvOptions } = options;
+  const root = path.dirname(csvPath);
+  fs.mkdirSync(root, { recursive: true });
+
+  let imagePath: WriteDlcCsvOptions["imagePath"];
+  if (saveImages) {
+    const folders = dlcFolderNames(labels);
+    const paths = new Map<LabeledFrame, string>();
+    for (const [video, folder] of folders) {
+      const dir =
+        folders.size > 1 ? path.join(root, "labeled-data", folder) : root;
+      const frames = labels.labeledFrames.filter((lf) => lf.video === video);
+      const exported = await exportDlcImages(frames, folder, dir, imageQuality);
+      for (const [frame, p] of exported.paths) paths.set(frame, p);
+    }
+    imagePath = (frame) => paths.get(frame) ?? null;
+  }
+  fs.writeFileSync(csvPath, writeDlcCsv(labels, { ...csvOptions, imagePath }));
+}
+
+/**
+ * Save labels as a DeepLabCut project rooted at `projectDir`.
+ *
+ * Writes, per labeled video, `labeled-data/<folder>/` holding the extracted
+ * frame images (`img<frameIdx>.png`) and `CollectedData_<scorer>.csv`, and
+ * creates or updates `config.yaml` ({@link writeDlcConfig}): bodyparts,
+ * individuals, skeleton edges and a `video_sets` entry per video. A video's
+ * crop is its {@link Video.cropRect}, else its `provenance["dlc_crops"]`
+ * entry, else the full frame. An existing config keeps its other settings and
+ * `video_sets` entries; the scorer, task and date default to its values, then
+ * to the labels' `dlc_scorer` / `dlc_task` provenance.
+ *
+ * The project re-loads through {@link loadDlcProject} with the same points,
+ * tracks and edges. The config lists the bodyparts in skeleton order, so
+ * loading with `configNodeOrder: true` keeps the node order (by default nodes
+ * are sorted by name). A project loaded with the default order is therefore
+ * saved with its bodyparts sorted; load it with `configNodeOrder: true` to keep
+ * its config's order through a save. Images are named `img<frameIdx>.png`, so loading with
+ * `useSourceVideos: true` puts the frames back on their source videos at the
+ * original frame indices; by default they index the exported images by
+ * position. Untracked instances come back on their `individual<k>` tracks. The pandas `.h5` copy
+ * DLC keeps next to each CSV is not written; DLC rebuilds it from the CSV
+ * (`convertcsv2h5`).
+ */
+export async function saveDlcProject(
+  labels: Labels,
+  projectDir: string,
+  options: SaveDlcProjectOptions = {},
+): Promise<void> {
+  const {
+    task,
+    date,
+    imageQuality = null,
+    scorer: scorerOption,
+    ...csvOptions
+  } = options;
+  const configPath = path.join(projectDir, "config.yaml");
+  const base = fs.existsSync(configPath)
+    ? coreReadDlcConfig(configPath, nodeDlcFileSystem)
+    : null;
+  const { provenance } = labels;
+  const scorer = String(
+    scorerOption ?? base?.scorer ?? provenance.dlc_scorer ?? "sleap",
+  );
+  const dlcCrops =
+    (provenance.dlc_crops as Record<string, number[]> | undefined) ?? {};
+
+  const videoSets: Record<string, readonly number[] | null> = {};
+  for (const [video, folder] of dlcFolderNames(labels)) {
+    const frames = labels.labeledFrames.filter((lf) => lf.video === video);
+    const { paths, shape } = await exportDlcImages(
+      frames,
+      folder,
+      path.join(projectDir, "labeled-data", folder),
+      imageQuality,
+    );
+    fs.writeFileSync(
+      path.join(
+        projectDir,
+        "labeled-data",
+        folder,
+        `CollectedData_${scorer}.csv`,
+      ),
+      writeDlcCsv(labels, {
+        ...csvOptions,
+        scorer,
+        video,
+        imagePath: (frame) => paths.get(frame) ?? null,
+      }),
+    );
+
+    const key = dlcVideoSetKey(video);
+    const [h, w] = video.shape?.slice(1, 3) ?? shape ?? [];
+    videoSets[key] =
+      video.cropRect ?? dlcCrops[key] ?? (h && w ? [0, 0, w, h] : null);
+  }
+
+  const taskName = task ?? base?.Task ?? provenance.dlc_task;
+  const cfg = writeDlcConfig(labels, {
+    scorer,
+    task: taskName == null ? undefined : String(taskName),
+    date,
+    multiAnimal: csvOptions.multiAnimal,
+    includePredictions: csvOptions.includePredictions,
+    projectPath: path.resolve(projectDir),
+    videoSets,
+    base,
+  });
+  fs.writeFileSync(configPath, YAML.stringify(cfg));
+}
+
 // -----------------------------------------------------------------------------
 // Training-set splits (Node-only: decodes a Python pickle via `Buffer`)
 // -----------------------------------------------------------------------------
@@ -1,8 +1,10 @@
 /**
- * DeepLabCut (DLC) format I/O — browser-safe read core.
+ * DeepLabCut (DLC) format I/O — browser-safe read/write core.
  *
- * TypeScript port of `sleap_io/io/dlc.py` (READ path only), adapted to the
- * JS/Node data model and runtime.
+ * TypeScript port of `sleap_io/io/dlc.py` (READ path), adapted to the JS/Node
+ * data model and runtime, plus the CSV and `config.yaml` builders behind the
+ * Node writers `saveDlc` / `saveDlcProject` ({@link writeDlcCsv},
+ * {@link writeDlcConfig}).
  *
  * In addition to reading a single DLC annotation CSV ({@link readDlc}), this
  * module can import an entire DLC *project* from its `config.yaml`
@@ -61,6 +63,12 @@
  *    `Skeleton.addEdge`, after validating both endpoints exist.
  * 5. **`**kwargs` ignored.** Python's forwarded loader kwargs (PR #488/#492) are
  *    modeled as an index signature on the options objects and ignored.
+ * 6. **`configNodeOrder`.** Opt-in: nodes follow the order the config lists
+ *    the bodyparts in (unlisted bodyparts follow, sorted) instead of Python's
+ *    sort by name, so a project written by `saveDlcProject` reloads in
+ *    skeleton order.
+ * 7. **`useSourceVideos`.** Opt-in: frames of a folder linked to its source
+ *    video load onto that video at the frame numbers in the image names.
  */
 
 import YAML from "yaml";
@@ -70,6 +78,7 @@ import { LabeledFrame } from "../model/labeled-frame.js";
 import { Instance, Track } from "../model/instance.js";
 import { Skeleton, Node } from "../model/skeleton.js";
 import { Video } from "../model/video.js";
+import { csvCell, parseCsvRows } from "./csv.js";
 
 /** Emit a warning. Centralized so messages can later be routed. */
 export function warn(msg: string): void {
@@ -325,6 +334,27 @@ export function resolveConfig(
   return readDlcConfig(config, fsys);
 }
 
+/**
+ * Order bodypart names as the config lists them (`bodyparts`, or
+ * `multianimalbodyparts` then `uniquebodyparts` for multi-animal projects);
+ * names the config does not list follow, sorted. Without a config (or with no
+ * bodypart lists in it) the names are sorted.
+ */
+function orderBodyparts(names: Iterable<string>, cfg: Config | null): string[] {
+  const listed = [
+    cfg?.bodyparts,
+    cfg?.multianimalbodyparts,
+    cfg?.uniquebodyparts,
+  ]
+    .filter(Array.isArray)
+    .flat()
+    .map(String);
+  const unique = new Set(names);
+  const ordered = [...new Set(listed)].filter((name) => unique.has(name));
+  const rest = [...unique].filter((name) => !ordered.includes(name)).sort();
+  return [...ordered, ...rest];
+}
+
 /**
  * Attach skeleton edges (and name) from a DLC config to a `Skeleton` in place.
  * Edges referencing bodyparts not present in the skeleton are dropped with a
@@ -514,10 +544,8 @@ export function readDlcDataframe(
   filename: string,
   fsys: DlcFileSystem,
 ): DlcDataframe {
-  const raw = fsys.readTextFile(filename).split(/\r?\n/);
-  // Strip a single trailing empty line if present.
-  if (raw.length > 0 && raw[raw.length - 1] === "") raw.pop();
-  const cells = raw.map((line) => line.split(","));
+  // Quoted cells (names holding `,` or `"`) are unquoted like pandas does.
+  const cells = parseCsvRows(fsys.readTextFile(filename));
 
   // Peek: detect format. Wrap in try/catch — too-few-rows -> SADLC path.
   let isMultianimal = false;
@@ -583,8 +611,14 @@ export function readDlcDataframe(
 // Structure / row parsing
 // -----------------------------------------------------------------------------
 
-/** Parse single-animal DLC structure to extract a `Skeleton`. */
-function parseSingleAnimalStructure(df: DlcDataframe): Skeleton {
+/**
+ * Parse single-animal DLC structure to extract a `Skeleton` (nodes sorted, or
+ * in the order of `cfg` when given, see {@link orderBodyparts}).
+ */
+function parseSingleAnimalStructure(
+  df: DlcDataframe,
+  cfg: Config | null = null,
+): Skeleton {
   const collected: string[] = [];
   const seen = new Set<string>();
   for (const [, bodypart, coord] of df.columns) {
@@ -595,12 +629,18 @@ function parseSingleAnimalStructure(df: DlcDataframe): Skeleton {
       }
     }
   }
-  const nodeNames = [...new Set(collected)].sort();
+  const nodeNames = orderBodyparts(collected, cfg);
   return new Skeleton({ nodes: nodeNames.map((n) => new Node(n)) });
 }
 
-/** Parse multi-animal DLC structure to extract a `Skeleton` and `Track`s. */
-function parseMultiAnimalStructure(df: DlcDataframe): {
+/**
+ * Parse multi-animal DLC structure to extract a `Skeleton` (nodes ordered as
+ * in {@link parseSingleAnimalStructure}) and `Track`s.
+ */
+function parseMultiAnimalStructure(
+  df: DlcDataframe,
+  cfg: Config | null = null,
+): {
   skeleton: Skeleton;
   tracks: Track[];
 } {
@@ -627,7 +667,7 @@ function parseMultiAnimalStructure(df: DlcDataframe): {
       collected.push(bodypart);
     }
   }
-  const nodeNames = [...new Set(collected)].sort();
+  const nodeNames = orderBodyparts(collected, cfg);
   const skeleton = new Skeleton({ nodes: nodeNames.map((n) => new Node(n)) });
   const tracks = [...trackMap.values()];
   return { skeleton, tracks };
@@ -761,6 +801,10 @@ export interface ReadDlcOptions {
    * string = force this config path.
    */
   config?: string | false | null;
+  /** See {@link ReadDlcProjectOptions.useSourceVideos}. */
+  useSourceVideos?: boolean;
+  /** See {@link ReadDlcProjectOptions.configNodeOrder}. */
+  configNodeOrder?: boolean;
   /** Accepted-and-ignored (PR #488 parity): openVideos, lazy, etc. */
   [key: string]: unknown;
 }
@@ -780,6 +824,8 @@ export function readDlc(filename: string, options: ReadDlcOptions): Labels {
     fs: fsys,
     config: cfg,
     videoSearchPaths: options.videoSearchPaths,
+    useSourceVideos: options.useSourceVideos,
+    configNodeOrder: options.configNodeOrder,
   });
 }
 
@@ -787,6 +833,8 @@ interface LoadDlcCsvOpts {
   fs: DlcFileSystem;
   config: Config | null;
   videoSearchPaths?: string[];
+  useSourceVideos?: boolean;
+  configNodeOrder?: boolean;
   /** Shared skeleton (project load) — skips structure parsing + edge attach. */
   skeleton?: Skeleton;
   /** Shared tracks (project load). */
@@ -806,12 +854,13 @@ function loadDlcCsv(filename: string, opts: LoadDlcCsvOpts): Labels {
     skeleton = opts.skeleton;
     tracks = opts.tracks ?? [];
   } else {
+    const orderCfg = opts.configNodeOrder ? opts.config : null;
     if (isMultianimal) {
-      const parsed = parseMultiAnimalStructure(df);
+      const parsed = parseMultiAnimalStructure(df, orderCfg);
       skeleton = parsed.skeleton;
       tracks = parsed.tracks;
     } else {
-      skeleton = parseSingleAnimalStructure(df);
+      skeleton = parseSingleAnimalStructure(df, orderCfg);
       tracks = [];
     }
     if (opts.config != null) {
@@ -874,6 +923,23 @@ function loadDlcCsv(filename: string, opts: LoadDlcCsvOpts): Labels {
     }
   }
 
+  // Optionally re-target linked folders at their source videos, at the frame
+  // numbers in the image names (`img0042.png` -> frame 42).
+  const onSource = new Set<string>();
+  if (opts.useSourceVideos) {
+    for (const [videoName, video] of videos) {
+      const paths = sortedVideoPaths.get(videoName)!;
+      const numbers = new Set(paths.map((p) => frameMap.get(p)));
+      const numbered = paths.every((p) =>
+        /\d/.test(posix.basename(p).replace(/\.[^.]*$/, "")),
+      );
+      if (video.sourceVideo && numbered && numbers.size === paths.length) {
+        videos.set(videoName, video.sourceVideo);
+        onSource.add(videoName);
+      }
+    }
+  }
+
   // Parse data rows -> labeled frames (in original CSV row order).
   const allFrames: LabeledFrame[] = [];
   for (let r = 0; r < df.index.length; r += 1) {
@@ -882,7 +948,9 @@ function loadDlcCsv(filename: string, opts: LoadDlcCsvOpts): Labels {
     if (!videos.has(videoName)) continue;
     const video = videos.get(videoName)!;
     const sortedPaths = sortedVideoPaths.get(videoName)!;
-    const videoFrameIdx = sortedPaths.indexOf(imgPath);
+    const videoFrameIdx = onSource.has(videoName)
+      ? frameMap.get(imgPath)!
+      : sortedPaths.indexOf(imgPath);
 
     const instances = isMultianimal
       ? parseMultiAnimalRow(df.columns, df.rows[r], skeleton, tracks)
@@ -913,6 +981,22 @@ export interface ReadDlcProjectOptions {
   /** The injected filesystem seam (required). */
   fs: DlcFileSystem;
   videoSearchPaths?: string[];
+  /**
+   * Put each `labeled-data/<folder>`'s frames on its linked `video_sets`
+   * source video, at the frame numbers in the image names (`img0042.png` is
+   * frame 42), instead of on an image-sequence `Video` of the folder indexed
+   * by position. Folders without a linked source, or whose image names do not
+   * give distinct frame numbers, keep the image-sequence video. Default
+   * `false`.
+   */
+  useSourceVideos?: boolean;
+  /**
+   * Order skeleton nodes as the config lists the bodyparts (`bodyparts`, or
+   * `multianimalbodyparts` then `uniquebodyparts`), with unlisted bodyparts
+   * following sorted, instead of sorting them by name as Python does. Default
+   * `false`.
+   */
+  configNodeOrder?: boolean;
   /** Accepted-and-ignored (PR #488 parity). */
   [key: string]: unknown;
 }
@@ -977,7 +1061,7 @@ export function readDlcProject(
   options: ReadDlcProjectOptions,
 ): Labels {
   const fsys = options.fs;
-  const videoSearchPaths = options.videoSearchPaths;
+  const { videoSearchPaths, useSourceVideos, configNodeOrder } = options;
   const configPath = resolveProjectConfigPath(config, fsys);
   const cfg = readDlcConfig(configPath, fsys);
   if (cfg === null) {
@@ -1016,7 +1100,9 @@ export function readDlcProject(
   }
 
   const sharedSkeleton = new Skeleton({
-    nodes: [...new Set(nodeNames)].sort().map((n) => new Node(n)),
+    nodes: orderBodyparts(nodeNames, configNodeOrder ? cfg : null).map(
+      (n) => new Node(n),
+    ),
   });
   attachConfigSkeleton(sharedSkeleton, cfg);
   const sharedTracks = trackNames.map((n) => new Track(n));
@@ -1030,6 +1116,7 @@ export function readDlcProject(
       fs: fsys,
       config: cfg,
       videoSearchPaths,
+      useSourceVideos,
       skeleton: sharedSkeleton,
       tracks: sharedTracks,
     });
@@ -1055,3 +1142,351 @@ export function readDlcProject(
   }
   return labels;
 }
+
+// -----------------------------------------------------------------------------
+// Writing
+// -----------------------------------------------------------------------------
+
+/** Filename stem of a video path (Windows separators allowed). */
+function pathStem(p: string): string {
+  const name = p.replace(/\\/g, "/").split("/").pop() ?? "";
+  return name.includes(".") ? name.slice(0, name.lastIndexOf(".")) : name;
+}
+
+/**
+ * The `video_sets` key DLC would hold for `video`: the source video of an
+ * image folder or crop view, the video file itself, or the directory of an
+ * image sequence with no source.
+ */
+export function dlcVideoSetKey(video: Video): string {
+  for (const v of [video.sourceVideo, video]) {
+    if (v != null && typeof v.filename === "string") return v.filename;
+  }
+  const first = (video.filename as string[])[0] ?? "";
+  return posix.dirname(first);
+}
+
+/**
+ * The `labeled-data/<folder>` name for `video`: the stem of its
+ * {@link dlcVideoSetKey}, which is how {@link readDlcProject} links the folder
+ * back to `video_sets`.
+ */
+export function dlcVideoFolderName(video: Video): string {
+  return pathStem(dlcVideoSetKey(video)) || "video";
+}
+
+/**
+ * Default image path (CSV row index) of a labeled frame:
+ * `labeled-data/<folder>/img<frameIdx>.png`, zero-padded to the width of the
+ * video's last frame index like DLC's frame extractor.
+ */
+export function defaultDlcImagePath(frame: LabeledFrame, ext = ".png"): string {
+  const nFrames = frame.video.shape?.[0] ?? frame.frameIdx + 1;
+  const width = String(Math.max(nFrames - 1, frame.frameIdx)).length;
+  const stem = `img${String(frame.frameIdx).padStart(width, "0")}`;
+  return `labeled-data/${dlcVideoFolderName(frame.video)}/${stem}${ext}`;
+}
+
+/**
+ * Format a sleap crop rect `(x1, y1, x2, y2)` as a DLC `video_sets[...].crop`
+ * string (width-range-first `"x1, x2, y1, y2"`). Inverse of
+ * {@link parseDlcCrop}.
+ */
+export function formatDlcCrop(rect: readonly number[]): string {
+  const [x1, y1, x2, y2] = rect;
+  return `${x1}, ${x2}, ${y1}, ${y2}`;
+}
+
+/** Options for {@link writeDlcCsv}. */
+export interface WriteDlcCsvOptions {
+  /** Name written to the `scorer` header row (default `"sleap"`). */
+  scorer?: string;
+  /**
+   * Write the multi-animal (`individuals`) layout. Defaults to `true` when the
+   * labels have tracks or any frame holds more than one instance.
+   */
+  multiAnimal?: boolean;
+  /** Include predictions not replaced by a user instance (default `true`). */
+  includePredictions?: boolean;
+  /** Only write frames of this video. */
+  video?: Video;
+  /**
+   * Image path (the CSV row index) of a labeled frame, or `null` to skip the
+   * frame. Defaults to {@link defaultDlcImagePath}.
+   */
+  imagePath?: (frame: LabeledFrame) => string | null;
+}
+
+/** Instances of `frame` that {@link writeDlcCsv} exports. */
+function exportedInstances(
+  frame: LabeledFrame,
+  includePredictions: boolean,
+): Instance[] {
+  const user = frame.userInstances;
+  return includePredictions ? [...user, ...frame.unusedPredictions] : user;
+}
+
+/** Whether `labels` needs DLC's multi-animal layout. */
+function needsMultiAnimal(
+  labels: Labels,
+  includePredictions: boolean,
+): boolean {
+  return (
+    labels.tracks.length > 0 ||
+    labels.labeledFrames.some(
+      (lf) => exportedInstances(lf, includePredictions).length > 1,
+    )
+  );
+}
+
+/**
+ * The single skeleton a DLC dataset is written with.
+ *
+ * @throws Error if `labels` has no skeleton or more than one.
+ */
+function dlcSkeleton(labels: Labels): Skeleton {
+  if (labels.skeletons.length !== 1) {
+    throw new Error(
+      `DLC export requires exactly one skeleton, got ${labels.skeletons.length}.`,
+    );
+  }
+  return labels.skeletons[0];
+}
+
+/**
+ * `x`/`y` cells of `inst`, with missing points left empty. Invisible points
+ * count as missing (DLC has no visibility flag), whatever coordinates they
+ * hold.
+ */
+function pointCells(inst: Instance | undefined, nNodes: number): string[] {
+  const cells: string[] = [];
+  for (let n = 0; n < nNodes; n += 1) {
+    const point = inst?.points[n];
+    const xy = point?.xy;
+    const visible =
+      point != null &&
+      point.visible &&
+      xy != null &&
+      !Number.isNaN(xy[0]) &&
+      !Number.isNaN(xy[1]);
+    cells.push(visible ? String(xy[0]) : "", visible ? String(xy[1]) : "");
+  }
+  return cells;
+}
+
+/**
+ * Name the DLC individual of each instance: its track name, or else the first
+ * free `individual<k>` slot of its frame. Returns the individuals (tracks
+ * first, then the slots used) and, per frame, the individual → instance map.
+ */
+function assignIndividuals(
+  labels: Labels,
+  frames: Instance[][],
+): { individuals: string[]; assigned: Array<Map<string, Instance>> } {
+  const individuals = labels.tracks.map((t) => t.name);
+  const taken = new Set(individuals);
+  const slots: string[] = [];
+  const assigned = frames.map((instances) => {
+    const byIndividual = new Map<string, Instance>();
+    let k = 0;
+    for (const inst of instances) {
+      let name = inst.track?.name;
+      if (name == null || byIndividual.has(name)) {
+        if (k === slots.length) {
+          let i = slots.length;
+          while (taken.has(`individual${i}`)) i += 1;
+          taken.add(`individual${i}`);
+          slots.push(`individual${i}`);
+        }
+        name = slots[k];
+        k += 1;
+      }
+      byIndividual.set(name, inst);
+    }
+    return byIndividual;
+  });
+  return { individuals: [...individuals, ...slots], assigned };
+}
+
+/**
+ * Write labels as the text of a DeepLabCut `CollectedData_<scorer>.csv`.
+ *
+ * The single-animal layout has `scorer` / `bodyparts` / `coords` header rows;
+ * the multi-animal layout adds an `individuals` row. Individuals are the
+ * labels' track names; untracked instances fill `individual<k>` slots in frame
+ * order. Each labeled frame becomes one row (frames without instances give an
+ * empty row), sorted by image path. Columns follow the skeleton's node order.
+ *
+ * @throws Error if the labels do not have exactly one skeleton, or a frame has
+ *   more than one instance in the single-animal layout.
+ */
+export function writeDlcCsv(
+  labels: Labels,
+  options: WriteDlcCsvOptions = {},
+): string {
+  const scorer = options.scorer ?? "sleap";
+  const includePredictions = options.includePredictions ?? true;
+  const multiAnimal =
+    options.multiAnimal ?? needsMultiAnimal(labels, includePredictions);
+  const imagePath = options.imagePath ?? ((lf) => defaultDlcImagePath(lf));
+  const skeleton = dlcSkeleton(labels);
+  const nodeNames = skeleton.nodeNames;
+
+  const rows: Array<{ path: string; instances: Instance[] }> = [];
+  for (const lf of labels.labeledFrames) {
+    if (options.video && lf.video !== options.video) continue;
+    const p = imagePath(lf);
+    if (p == null) continue;
+    rows.push({
+      path: p,
+      instances: exportedInstances(lf, includePredictions),
+    });
+  }
+  rows.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  const header: string[][] = [];
+  const body: string[][] = [];
+  if (!multiAnimal) {
+    for (const row of rows) {
+      if (row.instances.length > 1) {
+        throw new Error(
+          `${row.path} has ${row.instances.length} instances; use ` +
+            "multiAnimal to write more than one instance per frame.",
+        );
+      }
+    }
+    const columns = nodeNames.flatMap((name) => [name, name]);
+    header.push(
+      ["scorer", ...columns.map(() => scorer)],
+      ["bodyparts", ...columns],
+      ["coords", ...nodeNames.flatMap(() => ["x", "y"])],
+    );
+    for (const row of rows) {
+      body.push([row.path, ...pointCells(row.instances[0], nodeNames.length)]);
+    }
+  } else {
+    const { individuals, assigned } = assignIndividuals(
+      labels,
+      rows.map((row) => row.instances),
+    );
+
+    const columns = individuals.flatMap((ind) =>
+      nodeNames.flatMap((name) => [
+        [ind, name, "x"],
+        [ind, name, "y"],
+      ]),
+    );
+    header.push(
+      ["scorer", ...columns.map(() => scorer)],
+      ["individuals", ...columns.map((c) => c[0])],
+      ["bodyparts", ...columns.map((c) => c[1])],
+      ["coords", ...columns.map((c) => c[2])],
+    );
+    rows.forEach((row, r) => {
+      body.push([
+        row.path,
+        ...individuals.flatMap((ind) =>
+          pointCells(assigned[r].get(ind), nodeNames.length),
+        ),
+      ]);
+    });
+  }
+  const lines = [...header, ...body].map((cells) =>
+    cells.map(csvCell).join(","),
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/** Options for {@link writeDlcConfig}. */
+export interface WriteDlcConfigOptions {
+  /** Project scorer (default: the base config's, else `"sleap"`). */
+  scorer?: string;
+  /** Task name (default: the base config's, else the skeleton name). */
+  task?: string;
+  /** Project date, e.g. `"Oct19"` (default: the base config's, else today). */
+  date?: string;
+  /** Write a multi-animal project (default: as {@link writeDlcCsv} decides). */
+  multiAnimal?: boolean;
+  /** Include predictions when deciding the individuals (default `true`). */
+  includePredictions?: boolean;
+  /** Project directory recorded as `project_path`. */
+  projectPath?: string;
+  /**
+   * `video_sets` entries: video path → crop rect `(x1, y1, x2, y2)`, or `null`
+   * to leave the crop unset.
+   */
+  videoSets?: Record<string, readonly number[] | null>;
+  /** Existing config to update; keys not managed here are kept. */
+  base?: Config | null;
+}
+
+/**
+ * Build a DeepLabCut project `config.yaml` mapping for `labels`: the project
+ * definitions, `bodyparts` (or `multianimalbodyparts` + `individuals`),
+ * `skeleton` edges and `video_sets` crops. Updating a `base` config keeps its
+ * other keys (training and plotting settings) and merges `video_sets`.
+ *
+ * @throws Error if the labels do not have exactly one skeleton.
+ */
+export function writeDlcConfig(
+  labels: Labels,
+  options: WriteDlcConfigOptions = {},
+): Config {
+  const skeleton = dlcSkeleton(labels);
+  const includePredictions = options.includePredictions ?? true;
+  const multiAnimal =
+    options.multiAnimal ?? needsMultiAnimal(labels, includePredictions);
+  const base = options.base ?? {};
+
+  const videoSets: Record<string, unknown> = {
+    ...((base.video_sets as Record<string, unknown> | undefined) ?? {}),
+  };
+  for (const [key, rect] of Object.entries(options.videoSets ?? {})) {
+    videoSets[key] = rect ? { crop: formatDlcCrop(rect) } : {};
+  }
+
+  const now = new Date();
+  const cfg: Config = {
+    Task: skeleton.name || "sleap",
+    scorer: "sleap",
+    date: now.toLocaleString("en-US", { month: "short" }) + now.getDate(),
+    identity: false,
+    project_path: "",
+    start: 0,
+    stop: 1,
+    numframes2pick: 20,
+    skeleton_color: "black",
+    pcutoff: 0.6,
+    dotsize: 12,
+    alphavalue: 0.7,
+    colormap: "rainbow",
+    TrainingFraction: [0.95],
+    iteration: 0,
+    default_net_type: multiAnimal ? "dlcrnet_ms5" : "resnet_50",
+    snapshotindex: -1,
+    batch_size: 8,
+    ...base,
+  };
+  if (options.task != null) cfg.Task = options.task;
+  if (options.scorer != null) cfg.scorer = options.scorer;
+  if (options.date != null) cfg.date = options.date;
+  if (options.projectPath != null) cfg.project_path = options.projectPath;
+  cfg.multianimalproject = multiAnimal;
+  cfg.video_sets = videoSets;
+  cfg.skeleton = skeleton.edges.map((e) => [e.source.name, e.destination.name]);
+  if (multiAnimal) {
+    const { individuals } = assignIndividuals(
+      labels,
+      labels.labeledFrames.map((lf) =>
+        exportedInstances(lf, includePredictions),
+      ),
+    );
+    cfg.individuals = individuals;
+    cfg.uniquebodyparts = [];
+    cfg.multianimalbodyparts = skeleton.nodeNames;
+    cfg.bodyparts = "MULTI!";
+  } else {
+    cfg.bodyparts = skeleton.nodeNames;
+  }
+  return cfg;
+}
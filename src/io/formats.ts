@@ -0,0 +1,557 @@
+/**
+ * Format-sniffing `loadFile` / `saveFile` dispatch over every labels codec.
+ *
+ * Each codec is described by a {@link FileFormat}: its name, the file name
+ * suffixes it claims, an optional content sniff and its loader / saver. The
+ * formats live in an ordered registry. {@link loadFile} narrows the registry to
+ * the formats claiming the path's suffix, asks each one's sniff in order when
+ * several share it (`.h5`, `.json`, `.csv`, `.xml`), and falls back to
+ * sniffing every format for paths with no known suffix (e.g. a dataset
+ * directory). {@link saveFile} goes by suffix alone, taking the first format
+ * that can save it. Both throw {@link UnknownFormatError} when nothing fits.
+ *
+ * In-house codecs plug in through {@link registerFormat}.
+ *
+ * Node-only: the sniffs and most codecs read the file system.
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import { openH5File } from "../codecs/slp/h5.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import { Video } from "../model/video.js";
+import { isAnalysisH5File } from "./analysis-h5.js";
+import { saveArrowPoses } from "./arrow.js";
+import { isCocoData } from "./coco.js";
+import { loadCoco, saveCoco } from "./coco-node.js";
+import { loadLabelsCsv, saveLabelsCsv } from "./csv.js";
+import { isCvatXml } from "./cvat.js";
+import { loadCvat, saveCvat } from "./cvat-node.js";
+import {
+  isDlcFile,
+  isDlcProjectPath,
+  loadDlc,
+  loadDlcProject,
+  saveDlc,
+  saveDlcProject,
+} from "./dlc-node.js";
+import { loadJabs, saveJabs } from "./jabs.js";
+import { loadLabelImages } from "./label-images.js";
+import {
+  isLabelsJsonData,
+  loadLabelsJson,
+  parsePythonJson,
+} from "./labels-json.js";
+import { isLabelStudioData } from "./labelstudio.js";
+import { loadLabelStudio, saveLabelStudio } from "./labelstudio-node.js";
+import { loadLeap } from "./leap.js";
+import {
+  loadAnalysisH5,
+  loadNwb,
+  loadSlp,
+  saveAnalysisH5,
+  saveNwb,
+  saveSlp,
+} from "./main.js";
+import { loadNpz, saveNpz } from "./npz.js";
+import { isNwbFile } from "./nwb.js";
+import { isUrl } from "./remote.js";
+import { isTrackMateFile, loadTrackMate, saveTrackMate } from "./trackmate.js";
+import { loadUltralytics, saveUltralytics } from "./ultralytics.js";
+import { isZip, listZipEntries } from "./zip.js";
+
+/** Codec-specific options forwarded by {@link loadFile} / {@link saveFile}. */
+export type FormatOptions = Record<string, any>;
+
+/** A labels file format known to {@link loadFile} / {@link saveFile}. */
+export interface FileFormat {
+  /** Name passed as `options.format` (e.g. `"slp"`). */
+  name: string;
+  /**
+   * File name suffixes claimed by the format, without the leading dot and
+   * matched case-insensitively: `"json"` matches `a.json`, `"config.yaml"`
+   * matches `config.yaml` and `a.config.yaml`.
+   */
+  extensions: string[];
+  /**
+   * Suffixes {@link saveFile} picks the format for, when narrower than
+   * `extensions` (default: `extensions`).
+   */
+  saveExtensions?: string[];
+  /**
+   * Content check for an existing path. Used to choose between formats that
+   * share a suffix, and to find the format of a path with no known suffix.
+   * `context` is shared by every sniff of one detection. Should return `false`
+   * rather than throw.
+   */
+  sniff?: (source: string, context: SniffContext) => boolean | Promise<boolean>;
+  load?: (source: string, options: FormatOptions) => Labels | Promise<Labels>;
+  save?: (
+    labels: Labels,
+    dest: string,
+    options: FormatOptions,
+  ) => void | Promise<void>;
+}
+
+/** File contents shared by the sniffs of one {@link detectFormat} call. */
+export interface SniffContext {
+  /**
+   * The file parsed as JSON, or `undefined` when it is not a JSON object or
+   * array. Read and parsed on first use, then reused by later sniffs.
+   */
+  json(): unknown;
+}
+
+/** Options for {@link loadFile}; all but `format` go to the codec's loader. */
+export interface LoadFileOptions extends FormatOptions {
+  /** Format name, skipping detection (see {@link listFormats}). */
+  format?: string;
+}
+
+/** Options for {@link saveFile}; all but `format` go to the codec's saver. */
+export interface SaveFileOptions extends FormatOptions {
+  /** Format name, skipping the suffix lookup (see {@link listFormats}). */
+  format?: string;
+}
+
+/**
+ * Thrown by {@link loadFile} / {@link saveFile} when no registered format
+ * fits: an unknown `options.format`, a format that cannot load or save, or a
+ * path no format claims or recognizes.
+ */
+export class UnknownFormatError extends Error {
+  /** The path (or URL) being loaded or saved. */
+  readonly source: string;
+  /** The requested format name, if one was given. */
+  readonly format: string | null;
+
+  constructor(message: string, source: string, format: string | null = null) {
+    super(message);
+    this.name = "UnknownFormatError";
+    this.source = source;
+    this.format = format;
+    // Restore the prototype chain so `instanceof` holds even under older
+    // transpile targets (matches UnsupportedVideoFormatError).
+    Object.setPrototypeOf(this, new.target.prototype);
+  }
+}
+
+// =============================================================================
+// Sniffing helpers
+// =============================================================================
+
+/** HDF5 superblock signature; it sits at offset 0, 512, 1024, 2048, .... */
+const HDF5_MAGIC = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** The first `length` bytes of a regular file (empty on any error). */
+function readHead(source: string, length: number): Buffer {
+  try {
+    const fd = fs.openSync(source, "r");
+    try {
+      const buf = Buffer.alloc(length);
+      const bytesRead = fs.readSync(fd, buf, 0, length, 0);
+      return buf.subarray(0, bytesRead);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return Buffer.alloc(0);
+  }
+}
+
+/** Whether `source` is a file carrying the HDF5 signature. */
+function hasHdf5Magic(source: string): boolean {
+  const head = readHead(source, 2056);
+  return [0, 512, 1024, 2048].some((offset) =>
+    HDF5_MAGIC.every((byte, i) => head[offset + i] === byte),
+  );
+}
+
+/** Root group names of an HDF5 file, or `null` when it is not one. */
+async function hdf5RootKeys(source: string): Promise<string[] | null> {
+  if (!hasHdf5Magic(source)) return null;
+  try {
+    const { file, close } = await openH5File(source);
+    try {
+      return file.keys();
+    } finally {
+      close();
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The parsed JSON document at `source`, or `undefined`. Bare `NaN` tokens (as
+ * in legacy SLEAP `.json` files) read as null. Only a file whose first bytes
+ * open an object or array is read in full, so sniffing a large binary file
+ * stays cheap.
+ */
+function readJson(source: string): unknown {
+  const head = readHead(source, 1024).toString("utf-8");
+  if (!/^\uFEFF?\s*[[{]/.test(head)) return undefined;
+  try {
+    return parsePythonJson(fs.readFileSync(source, "utf-8"));
+  } catch {
+    return undefined;
+  }
+}
+
+/** A {@link SniffContext} for `source` that parses its JSON at most once. */
+function sniffContext(source: string): SniffContext {
+  let parsed: { value: unknown } | undefined;
+  return {
+    json: () => {
+      parsed ??= { value: readJson(source) };
+      return parsed.value;
+    },
+  };
+}
+
+/** Whether `source` is a directory holding `name`, or is `name` itself. */
+function isOrHolds(source: string, name: string): boolean {
+  try {
+    if (fs.statSync(source).isDirectory()) {
+      return fs.existsSync(path.join(source, name));
+    }
+    return path.basename(source) === name;
+  } catch {
+    return false;
+  }
+}
+
+/** Whether `source` is a ZIP archive with an entry called `name`. */
+function zipHolds(source: string, name: string): boolean {
+  if (!isZip(readHead(source, 4))) return false;
+  try {
+    const bytes = new Uint8Array(fs.readFileSync(source));
+    return listZipEntries(bytes).some((entry) => entry.name === name);
+  } catch {
+    return false;
+  }
+}
+
+/** Wrap a list of label images into Labels, one frame per image. */
+async function loadLabelImageLabels(
+  source: string,
+  options: FormatOptions,
+): Promise<Labels> {
+  const images = await loadLabelImages(source, options);
+  const video = new Video({ filename: source, openBackend: false });
+  const frames: number[] | null = options.frames ?? null;
+  const labels = new Labels({
+    labeledFrames: images.map(
+      (image, i) =>
+        new LabeledFrame({
+          video,
+          frameIdx: frames?.[i] ?? i,
+          labelImages: [image],
+        }),
+    ),
+    videos: [video],
+  });
+  labels.provenance.filename = source;
+  return labels;
+}
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+/**
+ * Built-in formats, in priority order: the first format claiming a suffix is
+ * the default saver for it (e.g. `.json` saves as Label Studio, `.h5` as
+ * Analysis HDF5, `.csv` as SLEAP Analysis CSV).
+ */
+const formats: FileFormat[] = [
+  {
+    name: "slp",
+    extensions: ["slp"],
+    sniff: async (source) => {
+      const keys = await hdf5RootKeys(source);
+      return !!keys?.includes("metadata") && keys.includes("videos_json");
+    },
+    load: (source, options) => loadSlp(source, options),
+    save: (labels, dest, options) => saveSlp(labels, dest, options),
+  },
+  {
+    name: "nwb",
+    extensions: ["nwb"],
+    sniff: (source) => hasHdf5Magic(source) && isNwbFile(source),
+    load: (source) => loadNwb(source),
+    save: (labels, dest, options) => saveNwb(labels, dest, options),
+  },
+  {
+    name: "analysis_h5",
+    extensions: ["h5", "hdf5"],
+    sniff: (source) => hasHdf5Magic(source) && isAnalysisH5File(source),
+    load: (source, options) => loadAnalysisH5(source, options),
+    save: (labels, dest, options) => saveAnalysisH5(labels, dest, options),
+  },
+  {
+    name: "jabs",
+    extensions: ["h5"],
+    sniff: async (source) =>
+      !!(await hdf5RootKeys(source))?.includes("poseest"),
+    load: (source, options) => loadJabs(source, options),
+    save: (labels, dest, options) => saveJabs(labels, dest, options),
+  },
+  {
+    name: "labelstudio",
+    extensions: ["json"],
+    sniff: (_source, context) => isLabelStudioData(context.json()),
+    load: (source, options) => loadLabelStudio(source, options),
+    save: (labels, dest, options) => saveLabelStudio(labels, dest, options),
+  },
+  {
+    name: "coco",
+    extensions: ["json"],
+    sniff: (_source, context) => isCocoData(context.json()),
+    load: (source, options) => loadCoco(source, options),
+    save: (labels, dest, options) => saveCoco(labels, dest, options),
+  },
+  {
+    name: "sleap_json",
+    extensions: ["json", "json.zip"],
+    sniff: (_source, context) => isLabelsJsonData(context.json()),
+    load: (source) => loadLabelsJson(source),
+  },
+  {
+    name: "cvat",
+    extensions: ["xml"],
+    sniff: (source) => isCvatXml(readHead(source, 4096).toString("utf-8")),
+    load: (source, options) => loadCvat(source, options),
+    save: (labels, dest, options) => saveCvat(labels, dest, options),
+  },
+  {
+    name: "trackmate",
+    extensions: ["xml", "csv"],
+    saveExtensions: ["xml"],
+    sniff: (source) => isTrackMateFile(source),
+    load: (source, options) => loadTrackMate(source, options),
+    save: (labels, dest, options) => saveTrackMate(labels, dest, options),
+  },
+  {
+    name: "csv",
+    extensions: ["csv"],
+    sniff: (source) =>
+      readHead(source, 64)
+        .toString("utf-8")
+        .startsWith("track,frame_idx,instance.score"),
+    load: (source, options) => loadLabelsCsv(source, options),
+    save: (labels, dest, options) => saveLabelsCsv(labels, dest, options),
+  },
+  {
+    name: "dlc",
+    extensions: ["csv"],
+    sniff: (source) => isDlcFile(source),
+    load: (source, options) => loadDlc(source, options),
+    save: (labels, dest, options) => saveDlc(labels, dest, options),
+  },
+  {
+    name: "dlc_project",
+    extensions: ["config.yaml"],
+    sniff: (source) => isDlcProjectPath(source),
+    load: (source, options) => loadDlcProject(source, options),
+    save: (labels, dest, options) =>
+      saveDlcProject(
+        labels,
+        path.basename(dest) === "config.yaml" ? path.dirname(dest) : dest,
+        options,
+      ),
+  },
+  {
+    name: "ultralytics",
+    extensions: ["data.yaml"],
+    sniff: (source) => isOrHolds(source, "data.yaml"),
+    load: (source, options) => loadUltralytics(source, options),
+    save: (labels, dest, options) =>
+      saveUltralytics(
+        labels,
+        path.basename(dest) === "data.yaml" ? path.dirname(dest) : dest,
+        options,
+      ),
+  },
+  {
+    name: "leap",
+    extensions: ["mat"],
+    sniff: async (source) =>
+      !!(await hdf5RootKeys(source))?.includes("positions"),
+    load: (source, options) => loadLeap(source, options),
+  },
+  {
+    name: "npz",
+    extensions: ["npz"],
+    sniff: (source) => zipHolds(source, "tracks.npy"),
+    load: (source, options) => loadNpz(source, options),
+    save: (labels, dest, options) => saveNpz(labels, dest, options),
+  },
+  {
+    name: "arrow",
+    extensions: ["arrow", "feather"],
+    save: (labels, dest, options) => saveArrowPoses(labels, dest, options),
+  },
+  {
+    name: "label_images",
+    extensions: ["tif", "tiff"],
+    load: loadLabelImageLabels,
+  },
+];
+
+/**
+ * Add a format to the registry, or replace the registered format of the same
+ * name in place. New formats are tried before the existing ones, so an
+ * in-house codec can claim a built-in suffix (e.g. `"json"`) by supplying a
+ * `sniff` that recognizes its own files.
+ */
+export function registerFormat(format: FileFormat): void {
+  const index = formats.findIndex((f) => f.name === format.name);
+  if (index >= 0) {
+    formats[index] = format;
+  } else {
+    formats.unshift(format);
+  }
+}
+
+/** Remove a format from the registry. Returns whether it was registered. */
+export function unregisterFormat(name: string): boolean {
+  const index = formats.findIndex((f) => f.name === name);
+  if (index < 0) return false;
+  formats.splice(index, 1);
+  return true;
+}
+
+/** The registered formats, in the order they are tried. */
+export function listFormats(): FileFormat[] {
+  return [...formats];
+}
+
+/** The registered format named `name` (or throw). */
+function formatNamed(name: string, source: string): FileFormat {
+  const format = formats.find((f) => f.name === name);
+  if (!format) {
+    throw new UnknownFormatError(
+      `Unknown format '${name}'. Registered formats: ${formats.map((f) => f.name).join(", ")}.`,
+      source,
+      name,
+    );
+  }
+  return format;
+}
+
+/**
+ * Formats claiming the suffix of `source` (a path or URL), in order; with
+ * `saving`, by their `saveExtensions`.
+ */
+function formatsForName(source: string, saving = false): FileFormat[] {
+  const name = (isUrl(source) ? source.split(/[?#]/)[0] : source)
+    .replace(/[\\/]+$/, "")
+    .split(/[\\/]/)
+    .pop()
+    ?.toLowerCase();
+  if (!name) return [];
+  return formats.filter((format) =>
+    ((saving && format.saveExtensions) || format.extensions).some(
+      (ext) => name === ext.toLowerCase() || name.endsWith(`.${ext}`),
+    ),
+  );
+}
+
+/**
+ * Name of the registered format that would load `source`.
+ *
+ * A suffix claimed by a single format decides on its own (no I/O). With
+ * several claimants, the first whose sniff accepts the file wins; a path whose
+ * suffix no format claims is sniffed by every format.
+ *
+ * @throws {UnknownFormatError} If no format recognizes the source.
+ */
+export async function detectFormat(source: string): Promise<string> {
+  const claimants = formatsForName(source).filter((f) => f.load);
+  if (claimants.length === 1) return claimants[0].name;
+
+  const candidates = claimants.length
+    ? claimants
+    : formats.filter((f) => f.load && f.sniff);
+  if (!isUrl(source)) {
+    const context = sniffContext(source);
+    for (const format of candidates) {
+      if (format.sniff && (await format.sniff(source, context))) {
+        return format.name;
+      }
+    }
+  }
+  throw new UnknownFormatError(
+    claimants.length
+      ? `Could not tell which of ${claimants.map((f) => f.name).join(", ")} '${source}' is; pass options.format.`
+      : `Unrecognized labels file format: '${source}'. Pass options.format (one of ${formats.map((f) => f.name).join(", ")}).`,
+    source,
+  );
+}
+
+/**
+ * Load labels from any supported file format.
+ *
+ * The format is `options.format` when given, else found by
+ * {@link detectFormat}. The remaining options go to the codec's loader (e.g.
+ * `{ video }` for Analysis HDF5, `{ skeleton }` for JABS).
+ *
+ * @throws {UnknownFormatError} If the format is unknown, cannot be loaded, or
+ *   cannot be detected.
+ */
+export async function loadFile(
+  source: string,
+  options: LoadFileOptions = {},
+): Promise<Labels> {
+  const { format: name, ...rest } = options;
+  const format = formatNamed(name ?? (await detectFormat(source)), source);
+  if (!format.load) {
+    throw new UnknownFormatError(
+      `Format '${format.name}' cannot be loaded.`,
+      source,
+      format.name,
+    );
+  }
+  return format.load(source, rest);
+}
+
+/**
+ * Save labels in any supported file format.
+ *
+ * The format is `options.format` when given, else the first registered format
+ * that claims the destination's suffix and can save. The remaining options go
+ * to the codec's saver.
+ *
+ * @throws {UnknownFormatError} If the format is unknown, cannot be saved, or no
+ *   format claims the suffix.
+ */
+export async function saveFile(
+  labels: Labels,
+  dest: string,
+  options: SaveFileOptions = {},
+): Promise<void> {
+  const { format: name, ...rest } = options;
+  const format = name
+    ? formatNamed(name, dest)
+    : formatsForName(dest, true).find((f) => f.save);
+  if (!format) {
+    throw new UnknownFormatError(
+      `No format saves to '${dest}'. Pass options.format (one of ${formats
+        .filter((f) => f.save)
+        .map((f) => f.name)
+        .join(", ")}).`,
+      dest,
+    );
+  }
+  if (!format.save) {
+    throw new UnknownFormatError(
+      `Format '${format.name}' cannot be saved.`,
+      dest,
+      format.name,
+    );
+  }
+  await format.save(labels, dest, rest);
+}
@@ -0,0 +1,72 @@
+/**
+ * Node-only helpers shared by the dataset writers (`coco-node.ts`,
+ * `dlc-node.ts`) for exporting a labeled frame's image to disk.
+ *
+ * Internal to `src/io`; not exported from either entry point.
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import type { LabeledFrame } from "../model/labeled-frame.js";
+import { encodePng, probeImageSize } from "./ultralytics.js";
+
+/** On-disk image file backing `frame`, if any. */
+export function sourceImagePath(frame: LabeledFrame): string | null {
+  const { filename } = frame.video;
+  const file = Array.isArray(filename) ? filename[frame.frameIdx] : filename;
+  if (!file || !/\.(png|jpe?g|bmp|tiff?|gif|webp)$/i.test(file)) return null;
+  return fs.existsSync(file) ? file : null;
+}
+
+/** File extension for encoded image bytes, from their magic number. */
+function encodedImageExtension(bytes: Uint8Array): string | null {
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) return ".png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return ".jpg";
+  return null;
+}
+
+/**
+ * Write `frame`'s image to `dir` as `<stem><ext>` and return its basename and
+ * `[height, width]`, or `null` when no image is available. Tries, in order:
+ * copying the source image file, writing the stored bytes of an embedded
+ * video, and PNG-encoding decoded pixels.
+ */
+export async function exportFrameImage(
+  frame: LabeledFrame,
+  dir: string,
+  stem: string,
+  imageQuality: number | null,
+): Promise<{ name: string; shape: [number, number] | null } | null> {
+  const source = sourceImagePath(frame);
+  if (source) {
+    const name = `${stem}${path.extname(source).toLowerCase()}`;
+    fs.copyFileSync(source, path.join(dir, name));
+    return { name, shape: probeImageSize(source) };
+  }
+
+  const bytes = await frame.video.getFrameBuffer(frame.frameIdx);
+  const ext = bytes ? encodedImageExtension(bytes) : null;
+  if (bytes && ext) {
+    const name = `${stem}${ext}`;
+    fs.writeFileSync(path.join(dir, name), bytes);
+    return { name, shape: probeImageSize(path.join(dir, name)) };
+  }
+
+  try {
+    const img = (await frame.image) as {
+      data?: Uint8Array | Uint8ClampedArray;
+      width?: number;
+      height?: number;
+    } | null;
+    if (img?.data && img.width && img.height) {
+      const name = `${stem}.png`;
+      const png = encodePng(img.data, img.width, img.height, imageQuality);
+      fs.writeFileSync(path.join(dir, name), png);
+      return { name, shape: [img.height, img.width] };
+    }
+  } catch {
+    // No decodable frame; fall through to skip.
+  }
+  return null;
+}
@@ -1,7 +1,7 @@
 /**
- * JABS (Jackson Lab Animal Behavior System) pose-file reader.
+ * JABS (Jackson Lab Animal Behavior System) pose-file reader and writer.
  *
- * A TypeScript port of the reader half of Python sleap-io's
+ * A TypeScript port of Python sleap-io's
  * `sleap_io/io/jabs.py` (v0.7.x, PR #371), which:
  *
  * - returns {@link PredictedInstance} objects (with per-point confidence
@@ -11,25 +11,32 @@
  *   `corners`, `category: "anchor"` otherwise, and `source: "jabs"` — rather
  *   than as synthetic instances/skeletons in frame 0.
  *
- * JABS pose files are HDF5 on disk, so this reader is Node-only (it reads
- * through `openH5File`, which uses h5wasm/node) and is exported from the Node
- * entry point only.
+ * JABS pose files are HDF5 on disk, so this module is Node-only (it reads
+ * through `openH5File`, which uses h5wasm/node, and writes through the Node
+ * file writer) and is exported from the Node entry point only.
  *
  * Supported pose versions: 2 (single mouse) through 6. Segmentation data (v6)
  * and per-file attributes such as `cm_per_pixel` are ignored, matching Python.
  *
- * The writer half (`convert_labels` / `write_jabs_v*`) is intentionally not
- * ported: per issue #99, `saveJabs` is lower priority since the common workflow
- * is a one-time JABS → SLP conversion.
+ * The writer ({@link saveJabs}, a port of `convert_labels` / `write_jabs_v*`)
+ * maps any skeleton onto the 12 JABS keypoints and writes the static ROIs back
+ * as static objects, so its output round-trips through {@link loadJabs}.
  */
 
-import { openH5File, nodeFileExists } from "../codecs/slp/h5.js";
+import {
+  openH5File,
+  nodeFileExists,
+  nodeWriteFile,
+  getH5Module,
+  getH5FileSystem,
+  ensureH5StagingDir,
+} from "../codecs/slp/h5.js";
 import { Labels } from "../model/labels.js";
 import { LabeledFrame } from "../model/labeled-frame.js";
 import { PredictedInstance, Track } from "../model/instance.js";
 import { Skeleton, Node, Edge, Symmetry } from "../model/skeleton.js";
 import { Video } from "../model/video.js";
-import { UserROI, Geometry } from "../model/roi.js";
+import { UserROI, type Geometry } from "../model/roi.js";
 
 // =============================================================================
 // Default JABS "Mouse" skeleton (12 keypoints)
@@ -445,3 +452,302 @@ export async function loadJabs(
     close();
   }
 }
+
+// =============================================================================
+// Writer (port of convert_labels / write_jabs_v*)
+// =============================================================================
+
+/** Options for {@link saveJabs}. */
+export interface SaveJabsOptions {
+  /** JABS pose version to write, 2–6 (default 5). v2 holds a single animal. */
+  version?: number;
+  /** Video to export. Defaults to the only video of the labels. */
+  video?: Video;
+  /**
+   * Map from source node names to JABS keypoint names
+   * ({@link JABS_DEFAULT_KEYPOINT_NAMES}). Unlisted nodes are matched by name,
+   * ignoring case and reading spaces / dashes as `_` (`"left ear"` →
+   * `LEFT_EAR`).
+   */
+  nodeMap?: Record<string, string>;
+}
+
+/** Minimal h5wasm write-group surface used here (a file is a group too). */
+interface H5WriteGroup {
+  create_group(name: string): H5WriteGroup | null;
+  create_dataset(opts: {
+    name: string;
+    data: unknown;
+    shape?: number[];
+    dtype?: string;
+  }): unknown;
+  create_attribute(
+    name: string,
+    value: unknown,
+    shape?: number[] | null,
+    dtype?: string | null,
+  ): void;
+}
+
+/**
+ * For each of the 12 JABS keypoints, the index of the `skeleton` node that
+ * feeds it (`-1` when none does).
+ *
+ * @throws If `nodeMap` names an unknown JABS keypoint, or no node maps to one.
+ */
+export function jabsNodeIndices(
+  skeleton: Skeleton,
+  nodeMap: Record<string, string> = {},
+): number[] {
+  const keypoints: readonly string[] = JABS_DEFAULT_KEYPOINT_NAMES;
+  const indices = keypoints.map(() => -1);
+  skeleton.nodeNames.forEach((name, i) => {
+    const mapped = nodeMap[name];
+    if (mapped !== undefined && !keypoints.includes(mapped)) {
+      throw new Error(`Unknown JABS keypoint '${mapped}' for node '${name}'.`);
+    }
+    const target =
+      mapped ??
+      name
+        .trim()
+        .toUpperCase()
+        .replace(/[\s-]+/g, "_");
+    const k = keypoints.indexOf(target);
+    if (k >= 0 && indices[k] < 0) indices[k] = i;
+  });
+  if (indices.every((i) => i < 0)) {
+    throw new Error(
+      `No node of skeleton '${skeleton.name ?? ""}' maps to a JABS keypoint; ` +
+        "pass a nodeMap.",
+    );
+  }
+  return indices;
+}
+
+/**
+ * Write a {@link Labels} object as a JABS pose file (HDF5).
+ *
+ * One file holds one video: user instances and unused predictions of each
+ * frame fill its animal slots (`poseest/points`, stored `(y, x)` as uint16,
+ * and `poseest/confidence`: point scores, 1 for user points, 0 for missing
+ * ones). Skeleton nodes are mapped onto the 12 JABS keypoints by
+ * {@link jabsNodeIndices}. Identities come from tracks: their names when all
+ * are numeric (so JABS identities round-trip), else their order; untracked
+ * instances get the ids after those. v3+ write `instance_count`,
+ * `instance_track_id` and a zero `instance_embedding`; v4+ add
+ * `instance_embed_id` (1-based) and `id_mask`; v5+ add the `static_objects`
+ * from the labels' static ROIs with `source: "jabs"`. v6 segmentation data and
+ * the v4 identity embeddings are not written.
+ *
+ * Node-only (writes through the registered Node file writer).
+ *
+ * @throws On an unsupported version, several videos without `options.video`,
+ *   or several animals in one frame for v2.
+ */
+export async function saveJabs(
+  labels: Labels,
+  filename: string,
+  options: SaveJabsOptions = {},
+): Promise<void> {
+  const version = options.version ?? 5;
+  if (!Number.isInteger(version) || version < 2 || version > 6) {
+    throw new Error(
+      `Unsupported JABS pose version: ${version} (expected 2–6).`,
+    );
+  }
+  const video =
+    options.video ?? (labels.videos.length === 1 ? labels.videos[0] : null);
+  if (!video) {
+    throw new Error(
+      `Labels have ${labels.videos.length} videos; pass options.video to ` +
+        "choose the one to write.",
+    );
+  }
+
+  const frames = labels.labeledFrames
+    .filter((lf) => lf.video === video)
+    .map((lf) => ({
+      frameIdx: lf.frameIdx,
+      instances: [...lf.userInstances, ...lf.unusedPredictions],
+    }));
+  let numFrames = video.shape?.[0] ?? 0;
+  let numSlots = 1;
+  for (const { frameIdx, instances } of frames) {
+    numFrames = Math.max(numFrames, frameIdx + 1);
+    numSlots = Math.max(numSlots, instances.length);
+    if (version === 2 && instances.length > 1) {
+      throw new Error(
+        `JABS pose v2 holds a single animal, but frame ${frameIdx} has ` +
+          `${instances.length} instances.`,
+      );
+    }
+  }
+
+  // Identities: numeric track names when possible, else track order.
+  const base = version >= 4 ? 1 : 0;
+  const names = labels.tracks.map((track) => track.name);
+  const numeric =
+    names.every((name) => /^\d+$/.test(name) && Number(name) >= base) &&
+    new Set(names).size === names.length;
+  const trackIds = new Map(
+    labels.tracks.map((track, i) => [
+      track,
+      numeric ? Number(track.name) : i + base,
+    ]),
+  );
+  let untrackedBase = base;
+  for (const id of trackIds.values()) {
+    untrackedBase = Math.max(untrackedBase, id + 1);
+  }
+
+  const N = JABS_DEFAULT_KEYPOINT_NAMES.length;
+  const M = numSlots;
+  const points = new Uint16Array(numFrames * M * N * 2);
+  const confidence = new Float32Array(numFrames * M * N);
+  const ids = new Uint32Array(numFrames * M);
+  const idMask = new Uint8Array(numFrames * M).fill(1);
+  const counts = new Uint8Array(numFrames);
+  const nodeIndices = new Map<Skeleton, number[]>();
+  // JABS stores integer pixels.
+  const toU16 = (v: number) => Math.min(65535, Math.max(0, Math.round(v)));
+
+  for (const { frameIdx, instances } of frames) {
+    counts[frameIdx] = instances.length;
+    instances.forEach((inst, slot) => {
+      let indices = nodeIndices.get(inst.skeleton);
+      if (!indices) {
+        indices = jabsNodeIndices(inst.skeleton, options.nodeMap);
+        nodeIndices.set(inst.skeleton, indices);
+      }
+      const xy = inst.numpy();
+      const scores =
+        inst instanceof PredictedInstance ? inst.numpy({ scores: true }) : null;
+      indices.forEach((i, k) => {
+        if (i < 0) return;
+        const [x, y] = xy[i];
+        if (Number.isNaN(x) || Number.isNaN(y)) return;
+        const flat = (frameIdx * M + slot) * N + k;
+        points[flat * 2] = toU16(y);
+        points[flat * 2 + 1] = toU16(x);
+        // User points are certain; predicted points keep their score (0 when
+        // missing), so non-positive scores read back as absent keypoints.
+        const score = scores ? scores[i][2] : 1;
+        confidence[flat] = Number.isFinite(score) ? score : 0;
+      });
+      const trackId = inst.track ? trackIds.get(inst.track) : undefined;
+      ids[frameIdx * M + slot] = trackId ?? untrackedBase + slot;
+      idMask[frameIdx * M + slot] = 0;
+    });
+  }
+
+  const module = await getH5Module();
+  ensureH5StagingDir(module);
+  const memPath = `/tmp/jabs_${Date.now()}_${Math.random().toString(16).slice(2)}.h5`;
+  const f = new (
+    module as unknown as {
+      File: new (p: string, m: string) => H5WriteGroup & { close(): void };
+    }
+  ).File(memPath, "w");
+  const fsModule = getH5FileSystem(module);
+  let bytes: Uint8Array;
+  try {
+    try {
+      const poseest = f.create_group("poseest");
+      if (!poseest) throw new Error("Failed to create JABS group 'poseest'.");
+      poseest.create_attribute(
+        "version",
+        Int32Array.from([version, 0]),
+        [2],
+        "<i4",
+      );
+      const single = version === 2;
+      poseest.create_dataset({
+        name: "points",
+        data: points,
+        shape: single ? [numFrames, N, 2] : [numFrames, M, N, 2],
+        dtype: "<H",
+      });
+      poseest.create_dataset({
+        name: "confidence",
+        data: confidence,
+        shape: single ? [numFrames, N] : [numFrames, M, N],
+        dtype: "<f",
+      });
+      if (version >= 3) {
+        poseest.create_dataset({
+          name: "instance_count",
+          data: counts,
+          shape: [numFrames],
+          dtype: "<B",
+        });
+        poseest.create_dataset({
+          name: "instance_track_id",
+          data: ids,
+          shape: [numFrames, M],
+          dtype: "<I",
+        });
+        poseest.create_dataset({
+          name: "instance_embedding",
+          data: new Float32Array(numFrames * M * N),
+          shape: [numFrames, M, N],
+          dtype: "<f",
+        });
+      }
+      if (version >= 4) {
+        poseest.create_dataset({
+          name: "instance_embed_id",
+          data: ids,
+          shape: [numFrames, M],
+          dtype: "<I",
+        });
+        poseest.create_dataset({
+          name: "id_mask",
+          data: idMask,
+          shape: [numFrames, M],
+          dtype: "|b1",
+        });
+      }
+      const staticObjects = labels.staticRois.filter(
+        (roi) => roi.source === "jabs" && (!roi.video || roi.video === video),
+      );
+      if (version >= 5 && staticObjects.length) {
+        const group = f.create_group("static_objects");
+        if (!group) {
+          throw new Error("Failed to create JABS group 'static_objects'.");
+        }
+        staticObjects.forEach((roi, i) => {
+          const { geometry } = roi;
+          const coords =
+            geometry.type === "Point"
+              ? [geometry.coordinates]
+              : geometry.type === "MultiPoint"
+                ? geometry.coordinates
+                : geometry.type === "Polygon"
+                  ? geometry.coordinates[0].slice(0, -1)
+                  : [];
+          // Static-object coordinates are stored as-is (not y/x-flipped).
+          group.create_dataset({
+            name: roi.name || `object_${i}`,
+            data: Uint16Array.from(
+              coords.flatMap((p) => p.slice(0, 2)),
+              toU16,
+            ),
+            shape: [coords.length, 2],
+            dtype: "<H",
+          });
+        });
+      }
+    } finally {
+      f.close();
+    }
+    bytes = fsModule.readFile!(memPath);
+  } finally {
+    // Don't leak the MEMFS file when writing or reading it back fails.
+    try {
+      fsModule.unlink?.(memPath);
+    } catch {
+      // best-effort
+    }
+  }
+  await nodeWriteFile(filename, bytes);
+}
@@ -0,0 +1,310 @@
+/**
+ * Legacy SLEAP labels JSON reader (`.json` / `.json.zip`).
+ *
+ * Before the HDF5-based `.slp` format, SLEAP saved projects as one JSON
+ * document (port of the reading half of `sleap/io/format/labels_json.py`),
+ * optionally zipped. The document holds the same metadata that `.slp` files
+ * keep in their `metadata` attribute plus the labeled frames themselves:
+ *
+ * - `nodes` — the global node list (`{name, weight}`).
+ * - `skeletons` — networkx node-link graphs encoded with jsonpickle. Graphs
+ *   written against `nodes` use integer node ids; older graphs embed each
+ *   node as a `py/object` on first use and refer back to it by `py/id`. Both
+ *   are decoded (the latter via {@link readSkeletonJson}).
+ * - `videos` — `{backend: {filename, dataset, ...}}` dicts.
+ * - `tracks` — `[spawned_on, name]` tuples, or `{spawned_on, name}` in older
+ *   files.
+ * - `suggestions`, `provenance`.
+ * - `labels` — labeled frames. A frame refers to its video, and an instance to
+ *   its skeleton and track, by index into the lists above; instance points
+ *   are keyed by index into `nodes`. Instances with a `score` are predictions.
+ *
+ * Videos are not opened: their backend dict is kept as `backendMetadata`, so
+ * saving the result with `saveSlp` writes the same video references.
+ *
+ * {@link readLabelsJson} is browser-safe; {@link loadLabelsJson} reads a path
+ * through the Node file reader registered by `h5-node.ts`.
+ */
+
+import { nodeReadFile } from "../codecs/slp/h5.js";
+import {
+  parseSkeletons,
+  parseTracks,
+  resolveVideoFilename,
+} from "../codecs/slp/parsers.js";
+import { readSkeletonJson } from "../codecs/skeleton-json.js";
+import { Instance, PredictedInstance, type Track } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import type { Skeleton } from "../model/skeleton.js";
+import { SuggestionFrame } from "../model/suggestions.js";
+import { Video } from "../model/video.js";
+import { isZip, listZipEntries, readZipEntry } from "./zip.js";
+
+/** A legacy labels JSON document, or the (zipped) bytes holding one. */
+export type LabelsJsonSource =
+  | string
+  | Uint8Array
+  | ArrayBuffer
+  | Record<string, unknown>;
+
+/** Options for {@link readLabelsJson}. */
+export interface ReadLabelsJsonOptions {
+  /** Path the document came from, recorded as `provenance.filename`. */
+  filename?: string;
+}
+
+type JsonRecord = Record<string, unknown>;
+
+interface JsonPoint {
+  x?: number | null;
+  y?: number | null;
+  visible?: boolean;
+  complete?: boolean;
+  score?: number | null;
+}
+
+/**
+ * Whether `data` looks like a legacy SLEAP labels JSON document: an object
+ * with `skeletons` and `videos` lists (and `labels`, unless saved without
+ * them).
+ */
+export function isLabelsJsonData(data: unknown): boolean {
+  if (data == null || typeof data !== "object" || Array.isArray(data)) {
+    return false;
+  }
+  const doc = data as JsonRecord;
+  return (
+    Array.isArray(doc.skeletons) &&
+    Array.isArray(doc.videos) &&
+    (doc.labels === undefined || Array.isArray(doc.labels))
+  );
+}
+
+/**
+ * Parse JSON text written by Python, which spells missing coordinates as bare
+ * `NaN` / `Infinity` tokens that `JSON.parse` rejects. Those are read as null.
+ */
+export function parsePythonJson(text: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const patched = text.replace(
+      /("(?:[^"\\]|\\.)*")|-?\b(?:NaN|Infinity)\b/g,
+      (_match, str: string | undefined) => str ?? "null",
+    );
+    if (patched === text) throw error;
+    return JSON.parse(patched);
+  }
+}
+
+/** Decode the source into the JSON document, unzipping `.json.zip` bytes. */
+function decodeSource(source: LabelsJsonSource): unknown {
+  if (typeof source === "string") return parsePythonJson(source);
+  if (!(source instanceof Uint8Array || source instanceof ArrayBuffer)) {
+    return source;
+  }
+  let bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+  if (isZip(bytes)) {
+    // SLEAP zips the JSON next to an optional `*_frame_data` folder.
+    const entry = listZipEntries(bytes).find(
+      (e) => e.name.toLowerCase().endsWith(".json") && !e.name.includes("/"),
+    );
+    if (!entry) throw new Error("No labels .json file found in the ZIP.");
+    bytes = readZipEntry(bytes, entry);
+  }
+  return parsePythonJson(new TextDecoder().decode(bytes));
+}
+
+/** Resolve an index reference (a number or a numeric string). */
+function refIndex(value: unknown): number | null {
+  if (value == null || value === "") return null;
+  const index = Number(value);
+  return Number.isInteger(index) ? index : null;
+}
+
+/** Decode the skeleton list, whichever jsonpickle layout each graph uses. */
+function readSkeletons(doc: JsonRecord): Skeleton[] {
+  const entries = (doc.skeletons ?? []) as JsonRecord[];
+  return entries.map((entry) => {
+    const graph = (entry.nx_graph ?? entry) as JsonRecord;
+    const nodes = (graph.nodes ?? []) as Array<{ id?: unknown }>;
+    const embedsNodes = nodes.some(
+      (node) => node.id != null && typeof node.id === "object",
+    );
+    if (embedsNodes || !Array.isArray(doc.nodes)) {
+      return readSkeletonJson(graph);
+    }
+    return parseSkeletons({ nodes: doc.nodes, skeletons: [entry] })[0];
+  });
+}
+
+/**
+ * Read a legacy SLEAP labels JSON document into a {@link Labels} object.
+ *
+ * `source` is the JSON text, the parsed document, or the file bytes of a
+ * `.json` or `.json.zip` file. Videos are created without backends.
+ *
+ * @param source - The document or its (zipped) bytes.
+ * @param options - Optional `filename` for provenance.
+ */
+export function readLabelsJson(
+  source: LabelsJsonSource,
+  options: ReadLabelsJsonOptions = {},
+): Labels {
+  const doc = decodeSource(source);
+  if (!isLabelsJsonData(doc)) {
+    throw new Error(
+      "Not a SLEAP labels JSON document: expected 'skeletons' and 'videos' lists.",
+    );
+  }
+  const data = doc as JsonRecord;
+
+  const skeletons = readSkeletons(data);
+  const nodeNames = Array.isArray(data.nodes)
+    ? (data.nodes as Array<{ name?: string } | string>).map((node) =>
+        typeof node === "object" ? String(node.name ?? "") : String(node),
+      )
+    : null;
+
+  const videos = ((data.videos ?? []) as JsonRecord[]).map((entry) => {
+    const backend = (entry.backend ?? {}) as JsonRecord;
+    return new Video({
+      filename: resolveVideoFilename(backend, entry),
+      backendMetadata: { ...backend },
+      openBackend: false,
+    });
+  });
+  const tracks: Track[] = parseTracks((data.tracks ?? []) as unknown[]);
+
+  const suggestions: SuggestionFrame[] = [];
+  for (const entry of (data.suggestions ?? []) as JsonRecord[]) {
+    const video = videos[refIndex(entry.video) ?? 0];
+    if (!video) continue;
+    suggestions.push(
+      new SuggestionFrame({
+        video,
+        frameIdx: Number(entry.frame_idx ?? 0),
+        group: entry.group != null ? String(entry.group) : undefined,
+        metadata: entry,
+      }),
+    );
+  }
+
+  const buildInstance = (inst: JsonRecord): Instance | PredictedInstance => {
+    const skeletonIndex = refIndex(inst.skeleton) ?? 0;
+    const skeleton = skeletons[skeletonIndex];
+    if (!skeleton) {
+      throw new Error(`Instance refers to unknown skeleton ${skeletonIndex}.`);
+    }
+    const trackIndex = refIndex(inst.track);
+    const track = trackIndex == null ? null : (tracks[trackIndex] ?? null);
+    const predicted = "score" in inst;
+
+    const rows: number[][] = skeleton.nodes.map(() =>
+      predicted
+        ? [Number.NaN, Number.NaN, Number.NaN, 0, 0]
+        : [Number.NaN, Number.NaN, 0, 0],
+    );
+    const points = (inst._points ?? inst.points ?? {}) as Record<
+      string,
+      JsonPoint
+    >;
+    for (const [key, point] of Object.entries(points)) {
+      const keyIndex = refIndex(key);
+      const name =
+        keyIndex == null
+          ? key
+          : nodeNames
+            ? nodeNames[keyIndex]
+            : skeleton.nodeNames[keyIndex];
+      const nodeIndex =
+        name === undefined ? -1 : skeleton.nodeNames.indexOf(name);
+      if (nodeIndex < 0) continue;
+      const x = point.x ?? Number.NaN;
+      const y = point.y ?? Number.NaN;
+      const visible = point.visible ?? true;
+      const complete = point.complete ?? false;
+      rows[nodeIndex] = predicted
+        ? [x, y, point.score ?? Number.NaN, Number(visible), Number(complete)]
+        : [x, y, Number(visible), Number(complete)];
+    }
+
+    const trackingScore =
+      inst.tracking_score == null ? undefined : Number(inst.tracking_score);
+    if (predicted) {
+      return PredictedInstance.fromNumpy({
+        pointsData: rows,
+        skeleton,
+        track,
+        score: Number(inst.score ?? 0),
+        trackingScore,
+      });
+    }
+    return Instance.fromNumpy({
+      pointsData: rows,
+      skeleton,
+      track,
+      trackingScore,
+    });
+  };
+
+  const labeledFrames: LabeledFrame[] = [];
+  for (const frame of (data.labels ?? []) as JsonRecord[]) {
+    const videoIndex = refIndex(frame.video) ?? 0;
+    const video = videos[videoIndex];
+    if (!video) {
+      throw new Error(`Labeled frame refers to unknown video ${videoIndex}.`);
+    }
+    const entries = (frame._instances ?? frame.instances ?? []) as JsonRecord[];
+    const instances = entries.map(buildInstance);
+
+    // `from_predicted` is serialized as a copy of the prediction; link it to
+    // the prediction in the same frame with the same points.
+    entries.forEach((entry, i) => {
+      const source = entry.from_predicted as JsonRecord | null | undefined;
+      const instance = instances[i];
+      if (!source || instance instanceof PredictedInstance) return;
+      const copy = buildInstance(source);
+      instance.fromPredicted =
+        instances.find(
+          (other): other is PredictedInstance =>
+            other instanceof PredictedInstance &&
+            other.skeleton === copy.skeleton &&
+            JSON.stringify(other.numpy()) === JSON.stringify(copy.numpy()),
+        ) ?? null;
+    });
+
+    labeledFrames.push(
+      new LabeledFrame({
+        video,
+        frameIdx: Number(frame.frame_idx ?? 0),
+        instances,
+      }),
+    );
+  }
+
+  const provenance =
+    data.provenance && typeof data.provenance === "object"
+      ? { ...(data.provenance as JsonRecord) }
+      : {};
+  if (options.filename) provenance.filename = options.filename;
+
+  return new Labels({
+    labeledFrames,
+    videos,
+    skeletons,
+    tracks,
+    suggestions,
+    provenance,
+  });
+}
+
+/**
+ * Load a legacy SLEAP labels file (`.json` or `.json.zip`) from disk
+ * (Node-only). See {@link readLabelsJson}; upgrade the result to `.slp` with
+ * `saveSlp`.
+ */
+export async function loadLabelsJson(filename: string): Promise<Labels> {
+  return readLabelsJson(await nodeReadFile(filename), { filename });
+}
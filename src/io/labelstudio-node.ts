@@ -0,0 +1,62 @@
+/**
+ * Node-only path-based Label Studio loader and saver.
+ *
+ * Wraps the browser-safe core in `labelstudio.ts`: reads / writes the task
+ * JSON on disk and resolves relative image paths against the JSON file's
+ * directory.
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import type { Labels } from "../model/labels.js";
+import {
+  labelStudioImagePath,
+  readLabelStudio,
+  type ReadLabelStudioOptions,
+  writeLabelStudio,
+  type WriteLabelStudioOptions,
+} from "./labelstudio.js";
+
+/**
+ * Read Label Studio tasks from a JSON export on disk. Unless the caller
+ * supplies `resolveImage`, local-storage URLs are unwrapped and relative paths
+ * that exist next to the JSON file are made absolute. Mirrors Python
+ * `read_labels(filename)`.
+ */
+export function loadLabelStudio(
+  jsonPath: string,
+  options: ReadLabelStudioOptions = {},
+): Labels {
+  if (!fs.existsSync(jsonPath)) {
+    throw new Error(`Label Studio file not found: ${jsonPath}`);
+  }
+  const text = fs.readFileSync(jsonPath, "utf-8");
+  const root = path.dirname(jsonPath);
+  const resolveImage =
+    options.resolveImage ??
+    ((url: string) => {
+      const p = labelStudioImagePath(url);
+      if (/^[a-z][a-z0-9+.-]*:/i.test(p) || path.isAbsolute(p)) return p;
+      const local = path.join(root, p);
+      return fs.existsSync(local) ? local : p;
+    });
+  return readLabelStudio(text, { ...options, resolveImage });
+}
+
+/**
+ * Save a {@link Labels} object as a Label Studio task JSON file
+ * ({@link writeLabelStudio}). Images are referenced, not exported. Mirrors
+ * Python `write_labels`.
+ */
+export function saveLabelStudio(
+  labels: Labels,
+  jsonPath: string,
+  options: WriteLabelStudioOptions = {},
+): void {
+  fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(writeLabelStudio(labels, options), null, 2),
+  );
+}
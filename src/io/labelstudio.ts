@@ -0,0 +1,898 @@
+/**
+ * Label Studio JSON reader and writer.
+ *
+ * Port of `sleap_io/io/labelstudio.py`, extended to the region types beyond
+ * keypoints. A Label Studio export is an array of tasks, each holding the
+ * image reference under `data` and one or more `annotations` whose `result`
+ * lists the labeled regions. Coordinates are percentages of the image size
+ * (`original_width` / `original_height`).
+ *
+ * - `keypointlabels` regions become {@link Instance} points. Keypoints related
+ *   (via `relation` results) to a `rectanglelabels` region form one instance
+ *   per rectangle. Unrelated keypoints form one more instance.
+ * - `rectanglelabels` regions become {@link UserBoundingBox}es (linked to the
+ *   instance they group, if any). Zero-size placeholder rectangles are skipped.
+ * - `polygonlabels` regions become {@link UserROI}s, and `brushlabels` regions
+ *   (Label Studio's bit-packed RLE) become {@link UserSegmentationMask}s.
+ * - Task image URLs become image-list {@link Video}s (one per image size), or
+ *   the `meta.video` entry written by {@link writeLabelStudio} is used.
+ *
+ * This module is browser-safe. The path-based Node loader and saver live in
+ * `labelstudio-node.ts`.
+ */
+
+import { UserBoundingBox } from "../model/bbox.js";
+import { Instance, PredictedInstance, Track } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import type { SegmentationMask } from "../model/mask.js";
+import { UserSegmentationMask } from "../model/mask.js";
+import { type Geometry, type ROI, UserROI } from "../model/roi.js";
+import { Skeleton } from "../model/skeleton.js";
+import { Video } from "../model/video.js";
+
+/** A region (or relation) in a Label Studio annotation `result`. */
+export interface LabelStudioResult {
+  id?: string;
+  type: string;
+  from_name?: string;
+  to_name?: string;
+  original_width?: number;
+  original_height?: number;
+  image_rotation?: number;
+  value?: {
+    x?: number;
+    y?: number;
+    width?: number;
+    height?: number;
+    rotation?: number;
+    points?: number[][];
+    format?: string;
+    rle?: number[];
+    keypointlabels?: string[];
+    rectanglelabels?: string[];
+    polygonlabels?: string[];
+    brushlabels?: string[];
+    [key: string]: unknown;
+  };
+  /** Relation endpoints (`type: "relation"`). */
+  from_id?: string;
+  to_id?: string;
+  direction?: string;
+  /** Free-text region metadata; the first entry is read as a track name. */
+  meta?: { text?: string[]; [key: string]: unknown };
+  score?: number;
+  [key: string]: unknown;
+}
+
+/** One annotation (or prediction) of a task. */
+export interface LabelStudioAnnotation {
+  id?: number;
+  result: LabelStudioResult[];
+  was_cancelled?: boolean;
+  score?: number;
+  [key: string]: unknown;
+}
+
+/** A Label Studio task. */
+export interface LabelStudioTask {
+  id?: number;
+  data: Record<string, unknown>;
+  /** Written by {@link writeLabelStudio} to locate the source video frame. */
+  meta?: {
+    video?: {
+      filename: string | string[];
+      frame_idx: number;
+      shape?: number[] | null;
+    };
+    [key: string]: unknown;
+  };
+  annotations?: LabelStudioAnnotation[];
+  /** Pre-1.0 name of `annotations`. */
+  completions?: LabelStudioAnnotation[];
+  predictions?: LabelStudioAnnotation[];
+  [key: string]: unknown;
+}
+
+/** Options for {@link readLabelStudio}. */
+export interface ReadLabelStudioOptions {
+  /**
+   * Skeleton for the keypoints: a {@link Skeleton} or its node names. Inferred
+   * from the keypoint labels (in order of appearance, no edges) if omitted.
+   */
+  skeleton?: Skeleton | string[];
+  /**
+   * `data` field holding the image URL. Defaults to `image`, then `img`, then
+   * the first string field.
+   */
+  imageKey?: string;
+  /**
+   * Map a task image URL to the path stored on the {@link Video}, or `null` to
+   * skip the task. Defaults to {@link labelStudioImagePath}.
+   */
+  resolveImage?: (url: string) => string | null;
+}
+
+/**
+ * Predicate: true for an array of objects that each carry a `data` object and
+ * an `annotations`, `completions` or `predictions` array.
+ */
+export function isLabelStudioData(data: unknown): boolean {
+  return (
+    Array.isArray(data) &&
+    data.length > 0 &&
+    data.every(
+      (task) =>
+        typeof task === "object" &&
+        task !== null &&
+        typeof task.data === "object" &&
+        task.data !== null &&
+        ["annotations", "completions", "predictions"].some((k) =>
+          Array.isArray(task[k]),
+        ),
+    )
+  );
+}
+
+/**
+ * The file path behind a Label Studio image URL: local-storage URLs
+ * (`/data/local-files/?d=<path>`) are unwrapped to `<path>`, anything else is
+ * returned unchanged.
+ */
+export function labelStudioImagePath(url: string): string {
+  const match = /[?&]d=([^&]*)/.exec(url);
+  if (match && url.includes("/data/local-files/")) {
+    return decodeURIComponent(match[1]);
+  }
+  return url;
+}
+
+/**
+ * Create a skeleton from the keypoint labels of `tasks`, in order of
+ * appearance. Mirrors Python `infer_nodes`.
+ */
+export function inferLabelStudioSkeleton(tasks: LabelStudioTask[]): Skeleton {
+  const names = new Set<string>();
+  for (const task of tasks) {
+    for (const annotation of taskAnnotations(task)) {
+      for (const result of annotation.result ?? []) {
+        if (result.type !== "keypointlabels") continue;
+        for (const name of result.value?.keypointlabels ?? []) names.add(name);
+      }
+    }
+  }
+  return new Skeleton([...names]);
+}
+
+/** A task's annotations (`annotations`, or legacy `completions`). */
+function taskAnnotations(task: LabelStudioTask): LabelStudioAnnotation[] {
+  return task.annotations ?? task.completions ?? [];
+}
+
+// =============================================================================
+// Brush RLE
+// =============================================================================
+
+/**
+ * Decode Label Studio brush RLE (`label_studio_converter.brush.decode_rle`) to
+ * the flat RGBA raster it encodes (`height * width * 4` bytes).
+ *
+ * The bit stream holds a 32-bit value count, a 5-bit word size (minus 1) and
+ * four 4-bit run-length field widths (minus 1). Each block then starts with a
+ * flag bit, a 2-bit field-width index and the block length (minus 1): a set
+ * flag repeats one word for the whole block, a clear flag is followed by that
+ * many literal words.
+ */
+export function decodeLabelStudioRle(rle: ArrayLike<number>): Uint8Array {
+  let bit = 0;
+  const read = (size: number): number => {
+    let value = 0;
+    for (let k = 0; k < size; k++, bit++) {
+      const byte = rle[bit >> 3] ?? 0;
+      value = value * 2 + ((byte >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+  };
+  const num = read(32);
+  const wordSize = read(5) + 1;
+  const rleSizes = [0, 1, 2, 3].map(() => read(4) + 1);
+  const out = new Uint8Array(num);
+  let i = 0;
+  while (i < num) {
+    const repeat = read(1);
+    const end = Math.min(num, i + 1 + read(rleSizes[read(2)]));
+    if (repeat) {
+      out.fill(read(wordSize), i, end);
+      i = end;
+    } else {
+      for (; i < end; i++) out[i] = read(wordSize);
+    }
+  }
+  return out;
+}
+
+/**
+ * Encode a flat byte raster as Label Studio brush RLE (the inverse of
+ * {@link decodeLabelStudioRle}), with 8-bit words and run-length fields of 3,
+ * 4, 8 and 16 bits.
+ */
+export function encodeLabelStudioRle(values: ArrayLike<number>): number[] {
+  const rleSizes = [3, 4, 8, 16];
+  const bits: number[] = [];
+  const write = (value: number, size: number) => {
+    for (let k = size - 1; k >= 0; k--) {
+      bits.push(Math.floor(value / 2 ** k) % 2);
+    }
+  };
+  write(values.length, 32);
+  write(8 - 1, 5);
+  for (const size of rleSizes) write(size - 1, 4);
+
+  let i = 0;
+  while (i < values.length) {
+    let end = i + 1;
+    while (end < values.length && values[end] === values[i]) end++;
+    for (let start = i; start < end; ) {
+      const length = Math.min(end - start, 2 ** 16);
+      if (length === 1) {
+        write(0, 1);
+        write(0, 2);
+        write(0, rleSizes[0]);
+      } else {
+        const index = rleSizes.findIndex((size) => length - 1 < 2 ** size);
+        write(1, 1);
+        write(index, 2);
+        write(length - 1, rleSizes[index]);
+      }
+      write(values[start], 8);
+      start += length;
+    }
+    i = end;
+  }
+
+  const bytes: number[] = [];
+  for (let k = 0; k < bits.length; k += 8) {
+    let byte = 0;
+    for (let b = 0; b < 8; b++) byte = byte * 2 + (bits[k + b] ?? 0);
+    bytes.push(byte);
+  }
+  return bytes;
+}
+
+// =============================================================================
+// Read
+// =============================================================================
+
+/** Pixel size of a region's image: its `original_*` size, else 100 x 100. */
+function regionSize(result: LabelStudioResult): [number, number] {
+  return [result.original_height ?? 100, result.original_width ?? 100];
+}
+
+/** First label of a region, whichever `*labels` field carries it. */
+function regionLabel(result: LabelStudioResult): string {
+  const labels = result.value?.[result.type];
+  return Array.isArray(labels) && labels.length ? String(labels[0]) : "";
+}
+
+/**
+ * A rectangle region in pixels. Label Studio rotates about the top-left
+ * corner (degrees, clockwise); boxes rotate about their center (radians).
+ */
+function rectangleBox(
+  result: LabelStudioResult,
+  opts: { instance: Instance | null; track: Track | null },
+): UserBoundingBox | null {
+  const [height, width] = regionSize(result);
+  const v = result.value ?? {};
+  const w = ((v.width ?? 0) * width) / 100;
+  const h = ((v.height ?? 0) * height) / 100;
+  if (!(w > 0 && h > 0)) return null;
+  const x = ((v.x ?? 0) * width) / 100;
+  const y = ((v.y ?? 0) * height) / 100;
+  const angle = ((v.rotation ?? 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const cx = x + (w / 2) * cos - (h / 2) * sin;
+  const cy = y + (w / 2) * sin + (h / 2) * cos;
+  return new UserBoundingBox({
+    x1: cx - w / 2,
+    y1: cy - h / 2,
+    x2: cx + w / 2,
+    y2: cy + h / 2,
+    angle,
+    category: regionLabel(result),
+    ...opts,
+  });
+}
+
+/** A polygon region as a {@link UserROI} in pixels, or null if degenerate. */
+function polygonRoi(
+  result: LabelStudioResult,
+  opts: { instance: Instance | null; track: Track | null },
+): ROI | null {
+  const [height, width] = regionSize(result);
+  const coords = (result.value?.points ?? []).map(([x, y]) => [
+    (x * width) / 100,
+    (y * height) / 100,
+  ]);
+  if (coords.length < 3) return null;
+  return UserROI.fromPolygon(coords, {
+    category: regionLabel(result),
+    ...opts,
+  });
+}
+
+/** A brush region as a {@link UserSegmentationMask} (alpha > 0 is set). */
+function brushMask(
+  result: LabelStudioResult,
+  opts: { instance: Instance | null; track: Track | null },
+): SegmentationMask | null {
+  const rle = result.value?.rle;
+  if (!Array.isArray(rle)) return null;
+  const [height, width] = regionSize(result);
+  const rgba = decodeLabelStudioRle(rle);
+  const mask = new Uint8Array(height * width);
+  for (let i = 0; i < mask.length; i++) mask[i] = rgba[i * 4 + 3] ? 1 : 0;
+  return UserSegmentationMask.fromArray(mask, height, width, {
+    category: regionLabel(result),
+    ...opts,
+  });
+}
+
+/** The `data` field holding a task's image URL, if any. */
+function taskImageUrl(
+  task: LabelStudioTask,
+  imageKey: string | undefined,
+): string | null {
+  const data = task.data ?? {};
+  const keys = imageKey ? [imageKey] : ["image", "img", ...Object.keys(data)];
+  for (const key of keys) {
+    if (typeof data[key] === "string") return data[key] as string;
+  }
+  return null;
+}
+
+/**
+ * Read Label Studio tasks from a JSON string or parsed array into
+ * {@link Labels}. Browser-safe core (no `fs`). Only the first annotation of
+ * each task is read (with a warning when there are more); `predictions` are
+ * ignored. Mirrors Python `read_labels` (read path).
+ *
+ * @throws If a task has no annotations, no image URL and no `meta.video`, or
+ *   a keypoint label is not a node of the given skeleton.
+ */
+export function readLabelStudio(
+  jsonOrTasks: string | LabelStudioTask[],
+  options: ReadLabelStudioOptions = {},
+): Labels {
+  const tasks: LabelStudioTask[] =
+    typeof jsonOrTasks === "string" ? JSON.parse(jsonOrTasks) : jsonOrTasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error("Label Studio data must be an array of tasks.");
+  }
+  const skeleton = Array.isArray(options.skeleton)
+    ? new Skeleton(options.skeleton)
+    : (options.skeleton ?? inferLabelStudioSkeleton(tasks));
+  const nodeIndex = new Map(skeleton.nodeNames.map((name, i) => [name, i]));
+  const resolveImage = options.resolveImage ?? labelStudioImagePath;
+
+  const tracks = new Map<string, Track>();
+  const trackOf = (result: LabelStudioResult): Track | null => {
+    const name = result.meta?.text?.[0];
+    if (!name) return null;
+    let track = tracks.get(name);
+    if (!track) {
+      track = new Track(name);
+      tracks.set(name, track);
+    }
+    return track;
+  };
+
+  // Videos: `meta.video` entries by filename, image URLs by image size.
+  const metaVideos = new Map<string, Video>();
+  const imageGroups = new Map<string, { paths: string[]; video: Video }>();
+  const frameFor = (
+    task: LabelStudioTask,
+    results: LabelStudioResult[],
+  ): { video: Video; frameIdx: number } | null => {
+    const meta = task.meta?.video;
+    if (meta) {
+      const key = JSON.stringify(meta.filename);
+      let video = metaVideos.get(key);
+      if (!video) {
+        video = new Video({ filename: meta.filename, openBackend: false });
+        if (Array.isArray(meta.shape) && meta.shape.length === 4) {
+          video.shape = meta.shape as [number, number, number, number];
+        }
+        metaVideos.set(key, video);
+      }
+      return { video, frameIdx: meta.frame_idx };
+    }
+    const url = taskImageUrl(task, options.imageKey);
+    if (url == null) {
+      throw new Error(
+        `Label Studio task ${task.id ?? "?"} has no image URL or meta.video.`,
+      );
+    }
+    const path = resolveImage(url);
+    if (path == null) return null;
+    const sized = results.find((r) => r.original_height && r.original_width);
+    const height = sized?.original_height ?? 0;
+    const width = sized?.original_width ?? 0;
+    const key = `${height},${width}`;
+    let group = imageGroups.get(key);
+    if (!group) {
+      const paths: string[] = [];
+      const video = new Video({
+        filename: paths,
+        openBackend: false,
+        backendMetadata: { shape: [0, height, width, 3] },
+      });
+      group = { paths, video };
+      imageGroups.set(key, group);
+    }
+    let frameIdx = group.paths.indexOf(path);
+    if (frameIdx < 0) {
+      frameIdx = group.paths.length;
+      group.paths.push(path);
+    }
+    return { video: group.video, frameIdx };
+  };
+
+  const labeledFrames: LabeledFrame[] = [];
+  for (const task of tasks) {
+    const annotations = taskAnnotations(task);
+    if (!annotations.length) {
+      throw new Error(
+        `Label Studio task ${task.id ?? "?"} has no annotations.`,
+      );
+    }
+    if (annotations.length > 1) {
+      console.warn(
+        `Task ${task.id ?? "?"}: multiple annotations found, only taking the first.`,
+      );
+    }
+    const results = annotations[0].result ?? [];
+    const frame = frameFor(task, results);
+    if (frame == null) continue;
+
+    const byId = new Map<string, LabelStudioResult>();
+    for (const result of results) {
+      if (result.id != null && result.type !== "relation") {
+        byId.set(result.id, result);
+      }
+    }
+    // Rectangle id -> ids of the regions related to it (either direction).
+    const members = new Map<string, string[]>();
+    for (const rel of results) {
+      if (rel.type !== "relation" || !rel.from_id || !rel.to_id) continue;
+      for (const [group, member] of [
+        [rel.to_id, rel.from_id],
+        [rel.from_id, rel.to_id],
+      ]) {
+        if (byId.get(group)?.type !== "rectanglelabels") continue;
+        if (byId.get(member)?.type === "rectanglelabels") continue;
+        const list = members.get(group) ?? [];
+        list.push(member);
+        members.set(group, list);
+      }
+    }
+
+    const instances: Instance[] = [];
+    const bboxes: UserBoundingBox[] = [];
+    const rois: ROI[] = [];
+    const masks: SegmentationMask[] = [];
+    const owner = new Map<
+      string,
+      { instance: Instance; track: Track | null }
+    >();
+
+    const buildInstance = (
+      keypoints: LabelStudioResult[],
+      track: Track | null,
+    ): Instance | null => {
+      const rows = skeleton.nodeNames.map(() => [Number.NaN, Number.NaN]);
+      let any = false;
+      for (const kp of keypoints) {
+        const name = regionLabel(kp);
+        const ni = nodeIndex.get(name);
+        if (ni === undefined) {
+          throw new Error(
+            `Label Studio task ${task.id ?? "?"}: keypoint '${name}' is not ` +
+              "a node of the skeleton.",
+          );
+        }
+        const [height, width] = regionSize(kp);
+        const x = ((kp.value?.x ?? Number.NaN) * width) / 100;
+        const y = ((kp.value?.y ?? Number.NaN) * height) / 100;
+        if (Number.isNaN(x) || Number.isNaN(y)) continue;
+        rows[ni] = [x, y];
+        any = true;
+      }
+      if (!any) return null;
+      return Instance.fromNumpy({ pointsData: rows, skeleton, track });
+    };
+
+    // Individuals: rectangles grouping keypoints through relations.
+    const grouped = new Set<string>();
+    for (const [rectId, memberIds] of members) {
+      const keypoints = memberIds
+        .map((id) => byId.get(id))
+        .filter((r): r is LabelStudioResult => r?.type === "keypointlabels");
+      const rect = byId.get(rectId)!;
+      const track = trackOf(rect);
+      const instance = buildInstance(keypoints, track);
+      for (const kp of keypoints) if (kp.id != null) grouped.add(kp.id);
+      if (!instance) continue;
+      instances.push(instance);
+      for (const id of [rectId, ...memberIds])
+        owner.set(id, { instance, track });
+    }
+    // Leftover keypoints: one more (single-animal or unique-bodypart) instance.
+    const leftover = results.filter(
+      (r) =>
+        r.type === "keypointlabels" && !(r.id != null && grouped.has(r.id)),
+    );
+    const rest = buildInstance(leftover, null);
+    if (rest) instances.push(rest);
+
+    for (const result of results) {
+      const link = (result.id != null && owner.get(result.id)) || null;
+      const opts = {
+        instance: link?.instance ?? null,
+        track: link?.track ?? trackOf(result),
+      };
+      if (result.type === "rectanglelabels") {
+        const box = rectangleBox(result, opts);
+        if (box) bboxes.push(box);
+      } else if (result.type === "polygonlabels") {
+        const roi = polygonRoi(result, opts);
+        if (roi) rois.push(roi);
+      } else if (result.type === "brushlabels") {
+        const mask = brushMask(result, opts);
+        if (mask) masks.push(mask);
+      }
+    }
+
+    const lf = new LabeledFrame({ ...frame, instances });
+    lf.bboxes.push(...bboxes);
+    lf.rois.push(...rois);
+    lf.masks.push(...masks);
+    labeledFrames.push(lf);
+  }
+
+  for (const { paths, video } of imageGroups.values()) {
+    const shape = video.backendMetadata.shape as number[];
+    shape[0] = paths.length;
+  }
+
+  return new Labels({
+    labeledFrames,
+    skeletons: [skeleton],
+    tracks: [...tracks.values()],
+  });
+}
+
+// =============================================================================
+// Write
+// =============================================================================
+
+/** Options for {@link writeLabelStudio}. */
+export interface WriteLabelStudioOptions {
+  /**
+   * Image URL for each labeled frame's task (`data.image`), or `null` to leave
+   * it out. Defaults to the frame's own file for image-list and single-image
+   * videos, else `null`. Every task also records `meta.video`.
+   */
+  imageUrl?: (frame: LabeledFrame, index: number) => string | null;
+  /**
+   * Write predicted instances and regions to the task `predictions` (default
+   * `true`); user ones always go to `annotations`.
+   */
+  includePredictions?: boolean;
+}
+
+/** The frame's own image file for image-list / single-image videos. */
+function frameImageFile(frame: LabeledFrame): string | null {
+  const { filename } = frame.video;
+  if (Array.isArray(filename)) return filename[frame.frameIdx] ?? null;
+  return /\.(png|jpe?g|bmp|tiff?|gif|webp)$/i.test(filename) ? filename : null;
+}
+
+/** Exterior rings (unclosed) of a geometry's polygons. */
+function exteriorRings(geometry: Geometry): number[][][] {
+  if (geometry.type === "GeometryCollection") {
+    return geometry.geometries.flatMap(exteriorRings);
+  }
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+  return polygons
+    .map((polygon) => {
+      const ring = polygon[0] ?? [];
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      const closed =
+        ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+      return closed ? ring.slice(0, -1) : ring;
+    })
+    .filter((ring) => ring.length >= 3);
+}
+
+/**
+ * Builds the `result` list of one task: ids are unique within the task, and
+ * coordinates are converted to percentages of the image size.
+ */
+class ResultBuilder {
+  results: LabelStudioResult[] = [];
+  private nextId = 0;
+
+  constructor(
+    private readonly height: number,
+    private readonly width: number,
+  ) {}
+
+  private region(
+    type: string,
+    fromName: string,
+    value: LabelStudioResult["value"],
+    extra: { track?: Track | null; score?: number } = {},
+  ): string {
+    const id = `r${this.nextId++}`;
+    const result: LabelStudioResult = {
+      id,
+      type,
+      from_name: fromName,
+      to_name: "image",
+      original_width: this.width,
+      original_height: this.height,
+      image_rotation: 0,
+      value,
+    };
+    if (extra.track) result.meta = { text: [extra.track.name] };
+    if (extra.score !== undefined && Number.isFinite(extra.score)) {
+      result.score = extra.score;
+    }
+    this.results.push(result);
+    return id;
+  }
+
+  relate(fromId: string, toId: string): void {
+    this.results.push({
+      from_id: fromId,
+      to_id: toId,
+      type: "relation",
+      direction: "right",
+    });
+  }
+
+  rectangle(
+    box: { cx: number; cy: number; w: number; h: number; angle: number },
+    label: string,
+    fromName: string,
+    extra?: { track?: Track | null; score?: number },
+  ): string {
+    // Label Studio rotates about the top-left corner.
+    const cos = Math.cos(box.angle);
+    const sin = Math.sin(box.angle);
+    const x = box.cx - (box.w / 2) * cos + (box.h / 2) * sin;
+    const y = box.cy - (box.w / 2) * sin - (box.h / 2) * cos;
+    return this.region(
+      "rectanglelabels",
+      fromName,
+      {
+        x: (x / this.width) * 100,
+        y: (y / this.height) * 100,
+        width: (box.w / this.width) * 100,
+        height: (box.h / this.height) * 100,
+        rotation: (box.angle * 180) / Math.PI,
+        rectanglelabels: [label],
+      },
+      extra,
+    );
+  }
+
+  keypoint(x: number, y: number, label: string, score?: number): string {
+    return this.region(
+      "keypointlabels",
+      "keypoint-label",
+      {
+        x: (x / this.width) * 100,
+        y: (y / this.height) * 100,
+        width: 0.5,
+        keypointlabels: [label],
+      },
+      { score },
+    );
+  }
+
+  polygon(
+    ring: number[][],
+    label: string,
+    extra?: { track?: Track | null; score?: number },
+  ): string {
+    return this.region(
+      "polygonlabels",
+      "polygon-label",
+      {
+        points: ring.map(([x, y]) => [
+          (x / this.width) * 100,
+          (y / this.height) * 100,
+        ]),
+        closed: true,
+        polygonlabels: [label],
+      },
+      extra,
+    );
+  }
+
+  brush(
+    mask: SegmentationMask,
+    label: string,
+    extra?: { track?: Track | null; score?: number },
+  ): string {
+    const data =
+      !mask.hasSpatialTransform &&
+      mask.height === this.height &&
+      mask.width === this.width
+        ? mask.data
+        : mask.toPolygon().toMask(this.height, this.width).data;
+    const rgba = new Uint8Array(data.length * 4);
+    for (let i = 0; i < data.length; i++) {
+      if (data[i]) rgba.fill(255, i * 4, i * 4 + 4);
+    }
+    return this.region(
+      "brushlabels",
+      "brush-label",
+      { format: "rle", rle: encodeLabelStudioRle(rgba), brushlabels: [label] },
+      extra,
+    );
+  }
+}
+
+/**
+ * Convert a {@link Labels} object into Label Studio tasks (the inverse of
+ * {@link readLabelStudio}). Browser-safe. Mirrors Python `convert_labels`.
+ *
+ * Each labeled frame becomes one task. Each instance becomes a rectangle
+ * (`individuals`; its linked box, else zero-size) related to one keypoint per
+ * labeled node; the instance's linked masks and ROIs are related to the same
+ * rectangle. Other boxes, ROIs (polygon exterior rings) and masks (brush RLE)
+ * become standalone regions labeled by their `category`. Tracks are stored as
+ * the region `meta.text`. Sizes come from the video shape, else 100 x 100 (so
+ * percentages equal pixels).
+ */
+export function writeLabelStudio(
+  labels: Labels,
+  options: WriteLabelStudioOptions = {},
+): LabelStudioTask[] {
+  const includePredictions = options.includePredictions ?? true;
+  const imageUrl =
+    options.imageUrl ?? ((frame: LabeledFrame) => frameImageFile(frame));
+  const tasks: LabelStudioTask[] = [];
+
+  labels.labeledFrames.forEach((frame, index) => {
+    const shape = frame.video.shape;
+    const height = shape?.[1] || 100;
+    const width = shape?.[2] || 100;
+    const user = new ResultBuilder(height, width);
+    const predicted = new ResultBuilder(height, width);
+    const builderFor = (item: object) =>
+      "score" in item && typeof item.score === "number" ? predicted : user;
+    const scoreOf = (item: object) =>
+      "score" in item && typeof item.score === "number"
+        ? (item.score as number)
+        : undefined;
+
+    const linked = new Set<object>();
+    for (const inst of frame.instances) {
+      const isPredicted = inst instanceof PredictedInstance;
+      if (isPredicted && !includePredictions) continue;
+      const builder = isPredicted ? predicted : user;
+      const box = frame.bboxes.find((b) => b.instance === inst);
+      if (box) linked.add(box);
+      const rectId = builder.rectangle(
+        box
+          ? {
+              cx: box.xCenter,
+              cy: box.yCenter,
+              w: box.width,
+              h: box.height,
+              angle: box.angle,
+            }
+          : { cx: 0, cy: 0, w: 0, h: 0, angle: 0 },
+        box?.category || "instance",
+        "individuals",
+        { track: inst.track, score: isPredicted ? inst.score : undefined },
+      );
+      const points = inst.numpy();
+      const scores = isPredicted ? inst.numpy({ scores: true }) : null;
+      points.forEach(([x, y], k) => {
+        if (Number.isNaN(x) || Number.isNaN(y)) return;
+        const kpId = builder.keypoint(
+          x,
+          y,
+          inst.skeleton.nodeNames[k],
+          scores?.[k][2],
+        );
+        builder.relate(kpId, rectId);
+      });
+      for (const roi of frame.rois) {
+        if (roi.instance !== inst) continue;
+        linked.add(roi);
+        for (const ring of exteriorRings(roi.geometry)) {
+          builder.relate(
+            builder.polygon(ring, roi.category || "object"),
+            rectId,
+          );
+        }
+      }
+      for (const mask of frame.masks) {
+        if (mask.instance !== inst) continue;
+        linked.add(mask);
+        builder.relate(builder.brush(mask, mask.category || "object"), rectId);
+      }
+    }
+
+    for (const box of frame.bboxes) {
+      if (linked.has(box)) continue;
+      const builder = builderFor(box);
+      if (builder === predicted && !includePredictions) continue;
+      builder.rectangle(
+        {
+          cx: box.xCenter,
+          cy: box.yCenter,
+          w: box.width,
+          h: box.height,
+          angle: box.angle,
+        },
+        box.category || "object",
+        "rectangle-label",
+        { track: box.track, score: scoreOf(box) },
+      );
+    }
+    for (const roi of frame.rois) {
+      if (linked.has(roi)) continue;
+      const builder = builderFor(roi);
+      if (builder === predicted && !includePredictions) continue;
+      for (const ring of exteriorRings(roi.geometry)) {
+        builder.polygon(ring, roi.category || "object", {
+          track: roi.track,
+          score: scoreOf(roi),
+        });
+      }
+    }
+    for (const mask of frame.masks) {
+      if (linked.has(mask)) continue;
+      const builder = builderFor(mask);
+      if (builder === predicted && !includePredictions) continue;
+      builder.brush(mask, mask.category || "object", {
+        track: mask.track,
+        score: scoreOf(mask),
+      });
+    }
+
+    const url = imageUrl(frame, index);
+    const task: LabelStudioTask = {
+      data: url == null ? {} : { image: url },
+      meta: {
+        video: {
+          filename: frame.video.filename,
+          frame_idx: frame.frameIdx,
+          shape: shape ? [...shape] : null,
+        },
+      },
+      annotations: [
+        { result: user.results, was_cancelled: false, ground_truth: false },
+      ],
+    };
+    if (predicted.results.length) {
+      task.predictions = [{ result: predicted.results }];
+    }
+    tasks.push(task);
+  });
+  return tasks;
+}
@@ -0,0 +1,253 @@
+/**
+ * LEAP (`.mat`) labels reader.
+ *
+ * A TypeScript port of the LEAP adaptor in Python SLEAP
+ * (`sleap/io/format/leap_matlab.py`) for labels saved by the LEAP GUI. The JS
+ * port reads MATLAB v7.3 files, which are HDF5 with a 512-byte user block;
+ * older v5/v7 MAT files are not HDF5 and have to be re-saved with `-v7.3`.
+ *
+ * MATLAB stores arrays column-major, so every dataset appears in HDF5 with its
+ * dimensions reversed. The fields read are:
+ *
+ * - `positions` — MATLAB `(nodes, 2, frames)`, i.e. HDF5 `(frames, 2, nodes)`,
+ *   reordered with the same axis-order logic as the MATLAB-layout
+ *   {@link readLabels analysis HDF5} reader. Unlabeled points are NaN.
+ * - `skeleton/nodes` — a cell array of char arrays (object references into
+ *   `#refs#`); `skeleton/edges` — a 1-based `(edges, 2)` index matrix.
+ * - `boxPath` — the HDF5 "box" video the frames were labeled on.
+ * - `status` — MATLAB `(nodes, frames)` per-point label state (0 = unset,
+ *   1 = initialized, 2 = labeled). When present, it is the labeled-frame mask:
+ *   a frame is loaded if any of its points is labeled, and points that were
+ *   never confirmed are loaded as not visible, keeping their stored (e.g.
+ *   initialized) coordinates.
+ *
+ * Coordinates are kept as stored, matching Python. Each labeled frame holds a
+ * single user {@link Instance}; the result can be combined with SLEAP labels
+ * through `Labels.merge`.
+ *
+ * Node-only (reads HDF5 via h5wasm) and exported from the Node entry point
+ * only.
+ */
+
+import { openH5File, nodeFileExists } from "../codecs/slp/h5.js";
+import { Instance } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import { Skeleton } from "../model/skeleton.js";
+import { Video } from "../model/video.js";
+import {
+  type AxisOrder,
+  getTransposeAxes,
+  transposeFlat,
+} from "./analysis-h5.js";
+import {
+  decodeStringArray,
+  getDs,
+  type H5ReadDataset,
+  readNumberAttr,
+  readStringAttr,
+} from "./h5-read-utils.js";
+
+/** Status value of a point the user placed in the LEAP GUI. */
+const LEAP_STATUS_LABELED = 2;
+
+/** Stored (HDF5) order of `positions`, with a singleton track axis appended. */
+const LEAP_POSITIONS_ORDER: AxisOrder = { frame: 0, xy: 1, node: 2, track: 3 };
+
+/** Canonical `(frame, track, node, xy)` order used by the analysis reader. */
+const CANONICAL_ORDER: AxisOrder = { frame: 0, track: 1, node: 2, xy: 3 };
+
+/** Minimal h5wasm file surface used here. */
+interface H5File {
+  get(name: string): unknown;
+  dereference(ref: unknown): unknown;
+}
+
+/** Options for {@link loadLeap}. */
+export interface LoadLeapOptions {
+  /**
+   * Skeleton to use for instances instead of the one stored in the file, e.g.
+   * the skeleton of the SLEAP project the labels will be merged into. Must
+   * have one node per LEAP node, in the same order.
+   */
+  skeleton?: Skeleton;
+  /**
+   * Video (or video path) the frames belong to. Defaults to the stored
+   * `boxPath`, read from its `box` dataset.
+   */
+  video?: Video | string;
+}
+
+/** Dataset shape as plain numbers. */
+function shapeOf(ds: H5ReadDataset): number[] {
+  return Array.from(ds.shape ?? [], Number);
+}
+
+/** Dataset values as a flat float array (bigints coerced). */
+function numbersOf(ds: H5ReadDataset): Float64Array {
+  return Float64Array.from(ds.value as ArrayLike<number | bigint>, (v) =>
+    Number(v),
+  );
+}
+
+/**
+ * Decode a MATLAB value stored as a string: a `char` array (UTF-16 code units
+ * in a `uint16` dataset), or a native HDF5 string as a fallback.
+ */
+function decodeMatString(ds: H5ReadDataset): string {
+  if (readNumberAttr(ds.attrs, "MATLAB_empty")) return "";
+  const value = ds.value;
+  if (ArrayBuffer.isView(value) && !(value instanceof Uint8Array)) {
+    return String.fromCharCode(
+      ...Array.from(value as unknown as ArrayLike<number>),
+    );
+  }
+  return decodeStringArray(value).join("");
+}
+
+/** Decode a MATLAB cell array of char arrays (stored as object references). */
+function decodeMatCellStrings(file: H5File, ds: H5ReadDataset): string[] {
+  if (readStringAttr(ds.attrs, "MATLAB_class") !== "cell") {
+    return decodeStringArray(ds.value);
+  }
+  return Array.from(ds.value as ArrayLike<unknown>, (ref) => {
+    const target = file.dereference(ref) as H5ReadDataset | null;
+    if (target == null || !("value" in target)) {
+      throw new Error("LEAP cell array references a missing dataset.");
+    }
+    return decodeMatString(target);
+  });
+}
+
+/**
+ * Read a LEAP labels file (MATLAB v7.3 `.mat`) into a {@link Labels} object
+ * with one user {@link Instance} per labeled frame.
+ *
+ * Node-only (reads HDF5 via h5wasm).
+ *
+ * @param filename - Path to the LEAP `.mat` file.
+ * @param options - Optional `skeleton` and `video` overrides.
+ */
+export async function loadLeap(
+  filename: string,
+  options: LoadLeapOptions = {},
+): Promise<Labels> {
+  if ((await nodeFileExists(filename)) === false) {
+    throw new Error(`${filename} doesn't exist.`);
+  }
+
+  const { file: rawFile, close } = await openH5File(filename);
+  const file = rawFile as unknown as H5File;
+  try {
+    // Pre-v7.3 MAT files open as an empty HDF5 file, so they end up here too.
+    const positionsDs = getDs(file, "positions");
+    if (positionsDs == null) {
+      throw new Error(
+        `LEAP file is missing 'positions' (only MATLAB v7.3 files, saved ` +
+          `with -v7.3, can be read): ${filename}`,
+      );
+    }
+    const shape = shapeOf(positionsDs);
+    if (shape.length !== 3 || shape[1] !== 2) {
+      throw new Error(
+        `LEAP 'positions' must be (nodes, 2, frames) in MATLAB, got HDF5 ` +
+          `shape [${shape.join(", ")}].`,
+      );
+    }
+    const [numFrames, , numNodes] = shape;
+    const { data: points } = transposeFlat(
+      numbersOf(positionsDs),
+      [...shape, 1],
+      getTransposeAxes(LEAP_POSITIONS_ORDER, CANONICAL_ORDER, 4),
+    );
+
+    // --- Skeleton. ---
+    let skeleton = options.skeleton;
+    if (skeleton == null) {
+      const nodesDs = getDs(file, "skeleton/nodes");
+      const nodeNames = nodesDs
+        ? decodeMatCellStrings(file, nodesDs)
+        : Array.from({ length: numNodes }, (_, i) => `node${i}`);
+      const edges: Array<[string, string]> = [];
+      const edgesDs = getDs(file, "skeleton/edges");
+      if (edgesDs && !readNumberAttr(edgesDs.attrs, "MATLAB_empty")) {
+        // MATLAB (edges, 2) → HDF5 (2, edges); indices are 1-based.
+        const edgeData = numbersOf(edgesDs);
+        const numEdges = edgeData.length / 2;
+        for (let e = 0; e < numEdges; e++) {
+          const src = nodeNames[edgeData[e] - 1];
+          const dst = nodeNames[edgeData[numEdges + e] - 1];
+          if (src !== undefined && dst !== undefined) edges.push([src, dst]);
+        }
+      }
+      skeleton = new Skeleton({ nodes: nodeNames, edges, name: filename });
+    }
+    if (skeleton.nodes.length !== numNodes) {
+      throw new Error(
+        `Skeleton has ${skeleton.nodes.length} nodes but the LEAP file has ` +
+          `${numNodes}.`,
+      );
+    }
+
+    // --- Video. ---
+    let video: Video;
+    if (options.video instanceof Video) {
+      video = options.video;
+    } else if (typeof options.video === "string") {
+      video = new Video({ filename: options.video });
+    } else {
+      const boxPathDs = getDs(file, "boxPath");
+      video = new Video({
+        filename: boxPathDs ? decodeMatString(boxPathDs) : "",
+        backendMetadata: { dataset: "box", input_format: "channels_first" },
+      });
+    }
+
+    // --- Labeled-frame mask. ---
+    const statusDs = getDs(file, "status");
+    let status: Float64Array | null = null;
+    if (statusDs) {
+      status = numbersOf(statusDs);
+      if (status.length !== numFrames * numNodes) {
+        throw new Error(
+          `LEAP 'status' has ${status.length} entries; expected ` +
+            `${numFrames * numNodes} (nodes x frames).`,
+        );
+      }
+    }
+
+    const labeledFrames: LabeledFrame[] = [];
+    for (let frameIdx = 0; frameIdx < numFrames; frameIdx++) {
+      const pointsData: number[][] = [];
+      const unconfirmed: number[] = [];
+      let anyLabeled = false;
+      for (let n = 0; n < numNodes; n++) {
+        const x = points[(frameIdx * numNodes + n) * 2];
+        const y = points[(frameIdx * numNodes + n) * 2 + 1];
+        const labeled = status
+          ? status[frameIdx * numNodes + n] === LEAP_STATUS_LABELED
+          : !Number.isNaN(x) && !Number.isNaN(y);
+        // Unconfirmed points keep their stored (e.g. initialized) position.
+        pointsData.push([x, y]);
+        if (labeled) anyLabeled = true;
+        else unconfirmed.push(n);
+      }
+      if (!anyLabeled) continue;
+      const instance = Instance.fromNumpy({ pointsData, skeleton });
+      for (const n of unconfirmed) instance.points[n].visible = false;
+      labeledFrames.push(
+        new LabeledFrame({ video, frameIdx, instances: [instance] }),
+      );
+    }
+
+    const labels = new Labels({
+      labeledFrames,
+      videos: [video],
+      skeletons: [skeleton],
+    });
+    labels.provenance.filename = filename;
+    return labels;
+  } finally {
+    close();
+  }
+}
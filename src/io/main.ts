@@ -16,7 +16,12 @@ import {
   writeLabels as writeAnalysisH5,
   writeLabelsToBytes as writeAnalysisH5ToBytes,
 } from "./analysis-h5.js";
-import { readNwb } from "./nwb.js";
+import {
+  readNwb,
+  writeNwb,
+  writeNwbToBytes,
+  type WriteNwbOptions,
+} from "./nwb.js";
 
 // TIFF label-image reader (browser-safe core; Node path reading is registered
 // via the side-effect import of ./label-images-node.js in the Node entry).
@@ -318,8 +323,14 @@ export async function saveAnalysisH5ToBytes(
 /** Re-export the Analysis HDF5 format detector for public use. */
 export { isAnalysisH5File } from "./analysis-h5.js";
 
-/** NWB (ndx-pose) predictions reader + format detector. */
-export { readNwb, isNwbFile } from "./nwb.js";
+/** NWB (ndx-pose) reader, writers + format detector. */
+export {
+  readNwb,
+  isNwbFile,
+  writeNwb,
+  writeNwbToBytes,
+  type WriteNwbOptions,
+} from "./nwb.js";
 
 /**
  * Load an NWB (ndx-pose) file into a {@link Labels} object.
@@ -339,11 +350,54 @@ export async function loadNwb(
   return readNwb(filename);
 }
 
-/** SLEAP Analysis CSV export (browser-safe string + Node file write). */
+/**
+ * Save labels to an NWB (ndx-pose) file.
+ *
+ * Node-only for disk I/O; see {@link saveNwbToBytes} for the in-memory
+ * variant. `mode: "predictions"` (default) writes `PoseEstimation` /
+ * `PoseEstimationSeries` per video and track, timed from
+ * `Video.getFrameTimes()` or the video fps; `mode: "annotations"` writes the
+ * user instances as a `PoseTraining` with `TrainingFrames`. Both write the
+ * skeletons under `processing/behavior/Skeletons` and open with
+ * {@link loadNwb}.
+ *
+ * @param labels - Labels object to save
+ * @param filename - Output file path
+ * @param options - Save options (see {@link WriteNwbOptions})
+ */
+export async function saveNwb(
+  labels: Labels,
+  filename: string,
+  options?: WriteNwbOptions,
+): Promise<void> {
+  await writeNwb(labels, filename, options);
+}
+
+/**
+ * Build NWB (ndx-pose) bytes from labels, in memory.
+ *
+ * Browser-safe counterpart to {@link saveNwb}. Mirrors
+ * {@link saveAnalysisH5ToBytes}.
+ *
+ * @param labels - Labels object to export
+ * @param options - Same options as {@link saveNwb}
+ * @returns The `.nwb` file contents
+ */
+export async function saveNwbToBytes(
+  labels: Labels,
+  options?: WriteNwbOptions,
+): Promise<Uint8Array> {
+  return writeNwbToBytes(labels, options);
+}
+
+/** SLEAP Analysis CSV export and import (browser-safe strings + Node files). */
 export {
   labelsToCsv,
   saveLabelsCsv,
+  labelsFromCsv,
+  loadLabelsCsv,
   type CsvExportOptions,
+  type CsvImportOptions,
 } from "./csv.js";
 
 /**
@@ -416,7 +470,16 @@ export async function saveSlpSet(
  * @param options.dataset - HDF5 dataset path for embedded videos
  * @param options.openBackend - Whether to open the backend (default: true)
  * @param options.backend - Explicit backend selection
- * @returns Video object with backend
+ * @param options.pattern - Glob selecting the frames of a `.zip` image sequence
+ * @param options.axis - Axis a TIFF stack's frames step along (`"T"`/`"Z"`)
+ * @param options.t - TIFF stack time point shown when frames step along Z
+ * @param options.z - TIFF stack Z plane shown when frames step along T
+ * @param options.c - TIFF stack channel shown
+ * @param options.intensityRange - TIFF stack sample values mapped to black and
+ *   white
+ * @returns Video object with backend. The TIFF stack options given are kept in
+ *   `backendMetadata` (`axis`, `t`, `z`, `c`, `intensity_range`), so a saved
+ *   `.slp` reopens the same plane.
  */
 export async function loadVideo(
   source: string | File,
@@ -424,16 +487,39 @@ export async function loadVideo(
     dataset?: string;
     openBackend?: boolean;
     backend?: VideoBackendType;
+    pattern?: string;
+    axis?: "T" | "Z";
+    t?: number;
+    z?: number;
+    c?: number;
+    intensityRange?: [number, number];
   },
 ): Promise<Video> {
   const filename = typeof source === "string" ? source : source.name;
   const backend = await createVideoBackend(source, {
     dataset: options?.dataset,
     backend: options?.backend,
+    pattern: options?.pattern,
+    axis: options?.axis,
+    t: options?.t,
+    z: options?.z,
+    c: options?.c,
+    intensityRange: options?.intensityRange,
   });
+  const stackMetadata: Record<string, unknown> = {
+    axis: options?.axis,
+    t: options?.t,
+    z: options?.z,
+    c: options?.c,
+    intensity_range: options?.intensityRange,
+  };
+  for (const key of Object.keys(stackMetadata)) {
+    if (stackMetadata[key] === undefined) delete stackMetadata[key];
+  }
   return new Video({
     filename,
     backend,
+    backendMetadata: stackMetadata,
     openBackend: options?.openBackend ?? true,
   });
 }
@@ -0,0 +1,440 @@
+/**
+ * NumPy `.npz` export and import of the Analysis arrays.
+ *
+ * {@link writeNpz} builds the same per-video arrays as the Analysis HDF5
+ * export ({@link toAnalysisArrays}) and stores each one as a genuine `.npy`
+ * file inside a ZIP archive, exactly as `numpy.savez` does, so
+ * `np.load("labels.npz")` reads it directly:
+ *
+ * - `tracks` — `(frames, tracks, nodes, 2)` float64, NaN where missing.
+ * - `track_occupancy` — `(frames, tracks)` uint8.
+ * - `point_scores` — `(frames, tracks, nodes)` float64.
+ * - `instance_scores` — `(frames, tracks)` float64.
+ * - `node_names`, `track_names` — `<U` string arrays.
+ *
+ * Arrays are frame-first (the order of `Labels.numpy()`), and row `i` is frame
+ * `i` of the video: the frame axis always starts at 0.
+ *
+ * {@link readNpz} is the inverse. Occupied slots with a finite instance score
+ * become {@link PredictedInstance}s and the rest user {@link Instance}s, so
+ * user labels survive a round trip.
+ *
+ * The byte-level functions ({@link writeNpz}, {@link readNpz},
+ * {@link encodeNpy}, {@link decodeNpy}) are browser-safe; {@link saveNpz} and
+ * {@link loadNpz} add file paths through the Node file writer / reader
+ * registered by `h5-node.ts`.
+ */
+
+import { nodeReadFile, nodeWriteFile } from "../codecs/slp/h5.js";
+import { Instance, PredictedInstance, Track } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import { Skeleton } from "../model/skeleton.js";
+import { Video } from "../model/video.js";
+import { toAnalysisArrays, transposeFlat } from "./analysis-h5.js";
+import { listZipEntries, readZipEntry, writeZip } from "./zip.js";
+
+/**
+ * An n-dimensional array as stored in a `.npy` file, in C (row-major) order.
+ * Numeric data is flat; string arrays (`<U` / `|S`) hold one string per
+ * element.
+ */
+export interface NpyArray {
+  /** NumPy dtype string, e.g. `"<f8"`, `"|u1"` or `"<U12"`. */
+  dtype: string;
+  shape: number[];
+  data: ArrayLike<number> | string[];
+}
+
+/** Options for {@link writeNpz} / {@link saveNpz}. */
+export interface WriteNpzOptions {
+  /** Video to export, as a `Video` or its index. Defaults to the first. */
+  video?: Video | number;
+  /** Deflate the archive members, like `numpy.savez_compressed`. */
+  compress?: boolean;
+}
+
+/** Options for {@link readNpz} / {@link loadNpz}. */
+export interface ReadNpzOptions {
+  /** Video the arrays belong to (a `Video` or filename). Default: unnamed. */
+  video?: Video | string;
+  /**
+   * Skeleton to use instead of one built from `node_names` (which carries no
+   * edges). Must have the same nodes, in the same order.
+   */
+  skeleton?: Skeleton;
+}
+
+const NPY_MAGIC = [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59]; // \x93NUMPY
+
+/** Bytes per element and DataView accessor name for numeric dtypes. */
+const NUMERIC_KINDS: Record<string, [number, string]> = {
+  f4: [4, "Float32"],
+  f8: [8, "Float64"],
+  i1: [1, "Int8"],
+  i2: [2, "Int16"],
+  i4: [4, "Int32"],
+  i8: [8, "BigInt64"],
+  u1: [1, "Uint8"],
+  u2: [2, "Uint16"],
+  u4: [4, "Uint32"],
+  u8: [8, "BigUint64"],
+  b1: [1, "Uint8"],
+};
+
+/** Split a dtype string into byte order, kind code and item size. */
+function parseDtype(dtype: string): {
+  littleEndian: boolean;
+  kind: string;
+  size: number;
+} {
+  const match = /^([<>|=]?)([a-zA-Z])(\d+)$/.exec(dtype);
+  if (!match) throw new Error(`Unsupported .npy dtype: ${dtype}`);
+  return {
+    littleEndian: match[1] !== ">",
+    kind: match[2],
+    size: Number(match[3]),
+  };
+}
+
+/**
+ * Encode an array as `.npy` (format version 1.0) bytes. Supported dtypes are
+ * the integer, float and bool kinds plus `<U` (UTF-32) strings; numeric data
+ * is written little-endian.
+ */
+export function encodeNpy(array: NpyArray): Uint8Array {
+  const { kind, size } = parseDtype(array.dtype);
+  const count = array.shape.reduce((a, b) => a * b, 1);
+  if (array.data.length !== count) {
+    throw new Error(
+      `.npy data has ${array.data.length} elements but shape ` +
+        `(${array.shape.join(", ")}) needs ${count}.`,
+    );
+  }
+
+  let descr: string;
+  let body: Uint8Array;
+  if (kind === "U") {
+    descr = `<U${size}`;
+    body = new Uint8Array(count * size * 4);
+    const view = new DataView(body.buffer);
+    (array.data as string[]).forEach((text, i) => {
+      const codePoints = Array.from(text, (c) => c.codePointAt(0) ?? 0);
+      if (codePoints.length > size) {
+        throw new Error(`String "${text}" does not fit dtype <U${size}.`);
+      }
+      codePoints.forEach((cp, j) => {
+        view.setUint32((i * size + j) * 4, cp, true);
+      });
+    });
+  } else {
+    const spec = NUMERIC_KINDS[`${kind}${size}`];
+    if (!spec) throw new Error(`Unsupported .npy dtype: ${array.dtype}`);
+    descr = size === 1 ? `|${kind}1` : `<${kind}${size}`;
+    body = new Uint8Array(count * size);
+    const view = new DataView(body.buffer) as unknown as Record<
+      string,
+      (offset: number, value: number | bigint, littleEndian: boolean) => void
+    >;
+    const setter = `set${spec[1]}`;
+    const big = spec[1].startsWith("Big");
+    const data = array.data as ArrayLike<number>;
+    for (let i = 0; i < count; i++) {
+      const value = big ? BigInt(Math.trunc(data[i])) : data[i];
+      view[setter](i * size, value, true);
+    }
+  }
+
+  const shape =
+    array.shape.length === 1
+      ? `(${array.shape[0]},)`
+      : `(${array.shape.join(", ")})`;
+  let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shape}, }`;
+  // Pad with spaces (plus the closing newline) to a multiple of 64 bytes,
+  // counting the 10-byte preamble, like NumPy does.
+  const total = Math.ceil((10 + header.length + 1) / 64) * 64;
+  header = `${header.padEnd(total - 10 - 1, " ")}\n`;
+
+  const out = new Uint8Array(total + body.length);
+  out.set(NPY_MAGIC, 0);
+  out[6] = 1; // major version
+  out[7] = 0; // minor version
+  new DataView(out.buffer).setUint16(8, header.length, true);
+  for (let i = 0; i < header.length; i++) out[10 + i] = header.charCodeAt(i);
+  out.set(body, total);
+  return out;
+}
+
+/**
+ * Decode `.npy` bytes (format versions 1–3). Numeric data comes back as a
+ * `Float64Array` (64-bit integers are converted to numbers), strings as
+ * `string[]`. Fortran-ordered arrays are reordered to C order.
+ */
+export function decodeNpy(bytes: Uint8Array): NpyArray {
+  if (!NPY_MAGIC.every((b, i) => bytes[i] === b)) {
+    throw new Error("Not a .npy file: bad magic string.");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const major = bytes[6];
+  const headerLength =
+    major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = new TextDecoder(major === 3 ? "utf-8" : "latin1").decode(
+    bytes.subarray(headerStart, headerStart + headerLength),
+  );
+
+  const descr = /'descr':\s*'([^']+)'/.exec(header)?.[1];
+  const fortran = /'fortran_order':\s*True/.test(header);
+  const shapeText = /'shape':\s*\(([^)]*)\)/.exec(header)?.[1];
+  if (descr === undefined || shapeText === undefined) {
+    throw new Error(`Unsupported .npy header: ${header.trim()}`);
+  }
+  const shape = shapeText
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0)
+    .map(Number);
+  const count = shape.reduce((a, b) => a * b, 1);
+  const offset = headerStart + headerLength;
+  const { littleEndian, kind, size } = parseDtype(descr);
+
+  let data: Float64Array | string[];
+  if (kind === "U" || kind === "S") {
+    const width = kind === "U" ? 4 : 1;
+    data = Array.from({ length: count }, (_, i) => {
+      let text = "";
+      for (let j = 0; j < size; j++) {
+        const at = offset + (i * size + j) * width;
+        const code =
+          width === 4 ? view.getUint32(at, littleEndian) : view.getUint8(at);
+        if (code === 0) break;
+        text += String.fromCodePoint(code);
+      }
+      return text;
+    });
+  } else {
+    const spec = NUMERIC_KINDS[`${kind}${size}`];
+    if (!spec) throw new Error(`Unsupported .npy dtype: ${descr}`);
+    const getter = `get${spec[1]}`;
+    const get = view as unknown as Record<
+      string,
+      (offset: number, littleEndian: boolean) => number | bigint
+    >;
+    data = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      data[i] = Number(get[getter](offset + i * size, littleEndian));
+    }
+  }
+
+  if (fortran && shape.length > 1) {
+    const reversed = [...shape].reverse();
+    const axes = reversed.map((_, i) => reversed.length - 1 - i);
+    if (Array.isArray(data)) {
+      const index = transposeFlat(
+        Float64Array.from(data, (_, i) => i),
+        reversed,
+        axes,
+      ).data;
+      const strings = data;
+      data = Array.from(index, (i) => strings[i]);
+    } else {
+      data = transposeFlat(data, reversed, axes).data;
+    }
+  }
+  return { dtype: descr, shape, data };
+}
+
+/** `<U` array of `names`, sized to the longest one. */
+function stringArray(names: string[]): NpyArray {
+  const width = Math.max(1, ...names.map((n) => Array.from(n).length));
+  return { dtype: `<U${width}`, shape: [names.length], data: names };
+}
+
+/**
+ * Export one video's labels as `.npz` bytes. See the module docs for the
+ * arrays written.
+ *
+ * @throws If the video has no labeled frames.
+ */
+export function writeNpz(
+  labels: Labels,
+  options: WriteNpzOptions = {},
+): Uint8Array {
+  const video =
+    typeof options.video === "number"
+      ? labels.videos[options.video]
+      : (options.video ?? labels.videos[0]);
+  if (!video) throw new Error("NPZ export needs a video.");
+
+  const arrays = toAnalysisArrays(labels, video, true, 0);
+  const { nFrames, nTracks, nNodes } = arrays;
+  const npz: Record<string, NpyArray> = {
+    tracks: {
+      dtype: "<f8",
+      shape: [nFrames, nTracks, nNodes, 2],
+      data: arrays.locations,
+    },
+    track_occupancy: {
+      dtype: "|u1",
+      shape: [nFrames, nTracks],
+      data: arrays.occupancy,
+    },
+    point_scores: {
+      dtype: "<f8",
+      shape: [nFrames, nTracks, nNodes],
+      data: arrays.pointScores,
+    },
+    instance_scores: {
+      dtype: "<f8",
+      shape: [nFrames, nTracks],
+      data: arrays.instanceScores,
+    },
+    node_names: stringArray(labels.skeletons[0].nodeNames),
+    track_names: stringArray(arrays.trackNames),
+  };
+  return writeZip(
+    Object.entries(npz).map(([name, array]) => ({
+      name: `${name}.npy`,
+      data: encodeNpy(array),
+    })),
+    { compress: options.compress },
+  );
+}
+
+/**
+ * Read every array in an `.npz` archive, keyed by name (without `.npy`).
+ */
+export function readNpzArrays(
+  source: Uint8Array | ArrayBuffer,
+): Record<string, NpyArray> {
+  const bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+  const arrays: Record<string, NpyArray> = {};
+  for (const entry of listZipEntries(bytes)) {
+    if (!entry.name.endsWith(".npy")) continue;
+    arrays[entry.name.slice(0, -4)] = decodeNpy(readZipEntry(bytes, entry));
+  }
+  return arrays;
+}
+
+/**
+ * Rebuild {@link Labels} from `.npz` bytes written by {@link writeNpz} (or any
+ * archive with the same arrays; only `tracks` is required).
+ */
+export function readNpz(
+  source: Uint8Array | ArrayBuffer,
+  options: ReadNpzOptions = {},
+): Labels {
+  const arrays = readNpzArrays(source);
+  const tracksArray = arrays.tracks;
+  if (!tracksArray) throw new Error("NPZ file has no 'tracks' array.");
+  if (tracksArray.shape.length !== 4 || tracksArray.shape[3] !== 2) {
+    throw new Error(
+      `NPZ 'tracks' must be (frames, tracks, nodes, 2), got ` +
+        `(${tracksArray.shape.join(", ")}).`,
+    );
+  }
+  const [nFrames, nTracks, nNodes] = tracksArray.shape;
+  const locations = tracksArray.data as ArrayLike<number>;
+  const numeric = (name: string, size: number): ArrayLike<number> | null => {
+    const array = arrays[name];
+    if (!array) return null;
+    if (array.data.length !== size) {
+      throw new Error(`NPZ '${name}' does not match the 'tracks' shape.`);
+    }
+    return array.data as ArrayLike<number>;
+  };
+  const occupancy = numeric("track_occupancy", nFrames * nTracks);
+  const pointScores = numeric("point_scores", nFrames * nTracks * nNodes);
+  const instanceScores = numeric("instance_scores", nFrames * nTracks);
+
+  const nodeNames =
+    (arrays.node_names?.data as string[] | undefined) ??
+    Array.from({ length: nNodes }, (_, i) => `node${i}`);
+  const skeleton = options.skeleton ?? new Skeleton({ nodes: nodeNames });
+  if (skeleton.nodes.length !== nNodes) {
+    throw new Error(
+      `Skeleton has ${skeleton.nodes.length} nodes but the NPZ has ${nNodes}.`,
+    );
+  }
+  const trackNames =
+    (arrays.track_names?.data as string[] | undefined) ??
+    Array.from({ length: nTracks }, (_, i) => `track_${i}`);
+  const tracks = trackNames.map((name) => new Track(name));
+  const video =
+    options.video instanceof Video
+      ? options.video
+      : new Video({ filename: options.video ?? "", openBackend: false });
+
+  const labeledFrames: LabeledFrame[] = [];
+  for (let f = 0; f < nFrames; f++) {
+    const instances: Array<Instance | PredictedInstance> = [];
+    for (let t = 0; t < nTracks; t++) {
+      const slot = f * nTracks + t;
+      const base = slot * nNodes;
+      let occupied = occupancy ? occupancy[slot] > 0 : false;
+      if (!occupancy) {
+        for (let n = 0; n < nNodes * 2 && !occupied; n++) {
+          occupied = !Number.isNaN(locations[base * 2 + n]);
+        }
+      }
+      if (!occupied) continue;
+
+      const score = instanceScores?.[slot] ?? Number.NaN;
+      const rows: number[][] = [];
+      for (let n = 0; n < nNodes; n++) {
+        const x = locations[(base + n) * 2];
+        const y = locations[(base + n) * 2 + 1];
+        rows.push(
+          Number.isNaN(score)
+            ? [x, y]
+            : [x, y, pointScores?.[base + n] ?? Number.NaN],
+        );
+      }
+      instances.push(
+        Number.isNaN(score)
+          ? Instance.fromNumpy({ pointsData: rows, skeleton, track: tracks[t] })
+          : PredictedInstance.fromNumpy({
+              pointsData: rows,
+              skeleton,
+              track: tracks[t],
+              score,
+            }),
+      );
+    }
+    if (instances.length) {
+      labeledFrames.push(new LabeledFrame({ video, frameIdx: f, instances }));
+    }
+  }
+
+  return new Labels({
+    labeledFrames,
+    videos: [video],
+    skeletons: [skeleton],
+    tracks,
+  });
+}
+
+/**
+ * Save one video's labels as an `.npz` file ({@link writeNpz}).
+ */
+export async function saveNpz(
+  labels: Labels,
+  filename: string,
+  options: WriteNpzOptions = {},
+): Promise<void> {
+  await nodeWriteFile(filename, writeNpz(labels, options));
+}
+
+/**
+ * Load Labels from an `.npz` file path (Node-only) or its bytes
+ * ({@link readNpz}).
+ */
+export async function loadNpz(
+  source: string | Uint8Array | ArrayBuffer,
+  options: ReadNpzOptions = {},
+): Promise<Labels> {
+  if (typeof source !== "string") return readNpz(source, options);
+  const labels = readNpz(await nodeReadFile(source), options);
+  labels.provenance.filename = source;
+  return labels;
+}
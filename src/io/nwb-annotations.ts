@@ -1,8 +1,9 @@
 /**
- * NWB (Neurodata Without Borders / ndx-pose) annotations reader.
+ * NWB (Neurodata Without Borders / ndx-pose) annotations reader and writer.
  *
  * Reads an ndx-pose **PoseTraining** (user annotations) `.nwb` file into a
- * sleap-io.js {@link Labels} object. NWB is plain HDF5 and sleap-io.js already
+ * sleap-io.js {@link Labels} object, and writes one back
+ * ({@link writeNwbAnnotations}). NWB is plain HDF5 and sleap-io.js already
  * bundles the HDF5 engine, so this is a schema-guided set of HDF5 reads (via the
  * caller-opened file) rather than a from-scratch NWB parser. Sibling of
  * {@link readNwbPredictions}.
@@ -42,6 +43,14 @@ import {
   readNumberAttr,
   readStringAttr,
 } from "./h5-read-utils.js";
+import {
+  type H5WriteGroup,
+  createProcessingModule,
+  createTypedGroup,
+  skeletonGroupNames,
+  writeScalarFloat,
+  writeSkeletons,
+} from "./nwb-write-utils.js";
 
 // =============================================================================
 // Minimal HDF5 entity surfaces + guards (kept local; mirror nwb-predictions.ts)
@@ -414,3 +423,196 @@ export async function readNwbAnnotations(
   }
   return labels;
 }
+
+// =============================================================================
+// Write
+// =============================================================================
+
+/** The video's first filename, or "". */
+function videoPath(video: Video): string {
+  const fn = video.filename;
+  return (Array.isArray(fn) ? fn[0] : fn) ?? "";
+}
+
+/**
+ * Write an external-file `ImageSeries` describing a source video. `dimension`
+ * (`[H, W]`) and `num_samples` are only written when the video shape is known;
+ * the rate is the video's `fps`, or 1 when unknown.
+ */
+function writeSourceVideo(
+  parent: H5WriteGroup,
+  name: string,
+  video: Video,
+): void {
+  const series = createTypedGroup(parent, name, "core", "ImageSeries");
+  series.create_attribute("description", "no description");
+  series.create_attribute("comments", "no comments");
+  const data = series.create_dataset({
+    name: "data",
+    data: new Uint8Array(0),
+    shape: [0, 0, 0],
+    dtype: "<B",
+  });
+  data?.create_attribute("conversion", 1.0, [], "<d");
+  data?.create_attribute("offset", 0.0, [], "<d");
+  data?.create_attribute("resolution", -1.0, [], "<d");
+  data?.create_attribute("unit", "NA");
+  const file = series.create_dataset({
+    name: "external_file",
+    data: [videoPath(video)],
+  });
+  file?.create_attribute("starting_frame", Int32Array.from([0]), [1], "<i4");
+  series.create_dataset({ name: "format", data: "external" });
+  const shape = video.shape;
+  if (shape) {
+    series.create_dataset({
+      name: "dimension",
+      data: Int32Array.from([shape[1], shape[2]]),
+      shape: [2],
+      dtype: "<i4",
+    });
+    series.create_dataset({
+      name: "num_samples",
+      data: Uint32Array.from([shape[0]]),
+      shape: [],
+      dtype: "<I",
+    });
+  }
+  const fps = video.fps;
+  const st = writeScalarFloat(series, "starting_time", 0);
+  st.create_attribute("rate", fps != null && fps > 0 ? fps : 1, [], "<d");
+  st.create_attribute("unit", "seconds");
+}
+
+/**
+ * Write the user-labeled instances of {@link Labels} as an ndx-pose
+ * `PoseTraining` into an open, writable NWB file whose root scaffold has
+ * already been written.
+ *
+ * Layout mirrors the reader: `processing/behavior/PoseTraining` holds one
+ * external-file `ImageSeries` per video under `source_videos` and one
+ * `TrainingFrame` per labeled frame under `training_frames`, each linking its
+ * source video and holding its `SkeletonInstance`s. Predicted instances are not
+ * written. An instance's track is stored as its index into `labels.tracks`
+ * (`id`; omitted when untracked), which reads back as `track_{id}` since the
+ * format has no track names.
+ *
+ * @param processing - The file's `/processing` group.
+ * @param labels - Labels to export.
+ * @throws If there are no user instances, or more than 256 tracks.
+ */
+export function writeNwbAnnotations(
+  processing: H5WriteGroup,
+  labels: Labels,
+): void {
+  const frames = labels.labeledFrames.filter(
+    (lf) => lf.userInstances.length > 0,
+  );
+  if (!frames.length) {
+    throw new Error("No user instances to write as NWB annotations.");
+  }
+  if (labels.tracks.length > 256) {
+    throw new Error(
+      `NWB annotations store track ids as uint8; got ${labels.tracks.length} tracks.`,
+    );
+  }
+
+  const behavior = createProcessingModule(
+    processing,
+    "behavior",
+    "processed behavioral data",
+  );
+  const skeletonNames = skeletonGroupNames(labels.skeletons);
+  const skeletonPaths = writeSkeletons(
+    behavior,
+    "/processing/behavior",
+    labels.skeletons,
+    skeletonNames,
+  );
+
+  const training = createTypedGroup(
+    behavior,
+    "PoseTraining",
+    "ndx-pose",
+    "PoseTraining",
+  );
+  const ptPath = "/processing/behavior/PoseTraining";
+  const sourceVideos = createTypedGroup(
+    training,
+    "source_videos",
+    "ndx-pose",
+    "SourceVideos",
+  );
+  labels.videos.forEach((video, i) => {
+    writeSourceVideo(sourceVideos, `video_${i}`, video);
+  });
+
+  const trainingFrames = createTypedGroup(
+    training,
+    "training_frames",
+    "ndx-pose",
+    "TrainingFrames",
+  );
+  frames.forEach((lf, k) => {
+    const videoIndex = labels.videos.indexOf(lf.video);
+    if (videoIndex < 0) {
+      throw new Error(`Frame ${lf.frameIdx} has a video not in labels.videos.`);
+    }
+    const frame = createTypedGroup(
+      trainingFrames,
+      `frame_${k}`,
+      "ndx-pose",
+      "TrainingFrame",
+    );
+    frame.create_attribute("source_video_frame_index", lf.frameIdx, [], "<I");
+    frame.create_soft_link(
+      `${ptPath}/source_videos/video_${videoIndex}`,
+      "source_video",
+    );
+    const instances = createTypedGroup(
+      frame,
+      "skeleton_instances",
+      "ndx-pose",
+      "SkeletonInstances",
+    );
+    lf.userInstances.forEach((inst, j) => {
+      const group = createTypedGroup(
+        instances,
+        `instance_${j}`,
+        "ndx-pose",
+        "SkeletonInstance",
+      );
+      const trackIndex = inst.track ? labels.tracks.indexOf(inst.track) : -1;
+      if (trackIndex >= 0) group.create_attribute("id", trackIndex, [], "<B");
+      const n = inst.points.length;
+      const locations = new Float64Array(n * 2);
+      const visibility = new Int8Array(n);
+      inst.numpy({ invisibleAsNaN: false }).forEach(([x, y], i) => {
+        locations[i * 2] = x;
+        locations[i * 2 + 1] = y;
+      });
+      for (let i = 0; i < n; i++)
+        visibility[i] = inst.points[i].visible ? 1 : 0;
+      group.create_dataset({
+        name: "node_locations",
+        data: locations,
+        shape: [n, 2],
+        dtype: "<d",
+      });
+      group.create_dataset({
+        name: "node_visibility",
+        data: visibility,
+        shape: [n],
+        dtype: "<b",
+      });
+      const skeletonIndex = labels.skeletons.indexOf(inst.skeleton);
+      const skeletonPath = skeletonPaths.get(inst.skeleton);
+      if (skeletonIndex < 0 || !skeletonPath) {
+        throw new Error(
+          `Skeleton '${inst.skeleton.name}' is not in labels.skeletons.`,
+        );
+      }
+      group.create_soft_link(skeletonPath, skeletonNames[skeletonIndex]);
+    });
+  });
+}
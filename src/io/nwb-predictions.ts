@@ -1,8 +1,9 @@
 /**
- * NWB (Neurodata Without Borders / ndx-pose) predictions reader.
+ * NWB (Neurodata Without Borders / ndx-pose) predictions reader and writer.
  *
  * Reads an ndx-pose **PoseEstimation** (predictions) `.nwb` file into a
- * sleap-io.js {@link Labels} object. NWB is plain HDF5, and sleap-io.js already
+ * sleap-io.js {@link Labels} object, and writes one back
+ * ({@link writeNwbPredictions}). NWB is plain HDF5, and sleap-io.js already
  * bundles the HDF5 engine, so this is a schema-guided set of HDF5 reads (via
  * `openH5File`) rather than a from-scratch NWB parser. Mirrors the structure of
  * `analysis-h5.ts`.
@@ -23,8 +24,10 @@
  * This reader deliberately RECOVERS two things the reference Python reader
  * drops: **track identity** (parsed from the `track={name}` container name) and
  * **integer frame indices** (recovered from each series' integer timestamps /
- * `starting_time`). An all-NaN node for a track is written as an EMPTY series
- * (shape `[0,2]`) and contributes no points.
+ * `starting_time`). `starting_time` is in seconds and is multiplied by its
+ * `rate` attribute; sleap-io writes `rate = 1`, so its files keep the frame
+ * numbers they were written with. An all-NaN node for a track is written as an
+ * EMPTY series (shape `[0,2]`) and contributes no points.
  *
  * Legacy ndx-pose (0.1.x) stores `nodes`/`edges` directly on the PoseEstimation
  * group (no `Skeletons` container); both eras are handled.
@@ -33,11 +36,26 @@
  */
 
 import { Labels } from "../model/labels.js";
-import { PredictedInstance, Track } from "../model/instance.js";
+import { type Instance, PredictedInstance, Track } from "../model/instance.js";
 import { LabeledFrame } from "../model/labeled-frame.js";
 import { Skeleton } from "../model/skeleton.js";
 import { Video } from "../model/video.js";
-import { decodeStringArray, readStringAttr } from "./h5-read-utils.js";
+import {
+  decodeStringArray,
+  readNumberAttr,
+  readStringAttr,
+} from "./h5-read-utils.js";
+import {
+  type H5WriteGroup,
+  type NwbFileGroups,
+  createGroup,
+  createProcessingModule,
+  createTypedGroup,
+  writeCameraDevice,
+  skeletonGroupNames,
+  writeScalarFloat,
+  writeSkeletons,
+} from "./nwb-write-utils.js";
 
 // =============================================================================
 // Minimal HDF5 entity surfaces + type guards
@@ -139,9 +157,12 @@ export function parseTrackName(containerName: string): string | null {
  * NWB records a TIME per sample, not a frame number. When `timestamps` is
  * present, those are the times as-is; otherwise samples are consecutive from
  * `startingTime` (`startingTime + i`), since SLEAP writes contiguous frames as
- * `starting_time` + implicit step. The times are resolved to frame indices at
- * the TRACK level (see {@link resolveTrackFrameIndices}) so a whole track shares
- * one canonical timeline.
+ * `starting_time` + implicit step. When the series carries a sampling `rate`,
+ * `startingTime` is in seconds and is scaled to sample units first
+ * (`startingTime * rate + i`); SLEAP's own `rate = 1` leaves it unchanged. The
+ * times are resolved to frame indices at the TRACK level (see
+ * {@link resolveTrackFrameIndices}) so a whole track shares one canonical
+ * timeline.
  *
  * @internal Exported for unit testing.
  */
@@ -149,9 +170,10 @@ export function seriesSampleTimes(
   timestamps: ArrayLike<number> | null | undefined,
   startingTime: number | undefined,
   count: number,
+  rate?: number,
 ): number[] {
   if (timestamps != null) return Array.from(timestamps, (t) => Number(t));
-  const base = startingTime ?? 0;
+  const base = (startingTime ?? 0) * (rate != null && rate > 0 ? rate : 1);
   const out: number[] = [];
   for (let i = 0; i < count; i++) out.push(base + i);
   return out;
@@ -389,14 +411,16 @@ export async function readNwbPredictions(
         const timestamps = isDataset(tsEntity)
           ? toNumberArray(tsEntity.value)
           : null;
-        const startingTime = readScalarNumber(
-          root.get(`${seriesPath}/starting_time`),
-        );
+        const startingEntity = root.get(`${seriesPath}/starting_time`);
+        const startingTime = readScalarNumber(startingEntity);
+        const rate = isDataset(startingEntity)
+          ? readNumberAttr(startingEntity.attrs, "rate")
+          : undefined;
         const confEntity = root.get(`${seriesPath}/confidence`);
 
         seriesList.push({
           ni,
-          times: seriesSampleTimes(timestamps, startingTime, T),
+          times: seriesSampleTimes(timestamps, startingTime, T, rate),
           data: toNumberArray(dataEntity.value),
           conf: isDataset(confEntity) ? toNumberArray(confEntity.value) : null,
         });
@@ -478,3 +502,315 @@ export async function readNwbPredictions(
   }
   return labels;
 }
+
+// =============================================================================
+// Write
+// =============================================================================
+
+/**
+ * Sample timing shared by every series of one video: a uniform sampling `rate`
+ * with the time of frame 0 in seconds (written as `starting_time` + `rate`), or
+ * explicit per-frame `timestamps` (seconds, indexed by frame).
+ */
+export type NwbSeriesTiming =
+  | { rate: number; startingTime: number }
+  | { timestamps: ArrayLike<number> };
+
+/**
+ * Choose the series timing for a video.
+ *
+ * Frame times (from `Video.getFrameTimes()`) win when available: uniform times
+ * collapse to a `rate` (the video's `fps` when it agrees, else the mean step)
+ * starting at the first frame's time, non-uniform ones are written as
+ * `timestamps`. Without frame times the `fps` is used, and without either the
+ * rate is 1 (times are frame indices, matching what SLEAP writes); both start
+ * at 0.
+ *
+ * @internal Exported for unit testing.
+ */
+export function nwbSeriesTiming(
+  fps: number | null | undefined,
+  frameTimes: ArrayLike<number> | null | undefined,
+): NwbSeriesTiming {
+  const validFps = fps != null && Number.isFinite(fps) && fps > 0;
+  if (frameTimes != null && frameTimes.length > 1) {
+    const n = frameTimes.length;
+    const step = (frameTimes[n - 1] - frameTimes[0]) / (n - 1);
+    let uniform = step > 0;
+    for (let i = 1; uniform && i < n; i++) {
+      const d = frameTimes[i] - frameTimes[i - 1];
+      uniform = Math.abs(d - step) <= step * 1e-3;
+    }
+    if (!uniform) return { timestamps: frameTimes };
+    const startingTime = frameTimes[0];
+    if (validFps && Math.abs(fps * step - 1) <= 1e-3) {
+      return { rate: fps, startingTime };
+    }
+    return { rate: 1 / step, startingTime };
+  }
+  return { rate: validFps ? fps : 1, startingTime: 0 };
+}
+
+/** PoseEstimation container name for an instance's track (`/` is reserved). */
+function trackContainerName(track: Track): string {
+  return `track=${track.name.replaceAll("/", "_")}`;
+}
+
+/** The video's first filename, or "". */
+function videoPath(video: Video): string {
+  const fn = video.filename;
+  return (Array.isArray(fn) ? fn[0] : fn) ?? "";
+}
+
+/** Basename of a path. */
+function pathBase(filename: string): string {
+  return filename.split(/[\\/]/).pop() ?? "";
+}
+
+/** Basename of a path without its extension (for module names). */
+function pathStem(filename: string): string {
+  const base = pathBase(filename);
+  const dot = base.lastIndexOf(".");
+  return dot > 0 ? base.slice(0, dot) : base;
+}
+
+/**
+ * Group a video's exportable instances (user instances plus unused
+ * predictions) into PoseEstimation containers keyed by name: one per track,
+ * `track=untracked` for the first untracked instance of each frame and
+ * `untracked_{k}` for the k-th extra one (read back as untracked).
+ */
+function containersForVideo(
+  frames: LabeledFrame[],
+): Map<string, Map<number, Instance>> {
+  const containers = new Map<string, Map<number, Instance>>();
+  const put = (name: string, frameIdx: number, inst: Instance): boolean => {
+    let byFrame = containers.get(name);
+    if (!byFrame) {
+      byFrame = new Map();
+      containers.set(name, byFrame);
+    }
+    if (byFrame.has(frameIdx)) return false;
+    byFrame.set(frameIdx, inst);
+    return true;
+  };
+  for (const lf of frames) {
+    let untracked = 0;
+    for (const inst of [...lf.userInstances, ...lf.unusedPredictions]) {
+      if (inst.track && put(trackContainerName(inst.track), lf.frameIdx, inst))
+        continue;
+      const name =
+        untracked === 0 ? "track=untracked" : `untracked_${untracked}`;
+      untracked += 1;
+      put(name, lf.frameIdx, inst);
+    }
+  }
+  return containers;
+}
+
+/**
+ * Write one PoseEstimationSeries per skeleton node, dense over the container's
+ * frame span (frames without the instance are NaN rows).
+ */
+function writePoseSeries(
+  pose: H5WriteGroup,
+  skeleton: Skeleton,
+  byFrame: Map<number, Instance>,
+  timing: NwbSeriesTiming,
+): void {
+  const frameIdxs = Array.from(byFrame.keys()).sort((a, b) => a - b);
+  const first = frameIdxs[0];
+  const T = frameIdxs[frameIdxs.length - 1] - first + 1;
+  const nNodes = skeleton.nodeNames.length;
+  const data = Array.from({ length: nNodes }, () =>
+    new Float64Array(T * 2).fill(Number.NaN),
+  );
+  const confidence = Array.from({ length: nNodes }, () =>
+    new Float64Array(T).fill(Number.NaN),
+  );
+  for (const [frameIdx, inst] of byFrame) {
+    const t = frameIdx - first;
+    const rows =
+      inst instanceof PredictedInstance
+        ? inst.numpy({ scores: true })
+        : inst
+            .numpy()
+            .map(([x, y]) => [x, y, Number.isNaN(x) ? Number.NaN : 1]);
+    rows.forEach(([x, y, score], ni) => {
+      if (ni >= nNodes) return;
+      data[ni][t * 2] = x;
+      data[ni][t * 2 + 1] = y;
+      confidence[ni][t] = score;
+    });
+  }
+
+  let timestamps: Float64Array | null = null;
+  if ("timestamps" in timing) {
+    timestamps = new Float64Array(T);
+    for (let t = 0; t < T; t++) {
+      const time = timing.timestamps[first + t];
+      if (time === undefined) {
+        throw new Error(
+          `No frame time for frame ${first + t}; the video has ` +
+            `${timing.timestamps.length} frame times.`,
+        );
+      }
+      timestamps[t] = time;
+    }
+  }
+
+  skeleton.nodeNames.forEach((nodeName, ni) => {
+    const series = createTypedGroup(
+      pose,
+      nodeName,
+      "ndx-pose",
+      "PoseEstimationSeries",
+    );
+    series.create_attribute(
+      "description",
+      `Sequential trajectory of ${nodeName}.`,
+    );
+    series.create_attribute("comments", "no comments");
+    const ds = series.create_dataset({
+      name: "data",
+      data: data[ni],
+      shape: [T, 2],
+      dtype: "<d",
+    });
+    ds?.create_attribute("conversion", 1.0, [], "<d");
+    ds?.create_attribute("offset", 0.0, [], "<d");
+    ds?.create_attribute("resolution", -1.0, [], "<d");
+    ds?.create_attribute("unit", "pixels");
+    const conf = series.create_dataset({
+      name: "confidence",
+      data: confidence[ni],
+      shape: [T],
+      dtype: "<d",
+    });
+    conf?.create_attribute("definition", "Point-wise confidence scores.");
+    series.create_dataset({
+      name: "reference_frame",
+      data: "The coordinates are in (x, y) relative to the top-left of the image.",
+    });
+    if (timestamps) {
+      const ts = series.create_dataset({
+        name: "timestamps",
+        data: timestamps,
+        shape: [T],
+        dtype: "<d",
+      });
+      ts?.create_attribute("interval", 1, [], "<i4");
+      ts?.create_attribute("unit", "seconds");
+    } else if ("rate" in timing) {
+      const st = writeScalarFloat(
+        series,
+        "starting_time",
+        timing.startingTime + first / timing.rate,
+      );
+      st.create_attribute("rate", timing.rate, [], "<d");
+      st.create_attribute("unit", "seconds");
+    }
+  });
+}
+
+/**
+ * Write {@link Labels} as ndx-pose predictions into an open, writable NWB file
+ * whose root scaffold has already been written.
+ *
+ * Layout mirrors the reader: one `SLEAP_VIDEO_{NNN}_{stem}` ProcessingModule per
+ * video holding one `PoseEstimation` per track (`track={name}`), each with one
+ * `PoseEstimationSeries` per node plus a soft link to its skeleton under
+ * `processing/behavior/Skeletons`. As in sleap-io, each video also gets a
+ * camera `Device` (`/general/devices/camera_{index}`) that its PoseEstimation
+ * containers link to, and each PoseEstimation records the labels' provenance
+ * (as JSON) in its `scorer`. User instances are included with confidence 1;
+ * predictions already replaced by a user instance are dropped. Each series
+ * spans its track's first to last frame, so frames in between are NaN rows.
+ *
+ * Timing follows {@link nwbSeriesTiming}. Non-uniform frame times are written
+ * as `timestamps`, which {@link readNwbPredictions} can only place positionally.
+ * A uniform timeline whose first frame is not at time 0 keeps that offset in
+ * `starting_time`, so the reader places its frames `offset * rate` later.
+ *
+ * @param groups - The file's `/general` and `/processing` groups.
+ * @param labels - Labels to export.
+ * @throws If no video has any instance to write.
+ */
+export async function writeNwbPredictions(
+  groups: NwbFileGroups,
+  labels: Labels,
+): Promise<void> {
+  const { general, processing } = groups;
+  const framesByVideo = new Map<Video, LabeledFrame[]>();
+  for (const lf of labels.labeledFrames) {
+    let list = framesByVideo.get(lf.video);
+    if (!list) {
+      list = [];
+      framesByVideo.set(lf.video, list);
+    }
+    list.push(lf);
+  }
+
+  const perVideo: Array<{
+    video: Video;
+    containers: Map<string, Map<number, Instance>>;
+  }> = [];
+  for (const video of labels.videos) {
+    const containers = containersForVideo(framesByVideo.get(video) ?? []);
+    if (containers.size) perVideo.push({ video, containers });
+  }
+  if (!perVideo.length) {
+    throw new Error("No instances to write as NWB predictions.");
+  }
+
+  const behavior = createProcessingModule(
+    processing,
+    "behavior",
+    "processed behavioral data",
+  );
+  const skeletonNames = skeletonGroupNames(labels.skeletons);
+  const skeletonPaths = writeSkeletons(
+    behavior,
+    "/processing/behavior",
+    labels.skeletons,
+    skeletonNames,
+  );
+
+  const scorer = JSON.stringify(labels.provenance);
+  const devices = createGroup(general, "devices");
+  for (const { video, containers } of perVideo) {
+    const filename = videoPath(video);
+    const index = labels.videos.indexOf(video);
+    const camera = `camera_${index}`;
+    writeCameraDevice(devices, camera, pathBase(filename));
+    const mod = createProcessingModule(
+      processing,
+      `SLEAP_VIDEO_${String(index).padStart(3, "0")}_${pathStem(filename)}`,
+      "Processed SLEAP data",
+    );
+    const timing = nwbSeriesTiming(video.fps, await video.getFrameTimes());
+
+    for (const [name, byFrame] of containers) {
+      const skeleton = byFrame.values().next().value!.skeleton;
+      const skeletonIndex = labels.skeletons.indexOf(skeleton);
+      const skeletonPath = skeletonPaths.get(skeleton);
+      if (skeletonIndex < 0 || !skeletonPath) {
+        throw new Error(
+          `Skeleton '${skeleton.name}' is not in labels.skeletons.`,
+        );
+      }
+      const pose = createTypedGroup(mod, name, "ndx-pose", "PoseEstimation");
+      writePoseSeries(pose, skeleton, byFrame, timing);
+      pose.create_soft_link(skeletonPath, skeletonNames[skeletonIndex]);
+      pose.create_soft_link(`/general/devices/${camera}`, camera);
+      pose.create_dataset({
+        name: "description",
+        data: `Estimated positions of ${skeletonNames[skeletonIndex]} in video ${filename}`,
+      });
+      pose.create_dataset({ name: "original_videos", data: [filename] });
+      pose.create_dataset({ name: "labeled_videos", data: [filename] });
+      pose.create_dataset({ name: "scorer", data: scorer });
+      pose.create_dataset({ name: "source_software", data: "SLEAP" });
+    }
+  }
+}
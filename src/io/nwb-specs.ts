@@ -0,0 +1,85 @@
+/**
+ * Cached NWB schema written under `/specifications` by the NWB writers.
+ *
+ * GENERATED FILE: do not edit by hand. Regenerate it with
+ * `node scripts/extract-nwb-specs.mjs` from a pynwb-written file
+ * (`tests/data/nwb/minimal.pose.nwb`). The `check` package script fails when
+ * this file differs from the script's output. Each entry is one namespace
+ * (`/specifications/<name>/<version>/<source>`), its sources the JSON text
+ * pynwb caches.
+ *
+ * @internal Not part of the public API.
+ */
+
+/** A cached namespace: its version and the JSON text of each source. */
+export interface CachedNwbNamespace {
+  version: string;
+  sources: Record<string, string>;
+}
+
+/** Namespaces cached in written files, keyed by namespace name. */
+export const NWB_CACHED_SPECS: Record<string, CachedNwbNamespace> = {
+  core: {
+    version: "2.7.0",
+    sources: {
+      namespace:
+        '{"namespaces":[{"doc":"NWB namespace","schema":[{"namespace":"hdmf-common"},{"source":"nwb.base"},{"source":"nwb.device"},{"source":"nwb.epoch"},{"source":"nwb.image"},{"source":"nwb.file"},{"source":"nwb.misc"},{"source":"nwb.behavior"},{"source":"nwb.ecephys"},{"source":"nwb.icephys"},{"source":"nwb.ogen"},{"source":"nwb.ophys"},{"source":"nwb.retinotopy"}],"name":"core","full_name":"NWB core","version":"2.7.0","author":["Andrew Tritt","Oliver Ruebel","Ryan Ly","Ben Dichter","Keith Godfrey","Jeff Teeters"],"contact":["ajtritt@lbl.gov","oruebel@lbl.gov","rly@lbl.gov","bdichter@lbl.gov","keithg@alleninstitute.org","jteeters@berkeley.edu"]}]}',
+      "nwb.base":
+        '{"datasets":[{"doc":"An abstract data type for a dataset.","neurodata_type_inc":"Data","neurodata_type_def":"NWBData"},{"dtype":[{"doc":"Start index into the TimeSeries \'data\' and \'timestamp\' datasets of the referenced TimeSeries. The first dimension of those arrays is always time.","name":"idx_start","dtype":"int32"},{"doc":"Number of data samples available in this time series, during this epoch","name":"count","dtype":"int32"},{"doc":"The TimeSeries that this index applies to","name":"timeseries","dtype":{"target_type":"TimeSeries","reftype":"object"}}],"doc":"Column storing references to a TimeSeries (rows). For each TimeSeries this VectorData column stores the start_index and count to indicate the range in time to be selected as well as an object reference to the TimeSeries.","default_name":"timeseries","neurodata_type_inc":"VectorData","neurodata_type_def":"TimeSeriesReferenceVectorData"},{"shape":[[null,null],[null,null,3],[null,null,4]],"dims":[["x","y"],["x","y","r, g, b"],["x","y","r, g, b, a"]],"dtype":"numeric","doc":"An abstract data type for an image. Shape can be 2-D (x, y), or 3-D where the third dimension can have three or four elements, e.g. (x, y, (r, g, b)) or (x, y, (r, g, b, a)).","neurodata_type_inc":"NWBData","neurodata_type_def":"Image","attributes":[{"doc":"Pixel resolution of the image, in pixels per centimeter.","name":"resolution","required":false,"dtype":"float32"},{"doc":"Description of the image.","name":"description","required":false,"dtype":"text"}]},{"shape":[null],"dims":["num_images"],"dtype":{"target_type":"Image","reftype":"object"},"doc":"Ordered dataset of references to Image objects.","neurodata_type_inc":"NWBData","neurodata_type_def":"ImageReferences"}],"groups":[{"doc":"An abstract data type for a generic container storing collections of data and metadata. Base type for all data and metadata containers.","neurodata_type_inc":"Container","neurodata_type_def":"NWBContainer"},{"doc":"An abstract data type for a generic container storing collections of data, as opposed to metadata.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"NWBDataInterface"},{"groups":[{"doc":"Lab-specific time and sync information as provided directly from hardware devices and that is necessary for aligning all acquired time information to a common timebase. The timestamp array stores time in the common timebase. This group will usually only be populated in TimeSeries that are stored external to the NWB file, in files storing raw data. Once timestamp data is calculated, the contents of \'sync\' are mostly for archival purposes.","name":"sync","quantity":"?"}],"datasets":[{"shape":[[null],[null,null],[null,null,null],[null,null,null,null]],"dims":[["num_times"],["num_times","num_DIM2"],["num_times","num_DIM2","num_DIM3"],["num_times","num_DIM2","num_DIM3","num_DIM4"]],"doc":"Data values. Data can be in 1-D, 2-D, 3-D, or 4-D. The first dimension should always represent time. This can also be used to store binary data (e.g., image frames). This can also be a link to data stored in an external file.","name":"data","attributes":[{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Base unit of measurement for working with the data. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text"},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"float64","doc":"Timestamp of the first sample in seconds. When timestamps are uniformly spaced, the timestamp of the first sample can be specified and all subsequent ones calculated from the sampling rate attribute.","name":"starting_time","quantity":"?","attributes":[{"doc":"Sampling rate, in Hz.","name":"rate","dtype":"float32"},{"doc":"Unit of measurement for time, which is fixed to \'seconds\'.","name":"unit","dtype":"text","value":"seconds"}]},{"shape":[null],"dims":["num_times"],"dtype":"float64","doc":"Timestamps for samples stored in data, in seconds, relative to the common experiment master-clock stored in NWBFile.timestamps_reference_time.","name":"timestamps","quantity":"?","attributes":[{"doc":"Value is \'1\'","name":"interval","dtype":"int32","value":1},{"doc":"Unit of measurement for timestamps, which is fixed to \'seconds\'.","name":"unit","dtype":"text","value":"seconds"}]},{"shape":[null],"dims":["num_times"],"dtype":"uint8","doc":"Numerical labels that apply to each time point in data for the purpose of querying and slicing data by these values. If present, the length of this array should be the same size as the first dimension of data.","name":"control","quantity":"?"},{"shape":[null],"dims":["num_control_values"],"dtype":"text","doc":"Description of each control value. Must be present if control is present. If present, control_description[0] should describe time points where control == 0.","name":"control_description","quantity":"?"}],"doc":"General purpose time series.","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"TimeSeries","attributes":[{"doc":"Description of the time series.","name":"description","required":false,"dtype":"text","default_value":"no description"},{"doc":"Human-readable comments about the TimeSeries. This second descriptive field can be used to store additional information, or descriptive information if the primary description field is populated with a computer-readable string.","name":"comments","required":false,"dtype":"text","default_value":"no comments"}]},{"groups":[{"doc":"Data objects stored in this collection.","quantity":"*","neurodata_type_inc":"NWBDataInterface"},{"doc":"Tables stored in this collection.","quantity":"*","neurodata_type_inc":"DynamicTable"}],"doc":"A collection of processed data.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"ProcessingModule","attributes":[{"doc":"Description of this collection of processed data.","name":"description","dtype":"text"}]},{"datasets":[{"doc":"Images stored in this collection.","quantity":"+","neurodata_type_inc":"Image"},{"doc":"Ordered dataset of references to Image objects stored in the parent group. Each Image object in the Images group should be stored once and only once, so the dataset should have the same length as the number of images.","name":"order_of_images","quantity":"?","neurodata_type_inc":"ImageReferences"}],"doc":"A collection of images with an optional way to specify the order of the images using the \\"order_of_images\\" dataset. An order must be specified if the images are referenced by index, e.g., from an IndexSeries.","default_name":"Images","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"Images","attributes":[{"doc":"Description of this collection of images.","name":"description","dtype":"text"}]}]}',
+      "nwb.behavior":
+        '{"groups":[{"datasets":[{"shape":[[null],[null,1],[null,2],[null,3]],"dims":[["num_times"],["num_times","x"],["num_times","x,y"],["num_times","x,y,z"]],"dtype":"numeric","doc":"1-D or 2-D array storing position or direction relative to some reference frame.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. The default value is \'meters\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","required":false,"dtype":"text","default_value":"meters"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"text","doc":"Description defining what exactly \'straight-ahead\' means.","name":"reference_frame","quantity":"?"}],"doc":"Direction, e.g., of gaze or travel, or position. The TimeSeries::data field is a 2D array storing position or direction relative to some reference frame. Array structure: [num measurements] [num dimensions]. Each SpatialSeries has a text dataset reference_frame that indicates the zero-position, or the zero-axes for direction. For example, if representing gaze direction, \'straight-ahead\' might be a specific pixel on the monitor, or some other point in space. For position data, the 0,0 point might be the top-left corner of an enclosure, as viewed from the tracking camera. The unit of data will indicate how to interpret SpatialSeries values.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"SpatialSeries"},{"groups":[{"doc":"IntervalSeries object containing start and stop times of epochs.","quantity":"*","neurodata_type_inc":"IntervalSeries"}],"doc":"TimeSeries for storing behavioral epochs.  The objective of this and the other two Behavioral interfaces (e.g. BehavioralEvents and BehavioralTimeSeries) is to provide generic hooks for software tools/scripts. This allows a tool/script to take the output one specific interface (e.g., UnitTimes) and plot that data relative to another data modality (e.g., behavioral events) without having to define all possible modalities in advance. Declaring one of these interfaces means that one or more TimeSeries of the specified type is published. These TimeSeries should reside in a group having the same name as the interface. For example, if a BehavioralTimeSeries interface is declared, the module will have one or more TimeSeries defined in the module sub-group \'BehavioralTimeSeries\'. BehavioralEpochs should use IntervalSeries. BehavioralEvents is used for irregular events. BehavioralTimeSeries is for continuous data.","default_name":"BehavioralEpochs","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"BehavioralEpochs"},{"groups":[{"doc":"TimeSeries object containing behavioral events.","quantity":"*","neurodata_type_inc":"TimeSeries"}],"doc":"TimeSeries for storing behavioral events. See description of <a href=\\"#BehavioralEpochs\\">BehavioralEpochs</a> for more details.","default_name":"BehavioralEvents","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"BehavioralEvents"},{"groups":[{"doc":"TimeSeries object containing continuous behavioral data.","quantity":"*","neurodata_type_inc":"TimeSeries"}],"doc":"TimeSeries for storing Behavoioral time series data. See description of <a href=\\"#BehavioralEpochs\\">BehavioralEpochs</a> for more details.","default_name":"BehavioralTimeSeries","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"BehavioralTimeSeries"},{"groups":[{"doc":"TimeSeries object containing time series data on pupil size.","quantity":"+","neurodata_type_inc":"TimeSeries"}],"doc":"Eye-tracking data, representing pupil size.","default_name":"PupilTracking","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"PupilTracking"},{"groups":[{"doc":"SpatialSeries object containing data measuring direction of gaze.","quantity":"*","neurodata_type_inc":"SpatialSeries"}],"doc":"Eye-tracking data, representing direction of gaze.","default_name":"EyeTracking","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"EyeTracking"},{"groups":[{"doc":"SpatialSeries object containing direction of gaze travel.","quantity":"*","neurodata_type_inc":"SpatialSeries"}],"doc":"With a CompassDirection interface, a module publishes a SpatialSeries object representing a floating point value for theta. The SpatialSeries::reference_frame field should indicate what direction corresponds to 0 and which is the direction of rotation (this should be clockwise). The si_unit for the SpatialSeries should be radians or degrees.","default_name":"CompassDirection","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"CompassDirection"},{"groups":[{"doc":"SpatialSeries object containing position data.","quantity":"+","neurodata_type_inc":"SpatialSeries"}],"doc":"Position data, whether along the x, x/y or x/y/z axis.","default_name":"Position","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"Position"}]}',
+      "nwb.device":
+        '{"groups":[{"doc":"Metadata about a data acquisition device, e.g., recording system, electrode, microscope.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"Device","attributes":[{"doc":"Description of the device (e.g., model, firmware version, processing software version, etc.) as free-form text.","name":"description","required":false,"dtype":"text"},{"doc":"The name of the manufacturer of the device.","name":"manufacturer","required":false,"dtype":"text"}]}]}',
+      "nwb.ecephys":
+        '{"groups":[{"datasets":[{"shape":[[null],[null,null],[null,null,null]],"dims":[["num_times"],["num_times","num_channels"],["num_times","num_channels","num_samples"]],"dtype":"numeric","doc":"Recorded voltage data.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. This value is fixed to \'volts\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\', followed by \'channel_conversion\' (if present), and then add \'offset\'.","name":"unit","dtype":"text","value":"volts"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"doc":"DynamicTableRegion pointer to the electrodes that this time series was generated from.","name":"electrodes","neurodata_type_inc":"DynamicTableRegion"},{"shape":[null],"dims":["num_channels"],"dtype":"float32","doc":"Channel-specific conversion factor. Multiply the data in the \'data\' dataset by these values along the channel axis (as indicated by axis attribute) AND by the global conversion factor in the \'conversion\' attribute of \'data\' to get the data values in Volts, i.e, data in Volts = data * data.conversion * channel_conversion. This approach allows for both global and per-channel data conversion factors needed to support the storage of electrical recordings as native values generated by data acquisition systems. If this dataset is not present, then there is no channel-specific conversion factor, i.e. it is 1 for all channels.","name":"channel_conversion","quantity":"?","attributes":[{"doc":"The zero-indexed axis of the \'data\' dataset that the channel-specific conversion factor corresponds to. This value is fixed to 1.","name":"axis","dtype":"int32","value":1}]}],"doc":"A time series of acquired voltage data from extracellular recordings. The data field is an int or float array storing data in volts. The first dimension should always represent time. The second dimension, if present, should represent channels.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"ElectricalSeries","attributes":[{"doc":"Filtering applied to all channels of the data. For example, if this ElectricalSeries represents high-pass-filtered data (also known as AP Band), then this value could be \\"High-pass 4-pole Bessel filter at 500 Hz\\". If this ElectricalSeries represents low-pass-filtered LFP data and the type of filter is unknown, then this value could be \\"Low-pass filter at 300 Hz\\". If a non-standard filter type is used, provide as much detail about the filter properties as possible.","name":"filtering","required":false,"dtype":"text"}]},{"datasets":[{"shape":[[null,null],[null,null,null]],"dims":[["num_events","num_samples"],["num_events","num_channels","num_samples"]],"dtype":"numeric","doc":"Spike waveforms.","name":"data","attributes":[{"doc":"Unit of measurement for waveforms, which is fixed to \'volts\'.","name":"unit","dtype":"text","value":"volts"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"shape":[null],"dims":["num_times"],"dtype":"float64","doc":"Timestamps for samples stored in data, in seconds, relative to the common experiment master-clock stored in NWBFile.timestamps_reference_time. Timestamps are required for the events. Unlike for TimeSeries, timestamps are required for SpikeEventSeries and are thus re-specified here.","name":"timestamps","attributes":[{"doc":"Value is \'1\'","name":"interval","dtype":"int32","value":1},{"doc":"Unit of measurement for timestamps, which is fixed to \'seconds\'.","name":"unit","dtype":"text","value":"seconds"}]}],"doc":"Stores snapshots/snippets of recorded spike events (i.e., threshold crossings). This may also be raw data, as reported by ephys hardware. If so, the TimeSeries::description field should describe how events were detected. All SpikeEventSeries should reside in a module (under EventWaveform interface) even if the spikes were reported and stored by hardware. All events span the same recording channels and store snapshots of equal duration. TimeSeries::data array structure: [num events] [num channels] [num samples] (or [num events] [num samples] for single electrode).","neurodata_type_inc":"ElectricalSeries","neurodata_type_def":"SpikeEventSeries"},{"datasets":[{"shape":[null],"dims":["num_features"],"dtype":"text","doc":"Description of features (eg, \'\'PC1\'\') for each of the extracted features.","name":"description"},{"shape":[null,null,null],"dims":["num_events","num_channels","num_features"],"dtype":"float32","doc":"Multi-dimensional array of features extracted from each event.","name":"features"},{"shape":[null],"dims":["num_events"],"dtype":"float64","doc":"Times of events that features correspond to (can be a link).","name":"times"},{"doc":"DynamicTableRegion pointer to the electrodes that this time series was generated from.","name":"electrodes","neurodata_type_inc":"DynamicTableRegion"}],"doc":"Features, such as PC1 and PC2, that are extracted from signals stored in a SpikeEventSeries or other source.","default_name":"FeatureExtraction","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"FeatureExtraction"},{"datasets":[{"dtype":"text","doc":"Description of how events were detected, such as voltage threshold, or dV/dT threshold, as well as relevant values.","name":"detection_method"},{"shape":[null],"dims":["num_events"],"dtype":"int32","doc":"Indices (zero-based) into source ElectricalSeries::data array corresponding to time of event. \'\'description\'\' should define what is meant by time of event (e.g., .25 ms before action potential peak, zero-crossing time, etc). The index points to each event from the raw data.","name":"source_idx"},{"shape":[null],"dims":["num_events"],"dtype":"float64","doc":"Timestamps of events, in seconds.","name":"times","attributes":[{"doc":"Unit of measurement for event times, which is fixed to \'seconds\'.","name":"unit","dtype":"text","value":"seconds"}]}],"links":[{"doc":"Link to the ElectricalSeries that this data was calculated from. Metadata about electrodes and their position can be read from that ElectricalSeries so it\'s not necessary to include that information here.","name":"source_electricalseries","target_type":"ElectricalSeries"}],"doc":"Detected spike events from voltage trace(s).","default_name":"EventDetection","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"EventDetection"},{"groups":[{"doc":"SpikeEventSeries object(s) containing detected spike event waveforms.","quantity":"*","neurodata_type_inc":"SpikeEventSeries"}],"doc":"Represents either the waveforms of detected events, as extracted from a raw data trace in /acquisition, or the event waveforms that were stored during experiment acquisition.","default_name":"EventWaveform","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"EventWaveform"},{"groups":[{"doc":"ElectricalSeries object(s) containing filtered electrophysiology data.","quantity":"+","neurodata_type_inc":"ElectricalSeries"}],"doc":"Electrophysiology data from one or more channels that has been subjected to filtering. Examples of filtered data include Theta and Gamma (LFP has its own interface). FilteredEphys modules publish an ElectricalSeries for each filtered channel or set of channels. The name of each ElectricalSeries is arbitrary but should be informative. The source of the filtered data, whether this is from analysis of another time series or as acquired by hardware, should be noted in each\'s TimeSeries::description field. There is no assumed 1::1 correspondence between filtered ephys signals and electrodes, as a single signal can apply to many nearby electrodes, and one electrode may have different filtered (e.g., theta and/or gamma) signals represented. Filter properties should be noted in the ElectricalSeries \'filtering\' attribute.","default_name":"FilteredEphys","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"FilteredEphys"},{"groups":[{"doc":"ElectricalSeries object(s) containing LFP data for one or more channels.","quantity":"+","neurodata_type_inc":"ElectricalSeries"}],"doc":"LFP data from one or more channels. The electrode map in each published ElectricalSeries will identify which channels are providing LFP data. Filter properties should be noted in the ElectricalSeries \'filtering\' attribute.","default_name":"LFP","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"LFP"},{"datasets":[{"dtype":[{"doc":"x coordinate","name":"x","dtype":"float32"},{"doc":"y coordinate","name":"y","dtype":"float32"},{"doc":"z coordinate","name":"z","dtype":"float32"}],"doc":"stereotaxic or common framework coordinates","name":"position","quantity":"?"}],"links":[{"doc":"Link to the device that was used to record from this electrode group.","name":"device","target_type":"Device"}],"doc":"A physical grouping of electrodes, e.g. a shank of an array.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"ElectrodeGroup","attributes":[{"doc":"Description of this electrode group.","name":"description","dtype":"text"},{"doc":"Location of electrode group. Specify the area, layer, comments on estimation of area/layer, etc. Use standard atlas names for anatomical regions when possible.","name":"location","dtype":"text"}]},{"datasets":[{"dtype":"text","doc":"Filtering applied to data before generating mean/sd","name":"waveform_filtering"},{"shape":[null,null],"dims":["num_clusters","num_samples"],"dtype":"float32","doc":"The mean waveform for each cluster, using the same indices for each wave as cluster numbers in the associated Clustering module (i.e, cluster 3 is in array slot [3]). Waveforms corresponding to gaps in cluster sequence should be empty (e.g., zero- filled)","name":"waveform_mean"},{"shape":[null,null],"dims":["num_clusters","num_samples"],"dtype":"float32","doc":"Stdev of waveforms for each cluster, using the same indices as in mean","name":"waveform_sd"}],"links":[{"doc":"Link to Clustering interface that was the source of the clustered data","name":"clustering_interface","target_type":"Clustering"}],"doc":"DEPRECATED The mean waveform shape, including standard deviation, of the different clusters. Ideally, the waveform analysis should be performed on data that is only high-pass filtered. This is a separate module because it is expected to require updating. For example, IMEC probes may require different storage requirements to store/display mean waveforms, requiring a new interface or an extension of this one.","default_name":"ClusterWaveforms","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"ClusterWaveforms"},{"datasets":[{"dtype":"text","doc":"Description of clusters or clustering, (e.g. cluster 0 is noise, clusters curated using Klusters, etc)","name":"description"},{"shape":[null],"dims":["num_events"],"dtype":"int32","doc":"Cluster number of each event","name":"num"},{"shape":[null],"dims":["num_clusters"],"dtype":"float32","doc":"Maximum ratio of waveform peak to RMS on any channel in the cluster (provides a basic clustering metric).","name":"peak_over_rms"},{"shape":[null],"dims":["num_events"],"dtype":"float64","doc":"Times of clustered events, in seconds. This may be a link to times field in associated FeatureExtraction module.","name":"times"}],"doc":"DEPRECATED Clustered spike data, whether from automatic clustering tools (e.g., klustakwik) or as a result of manual sorting.","default_name":"Clustering","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"Clustering"}]}',
+      "nwb.epoch":
+        '{"groups":[{"datasets":[{"dtype":"float32","doc":"Start time of epoch, in seconds.","name":"start_time","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"Stop time of epoch, in seconds.","name":"stop_time","neurodata_type_inc":"VectorData"},{"dtype":"text","doc":"User-defined tags that identify or categorize events.","name":"tags","quantity":"?","neurodata_type_inc":"VectorData"},{"doc":"Index for tags.","name":"tags_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"doc":"An index into a TimeSeries object.","name":"timeseries","quantity":"?","neurodata_type_inc":"TimeSeriesReferenceVectorData"},{"doc":"Index for timeseries.","name":"timeseries_index","quantity":"?","neurodata_type_inc":"VectorIndex"}],"doc":"A container for aggregating epoch data and the TimeSeries that each epoch applies to.","neurodata_type_inc":"DynamicTable","neurodata_type_def":"TimeIntervals"}]}',
+      "nwb.file":
+        '{"datasets":[{"doc":"Any one-off datasets","neurodata_type_inc":"NWBData","neurodata_type_def":"ScratchData","attributes":[{"doc":"Any notes the user has about the dataset being stored","name":"notes","dtype":"text"}]}],"groups":[{"groups":[{"groups":[{"doc":"Acquired, raw data.","quantity":"*","neurodata_type_inc":"NWBDataInterface"},{"doc":"Tabular data that is relevant to acquisition","quantity":"*","neurodata_type_inc":"DynamicTable"}],"doc":"Data streams recorded from the system, including ephys, ophys, tracking, etc. This group should be read-only after the experiment is completed and timestamps are corrected to a common timebase. The data stored here may be links to raw data stored in external NWB files. This will allow keeping bulky raw data out of the file while preserving the option of keeping some/all in the file. Acquired data includes tracking and experimental data streams (i.e., everything measured from the system). If bulky data is stored in the /acquisition group, the data can exist in a separate NWB file that is linked to by the file being used for processing and analysis.","name":"acquisition"},{"groups":[{"doc":"Custom analysis results.","quantity":"*","neurodata_type_inc":"NWBContainer"},{"doc":"Tabular data that is relevant to data stored in analysis","quantity":"*","neurodata_type_inc":"DynamicTable"}],"doc":"Lab-specific and custom scientific analysis of data. There is no defined format for the content of this group - the format is up to the individual user/lab. To facilitate sharing analysis data between labs, the contents here should be stored in standard types (e.g., neurodata_types) and appropriately documented. The file can store lab-specific and custom data analysis without restriction on its form or schema, reducing data formatting restrictions on end users. Such data should be placed in the analysis group. The analysis data should be documented so that it could be shared with other labs.","name":"analysis"},{"groups":[{"doc":"Any one-off containers","quantity":"*","neurodata_type_inc":"NWBContainer"},{"doc":"Any one-off tables","quantity":"*","neurodata_type_inc":"DynamicTable"}],"datasets":[{"doc":"Any one-off datasets","quantity":"*","neurodata_type_inc":"ScratchData"}],"doc":"A place to store one-off analysis results. Data placed here is not intended for sharing. By placing data here, users acknowledge that there is no guarantee that their data meets any standard.","name":"scratch","quantity":"?"},{"groups":[{"doc":"Intermediate analysis of acquired data.","quantity":"*","neurodata_type_inc":"ProcessingModule"}],"doc":"The home for ProcessingModules. These modules perform intermediate analysis of data that is necessary to perform before scientific analysis. Examples include spike clustering, extracting position from tracking data, stitching together image slices. ProcessingModules can be large and express many data sets from relatively complex analysis (e.g., spike detection and clustering) or small, representing extraction of position information from tracking video, or even binary lick/no-lick decisions. Common software tools (e.g., klustakwik, MClust) are expected to read/write data here.  \'Processing\' refers to intermediate analysis of the acquired data to make it more amenable to scientific analysis.","name":"processing"},{"groups":[{"groups":[{"doc":"TimeSeries objects containing data of presented stimuli.","quantity":"*","neurodata_type_inc":"TimeSeries"},{"doc":"Generic NWB data interfaces, usually from an extension, containing data of presented stimuli.","quantity":"*","neurodata_type_inc":"NWBDataInterface"},{"doc":"DynamicTable objects containing data of presented stimuli.","quantity":"*","neurodata_type_inc":"DynamicTable"}],"doc":"Stimuli presented during the experiment.","name":"presentation"},{"groups":[{"doc":"TimeSeries objects containing template data of presented stimuli.","quantity":"*","neurodata_type_inc":"TimeSeries"},{"doc":"Images objects containing images of presented stimuli.","quantity":"*","neurodata_type_inc":"Images"}],"doc":"Template stimuli. Timestamps in templates are based on stimulus design and are relative to the beginning of the stimulus. When templates are used, the stimulus instances must convert presentation times to the experiment`s time reference frame.","name":"templates"}],"doc":"Data pushed into the system (eg, video stimulus, sound, voltage, etc) and secondary representations of that data (eg, measurements of something used as a stimulus). This group should be made read-only after experiment complete and timestamps are corrected to common timebase. Stores both presented stimuli and stimulus templates, the latter in case the same stimulus is presented multiple times, or is pulled from an external stimulus library. Stimuli are here defined as any signal that is pushed into the system as part of the experiment (eg, sound, video, voltage, etc). Many different experiments can use the same stimuli, and stimuli can be re-used during an experiment. The stimulus group is organized so that one version of template stimuli can be stored and these be used multiple times. These templates can exist in the present file or can be linked to a remote library file.","name":"stimulus"},{"groups":[{"doc":"Place-holder than can be extended so that lab-specific meta-data can be placed in /general.","quantity":"*","neurodata_type_inc":"LabMetaData"},{"groups":[{"doc":"Data acquisition devices.","quantity":"*","neurodata_type_inc":"Device"}],"doc":"Description of hardware devices used during experiment, e.g., monitors, ADC boards, microscopes, etc.","name":"devices","quantity":"?"},{"doc":"Information about the animal or person from which the data was measured.","name":"subject","quantity":"?","neurodata_type_inc":"Subject"},{"groups":[{"doc":"Physical group of electrodes.","quantity":"*","neurodata_type_inc":"ElectrodeGroup"},{"datasets":[{"dtype":"float32","doc":"x coordinate of the channel location in the brain (+x is posterior).","name":"x","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"y coordinate of the channel location in the brain (+y is inferior).","name":"y","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"z coordinate of the channel location in the brain (+z is right).","name":"z","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"Impedance of the channel, in ohms.","name":"imp","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"text","doc":"Location of the electrode (channel). Specify the area, layer, comments on estimation of area/layer, stereotaxic coordinates if in vivo, etc. Use standard atlas names for anatomical regions when possible.","name":"location","neurodata_type_inc":"VectorData"},{"dtype":"text","doc":"Description of hardware filtering, including the filter name and frequency cutoffs.","name":"filtering","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":{"target_type":"ElectrodeGroup","reftype":"object"},"doc":"Reference to the ElectrodeGroup this electrode is a part of.","name":"group","neurodata_type_inc":"VectorData"},{"dtype":"text","doc":"Name of the ElectrodeGroup this electrode is a part of.","name":"group_name","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"x coordinate in electrode group","name":"rel_x","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"y coordinate in electrode group","name":"rel_y","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"float32","doc":"z coordinate in electrode group","name":"rel_z","quantity":"?","neurodata_type_inc":"VectorData"},{"dtype":"text","doc":"Description of the reference electrode and/or reference scheme used for this electrode, e.g., \\"stainless steel skull screw\\" or \\"online common average referencing\\".","name":"reference","quantity":"?","neurodata_type_inc":"VectorData"}],"doc":"A table of all electrodes (i.e. channels) used for recording.","name":"electrodes","quantity":"?","neurodata_type_inc":"DynamicTable"}],"doc":"Metadata related to extracellular electrophysiology.","name":"extracellular_ephys","quantity":"?"},{"groups":[{"doc":"An intracellular electrode.","quantity":"*","neurodata_type_inc":"IntracellularElectrode"},{"doc":"[DEPRECATED] Table used to group different PatchClampSeries. SweepTable is being replaced by IntracellularRecordingsTable and SimultaneousRecordingsTable tables. Additional SequentialRecordingsTable, RepetitionsTable and ExperimentalConditions tables provide enhanced support for experiment metadata.","name":"sweep_table","quantity":"?","neurodata_type_inc":"SweepTable"},{"doc":"A table to group together a stimulus and response from a single electrode and a single simultaneous recording. Each row in the table represents a single recording consisting typically of a stimulus and a corresponding response. In some cases, however, only a stimulus or a response are recorded as as part of an experiment. In this case both, the stimulus and response will point to the same TimeSeries while the idx_start and count of the invalid column will be set to -1, thus, indicating that no values have been recorded for the stimulus or response, respectively. Note, a recording MUST contain at least a stimulus or a response. Typically the stimulus and response are PatchClampSeries. However, the use of AD/DA channels that are not associated to an electrode is also common in intracellular electrophysiology, in which case other TimeSeries may be used.","name":"intracellular_recordings","quantity":"?","neurodata_type_inc":"IntracellularRecordingsTable"},{"doc":"A table for grouping different intracellular recordings from the IntracellularRecordingsTable table together that were recorded simultaneously from different electrodes","name":"simultaneous_recordings","quantity":"?","neurodata_type_inc":"SimultaneousRecordingsTable"},{"doc":"A table for grouping different sequential recordings from the SimultaneousRecordingsTable table together. This is typically used to group together sequential recordings where the a sequence of stimuli of the same type with varying parameters have been presented in a sequence.","name":"sequential_recordings","quantity":"?","neurodata_type_inc":"SequentialRecordingsTable"},{"doc":"A table for grouping different sequential intracellular recordings together. With each SequentialRecording typically representing a particular type of stimulus, the RepetitionsTable table is typically used to group sets of stimuli applied in sequence.","name":"repetitions","quantity":"?","neurodata_type_inc":"RepetitionsTable"},{"doc":"A table for grouping different intracellular recording repetitions together that belong to the same experimental experimental_conditions.","name":"experimental_conditions","quantity":"?","neurodata_type_inc":"ExperimentalConditionsTable"}],"datasets":[{"dtype":"text","doc":"[DEPRECATED] Use IntracellularElectrode.filtering instead. Description of filtering used. Includes filtering type and parameters, frequency fall-off, etc. If this changes between TimeSeries, filter description should be stored as a text attribute for each TimeSeries.","name":"filtering","quantity":"?"}],"doc":"Metadata related to intracellular electrophysiology.","name":"intracellular_ephys","quantity":"?"},{"groups":[{"doc":"An optogenetic stimulation site.","quantity":"*","neurodata_type_inc":"OptogeneticStimulusSite"}],"doc":"Metadata describing optogenetic stimuluation.","name":"optogenetics","quantity":"?"},{"groups":[{"doc":"An imaging plane.","quantity":"*","neurodata_type_inc":"ImagingPlane"}],"doc":"Metadata related to optophysiology.","name":"optophysiology","quantity":"?"}],"datasets":[{"dtype":"text","doc":"Notes about data collection and analysis.","name":"data_collection","quantity":"?"},{"dtype":"text","doc":"General description of the experiment.","name":"experiment_description","quantity":"?"},{"shape":[null],"dims":["num_experimenters"],"dtype":"text","doc":"Name of person(s) who performed the experiment. Can also specify roles of different people involved.","name":"experimenter","quantity":"?"},{"dtype":"text","doc":"Institution(s) where experiment was performed.","name":"institution","quantity":"?"},{"shape":[null],"dims":["num_keywords"],"dtype":"text","doc":"Terms to search over.","name":"keywords","quantity":"?"},{"dtype":"text","doc":"Laboratory where experiment was performed.","name":"lab","quantity":"?"},{"dtype":"text","doc":"Notes about the experiment.","name":"notes","quantity":"?"},{"dtype":"text","doc":"Description of drugs used, including how and when they were administered. Anesthesia(s), painkiller(s), etc., plus dosage, concentration, etc.","name":"pharmacology","quantity":"?"},{"dtype":"text","doc":"Experimental protocol, if applicable. e.g., include IACUC protocol number.","name":"protocol","quantity":"?"},{"shape":[null],"dims":["num_publications"],"dtype":"text","doc":"Publication information. PMID, DOI, URL, etc.","name":"related_publications","quantity":"?"},{"dtype":"text","doc":"Lab-specific ID for the session.","name":"session_id","quantity":"?"},{"dtype":"text","doc":"Description of slices, including information about preparation thickness, orientation, temperature, and bath solution.","name":"slices","quantity":"?"},{"dtype":"text","doc":"Script file or link to public source code used to create this NWB file.","name":"source_script","quantity":"?","attributes":[{"doc":"Name of script file.","name":"file_name","dtype":"text"}]},{"dtype":"text","doc":"Notes about stimuli, such as how and where they were presented.","name":"stimulus","quantity":"?"},{"dtype":"text","doc":"Narrative description about surgery/surgeries, including date(s) and who performed surgery.","name":"surgery","quantity":"?"},{"dtype":"text","doc":"Information about virus(es) used in experiments, including virus ID, source, date made, injection location, volume, etc.","name":"virus","quantity":"?"}],"doc":"Experimental metadata, including protocol, notes and description of hardware device(s).  The metadata stored in this section should be used to describe the experiment. Metadata necessary for interpreting the data is stored with the data. General experimental metadata, including animal strain, experimental protocols, experimenter, devices, etc, are stored under \'general\'. Core metadata (e.g., that required to interpret data fields) is stored with the data itself, and implicitly defined by the file specification (e.g., time is in seconds). The strategy used here for storing non-core metadata is to use free-form text fields, such as would appear in sentences or paragraphs from a Methods section. Metadata fields are text to enable them to be more general, for example to represent ranges instead of numerical values. Machine-readable metadata is stored as attributes to these free-form datasets. All entries in the below table are to be included when data is present. Unused groups (e.g., intracellular_ephys in an optophysiology experiment) should not be created unless there is data to store within them.","name":"general"},{"groups":[{"doc":"Divisions in time marking experimental stages or sub-divisions of a single recording session.","name":"epochs","quantity":"?","neurodata_type_inc":"TimeIntervals"},{"doc":"Repeated experimental events that have a logical grouping.","name":"trials","quantity":"?","neurodata_type_inc":"TimeIntervals"},{"doc":"Time intervals that should be removed from analysis.","name":"invalid_times","quantity":"?","neurodata_type_inc":"TimeIntervals"},{"doc":"Optional additional table(s) for describing other experimental time intervals.","quantity":"*","neurodata_type_inc":"TimeIntervals"}],"doc":"Experimental intervals, whether that be logically distinct sub-experiments having a particular scientific goal, trials (see trials subgroup) during an experiment, or epochs (see epochs subgroup) deriving from analysis of data.","name":"intervals","quantity":"?"},{"doc":"Data about sorted spike units.","name":"units","quantity":"?","neurodata_type_inc":"Units"}],"datasets":[{"shape":[null],"dims":["num_modifications"],"dtype":"isodatetime","doc":"A record of the date the file was created and of subsequent modifications. The date is stored in UTC with local timezone offset as ISO 8601 extended formatted strings: 2018-09-28T14:43:54.123+02:00. Dates stored in UTC end in \\"Z\\" with no timezone offset. Date accuracy is up to milliseconds. The file can be created after the experiment was run, so this may differ from the experiment start time. Each modification to the nwb file adds a new entry to the array.","name":"file_create_date"},{"dtype":"text","doc":"A unique text identifier for the file. For example, concatenated lab name, file creation date/time and experimentalist, or a hash of these and/or other values. The goal is that the string should be unique to all other files.","name":"identifier"},{"dtype":"text","doc":"A description of the experimental session and data in the file.","name":"session_description"},{"dtype":"isodatetime","doc":"Date and time of the experiment/session start. The date is stored in UTC with local timezone offset as ISO 8601 extended formatted string: 2018-09-28T14:43:54.123+02:00. Dates stored in UTC end in \\"Z\\" with no timezone offset. Date accuracy is up to milliseconds.","name":"session_start_time"},{"dtype":"isodatetime","doc":"Date and time corresponding to time zero of all timestamps. The date is stored in UTC with local timezone offset as ISO 8601 extended formatted string: 2018-09-28T14:43:54.123+02:00. Dates stored in UTC end in \\"Z\\" with no timezone offset. Date accuracy is up to milliseconds. All times stored in the file use this time as reference (i.e., time zero).","name":"timestamps_reference_time"}],"doc":"An NWB file storing cellular-based neurophysiology data from a single experimental session.","name":"root","neurodata_type_inc":"NWBContainer","neurodata_type_def":"NWBFile","attributes":[{"doc":"File version string. Use semantic versioning, e.g. 1.2.1. This will be the name of the format with trailing major, minor and patch numbers.","name":"nwb_version","dtype":"text","value":"2.7.0"}]},{"doc":"Lab-specific meta-data.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"LabMetaData"},{"datasets":[{"dtype":"text","doc":"Age of subject. Can be supplied instead of \'date_of_birth\'.","name":"age","quantity":"?","attributes":[{"doc":"Age is with reference to this event. Can be \'birth\' or \'gestational\'. If reference is omitted, \'birth\' is implied.","name":"reference","required":false,"dtype":"text","default_value":"birth"}]},{"dtype":"isodatetime","doc":"Date of birth of subject. Can be supplied instead of \'age\'.","name":"date_of_birth","quantity":"?"},{"dtype":"text","doc":"Description of subject and where subject came from (e.g., breeder, if animal).","name":"description","quantity":"?"},{"dtype":"text","doc":"Genetic strain. If absent, assume Wild Type (WT).","name":"genotype","quantity":"?"},{"dtype":"text","doc":"Gender of subject.","name":"sex","quantity":"?"},{"dtype":"text","doc":"Species of subject.","name":"species","quantity":"?"},{"dtype":"text","doc":"Strain of subject.","name":"strain","quantity":"?"},{"dtype":"text","doc":"ID of animal/person used/participating in experiment (lab convention).","name":"subject_id","quantity":"?"},{"dtype":"text","doc":"Weight at time of experiment, at time of surgery and at other important times.","name":"weight","quantity":"?"}],"doc":"Information about the animal or person from which the data was measured.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"Subject"}]}',
+      "nwb.icephys":
+        '{"groups":[{"datasets":[{"shape":[null],"dims":["num_times"],"dtype":"numeric","doc":"Recorded voltage or current.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"float32","doc":"Gain of the recording, in units Volt/Amp (v-clamp) or Volt/Volt (c-clamp).","name":"gain","quantity":"?"}],"links":[{"doc":"Link to IntracellularElectrode object that describes the electrode that was used to apply or record this data.","name":"electrode","target_type":"IntracellularElectrode"}],"doc":"An abstract base class for patch-clamp data - stimulus or response, current or voltage.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"PatchClampSeries","attributes":[{"doc":"Protocol/stimulus name for this patch-clamp dataset.","name":"stimulus_description","dtype":"text"},{"doc":"Sweep number, allows to group different PatchClampSeries together.","name":"sweep_number","required":false,"dtype":"uint32"}]},{"datasets":[{"doc":"Recorded voltage.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. which is fixed to \'volts\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text","value":"volts"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"float32","doc":"Bias current, in amps.","name":"bias_current","quantity":"?"},{"dtype":"float32","doc":"Bridge balance, in ohms.","name":"bridge_balance","quantity":"?"},{"dtype":"float32","doc":"Capacitance compensation, in farads.","name":"capacitance_compensation","quantity":"?"}],"doc":"Voltage data from an intracellular current-clamp recording. A corresponding CurrentClampStimulusSeries (stored separately as a stimulus) is used to store the current injected.","neurodata_type_inc":"PatchClampSeries","neurodata_type_def":"CurrentClampSeries"},{"datasets":[{"dtype":"float32","doc":"Bias current, in amps, fixed to 0.0.","name":"bias_current","value":0.0},{"dtype":"float32","doc":"Bridge balance, in ohms, fixed to 0.0.","name":"bridge_balance","value":0.0},{"dtype":"float32","doc":"Capacitance compensation, in farads, fixed to 0.0.","name":"capacitance_compensation","value":0.0}],"doc":"Voltage data from an intracellular recording when all current and amplifier settings are off (i.e., CurrentClampSeries fields will be zero). There is no CurrentClampStimulusSeries associated with an IZero series because the amplifier is disconnected and no stimulus can reach the cell.","neurodata_type_inc":"CurrentClampSeries","neurodata_type_def":"IZeroClampSeries","attributes":[{"doc":"An IZeroClampSeries has no stimulus, so this attribute is automatically set to \\"N/A\\"","name":"stimulus_description","dtype":"text","value":"N/A"}]},{"datasets":[{"doc":"Stimulus current applied.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. which is fixed to \'amperes\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text","value":"amperes"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]}],"doc":"Stimulus current applied during current clamp recording.","neurodata_type_inc":"PatchClampSeries","neurodata_type_def":"CurrentClampStimulusSeries"},{"datasets":[{"doc":"Recorded current.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. which is fixed to \'amperes\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text","value":"amperes"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"float32","doc":"Fast capacitance, in farads.","name":"capacitance_fast","quantity":"?","attributes":[{"doc":"Unit of measurement for capacitance_fast, which is fixed to \'farads\'.","name":"unit","dtype":"text","value":"farads"}]},{"dtype":"float32","doc":"Slow capacitance, in farads.","name":"capacitance_slow","quantity":"?","attributes":[{"doc":"Unit of measurement for capacitance_fast, which is fixed to \'farads\'.","name":"unit","dtype":"text","value":"farads"}]},{"dtype":"float32","doc":"Resistance compensation bandwidth, in hertz.","name":"resistance_comp_bandwidth","quantity":"?","attributes":[{"doc":"Unit of measurement for resistance_comp_bandwidth, which is fixed to \'hertz\'.","name":"unit","dtype":"text","value":"hertz"}]},{"dtype":"float32","doc":"Resistance compensation correction, in percent.","name":"resistance_comp_correction","quantity":"?","attributes":[{"doc":"Unit of measurement for resistance_comp_correction, which is fixed to \'percent\'.","name":"unit","dtype":"text","value":"percent"}]},{"dtype":"float32","doc":"Resistance compensation prediction, in percent.","name":"resistance_comp_prediction","quantity":"?","attributes":[{"doc":"Unit of measurement for resistance_comp_prediction, which is fixed to \'percent\'.","name":"unit","dtype":"text","value":"percent"}]},{"dtype":"float32","doc":"Whole cell capacitance compensation, in farads.","name":"whole_cell_capacitance_comp","quantity":"?","attributes":[{"doc":"Unit of measurement for whole_cell_capacitance_comp, which is fixed to \'farads\'.","name":"unit","dtype":"text","value":"farads"}]},{"dtype":"float32","doc":"Whole cell series resistance compensation, in ohms.","name":"whole_cell_series_resistance_comp","quantity":"?","attributes":[{"doc":"Unit of measurement for whole_cell_series_resistance_comp, which is fixed to \'ohms\'.","name":"unit","dtype":"text","value":"ohms"}]}],"doc":"Current data from an intracellular voltage-clamp recording. A corresponding VoltageClampStimulusSeries (stored separately as a stimulus) is used to store the voltage injected.","neurodata_type_inc":"PatchClampSeries","neurodata_type_def":"VoltageClampSeries"},{"datasets":[{"doc":"Stimulus voltage applied.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. which is fixed to \'volts\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text","value":"volts"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]}],"doc":"Stimulus voltage applied during a voltage clamp recording.","neurodata_type_inc":"PatchClampSeries","neurodata_type_def":"VoltageClampStimulusSeries"},{"datasets":[{"dtype":"text","doc":"unique ID of the cell","name":"cell_id","quantity":"?"},{"dtype":"text","doc":"Description of electrode (e.g.,  whole-cell, sharp, etc.).","name":"description"},{"dtype":"text","doc":"Electrode specific filtering.","name":"filtering","quantity":"?"},{"dtype":"text","doc":"Initial access resistance.","name":"initial_access_resistance","quantity":"?"},{"dtype":"text","doc":"Location of the electrode. Specify the area, layer, comments on estimation of area/layer, stereotaxic coordinates if in vivo, etc. Use standard atlas names for anatomical regions when possible.","name":"location","quantity":"?"},{"dtype":"text","doc":"Electrode resistance, in ohms.","name":"resistance","quantity":"?"},{"dtype":"text","doc":"Information about seal used for recording.","name":"seal","quantity":"?"},{"dtype":"text","doc":"Information about slice used for recording.","name":"slice","quantity":"?"}],"links":[{"doc":"Device that was used to record from this electrode.","name":"device","target_type":"Device"}],"doc":"An intracellular electrode and its metadata.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"IntracellularElectrode"},{"datasets":[{"dtype":"uint32","doc":"Sweep number of the PatchClampSeries in that row.","name":"sweep_number","neurodata_type_inc":"VectorData"},{"dtype":{"target_type":"PatchClampSeries","reftype":"object"},"doc":"The PatchClampSeries with the sweep number in that row.","name":"series","neurodata_type_inc":"VectorData"},{"doc":"Index for series.","name":"series_index","neurodata_type_inc":"VectorIndex"}],"doc":"[DEPRECATED] Table used to group different PatchClampSeries. SweepTable is being replaced by IntracellularRecordingsTable and SimultaneousRecordingsTable tables. Additional SequentialRecordingsTable, RepetitionsTable, and ExperimentalConditions tables provide enhanced support for experiment metadata.","neurodata_type_inc":"DynamicTable","neurodata_type_def":"SweepTable"},{"datasets":[{"dtype":{"target_type":"IntracellularElectrode","reftype":"object"},"doc":"Column for storing the reference to the intracellular electrode.","name":"electrode","neurodata_type_inc":"VectorData"}],"doc":"Table for storing intracellular electrode related metadata.","neurodata_type_inc":"DynamicTable","neurodata_type_def":"IntracellularElectrodesTable","attributes":[{"doc":"Description of what is in this dynamic table.","name":"description","dtype":"text","value":"Table for storing intracellular electrode related metadata."}]},{"datasets":[{"doc":"Column storing the reference to the recorded stimulus for the recording (rows).","name":"stimulus","neurodata_type_inc":"TimeSeriesReferenceVectorData"},{"doc":"Column storing the reference to the stimulus template for the recording (rows).","name":"stimulus_template","quantity":"?","neurodata_type_inc":"TimeSeriesReferenceVectorData"}],"doc":"Table for storing intracellular stimulus related metadata.","neurodata_type_inc":"DynamicTable","neurodata_type_def":"IntracellularStimuliTable","attributes":[{"doc":"Description of what is in this dynamic table.","name":"description","dtype":"text","value":"Table for storing intracellular stimulus related metadata."}]},{"datasets":[{"doc":"Column storing the reference to the recorded response for the recording (rows)","name":"response","neurodata_type_inc":"TimeSeriesReferenceVectorData"}],"doc":"Table for storing intracellular response related metadata.","neurodata_type_inc":"DynamicTable","neurodata_type_def":"IntracellularResponsesTable","attributes":[{"doc":"Description of what is in this dynamic table.","name":"description","dtype":"text","value":"Table for storing intracellular response related metadata."}]},{"groups":[{"doc":"Table for storing intracellular electrode related metadata.","name":"electrodes","neurodata_type_inc":"IntracellularElectrodesTable"},{"doc":"Table for storing intracellular stimulus related metadata.","name":"stimuli","neurodata_type_inc":"IntracellularStimuliTable"},{"doc":"Table for storing intracellular response related metadata.","name":"responses","neurodata_type_inc":"IntracellularResponsesTable"}],"doc":"A table to group together a stimulus and response from a single electrode and a single simultaneous recording. Each row in the table represents a single recording consisting typically of a stimulus and a corresponding response. In some cases, however, only a stimulus or a response is recorded as part of an experiment. In this case, both the stimulus and response will point to the same TimeSeries while the idx_start and count of the invalid column will be set to -1, thus, indicating that no values have been recorded for the stimulus or response, respectively. Note, a recording MUST contain at least a stimulus or a response. Typically the stimulus and response are PatchClampSeries. However, the use of AD/DA channels that are not associated to an electrode is also common in intracellular electrophysiology, in which case other TimeSeries may be used.","name":"intracellular_recordings","neurodata_type_inc":"AlignedDynamicTable","neurodata_type_def":"IntracellularRecordingsTable","attributes":[{"doc":"Description of the contents of this table. Inherited from AlignedDynamicTable and overwritten here to fix the value of the attribute.","name":"description","dtype":"text","value":"A table to group together a stimulus and response from a single electrode and a single simultaneous recording and for storing metadata about the intracellular recording."}]},{"datasets":[{"doc":"A reference to one or more rows in the IntracellularRecordingsTable table.","name":"recordings","neurodata_type_inc":"DynamicTableRegion","attributes":[{"doc":"Reference to the IntracellularRecordingsTable table that this table region applies to. This specializes the attribute inherited from DynamicTableRegion to fix the type of table that can be referenced here.","name":"table","dtype":{"target_type":"IntracellularRecordingsTable","reftype":"object"}}]},{"doc":"Index dataset for the recordings column.","name":"recordings_index","neurodata_type_inc":"VectorIndex"}],"doc":"A table for grouping different intracellular recordings from the IntracellularRecordingsTable table together that were recorded simultaneously from different electrodes.","name":"simultaneous_recordings","neurodata_type_inc":"DynamicTable","neurodata_type_def":"SimultaneousRecordingsTable"},{"datasets":[{"doc":"A reference to one or more rows in the SimultaneousRecordingsTable table.","name":"simultaneous_recordings","neurodata_type_inc":"DynamicTableRegion","attributes":[{"doc":"Reference to the SimultaneousRecordingsTable table that this table region applies to. This specializes the attribute inherited from DynamicTableRegion to fix the type of table that can be referenced here.","name":"table","dtype":{"target_type":"SimultaneousRecordingsTable","reftype":"object"}}]},{"doc":"Index dataset for the simultaneous_recordings column.","name":"simultaneous_recordings_index","neurodata_type_inc":"VectorIndex"},{"dtype":"text","doc":"The type of stimulus used for the sequential recording.","name":"stimulus_type","neurodata_type_inc":"VectorData"}],"doc":"A table for grouping different sequential recordings from the SimultaneousRecordingsTable table together. This is typically used to group together sequential recordings where a sequence of stimuli of the same type with varying parameters have been presented in a sequence.","name":"sequential_recordings","neurodata_type_inc":"DynamicTable","neurodata_type_def":"SequentialRecordingsTable"},{"datasets":[{"doc":"A reference to one or more rows in the SequentialRecordingsTable table.","name":"sequential_recordings","neurodata_type_inc":"DynamicTableRegion","attributes":[{"doc":"Reference to the SequentialRecordingsTable table that this table region applies to. This specializes the attribute inherited from DynamicTableRegion to fix the type of table that can be referenced here.","name":"table","dtype":{"target_type":"SequentialRecordingsTable","reftype":"object"}}]},{"doc":"Index dataset for the sequential_recordings column.","name":"sequential_recordings_index","neurodata_type_inc":"VectorIndex"}],"doc":"A table for grouping different sequential intracellular recordings together. With each SequentialRecording typically representing a particular type of stimulus, the RepetitionsTable table is typically used to group sets of stimuli applied in sequence.","name":"repetitions","neurodata_type_inc":"DynamicTable","neurodata_type_def":"RepetitionsTable"},{"datasets":[{"doc":"A reference to one or more rows in the RepetitionsTable table.","name":"repetitions","neurodata_type_inc":"DynamicTableRegion","attributes":[{"doc":"Reference to the RepetitionsTable table that this table region applies to. This specializes the attribute inherited from DynamicTableRegion to fix the type of table that can be referenced here.","name":"table","dtype":{"target_type":"RepetitionsTable","reftype":"object"}}]},{"doc":"Index dataset for the repetitions column.","name":"repetitions_index","neurodata_type_inc":"VectorIndex"}],"doc":"A table for grouping different intracellular recording repetitions together that belong to the same experimental condition.","name":"experimental_conditions","neurodata_type_inc":"DynamicTable","neurodata_type_def":"ExperimentalConditionsTable"}]}',
+      "nwb.image":
+        '{"datasets":[{"shape":[null,null],"dims":["x","y"],"dtype":"numeric","doc":"A grayscale image.","neurodata_type_inc":"Image","neurodata_type_def":"GrayscaleImage"},{"shape":[null,null,3],"dims":["x","y","r, g, b"],"dtype":"numeric","doc":"A color image.","neurodata_type_inc":"Image","neurodata_type_def":"RGBImage"},{"shape":[null,null,4],"dims":["x","y","r, g, b, a"],"dtype":"numeric","doc":"A color image with transparency.","neurodata_type_inc":"Image","neurodata_type_def":"RGBAImage"}],"groups":[{"datasets":[{"shape":[[null,null,null],[null,null,null,null]],"dims":[["frame","x","y"],["frame","x","y","z"]],"dtype":"numeric","doc":"Binary data representing images across frames. If data are stored in an external file, this should be an empty 3D array.","name":"data","attributes":[{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Base unit of measurement for working with the data. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text"},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"shape":[null],"dims":["rank"],"dtype":"int32","doc":"Number of pixels on x, y, (and z) axes.","name":"dimension","quantity":"?"},{"shape":[null],"dims":["num_files"],"dtype":"text","doc":"Paths to one or more external file(s). The field is only present if format=\'external\'. This is only relevant if the image series is stored in the file system as one or more image file(s). This field should NOT be used if the image is stored in another NWB file and that file is linked to this file.","name":"external_file","quantity":"?","attributes":[{"doc":"Each external image may contain one or more consecutive frames of the full ImageSeries. This attribute serves as an index to indicate which frames each file contains, to facilitate random access. The \'starting_frame\' attribute, hence, contains a list of frame numbers within the full ImageSeries of the first frame of each file listed in the parent \'external_file\' dataset. Zero-based indexing is used (hence, the first element will always be zero). For example, if the \'external_file\' dataset has three paths to files and the first file has 5 frames, the second file has 10 frames, and the third file has 20 frames, then this attribute will have values [0, 5, 15]. If there is a single external file that holds all of the frames of the ImageSeries (and so there is a single element in the \'external_file\' dataset), then this attribute should have value [0].","name":"starting_frame","dtype":"int32","shape":[null],"dims":["num_files"]}]},{"dtype":"text","doc":"Format of image. If this is \'external\', then the attribute \'external_file\' contains the path information to the image files. If this is \'raw\', then the raw (single-channel) binary data is stored in the \'data\' dataset. If this attribute is not present, then the default format=\'raw\' case is assumed.","name":"format","quantity":"?","default_value":"raw"}],"links":[{"doc":"Link to the Device object that was used to capture these images.","name":"device","target_type":"Device","quantity":"?"}],"doc":"General image data that is common between acquisition and stimulus time series. Sometimes the image data is stored in the file in a raw format while other times it will be stored as a series of external image files in the host file system. The data field will either be binary data, if the data is stored in the NWB file, or empty, if the data is stored in an external image stack. [frame][x][y] or [frame][x][y][z].","neurodata_type_inc":"TimeSeries","neurodata_type_def":"ImageSeries"},{"links":[{"doc":"Link to ImageSeries object that this image mask is applied to.","name":"masked_imageseries","target_type":"ImageSeries"}],"doc":"An alpha mask that is applied to a presented visual stimulus. The \'data\' array contains an array of mask values that are applied to the displayed image. Mask values are stored as RGBA. Mask can vary with time. The timestamps array indicates the starting time of a mask, and that mask pattern continues until it\'s explicitly changed.","neurodata_type_inc":"ImageSeries","neurodata_type_def":"ImageMaskSeries"},{"datasets":[{"dtype":"float32","doc":"Distance from camera/monitor to target/eye.","name":"distance","quantity":"?"},{"shape":[[2],[3]],"dims":[["width, height"],["width, height, depth"]],"dtype":"float32","doc":"Width, height and depth of image, or imaged area, in meters.","name":"field_of_view","quantity":"?"},{"shape":[[null,null,null],[null,null,null,3]],"dims":[["frame","x","y"],["frame","x","y","r, g, b"]],"dtype":"numeric","doc":"Images presented to subject, either grayscale or RGB","name":"data","attributes":[{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Base unit of measurement for working with the data. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text"},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"text","doc":"Description of image relative to some reference frame (e.g., which way is up). Must also specify frame of reference.","name":"orientation","quantity":"?"}],"doc":"Image data that is presented or recorded. A stimulus template movie will be stored only as an image. When the image is presented as stimulus, additional data is required, such as field of view (e.g., how much of the visual field the image covers, or how what is the area of the target being imaged). If the OpticalSeries represents acquired imaging data, orientation is also important.","neurodata_type_inc":"ImageSeries","neurodata_type_def":"OpticalSeries"},{"datasets":[{"shape":[null],"dims":["num_times"],"dtype":"uint32","doc":"Index of the image (using zero-indexing) in the linked Images object.","name":"data","attributes":[{"doc":"This field is unused by IndexSeries.","name":"conversion","required":false,"dtype":"float32"},{"doc":"This field is unused by IndexSeries.","name":"resolution","required":false,"dtype":"float32"},{"doc":"This field is unused by IndexSeries.","name":"offset","required":false,"dtype":"float32"},{"doc":"This field is unused by IndexSeries and has the value N/A.","name":"unit","dtype":"text","value":"N/A"},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]}],"links":[{"doc":"Link to ImageSeries object containing images that are indexed. Use of this link is discouraged and will be deprecated. Link to an Images type instead.","name":"indexed_timeseries","target_type":"ImageSeries","quantity":"?"},{"doc":"Link to Images object containing an ordered set of images that are indexed. The Images object must contain a \'ordered_images\' dataset specifying the order of the images in the Images type.","name":"indexed_images","target_type":"Images","quantity":"?"}],"doc":"Stores indices to image frames stored in an ImageSeries. The purpose of the IndexSeries is to allow a static image stack to be stored in an Images object, and the images in the stack to be referenced out-of-order. This can be for the display of individual images, or of movie segments (as a movie is simply a series of images). The data field stores the index of the frame in the referenced Images object, and the timestamps array indicates when that image was displayed.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"IndexSeries"}]}',
+      "nwb.misc":
+        '{"groups":[{"datasets":[{"shape":[[null],[null,null]],"dims":[["num_times"],["num_times","num_features"]],"dtype":"numeric","doc":"Values of each feature at each time.","name":"data","attributes":[{"doc":"Since there can be different units for different features, store the units in \'feature_units\'. The default value for this attribute is \\"see \'feature_units\'\\".","name":"unit","required":false,"dtype":"text","default_value":"see \'feature_units\'"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"shape":[null],"dims":["num_features"],"dtype":"text","doc":"Units of each feature.","name":"feature_units","quantity":"?"},{"shape":[null],"dims":["num_features"],"dtype":"text","doc":"Description of the features represented in TimeSeries::data.","name":"features"}],"doc":"Abstract features, such as quantitative descriptions of sensory stimuli. The TimeSeries::data field is a 2D array, storing those features (e.g., for visual grating stimulus this might be orientation, spatial frequency and contrast). Null stimuli (eg, uniform gray) can be marked as being an independent feature (eg, 1.0 for gray, 0.0 for actual stimulus) or by storing NaNs for feature values, or through use of the TimeSeries::control fields. A set of features is considered to persist until the next set of features is defined. The final set of features stored should be the null set. This is useful when storing the raw stimulus is impractical.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"AbstractFeatureSeries"},{"datasets":[{"shape":[null],"dims":["num_times"],"dtype":"text","doc":"Annotations made during an experiment.","name":"data","attributes":[{"doc":"Smallest meaningful difference between values in data. Annotations have no units, so the value is fixed to -1.0.","name":"resolution","dtype":"float32","value":-1.0},{"doc":"Base unit of measurement for working with the data. Annotations have no units, so the value is fixed to \'n/a\'.","name":"unit","dtype":"text","value":"n/a"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]}],"doc":"Stores user annotations made during an experiment. The data[] field stores a text array, and timestamps are stored for each annotation (ie, interval=1). This is largely an alias to a standard TimeSeries storing a text array but that is identifiable as storing annotations in a machine-readable way.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"AnnotationSeries"},{"datasets":[{"shape":[null],"dims":["num_times"],"dtype":"int8","doc":"Use values >0 if interval started, <0 if interval ended.","name":"data","attributes":[{"doc":"Smallest meaningful difference between values in data. Annotations have no units, so the value is fixed to -1.0.","name":"resolution","dtype":"float32","value":-1.0},{"doc":"Base unit of measurement for working with the data. Annotations have no units, so the value is fixed to \'n/a\'.","name":"unit","dtype":"text","value":"n/a"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]}],"doc":"Stores intervals of data. The timestamps field stores the beginning and end of intervals. The data field stores whether the interval just started (>0 value) or ended (<0 value). Different interval types can be represented in the same series by using multiple key values (eg, 1 for feature A, 2 for feature B, 3 for feature C, etc). The field data stores an 8-bit integer. This is largely an alias of a standard TimeSeries but that is identifiable as representing time intervals in a machine-readable way.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"IntervalSeries"},{"groups":[{"datasets":[{"dtype":"text","doc":"Name of the band, e.g. theta.","name":"band_name","neurodata_type_inc":"VectorData"},{"shape":[null,2],"dims":["num_bands","low, high"],"dtype":"float32","doc":"Low and high limit of each band in Hz. If it is a Gaussian filter, use 2 SD on either side of the center.","name":"band_limits","neurodata_type_inc":"VectorData"},{"shape":[null],"dims":["num_bands"],"dtype":"float32","doc":"The mean Gaussian filters, in Hz.","name":"band_mean","neurodata_type_inc":"VectorData"},{"shape":[null],"dims":["num_bands"],"dtype":"float32","doc":"The standard deviation of Gaussian filters, in Hz.","name":"band_stdev","neurodata_type_inc":"VectorData"}],"doc":"Table for describing the bands that this series was generated from. There should be one row in this table for each band.","name":"bands","neurodata_type_inc":"DynamicTable"}],"datasets":[{"shape":[null,null,null],"dims":["num_times","num_channels","num_bands"],"dtype":"numeric","doc":"Data decomposed into frequency bands.","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\'.","name":"unit","required":false,"dtype":"text","default_value":"no unit"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"dtype":"text","doc":"The metric used, e.g. phase, amplitude, power.","name":"metric"},{"doc":"DynamicTableRegion pointer to the channels that this decomposition series was generated from.","name":"source_channels","quantity":"?","neurodata_type_inc":"DynamicTableRegion"}],"links":[{"doc":"Link to TimeSeries object that this data was calculated from. Metadata about electrodes and their position can be read from that ElectricalSeries so it is not necessary to store that information here.","name":"source_timeseries","target_type":"TimeSeries","quantity":"?"}],"doc":"Spectral analysis of a time series, e.g. of an LFP or a speech signal.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"DecompositionSeries"},{"datasets":[{"doc":"Index into the spike_times dataset.","name":"spike_times_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"dtype":"float64","doc":"Spike times for each unit in seconds.","name":"spike_times","quantity":"?","neurodata_type_inc":"VectorData","attributes":[{"doc":"The smallest possible difference between two spike times. Usually 1 divided by the acquisition sampling rate from which spike times were extracted, but could be larger if the acquisition time series was downsampled or smaller if the acquisition time series was smoothed/interpolated and it is possible for the spike time to be between samples.","name":"resolution","required":false,"dtype":"float64"}]},{"doc":"Index into the obs_intervals dataset.","name":"obs_intervals_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"shape":[null,2],"dims":["num_intervals","start|end"],"dtype":"float64","doc":"Observation intervals for each unit.","name":"obs_intervals","quantity":"?","neurodata_type_inc":"VectorData"},{"doc":"Index into electrodes.","name":"electrodes_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"doc":"Electrode that each spike unit came from, specified using a DynamicTableRegion.","name":"electrodes","quantity":"?","neurodata_type_inc":"DynamicTableRegion"},{"dtype":{"target_type":"ElectrodeGroup","reftype":"object"},"doc":"Electrode group that each spike unit came from.","name":"electrode_group","quantity":"?","neurodata_type_inc":"VectorData"},{"shape":[[null,null],[null,null,null]],"dims":[["num_units","num_samples"],["num_units","num_samples","num_electrodes"]],"dtype":"float32","doc":"Spike waveform mean for each spike unit.","name":"waveform_mean","quantity":"?","neurodata_type_inc":"VectorData","attributes":[{"doc":"Sampling rate, in hertz.","name":"sampling_rate","required":false,"dtype":"float32"},{"doc":"Unit of measurement. This value is fixed to \'volts\'.","name":"unit","dtype":"text","value":"volts"}]},{"shape":[[null,null],[null,null,null]],"dims":[["num_units","num_samples"],["num_units","num_samples","num_electrodes"]],"dtype":"float32","doc":"Spike waveform standard deviation for each spike unit.","name":"waveform_sd","quantity":"?","neurodata_type_inc":"VectorData","attributes":[{"doc":"Sampling rate, in hertz.","name":"sampling_rate","required":false,"dtype":"float32"},{"doc":"Unit of measurement. This value is fixed to \'volts\'.","name":"unit","dtype":"text","value":"volts"}]},{"shape":[null,null],"dims":["num_waveforms","num_samples"],"dtype":"numeric","doc":"Individual waveforms for each spike on each electrode. This is a doubly indexed column. The \'waveforms_index\' column indexes which waveforms in this column belong to the same spike event for a given unit, where each waveform was recorded from a different electrode. The \'waveforms_index_index\' column indexes the \'waveforms_index\' column to indicate which spike events belong to a given unit. For example, if the \'waveforms_index_index\' column has values [2, 5, 6], then the first 2 elements of the \'waveforms_index\' column correspond to the 2 spike events of the first unit, the next 3 elements of the \'waveforms_index\' column correspond to the 3 spike events of the second unit, and the next 1 element of the \'waveforms_index\' column corresponds to the 1 spike event of the third unit. If the \'waveforms_index\' column has values [3, 6, 8, 10, 12, 13], then the first 3 elements of the \'waveforms\' column contain the 3 spike waveforms that were recorded from 3 different electrodes for the first spike time of the first unit. See https://nwb-schema.readthedocs.io/en/stable/format_description.html#doubly-ragged-arrays for a graphical representation of this example. When there is only one electrode for each unit (i.e., each spike time is associated with a single waveform), then the \'waveforms_index\' column will have values 1, 2, ..., N, where N is the number of spike events. The number of electrodes for each spike event should be the same within a given unit. The \'electrodes\' column should be used to indicate which electrodes are associated with each unit, and the order of the waveforms within a given unit x spike event should be in the same order as the electrodes referenced in the \'electrodes\' column of this table. The number of samples for each waveform must be the same.","name":"waveforms","quantity":"?","neurodata_type_inc":"VectorData","attributes":[{"doc":"Sampling rate, in hertz.","name":"sampling_rate","required":false,"dtype":"float32"},{"doc":"Unit of measurement. This value is fixed to \'volts\'.","name":"unit","dtype":"text","value":"volts"}]},{"doc":"Index into the waveforms dataset. One value for every spike event. See \'waveforms\' for more detail.","name":"waveforms_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"doc":"Index into the waveforms_index dataset. One value for every unit (row in the table). See \'waveforms\' for more detail.","name":"waveforms_index_index","quantity":"?","neurodata_type_inc":"VectorIndex"}],"doc":"Data about spiking units. Event times of observed units (e.g. cell, synapse, etc.) should be concatenated and stored in spike_times.","default_name":"Units","neurodata_type_inc":"DynamicTable","neurodata_type_def":"Units"}]}',
+      "nwb.ogen":
+        '{"groups":[{"datasets":[{"shape":[[null],[null,null]],"dims":[["num_times"],["num_times","num_rois"]],"dtype":"numeric","doc":"Applied power for optogenetic stimulus, in watts. Shape can be 1D or 2D. 2D data is meant to be used in an extension of OptogeneticSeries that defines what the second dimension represents.","name":"data","attributes":[{"doc":"Unit of measurement for data, which is fixed to \'watts\'.","name":"unit","dtype":"text","value":"watts"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]}],"links":[{"doc":"Link to OptogeneticStimulusSite object that describes the site to which this stimulus was applied.","name":"site","target_type":"OptogeneticStimulusSite"}],"doc":"An optogenetic stimulus.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"OptogeneticSeries"},{"datasets":[{"dtype":"text","doc":"Description of stimulation site.","name":"description"},{"dtype":"float32","doc":"Excitation wavelength, in nm.","name":"excitation_lambda"},{"dtype":"text","doc":"Location of the stimulation site. Specify the area, layer, comments on estimation of area/layer, stereotaxic coordinates if in vivo, etc. Use standard atlas names for anatomical regions when possible.","name":"location"}],"links":[{"doc":"Device that generated the stimulus.","name":"device","target_type":"Device"}],"doc":"A site of optogenetic stimulation.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"OptogeneticStimulusSite"}]}',
+      "nwb.ophys":
+        '{"groups":[{"links":[{"doc":"Link to ImagingPlane object from which this TimeSeries data was generated.","name":"imaging_plane","target_type":"ImagingPlane"}],"doc":"Image stack recorded over time from 1-photon microscope.","neurodata_type_inc":"ImageSeries","neurodata_type_def":"OnePhotonSeries","attributes":[{"doc":"Photomultiplier gain.","name":"pmt_gain","required":false,"dtype":"float32"},{"doc":"Lines imaged per second. This is also stored in /general/optophysiology but is kept here as it is useful information for analysis, and so good to be stored w/ the actual data.","name":"scan_line_rate","required":false,"dtype":"float32"},{"doc":"Exposure time of the sample; often the inverse of the frequency.","name":"exposure_time","required":false,"dtype":"float32"},{"doc":"Amount of pixels combined into \'bins\'; could be 1, 2, 4, 8, etc.","name":"binning","required":false,"dtype":"uint8"},{"doc":"Power of the excitation in mW, if known.","name":"power","required":false,"dtype":"float32"},{"doc":"Intensity of the excitation in mW/mm^2, if known.","name":"intensity","required":false,"dtype":"float32"}]},{"datasets":[{"shape":[[2],[3]],"dims":[["width|height"],["width|height|depth"]],"dtype":"float32","doc":"Width, height and depth of image, or imaged area, in meters.","name":"field_of_view","quantity":"?"}],"links":[{"doc":"Link to ImagingPlane object from which this TimeSeries data was generated.","name":"imaging_plane","target_type":"ImagingPlane"}],"doc":"Image stack recorded over time from 2-photon microscope.","neurodata_type_inc":"ImageSeries","neurodata_type_def":"TwoPhotonSeries","attributes":[{"doc":"Photomultiplier gain.","name":"pmt_gain","required":false,"dtype":"float32"},{"doc":"Lines imaged per second. This is also stored in /general/optophysiology but is kept here as it is useful information for analysis, and so good to be stored w/ the actual data.","name":"scan_line_rate","required":false,"dtype":"float32"}]},{"datasets":[{"shape":[[null],[null,null]],"dims":[["num_times"],["num_times","num_ROIs"]],"dtype":"numeric","doc":"Signals from ROIs.","name":"data","attributes":[{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Base unit of measurement for working with the data. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\' and add \'offset\'.","name":"unit","dtype":"text"},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"doc":"DynamicTableRegion referencing into an ROITable containing information on the ROIs stored in this timeseries.","name":"rois","neurodata_type_inc":"DynamicTableRegion"}],"doc":"ROI responses over an imaging plane. The first dimension represents time. The second dimension, if present, represents ROIs.","neurodata_type_inc":"TimeSeries","neurodata_type_def":"RoiResponseSeries"},{"groups":[{"doc":"RoiResponseSeries object(s) containing dF/F for a ROI.","quantity":"+","neurodata_type_inc":"RoiResponseSeries"}],"doc":"dF/F information about a region of interest (ROI). Storage hierarchy of dF/F should be the same as for segmentation (i.e., same names for ROIs and for image planes).","default_name":"DfOverF","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"DfOverF"},{"groups":[{"doc":"RoiResponseSeries object(s) containing fluorescence data for a ROI.","quantity":"+","neurodata_type_inc":"RoiResponseSeries"}],"doc":"Fluorescence information about a region of interest (ROI). Storage hierarchy of fluorescence should be the same as for segmentation (ie, same names for ROIs and for image planes).","default_name":"Fluorescence","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"Fluorescence"},{"groups":[{"doc":"Results from image segmentation of a specific imaging plane.","quantity":"+","neurodata_type_inc":"PlaneSegmentation"}],"doc":"Stores pixels in an image that represent different regions of interest (ROIs) or masks. All segmentation for a given imaging plane is stored together, with storage for multiple imaging planes (masks) supported. Each ROI is stored in its own subgroup, with the ROI group containing both a 2D mask and a list of pixels that make up this mask. Segments can also be used for masking neuropil. If segmentation is allowed to change with time, a new imaging plane (or module) is required and ROI names should remain consistent between them.","default_name":"ImageSegmentation","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"ImageSegmentation"},{"groups":[{"groups":[{"doc":"One or more image stacks that the masks apply to (can be one-element stack).","quantity":"*","neurodata_type_inc":"ImageSeries"}],"doc":"Image stacks that the segmentation masks apply to.","name":"reference_images"}],"datasets":[{"shape":[[null,null,null],[null,null,null,null]],"dims":[["num_roi","num_x","num_y"],["num_roi","num_x","num_y","num_z"]],"doc":"ROI masks for each ROI. Each image mask is the size of the original imaging plane (or volume) and members of the ROI are finite non-zero.","name":"image_mask","quantity":"?","neurodata_type_inc":"VectorData"},{"doc":"Index into pixel_mask.","name":"pixel_mask_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"dtype":[{"doc":"Pixel x-coordinate.","name":"x","dtype":"uint32"},{"doc":"Pixel y-coordinate.","name":"y","dtype":"uint32"},{"doc":"Weight of the pixel.","name":"weight","dtype":"float32"}],"doc":"Pixel masks for each ROI: a list of indices and weights for the ROI. Pixel masks are concatenated and parsing of this dataset is maintained by the PlaneSegmentation","name":"pixel_mask","quantity":"?","neurodata_type_inc":"VectorData"},{"doc":"Index into voxel_mask.","name":"voxel_mask_index","quantity":"?","neurodata_type_inc":"VectorIndex"},{"dtype":[{"doc":"Voxel x-coordinate.","name":"x","dtype":"uint32"},{"doc":"Voxel y-coordinate.","name":"y","dtype":"uint32"},{"doc":"Voxel z-coordinate.","name":"z","dtype":"uint32"},{"doc":"Weight of the voxel.","name":"weight","dtype":"float32"}],"doc":"Voxel masks for each ROI: a list of indices and weights for the ROI. Voxel masks are concatenated and parsing of this dataset is maintained by the PlaneSegmentation","name":"voxel_mask","quantity":"?","neurodata_type_inc":"VectorData"}],"links":[{"doc":"Link to ImagingPlane object from which this data was generated.","name":"imaging_plane","target_type":"ImagingPlane"}],"doc":"Results from image segmentation of a specific imaging plane.","neurodata_type_inc":"DynamicTable","neurodata_type_def":"PlaneSegmentation"},{"groups":[{"doc":"An optical channel used to record from an imaging plane.","quantity":"+","neurodata_type_inc":"OpticalChannel"}],"datasets":[{"dtype":"text","doc":"Description of the imaging plane.","name":"description","quantity":"?"},{"dtype":"float32","doc":"Excitation wavelength, in nm.","name":"excitation_lambda"},{"dtype":"float32","doc":"Rate that images are acquired, in Hz. If the corresponding TimeSeries is present, the rate should be stored there instead.","name":"imaging_rate","quantity":"?"},{"dtype":"text","doc":"Calcium indicator.","name":"indicator"},{"dtype":"text","doc":"Location of the imaging plane. Specify the area, layer, comments on estimation of area/layer, stereotaxic coordinates if in vivo, etc. Use standard atlas names for anatomical regions when possible.","name":"location"},{"shape":[[null,null,3],[null,null,null,3]],"dims":[["height","width","x, y, z"],["height","width","depth","x, y, z"]],"dtype":"float32","doc":"DEPRECATED Physical position of each pixel. \'xyz\' represents the position of the pixel relative to the defined coordinate space. Deprecated in favor of origin_coords and grid_spacing.","name":"manifold","quantity":"?","attributes":[{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as pixels from x = -500 to 499, y = -500 to 499 that correspond to a 2 m x 2 m range, then the \'conversion\' multiplier to get from raw data acquisition pixel units to meters is 2/1000.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Base unit of measurement for working with the data. The default value is \'meters\'.","name":"unit","required":false,"dtype":"text","default_value":"meters"}]},{"shape":[[2],[3]],"dims":[["x, y"],["x, y, z"]],"dtype":"float32","doc":"Physical location of the first element of the imaging plane (0, 0) for 2-D data or (0, 0, 0) for 3-D data. See also reference_frame for what the physical location is relative to (e.g., bregma).","name":"origin_coords","quantity":"?","attributes":[{"doc":"Measurement units for origin_coords. The default value is \'meters\'.","name":"unit","required":false,"dtype":"text","default_value":"meters"}]},{"shape":[[2],[3]],"dims":[["x, y"],["x, y, z"]],"dtype":"float32","doc":"Space between pixels in (x, y) or voxels in (x, y, z) directions, in the specified unit. Assumes imaging plane is a regular grid. See also reference_frame to interpret the grid.","name":"grid_spacing","quantity":"?","attributes":[{"doc":"Measurement units for grid_spacing. The default value is \'meters\'.","name":"unit","required":false,"dtype":"text","default_value":"meters"}]},{"dtype":"text","doc":"Describes reference frame of origin_coords and grid_spacing. For example, this can be a text description of the anatomical location and orientation of the grid defined by origin_coords and grid_spacing or the vectors needed to transform or rotate the grid to a common anatomical axis (e.g., AP/DV/ML). This field is necessary to interpret origin_coords and grid_spacing. If origin_coords and grid_spacing are not present, then this field is not required. For example, if the microscope takes 10 x 10 x 2 images, where the first value of the data matrix (index (0, 0, 0)) corresponds to (-1.2, -0.6, -2) mm relative to bregma, the spacing between pixels is 0.2 mm in x, 0.2 mm in y and 0.5 mm in z, and larger numbers in x means more anterior, larger numbers in y means more rightward, and larger numbers in z means more ventral, then enter the following -- origin_coords = (-1.2, -0.6, -2) grid_spacing = (0.2, 0.2, 0.5) reference_frame = \\"Origin coordinates are relative to bregma. First dimension corresponds to anterior-posterior axis (larger index = more anterior). Second dimension corresponds to medial-lateral axis (larger index = more rightward). Third dimension corresponds to dorsal-ventral axis (larger index = more ventral).\\"","name":"reference_frame","quantity":"?"}],"links":[{"doc":"Link to the Device object that was used to record from this electrode.","name":"device","target_type":"Device"}],"doc":"An imaging plane and its metadata.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"ImagingPlane"},{"datasets":[{"dtype":"text","doc":"Description or other notes about the channel.","name":"description"},{"dtype":"float32","doc":"Emission wavelength for channel, in nm.","name":"emission_lambda"}],"doc":"An optical channel used to record from an imaging plane.","neurodata_type_inc":"NWBContainer","neurodata_type_def":"OpticalChannel"},{"groups":[{"doc":"Results from motion correction of an image stack.","quantity":"+","neurodata_type_inc":"CorrectedImageStack"}],"doc":"An image stack where all frames are shifted (registered) to a common coordinate system, to account for movement and drift between frames. Note: each frame at each point in time is assumed to be 2-D (has only x & y dimensions).","default_name":"MotionCorrection","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"MotionCorrection"},{"groups":[{"doc":"Image stack with frames shifted to the common coordinates.","name":"corrected","neurodata_type_inc":"ImageSeries"},{"doc":"Stores the x,y delta necessary to align each frame to the common coordinates, for example, to align each frame to a reference image.","name":"xy_translation","neurodata_type_inc":"TimeSeries"}],"links":[{"doc":"Link to ImageSeries object that is being registered.","name":"original","target_type":"ImageSeries"}],"doc":"Results from motion correction of an image stack.","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"CorrectedImageStack"}]}',
+      "nwb.retinotopy":
+        '{"groups":[{"datasets":[{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"float32","doc":"Phase response to stimulus on the first measured axis.","name":"axis_1_phase_map","attributes":[{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]},{"doc":"Unit that axis data is stored in (e.g., degrees).","name":"unit","dtype":"text"}]},{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"float32","doc":"Power response on the first measured axis. Response is scaled so 0.0 is no power in the response and 1.0 is maximum relative power.","name":"axis_1_power_map","quantity":"?","attributes":[{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]},{"doc":"Unit that axis data is stored in (e.g., degrees).","name":"unit","dtype":"text"}]},{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"float32","doc":"Phase response to stimulus on the second measured axis.","name":"axis_2_phase_map","attributes":[{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]},{"doc":"Unit that axis data is stored in (e.g., degrees).","name":"unit","dtype":"text"}]},{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"float32","doc":"Power response on the second measured axis. Response is scaled so 0.0 is no power in the response and 1.0 is maximum relative power.","name":"axis_2_power_map","quantity":"?","attributes":[{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]},{"doc":"Unit that axis data is stored in (e.g., degrees).","name":"unit","dtype":"text"}]},{"shape":[2],"dims":["axis_1, axis_2"],"dtype":"text","doc":"Two-element array describing the contents of the two response axis fields. Description should be something like [\'altitude\', \'azimuth\'] or \'[\'radius\', \'theta\'].","name":"axis_descriptions"},{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"uint16","doc":"Gray-scale image taken with same settings/parameters (e.g., focal depth, wavelength) as data collection. Array format: [rows][columns].","name":"focal_depth_image","quantity":"?","attributes":[{"doc":"Number of bits used to represent each value. This is necessary to determine maximum (white) pixel value.","name":"bits_per_pixel","dtype":"int32"},{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]},{"doc":"Focal depth offset, in meters.","name":"focal_depth","dtype":"float32"},{"doc":"Format of image. Right now only \'raw\' is supported.","name":"format","dtype":"text"}]},{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"float32","doc":"Sine of the angle between the direction of the gradient in axis_1 and axis_2.","name":"sign_map","quantity":"?","attributes":[{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]}]},{"shape":[null,null],"dims":["num_rows","num_cols"],"dtype":"uint16","doc":"Gray-scale anatomical image of cortical surface. Array structure: [rows][columns]","name":"vasculature_image","attributes":[{"doc":"Number of bits used to represent each value. This is necessary to determine maximum (white) pixel value","name":"bits_per_pixel","dtype":"int32"},{"doc":"Number of rows and columns in the image. NOTE: row, column representation is equivalent to height, width.","name":"dimension","dtype":"int32","shape":[2],"dims":["num_rows, num_cols"]},{"doc":"Size of viewing area, in meters.","name":"field_of_view","dtype":"float32","shape":[2],"dims":["height, width"]},{"doc":"Format of image. Right now only \'raw\' is supported.","name":"format","dtype":"text"}]}],"doc":"DEPRECATED. Intrinsic signal optical imaging or widefield imaging for measuring retinotopy. Stores orthogonal maps (e.g., altitude/azimuth; radius/theta) of responses to specific stimuli and a combined polarity map from which to identify visual areas. This group does not store the raw responses imaged during retinotopic mapping or the stimuli presented, but rather the resulting phase and power maps after applying a Fourier transform on the averaged responses. Note: for data consistency, all images and arrays are stored in the format [row][column] and [row, col], which equates to [y][x]. Field of view and dimension arrays may appear backward (i.e., y before x).","default_name":"ImagingRetinotopy","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"ImagingRetinotopy"}]}',
+    },
+  },
+  "hdmf-common": {
+    version: "1.8.0",
+    sources: {
+      base: '{"datasets":[{"doc":"An abstract data type for a dataset.","data_type_def":"Data"}],"groups":[{"doc":"An abstract data type for a group storing collections of data and metadata. Base type for all data and metadata containers.","data_type_def":"Container"},{"groups":[{"doc":"Container objects held within this SimpleMultiContainer.","quantity":"*","data_type_inc":"Container"}],"datasets":[{"doc":"Data objects held within this SimpleMultiContainer.","quantity":"*","data_type_inc":"Data"}],"doc":"A simple Container for holding onto multiple containers.","data_type_inc":"Container","data_type_def":"SimpleMultiContainer"}]}',
+      namespace:
+        '{"namespaces":[{"doc":"Common data structures provided by HDMF","schema":[{"source":"base"},{"source":"table"},{"source":"sparse"}],"name":"hdmf-common","full_name":"HDMF Common","version":"1.8.0","author":["Andrew Tritt","Oliver Ruebel","Ryan Ly","Ben Dichter"],"contact":["ajtritt@lbl.gov","oruebel@lbl.gov","rly@lbl.gov","bdichter@lbl.gov"]}]}',
+      sparse:
+        '{"groups":[{"datasets":[{"shape":[null],"dims":["number of non-zero values"],"dtype":"uint","doc":"The column indices.","name":"indices"},{"shape":[null],"dims":["number of rows in the matrix + 1"],"dtype":"uint","doc":"The row index pointer.","name":"indptr"},{"shape":[null],"dims":["number of non-zero values"],"doc":"The non-zero values in the matrix.","name":"data"}],"doc":"A compressed sparse row matrix. Data are stored in the standard CSR format, where column indices for row i are stored in indices[indptr[i]:indptr[i+1]] and their corresponding values are stored in data[indptr[i]:indptr[i+1]].","data_type_inc":"Container","data_type_def":"CSRMatrix","attributes":[{"doc":"The shape (number of rows, number of columns) of this sparse matrix.","name":"shape","dtype":"uint","shape":[2],"dims":["number of rows, number of columns"]}]}]}',
+      table:
+        '{"datasets":[{"shape":[[null],[null,null],[null,null,null],[null,null,null,null]],"dims":[["dim0"],["dim0","dim1"],["dim0","dim1","dim2"],["dim0","dim1","dim2","dim3"]],"doc":"An n-dimensional dataset representing a column of a DynamicTable. If used without an accompanying VectorIndex, first dimension is along the rows of the DynamicTable and each step along the first dimension is a cell of the larger table. VectorData can also be used to represent a ragged array if paired with a VectorIndex. This allows for storing arrays of varying length in a single cell of the DynamicTable by indexing into this VectorData. The first vector is at VectorData[0:VectorIndex[0]]. The second vector is at VectorData[VectorIndex[0]:VectorIndex[1]], and so on.","data_type_inc":"Data","data_type_def":"VectorData","attributes":[{"doc":"Description of what these vectors represent.","name":"description","dtype":"text"}]},{"shape":[null],"dims":["num_rows"],"dtype":"uint8","doc":"Used with VectorData to encode a ragged array. An array of indices into the first dimension of the target VectorData, and forming a map between the rows of a DynamicTable and the indices of the VectorData. The name of the VectorIndex is expected to be the name of the target VectorData object followed by \\"_index\\".","data_type_inc":"VectorData","data_type_def":"VectorIndex","attributes":[{"doc":"Reference to the target dataset that this index applies to.","name":"target","dtype":{"target_type":"VectorData","reftype":"object"}}]},{"shape":[null],"dims":["num_elements"],"dtype":"int","doc":"A list of unique identifiers for values within a dataset, e.g. rows of a DynamicTable.","default_name":"element_id","data_type_inc":"Data","data_type_def":"ElementIdentifiers"},{"shape":[null],"dims":["num_rows"],"dtype":"int","doc":"DynamicTableRegion provides a link from one table to an index or region of another. The `table` attribute is a link to another `DynamicTable`, indicating which table is referenced, and the data is int(s) indicating the row(s) (0-indexed) of the target array. `DynamicTableRegion`s can be used to associate rows with repeated meta-data without data duplication. They can also be used to create hierarchical relationships between multiple `DynamicTable`s. `DynamicTableRegion` objects may be paired with a `VectorIndex` object to create ragged references, so a single cell of a `DynamicTable` can reference many rows of another `DynamicTable`.","data_type_inc":"VectorData","data_type_def":"DynamicTableRegion","attributes":[{"doc":"Reference to the DynamicTable object that this region applies to.","name":"table","dtype":{"target_type":"DynamicTable","reftype":"object"}},{"doc":"Description of what this table region points to.","name":"description","dtype":"text"}]}],"groups":[{"datasets":[{"shape":[null],"dims":["num_rows"],"dtype":"int","doc":"Array of unique identifiers for the rows of this dynamic table.","name":"id","data_type_inc":"ElementIdentifiers"},{"doc":"Vector columns, including index columns, of this dynamic table.","quantity":"*","data_type_inc":"VectorData"}],"doc":"A group containing multiple datasets that are aligned on the first dimension (Currently, this requirement if left up to APIs to check and enforce). These datasets represent different columns in the table. Apart from a column that contains unique identifiers for each row, there are no other required datasets. Users are free to add any number of custom VectorData objects (columns) here. DynamicTable also supports ragged array columns, where each element can be of a different size. To add a ragged array column, use a VectorIndex type to index the corresponding VectorData type. See documentation for VectorData and VectorIndex for more details. Unlike a compound data type, which is analogous to storing an array-of-structs, a DynamicTable can be thought of as a struct-of-arrays. This provides an alternative structure to choose from when optimizing storage for anticipated access patterns. Additionally, this type provides a way of creating a table without having to define a compound type up front. Although this convenience may be attractive, users should think carefully about how data will be accessed. DynamicTable is more appropriate for column-centric access, whereas a dataset with a compound type would be more appropriate for row-centric access. Finally, data size should also be taken into account. For small tables, performance loss may be an acceptable trade-off for the flexibility of a DynamicTable.","data_type_inc":"Container","data_type_def":"DynamicTable","attributes":[{"doc":"The names of the columns in this table. This should be used to specify an order to the columns.","name":"colnames","dtype":"text","shape":[null],"dims":["num_columns"]},{"doc":"Description of what is in this dynamic table.","name":"description","dtype":"text"}]},{"groups":[{"doc":"A DynamicTable representing a particular category for columns in the AlignedDynamicTable parent container. The table MUST be aligned with (i.e., have the same number of rows) as all other DynamicTables stored in the AlignedDynamicTable parent container. The name of the category is given by the name of the DynamicTable and its description by the description attribute of the DynamicTable.","quantity":"*","data_type_inc":"DynamicTable"}],"doc":"DynamicTable container that supports storing a collection of sub-tables. Each sub-table is a DynamicTable itself that is aligned with the main table by row index. I.e., all DynamicTables stored in this group MUST have the same number of rows. This type effectively defines a 2-level table in which the main data is stored in the main table implemented by this type and additional columns of the table are grouped into categories, with each category being represented by a separate DynamicTable stored within the group.","data_type_inc":"DynamicTable","data_type_def":"AlignedDynamicTable","attributes":[{"doc":"The names of the categories in this AlignedDynamicTable. Each category is represented by one DynamicTable stored in the parent group. This attribute should be used to specify an order of categories and the category names must match the names of the corresponding DynamicTable in the group.","name":"categories","dtype":"text","shape":[null],"dims":["num_categories"]}]}]}',
+    },
+  },
+  "hdmf-experimental": {
+    version: "0.5.0",
+    sources: {
+      experimental:
+        '{"datasets":[{"dtype":"uint8","doc":"Data that come from a fixed set of values. A data value of i corresponds to the i-th value in the VectorData referenced by the \'elements\' attribute.","data_type_inc":"VectorData","data_type_def":"EnumData","attributes":[{"doc":"Reference to the VectorData object that contains the enumerable elements","name":"elements","dtype":{"target_type":"VectorData","reftype":"object"}}]}]}',
+      namespace:
+        '{"namespaces":[{"doc":"Experimental data structures provided by HDMF. These are not guaranteed to be available in the future.","schema":[{"namespace":"hdmf-common"},{"source":"experimental"},{"source":"resources"}],"name":"hdmf-experimental","full_name":"HDMF Experimental","version":"0.5.0","author":["Andrew Tritt","Oliver Ruebel","Ryan Ly","Ben Dichter","Matthew Avaylon"],"contact":["ajtritt@lbl.gov","oruebel@lbl.gov","rly@lbl.gov","bdichter@lbl.gov","mavaylon@lbl.gov"]}]}',
+      resources:
+        '{"groups":[{"datasets":[{"shape":[null],"dims":["num_rows"],"dtype":[{"doc":"The user term that maps to one or more resources in the `resources` table, e.g., \\"human\\".","name":"key","dtype":"text"}],"doc":"A table for storing user terms that are used to refer to external resources.","name":"keys","data_type_inc":"Data"},{"shape":[null],"dims":["num_rows"],"dtype":[{"doc":"The object id (UUID) of a file that contains objects that refers to external resources.","name":"file_object_id","dtype":"text"}],"doc":"A table for storing object ids of files used in external resources.","name":"files","data_type_inc":"Data"},{"shape":[null],"dims":["num_rows"],"dtype":[{"doc":"The compact uniform resource identifier (CURIE) of the entity, in the form [prefix]:[unique local identifier], e.g., \'NCBI_TAXON:9606\'.","name":"entity_id","dtype":"text"},{"doc":"The URI for the entity this reference applies to. This can be an empty string. e.g., https://www.ncbi.nlm.nih.gov/Taxonomy/Browser/wwwtax.cgi?mode=info&id=9606","name":"entity_uri","dtype":"text"}],"doc":"A table for mapping user terms (i.e., keys) to resource entities.","name":"entities","data_type_inc":"Data"},{"shape":[null],"dims":["num_rows"],"dtype":[{"doc":"The row index to the file in the `files` table containing the object.","name":"files_idx","dtype":"uint"},{"doc":"The object id (UUID) of the object.","name":"object_id","dtype":"text"},{"doc":"The data type of the object.","name":"object_type","dtype":"text"},{"doc":"The relative path from the data object with the `object_id` to the dataset or attribute with the value(s) that is associated with an external resource. This can be an empty string if the object is a dataset that contains the value(s) that is associated with an external resource.","name":"relative_path","dtype":"text"},{"doc":"The field within the compound data type using an external resource. This is used only if the dataset or attribute is a compound data type; otherwise this should be an empty string.","name":"field","dtype":"text"}],"doc":"A table for identifying which objects in a file contain references to external resources.","name":"objects","data_type_inc":"Data"},{"shape":[null],"dims":["num_rows"],"dtype":[{"doc":"The row index to the object in the `objects` table that holds the key","name":"objects_idx","dtype":"uint"},{"doc":"The row index to the key in the `keys` table.","name":"keys_idx","dtype":"uint"}],"doc":"A table for identifying which objects use which keys.","name":"object_keys","data_type_inc":"Data"},{"shape":[null],"dims":["num_rows"],"dtype":[{"doc":"The row index to the entity in the `entities` table.","name":"entities_idx","dtype":"uint"},{"doc":"The row index to the key in the `keys` table.","name":"keys_idx","dtype":"uint"}],"doc":"A table for identifying which keys use which entity.","name":"entity_keys","data_type_inc":"Data"}],"doc":"HDMF External Resources Data Structure. A set of six tables for tracking external resource references in a file or across multiple files.","data_type_inc":"Container","data_type_def":"HERD"}]}',
+    },
+  },
+  "ndx-pose": {
+    version: "0.2.0",
+    sources: {
+      namespace:
+        '{"namespaces":[{"doc":"NWB extension to store pose estimation data","schema":[{"namespace":"core"},{"source":"ndx-pose.extensions"}],"name":"ndx-pose","version":"0.2.0","author":["Ryan Ly","Ben Dichter","Alexander Mathis","Liezl Maree","Chris Brozdowski","Heberto Mayorquin","Talmo Pereira","Elizabeth Berrigan"],"contact":["rly@lbl.gov","bdichter@lbl.gov","alexander.mathis@epfl.ch","lmaree@salk.edu","cbroz@datajoint.com","h.mayorquin@gmail.com","talmo@salk.edu","eberrigan@salk.edu"]}]}',
+      "ndx-pose.extensions":
+        '{"groups":[{"datasets":[{"shape":[null],"dims":["num_body_parts"],"dtype":"text","doc":"Array of body part names corresponding to the names of the PoseEstimationSeries objects or PoseTraining objects.","name":"nodes"},{"shape":[null,2],"dims":["num_edges","nodes_index, nodes_index"],"dtype":"uint8","doc":"Array of pairs of indices corresponding to edges between nodes. Index values correspond to row indices of the \'nodes\' dataset. Index values use 0-indexing.","name":"edges","quantity":"?"}],"links":[{"doc":"The Subject object in the NWB file, if this Skeleton corresponds to the Subject.","target_type":"Subject","quantity":"?"}],"doc":"Group that holds node and edge data for defining parts of a pose and their connections to one another. Names should be unique in a file.","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"Skeleton"},{"datasets":[{"shape":[[null,2],[null,3]],"dims":[["num_frames","x, y"],["num_frames","x, y, z"]],"dtype":"float32","doc":"Estimated position (x, y) or (x, y, z).","name":"data","attributes":[{"doc":"Base unit of measurement for working with the data. The default value is \'pixels\'. Actual stored values are not necessarily stored in these units. To access the data in these units, multiply \'data\' by \'conversion\'.","name":"unit","required":false,"dtype":"text","default_value":"pixels"},{"doc":"Scalar to multiply each element in data to convert it to the specified \'unit\'. If the data are stored in acquisition system units or other units that require a conversion to be interpretable, multiply the data by \'conversion\' to convert the data to the specified \'unit\'. e.g. if the data acquisition system stores values in this object as signed 16-bit integers (int16 range -32,768 to 32,767) that correspond to a 5V range (-2.5V to 2.5V), and the data acquisition system gain is 8000X, then the \'conversion\' multiplier to get from raw data acquisition values to recorded volts is 2.5/32768/8000 = 9.5367e-9.","name":"conversion","required":false,"dtype":"float32","default_value":1.0},{"doc":"Scalar to add to the data after scaling by \'conversion\' to finalize its coercion to the specified \'unit\'. Two common examples of this include (a) data stored in an unsigned type that requires a shift after scaling to re-center the data, and (b) specialized recording devices that naturally cause a scalar offset with respect to the true units.","name":"offset","required":false,"dtype":"float32","default_value":0.0},{"doc":"Smallest meaningful difference between values in data, stored in the specified by unit, e.g., the change in value of the least significant bit, or a larger number if signal noise is known to be present. If unknown, use -1.0.","name":"resolution","required":false,"dtype":"float32","default_value":-1.0},{"doc":"Optionally describe the continuity of the data. Can be \\"continuous\\", \\"instantaneous\\", or \\"step\\". For example, a voltage trace would be \\"continuous\\", because samples are recorded from a continuous process. An array of lick times would be \\"instantaneous\\", because the data represents distinct moments in time. Times of image presentations would be \\"step\\" because the picture remains the same until the next timepoint. This field is optional, but is useful in providing information about the underlying data. It may inform the way this data is interpreted, the way it is visualized, and what analysis methods are applicable.","name":"continuity","required":false,"dtype":"text"}]},{"shape":[null],"dims":["num_frames"],"dtype":"float32","doc":"Confidence or likelihood of the estimated positions, scaled to be between 0 and 1.","name":"confidence","attributes":[{"doc":"Description of how the confidence was computed, e.g., \'Softmax output of the deep neural network\'.","name":"definition","required":false,"dtype":"text"}]}],"doc":"Estimated position (x, y) or (x, y, z) of a body part over time.","neurodata_type_inc":"SpatialSeries","neurodata_type_def":"PoseEstimationSeries"},{"groups":[{"doc":"Estimated position data for each body part.","quantity":"*","neurodata_type_inc":"PoseEstimationSeries"}],"datasets":[{"dtype":"text","doc":"Description of the pose estimation procedure and output.","name":"description","quantity":"?"},{"shape":[null],"dims":["num_files"],"dtype":"text","doc":"Paths to the original video files. The number of files should equal the number of camera devices.","name":"original_videos","quantity":"?"},{"shape":[null],"dims":["num_files"],"dtype":"text","doc":"Paths to the labeled video files. The number of files should equal the number of camera devices.","name":"labeled_videos","quantity":"?"},{"shape":[null,2],"dims":["num_files","width, height"],"dtype":"uint8","doc":"Dimensions of each labeled video file.","name":"dimensions","quantity":"?"},{"dtype":"text","doc":"Name of the scorer / algorithm used.","name":"scorer","quantity":"?"},{"dtype":"text","doc":"Name of the software tool used. Specifying the version attribute is strongly encouraged.","name":"source_software","quantity":"?","attributes":[{"doc":"Version string of the software tool used.","name":"version","required":false,"dtype":"text"}]}],"links":[{"doc":"Layout of body part locations and connections.","target_type":"Skeleton","quantity":"?"},{"doc":"Cameras used to record the videos.","target_type":"Device","quantity":"*"}],"doc":"Group that holds estimated position data for multiple body parts, computed from the same video with the same tool/algorithm. The timestamps of each child PoseEstimationSeries type should be the same.","default_name":"PoseEstimation","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"PoseEstimation"},{"groups":[{"doc":"Position data for all instances of a skeleton in a single training frame.","name":"skeleton_instances","neurodata_type_inc":"SkeletonInstances"}],"links":[{"doc":"Link to an ImageSeries representing a video of training frames (stored internally or externally). Required if `source_video_frame_index` is provided.","name":"source_video","target_type":"ImageSeries","quantity":"?"},{"doc":"Link to an internally stored image representing the training frame. The target Image should be stored in an Images type in the file.","name":"source_frame","target_type":"Image","quantity":"?"}],"doc":"Group that holds ground-truth position data for all instances of a skeleton in a single frame.","default_name":"TrainingFrame","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"TrainingFrame","attributes":[{"doc":"Name of annotator who labeled the TrainingFrame.","name":"annotator","required":false,"dtype":"text"},{"doc":"Frame index of training frame in the original video `source_video`. If provided, then `source_video` is required.","name":"source_video_frame_index","required":false,"dtype":"uint8"}]},{"datasets":[{"shape":[[null,2],[null,3]],"dims":[["num_body_parts","x, y"],["num_body_parts","x, y, z"]],"dtype":"float","doc":"Locations (x, y) or (x, y, z) of nodes for single instance in single frame.","name":"node_locations"},{"shape":[null],"dims":["num_body_parts"],"dtype":"bool","doc":"Markers for node visibility where true corresponds to a visible node and false corresponds to an occluded node.","name":"node_visibility","quantity":"?"}],"links":[{"doc":"Layout of body part locations and connections.","target_type":"Skeleton"}],"doc":"Group that holds ground-truth pose data for a single instance of a skeleton in a single frame.","default_name":"skeleton_instance","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"SkeletonInstance","attributes":[{"doc":"ID used to differentiate skeleton instances.","name":"id","required":false,"dtype":"uint8"}]},{"groups":[{"doc":"Ground-truth position data for all instances of a skeleton in a single frame.","quantity":"*","neurodata_type_inc":"TrainingFrame"}],"doc":"Organizational group to hold training frames.","default_name":"training_frames","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"TrainingFrames"},{"groups":[{"doc":"Ground-truth position data for a single instance of a skeleton in a single training frame.","quantity":"*","neurodata_type_inc":"SkeletonInstance"}],"doc":"Organizational group to hold skeleton instances. This is meant to be used within a TrainingFrame.","default_name":"skeleton_instances","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"SkeletonInstances"},{"groups":[{"doc":"Video of training frames (stored internally or externally","quantity":"*","neurodata_type_inc":"ImageSeries"}],"doc":"Organizational group to hold source videos used for training.","default_name":"source_videos","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"SourceVideos"},{"groups":[{"doc":"Skeleton used in project where each skeleton corresponds to a unique morphology.","quantity":"*","neurodata_type_inc":"Skeleton"}],"doc":"Organizational group to hold skeletons.","default_name":"Skeletons","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"Skeletons"},{"groups":[{"doc":"Organizational group to hold training frames.","name":"training_frames","quantity":"?","neurodata_type_inc":"TrainingFrames"},{"doc":"Organizational group to hold source videos used for training.","name":"source_videos","quantity":"?","neurodata_type_inc":"SourceVideos"}],"doc":"Group that holds source videos and ground-truth annotations for training a pose estimator.","default_name":"PoseTraining","neurodata_type_inc":"NWBDataInterface","neurodata_type_def":"PoseTraining"}]}',
+    },
+  },
+};
@@ -0,0 +1,280 @@
+/**
+ * Shared h5wasm builders for the NWB (ndx-pose) writers.
+ *
+ * The predictions ({@link writeNwbPredictions}) and annotations
+ * ({@link writeNwbAnnotations}) writers both emit the same NWBFile scaffold, the
+ * same `behavior/Skeletons` container and the same typed-object attributes
+ * (`namespace`, `neurodata_type`, `object_id`); those builders live here.
+ *
+ * Files are assembled in an h5wasm in-memory virtual FS, mirroring
+ * `writeLabelsToBytes` in `analysis-h5.ts`. Browser-safe: no Node-only imports.
+ *
+ * @internal Not part of the public API.
+ */
+
+import type { Skeleton } from "../model/skeleton.js";
+import {
+  getH5Module,
+  getH5FileSystem,
+  ensureH5StagingDir,
+} from "../codecs/slp/h5.js";
+import { NWB_CACHED_SPECS } from "./nwb-specs.js";
+
+/** NWB core schema version the scaffold is written against. */
+export const NWB_VERSION = "2.7.0";
+
+/** Minimal h5wasm write surface shared by files, groups and datasets. */
+export interface H5WriteEntity {
+  create_attribute(
+    name: string,
+    value: unknown,
+    shape?: number[] | null,
+    dtype?: string | null,
+  ): void;
+}
+
+/** Minimal h5wasm write-group surface (a file is a group too). */
+export interface H5WriteGroup extends H5WriteEntity {
+  create_group(name: string): H5WriteGroup | null;
+  create_dataset(opts: {
+    name: string;
+    data: unknown;
+    shape?: number[];
+    dtype?: string;
+  }): H5WriteEntity | null;
+  create_soft_link(target: string, name: string): void;
+  /** An HDF5 object reference to this group (for reference attributes). */
+  create_reference(): unknown;
+}
+
+interface H5WriteFile extends H5WriteGroup {
+  close(): void;
+}
+
+/** A fresh NWB `object_id` (UUID v4). */
+export function newObjectId(): string {
+  return globalThis.crypto.randomUUID();
+}
+
+/** Stamp the attributes every NWB typed object carries. */
+export function setNeurodataType(
+  entity: H5WriteEntity,
+  namespace: "core" | "ndx-pose",
+  neurodataType: string,
+): void {
+  entity.create_attribute("namespace", namespace);
+  entity.create_attribute("neurodata_type", neurodataType);
+  entity.create_attribute("object_id", newObjectId());
+}
+
+/** Create a child group, throwing (rather than returning null) on failure. */
+export function createGroup(parent: H5WriteGroup, name: string): H5WriteGroup {
+  const group = parent.create_group(name);
+  if (!group) throw new Error(`Failed to create NWB group '${name}'.`);
+  return group;
+}
+
+/** Create a child group carrying an NWB type. */
+export function createTypedGroup(
+  parent: H5WriteGroup,
+  name: string,
+  namespace: "core" | "ndx-pose",
+  neurodataType: string,
+): H5WriteGroup {
+  const group = createGroup(parent, name);
+  setNeurodataType(group, namespace, neurodataType);
+  return group;
+}
+
+/** Create a `ProcessingModule` with its required description. */
+export function createProcessingModule(
+  processing: H5WriteGroup,
+  name: string,
+  description: string,
+): H5WriteGroup {
+  const mod = createTypedGroup(processing, name, "core", "ProcessingModule");
+  mod.create_attribute("description", description);
+  return mod;
+}
+
+/** Write a scalar float64 dataset; returns it so attributes can be attached. */
+export function writeScalarFloat(
+  group: H5WriteGroup,
+  name: string,
+  value: number,
+): H5WriteEntity {
+  const ds = group.create_dataset({
+    name,
+    data: Float64Array.from([value]),
+    shape: [],
+    dtype: "<d",
+  });
+  if (!ds) throw new Error(`Failed to create NWB dataset '${name}'.`);
+  return ds;
+}
+
+/** Options for {@link writeNwbFileScaffold}. */
+export interface NwbFileMetadata {
+  /** `session_description` (required by NWB). */
+  sessionDescription: string;
+  /** `identifier`; defaults to a fresh UUID. */
+  identifier?: string;
+  /** `session_start_time`; defaults to now. */
+  sessionStartTime?: Date;
+}
+
+/** Groups of a freshly written NWBFile scaffold that the writers fill in. */
+export interface NwbFileGroups {
+  /** The file's `/general` group (devices, subject, ...). */
+  general: H5WriteGroup;
+  /** The file's `/processing` group. */
+  processing: H5WriteGroup;
+}
+
+/**
+ * Write the required NWBFile root attributes, datasets and groups, and cache
+ * the schema ({@link writeCachedSpecs}).
+ *
+ * @returns The `/general` and `/processing` groups.
+ */
+export function writeNwbFileScaffold(
+  f: H5WriteGroup,
+  metadata: NwbFileMetadata,
+): NwbFileGroups {
+  f.create_attribute("namespace", "core");
+  f.create_attribute("neurodata_type", "NWBFile");
+  f.create_attribute("nwb_version", NWB_VERSION);
+  f.create_attribute("object_id", newObjectId());
+
+  const now = new Date().toISOString();
+  const start = (metadata.sessionStartTime ?? new Date()).toISOString();
+  f.create_dataset({ name: "file_create_date", data: [now] });
+  f.create_dataset({
+    name: "identifier",
+    data: metadata.identifier ?? newObjectId(),
+  });
+  f.create_dataset({
+    name: "session_description",
+    data: metadata.sessionDescription,
+  });
+  f.create_dataset({ name: "session_start_time", data: start });
+  f.create_dataset({ name: "timestamps_reference_time", data: start });
+
+  createGroup(f, "acquisition");
+  createGroup(f, "analysis");
+  const general = createGroup(f, "general");
+  const stimulus = createGroup(f, "stimulus");
+  createGroup(stimulus, "presentation");
+  createGroup(stimulus, "templates");
+  writeCachedSpecs(f);
+  return { general, processing: createGroup(f, "processing") };
+}
+
+/**
+ * Cache the NWB core, hdmf and ndx-pose schema under `/specifications` as
+ * pynwb does (`/specifications/<namespace>/<version>/<source>` JSON strings),
+ * pointed at by the root `.specloc` reference. With it, pynwb opens the file
+ * without ndx-pose installed and DANDI validation finds the extension spec.
+ */
+export function writeCachedSpecs(f: H5WriteGroup): void {
+  const specifications = createGroup(f, "specifications");
+  for (const [name, { version, sources }] of Object.entries(NWB_CACHED_SPECS)) {
+    const group = createGroup(createGroup(specifications, name), version);
+    for (const [source, text] of Object.entries(sources)) {
+      group.create_dataset({ name: source, data: text });
+    }
+  }
+  f.create_attribute(".specloc", specifications.create_reference());
+}
+
+/**
+ * Write a camera `Device` as sleap-io does (`Camera for {video}`, manufacturer
+ * `Unknown`).
+ *
+ * @returns The device group.
+ */
+export function writeCameraDevice(
+  devices: H5WriteGroup,
+  name: string,
+  videoName: string,
+): H5WriteGroup {
+  const device = createTypedGroup(devices, name, "core", "Device");
+  device.create_attribute("description", `Camera for ${videoName}`);
+  device.create_attribute("manufacturer", "Unknown");
+  return device;
+}
+
+/**
+ * Write a `Skeletons` container holding one `Skeleton` per skeleton (`nodes`
+ * strings, `edges` as uint8 index pairs), named by `names`.
+ *
+ * @returns The absolute path of each written skeleton, for soft links.
+ */
+export function writeSkeletons(
+  parent: H5WriteGroup,
+  parentPath: string,
+  skeletons: Skeleton[],
+  names: string[],
+): Map<Skeleton, string> {
+  const container = createTypedGroup(
+    parent,
+    "Skeletons",
+    "ndx-pose",
+    "Skeletons",
+  );
+  const paths = new Map<Skeleton, string>();
+  skeletons.forEach((skeleton, i) => {
+    const group = createTypedGroup(container, names[i], "ndx-pose", "Skeleton");
+    group.create_dataset({ name: "nodes", data: skeleton.nodeNames });
+    const edges = skeleton.edgeIndices;
+    group.create_dataset({
+      name: "edges",
+      data: Uint8Array.from(edges.flat()),
+      shape: [edges.length, 2],
+      dtype: "<B",
+    });
+    paths.set(skeleton, `${parentPath}/Skeletons/${names[i]}`);
+  });
+  return paths;
+}
+
+/**
+ * Unique, non-empty HDF5 group names for `skeletons` (their own name when set,
+ * `skeleton_{i}` otherwise; `/` is not allowed in a link name).
+ */
+export function skeletonGroupNames(skeletons: Skeleton[]): string[] {
+  const used = new Set<string>();
+  return skeletons.map((skeleton, i) => {
+    const base = (skeleton.name || `skeleton_${i}`).replaceAll("/", "_");
+    let name = base;
+    for (let k = 1; used.has(name); k += 1) name = `${base}_${k}`;
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Build an HDF5 file in the h5wasm in-memory virtual FS and return its bytes.
+ *
+ * @param build - Populates the freshly created (writable) file.
+ */
+export async function buildH5Bytes(
+  build: (f: H5WriteGroup) => void | Promise<void>,
+): Promise<Uint8Array> {
+  const module = await getH5Module();
+  ensureH5StagingDir(module);
+  const memPath = `/tmp/nwb_${Date.now()}_${Math.random().toString(16).slice(2)}.nwb`;
+  const f = new (
+    module as unknown as { File: new (p: string, m: string) => H5WriteFile }
+  ).File(memPath, "w");
+  try {
+    await build(f);
+  } finally {
+    f.close();
+  }
+
+  const fsModule = getH5FileSystem(module);
+  const bytes = fsModule.readFile!(memPath);
+  fsModule.unlink!(memPath);
+  return bytes;
+}
@@ -6,16 +6,20 @@
  *   annotations (`PoseTraining`), and delegates. Predictions →
  *   {@link readNwbPredictions}; annotations → {@link readNwbAnnotations};
  *   neither → throws.
+ * - {@link writeNwbToBytes} builds an NWB file in memory, as predictions
+ *   ({@link writeNwbPredictions}) or annotations ({@link writeNwbAnnotations});
+ *   {@link writeNwb} writes those bytes to disk.
  *
- * Mirrors the structure of `analysis-h5.ts` (`isAnalysisH5File` + `readLabels`).
- * Browser-safe: no Node-only imports.
+ * Mirrors the structure of `analysis-h5.ts` (`isAnalysisH5File` + `readLabels`
+ * + `writeLabelsToBytes`). Browser-safe: no Node-only imports.
  */
 
 import type { Labels } from "../model/labels.js";
-import { openH5File, nodeFileExists } from "../codecs/slp/h5.js";
+import { openH5File, nodeFileExists, nodeWriteFile } from "../codecs/slp/h5.js";
 import { readStringAttr } from "./h5-read-utils.js";
-import { readNwbPredictions } from "./nwb-predictions.js";
-import { readNwbAnnotations } from "./nwb-annotations.js";
+import { readNwbPredictions, writeNwbPredictions } from "./nwb-predictions.js";
+import { readNwbAnnotations, writeNwbAnnotations } from "./nwb-annotations.js";
+import { buildH5Bytes, writeNwbFileScaffold } from "./nwb-write-utils.js";
 
 /** Source types accepted by the NWB readers (subset of `openH5File`). */
 export type NwbSource = string | ArrayBuffer | Uint8Array;
@@ -149,3 +153,79 @@ export async function readNwb(source: NwbSource): Promise<Labels> {
     close();
   }
 }
+
+/** Options for {@link writeNwbToBytes} / {@link writeNwb}. */
+export interface WriteNwbOptions {
+  /**
+   * `"predictions"` (default) writes ndx-pose `PoseEstimation` containers per
+   * video and track; `"annotations"` writes the user instances as a
+   * `PoseTraining`.
+   */
+  mode?: "predictions" | "annotations";
+  /** NWBFile `session_description` (defaults to a SLEAP-specific string). */
+  sessionDescription?: string;
+  /** NWBFile `identifier` (defaults to a fresh UUID). */
+  identifier?: string;
+  /** NWBFile `session_start_time` (defaults to now). */
+  sessionStartTime?: Date;
+}
+
+/**
+ * Build NWB (ndx-pose) file bytes from labels, in memory.
+ *
+ * Browser-safe: the file is assembled in an h5wasm in-memory virtual FS, as in
+ * `writeLabelsToBytes`. The output opens with {@link readNwb}. Like pynwb, it
+ * caches the NWB core 2.7.0, hdmf and ndx-pose 0.2.0 schema under
+ * `/specifications`, so readers need no extension installed.
+ *
+ * @param labels - Labels to export.
+ * @param options - Export options (see {@link WriteNwbOptions}).
+ * @returns The `.nwb` file contents.
+ * @throws If `mode` is unknown or there is nothing to write for it.
+ */
+export async function writeNwbToBytes(
+  labels: Labels,
+  options?: WriteNwbOptions,
+): Promise<Uint8Array> {
+  const mode = options?.mode ?? "predictions";
+  if (mode !== "predictions" && mode !== "annotations") {
+    throw new Error(
+      `Unknown NWB mode '${mode}' (expected "predictions" or "annotations").`,
+    );
+  }
+  return buildH5Bytes(async (f) => {
+    const groups = writeNwbFileScaffold(f, {
+      sessionDescription:
+        options?.sessionDescription ??
+        (mode === "predictions"
+          ? "Processed SLEAP pose data"
+          : "SLEAP pose training data"),
+      identifier: options?.identifier,
+      sessionStartTime: options?.sessionStartTime,
+    });
+    if (mode === "predictions") {
+      await writeNwbPredictions(groups, labels);
+    } else {
+      writeNwbAnnotations(groups.processing, labels);
+    }
+  });
+}
+
+/**
+ * Save labels to an NWB (ndx-pose) file.
+ *
+ * Node-only: builds the bytes via {@link writeNwbToBytes} and writes them to
+ * disk through the Node filesystem ops registered by `h5-node.ts`.
+ *
+ * @param labels - Labels to export.
+ * @param filename - Output file path.
+ * @param options - Export options (see {@link WriteNwbOptions}).
+ */
+export async function writeNwb(
+  labels: Labels,
+  filename: string,
+  options?: WriteNwbOptions,
+): Promise<void> {
+  const bytes = await writeNwbToBytes(labels, options);
+  await nodeWriteFile(filename, bytes);
+}
@@ -0,0 +1,636 @@
+/**
+ * TrackMate XML model reader and writer.
+ *
+ * TrackMate (ImageJ/Fiji) saves its session as a single XML file: a `<Model>`
+ * holding every spot (`<AllSpots>`), the tracks as lists of spot-to-spot edges
+ * (`<AllTracks>`), the tracks kept by the track filters (`<FilteredTracks>`),
+ * and a `<Settings>` block describing the source image (`<ImageData>`).
+ *
+ * Spots become {@link PredictedCentroid}s (`QUALITY` is the score, the incoming
+ * edge's `LINK_COST` the tracking score). A TrackMate track is a graph that can
+ * split (cell division) and merge, while a {@link Track} holds one object per
+ * frame, so each track is cut into its linear segments: a track without
+ * branches becomes one {@link Track} named after it, a branching track becomes
+ * one {@link Track} per segment (`"Track_0.0"`, `"Track_0.1"`, ...). The
+ * branch points are recorded as {@link TrackMateEvent}s under
+ * `provenance["trackmate_events"]`, which {@link writeTrackMateXml} uses to
+ * link the segments back together.
+ *
+ * Positions are stored in calibrated units (e.g. microns) and converted to
+ * pixels with the `<ImageData>` pixel size on read, and back on write. The
+ * image metadata is kept under `provenance["trackmate_image"]`.
+ *
+ * This module is browser-safe. The path-based Node loader and saver live in
+ * `trackmate.ts`.
+ */
+
+import { PredictedCentroid } from "../model/centroid.js";
+import type { Centroid } from "../model/centroid.js";
+import { Track } from "../model/instance.js";
+import { LabeledFrame } from "../model/labeled-frame.js";
+import { Labels } from "../model/labels.js";
+import { Video } from "../model/video.js";
+import {
+  parseXml,
+  type XmlElement,
+  XmlWriter,
+  xmlChild,
+  xmlChildren,
+} from "./xml-utils.js";
+
+/**
+ * A branch point of a TrackMate track, in terms of the {@link Track} names of
+ * its segments: a `"split"` continues one parent segment into several
+ * children, a `"merge"` joins several parents into one child.
+ */
+export interface TrackMateEvent {
+  type: "split" | "merge";
+  /** Frame of the spot where the track branches. */
+  frameIdx: number;
+  parents: string[];
+  children: string[];
+}
+
+/** Image metadata of a TrackMate model (`<ImageData>` and model units). */
+export interface TrackMateImageData {
+  filename: string;
+  folder: string;
+  width: number;
+  height: number;
+  nslices: number;
+  nframes: number;
+  pixelWidth: number;
+  pixelHeight: number;
+  voxelDepth: number;
+  timeInterval: number;
+  spatialUnits: string;
+  timeUnits: string;
+}
+
+/** Options for {@link readTrackMateXml}. */
+export interface ReadTrackMateXmlOptions {
+  /**
+   * Video all frames belong to. Defaults to the `<ImageData>` image (without
+   * opening it).
+   */
+  video?: Video | string;
+  /**
+   * Map the `<ImageData>` image path to the path stored on the default video.
+   * Defaults to the path itself.
+   */
+  resolveImage?: (path: string) => string;
+  /**
+   * Keep only what TrackMate displays (default `true`): spots with
+   * `VISIBILITY="0"` are dropped and tracks missing from `<FilteredTracks>`
+   * are ignored (their spots are kept untracked).
+   */
+  filteredOnly?: boolean;
+}
+
+/**
+ * Predicate: true for text that looks like a TrackMate model file (a
+ * `<TrackMate>` root holding a `<Model>`).
+ */
+export function isTrackMateXml(text: string): boolean {
+  return /<TrackMate[\s>]/.test(text) && /<Model[\s>]/.test(text);
+}
+
+// =============================================================================
+// Read
+// =============================================================================
+
+/** A parsed `<Spot>`, in pixels. */
+interface TrackMateSpot {
+  id: number;
+  frame: number;
+  centroid: PredictedCentroid;
+}
+
+/** Numeric attribute of `element`, or `fallback` when absent / not a number. */
+function numAttr(element: XmlElement, name: string, fallback = 0): number {
+  const value = Number.parseFloat(element.attributes[name] ?? "");
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/** Read `<ImageData>` and the model units; pixel sizes default to 1. */
+function readImageData(
+  settings: XmlElement | undefined,
+  model: XmlElement,
+): TrackMateImageData {
+  const image = settings && xmlChild(settings, "ImageData");
+  const attr = (name: string, fallback = 0) =>
+    image ? numAttr(image, name, fallback) : fallback;
+  const size = (name: string) => {
+    const value = attr(name, 1);
+    return value > 0 ? value : 1;
+  };
+  return {
+    filename: image?.attributes.filename ?? "",
+    folder: image?.attributes.folder ?? "",
+    width: attr("width"),
+    height: attr("height"),
+    nslices: attr("nslices", 1),
+    nframes: attr("nframes"),
+    pixelWidth: size("pixelwidth"),
+    pixelHeight: size("pixelheight"),
+    voxelDepth: size("voxeldepth"),
+    timeInterval: size("timeinterval"),
+    spatialUnits: model.attributes.spatialunits ?? "pixel",
+    timeUnits: model.attributes.timeunits ?? "frame",
+  };
+}
+
+/** Join an `<ImageData>` folder and file name. */
+function imagePath(image: TrackMateImageData): string {
+  if (!image.folder) return image.filename;
+  return /[\\/]$/.test(image.folder)
+    ? image.folder + image.filename
+    : `${image.folder}/${image.filename}`;
+}
+
+/**
+ * Read a TrackMate XML model into a {@link Labels} object holding
+ * {@link PredictedCentroid}s and {@link Track}s.
+ *
+ * @param xml - The XML text.
+ * @param options - Video, image path resolution and filtering.
+ * @returns Labels with one {@link LabeledFrame} per frame with spots.
+ * @throws If the text is not a TrackMate model.
+ */
+export function readTrackMateXml(
+  xml: string,
+  options: ReadTrackMateXmlOptions = {},
+): Labels {
+  const root = parseXml(xml);
+  const model = root.name === "TrackMate" ? xmlChild(root, "Model") : undefined;
+  if (!model) {
+    throw new Error("Not a TrackMate XML file: no <TrackMate><Model> found.");
+  }
+  const filteredOnly = options.filteredOnly ?? true;
+  const image = readImageData(xmlChild(root, "Settings"), model);
+
+  // Spots, converted to pixels.
+  const spots = new Map<number, TrackMateSpot>();
+  const allSpots = xmlChild(model, "AllSpots");
+  for (const inFrame of allSpots ? xmlChildren(allSpots, "SpotsInFrame") : []) {
+    for (const spot of xmlChildren(inFrame, "Spot")) {
+      if (filteredOnly && spot.attributes.VISIBILITY === "0") continue;
+      const id = numAttr(spot, "ID", Number.NaN);
+      if (Number.isNaN(id)) continue;
+      const z = numAttr(spot, "POSITION_Z") / image.voxelDepth;
+      spots.set(id, {
+        id,
+        frame: Math.round(
+          numAttr(spot, "FRAME", numAttr(inFrame, "frame", Number.NaN)),
+        ),
+        centroid: new PredictedCentroid({
+          x: numAttr(spot, "POSITION_X") / image.pixelWidth,
+          y: numAttr(spot, "POSITION_Y") / image.pixelHeight,
+          z: z !== 0 ? z : null,
+          score: numAttr(spot, "QUALITY"),
+          name: spot.attributes.name ?? `ID${id}`,
+          source: "trackmate",
+        }),
+      });
+    }
+  }
+
+  // Tracks: cut each edge graph into linear segments.
+  const filtered = xmlChild(model, "FilteredTracks");
+  const filteredIds = filtered
+    ? new Set(
+        xmlChildren(filtered, "TrackID").map((el) => el.attributes.TRACK_ID),
+      )
+    : null;
+  const tracks: Track[] = [];
+  const events: TrackMateEvent[] = [];
+  const allTracks = xmlChild(model, "AllTracks");
+  for (const trackEl of allTracks ? xmlChildren(allTracks, "Track") : []) {
+    const trackId = trackEl.attributes.TRACK_ID;
+    if (filteredOnly && filteredIds && !filteredIds.has(trackId)) continue;
+
+    const next = new Map<TrackMateSpot, TrackMateSpot[]>();
+    const prev = new Map<TrackMateSpot, TrackMateSpot[]>();
+    const linkCost = new Map<TrackMateSpot, number>();
+    const members = new Set<TrackMateSpot>();
+    for (const edge of xmlChildren(trackEl, "Edge")) {
+      let a = spots.get(numAttr(edge, "SPOT_SOURCE_ID", Number.NaN));
+      let b = spots.get(numAttr(edge, "SPOT_TARGET_ID", Number.NaN));
+      if (!a || !b || a === b) continue;
+      // Edges are undirected in TrackMate; orient them forward in time.
+      if (a.frame > b.frame || (a.frame === b.frame && a.id > b.id)) {
+        [a, b] = [b, a];
+      }
+      next.set(a, [...(next.get(a) ?? []), b]);
+      prev.set(b, [...(prev.get(b) ?? []), a]);
+      linkCost.set(b, numAttr(edge, "LINK_COST", Number.NaN));
+      members.add(a);
+      members.add(b);
+    }
+    if (!members.size) continue;
+
+    const successors = (spot: TrackMateSpot) => next.get(spot) ?? [];
+    const predecessors = (spot: TrackMateSpot) => prev.get(spot) ?? [];
+    const continues = (spot: TrackMateSpot) => {
+      const after = successors(spot);
+      return after.length === 1 && predecessors(after[0]).length === 1;
+    };
+    const byTime = (a: TrackMateSpot, b: TrackMateSpot) =>
+      a.frame - b.frame || a.id - b.id;
+
+    // A segment starts wherever the spot is not the sole continuation of its
+    // predecessor.
+    const segments: TrackMateSpot[][] = [];
+    for (const start of [...members].sort(byTime)) {
+      const before = predecessors(start);
+      if (before.length === 1 && continues(before[0])) continue;
+      const segment = [start];
+      let spot = start;
+      while (continues(spot)) {
+        spot = successors(spot)[0];
+        segment.push(spot);
+      }
+      segments.push(segment);
+    }
+
+    const name = trackEl.attributes.name || `Track_${trackId}`;
+    const segmentOf = new Map<TrackMateSpot, Track>();
+    segments.forEach((segment, i) => {
+      const track = new Track(segments.length > 1 ? `${name}.${i}` : name);
+      tracks.push(track);
+      for (const spot of segment) {
+        segmentOf.set(spot, track);
+        spot.centroid.track = track;
+        const cost = linkCost.get(spot);
+        if (cost !== undefined && !Number.isNaN(cost)) {
+          spot.centroid.trackingScore = cost;
+        }
+      }
+    });
+
+    const trackName = (spot: TrackMateSpot) => segmentOf.get(spot)?.name ?? "";
+    for (const spot of [...members].sort(byTime)) {
+      const after = successors(spot);
+      const before = predecessors(spot);
+      if (after.length > 1) {
+        events.push({
+          type: "split",
+          frameIdx: spot.frame,
+          parents: [trackName(spot)],
+          children: after.map(trackName),
+        });
+      }
+      if (before.length > 1) {
+        events.push({
+          type: "merge",
+          frameIdx: spot.frame,
+          parents: before.map(trackName),
+          children: [trackName(spot)],
+        });
+      }
+    }
+  }
+
+  let video: Video;
+  if (options.video instanceof Video) {
+    video = options.video;
+  } else {
+    const resolveImage = options.resolveImage ?? ((p: string) => p);
+    video = new Video({
+      filename:
+        options.video ?? (image.filename ? resolveImage(imagePath(image)) : ""),
+      openBackend: false,
+    });
+    if (!options.video && image.width > 0 && image.height > 0) {
+      video.shape = [image.nframes, image.height, image.width, 1];
+    }
+  }
+
+  const byFrame = new Map<number, PredictedCentroid[]>();
+  for (const spot of spots.values()) {
+    byFrame.set(spot.frame, [
+      ...(byFrame.get(spot.frame) ?? []),
+      spot.centroid,
+    ]);
+  }
+  const labeledFrames = [...byFrame.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(
+      ([frameIdx, centroids]) =>
+        new LabeledFrame({ video, frameIdx, centroids }),
+    );
+
+  const labels = new Labels({
+    labeledFrames,
+    videos: video.filename || labeledFrames.length > 0 ? [video] : [],
+    tracks,
+  });
+  labels.provenance.trackmate_image = image;
+  if (events.length) labels.provenance.trackmate_events = events;
+  return labels;
+}
+
+// =============================================================================
+// Write
+// =============================================================================
+
+/** Options for {@link writeTrackMateXml}. */
+export interface WriteTrackMateXmlOptions {
+  /**
+   * Video to export (default: the only video of the labels). TrackMate models
+   * describe a single image.
+   */
+  video?: Video;
+  /** Spot radius in pixels (default `5`). */
+  radius?: number;
+}
+
+/** TrackMate version written to the root element. */
+const TRACKMATE_VERSION = "7.13.2";
+
+/** Feature declarations: [feature, name, shortname, dimension, isint]. */
+const SPOT_FEATURES: [string, string, string, string, boolean][] = [
+  ["QUALITY", "Quality", "Quality", "QUALITY", false],
+  ["POSITION_X", "X", "X", "POSITION", false],
+  ["POSITION_Y", "Y", "Y", "POSITION", false],
+  ["POSITION_Z", "Z", "Z", "POSITION", false],
+  ["POSITION_T", "T", "T", "TIME", false],
+  ["FRAME", "Frame", "Frame", "NONE", true],
+  ["RADIUS", "Radius", "R", "LENGTH", false],
+  ["VISIBILITY", "Visibility", "Visibility", "NONE", true],
+];
+const EDGE_FEATURES: [string, string, string, string, boolean][] = [
+  ["SPOT_SOURCE_ID", "Source spot ID", "Source ID", "NONE", true],
+  ["SPOT_TARGET_ID", "Target spot ID", "Target ID", "NONE", true],
+  ["LINK_COST", "Edge cost", "Cost", "COST", false],
+  ["EDGE_TIME", "Edge time", "Edge T", "TIME", false],
+];
+const TRACK_FEATURES: [string, string, string, string, boolean][] = [
+  ["TRACK_INDEX", "Track index", "Index", "NONE", true],
+  ["TRACK_ID", "Track ID", "ID", "NONE", true],
+  ["NUMBER_SPOTS", "Number of spots in track", "N spots", "NONE", true],
+  ["NUMBER_GAPS", "Number of gaps", "N gaps", "NONE", true],
+  ["NUMBER_SPLITS", "Number of split events", "N splits", "NONE", true],
+  ["NUMBER_MERGES", "Number of merge events", "N merges", "NONE", true],
+  ["TRACK_START", "Track start", "Track start", "TIME", false],
+  ["TRACK_STOP", "Track stop", "Track stop", "TIME", false],
+  ["TRACK_DURATION", "Track duration", "Duration", "TIME", false],
+];
+
+/** An exported spot. */
+interface WriteSpot {
+  id: number;
+  frame: number;
+  centroid: Centroid;
+}
+
+/** Split a path into its folder (with trailing separator) and file name. */
+function splitPath(filename: string): [string, string] {
+  const cut = Math.max(filename.lastIndexOf("/"), filename.lastIndexOf("\\"));
+  return [filename.slice(0, cut + 1), filename.slice(cut + 1)];
+}
+
+/**
+ * Serialize the centroids and tracks of a {@link Labels} object as a TrackMate
+ * XML model that Fiji can open (Plugins > Tracking > Load a TrackMate file).
+ *
+ * Each track's centroids are linked frame to frame; the
+ * `provenance["trackmate_events"]` recorded by {@link readTrackMateXml} link
+ * segments across splits and merges. Connected tracks are written as one
+ * TrackMate track. Calibration comes from `provenance["trackmate_image"]`
+ * when present, else positions are written in pixels.
+ *
+ * @throws If the labels span more than one video and none is given.
+ */
+export function writeTrackMateXml(
+  labels: Labels,
+  options: WriteTrackMateXmlOptions = {},
+): string {
+  const videos = [
+    ...new Set(
+      labels.labeledFrames
+        .filter((lf) => lf.centroids.length)
+        .map((lf) => lf.video),
+    ),
+  ];
+  if (!options.video && videos.length > 1) {
+    throw new Error(
+      `TrackMate export needs a single video, got ${videos.length}; pass options.video.`,
+    );
+  }
+  const video = options.video ?? videos[0] ?? labels.videos[0];
+  const radius = options.radius ?? 5;
+  const source = labels.provenance.trackmate_image as
+    | Partial<TrackMateImageData>
+    | undefined;
+  const pixelWidth = source?.pixelWidth ?? 1;
+  const pixelHeight = source?.pixelHeight ?? 1;
+  const voxelDepth = source?.voxelDepth ?? 1;
+  const timeInterval = source?.timeInterval ?? 1;
+
+  // Spots, with ids in frame order.
+  const spots: WriteSpot[] = [];
+  const frames = labels.labeledFrames
+    .filter((lf) => lf.video === video && lf.centroids.length)
+    .sort((a, b) => a.frameIdx - b.frameIdx);
+  for (const lf of frames) {
+    for (const centroid of lf.centroids) {
+      spots.push({ id: spots.length, frame: lf.frameIdx, centroid });
+    }
+  }
+
+  // Edges: consecutive detections of each track, then the recorded events.
+  const byTrack = new Map<Track, WriteSpot[]>();
+  for (const spot of spots) {
+    const track = spot.centroid.track;
+    if (track) byTrack.set(track, [...(byTrack.get(track) ?? []), spot]);
+  }
+  const edges: [WriteSpot, WriteSpot][] = [];
+  for (const trackSpots of byTrack.values()) {
+    for (let i = 1; i < trackSpots.length; i++) {
+      edges.push([trackSpots[i - 1], trackSpots[i]]);
+    }
+  }
+  const trackByName = new Map(
+    [...byTrack.keys()].map((track) => [track.name, track]),
+  );
+  const events = (labels.provenance.trackmate_events ?? []) as TrackMateEvent[];
+  for (const event of events) {
+    for (const parentName of event.parents) {
+      const parent = trackByName.get(parentName);
+      const from = parent && byTrack.get(parent)?.at(-1);
+      for (const childName of event.children) {
+        const child = trackByName.get(childName);
+        const to = child && byTrack.get(child)?.[0];
+        if (from && to && from.frame < to.frame) edges.push([from, to]);
+      }
+    }
+  }
+
+  // Group linked tracks into TrackMate tracks (union-find over spots).
+  const parent = spots.map((_, i) => i);
+  const find = (i: number): number => {
+    let root = i;
+    while (parent[root] !== root) root = parent[root];
+    parent[i] = root;
+    return root;
+  };
+  for (const [a, b] of edges) parent[find(a.id)] = find(b.id);
+  const components = new Map<number, [WriteSpot, WriteSpot][]>();
+  for (const edge of edges) {
+    const key = find(edge[0].id);
+    components.set(key, [...(components.get(key) ?? []), edge]);
+  }
+
+  const xml = new XmlWriter();
+  xml.start("TrackMate", { version: TRACKMATE_VERSION });
+  xml.start("Model", {
+    spatialunits: source?.spatialUnits ?? "pixel",
+    timeunits: source?.timeUnits ?? "frame",
+  });
+
+  xml.start("FeatureDeclarations");
+  for (const [group, features] of [
+    ["SpotFeatures", SPOT_FEATURES],
+    ["EdgeFeatures", EDGE_FEATURES],
+    ["TrackFeatures", TRACK_FEATURES],
+  ] as const) {
+    xml.start(group);
+    for (const [feature, name, shortname, dimension, isint] of features) {
+      xml.empty("Feature", {
+        feature,
+        name,
+        shortname,
+        dimension,
+        isint: String(isint),
+      });
+    }
+    xml.end();
+  }
+  xml.end();
+
+  xml.start("AllSpots", { nspots: spots.length });
+  let cursor = 0;
+  // Labeled frames sharing a frame index go in one SpotsInFrame.
+  for (const frameIdx of new Set(frames.map((lf) => lf.frameIdx))) {
+    xml.start("SpotsInFrame", { frame: frameIdx });
+    while (cursor < spots.length && spots[cursor].frame === frameIdx) {
+      const { id, frame, centroid } = spots[cursor++];
+      xml.empty("Spot", {
+        ID: id,
+        name: centroid.name || `ID${id}`,
+        QUALITY: centroid.isPredicted
+          ? (centroid as PredictedCentroid).score
+          : 1,
+        POSITION_X: centroid.x * pixelWidth,
+        POSITION_Y: centroid.y * pixelHeight,
+        POSITION_Z: (centroid.z ?? 0) * voxelDepth,
+        POSITION_T: frame * timeInterval,
+        FRAME: frame,
+        RADIUS: radius * pixelWidth,
+        VISIBILITY: 1,
+      });
+    }
+    xml.end();
+  }
+  xml.end();
+
+  xml.start("AllTracks");
+  const trackIds: number[] = [];
+  for (const componentEdges of components.values()) {
+    const trackId = trackIds.length;
+    trackIds.push(trackId);
+    const members = new Set(componentEdges.flat());
+    const outDegree = new Map<WriteSpot, number>();
+    const inDegree = new Map<WriteSpot, number>();
+    for (const [a, b] of componentEdges) {
+      outDegree.set(a, (outDegree.get(a) ?? 0) + 1);
+      inDegree.set(b, (inDegree.get(b) ?? 0) + 1);
+    }
+    const frameList = [...members].map((spot) => spot.frame);
+    const start = Math.min(...frameList);
+    const stop = Math.max(...frameList);
+    // Segments read from a branching track ("Track_0.1") get its name back.
+    const first = [...members].find((spot) => spot.frame === start);
+    const firstName = first?.centroid.track?.name ?? "";
+    const segmented = /^(.+)\.\d+$/.exec(firstName);
+    const componentTracks = new Set(
+      [...members].map((spot) => spot.centroid.track),
+    );
+    xml.start("Track", {
+      name:
+        (componentTracks.size > 1 && segmented ? segmented[1] : firstName) ||
+        `Track_${trackId}`,
+      TRACK_INDEX: trackId,
+      TRACK_ID: trackId,
+      NUMBER_SPOTS: members.size,
+      NUMBER_GAPS: componentEdges.filter(([a, b]) => b.frame - a.frame > 1)
+        .length,
+      NUMBER_SPLITS: [...outDegree.values()].filter((n) => n > 1).length,
+      NUMBER_MERGES: [...inDegree.values()].filter((n) => n > 1).length,
+      TRACK_START: start * timeInterval,
+      TRACK_STOP: stop * timeInterval,
+      TRACK_DURATION: (stop - start) * timeInterval,
+    });
+    for (const [a, b] of componentEdges) {
+      xml.empty("Edge", {
+        SPOT_SOURCE_ID: a.id,
+        SPOT_TARGET_ID: b.id,
+        LINK_COST: b.centroid.trackingScore ?? 0,
+        EDGE_TIME: ((a.frame + b.frame) / 2) * timeInterval,
+      });
+    }
+    xml.end();
+  }
+  xml.end();
+
+  xml.start("FilteredTracks");
+  for (const trackId of trackIds) xml.empty("TrackID", { TRACK_ID: trackId });
+  xml.end();
+  xml.end(); // Model
+
+  const shape = video?.shape;
+  const filename = video
+    ? Array.isArray(video.filename)
+      ? (video.filename[0] ?? "")
+      : video.filename
+    : "";
+  const [folder, name] = splitPath(filename);
+  const nframes =
+    shape?.[0] || (frames.length ? frames[frames.length - 1].frameIdx + 1 : 0);
+  const width = shape?.[2] ?? source?.width ?? 0;
+  const height = shape?.[1] ?? source?.height ?? 0;
+  xml.start("Settings");
+  xml.empty("ImageData", {
+    filename: name,
+    folder,
+    width,
+    height,
+    nslices: source?.nslices ?? 1,
+    nframes,
+    pixelwidth: pixelWidth,
+    pixelheight: pixelHeight,
+    voxeldepth: voxelDepth,
+    timeinterval: timeInterval,
+  });
+  xml.empty("BasicSettings", {
+    xstart: 0,
+    xend: Math.max(width - 1, 0),
+    ystart: 0,
+    yend: Math.max(height - 1, 0),
+    zstart: 0,
+    zend: Math.max((source?.nslices ?? 1) - 1, 0),
+    tstart: 0,
+    tend: Math.max(nframes - 1, 0),
+  });
+  xml.empty("InitialSpotFilter", {
+    feature: "QUALITY",
+    value: 0,
+    isabove: "true",
+  });
+  xml.empty("SpotFilterCollection");
+  xml.empty("TrackFilterCollection");
+  xml.end(); // Settings
+  xml.end(); // TrackMate
+  return xml.toString();
+}
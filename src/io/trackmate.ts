@@ -1,5 +1,5 @@
 /**
- * Read TrackMate CSV exports into sleap-io data structures.
+ * Read TrackMate CSV exports and XML models into sleap-io data structures.
  *
  * TrackMate (ImageJ/Fiji) exports tracking results as CSV files:
  * - `*_spots.csv` - Individual spot detections (required).
@@ -7,6 +7,9 @@
  *
  * All CSVs have 4 header rows (field names, descriptions, abbreviations,
  * units) followed by data rows.
+ *
+ * The native `.xml` model file is parsed by the browser-safe
+ * `trackmate-xml.ts`; this module adds the path-based loader and saver.
  */
 
 import * as fs from "fs";
@@ -16,6 +19,12 @@ import { LabeledFrame } from "../model/labeled-frame.js";
 import { Track } from "../model/instance.js";
 import { PredictedCentroid } from "../model/centroid.js";
 import { Video } from "../model/video.js";
+import {
+  readTrackMateXml,
+  type ReadTrackMateXmlOptions,
+  writeTrackMateXml,
+  type WriteTrackMateXmlOptions,
+} from "./trackmate-xml.js";
 
 /** Number of header rows before data in TrackMate CSV exports. */
 const HEADER_ROWS = 4;
@@ -39,9 +48,10 @@ export interface TrackMateOptions {
 }
 
 /**
- * Check if a CSV file is a TrackMate spots export.
+ * Check if a file is a TrackMate spots CSV export or XML model.
  *
- * Reads the first line and checks for the TrackMate column signature.
+ * For `.xml` files, checks for a `<TrackMate>` root near the top; otherwise
+ * reads the first line and checks for the TrackMate column signature.
  */
 export function isTrackMateFile(filePath: string): boolean {
   try {
@@ -49,8 +59,11 @@ export function isTrackMateFile(filePath: string): boolean {
     const buf = Buffer.alloc(1024);
     const bytesRead = fs.readSync(fd, buf, 0, 1024, 0);
     fs.closeSync(fd);
-    const firstLine =
-      buf.toString("utf-8", 0, bytesRead).split("\n")[0]?.trim() ?? "";
+    const head = buf.toString("utf-8", 0, bytesRead);
+    if (path.extname(filePath).toLowerCase() === ".xml") {
+      return /<TrackMate[\s>]/.test(head);
+    }
+    const firstLine = head.split("\n")[0]?.trim() ?? "";
     const cols = firstLine.split(",");
     return SPOTS_SIGNATURE.every((sig, i) => cols[i] === sig);
   } catch {
@@ -251,11 +264,46 @@ export function readTrackMateCsv(
 }
 
 /**
- * Load TrackMate CSV exports and return a Labels object.
+ * Load a TrackMate XML model file into a Labels object.
  *
- * Public API wrapper for readTrackMateCsv.
+ * See `readTrackMateXml` for how spots, tracks and split / merge events are
+ * mapped. Unless a video is given, the `<ImageData>` image is looked up at its
+ * recorded path, then next to the XML file.
  *
- * @param filename - Path to the TrackMate spots CSV file.
+ * @param xmlPath - Path to the TrackMate `.xml` file.
+ * @param options - Optional loading settings.
+ * @returns A Labels object with centroids and tracks.
+ */
+export function loadTrackMateXml(
+  xmlPath: string,
+  options: ReadTrackMateXmlOptions = {},
+): Labels {
+  if (!fs.existsSync(xmlPath)) {
+    throw new Error(`TrackMate XML not found: ${xmlPath}`);
+  }
+  const dir = path.dirname(xmlPath);
+  const resolveImage =
+    options.resolveImage ??
+    ((imagePath: string) => {
+      if (fs.existsSync(imagePath)) return imagePath;
+      const sibling = path.join(dir, path.basename(imagePath));
+      return fs.existsSync(sibling) ? sibling : imagePath;
+    });
+  const labels = readTrackMateXml(fs.readFileSync(xmlPath, "utf-8"), {
+    ...options,
+    resolveImage,
+  });
+  labels.provenance.filename = xmlPath;
+  return labels;
+}
+
+/**
+ * Load TrackMate data and return a Labels object.
+ *
+ * Public API wrapper: `.xml` files are read with loadTrackMateXml, anything
+ * else with readTrackMateCsv.
+ *
+ * @param filename - Path to the TrackMate spots CSV or XML model file.
  * @param options - Optional loading settings.
  * @returns Labels with centroids from TrackMate data.
  */
@@ -263,5 +311,26 @@ export function loadTrackMate(
   filename: string,
   options?: TrackMateOptions,
 ): Labels {
+  if (path.extname(filename).toLowerCase() === ".xml") {
+    const video = options?.video;
+    return loadTrackMateXml(filename, video ? { video } : {});
+  }
   return readTrackMateCsv(filename, options);
 }
+
+/**
+ * Save the centroids and tracks of a Labels object as a TrackMate XML model
+ * that can be opened in Fiji (see `writeTrackMateXml`).
+ *
+ * @param labels - Labels to export.
+ * @param xmlPath - Output `.xml` path.
+ * @param options - Optional export settings.
+ */
+export function saveTrackMate(
+  labels: Labels,
+  xmlPath: string,
+  options: WriteTrackMateXmlOptions = {},
+): void {
+  fs.mkdirSync(path.dirname(xmlPath), { recursive: true });
+  fs.writeFileSync(xmlPath, writeTrackMateXml(labels, options));
+}
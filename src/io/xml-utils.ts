@@ -0,0 +1,223 @@
+/**
+ * Minimal, browser-safe XML reading and writing helpers.
+ *
+ * The XML formats read here (CVAT, TrackMate) are plain element trees: no
+ * namespaces, no DTD validation and no mixed content worth keeping. `DOMParser`
+ * is not available in Node, so this small parser covers exactly that subset:
+ * elements, attributes, text, CDATA, comments, processing instructions and the
+ * predefined / numeric character entities.
+ *
+ * @internal Not part of the public API.
+ */
+
+/** A parsed XML element. */
+export interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  /** Concatenated (decoded) text directly inside the element. */
+  text: string;
+}
+
+/** Attribute values for {@link XmlWriter}; `null` / `undefined` are omitted. */
+export type XmlAttributes = Record<string, string | number | null | undefined>;
+
+const ENTITIES: Record<string, string> = {
+  lt: "<",
+  gt: ">",
+  amp: "&",
+  quot: '"',
+  apos: "'",
+};
+
+/** A start (or empty-element) tag: name, attributes, self-closing slash. */
+const START_TAG =
+  /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+/** Decode the predefined and numeric character references in `text`. */
+export function decodeXmlEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === "#") {
+      const code =
+        ref[1] === "x" || ref[1] === "X"
+          ? Number.parseInt(ref.slice(2), 16)
+          : Number.parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[ref] ?? match;
+  });
+}
+
+/** Escape text for use in XML content or a double-quoted attribute. */
+export function escapeXml(text: string): string {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Parse an XML document and return its root element.
+ *
+ * @throws On malformed markup (unterminated constructs, mismatched tags, no
+ *   root element).
+ */
+export function parseXml(xml: string): XmlElement {
+  const stack: XmlElement[] = [];
+  let root: XmlElement | null = null;
+  let i = 0;
+
+  const skipPast = (token: string, what: string) => {
+    const end = xml.indexOf(token, i);
+    if (end < 0) throw new Error(`Malformed XML: unterminated ${what}.`);
+    i = end + token.length;
+  };
+
+  while (i < xml.length) {
+    const lt = xml.indexOf("<", i);
+    const textEnd = lt < 0 ? xml.length : lt;
+    if (stack.length && textEnd > i) {
+      stack[stack.length - 1].text += decodeXmlEntities(xml.slice(i, textEnd));
+    }
+    if (lt < 0) break;
+    i = lt;
+
+    if (xml.startsWith("<!--", i)) {
+      skipPast("-->", "comment");
+    } else if (xml.startsWith("<![CDATA[", i)) {
+      const start = i + 9;
+      skipPast("]]>", "CDATA section");
+      if (stack.length) {
+        stack[stack.length - 1].text += xml.slice(start, i - 3);
+      }
+    } else if (xml.startsWith("<?", i)) {
+      skipPast("?>", "processing instruction");
+    } else if (xml.startsWith("<!", i)) {
+      skipPast(">", "declaration");
+    } else if (xml.startsWith("</", i)) {
+      const end = xml.indexOf(">", i);
+      if (end < 0) throw new Error("Malformed XML: unterminated end tag.");
+      const name = xml.slice(i + 2, end).trim();
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw new Error(
+          `Malformed XML: unexpected </${name}> (open: ${open?.name ?? "none"}).`,
+        );
+      }
+      i = end + 1;
+    } else {
+      START_TAG.lastIndex = i;
+      const tag = START_TAG.exec(xml);
+      if (!tag) throw new Error(`Malformed XML: bad tag at offset ${i}.`);
+      const element: XmlElement = {
+        name: tag[1],
+        attributes: {},
+        children: [],
+        text: "",
+      };
+      for (const attr of tag[2].matchAll(
+        /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+      )) {
+        element.attributes[attr[1]] = decodeXmlEntities(attr[2] ?? attr[3]);
+      }
+      if (stack.length) {
+        stack[stack.length - 1].children.push(element);
+      } else if (root) {
+        throw new Error("Malformed XML: multiple root elements.");
+      } else {
+        root = element;
+      }
+      if (!tag[3]) stack.push(element);
+      i += tag[0].length;
+    }
+  }
+
+  if (stack.length) {
+    throw new Error(
+      `Malformed XML: unclosed <${stack[stack.length - 1].name}>.`,
+    );
+  }
+  if (!root) throw new Error("Malformed XML: no root element.");
+  return root;
+}
+
+/** First child element named `name`. */
+export function xmlChild(
+  element: XmlElement,
+  name: string,
+): XmlElement | undefined {
+  return element.children.find((child) => child.name === name);
+}
+
+/** All child elements named `name`. */
+export function xmlChildren(element: XmlElement, name: string): XmlElement[] {
+  return element.children.filter((child) => child.name === name);
+}
+
+/** Trimmed text of the first child element named `name`. */
+export function xmlChildText(
+  element: XmlElement,
+  name: string,
+): string | undefined {
+  return xmlChild(element, name)?.text.trim();
+}
+
+/**
+ * Indented XML text builder. Attribute values are escaped; `null` / `undefined`
+ * attributes are left out.
+ */
+export class XmlWriter {
+  private readonly lines: string[] = ['<?xml version="1.0" encoding="utf-8"?>'];
+  private readonly open: string[] = [];
+
+  private tag(name: string, attributes: XmlAttributes): string {
+    let tag = name;
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value == null) continue;
+      tag += ` ${key}="${escapeXml(String(value))}"`;
+    }
+    return tag;
+  }
+
+  private get indent(): string {
+    return "  ".repeat(this.open.length);
+  }
+
+  /** Open an element; close it with {@link end}. */
+  start(name: string, attributes: XmlAttributes = {}): this {
+    this.lines.push(`${this.indent}<${this.tag(name, attributes)}>`);
+    this.open.push(name);
+    return this;
+  }
+
+  /** Close the innermost open element. */
+  end(): this {
+    const name = this.open.pop();
+    this.lines.push(`${this.indent}</${name}>`);
+    return this;
+  }
+
+  /** A text-only element. */
+  text(
+    name: string,
+    text: string | number,
+    attributes: XmlAttributes = {},
+  ): this {
+    this.lines.push(
+      `${this.indent}<${this.tag(name, attributes)}>${escapeXml(String(text))}</${name}>`,
+    );
+    return this;
+  }
+
+  /** A self-closing element. */
+  empty(name: string, attributes: XmlAttributes = {}): this {
+    this.lines.push(`${this.indent}<${this.tag(name, attributes)}/>`);
+    return this;
+  }
+
+  /** The document so far, newline-terminated. */
+  toString(): string {
+    return `${this.lines.join("\n")}\n`;
+  }
+}
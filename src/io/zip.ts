@@ -0,0 +1,380 @@
+/**
+ * Minimal in-memory ZIP archive reader and writer.
+ *
+ * The reader walks the central directory and extracts stored (method 0) and
+ * deflated (method 8) entries, inflating with `pako`. Those two methods cover
+ * archives written by Python's `zipfile` (and so `numpy.savez`) and by common
+ * zip tools. ZIP64 archives (`zip -fz`, or over 65535 entries or 4 GiB) are
+ * read through their ZIP64 end record and extra fields. Encrypted and
+ * multi-disk archives are rejected. The reader's pieces also work on byte
+ * ranges of an archive that is not in memory (see `video/zip-image-source.ts`).
+ * The writer produces the same two entry kinds.
+ *
+ * Browser-safe (no Node-only imports).
+ */
+
+import { deflateRaw, inflateRaw } from "pako";
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+/** Header ID of the ZIP64 extended information extra field. */
+const ZIP64_EXTRA_ID = 0x0001;
+
+const textDecoder = new TextDecoder();
+
+/** One file (or directory) listed in a ZIP archive's central directory. */
+export interface ZipEntry {
+  /** Path inside the archive; directories end in `/`. */
+  name: string;
+  /** Compression method (0 = stored, 8 = deflate). */
+  method: number;
+  /** Size of the stored (compressed) data in bytes. */
+  compressedSize: number;
+  /** Uncompressed size in bytes. */
+  size: number;
+  /** Byte offset of the entry's local header. */
+  offset: number;
+}
+
+/** Whether `bytes` starts with a ZIP local file header (`PK\x03\x04`). */
+export function isZip(bytes: Uint8Array): boolean {
+  return (
+    bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) ===
+      LOCAL_HEADER_SIGNATURE
+  );
+}
+
+/**
+ * Bytes at the end of an archive that {@link findCentralDirectory} needs: the
+ * 22-byte end record with a comment of up to 64 KiB, plus the 20-byte ZIP64
+ * locator and 56-byte ZIP64 end record that may precede it.
+ */
+export const ZIP_TAIL_LENGTH = 22 + 0xffff + 20 + 56;
+
+/** Where an archive's central directory is. */
+export interface ZipDirectoryLocation {
+  /** Number of entries. */
+  count: number;
+  /** Byte offset of the central directory. */
+  offset: number;
+  /** Size of the central directory in bytes. */
+  size: number;
+}
+
+/** Little-endian unsigned 64-bit read, as a (safe) number. */
+function getUint64(view: DataView, at: number): number {
+  const value =
+    view.getUint32(at, true) + view.getUint32(at + 4, true) * 0x100000000;
+  if (!Number.isSafeInteger(value)) {
+    throw new Error("ZIP archive sizes beyond 2^53 bytes are not supported.");
+  }
+  return value;
+}
+
+/**
+ * Read the end-of-central-directory record from the end of an archive.
+ * `tail` is the whole archive or its last {@link ZIP_TAIL_LENGTH} bytes: the
+ * record is the last 22 bytes plus an optional comment of up to 64 KiB. A
+ * ZIP64 archive's locator and end record just before it are read from `tail`
+ * too; `tailOffset` is where `tail` starts in the archive, to find that record
+ * by its offset.
+ */
+export function findCentralDirectory(
+  tail: Uint8Array,
+  tailOffset = 0,
+): ZipDirectoryLocation {
+  const view = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+  let end = -1;
+  const stop = Math.max(0, tail.length - 22 - 0xffff);
+  for (let i = tail.length - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error("Not a ZIP archive: no end of central directory record.");
+  }
+  if (view.getUint16(end + 4, true) !== view.getUint16(end + 6, true)) {
+    throw new Error("Multi-disk ZIP archives are not supported.");
+  }
+  const locator = end - 20;
+  if (
+    locator >= 0 &&
+    view.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE
+  ) {
+    return findZip64CentralDirectory(view, locator, tailOffset);
+  }
+  const count = view.getUint16(end + 10, true);
+  const size = view.getUint32(end + 12, true);
+  const offset = view.getUint32(end + 16, true);
+  return { count, offset, size };
+}
+
+/** Read the ZIP64 end-of-central-directory record named by its locator. */
+function findZip64CentralDirectory(
+  view: DataView,
+  locator: number,
+  tailOffset: number,
+): ZipDirectoryLocation {
+  if (view.getUint32(locator + 16, true) > 1) {
+    throw new Error("Multi-disk ZIP archives are not supported.");
+  }
+  const record = getUint64(view, locator + 8) - tailOffset;
+  if (
+    record < 0 ||
+    record + 56 > locator ||
+    view.getUint32(record, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE
+  ) {
+    throw new Error("Corrupt ZIP archive: bad ZIP64 end of central directory.");
+  }
+  if (view.getUint32(record + 16, true) !== view.getUint32(record + 20, true)) {
+    throw new Error("Multi-disk ZIP archives are not supported.");
+  }
+  return {
+    count: getUint64(view, record + 32),
+    size: getUint64(view, record + 40),
+    offset: getUint64(view, record + 48),
+  };
+}
+
+/** Parse `count` entries from the bytes of a central directory. */
+export function parseCentralDirectory(
+  directory: Uint8Array,
+  count: number,
+): ZipEntry[] {
+  const view = new DataView(
+    directory.buffer,
+    directory.byteOffset,
+    directory.byteLength,
+  );
+  const entries: ZipEntry[] = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    if (
+      offset + 46 > directory.length ||
+      view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error("Corrupt ZIP archive: bad central directory entry.");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const name = textDecoder.decode(
+      directory.subarray(offset + 46, offset + 46 + nameLength),
+    );
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entries are not supported: ${name}`);
+    }
+    const entry: ZipEntry = {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      offset: view.getUint32(offset + 42, true),
+    };
+    const extraStart = offset + 46 + nameLength;
+    applyZip64Extra(view, extraStart, extraStart + extraLength, entry);
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + view.getUint16(offset + 32, true);
+  }
+  return entries;
+}
+
+/**
+ * Replace an entry's saturated (`0xffffffff`) size and offset fields with the
+ * 64-bit values of its ZIP64 extra field. The field holds only the saturated
+ * values, in the order size, compressed size, offset.
+ */
+function applyZip64Extra(
+  view: DataView,
+  start: number,
+  end: number,
+  entry: ZipEntry,
+): void {
+  for (let at = start; at + 4 <= end; ) {
+    const id = view.getUint16(at, true);
+    const length = view.getUint16(at + 2, true);
+    if (id === ZIP64_EXTRA_ID) {
+      let field = at + 4;
+      const fieldEnd = Math.min(field + length, end);
+      for (const key of ["size", "compressedSize", "offset"] as const) {
+        if (entry[key] !== 0xffffffff) continue;
+        if (field + 8 > fieldEnd) {
+          throw new Error(
+            `Corrupt ZIP archive: short ZIP64 extra field for ${entry.name}`,
+          );
+        }
+        entry[key] = getUint64(view, field);
+        field += 8;
+      }
+      return;
+    }
+    at += 4 + length;
+  }
+}
+
+/** List the entries of a ZIP archive, in central-directory order. */
+export function listZipEntries(bytes: Uint8Array): ZipEntry[] {
+  const { count, offset } = findCentralDirectory(bytes);
+  return parseCentralDirectory(bytes.subarray(offset), count);
+}
+
+/**
+ * Byte offset of an entry's data, from the entry's 30-byte local header. The
+ * local header's name and extra-field lengths can differ from the central
+ * directory's, so they are read from there.
+ */
+export function zipEntryDataOffset(
+  header: Uint8Array,
+  entry: ZipEntry,
+): number {
+  const view = new DataView(
+    header.buffer,
+    header.byteOffset,
+    header.byteLength,
+  );
+  if (
+    header.length < 30 ||
+    view.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE
+  ) {
+    throw new Error(`Corrupt ZIP archive: bad local header for ${entry.name}`);
+  }
+  return (
+    entry.offset + 30 + view.getUint16(26, true) + view.getUint16(28, true)
+  );
+}
+
+/** Decompress an entry's stored data. */
+export function inflateZipEntry(data: Uint8Array, entry: ZipEntry): Uint8Array {
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateRaw(data);
+  throw new Error(
+    `Unsupported ZIP compression method ${entry.method} for ${entry.name}`,
+  );
+}
+
+/** Extract (and inflate) one entry's data. */
+export function readZipEntry(bytes: Uint8Array, entry: ZipEntry): Uint8Array {
+  const start = zipEntryDataOffset(bytes.subarray(entry.offset), entry);
+  return inflateZipEntry(
+    bytes.subarray(start, start + entry.compressedSize),
+    entry,
+  );
+}
+
+/** A file to store with {@link writeZip}. */
+export interface ZipFile {
+  /** Path inside the archive. */
+  name: string;
+  data: Uint8Array;
+}
+
+let crcTable: Uint32Array | null = null;
+
+/** CRC-32 (IEEE) checksum, as stored in ZIP headers (and PNG chunks). */
+export function crc32(data: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from `files`, deflating them when `compress` is set and
+ * storing them as-is otherwise. Entries are dated 1980-01-01, so the output
+ * depends only on the inputs.
+ *
+ * @throws If the archive needs ZIP64 records (over 65535 entries, or a size or
+ *   offset past 4 GiB), which the writer does not produce.
+ */
+export function writeZip(
+  files: ZipFile[],
+  options: { compress?: boolean } = {},
+): Uint8Array {
+  const encoder = new TextEncoder();
+  const method = options.compress ? 8 : 0;
+  // Without ZIP64 records, counts are 16-bit and sizes and offsets 32-bit.
+  const checkLimit = (value: number, limit: number, what: string) => {
+    if (value > limit) {
+      throw new Error(
+        `Cannot write ZIP archive: ${what} (${value}) needs ZIP64 records, which are not supported.`,
+      );
+    }
+  };
+  checkLimit(files.length, 0xffff, "entry count");
+  const parts: Uint8Array[] = [];
+  const central: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const file of files) {
+    checkLimit(offset, 0xffffffff, "archive size");
+    checkLimit(file.data.length, 0xffffffff, `size of ${file.name}`);
+    const name = encoder.encode(file.name);
+    const data = method === 8 ? deflateRaw(file.data) : file.data;
+    const crc = crc32(file.data);
+
+    // Fields shared by the local header (from offset 4) and the central
+    // directory entry (from offset 6).
+    const fields = new Uint8Array(26);
+    const fv = new DataView(fields.buffer);
+    fv.setUint16(0, 20, true); // version needed to extract
+    fv.setUint16(2, 0x800, true); // UTF-8 names
+    fv.setUint16(4, method, true);
+    fv.setUint16(6, 0, true); // time
+    fv.setUint16(8, 0x21, true); // date: 1980-01-01
+    fv.setUint32(10, crc, true);
+    fv.setUint32(14, data.length, true);
+    fv.setUint32(18, file.data.length, true);
+    fv.setUint16(22, name.length, true);
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.set(fields, 4);
+    local.set(name, 30);
+
+    const entry = new Uint8Array(46 + name.length);
+    const ev = new DataView(entry.buffer);
+    ev.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    ev.setUint16(4, 20, true); // version made by
+    entry.set(fields, 6);
+    ev.setUint32(42, offset, true);
+    entry.set(name, 46);
+
+    parts.push(local, data);
+    central.push(entry);
+    offset += local.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+  checkLimit(offset, 0xffffffff, "archive size");
+  const end = new Uint8Array(22);
+  const dv = new DataView(end.buffer);
+  dv.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  dv.setUint16(8, files.length, true);
+  dv.setUint16(10, files.length, true);
+  dv.setUint32(12, centralSize, true);
+  dv.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + centralSize + end.length);
+  let pos = 0;
+  for (const part of [...parts, ...central, end]) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
@@ -0,0 +1,86 @@
+/**
+ * Optimal one-to-one assignment between two sets (e.g. instances and tracks).
+ *
+ * {@link linearSumAssignment} is a rectangular Hungarian solver over finite
+ * costs; {@link FORBIDDEN_COST} stands in for pairs that must never be chosen.
+ * Browser-safe; no Node-only imports.
+ */
+
+/**
+ * Cost standing in for a forbidden pair in {@link linearSumAssignment} (the
+ * solver needs finite costs).
+ */
+export const FORBIDDEN_COST = 1e12;
+
+/**
+ * Solve the rectangular linear assignment problem (minimum total cost).
+ *
+ * Shortest-augmenting-path Hungarian algorithm, `O(n² m)` for an `n × m` cost
+ * matrix. Every row is assigned when `n ≤ m` (every column otherwise).
+ *
+ * @param cost Finite costs, `cost[row][col]`.
+ * @returns `[row, col]` pairs sorted by row.
+ */
+export function linearSumAssignment(cost: number[][]): [number, number][] {
+  const n = cost.length;
+  const m = n ? cost[0].length : 0;
+  if (!n || !m) return [];
+  if (n > m) {
+    const transposed = Array.from({ length: m }, (_, j) =>
+      cost.map((row) => row[j]),
+    );
+    return linearSumAssignment(transposed)
+      .map(([j, i]): [number, number] => [i, j])
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  // 1-based potentials; p[j] = row assigned to column j (0 = none).
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(m + 1);
+  const p = new Int32Array(m + 1);
+  const way = new Int32Array(m + 1);
+  for (let i = 1; i <= n; i += 1) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(m + 1).fill(Infinity);
+    const used = new Uint8Array(m + 1);
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j += 1) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j += 1) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const pairs: [number, number][] = [];
+  for (let j = 1; j <= m; j += 1) {
+    if (p[j]) pairs.push([p[j] - 1, j - 1]);
+  }
+  return pairs.sort((a, b) => a[0] - b[0]);
+}
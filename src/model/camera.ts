@@ -2,7 +2,7 @@ import type { Instance } from "./instance.js";
 import type { LabeledFrame } from "./labeled-frame.js";
 import type { Video } from "./video.js";
 import type { Identity } from "./identity.js";
-import type { Instance3D } from "./instance3d.js";
+import { type Instance3D, PredictedInstance3D } from "./instance3d.js";
 import type { Labels } from "./labels.js";
 
 export function rodriguesTransformation(input: number[][] | number[]): {
@@ -72,6 +72,137 @@ function scale3x3(a: number[][], scale: number): number[][] {
   return a.map((row) => row.map((val) => val * scale));
 }
 
+/** Apply the OpenCV radial + tangential distortion model to normalized coords. */
+function distortNormalized(
+  x: number,
+  y: number,
+  d: number[],
+): [number, number] {
+  const [k1 = 0, k2 = 0, p1 = 0, p2 = 0, k3 = 0, k4 = 0, k5 = 0, k6 = 0] = d;
+  const r2 = x * x + y * y;
+  const radial =
+    (1 + ((k3 * r2 + k2) * r2 + k1) * r2) /
+    (1 + ((k6 * r2 + k5) * r2 + k4) * r2);
+  return [
+    x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+    y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y,
+  ];
+}
+
+/** Invert {@link distortNormalized} by OpenCV's fixed-point iteration. */
+function undistortNormalized(
+  x0: number,
+  y0: number,
+  d: number[],
+  iterations: number,
+): [number, number] {
+  const [k1 = 0, k2 = 0, p1 = 0, p2 = 0, k3 = 0, k4 = 0, k5 = 0, k6 = 0] = d;
+  let x = x0;
+  let y = y0;
+  for (let i = 0; i < iterations; i += 1) {
+    const r2 = x * x + y * y;
+    const icdist =
+      (1 + ((k6 * r2 + k5) * r2 + k4) * r2) /
+      (1 + ((k3 * r2 + k2) * r2 + k1) * r2);
+    const deltaX = 2 * p1 * x * y + p2 * (r2 + 2 * x * x);
+    const deltaY = p1 * (r2 + 2 * y * y) + 2 * p2 * x * y;
+    x = (x0 - deltaX) * icdist;
+    y = (y0 - deltaY) * icdist;
+  }
+  return [x, y];
+}
+
+/**
+ * Solve one 3D point by the direct linear transform from normalized 2D
+ * observations and their `[R|t]` extrinsics: the right singular vector of the
+ * stacked constraint matrix, taken as the smallest eigenvector of `AᵀA`.
+ */
+function triangulateDlt(
+  observations: number[][],
+  extrinsics: number[][][],
+): number[] {
+  const ata = Array.from({ length: 4 }, () => [0, 0, 0, 0]);
+  observations.forEach(([x, y], v) => {
+    const P = extrinsics[v];
+    for (const row of [
+      P[2].map((val, j) => x * val - P[0][j]),
+      P[2].map((val, j) => y * val - P[1][j]),
+    ]) {
+      for (let i = 0; i < 4; i += 1) {
+        for (let j = 0; j < 4; j += 1) ata[i][j] += row[i] * row[j];
+      }
+    }
+  });
+  const { values, vectors } = symmetricEigen(ata);
+  let k = 0;
+  for (let i = 1; i < 4; i += 1) if (values[i] < values[k]) k = i;
+  const w = vectors[3][k];
+  return [vectors[0][k] / w, vectors[1][k] / w, vectors[2][k] / w];
+}
+
+/**
+ * Eigen-decompose a small symmetric matrix by cyclic Jacobi rotations.
+ * Returns eigenvalues and eigenvectors as the COLUMNS of `vectors`.
+ */
+function symmetricEigen(input: number[][]): {
+  values: number[];
+  vectors: number[][];
+} {
+  const n = input.length;
+  const a = input.map((row) => [...row]);
+  const v = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j): number => (i === j ? 1 : 0)),
+  );
+  for (let sweep = 0; sweep < 100; sweep += 1) {
+    let off = 0;
+    for (let p = 0; p < n; p += 1) {
+      for (let q = p + 1; q < n; q += 1) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-30) break;
+    for (let p = 0; p < n; p += 1) {
+      for (let q = p + 1; q < n; q += 1) {
+        if (a[p][q] === 0) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t =
+          Math.sign(theta || 1) /
+          (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k += 1) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k += 1) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k += 1) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: a.map((row, i) => row[i]), vectors: v };
+}
+
+/** Pixel distance between a camera's projection of `point3d` and `observed`. */
+function reprojectionError(
+  camera: Camera,
+  point3d: number[],
+  observed: number[] | undefined,
+): number {
+  if (!observed) return Number.NaN;
+  const [u, v] = camera.project([point3d])[0];
+  return Math.hypot(u - observed[0], v - observed[1]);
+}
+
 export class Camera {
   name?: string;
   rvec: number[];
@@ -95,6 +226,102 @@ export class Camera {
     this.distortions = options.distortions;
     this.size = options.size;
   }
+
+  /** 3x3 rotation matrix from `rvec` (world → camera). */
+  get rotationMatrix(): number[][] {
+    return rodriguesTransformation(this.rvec).matrix;
+  }
+
+  /** 4x4 extrinsic matrix `[[R, t], [0, 0, 0, 1]]` (world → camera). */
+  get extrinsicMatrix(): number[][] {
+    const R = this.rotationMatrix;
+    return [
+      [R[0][0], R[0][1], R[0][2], this.tvec[0]],
+      [R[1][0], R[1][1], R[1][2], this.tvec[1]],
+      [R[2][0], R[2][1], R[2][2], this.tvec[2]],
+      [0, 0, 0, 1],
+    ];
+  }
+
+  /** Transform `(N, 3)` world points into this camera's frame: `R·X + t`. */
+  worldToCamera(points: number[][]): number[][] {
+    const R = this.rotationMatrix;
+    const t = this.tvec;
+    return points.map((p) => [
+      R[0][0] * p[0] + R[0][1] * p[1] + R[0][2] * p[2] + t[0],
+      R[1][0] * p[0] + R[1][1] * p[1] + R[1][2] * p[2] + t[1],
+      R[2][0] * p[0] + R[2][1] * p[1] + R[2][2] * p[2] + t[2],
+    ]);
+  }
+
+  /** Transform `(N, 3)` camera-frame points back to world: `Rᵀ·(X − t)`. */
+  cameraToWorld(points: number[][]): number[][] {
+    const R = this.rotationMatrix;
+    const t = this.tvec;
+    return points.map((p) => {
+      const x = p[0] - t[0];
+      const y = p[1] - t[1];
+      const z = p[2] - t[2];
+      return [
+        R[0][0] * x + R[1][0] * y + R[2][0] * z,
+        R[0][1] * x + R[1][1] * y + R[2][1] * z,
+        R[0][2] * x + R[1][2] * y + R[2][2] * z,
+      ];
+    });
+  }
+
+  /**
+   * Project `(N, 3)` world points to `(N, 2)` pixel coordinates, applying the
+   * OpenCV distortion model (`[k1, k2, p1, p2, k3, k4, k5, k6]`, trailing terms
+   * optional). Rows with a NaN coordinate project to `[NaN, NaN]`.
+   *
+   * Mirrors OpenCV `projectPoints` as used by Python `Camera.project`.
+   *
+   * @throws Error if the camera has no intrinsic `matrix`.
+   */
+  project(points: number[][]): number[][] {
+    const K = this.intrinsics();
+    const dist = this.distortions ?? [];
+    return this.worldToCamera(points).map(([x, y, z]) => {
+      const [xd, yd] = distortNormalized(x / z, y / z, dist);
+      return [K[0][0] * xd + K[0][1] * yd + K[0][2], K[1][1] * yd + K[1][2]];
+    });
+  }
+
+  /**
+   * Remove lens distortion from `(N, 2)` pixel coordinates.
+   *
+   * Mirrors OpenCV `undistortPoints` (and Python `Camera.undistort_points`):
+   * returns normalized image coordinates (`K⁻¹`-applied, distortion removed by
+   * fixed-point iteration) unless `toPixels` is set, in which case the result is
+   * mapped back through `K` into ideal pinhole pixel coordinates.
+   *
+   * @throws Error if the camera has no intrinsic `matrix`.
+   */
+  undistortPoints(
+    points: number[][],
+    options?: { toPixels?: boolean; iterations?: number },
+  ): number[][] {
+    const K = this.intrinsics();
+    const dist = this.distortions ?? [];
+    const iterations = options?.iterations ?? 20;
+    return points.map(([u, v]) => {
+      const y0 = (v - K[1][2]) / K[1][1];
+      const x0 = (u - K[0][2] - K[0][1] * y0) / K[0][0];
+      const [x, y] = undistortNormalized(x0, y0, dist, iterations);
+      if (!options?.toPixels) return [x, y];
+      return [K[0][0] * x + K[0][1] * y + K[0][2], K[1][1] * y + K[1][2]];
+    });
+  }
+
+  private intrinsics(): number[][] {
+    if (!this.matrix) {
+      throw new Error(
+        `Camera${this.name ? ` ${this.name}` : ""} has no intrinsic matrix.`,
+      );
+    }
+    return this.matrix;
+  }
 }
 
 export class CameraGroup {
@@ -108,6 +335,118 @@ export class CameraGroup {
     this.cameras = options?.cameras ?? [];
     this.metadata = options?.metadata ?? {};
   }
+
+  /** Project `(N, 3)` world points into every camera: `(cameras, N, 2)`. */
+  project(points: number[][]): number[][][] {
+    return this.cameras.map((camera) => camera.project(points));
+  }
+
+  /**
+   * Triangulate `(N, 3)` world points from per-camera 2D observations.
+   *
+   * Each view is undistorted into normalized coordinates and the point is
+   * solved by the direct linear transform (DLT) over every view where it is
+   * finite; points seen by fewer than two views come back as NaN.
+   *
+   * With `ransac`, every pair of views seeds a candidate whose reprojection
+   * error is measured in all views; the pair with the most inliers (error
+   * ≤ `threshold` pixels; ties broken by mean inlier error) wins, and the point
+   * is re-solved from its inliers only. Exhaustive pair sampling keeps this
+   * deterministic for the handful of cameras a rig has.
+   *
+   * @param pointsPerCamera `(cameras, N, 2)` pixel coordinates, in the order of
+   *   `this.cameras`. Missing observations are NaN.
+   * @param options.ransac `true` or `{ threshold }` (pixels, default 5) to reject
+   *   outlier views.
+   */
+  triangulate(
+    pointsPerCamera: number[][][],
+    options?: { ransac?: boolean | { threshold?: number } },
+  ): number[][] {
+    if (pointsPerCamera.length !== this.cameras.length) {
+      throw new Error(
+        `Expected points for ${this.cameras.length} cameras, got ${pointsPerCamera.length}.`,
+      );
+    }
+    const ransac = options?.ransac;
+    const threshold = typeof ransac === "object" ? (ransac.threshold ?? 5) : 5;
+    const extrinsics = this.cameras.map((camera) => camera.extrinsicMatrix);
+    const normalized = this.cameras.map((camera, c) =>
+      camera.undistortPoints(pointsPerCamera[c]),
+    );
+    const nPoints = pointsPerCamera[0]?.length ?? 0;
+
+    const out: number[][] = [];
+    for (let i = 0; i < nPoints; i += 1) {
+      const views: number[] = [];
+      for (let c = 0; c < this.cameras.length; c += 1) {
+        const p = normalized[c][i];
+        if (p && Number.isFinite(p[0]) && Number.isFinite(p[1])) views.push(c);
+      }
+      if (views.length < 2) {
+        out.push([Number.NaN, Number.NaN, Number.NaN]);
+        continue;
+      }
+      const solve = (subset: number[]): number[] =>
+        triangulateDlt(
+          subset.map((c) => normalized[c][i]),
+          subset.map((c) => extrinsics[c]),
+        );
+      if (!ransac || views.length < 3) {
+        out.push(solve(views));
+        continue;
+      }
+
+      let best: number[] = views;
+      let bestCount = -1;
+      let bestError = Infinity;
+      for (let a = 0; a < views.length; a += 1) {
+        for (let b = a + 1; b < views.length; b += 1) {
+          const candidate = solve([views[a], views[b]]);
+          const inliers: number[] = [];
+          let total = 0;
+          for (const c of views) {
+            const err = reprojectionError(
+              this.cameras[c],
+              candidate,
+              pointsPerCamera[c][i],
+            );
+            if (err <= threshold) {
+              inliers.push(c);
+              total += err;
+            }
+          }
+          const mean = inliers.length ? total / inliers.length : Infinity;
+          if (
+            inliers.length > bestCount ||
+            (inliers.length === bestCount && mean < bestError)
+          ) {
+            best = inliers.length >= 2 ? inliers : [views[a], views[b]];
+            bestCount = inliers.length;
+            bestError = mean;
+          }
+        }
+      }
+      out.push(solve(best));
+    }
+    return out;
+  }
+
+  /**
+   * Per-view reprojection error: the pixel distance between each camera's
+   * projection of `points3d` and its observed 2D points, `(cameras, N)`. NaN
+   * where either the 3D point or the observation is missing.
+   */
+  reprojectionErrors(
+    points3d: number[][],
+    pointsPerCamera: number[][][],
+  ): number[][] {
+    return this.cameras.map((camera, c) =>
+      points3d.map((p, i) =>
+        reprojectionError(camera, p, pointsPerCamera[c]?.[i]),
+      ),
+    );
+  }
 }
 
 export class InstanceGroup {
@@ -217,6 +556,47 @@ export class InstanceGroup {
   get instances(): Instance[] {
     return Array.from(this.instanceByCamera.values());
   }
+
+  /**
+   * Triangulate this group's 2D instances into an {@link Instance3D}, replacing
+   * any 3D points computed earlier (e.g. in Python).
+   *
+   * Each camera of `cameraGroup` contributes its instance's visible points
+   * (invisible points and cameras without an instance count as missing). The
+   * result is a `PredictedInstance3D` on the first instance's skeleton, stored
+   * on `instance3d`; its `metadata.reprojectionErrors` holds the per-view,
+   * per-node pixel errors keyed by camera name (or index).
+   *
+   * @param options Forwarded to {@link CameraGroup.triangulate}.
+   * @throws Error if the group has no instances.
+   */
+  triangulate(
+    cameraGroup: CameraGroup,
+    options?: { ransac?: boolean | { threshold?: number } },
+  ): PredictedInstance3D {
+    const byCamera = this.instanceByCamera;
+    const first = byCamera.values().next().value as Instance | undefined;
+    if (!first) throw new Error("Cannot triangulate an empty InstanceGroup.");
+    const nNodes = first.skeleton.nodes.length;
+    const missing = (): number[][] =>
+      Array.from({ length: nNodes }, () => [Number.NaN, Number.NaN]);
+    const pointsPerCamera = cameraGroup.cameras.map(
+      (camera) => byCamera.get(camera)?.numpy() ?? missing(),
+    );
+    const points = cameraGroup.triangulate(pointsPerCamera, options);
+    const errors = cameraGroup.reprojectionErrors(points, pointsPerCamera);
+    const reprojectionErrors: Record<string, number[]> = {};
+    cameraGroup.cameras.forEach((camera, c) => {
+      reprojectionErrors[camera.name ?? String(c)] = errors[c];
+    });
+    const instance3d = new PredictedInstance3D({
+      points,
+      skeleton: first.skeleton,
+      metadata: { reprojectionErrors },
+    });
+    this.instance3d = instance3d;
+    return instance3d;
+  }
 }
 
 export class FrameGroup {
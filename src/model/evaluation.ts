@@ -0,0 +1,500 @@
+/**
+ * Pose estimation evaluation: compare predictions against ground truth.
+ *
+ * Videos are paired with `Labels.match()` (so any {@link VideoMatcher} works),
+ * and every ground-truth frame holding user instances is evaluated against the
+ * `PredictedInstance`s of its paired frame. Instances are paired one-to-one per
+ * frame by maximizing the total {@link InstanceMatcher.similarity}; unpaired
+ * predictions are false positives and unpaired ground truth false negatives.
+ *
+ * Pairs yield per-node localization errors, PCK and OKS (as in SLEAP:
+ * `exp(-d² / (2 · area · (2σ)²))` averaged over ground-truth-visible nodes,
+ * with `area` the ground-truth bounding box area). COCO-style mAP/mAR is
+ * computed independently of the pairing, by greedy score-ordered OKS matching
+ * at each OKS threshold. Browser-safe; no Node-only imports.
+ */
+
+import { FORBIDDEN_COST, linearSumAssignment } from "./assignment.js";
+import { type Instance, PredictedInstance } from "./instance.js";
+import type { Labels } from "./labels.js";
+import { InstanceMatcher, type VideoMatcher } from "./matching.js";
+import type { Skeleton } from "./skeleton.js";
+import type { Video } from "./video.js";
+
+/** Default OKS thresholds for mAP/mAR: 0.50, 0.55, ..., 0.95. */
+const DEFAULT_OKS_THRESHOLDS = Array.from(
+  { length: 10 },
+  (_, i) => Math.round((0.5 + 0.05 * i) * 100) / 100,
+);
+
+/** Options for {@link evaluatePredictions}. */
+export interface EvaluationOptions {
+  /** Video matcher or method name used to pair videos (default AUTO). */
+  video?: string | VideoMatcher | null;
+  /**
+   * Matcher used to pair instances within a frame. Defaults to SPATIAL with an
+   * unbounded threshold, i.e. any pair sharing a visible node.
+   */
+  instanceMatcher?: InstanceMatcher;
+  /**
+   * OKS per-node standard deviations: one value for all nodes (default
+   * `0.025`), an array indexed like the ground-truth skeleton, or a record
+   * keyed by node name (missing names use the default).
+   */
+  sigmas?: number | number[] | Record<string, number>;
+  /** PCK distance thresholds in pixels (default `[1, 2, 5, 10, 20]`). */
+  pckThresholds?: number[];
+  /** OKS thresholds averaged into mAP/mAR (default 0.50:0.05:0.95). */
+  oksThresholds?: number[];
+}
+
+/** A ground-truth instance paired with a prediction. */
+export interface EvaluationMatch {
+  video: Video;
+  frameIdx: number;
+  groundTruth: Instance;
+  prediction: PredictedInstance;
+  /** Object keypoint similarity of the pair. */
+  oks: number;
+  /**
+   * Per-node distances in pixels, indexed like the ground-truth skeleton. NaN
+   * where the node is not visible in the ground truth or the prediction.
+   */
+  distances: Float64Array;
+}
+
+/** An instance left unpaired (false positive or false negative). */
+export interface UnmatchedInstance {
+  video: Video;
+  frameIdx: number;
+  instance: Instance;
+}
+
+/** Localization error distribution for one node over all pairs. */
+export interface NodeErrorStats {
+  node: string;
+  /** Finite distances, ascending. */
+  distances: number[];
+  mean: number;
+  median: number;
+  /** 90th percentile (linear interpolation). */
+  p90: number;
+}
+
+/** Result of {@link evaluatePredictions}. */
+export interface EvaluationResult {
+  /** Number of evaluated ground-truth frames. */
+  nFrames: number;
+  nGroundTruth: number;
+  nPredictions: number;
+  matches: EvaluationMatch[];
+  falsePositives: UnmatchedInstance[];
+  falseNegatives: UnmatchedInstance[];
+  /** Matches / predictions (NaN without predictions). */
+  precision: number;
+  /** Matches / ground truth (NaN without ground truth). */
+  recall: number;
+  /** Mean OKS over matches (NaN without matches). */
+  meanOks: number;
+  /** Node names, in order of first appearance in the ground-truth skeletons. */
+  nodes: string[];
+  /** Per-node errors, aligned with `nodes`. */
+  nodeErrors: NodeErrorStats[];
+  pck: {
+    thresholds: number[];
+    /** Fraction of ground-truth-visible matched nodes within each threshold. */
+    overall: number[];
+    /** `perNode[n][t]`, aligned with `nodes` and `thresholds`. */
+    perNode: number[][];
+  };
+  oksThresholds: number[];
+  /** COCO average precision at each OKS threshold. */
+  ap: number[];
+  /** Recall at each OKS threshold. */
+  ar: number[];
+  /** Mean of `ap`. */
+  mAP: number;
+  /** Mean of `ar`. */
+  mAR: number;
+}
+
+/** One evaluated frame: aligned instances and their pairwise OKS. */
+interface FrameData {
+  video: Video;
+  frameIdx: number;
+  gt: Instance[];
+  pred: PredictedInstance[];
+  /** `oks[i][j]` between ground truth `i` and prediction `j`. */
+  oks: number[][];
+}
+
+/** Resolve the OKS sigma of every node of `skeleton`. */
+function resolveSigmas(
+  skeleton: Skeleton,
+  sigmas: EvaluationOptions["sigmas"],
+): number[] {
+  const fallback = 0.025;
+  if (sigmas == null || typeof sigmas === "number") {
+    return skeleton.nodes.map(() => sigmas ?? fallback);
+  }
+  if (Array.isArray(sigmas)) {
+    if (sigmas.length !== skeleton.nodes.length) {
+      throw new Error(
+        `Expected ${skeleton.nodes.length} sigmas, got ${sigmas.length}.`,
+      );
+    }
+    return sigmas;
+  }
+  return skeleton.nodeNames.map((name) => sigmas[name] ?? fallback);
+}
+
+/**
+ * Points of `pred` in the node order of `skeleton`, matched by node name when
+ * the skeletons differ (absent nodes are NaN).
+ */
+function alignPoints(pred: Instance, skeleton: Skeleton): number[][] {
+  const points = pred.numpy();
+  if (pred.skeleton === skeleton) return points;
+  const predNames = pred.skeleton.nodeNames;
+  return skeleton.nodeNames.map((name) => {
+    const k = predNames.indexOf(name);
+    return k < 0 ? [Number.NaN, Number.NaN] : points[k];
+  });
+}
+
+/** Per-node distances; NaN unless the node is visible in both. */
+function nodeDistances(gt: number[][], pred: number[][]): Float64Array {
+  const out = new Float64Array(gt.length);
+  for (let n = 0; n < gt.length; n += 1) {
+    out[n] = Math.hypot(gt[n][0] - pred[n][0], gt[n][1] - pred[n][1]);
+  }
+  return out;
+}
+
+/** Object keypoint similarity (0 when the ground truth has no visible node). */
+function computeOks(
+  gt: number[][],
+  pred: number[][],
+  sigmas: number[],
+): number {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let nVisible = 0;
+  for (const [x, y] of gt) {
+    if (Number.isNaN(x) || Number.isNaN(y)) continue;
+    nVisible += 1;
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  if (!nVisible) return 0;
+  const scale = 2 * ((maxX - minX) * (maxY - minY) + Number.EPSILON);
+  let sum = 0;
+  for (let n = 0; n < gt.length; n += 1) {
+    if (Number.isNaN(gt[n][0]) || Number.isNaN(gt[n][1])) continue;
+    const d2 = (gt[n][0] - pred[n][0]) ** 2 + (gt[n][1] - pred[n][1]) ** 2;
+    // A node missing from the prediction contributes 0.
+    if (Number.isFinite(d2))
+      sum += Math.exp(-d2 / ((2 * sigmas[n]) ** 2 * scale));
+  }
+  return sum / nVisible;
+}
+
+function quantile(sorted: number[], q: number): number {
+  if (!sorted.length) return Number.NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function mean(values: number[]): number {
+  if (!values.length) return Number.NaN;
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
+
+/** Ranking score of a prediction (non-finite scores rank last). */
+function rankScore(pred: PredictedInstance): number {
+  return Number.isFinite(pred.score) ? pred.score : -Infinity;
+}
+
+/**
+ * COCO average precision and recall at one OKS threshold: predictions are
+ * matched greedily in descending score order to the unmatched ground truth
+ * with the highest OKS, and precision is interpolated at 101 recall points.
+ */
+function averagePrecision(
+  frames: FrameData[],
+  nGroundTruth: number,
+  threshold: number,
+): { ap: number; ar: number } {
+  const detections: { score: number; tp: boolean }[] = [];
+  for (const frame of frames) {
+    const order = frame.pred
+      .map((_, j) => j)
+      .sort((a, b) => rankScore(frame.pred[b]) - rankScore(frame.pred[a]));
+    const taken = new Uint8Array(frame.gt.length);
+    for (const j of order) {
+      let best = -1;
+      let bestOks = threshold;
+      for (let i = 0; i < frame.gt.length; i += 1) {
+        if (taken[i] || frame.oks[i][j] < bestOks) continue;
+        best = i;
+        bestOks = frame.oks[i][j];
+      }
+      if (best >= 0) taken[best] = 1;
+      detections.push({ score: rankScore(frame.pred[j]), tp: best >= 0 });
+    }
+  }
+  if (!nGroundTruth) return { ap: Number.NaN, ar: Number.NaN };
+
+  detections.sort((a, b) => b.score - a.score);
+  const precision: number[] = [];
+  const recall: number[] = [];
+  let tp = 0;
+  for (let k = 0; k < detections.length; k += 1) {
+    if (detections[k].tp) tp += 1;
+    precision.push(tp / (k + 1));
+    recall.push(tp / nGroundTruth);
+  }
+  for (let k = precision.length - 2; k >= 0; k -= 1) {
+    precision[k] = Math.max(precision[k], precision[k + 1]);
+  }
+  let sum = 0;
+  let k = 0;
+  for (let r = 0; r <= 100; r += 1) {
+    while (k < recall.length && recall[k] < r / 100) k += 1;
+    if (k < recall.length) sum += precision[k];
+  }
+  return { ap: sum / 101, ar: recall.length ? recall[recall.length - 1] : 0 };
+}
+
+/**
+ * Evaluate `predictions` against `groundTruth`.
+ *
+ * Ground truth is every user (non-predicted) instance in frames of videos that
+ * pair with a prediction video; predictions are the `PredictedInstance`s of
+ * the corresponding frames (a missing frame makes all its ground truth false
+ * negatives). Nodes are aligned by name when the skeletons differ.
+ *
+ * Async because video pairing awaits the {@link VideoMatcher} cascade.
+ *
+ * @throws Error if an array of `sigmas` does not match a skeleton's node count.
+ */
+export async function evaluatePredictions(
+  groundTruth: Labels,
+  predictions: Labels,
+  options: EvaluationOptions = {},
+): Promise<EvaluationResult> {
+  const matcher =
+    options.instanceMatcher ??
+    new InstanceMatcher("spatial", { threshold: Infinity });
+  const pckThresholds = options.pckThresholds ?? [1, 2, 5, 10, 20];
+  const oksThresholds = options.oksThresholds ?? DEFAULT_OKS_THRESHOLDS;
+
+  // videoMap: prediction video -> ground-truth video (first pairing wins).
+  const { videoMap } = await groundTruth.match(predictions, {
+    video: options.video,
+  });
+  const predVideoFor = new Map<Video, Video>();
+  for (const [predVideo, gtVideo] of videoMap) {
+    if (gtVideo && !predVideoFor.has(gtVideo)) {
+      predVideoFor.set(gtVideo, predVideo);
+    }
+  }
+
+  const sigmaCache = new Map<Skeleton, number[]>();
+  const sigmasFor = (skeleton: Skeleton): number[] => {
+    let sigmas = sigmaCache.get(skeleton);
+    if (!sigmas) {
+      sigmas = resolveSigmas(skeleton, options.sigmas);
+      sigmaCache.set(skeleton, sigmas);
+    }
+    return sigmas;
+  };
+
+  const frames: FrameData[] = [];
+  const matches: EvaluationMatch[] = [];
+  const falsePositives: UnmatchedInstance[] = [];
+  const falseNegatives: UnmatchedInstance[] = [];
+  let nGroundTruth = 0;
+  let nPredictions = 0;
+  for (const gtVideo of groundTruth.videos) {
+    const predVideo = predVideoFor.get(gtVideo);
+    if (!predVideo) continue;
+    const predFrames = new Map(
+      predictions
+        .find({ video: predVideo })
+        .map((lf) => [lf.frameIdx, lf] as const),
+    );
+    for (const lf of groundTruth.find({ video: gtVideo })) {
+      const gt = lf.instances.filter(
+        (inst) => !(inst instanceof PredictedInstance),
+      );
+      if (!gt.length) continue;
+      const pred = (predFrames.get(lf.frameIdx)?.instances ?? []).filter(
+        (inst): inst is PredictedInstance => inst instanceof PredictedInstance,
+      );
+      nGroundTruth += gt.length;
+      nPredictions += pred.length;
+
+      const gtPoints = gt.map((inst) => inst.numpy());
+      const aligned = gt.map((inst) =>
+        pred.map((p) => alignPoints(p, inst.skeleton)),
+      );
+      const oks = gt.map((inst, i) =>
+        pred.map((_, j) =>
+          computeOks(gtPoints[i], aligned[i][j], sigmasFor(inst.skeleton)),
+        ),
+      );
+      frames.push({ video: gtVideo, frameIdx: lf.frameIdx, gt, pred, oks });
+
+      // The matcher compares points by index, so it gets aligned copies of
+      // predictions from a different skeleton.
+      const similarity = gt.map((inst, i) =>
+        pred.map((p, j) =>
+          matcher.similarity(
+            inst,
+            p.skeleton === inst.skeleton
+              ? p
+              : PredictedInstance.fromArray(aligned[i][j], inst.skeleton),
+          ),
+        ),
+      );
+      const pairs = linearSumAssignment(
+        similarity.map((row) =>
+          row.map((s) => (Number.isNaN(s) ? FORBIDDEN_COST : -s)),
+        ),
+      );
+      const gtMatched = new Uint8Array(gt.length);
+      const predMatched = new Uint8Array(pred.length);
+      for (const [i, j] of pairs) {
+        if (Number.isNaN(similarity[i][j])) continue;
+        gtMatched[i] = 1;
+        predMatched[j] = 1;
+        matches.push({
+          video: gtVideo,
+          frameIdx: lf.frameIdx,
+          groundTruth: gt[i],
+          prediction: pred[j],
+          oks: oks[i][j],
+          distances: nodeDistances(gtPoints[i], aligned[i][j]),
+        });
+      }
+      gt.forEach((instance, i) => {
+        if (!gtMatched[i]) {
+          falseNegatives.push({
+            video: gtVideo,
+            frameIdx: lf.frameIdx,
+            instance,
+          });
+        }
+      });
+      pred.forEach((instance, j) => {
+        if (!predMatched[j]) {
+          falsePositives.push({
+            video: gtVideo,
+            frameIdx: lf.frameIdx,
+            instance,
+          });
+        }
+      });
+    }
+  }
+
+  // Per-node errors and PCK, keyed by node name across skeletons.
+  const nodes: string[] = [];
+  const nodeIndex = new Map<string, number>();
+  const nodeIndexFor = (name: string): number => {
+    let n = nodeIndex.get(name);
+    if (n === undefined) {
+      n = nodes.length;
+      nodes.push(name);
+      nodeIndex.set(name, n);
+    }
+    return n;
+  };
+  for (const skeleton of groundTruth.skeletons) {
+    for (const name of skeleton.nodeNames) nodeIndexFor(name);
+  }
+  for (const match of matches) {
+    for (const name of match.groundTruth.skeleton.nodeNames) {
+      nodeIndexFor(name);
+    }
+  }
+  const nodeDists: number[][] = nodes.map(() => []);
+  const nodeVisible: number[] = nodes.map(() => 0);
+  const nodeHits: number[][] = nodes.map(() => pckThresholds.map(() => 0));
+  for (const match of matches) {
+    const names = match.groundTruth.skeleton.nodeNames;
+    const gtPoints = match.groundTruth.numpy();
+    for (let k = 0; k < names.length; k += 1) {
+      if (Number.isNaN(gtPoints[k][0]) || Number.isNaN(gtPoints[k][1])) {
+        continue;
+      }
+      const n = nodeIndexFor(names[k]);
+      nodeVisible[n] += 1;
+      const d = match.distances[k];
+      if (Number.isNaN(d)) continue;
+      nodeDists[n].push(d);
+      for (let t = 0; t < pckThresholds.length; t += 1) {
+        if (d <= pckThresholds[t]) nodeHits[n][t] += 1;
+      }
+    }
+  }
+  const nodeErrors = nodes.map((node, n) => {
+    const distances = nodeDists[n].sort((a, b) => a - b);
+    return {
+      node,
+      distances,
+      mean: mean(distances),
+      median: quantile(distances, 0.5),
+      p90: quantile(distances, 0.9),
+    };
+  });
+  const totalVisible = nodeVisible.reduce((a, b) => a + b, 0);
+  const pck = {
+    thresholds: pckThresholds,
+    overall: pckThresholds.map((_, t) =>
+      totalVisible
+        ? nodeHits.reduce((sum, hits) => sum + hits[t], 0) / totalVisible
+        : Number.NaN,
+    ),
+    perNode: nodeHits.map((hits, n) =>
+      hits.map((h) => (nodeVisible[n] ? h / nodeVisible[n] : Number.NaN)),
+    ),
+  };
+
+  const ap: number[] = [];
+  const ar: number[] = [];
+  for (const threshold of oksThresholds) {
+    const result = averagePrecision(frames, nGroundTruth, threshold);
+    ap.push(result.ap);
+    ar.push(result.ar);
+  }
+
+  return {
+    nFrames: frames.length,
+    nGroundTruth,
+    nPredictions,
+    matches,
+    falsePositives,
+    falseNegatives,
+    precision: nPredictions ? matches.length / nPredictions : Number.NaN,
+    recall: nGroundTruth ? matches.length / nGroundTruth : Number.NaN,
+    meanOks: mean(matches.map((m) => m.oks)),
+    nodes,
+    nodeErrors,
+    pck,
+    oksThresholds,
+    ap,
+    ar,
+    mAP: mean(ap),
+    mAR: mean(ar),
+  };
+}
@@ -239,6 +239,12 @@ export class Instance {
   categoryScore?: number | null = null;
   /** Per-detection category appearance embedding (SLP 2.7+); persisted in `/embeddings`. */
   categoryEmbedding?: Embedding | null = null;
+  /**
+   * Free-form in-memory annotations from JS-side processing (e.g.
+   * `interpolated` from `Labels.interpolateTracks`). Not persisted to SLP;
+   * undefined until first written.
+   */
+  metadata?: Record<string, unknown>;
 
   // Columnar keypoint storage (retained). Built once at construction from the
   // transient `Point[]`/dict, which is then discarded. `points` reads/writes go
@@ -401,6 +407,35 @@ export class Instance {
     this._names[i] = v;
   }
 
+  /**
+   * Rebuild the columnar storage so new point `i` is the old point at
+   * `sourceIndex[i]`, or an empty (NaN, invisible) point when that entry is
+   * negative. Used by the `Labels` node-surgery methods after a node removal,
+   * reorder or skeleton swap; point names are re-derived from the skeleton.
+   */
+  _remapPoints(sourceIndex: ArrayLike<number>): void {
+    const n = sourceIndex.length;
+    const xy = new Float64Array(2 * n).fill(Number.NaN);
+    const visible = new Uint8Array(n);
+    const complete = new Uint8Array(n);
+    const score = this._score ? new Float64Array(n).fill(Number.NaN) : null;
+    for (let i = 0; i < n; i += 1) {
+      const src = sourceIndex[i];
+      if (src < 0 || src >= this._n) continue;
+      xy[i << 1] = this._xy[src << 1];
+      xy[(i << 1) + 1] = this._xy[(src << 1) + 1];
+      visible[i] = this._visible[src];
+      complete[i] = this._complete[src];
+      if (score) score[i] = this._score![src];
+    }
+    this._xy = xy;
+    this._visible = visible;
+    this._complete = complete;
+    this._score = score;
+    this._names = null;
+    this._n = n;
+  }
+
   /** The keypoints as an array of live {@link PointView}s (built on demand). */
   get points(): PointsArray {
     const n = this._n;
@@ -0,0 +1,250 @@
+/**
+ * Gap interpolation along tracks: fill frames where a tracked instance is
+ * missing and NaN points inside existing instances.
+ *
+ * Operates on one video's frames at a time so trajectories from different
+ * recordings are never mixed. Entry point for most callers is
+ * `Labels.interpolateTracks()`.
+ */
+
+import {
+  type Instance,
+  PredictedInstance,
+  type Track,
+  predictedPointsEmpty,
+} from "./instance.js";
+import { LabeledFrame } from "./labeled-frame.js";
+import type { NodeOrIndex } from "./skeleton.js";
+
+/** Interpolation kernel for {@link interpolateTrackGaps}. */
+export type InterpolationMethod = "linear" | "cubic";
+
+/** Options for `Labels.interpolateTracks()` / {@link interpolateTrackGaps}. */
+export interface InterpolateTracksOptions {
+  /**
+   * Longest run of missing frames (per node) that is filled; longer gaps are
+   * left as-is. Defaults to `Infinity`.
+   */
+  maxGap?: number;
+  /**
+   * `"linear"` (default) or `"cubic"` (natural cubic spline through all
+   * observed samples of the node on that track).
+   */
+  method?: InterpolationMethod;
+  /** Nodes to fill (names or indices); defaults to every node. */
+  nodes?: NodeOrIndex[];
+}
+
+/** Counts reported by `Labels.interpolateTracks()`. */
+export interface InterpolationResult {
+  /** New `PredictedInstance`s created in frames where the track was missing. */
+  instancesAdded: number;
+  /** NaN points filled inside instances that already existed. */
+  pointsFilled: number;
+}
+
+/**
+ * Fill track gaps over the frames of a single video, in place.
+ *
+ * For every track, frames strictly between two of its instances that are at
+ * most `maxGap` frames apart get a new `PredictedInstance` (metadata
+ * `{ interpolated: true }`, score interpolated linearly between its neighbours,
+ * point scores NaN). Each selected node is then interpolated over the frames
+ * where it was observed (visible, finite); a missing point is filled when its
+ * observed neighbours are at most `maxGap` frames apart. Filled points become
+ * visible; existing instances list them in `metadata.interpolatedNodes`. New
+ * instances that end up with no visible point are discarded. Both flags are
+ * in-memory only (not written to SLP).
+ *
+ * Untracked instances are ignored. When a frame holds several instances of the
+ * same track, the user instance (or else the first) is used.
+ *
+ * @param frames Frames of one video.
+ * @returns The counts plus any `LabeledFrame`s created for previously
+ *   unlabeled frames (the caller registers them).
+ * @throws Error on an unknown `method` or a negative `maxGap`.
+ */
+export function interpolateTrackGaps(
+  frames: LabeledFrame[],
+  options: InterpolateTracksOptions = {},
+): InterpolationResult & { newFrames: LabeledFrame[] } {
+  const maxGap = options.maxGap ?? Infinity;
+  const method = options.method ?? "linear";
+  if (method !== "linear" && method !== "cubic") {
+    throw new Error(`Unknown interpolation method: ${method}`);
+  }
+  if (!(maxGap >= 0)) {
+    throw new Error(`maxGap must be >= 0, got ${maxGap}.`);
+  }
+
+  const newFrames: LabeledFrame[] = [];
+  const result = { instancesAdded: 0, pointsFilled: 0, newFrames };
+  if (!frames.length) return result;
+  const video = frames[0].video;
+  const frameByIdx = new Map<number, LabeledFrame>();
+  for (const lf of frames) {
+    if (!frameByIdx.has(lf.frameIdx)) frameByIdx.set(lf.frameIdx, lf);
+  }
+
+  const byTrack = new Map<Track, Map<number, Instance>>();
+  for (const lf of [...frames].sort((a, b) => a.frameIdx - b.frameIdx)) {
+    for (const inst of lf.instances) {
+      if (!inst.track) continue;
+      let byFrame = byTrack.get(inst.track);
+      if (!byFrame) {
+        byFrame = new Map();
+        byTrack.set(inst.track, byFrame);
+      }
+      const current = byFrame.get(lf.frameIdx);
+      if (
+        !current ||
+        (current instanceof PredictedInstance &&
+          !(inst instanceof PredictedInstance))
+      ) {
+        byFrame.set(lf.frameIdx, inst);
+      }
+    }
+  }
+
+  for (const [track, byFrame] of byTrack) {
+    const skeleton = byFrame.values().next().value!.skeleton;
+    for (const [f, inst] of byFrame) {
+      if (inst.skeleton !== skeleton) byFrame.delete(f);
+    }
+    const observed = [...byFrame.keys()];
+    const nodeIndices = options.nodes
+      ? options.nodes.map((node) => skeleton.index(node))
+      : skeleton.nodes.map((_, i) => i);
+
+    // New instances in whole-frame gaps.
+    const created = new Map<number, PredictedInstance>();
+    for (let k = 1; k < observed.length; k += 1) {
+      const a = observed[k - 1];
+      const b = observed[k];
+      const gap = b - a - 1;
+      if (gap < 1 || gap > maxGap) continue;
+      const scoreA = instanceScore(byFrame.get(a)!);
+      const scoreB = instanceScore(byFrame.get(b)!);
+      for (let t = a + 1; t < b; t += 1) {
+        const w = (t - a) / (b - a);
+        const inst = new PredictedInstance({
+          points: predictedPointsEmpty(
+            skeleton.nodes.length,
+            skeleton.nodeNames,
+          ),
+          skeleton,
+          track,
+          score: scoreA + (scoreB - scoreA) * w,
+        });
+        inst.metadata = { interpolated: true };
+        created.set(t, inst);
+      }
+    }
+
+    // Per-node fill over existing + created instances.
+    const targets = [...observed, ...created.keys()].sort((a, b) => a - b);
+    for (const node of nodeIndices) {
+      const kf: number[] = [];
+      const kx: number[] = [];
+      const ky: number[] = [];
+      for (const f of observed) {
+        const inst = byFrame.get(f)!;
+        const j = node << 1;
+        const x = inst._xy[j];
+        const y = inst._xy[j + 1];
+        if (inst._visible[node] && Number.isFinite(x) && Number.isFinite(y)) {
+          kf.push(f);
+          kx.push(x);
+          ky.push(y);
+        }
+      }
+      if (kf.length < 2) continue;
+      const fx = makeInterpolant(kf, kx, method);
+      const fy = makeInterpolant(kf, ky, method);
+
+      let seg = 0;
+      for (const t of targets) {
+        if (t <= kf[0] || t >= kf[kf.length - 1]) continue;
+        while (kf[seg + 1] < t) seg += 1;
+        if (kf[seg + 1] === t) continue; // observed here
+        if (kf[seg + 1] - kf[seg] - 1 > maxGap) continue;
+        const inst = created.get(t) ?? byFrame.get(t)!;
+        inst.points[node].xy = [fx(t, seg), fy(t, seg)];
+        inst.points[node].visible = true;
+        if (!created.has(t)) {
+          inst.metadata ??= {};
+          const filled = (inst.metadata.interpolatedNodes ?? []) as string[];
+          filled.push(skeleton.nodeNames[node]);
+          inst.metadata.interpolatedNodes = filled;
+          result.pointsFilled += 1;
+        }
+      }
+    }
+
+    for (const [t, inst] of created) {
+      if (!inst._visible.some((v) => v)) continue;
+      let lf = frameByIdx.get(t);
+      if (!lf) {
+        lf = new LabeledFrame({ video, frameIdx: t });
+        frameByIdx.set(t, lf);
+        newFrames.push(lf);
+      }
+      lf.instances.push(inst);
+      result.instancesAdded += 1;
+    }
+  }
+
+  newFrames.sort((a, b) => a.frameIdx - b.frameIdx);
+  return result;
+}
+
+/** Instance-level score used to seed interpolated instances. */
+function instanceScore(inst: Instance): number {
+  return inst instanceof PredictedInstance ? inst.score : 1;
+}
+
+/**
+ * Build `(t, seg) => value` over strictly increasing samples `(xs, ys)`, where
+ * `seg` is the index of the sample interval containing `t`.
+ */
+function makeInterpolant(
+  xs: number[],
+  ys: number[],
+  method: InterpolationMethod,
+): (t: number, seg: number) => number {
+  if (method === "linear" || xs.length < 3) {
+    return (t, seg) => {
+      const w = (t - xs[seg]) / (xs[seg + 1] - xs[seg]);
+      return ys[seg] + (ys[seg + 1] - ys[seg]) * w;
+    };
+  }
+  const m = naturalSplineSecondDerivatives(xs, ys);
+  return (t, seg) => {
+    const h = xs[seg + 1] - xs[seg];
+    const a = (xs[seg + 1] - t) / h;
+    const b = (t - xs[seg]) / h;
+    return (
+      a * ys[seg] +
+      b * ys[seg + 1] +
+      (((a * a * a - a) * m[seg] + (b * b * b - b) * m[seg + 1]) * h * h) / 6
+    );
+  };
+}
+
+/** Second derivatives of the natural cubic spline (tridiagonal Thomas solve). */
+function naturalSplineSecondDerivatives(xs: number[], ys: number[]): number[] {
+  const n = xs.length;
+  const m = new Array<number>(n).fill(0);
+  const c = new Array<number>(n).fill(0);
+  const d = new Array<number>(n).fill(0);
+  for (let i = 1; i < n - 1; i += 1) {
+    const h0 = xs[i] - xs[i - 1];
+    const h1 = xs[i + 1] - xs[i];
+    const rhs = 6 * ((ys[i + 1] - ys[i]) / h1 - (ys[i] - ys[i - 1]) / h0);
+    const diag = 2 * (h0 + h1) - h0 * c[i - 1];
+    c[i] = h1 / diag;
+    d[i] = (rhs - h0 * d[i - 1]) / diag;
+  }
+  for (let i = n - 2; i >= 1; i -= 1) m[i] = d[i] - c[i] * m[i + 1];
+  return m;
+}
@@ -0,0 +1,425 @@
+/**
+ * Kinematics and pose features computed from tracked Labels.
+ *
+ * Everything is derived from per-track trajectories: for each video, each
+ * `Track` becomes a `(frames, nodes, 2)` array (frame `f` at row `f`, so frame
+ * indices line up with the video, as in `Labels.numpy()`), and features are
+ * returned as flat row-major `Float64Array`s keyed by video and then by track.
+ * Missing samples propagate as NaN. Browser-safe; no Node-only imports.
+ */
+
+import type { Track } from "./instance.js";
+import type { Labels } from "./labels.js";
+import type { NodeOrIndex, Skeleton } from "./skeleton.js";
+import type { Video } from "./video.js";
+
+/**
+ * Key for a track's series: its `Track`, or the instance's position in the
+ * frame (the `numpy()` slot index) when the Labels has no tracks.
+ */
+export type TrackKey = Track | number;
+
+/** Per-video, per-track feature arrays. */
+export type TrackFeatures = Map<Video, Map<TrackKey, Float64Array>>;
+
+/** Which instances the kinematics functions measure. */
+export interface TrajectoryOptions {
+  /** Restrict to one video (default: all videos). */
+  video?: Video;
+  /**
+   * Measure the instances of this skeleton (default: the first of
+   * `labels.skeletons`). Instances of other skeletons are skipped, and node
+   * names and indices refer to this skeleton.
+   */
+  skeleton?: Skeleton;
+}
+
+/** Options shared by the rate-based kinematics functions. */
+export interface KinematicsOptions extends TrajectoryOptions {
+  /**
+   * Express rates per second using `Video.fps` instead of per frame.
+   * Throws if a processed video has no fps.
+   */
+  perSecond?: boolean;
+}
+
+/** A pair of nodes, or a pair of edges given as node pairs or edge indices. */
+export type NodePair = [NodeOrIndex, NodeOrIndex];
+export type EdgeRef = number | NodePair;
+
+/**
+ * Node positions per track: `(frames, nodes, 2)` arrays, `data[(f * nodes + n)
+ * * 2 + c]`. Tracks with no finite sample in a video are omitted.
+ *
+ * Series are keyed by `Track`, in `labels.tracks` order; untracked instances
+ * are skipped when the Labels has tracks, so they never mix into a track's
+ * trajectory. Without tracks, instances are paired across frames by their
+ * position in the frame (the `numpy()` slot index). Only instances of the
+ * chosen skeleton are included (see {@link TrajectoryOptions.skeleton}).
+ */
+export function trackTrajectories(
+  labels: Labels,
+  options?: TrajectoryOptions,
+): TrackFeatures {
+  const out: TrackFeatures = new Map();
+  const videos = options?.video ? [options.video] : labels.videos;
+  const skeleton = selectedSkeleton(labels, options);
+  const nNodes = skeleton?.nodes.length ?? 0;
+  const hasTracks = labels.tracks.length > 0;
+  const allFrames = labels._lazyFrameList
+    ? labels._lazyFrameList.toArray()
+    : labels.labeledFrames;
+  for (const video of videos) {
+    const frames = allFrames.filter((frame) =>
+      frame.video.matchesPath(video, true),
+    );
+    // Same frame extent as numpy(): the video length or the last labeled frame.
+    let nFrames = video.shape?.[0] ?? 0;
+    for (const frame of frames) nFrames = Math.max(nFrames, frame.frameIdx + 1);
+
+    const series = new Map<TrackKey, Float64Array>();
+    const found = new Set<TrackKey>();
+    for (const frame of frames) {
+      frame.instances.forEach((inst, idx) => {
+        const key = inst.track ?? (hasTracks ? null : idx);
+        if (key === null || inst.skeleton !== skeleton) return;
+        let data = series.get(key);
+        if (!data) {
+          data = new Float64Array(nFrames * nNodes * 2).fill(Number.NaN);
+          series.set(key, data);
+        }
+        const n = Math.min(nNodes, inst._n);
+        for (let node = 0; node < n; node += 1) {
+          const j = (frame.frameIdx * nNodes + node) * 2;
+          data[j] = inst._xy[2 * node];
+          data[j + 1] = inst._xy[2 * node + 1];
+          if (Number.isFinite(data[j])) found.add(key);
+        }
+      });
+    }
+
+    // Project tracks first, in order; then any unregistered ones as found.
+    const keys: TrackKey[] = hasTracks
+      ? [...labels.tracks, ...series.keys()]
+      : [...series.keys()].sort((a, b) => (a as number) - (b as number));
+    const byTrack = new Map<TrackKey, Float64Array>();
+    for (const key of keys) {
+      const data = series.get(key);
+      if (data && found.has(key)) byTrack.set(key, data);
+    }
+    out.set(video, byTrack);
+  }
+  return out;
+}
+
+/**
+ * Node velocities, `(frames, nodes, 2)`: central differences in the interior
+ * and one-sided differences at the ends and next to gaps (like NumPy
+ * `gradient`), in px/frame or px/s.
+ */
+export function nodeVelocities(
+  labels: Labels,
+  options?: KinematicsOptions,
+): TrackFeatures {
+  return mapTrajectories(labels, options, (pos, nNodes, video) =>
+    scale(derivative(pos, nNodes * 2), rate(video, options)),
+  );
+}
+
+/** Node speeds (velocity magnitude), `(frames, nodes)`. */
+export function nodeSpeeds(
+  labels: Labels,
+  options?: KinematicsOptions,
+): TrackFeatures {
+  return mapFeatures(nodeVelocities(labels, options), (vel) => {
+    const out = new Float64Array(vel.length / 2);
+    for (let i = 0; i < out.length; i += 1) {
+      out[i] = Math.hypot(vel[2 * i], vel[2 * i + 1]);
+    }
+    return out;
+  });
+}
+
+/**
+ * Node accelerations, `(frames, nodes, 2)`: the derivative of
+ * {@link nodeVelocities}, in px/frame² or px/s².
+ */
+export function nodeAccelerations(
+  labels: Labels,
+  options?: KinematicsOptions,
+): TrackFeatures {
+  return mapTrajectories(labels, options, (pos, nNodes, video) => {
+    const r = rate(video, options);
+    return scale(derivative(derivative(pos, nNodes * 2), nNodes * 2), r * r);
+  });
+}
+
+/**
+ * Distances between node pairs within each animal, `(frames, pairs)`.
+ *
+ * @param pairs Node pairs by name or index.
+ */
+export function nodeDistances(
+  labels: Labels,
+  pairs: NodePair[],
+  options?: TrajectoryOptions,
+): TrackFeatures {
+  const skeleton = requireSkeleton(labels, options);
+  const idx = pairs.map(([a, b]) => [skeleton.index(a), skeleton.index(b)]);
+  return mapTrajectories(labels, options, (pos, nNodes) => {
+    const nFrames = pos.length / (nNodes * 2);
+    const out = new Float64Array(nFrames * idx.length);
+    for (let f = 0; f < nFrames; f += 1) {
+      idx.forEach(([a, b], p) => {
+        const ja = (f * nNodes + a) * 2;
+        const jb = (f * nNodes + b) * 2;
+        out[f * idx.length + p] = Math.hypot(
+          pos[jb] - pos[ja],
+          pos[jb + 1] - pos[ja + 1],
+        );
+      });
+    }
+    return out;
+  });
+}
+
+/**
+ * Angles in radians, `[0, π]`, between pairs of skeleton edges,
+ * `(frames, pairs)`.
+ *
+ * When the two edges share a node the angle is measured at that joint,
+ * between the vectors pointing from it to the other two endpoints (a straight
+ * limb is π). Otherwise it is the angle between the edge directions
+ * (source → destination).
+ *
+ * @param pairs Edge pairs; each edge is an index into `skeleton.edges` or a
+ *   `[source, destination]` node pair. Defaults to every pair of edges that
+ *   share a node.
+ */
+export function jointAngles(
+  labels: Labels,
+  pairs?: Array<[EdgeRef, EdgeRef]>,
+  options?: TrajectoryOptions,
+): TrackFeatures {
+  const skeleton = requireSkeleton(labels, options);
+  const edges = skeleton.edgeIndices;
+  const resolve = (edge: EdgeRef): [number, number] => {
+    if (typeof edge === "number") {
+      if (!edges[edge]) throw new Error(`Edge index ${edge} out of range.`);
+      return edges[edge];
+    }
+    return [skeleton.index(edge[0]), skeleton.index(edge[1])];
+  };
+  let resolved: Array<[[number, number], [number, number]]>;
+  if (pairs) {
+    resolved = pairs.map(([a, b]) => [resolve(a), resolve(b)]);
+  } else {
+    resolved = [];
+    for (let i = 0; i < edges.length; i += 1) {
+      for (let j = i + 1; j < edges.length; j += 1) {
+        if (edges[i].some((n) => edges[j].includes(n))) {
+          resolved.push([edges[i], edges[j]]);
+        }
+      }
+    }
+  }
+  // Each angle is between vectors (p1 - p0) and (q1 - q0).
+  const vectors = resolved.map(([[a0, a1], [b0, b1]]) => {
+    const shared = [a0, a1].find((n) => n === b0 || n === b1);
+    if (shared === undefined) return [a0, a1, b0, b1];
+    const other = (e0: number, e1: number) => (e0 === shared ? e1 : e0);
+    return [shared, other(a0, a1), shared, other(b0, b1)];
+  });
+
+  return mapTrajectories(labels, options, (pos, nNodes) => {
+    const nFrames = pos.length / (nNodes * 2);
+    const out = new Float64Array(nFrames * vectors.length);
+    for (let f = 0; f < nFrames; f += 1) {
+      vectors.forEach(([p0, p1, q0, q1], k) => {
+        const at = (n: number, c: number) => pos[(f * nNodes + n) * 2 + c];
+        const ux = at(p1, 0) - at(p0, 0);
+        const uy = at(p1, 1) - at(p0, 1);
+        const vx = at(q1, 0) - at(q0, 0);
+        const vy = at(q1, 1) - at(q0, 1);
+        out[f * vectors.length + k] = Math.abs(
+          Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy),
+        );
+      });
+    }
+    return out;
+  });
+}
+
+/**
+ * Heading in radians, `(-π, π]`, of the vector from node `from` to node `to`
+ * (e.g. tail → head), in image coordinates (`atan2(dy, dx)`), `(frames,)`.
+ */
+export function headings(
+  labels: Labels,
+  from: NodeOrIndex,
+  to: NodeOrIndex,
+  options?: TrajectoryOptions,
+): TrackFeatures {
+  const skeleton = requireSkeleton(labels, options);
+  const a = skeleton.index(from);
+  const b = skeleton.index(to);
+  return mapTrajectories(labels, options, (pos, nNodes) => {
+    const nFrames = pos.length / (nNodes * 2);
+    const out = new Float64Array(nFrames);
+    for (let f = 0; f < nFrames; f += 1) {
+      const ja = (f * nNodes + a) * 2;
+      const jb = (f * nNodes + b) * 2;
+      out[f] = Math.atan2(pos[jb + 1] - pos[ja + 1], pos[jb] - pos[ja]);
+    }
+    return out;
+  });
+}
+
+/** Pairwise distances between animals in one video. */
+export interface InterAnimalDistances {
+  /** Track keys, in the order of the array's track axes. */
+  tracks: TrackKey[];
+  /** `(frames, tracks, tracks)` distances; the diagonal is 0 where present. */
+  data: Float64Array;
+}
+
+/**
+ * Distances between every pair of animals per frame, measured between a
+ * chosen node or, by default, between the centroids of each animal's visible
+ * nodes.
+ */
+export function interAnimalDistances(
+  labels: Labels,
+  options?: TrajectoryOptions & { node?: NodeOrIndex },
+): Map<Video, InterAnimalDistances> {
+  const node =
+    options?.node === undefined
+      ? null
+      : requireSkeleton(labels, options).index(options.node);
+  const out = new Map<Video, InterAnimalDistances>();
+  for (const [video, byTrack] of trackTrajectories(labels, options)) {
+    const tracks = [...byTrack.keys()];
+    const positions = [...byTrack.values()];
+    const nTracks = tracks.length;
+    const nNodes = selectedSkeleton(labels, options)?.nodes.length ?? 0;
+    const nFrames = nNodes ? (positions[0]?.length ?? 0) / (nNodes * 2) : 0;
+    const data = new Float64Array(nFrames * nTracks * nTracks);
+    const point = (pos: Float64Array, f: number): [number, number] => {
+      if (node !== null) {
+        const j = (f * nNodes + node) * 2;
+        return [pos[j], pos[j + 1]];
+      }
+      let sx = 0;
+      let sy = 0;
+      let count = 0;
+      for (let n = 0; n < nNodes; n += 1) {
+        const j = (f * nNodes + n) * 2;
+        if (Number.isFinite(pos[j]) && Number.isFinite(pos[j + 1])) {
+          sx += pos[j];
+          sy += pos[j + 1];
+          count += 1;
+        }
+      }
+      return count ? [sx / count, sy / count] : [Number.NaN, Number.NaN];
+    };
+    for (let f = 0; f < nFrames; f += 1) {
+      const pts = positions.map((pos) => point(pos, f));
+      for (let i = 0; i < nTracks; i += 1) {
+        for (let j = 0; j < nTracks; j += 1) {
+          data[(f * nTracks + i) * nTracks + j] = Math.hypot(
+            pts[j][0] - pts[i][0],
+            pts[j][1] - pts[i][1],
+          );
+        }
+      }
+    }
+    out.set(video, { tracks, data });
+  }
+  return out;
+}
+
+function mapTrajectories(
+  labels: Labels,
+  options: TrajectoryOptions | undefined,
+  fn: (positions: Float64Array, nNodes: number, video: Video) => Float64Array,
+): TrackFeatures {
+  const nNodes = selectedSkeleton(labels, options)?.nodes.length ?? 0;
+  const out: TrackFeatures = new Map();
+  for (const [video, byTrack] of trackTrajectories(labels, options)) {
+    const mapped = new Map<TrackKey, Float64Array>();
+    for (const [key, pos] of byTrack) mapped.set(key, fn(pos, nNodes, video));
+    out.set(video, mapped);
+  }
+  return out;
+}
+
+function mapFeatures(
+  features: TrackFeatures,
+  fn: (data: Float64Array) => Float64Array,
+): TrackFeatures {
+  const out: TrackFeatures = new Map();
+  for (const [video, byTrack] of features) {
+    const mapped = new Map<TrackKey, Float64Array>();
+    for (const [key, data] of byTrack) mapped.set(key, fn(data));
+    out.set(video, mapped);
+  }
+  return out;
+}
+
+/**
+ * Time derivative along the frame axis of a `(frames, stride)` array, per
+ * column. Uses central differences where both neighbours are finite, else a
+ * one-sided difference, else NaN.
+ */
+function derivative(data: Float64Array, stride: number): Float64Array {
+  const nFrames = stride ? data.length / stride : 0;
+  const out = new Float64Array(data.length).fill(Number.NaN);
+  for (let c = 0; c < stride; c += 1) {
+    for (let f = 0; f < nFrames; f += 1) {
+      const x = data[f * stride + c];
+      if (!Number.isFinite(x)) continue;
+      const prev = f > 0 ? data[(f - 1) * stride + c] : Number.NaN;
+      const next = f < nFrames - 1 ? data[(f + 1) * stride + c] : Number.NaN;
+      const hasPrev = Number.isFinite(prev);
+      const hasNext = Number.isFinite(next);
+      if (hasPrev && hasNext) out[f * stride + c] = (next - prev) / 2;
+      else if (hasNext) out[f * stride + c] = next - x;
+      else if (hasPrev) out[f * stride + c] = x - prev;
+    }
+  }
+  return out;
+}
+
+function scale(data: Float64Array, factor: number): Float64Array {
+  if (factor !== 1) for (let i = 0; i < data.length; i += 1) data[i] *= factor;
+  return data;
+}
+
+/** Frames per unit time: 1 per frame, or the video's fps per second. */
+function rate(video: Video, options: KinematicsOptions | undefined): number {
+  if (!options?.perSecond) return 1;
+  const fps = video.fps;
+  if (!fps || !(fps > 0)) {
+    throw new Error(
+      `Video ${video.filename} has no fps; cannot compute per-second rates.`,
+    );
+  }
+  return fps;
+}
+
+/** The skeleton whose instances are measured. */
+function selectedSkeleton(
+  labels: Labels,
+  options: TrajectoryOptions | undefined,
+): Skeleton | undefined {
+  return options?.skeleton ?? labels.skeletons[0];
+}
+
+function requireSkeleton(
+  labels: Labels,
+  options: TrajectoryOptions | undefined,
+): Skeleton {
+  const skeleton = selectedSkeleton(labels, options);
+  if (!skeleton) throw new Error("Labels has no skeleton.");
+  return skeleton;
+}
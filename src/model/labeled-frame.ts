@@ -475,11 +475,14 @@ export class LabeledFrame {
       }
     }
 
-    const tracks = this.instances
-      .map((inst) => inst.track)
-      .filter((track) => track !== null && track !== undefined);
-    if (tracks.length) {
-      const usedTracks = new Set(tracks);
+    const anyTracks = this.instances.some((inst) => inst.track != null);
+    if (anyTracks) {
+      // A prediction is used when a user instance claims its track.
+      const usedTracks = new Set(
+        this.userInstances
+          .map((inst) => inst.track)
+          .filter((track) => track !== null && track !== undefined),
+      );
       return this.predictedInstances.filter(
         (inst) => !inst.track || !usedTracks.has(inst.track),
       );
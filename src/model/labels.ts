@@ -10,7 +10,13 @@ import type {
   PredictedPoint,
   PredictedPointsArray,
 } from "./instance.js";
-import { Skeleton, Node, Edge, Symmetry } from "./skeleton.js";
+import {
+  Skeleton,
+  Node,
+  Edge,
+  Symmetry,
+  type NodeOrIndex,
+} from "./skeleton.js";
 import { SuggestionFrame } from "./suggestions.js";
 import { Video } from "./video.js";
 import {
@@ -45,11 +51,19 @@ import {
   toInstanceMatchMethod,
   toErrorMode,
 } from "./matching.js";
+import { Tracker, type TrackerOptions } from "./tracking.js";
+import {
+  type InterpolateTracksOptions,
+  type InterpolationResult,
+  interpolateTrackGaps,
+} from "./interpolation.js";
+import { type SmoothingOptions, smoothTrajectories } from "./smoothing.js";
 import type { ROI } from "./roi.js";
 import type { SegmentationMask } from "./mask.js";
 import type { BoundingBox } from "./bbox.js";
 import type { Centroid } from "./centroid.js";
 import type { LabelImage } from "./label-image.js";
+import { PredictedInstance3D } from "./instance3d.js";
 
 /** Package version recorded in merge provenance (mirrors `sleap_io.__version__`). */
 const SLEAP_IO_VERSION = "0.3.1";
@@ -603,6 +617,210 @@ export class Labels {
     return { canonicalized };
   }
 
+  /**
+   * Resolve the skeleton a node-surgery method operates on: the explicit
+   * argument, or the only skeleton when there is exactly one.
+   */
+  private _surgerySkeleton(
+    skeleton: Skeleton | undefined,
+    operation: string,
+  ): Skeleton {
+    if (skeleton) {
+      if (!this.skeletons.includes(skeleton)) {
+        throw new Error(
+          `Cannot ${operation}: skeleton is not in these Labels.`,
+        );
+      }
+      return skeleton;
+    }
+    if (this.skeletons.length !== 1) {
+      throw new Error(
+        `Cannot ${operation}: Labels has ${this.skeletons.length} skeletons; ` +
+          `pass the skeleton to operate on explicitly.`,
+      );
+    }
+    return this.skeletons[0];
+  }
+
+  /**
+   * Realign every point array bound to `skeleton` so new point `i` is the old
+   * point `sourceIndex[i]` (negative ⇒ empty), optionally rebinding it to
+   * `target`. Covers eager instances, the lazy store's raw point columns (no
+   * frame is materialized; cached frames are dropped so they re-read the
+   * rewritten columns), and the 3D points on session instance groups.
+   */
+  private _remapSkeletonPoints(
+    skeleton: Skeleton,
+    sourceIndex: number[],
+    target: Skeleton = skeleton,
+  ): void {
+    // Session 3D points first, while 2D instances still reference `skeleton`
+    // (an InstanceGroup without an Instance3D is identified through them).
+    const remapRows = (rows: number[][]): number[][] =>
+      sourceIndex.map((src) =>
+        src >= 0 && src < rows.length
+          ? rows[src]
+          : new Array(rows[0]?.length ?? 3).fill(Number.NaN),
+      );
+    for (const session of this.sessions) {
+      for (const frameGroup of session.frameGroupByFrameIdx.values()) {
+        for (const group of frameGroup.instanceGroups) {
+          const inst3d = group.instance3d;
+          if (inst3d) {
+            if (inst3d.skeleton !== skeleton) continue;
+            if (inst3d.points) inst3d.points = remapRows(inst3d.points);
+            if (inst3d instanceof PredictedInstance3D && inst3d.pointScores) {
+              const scores = inst3d.pointScores;
+              inst3d.pointScores = sourceIndex.map((src) =>
+                src >= 0 && src < scores.length ? scores[src] : Number.NaN,
+              );
+            }
+            inst3d.skeleton = target;
+            continue;
+          }
+          const first = group._instanceByCamera?.values().next().value;
+          const owner =
+            first?.skeleton ??
+            (this.skeletons.length === 1 ? this.skeletons[0] : undefined);
+          if (owner === skeleton && group.points) {
+            group.points = remapRows(group.points);
+          }
+        }
+      }
+    }
+
+    const remapInstances = (frames: Iterable<LabeledFrame>): void => {
+      for (const lf of frames) {
+        for (const inst of lf.instances) {
+          if (inst.skeleton !== skeleton) continue;
+          inst.skeleton = target;
+          inst._remapPoints(sourceIndex);
+        }
+      }
+    };
+    if (this._lazyFrameList && this._lazyDataStore) {
+      const store = this._lazyDataStore;
+      const skeletonIdx = store.skeletons.indexOf(skeleton);
+      if (skeletonIdx >= 0) {
+        store.remapSkeletonPoints(skeletonIdx, sourceIndex);
+        store.skeletons[skeletonIdx] = target;
+      }
+      this._lazyFrameList.clearCache();
+      remapInstances(this._lazyFrameList._supplementary);
+    } else {
+      remapInstances(this.labeledFrames);
+    }
+  }
+
+  /**
+   * Remove nodes from a skeleton and drop the matching points from every
+   * instance that uses it (user and predicted), along with edges and
+   * symmetries that touch a removed node and the corresponding rows of any
+   * session `Instance3D` / `InstanceGroup` 3D points.
+   *
+   * Works on lazy Labels without materializing: the raw point columns are
+   * rewritten so `saveSlp` stays span-consistent.
+   *
+   * Mirrors Python `Labels.remove_nodes`.
+   *
+   * @param nodes Nodes to remove, by `Node`, name, or index.
+   * @param skeleton Skeleton to edit; required when there is more than one.
+   */
+  removeNodes(nodes: NodeOrIndex[], skeleton?: Skeleton): void {
+    const skel = this._surgerySkeleton(skeleton, "removeNodes");
+    const removed = new Set(nodes.map((node) => skel.index(node)));
+    const keep: number[] = [];
+    for (let i = 0; i < skel.nodes.length; i += 1) {
+      if (!removed.has(i)) keep.push(i);
+    }
+    skel.removeNodes(nodes);
+    this._remapSkeletonPoints(skel, keep);
+  }
+
+  /**
+   * Rename nodes of a skeleton. Points are bound to nodes by position, so no
+   * point data moves; this is a thin wrapper over {@link Skeleton.renameNodes}
+   * that resolves the skeleton the same way the other node-surgery methods do.
+   *
+   * Mirrors Python `Labels.rename_nodes`.
+   *
+   * @param nameMap Map from node (`Node`, name, or index) to new name, or an
+   *   array of new names for every node in order.
+   * @param skeleton Skeleton to edit; required when there is more than one.
+   */
+  renameNodes(
+    nameMap: Record<string, string> | Map<NodeOrIndex, string> | string[],
+    skeleton?: Skeleton,
+  ): void {
+    this._surgerySkeleton(skeleton, "renameNodes").renameNodes(nameMap);
+  }
+
+  /**
+   * Reorder the nodes of a skeleton and permute every instance's points (and
+   * session 3D points) to match. Lazy Labels are rewritten in place without
+   * materializing, as in {@link removeNodes}.
+   *
+   * Mirrors Python `Labels.reorder_nodes`.
+   *
+   * @param newOrder Every node of the skeleton exactly once, in the new order.
+   * @param skeleton Skeleton to edit; required when there is more than one.
+   */
+  reorderNodes(newOrder: NodeOrIndex[], skeleton?: Skeleton): void {
+    const skel = this._surgerySkeleton(skeleton, "reorderNodes");
+    const sourceIndex = newOrder.map((node) => skel.index(node));
+    skel.reorderNodes(newOrder);
+    this._remapSkeletonPoints(skel, sourceIndex);
+  }
+
+  /**
+   * Swap `oldSkeleton` for `newSkeleton` everywhere, carrying point data across
+   * through `nodeMap`. Nodes of the new skeleton with no source node get empty
+   * (NaN, invisible) points; unmapped old nodes are dropped. The new skeleton
+   * takes the old one's slot in `skeletons`, so lazy skeleton ids still resolve.
+   *
+   * Mirrors Python `Labels.replace_skeleton`.
+   *
+   * @param oldSkeleton Registered skeleton to replace.
+   * @param newSkeleton Replacement; must not already be registered.
+   * @param nodeMap Map from old node to new node (`Node`, name, or index).
+   *   Defaults to matching nodes by name.
+   */
+  replaceSkeleton(
+    oldSkeleton: Skeleton,
+    newSkeleton: Skeleton,
+    nodeMap?: Record<string, string> | Map<NodeOrIndex, NodeOrIndex>,
+  ): void {
+    const idx = this.skeletons.indexOf(oldSkeleton);
+    if (idx < 0) {
+      throw new Error(
+        "Cannot replaceSkeleton: skeleton is not in these Labels.",
+      );
+    }
+    if (newSkeleton === oldSkeleton) return;
+    if (this.skeletons.includes(newSkeleton)) {
+      throw new Error(
+        "Cannot replaceSkeleton: the new skeleton is already in these Labels.",
+      );
+    }
+
+    const sourceIndex = new Array<number>(newSkeleton.nodes.length).fill(-1);
+    if (nodeMap) {
+      const entries =
+        nodeMap instanceof Map ? [...nodeMap] : Object.entries(nodeMap);
+      for (const [oldNode, newNode] of entries) {
+        sourceIndex[newSkeleton.index(newNode)] = oldSkeleton.index(oldNode);
+      }
+    } else {
+      const oldNames = oldSkeleton.nodeNames;
+      newSkeleton.nodeNames.forEach((name, i) => {
+        sourceIndex[i] = oldNames.indexOf(name);
+      });
+    }
+
+    this._remapSkeletonPoints(oldSkeleton, sourceIndex, newSkeleton);
+    this.skeletons[idx] = newSkeleton;
+  }
+
   /** Flat view of all centroids across all frames. */
   get centroids(): Centroid[] {
     if (this._lazyFrameList && this._lazyDataStore) {
@@ -1273,21 +1491,22 @@ export class Labels {
       const newTrack = inst.track
         ? (trackMap.get(inst.track) ?? inst.track)
         : null;
-      if (inst instanceof PredictedInstance) {
-        return new PredictedInstance({
-          points: newPoints as any,
-          skeleton: newSkeleton,
-          track: newTrack,
-          score: inst.score,
-          trackingScore: inst.trackingScore,
-        });
-      }
-      const ni = new Instance({
-        points: newPoints,
-        skeleton: newSkeleton,
-        track: newTrack,
-        trackingScore: inst.trackingScore,
-      });
+      const ni =
+        inst instanceof PredictedInstance
+          ? new PredictedInstance({
+              points: newPoints as any,
+              skeleton: newSkeleton,
+              track: newTrack,
+              score: inst.score,
+              trackingScore: inst.trackingScore,
+            })
+          : new Instance({
+              points: newPoints,
+              skeleton: newSkeleton,
+              track: newTrack,
+              trackingScore: inst.trackingScore,
+            });
+      if (inst.metadata) ni.metadata = structuredClone(inst.metadata);
       // fromPredicted can't be fully remapped (would need global instance identity),
       // so we leave it null on the copy.
       return ni;
@@ -2811,6 +3030,211 @@ export class Labels {
     this._invalidateIndices();
   }
 
+  /**
+   * Link predicted instances over time by assigning them new `Track`s.
+   *
+   * Runs a {@link Tracker} over each video independently (tracks are never
+   * shared across videos) and appends the spawned tracks to `tracks`. Existing
+   * tracks on the processed `PredictedInstance`s are overwritten; user
+   * instances are left untouched. Lazy Labels are materialized first.
+   *
+   * @param options Tracker options, plus `video` to restrict tracking to one
+   *   video.
+   * @returns The newly created tracks.
+   */
+  track(options?: TrackerOptions & { video?: Video }): Track[] {
+    if (this._lazyFrameList) this.materialize();
+
+    const tracker = new Tracker(options);
+    const videos = options?.video ? [options.video] : this.videos;
+    const usedNames = new Set(this.tracks.map((t) => t.name));
+    const created: Track[] = [];
+    for (const video of videos) {
+      const frames = this.labeledFrames.filter((lf) => lf.video === video);
+      created.push(...tracker.trackFrames(frames, usedNames));
+    }
+    this.tracks.push(...created);
+    this._invalidateIndices();
+    return created;
+  }
+
+  /**
+   * Fill gaps along tracks: frames where a tracked instance is missing get a
+   * new interpolated `PredictedInstance`, and NaN points inside existing
+   * instances are filled.
+   *
+   * Each video is processed independently (see {@link interpolateTrackGaps}
+   * for the exact rules); new instances carry `metadata.interpolated = true`
+   * and filled nodes are listed in `metadata.interpolatedNodes`. These flags
+   * live in the in-memory `metadata` only and are dropped by `saveSlp`; after a
+   * reload, created instances are recognizable only by their NaN point scores.
+   * Frames created for previously unlabeled frame indices are appended. Lazy
+   * Labels are materialized first.
+   *
+   * @param options.maxGap - Longest gap (in frames) to fill; default unlimited.
+   * @param options.method - `"linear"` (default) or `"cubic"`.
+   * @param options.nodes - Nodes to fill; default all.
+   * @param options.video - Restrict to one video.
+   */
+  interpolateTracks(
+    options?: InterpolateTracksOptions & { video?: Video },
+  ): InterpolationResult {
+    if (this._lazyFrameList) this.materialize();
+
+    const videos = options?.video ? [options.video] : this.videos;
+    const total: InterpolationResult = { instancesAdded: 0, pointsFilled: 0 };
+    for (const video of videos) {
+      const frames = this.labeledFrames.filter((lf) => lf.video === video);
+      const { instancesAdded, pointsFilled, newFrames } = interpolateTrackGaps(
+        frames,
+        options,
+      );
+      this.labeledFrames.push(...newFrames);
+      total.instancesAdded += instancesAdded;
+      total.pointsFilled += pointsFilled;
+    }
+    this._invalidateIndices();
+    return total;
+  }
+
+  /**
+   * Temporally smooth tracked pose trajectories in place.
+   *
+   * For each video and skeleton, builds one `(frames, nodes, xy)` series per
+   * `Track`, filters it per node with {@link smoothTrajectories}, and writes
+   * the result back into the points it came from. When the Labels has tracks,
+   * untracked instances are left alone; without any tracks, instances are
+   * paired across frames by their position in the frame (the {@link numpy}
+   * slot). Invisible points neither feed the filter nor change, finite gaps
+   * stay gaps, and only `PredictedInstance`s are smoothed unless
+   * `includeUserInstances` is set. Lazy Labels are materialized first.
+   *
+   * @param options - Filter settings (see {@link SmoothingOptions}), plus:
+   * @param options.video - Restrict to one video.
+   * @param options.keepOriginal - Store each modified instance's pre-smoothing
+   *   `numpy()` points in `metadata.originalPoints` (kept from the first call
+   *   if smoothing is repeated).
+   * @param options.includeUserInstances - Also smooth user instances.
+   */
+  smooth(
+    options?: SmoothingOptions & {
+      video?: Video;
+      keepOriginal?: boolean;
+      includeUserInstances?: boolean;
+    },
+  ): void {
+    if (this._lazyFrameList) this.materialize();
+
+    const hasTracks = this.tracks.length > 0;
+    const videos = options?.video ? [options.video] : this.videos;
+    const used = new Set<Skeleton>();
+    // skeleton -> series key -> instance per frame index.
+    const plan: Array<Map<Skeleton, Map<Track | number, Instance[]>>> = [];
+    for (const video of videos) {
+      const bySkeleton = new Map<Skeleton, Map<Track | number, Instance[]>>();
+      for (const frame of this.labeledFrames) {
+        if (frame.video !== video) continue;
+        frame.instances.forEach((inst, idx) => {
+          if (
+            !(inst instanceof PredictedInstance) &&
+            !options?.includeUserInstances
+          ) {
+            return;
+          }
+          const key = inst.track ?? (hasTracks ? null : idx);
+          if (key === null) return;
+          let series = bySkeleton.get(inst.skeleton);
+          if (!series) {
+            series = new Map();
+            bySkeleton.set(inst.skeleton, series);
+          }
+          let slots = series.get(key);
+          if (!slots) {
+            slots = [];
+            series.set(key, slots);
+          }
+          slots[frame.frameIdx] = inst;
+          used.add(inst.skeleton);
+        });
+      }
+      plan.push(bySkeleton);
+    }
+
+    for (const node of options?.nodes ?? []) {
+      if (
+        typeof node === "string" &&
+        ![...used, ...this.skeletons].some((skel) =>
+          skel.nodeNames.includes(node),
+        )
+      ) {
+        throw new Error(`Node '${node}' not found in skeleton.`);
+      }
+    }
+
+    for (const bySkeleton of plan) {
+      for (const [skeleton, series] of bySkeleton) {
+        const nodes = this._smoothNodes(skeleton, options?.nodes);
+        if (!nodes.length) continue;
+        const keys = Array.from(series.keys());
+        let nFrames = 0;
+        for (const slots of series.values()) {
+          nFrames = Math.max(nFrames, slots.length);
+        }
+        const nNodes = skeleton.nodes.length;
+        const array: number[][][][] = Array.from({ length: nFrames }, (_, f) =>
+          keys.map((key) => {
+            const inst = series.get(key)?.[f];
+            return Array.from({ length: nNodes }, (_, n) =>
+              inst && n < inst._n && inst._visible[n]
+                ? [inst._xy[2 * n], inst._xy[2 * n + 1]]
+                : [Number.NaN, Number.NaN],
+            );
+          }),
+        );
+        const smoothed = smoothTrajectories(array, { ...options, nodes });
+        keys.forEach((key, t) => {
+          const slots = series.get(key) ?? [];
+          slots.forEach((inst, f) => {
+            if (!inst) return;
+            if (options?.keepOriginal && !inst.metadata?.originalPoints) {
+              inst.metadata = {
+                ...inst.metadata,
+                originalPoints: inst.numpy(),
+              };
+            }
+            for (const node of nodes) {
+              const value = smoothed[f][t][node];
+              if (node >= inst._n || !inst._visible[node]) continue;
+              if (!Number.isFinite(value[0]) || !Number.isFinite(value[1])) {
+                continue;
+              }
+              inst.points[node].xy = [value[0], value[1]];
+            }
+          });
+        });
+      }
+    }
+  }
+
+  /**
+   * Node indices of `skeleton` selected by {@link smooth}'s `nodes` option
+   * (every node by default). Names the skeleton lacks are skipped.
+   */
+  private _smoothNodes(skeleton: Skeleton, nodes?: NodeOrIndex[]): number[] {
+    if (!nodes) return skeleton.nodes.map((_, i) => i);
+    const out: number[] = [];
+    for (const node of nodes) {
+      if (typeof node === "number") {
+        if (node < skeleton.nodes.length) out.push(node);
+      } else if (typeof node === "string") {
+        if (skeleton.nodeNames.includes(node)) out.push(skeleton.index(node));
+      } else if (skeleton.nodes.includes(node)) {
+        out.push(skeleton.index(node));
+      }
+    }
+    return out;
+  }
+
   /**
    * Extract a set of frames into a new Labels object.
    *
@@ -3060,22 +3484,26 @@ export class Labels {
       const newPoints = inst.points.map((p) => clonePoint(p));
       const newSkeleton = mapSkeleton(inst.skeleton);
       const newTrack = mapTrack(inst.track);
+      let ni: Instance;
       if (inst.constructor === PredictedInstance) {
         const predicted = inst as PredictedInstance;
-        return new PredictedInstance({
+        ni = new PredictedInstance({
           points: newPoints as unknown as PredictedPointsArray,
           skeleton: newSkeleton,
           track: newTrack,
           score: predicted.score,
           trackingScore: predicted.trackingScore,
         });
+      } else {
+        ni = new Instance({
+          points: newPoints,
+          skeleton: newSkeleton,
+          track: newTrack,
+          trackingScore: inst.trackingScore,
+        });
       }
-      return new Instance({
-        points: newPoints,
-        skeleton: newSkeleton,
-        track: newTrack,
-        trackingScore: inst.trackingScore,
-      });
+      if (inst.metadata) ni.metadata = structuredClone(inst.metadata);
+      return ni;
     };
 
     // Clone an ancillary annotation: shallow-clone preserving prototype, then
@@ -1,6 +1,7 @@
 import { LabeledFrame } from "./labeled-frame.js";
 import {
   Instance,
+  type PointColumns,
   PredictedInstance,
   Track,
   pointsFromArray,
@@ -17,6 +18,29 @@ import type { ROI } from "./roi.js";
 import type { Identity } from "./identity.js";
 import type { Embedding } from "./embedding.js";
 
+/**
+ * One stored instance as yielded by {@link LazyDataStore.instanceColumns}: its
+ * frame, skeleton and track, plus its span of the raw point columns.
+ */
+export interface LazyInstanceColumns {
+  video: Video;
+  frameIdx: number;
+  /** Position of the instance within its frame. */
+  instanceIdx: number;
+  skeleton: Skeleton;
+  track: Track | null;
+  predicted: boolean;
+  /** Instance score (0 for user instances). */
+  score: number;
+  /** The store's `points` or `pred_points` columns. */
+  columns: PointColumns;
+  /** The instance's points are `columns[start..end)`. */
+  start: number;
+  end: number;
+  /** Shift to add to stored coordinates (-0.5 before format 1.1). */
+  coordOffset: number;
+}
+
 /**
  * Raw data store holding HDF5 dataset arrays for lazy materialization.
  * Keeps the parsed column data from frames/instances/points datasets
@@ -472,6 +496,122 @@ export class LazyDataStore {
     return output;
   }
 
+  /**
+   * Walk every stored instance, in frame order, straight from the raw columns
+   * without materializing any LabeledFrame or Instance. Video, skeleton and
+   * track ids resolve as in {@link materializeFrame}.
+   */
+  *instanceColumns(): Generator<LazyInstanceColumns> {
+    const frameVideos = this.framesData.video ?? [];
+    const frameIndices = this.framesData.frame_idx ?? [];
+    const instStarts = this.framesData.instance_id_start ?? [];
+    const instEnds = this.framesData.instance_id_end ?? [];
+    const instTypes = this.instancesData.instance_type ?? [];
+    const instSkeletons = this.instancesData.skeleton ?? [];
+    const instTracks = this.instancesData.track ?? [];
+    const instScores = this.instancesData.score ?? [];
+    const pointStarts = this.instancesData.point_id_start ?? [];
+    const pointEnds = this.instancesData.point_id_end ?? [];
+    const coordOffset = this.formatId < 1.1 ? -0.5 : 0;
+
+    for (let fi = 0; fi < this.frameCount; fi++) {
+      const video =
+        this.videos[this.videoIndexFor(Number(frameVideos[fi] ?? 0))];
+      if (!video) continue;
+      const frameIdx = Number(frameIndices[fi] ?? 0);
+      const iStart = Number(instStarts[fi] ?? 0);
+      const iEnd = Number(instEnds[fi] ?? 0);
+      for (let instIdx = iStart; instIdx < iEnd; instIdx++) {
+        const predicted = Number(instTypes[instIdx] ?? 0) !== 0;
+        const trackId = Number(instTracks[instIdx] ?? -1);
+        yield {
+          video,
+          frameIdx,
+          instanceIdx: instIdx - iStart,
+          skeleton:
+            this.skeletons[Number(instSkeletons[instIdx] ?? 0)] ??
+            this.skeletons[0],
+          track: trackId >= 0 ? (this.tracks[trackId] ?? null) : null,
+          predicted,
+          score: predicted ? Number(instScores[instIdx] ?? 0) : 0,
+          columns: predicted ? this.predPointsData : this.pointsData,
+          start: Number(pointStarts[instIdx] ?? 0),
+          end: Number(pointEnds[instIdx] ?? 0),
+          coordOffset,
+        };
+      }
+    }
+  }
+
+  /**
+   * Realign the raw point columns of every instance bound to
+   * `skeletons[skeletonIdx]` after a node removal, reorder or skeleton swap,
+   * without materializing any frame. New point `i` of such an instance is its
+   * old point `sourceIndex[i]`, or an empty point (NaN coordinates, invisible)
+   * when that entry is negative; other instances are copied through unchanged.
+   *
+   * `points` / `pred_points` are rebuilt in instance order and every
+   * instance's `point_id_start`/`point_id_end` is rewritten, so the spans keep
+   * tiling each table exactly — the invariant the lazy `saveSlp` path writes
+   * back verbatim (see `slp-point-span-invariant.test.ts`).
+   */
+  remapSkeletonPoints(
+    skeletonIdx: number,
+    sourceIndex: ArrayLike<number>,
+  ): void {
+    const instTypes = this.instancesData.instance_type ?? [];
+    const instSkeletons = this.instancesData.skeleton ?? [];
+    const pointStarts = this.instancesData.point_id_start ?? [];
+    const pointEnds = this.instancesData.point_id_end ?? [];
+    const nInstances = pointStarts.length;
+
+    const newStarts = new Array<number>(nInstances);
+    const newEnds = new Array<number>(nInstances);
+    const rebuild = (
+      table: Record<string, any[]>,
+      predicted: boolean,
+    ): Record<string, any[]> => {
+      const keys = Object.keys(table);
+      const out: Record<string, any[]> = {};
+      for (const key of keys) out[key] = [];
+      // Empty slots: NaN coordinates/score, zero for every flag column.
+      const emptyValue = (key: string) =>
+        key === "x" || key === "y" || key === "score" ? Number.NaN : 0;
+      for (let instIdx = 0; instIdx < nInstances; instIdx++) {
+        if ((Number(instTypes[instIdx] ?? 0) !== 0) !== predicted) continue;
+        const start = Number(pointStarts[instIdx] ?? 0);
+        const end = Number(pointEnds[instIdx] ?? 0);
+        const rawSkeleton = Number(instSkeletons[instIdx] ?? 0);
+        // Same fallback as materializeFrame: unknown ids bind to skeleton 0.
+        const resolved = this.skeletons[rawSkeleton] ? rawSkeleton : 0;
+        const outStart = out[keys[0]]?.length ?? 0;
+        if (resolved === skeletonIdx) {
+          for (let i = 0; i < sourceIndex.length; i++) {
+            const src = sourceIndex[i];
+            const inRange = src >= 0 && start + src < end;
+            for (const key of keys) {
+              out[key].push(
+                inRange ? table[key][start + src] : emptyValue(key),
+              );
+            }
+          }
+        } else {
+          for (let p = start; p < end; p++) {
+            for (const key of keys) out[key].push(table[key][p]);
+          }
+        }
+        newStarts[instIdx] = outStart;
+        newEnds[instIdx] = out[keys[0]]?.length ?? 0;
+      }
+      return out;
+    };
+
+    this.pointsData = rebuild(this.pointsData, false);
+    this.predPointsData = rebuild(this.predPointsData, true);
+    this.instancesData.point_id_start = newStarts;
+    this.instancesData.point_id_end = newEnds;
+  }
+
   /** Materialize all frames at once. */
   materializeAll(): LabeledFrame[] {
     const frames: LabeledFrame[] = [];
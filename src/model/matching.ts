@@ -1356,14 +1356,83 @@ export class InstanceMatcher {
     }
   }
 
+  /**
+   * Similarity score between two instances under the configured method, WITHOUT
+   * the {@link match} gate (the scoring half of `findMatches`).
+   *
+   * SPATIAL → inverse mean distance `1 / (1 + mean)` over nodes visible in both
+   * (0 if none); IOU → IoU of the visible-point bounding boxes (0 if either is
+   * missing or they do not strictly overlap); IDENTITY → 1.
+   */
+  score(inst1: Instance, inst2: Instance): number {
+    if (this.method === InstanceMatchMethod.SPATIAL) {
+      // Inverse mean distance over valid (visible-in-both, x-coord) nodes.
+      const pts1 = inst1.numpy();
+      const pts2 = inst2.numpy();
+      const distances: number[] = [];
+      const n = Math.min(pts1.length, pts2.length);
+      for (let k = 0; k < n; k += 1) {
+        const valid = !Number.isNaN(pts1[k][0]) && !Number.isNaN(pts2[k][0]);
+        if (valid) {
+          const dx = pts1[k][0] - pts2[k][0];
+          const dy = pts1[k][1] - pts2[k][1];
+          distances.push(Math.hypot(dx, dy));
+        }
+      }
+      if (!distances.length) return 0.0;
+      let sum = 0;
+      for (const d of distances) sum += d;
+      const mean = sum / distances.length;
+      return 1.0 / (1.0 + mean);
+    } else if (this.method === InstanceMatchMethod.IOU) {
+      // Actual IoU as score, recomputed from VISIBLE-point bounding boxes.
+      const bbox1 = inst1.boundingBox();
+      const bbox2 = inst2.boundingBox();
+      if (bbox1 == null || bbox2 == null) return 0.0;
+      // bbox[0] = mins, bbox[1] = maxs.
+      const interMinX = Math.max(bbox1[0][0], bbox2[0][0]);
+      const interMinY = Math.max(bbox1[0][1], bbox2[0][1]);
+      const interMaxX = Math.min(bbox1[1][0], bbox2[1][0]);
+      const interMaxY = Math.min(bbox1[1][1], bbox2[1][1]);
+      // Strict `<` on BOTH axes (touching counts as no overlap).
+      if (!(interMinX < interMaxX && interMinY < interMaxY)) return 0.0;
+      const interArea = (interMaxX - interMinX) * (interMaxY - interMinY);
+      const area1 = (bbox1[1][0] - bbox1[0][0]) * (bbox1[1][1] - bbox1[0][1]);
+      const area2 = (bbox2[1][0] - bbox2[0][0]) * (bbox2[1][1] - bbox2[0][1]);
+      const unionArea = area1 + area2 - interArea;
+      return unionArea > 0 ? interArea / unionArea : 0;
+    }
+    // IDENTITY / else: binary match.
+    return 1.0;
+  }
+
+  /**
+   * {@link score} gated by the threshold for one-to-one assignment (tracking,
+   * evaluation): NaN unless the score is positive and, for SPATIAL, the mean
+   * distance `1 / score - 1` is at most `threshold` pixels or, for IOU, the IoU
+   * is at least `threshold`. Unlike {@link match}, missing nodes only need to
+   * overlap, not coincide.
+   */
+  similarity(inst1: Instance, inst2: Instance): number {
+    const score = this.score(inst1, inst2);
+    if (!(score > 0)) return Number.NaN;
+    if (this.method === InstanceMatchMethod.SPATIAL) {
+      return 1 / score - 1 <= this.threshold ? score : Number.NaN;
+    }
+    if (this.method === InstanceMatchMethod.IOU) {
+      return score >= this.threshold ? score : Number.NaN;
+    }
+    return this.match(inst1, inst2) ? score : Number.NaN;
+  }
+
   /**
    * Find all matching instances between two lists (matching.py:716-771).
    *
    * Returns the FULL Cartesian product of `[idx1, idx2, score]` triples for
    * matching pairs (NOT greedy/one-to-one). Output order = nested-loop encounter
-   * order (`i` outer, `j` inner). The gate ({@link match}) and the score are
-   * computed by SEPARATE code paths, so a subclass that overrides `match()` to
-   * always-true still gets a correct (or zero) score.
+   * order (`i` outer, `j` inner). The gate ({@link match}) and the score
+   * ({@link score}) are computed by SEPARATE code paths, so a subclass that
+   * overrides `match()` to always-true still gets a correct (or zero) score.
    */
   findMatches(
     instances1: Instance[],
@@ -1376,61 +1445,7 @@ export class InstanceMatcher {
       for (let j = 0; j < instances2.length; j += 1) {
         const inst2 = instances2[j];
         if (this.match(inst1, inst2)) {
-          let score: number;
-          if (this.method === InstanceMatchMethod.SPATIAL) {
-            // Inverse mean distance over valid (visible-in-both, x-coord) nodes.
-            const pts1 = inst1.numpy();
-            const pts2 = inst2.numpy();
-            const distances: number[] = [];
-            const n = Math.min(pts1.length, pts2.length);
-            for (let k = 0; k < n; k += 1) {
-              const valid =
-                !Number.isNaN(pts1[k][0]) && !Number.isNaN(pts2[k][0]);
-              if (valid) {
-                const dx = pts1[k][0] - pts2[k][0];
-                const dy = pts1[k][1] - pts2[k][1];
-                distances.push(Math.hypot(dx, dy));
-              }
-            }
-            if (distances.length) {
-              let sum = 0;
-              for (const d of distances) sum += d;
-              const mean = sum / distances.length;
-              score = 1.0 / (1.0 + mean);
-            } else {
-              score = 0.0;
-            }
-          } else if (this.method === InstanceMatchMethod.IOU) {
-            // Actual IoU as score, recomputed from VISIBLE-point bounding boxes.
-            const bbox1 = inst1.boundingBox();
-            const bbox2 = inst2.boundingBox();
-            if (bbox1 != null && bbox2 != null) {
-              // bbox[0] = mins, bbox[1] = maxs.
-              const interMinX = Math.max(bbox1[0][0], bbox2[0][0]);
-              const interMinY = Math.max(bbox1[0][1], bbox2[0][1]);
-              const interMaxX = Math.min(bbox1[1][0], bbox2[1][0]);
-              const interMaxY = Math.min(bbox1[1][1], bbox2[1][1]);
-              // Strict `<` on BOTH axes (touching counts as no overlap).
-              if (interMinX < interMaxX && interMinY < interMaxY) {
-                const interArea =
-                  (interMaxX - interMinX) * (interMaxY - interMinY);
-                const area1 =
-                  (bbox1[1][0] - bbox1[0][0]) * (bbox1[1][1] - bbox1[0][1]);
-                const area2 =
-                  (bbox2[1][0] - bbox2[0][0]) * (bbox2[1][1] - bbox2[0][1]);
-                const unionArea = area1 + area2 - interArea;
-                score = unionArea > 0 ? interArea / unionArea : 0;
-              } else {
-                score = 0.0;
-              }
-            } else {
-              score = 0.0;
-            }
-          } else {
-            // IDENTITY / else: binary match.
-            score = 1.0;
-          }
-          matches.push([i, j, score]);
+          matches.push([i, j, this.score(inst1, inst2)]);
         }
       }
     }
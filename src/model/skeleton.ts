@@ -257,6 +257,106 @@ export class Skeleton {
     this.symmetries.push(new Symmetry([this.node(left), this.node(right)]));
   }
 
+  /**
+   * Remove nodes, along with every edge and symmetry that references them.
+   *
+   * Only the skeleton is changed: instance point arrays are positional and are
+   * NOT realigned. Use `Labels.removeNodes` to keep instances consistent.
+   *
+   * Mirrors Python `Skeleton.remove_nodes`.
+   *
+   * @param nodes Nodes to remove, by `Node`, name, or index.
+   * @throws Error if a node is not part of this skeleton.
+   */
+  removeNodes(nodes: NodeOrIndex[]): void {
+    const removed = new Set<Node>();
+    for (const node of nodes) {
+      const found = this.nodes[this.index(node)];
+      if (!found) throw new Error("Node index out of range.");
+      removed.add(found);
+    }
+    this.nodes = this.nodes.filter((node) => !removed.has(node));
+    this.edges = this.edges.filter(
+      (edge) => !removed.has(edge.source) && !removed.has(edge.destination),
+    );
+    this.symmetries = this.symmetries.filter((symmetry) => {
+      for (const node of symmetry.nodes) {
+        if (removed.has(node)) return false;
+      }
+      return true;
+    });
+    this.rebuildCache();
+  }
+
+  /** Remove a single node (see {@link removeNodes}). */
+  removeNode(node: NodeOrIndex): void {
+    this.removeNodes([node]);
+  }
+
+  /**
+   * Rename nodes in place. `Node` objects keep their identity, so edges,
+   * symmetries and instance points stay attached to the renamed nodes.
+   *
+   * Mirrors Python `Skeleton.rename_nodes`.
+   *
+   * @param nameMap Either a map from existing node (`Node`, name, or index) to
+   *   its new name, or an array of new names for every node in order.
+   * @throws Error if the array length differs from the node count, a source
+   *   node is missing, or the renaming would produce duplicate names.
+   */
+  renameNodes(
+    nameMap: Record<string, string> | Map<NodeOrIndex, string> | string[],
+  ): void {
+    let pairs: Array<[Node, string]>;
+    if (Array.isArray(nameMap)) {
+      if (nameMap.length !== this.nodes.length) {
+        throw new Error(
+          `Expected ${this.nodes.length} new node names, got ${nameMap.length}.`,
+        );
+      }
+      pairs = this.nodes.map((node, i) => [node, nameMap[i]]);
+    } else {
+      const entries =
+        nameMap instanceof Map ? [...nameMap] : Object.entries(nameMap);
+      pairs = entries.map(([node, name]) => [this.node(node), name]);
+    }
+    const finalNames = new Map(this.nodes.map((node) => [node, node.name]));
+    for (const [node, name] of pairs) finalNames.set(node, name);
+    if (new Set(finalNames.values()).size !== this.nodes.length) {
+      throw new Error("Renaming nodes would produce duplicate node names.");
+    }
+    for (const [node, name] of pairs) node.name = name;
+    this.rebuildCache();
+  }
+
+  /** Rename a single node (see {@link renameNodes}). */
+  renameNode(oldName: NodeOrIndex, newName: string): void {
+    this.renameNodes(new Map([[oldName, newName]]));
+  }
+
+  /**
+   * Reorder the nodes. `newOrder` must list every node exactly once.
+   *
+   * Only the skeleton is changed; use `Labels.reorderNodes` to permute
+   * instance points along with it.
+   *
+   * Mirrors Python `Skeleton.reorder_nodes`.
+   *
+   * @throws Error if `newOrder` is not a permutation of the current nodes.
+   */
+  reorderNodes(newOrder: NodeOrIndex[]): void {
+    const ordered = newOrder.map((node) => this.node(node));
+    if (
+      ordered.length !== this.nodes.length ||
+      ordered.some((node) => !this.nodeToIndex.has(node)) ||
+      new Set(ordered).size !== this.nodes.length
+    ) {
+      throw new Error("New node order must list every node exactly once.");
+    }
+    this.nodes = ordered;
+    this.rebuildCache();
+  }
+
   private edgeFrom(edge: [NodeOrIndex, NodeOrIndex]): Edge {
     const [source, destination] = edge;
     return new Edge(this.node(source), this.node(destination));
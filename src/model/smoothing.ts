@@ -0,0 +1,362 @@
+/**
+ * Temporal smoothing of pose trajectories.
+ *
+ * Filters run per track and per node along the frame axis of the
+ * `(frames, tracks, nodes, xy)` layout produced by `Labels.numpy()`. Missing
+ * samples (NaN) are never invented: they stay NaN in the output, and each
+ * filter only draws on the finite samples around a frame. Entry point for
+ * most callers is `Labels.smooth()`, which writes the results back.
+ */
+
+import type { NodeOrIndex, Skeleton } from "./skeleton.js";
+
+/** Available smoothing filters. */
+export type SmoothingMethod = "median" | "savgol" | "exponential" | "kalman";
+
+/** Options for {@link smoothTrajectories} and `Labels.smooth()`. */
+export interface SmoothingOptions {
+  /** Filter to apply (default `"savgol"`). */
+  method?: SmoothingMethod;
+  /** Odd window length in frames for `median` / `savgol` (default 5). */
+  windowSize?: number;
+  /** Polynomial order for `savgol`, `< windowSize` (default 2). */
+  polyorder?: number;
+  /** Weight of the newest sample for `exponential`, in `(0, 1]` (default 0.5). */
+  alpha?: number;
+  /** Acceleration noise variance for `kalman` (default 1). */
+  processNoise?: number;
+  /** Measurement noise variance (px²) for `kalman` (default 4). */
+  measurementNoise?: number;
+  /** Nodes to smooth (names or indices); defaults to every node. */
+  nodes?: NodeOrIndex[];
+}
+
+/**
+ * Median over a centered window of the finite samples (the window shrinks at
+ * the ends). NaN samples stay NaN.
+ */
+export function medianFilter(
+  series: ArrayLike<number>,
+  windowSize = 5,
+): Float64Array {
+  checkWindow(windowSize);
+  const n = series.length;
+  const half = windowSize >> 1;
+  const out = new Float64Array(n).fill(Number.NaN);
+  const buf: number[] = [];
+  for (let i = 0; i < n; i += 1) {
+    if (!Number.isFinite(series[i])) continue;
+    buf.length = 0;
+    for (
+      let j = Math.max(0, i - half);
+      j <= Math.min(n - 1, i + half);
+      j += 1
+    ) {
+      if (Number.isFinite(series[j])) buf.push(series[j]);
+    }
+    buf.sort((a, b) => a - b);
+    const mid = buf.length >> 1;
+    out[i] = buf.length % 2 ? buf[mid] : (buf[mid - 1] + buf[mid]) / 2;
+  }
+  return out;
+}
+
+/**
+ * Savitzky–Golay filter: a least-squares polynomial of order `polyorder` fit to
+ * the finite samples in each window and evaluated at the frame.
+ *
+ * With no gaps this matches SciPy `savgol_filter(mode="interp")`: windows are
+ * shifted inward at the ends rather than padded. Around gaps the fit uses the
+ * remaining samples; if fewer than `polyorder + 1` remain the sample is kept
+ * as-is. NaN samples stay NaN.
+ */
+export function savgolFilter(
+  series: ArrayLike<number>,
+  windowSize = 5,
+  polyorder = 2,
+): Float64Array {
+  checkWindow(windowSize);
+  if (
+    !Number.isInteger(polyorder) ||
+    polyorder < 0 ||
+    polyorder >= windowSize
+  ) {
+    throw new Error(
+      `polyorder must be an integer in [0, windowSize), got ${polyorder}.`,
+    );
+  }
+  const n = series.length;
+  const half = windowSize >> 1;
+  const order = polyorder + 1;
+  const out = new Float64Array(n).fill(Number.NaN);
+  for (let i = 0; i < n; i += 1) {
+    if (!Number.isFinite(series[i])) continue;
+    let start = i - half;
+    let end = i + half;
+    if (n >= windowSize) {
+      if (start < 0) [start, end] = [0, windowSize - 1];
+      if (end > n - 1) [start, end] = [n - windowSize, n - 1];
+    } else {
+      [start, end] = [0, n - 1];
+    }
+    // Normal equations for a polynomial in (t - i).
+    const ata = Array.from({ length: order }, () => new Array(order).fill(0));
+    const atb = new Array(order).fill(0);
+    let count = 0;
+    for (let j = start; j <= end; j += 1) {
+      const y = series[j];
+      if (!Number.isFinite(y)) continue;
+      count += 1;
+      const powers = [1];
+      for (let k = 1; k < 2 * order - 1; k += 1) {
+        powers.push(powers[k - 1] * (j - i));
+      }
+      for (let r = 0; r < order; r += 1) {
+        atb[r] += powers[r] * y;
+        for (let c = 0; c < order; c += 1) ata[r][c] += powers[r + c];
+      }
+    }
+    if (count < order) {
+      out[i] = series[i];
+      continue;
+    }
+    // The constant term of the fit is the value at t = i.
+    out[i] = solveLinear(ata, atb)[0];
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average `s[t] = α·x[t] + (1 − α)·s[t−1]`, run forward
+ * (causal). A gap resets the average, so the first sample after it is kept
+ * as-is. NaN samples stay NaN.
+ */
+export function exponentialFilter(
+  series: ArrayLike<number>,
+  alpha = 0.5,
+): Float64Array {
+  if (!(alpha > 0 && alpha <= 1)) {
+    throw new Error(`alpha must be in (0, 1], got ${alpha}.`);
+  }
+  const n = series.length;
+  const out = new Float64Array(n).fill(Number.NaN);
+  let state = Number.NaN;
+  for (let i = 0; i < n; i += 1) {
+    const x = series[i];
+    if (!Number.isFinite(x)) {
+      state = Number.NaN;
+      continue;
+    }
+    state = Number.isNaN(state) ? x : alpha * x + (1 - alpha) * state;
+    out[i] = state;
+  }
+  return out;
+}
+
+/**
+ * Constant-velocity Kalman smoother for one coordinate: a forward Kalman
+ * filter over the state `[position, velocity]` followed by a
+ * Rauch–Tung–Striebel backward pass. Missing samples are bridged by prediction
+ * only (so the state carries across short gaps) but stay NaN in the output.
+ *
+ * @param options.processNoise - White-acceleration noise variance (default 1).
+ * @param options.measurementNoise - Measurement variance (default 4).
+ */
+export function kalmanFilter(
+  series: ArrayLike<number>,
+  options?: { processNoise?: number; measurementNoise?: number },
+): Float64Array {
+  const q = options?.processNoise ?? 1;
+  const r = options?.measurementNoise ?? 4;
+  if (!(q >= 0) || !(r > 0)) {
+    throw new Error("processNoise must be >= 0 and measurementNoise > 0.");
+  }
+  const n = series.length;
+  const out = new Float64Array(n).fill(Number.NaN);
+  const first = Array.prototype.findIndex.call(series, (x: number) =>
+    Number.isFinite(x),
+  );
+  if (first < 0) return out;
+
+  // Filtered state means/covariances [p, v] / [[a, b], [b, d]] per frame, plus
+  // the predicted ones needed by the RTS pass.
+  const fm = new Float64Array(2 * n);
+  const fc = new Float64Array(3 * n);
+  const pm = new Float64Array(2 * n);
+  const pc = new Float64Array(3 * n);
+  // Discrete white-noise acceleration model with dt = 1.
+  const q11 = q / 4;
+  const q12 = q / 2;
+  const q22 = q;
+
+  let p = series[first];
+  let v = 0;
+  let a = r;
+  let b = 0;
+  let d = 1e4;
+  for (let i = first; i < n; i += 1) {
+    if (i > first) {
+      // Predict: x = F x, P = F P Fᵀ + Q with F = [[1, 1], [0, 1]].
+      p += v;
+      const na = a + 2 * b + d + q11;
+      const nb = b + d + q12;
+      const nd = d + q22;
+      a = na;
+      b = nb;
+      d = nd;
+    }
+    pm[2 * i] = p;
+    pm[2 * i + 1] = v;
+    pc[3 * i] = a;
+    pc[3 * i + 1] = b;
+    pc[3 * i + 2] = d;
+    const z = series[i];
+    if (Number.isFinite(z) && i > first) {
+      const s = a + r;
+      const k1 = a / s;
+      const k2 = b / s;
+      const innovation = z - p;
+      p += k1 * innovation;
+      v += k2 * innovation;
+      const na = (1 - k1) * a;
+      const nb = (1 - k1) * b;
+      const nd = d - k2 * b;
+      a = na;
+      b = nb;
+      d = nd;
+    }
+    fm[2 * i] = p;
+    fm[2 * i + 1] = v;
+    fc[3 * i] = a;
+    fc[3 * i + 1] = b;
+    fc[3 * i + 2] = d;
+  }
+
+  // RTS backward pass: x_s[i] = x_f[i] + C (x_s[i+1] − x_p[i+1]),
+  // C = P_f[i] Fᵀ P_p[i+1]⁻¹.
+  let sp = fm[2 * (n - 1)];
+  let sv = fm[2 * (n - 1) + 1];
+  if (Number.isFinite(series[n - 1])) out[n - 1] = sp;
+  for (let i = n - 2; i >= first; i -= 1) {
+    const fa = fc[3 * i];
+    const fb = fc[3 * i + 1];
+    const fd = fc[3 * i + 2];
+    // P_f Fᵀ = [[fa + fb, fb], [fb + fd, fd]].
+    const m11 = fa + fb;
+    const m12 = fb;
+    const m21 = fb + fd;
+    const m22 = fd;
+    const pa = pc[3 * (i + 1)];
+    const pb = pc[3 * (i + 1) + 1];
+    const pd = pc[3 * (i + 1) + 2];
+    const det = pa * pd - pb * pb;
+    const i11 = pd / det;
+    const i12 = -pb / det;
+    const i22 = pa / det;
+    const c11 = m11 * i11 + m12 * i12;
+    const c12 = m11 * i12 + m12 * i22;
+    const c21 = m21 * i11 + m22 * i12;
+    const c22 = m21 * i12 + m22 * i22;
+    const dp = sp - pm[2 * (i + 1)];
+    const dv = sv - pm[2 * (i + 1) + 1];
+    sp = fm[2 * i] + c11 * dp + c12 * dv;
+    sv = fm[2 * i + 1] + c21 * dp + c22 * dv;
+    if (Number.isFinite(series[i])) out[i] = sp;
+  }
+  return out;
+}
+
+/**
+ * Smooth a `(frames, tracks, nodes, xy[, score])` array along the frame axis,
+ * independently per track, node and coordinate. Only the first two channels
+ * are filtered; any extra channel (e.g. confidence) is copied through.
+ *
+ * @param skeleton Needed only to resolve `options.nodes` given by name.
+ * @returns A new array of the same shape.
+ */
+export function smoothTrajectories(
+  array: number[][][][],
+  options: SmoothingOptions = {},
+  skeleton?: Skeleton,
+): number[][][][] {
+  const out = array.map((frame) =>
+    frame.map((track) => track.map((node) => [...node])),
+  );
+  const nFrames = array.length;
+  if (!nFrames) return out;
+  const nTracks = array[0].length;
+  const nNodes = array[0][0]?.length ?? 0;
+  const nodes = options.nodes
+    ? options.nodes.map((node) => {
+        if (typeof node === "number") return node;
+        if (!skeleton) {
+          throw new Error("A skeleton is required to select nodes by name.");
+        }
+        return skeleton.index(node);
+      })
+    : Array.from({ length: nNodes }, (_, i) => i);
+  const filter = makeFilter(options);
+
+  const series = new Float64Array(nFrames);
+  for (let t = 0; t < nTracks; t += 1) {
+    for (const node of nodes) {
+      for (let c = 0; c < 2; c += 1) {
+        for (let f = 0; f < nFrames; f += 1) series[f] = array[f][t][node][c];
+        const smoothed = filter(series);
+        for (let f = 0; f < nFrames; f += 1) out[f][t][node][c] = smoothed[f];
+      }
+    }
+  }
+  return out;
+}
+
+function makeFilter(
+  options: SmoothingOptions,
+): (series: Float64Array) => Float64Array {
+  const method = options.method ?? "savgol";
+  switch (method) {
+    case "median":
+      return (s) => medianFilter(s, options.windowSize ?? 5);
+    case "savgol":
+      return (s) =>
+        savgolFilter(s, options.windowSize ?? 5, options.polyorder ?? 2);
+    case "exponential":
+      return (s) => exponentialFilter(s, options.alpha ?? 0.5);
+    case "kalman":
+      return (s) => kalmanFilter(s, options);
+    default:
+      throw new Error(`Unknown smoothing method: ${method}`);
+  }
+}
+
+function checkWindow(windowSize: number): void {
+  if (!Number.isInteger(windowSize) || windowSize < 1 || windowSize % 2 === 0) {
+    throw new Error(
+      `windowSize must be a positive odd integer, got ${windowSize}.`,
+    );
+  }
+}
+
+/** Solve a small dense system by Gaussian elimination with partial pivoting. */
+function solveLinear(a: number[][], b: number[]): number[] {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r += 1) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r += 1) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c += 1) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r -= 1) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c += 1) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
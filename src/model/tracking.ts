@@ -0,0 +1,234 @@
+/**
+ * Frame-to-frame tracking: link untracked `PredictedInstance`s over time by
+ * assigning them `Track`s.
+ *
+ * Candidate costs come from {@link InstanceMatcher.similarity} (SPATIAL inverse
+ * mean distance or IOU, gated by the matcher's threshold), and each frame is
+ * solved as an optimal one-to-one assignment ({@link linearSumAssignment}).
+ * Entry point for most callers is `Labels.track()`.
+ */
+
+import { FORBIDDEN_COST, linearSumAssignment } from "./assignment.js";
+import { type Instance, PredictedInstance, Track } from "./instance.js";
+import type { LabeledFrame } from "./labeled-frame.js";
+import { InstanceMatcher, InstanceMatchMethod } from "./matching.js";
+
+/** Options for {@link Tracker} (and `Labels.track()`). */
+export interface TrackerOptions {
+  /**
+   * Matcher supplying the similarity and its gate. Overrides `method` and
+   * `threshold`. Only SPATIAL and IOU are supported.
+   */
+  matcher?: InstanceMatcher;
+  /** `"spatial"` (default) or `"iou"`. */
+  method?: InstanceMatchMethod | string;
+  /**
+   * Gate: maximum mean node distance in pixels for SPATIAL (default
+   * `Infinity`, i.e. any pair sharing a visible node), minimum IoU for IOU
+   * (default `0`, i.e. any overlap).
+   */
+  threshold?: number;
+  /** Number of most recent instances per track compared against (default 5). */
+  window?: number;
+  /**
+   * Maximum number of tracks per video that can still take instances; `null`
+   * (default) is unbounded. Culled tracks count only when `reentry` is on, since
+   * otherwise they never match again.
+   */
+  maxTracks?: number | null;
+  /**
+   * Frames a track may go unmatched before it is culled from matching; `null`
+   * (default) never culls.
+   */
+  maxTrackAge?: number | null;
+  /**
+   * If `true`, instances left over after matching live tracks are matched
+   * against culled tracks before new tracks are spawned (default `false`).
+   * Otherwise an animal that reappears after its track was culled gets a new
+   * track; the culled one keeps its earlier instances (and its place in
+   * `Labels.tracks`).
+   */
+  reentry?: boolean;
+  /** Prefix for spawned track names (default `"track_"`). */
+  trackNamePrefix?: string;
+}
+
+interface TrackState {
+  track: Track;
+  history: Instance[];
+  lastFrameIdx: number;
+  culled: boolean;
+}
+
+/**
+ * Greedy-in-time, optimal-per-frame tracker.
+ *
+ * Frames are visited in `frameIdx` order. Each frame's predicted instances are
+ * assigned to live tracks by maximizing the total similarity, where an
+ * instance's similarity to a track is its best matcher score against the
+ * track's last `window` instances, and pairs failing the matcher's threshold
+ * are never assigned. Leftovers optionally re-enter culled tracks, then spawn
+ * new tracks while fewer than `maxTracks` can still take instances (culled
+ * tracks count only with `reentry`); anything beyond that is left with
+ * `track = null`.
+ *
+ * Assigned instances get `trackingScore` = the similarity of their match
+ * (`0` when they spawned a track). User instances are ignored.
+ */
+export class Tracker {
+  matcher: InstanceMatcher;
+  window: number;
+  maxTracks: number | null;
+  maxTrackAge: number | null;
+  reentry: boolean;
+  trackNamePrefix: string;
+
+  /**
+   * @throws Error if the matcher method is not SPATIAL or IOU, or `window` /
+   *   `maxTracks` / `maxTrackAge` are out of range.
+   */
+  constructor(options: TrackerOptions = {}) {
+    if (options.matcher) {
+      this.matcher = options.matcher;
+    } else {
+      const matcher = new InstanceMatcher(
+        options.method ?? InstanceMatchMethod.SPATIAL,
+      );
+      matcher.threshold =
+        options.threshold ??
+        (matcher.method === InstanceMatchMethod.IOU ? 0 : Infinity);
+      this.matcher = matcher;
+    }
+    if (
+      this.matcher.method !== InstanceMatchMethod.SPATIAL &&
+      this.matcher.method !== InstanceMatchMethod.IOU
+    ) {
+      throw new Error(
+        `Tracking supports only spatial or iou matching, got '${this.matcher.method}'.`,
+      );
+    }
+    this.window = options.window ?? 5;
+    this.maxTracks = options.maxTracks ?? null;
+    this.maxTrackAge = options.maxTrackAge ?? null;
+    this.reentry = options.reentry ?? false;
+    this.trackNamePrefix = options.trackNamePrefix ?? "track_";
+    if (!Number.isInteger(this.window) || this.window < 1) {
+      throw new Error(`window must be a positive integer, got ${this.window}.`);
+    }
+    if (this.maxTracks != null && this.maxTracks < 0) {
+      throw new Error(`maxTracks must be >= 0, got ${this.maxTracks}.`);
+    }
+    if (this.maxTrackAge != null && this.maxTrackAge < 0) {
+      throw new Error(`maxTrackAge must be >= 0, got ${this.maxTrackAge}.`);
+    }
+  }
+
+  /**
+   * Track the predicted instances of one video's frames (any order), setting
+   * `track` / `trackingScore` on each in place.
+   *
+   * @param frames Frames of a single video.
+   * @param usedNames Track names to avoid when naming spawned tracks; spawned
+   *   names are added to it.
+   * @returns The tracks spawned, in creation order.
+   */
+  trackFrames(
+    frames: LabeledFrame[],
+    usedNames: Set<string> = new Set(),
+  ): Track[] {
+    const sorted = [...frames].sort((a, b) => a.frameIdx - b.frameIdx);
+    const states: TrackState[] = [];
+    let nameCounter = 0;
+
+    for (const lf of sorted) {
+      const instances = lf.instances.filter(
+        (inst): inst is PredictedInstance => inst instanceof PredictedInstance,
+      );
+      if (!instances.length) continue;
+
+      if (this.maxTrackAge != null) {
+        for (const state of states) {
+          if (lf.frameIdx - state.lastFrameIdx > this.maxTrackAge) {
+            state.culled = true;
+          }
+        }
+      }
+
+      let pending = instances;
+      const attach = (
+        inst: PredictedInstance,
+        state: TrackState,
+        score: number,
+      ) => {
+        inst.track = state.track;
+        inst.trackingScore = score;
+        state.history.push(inst);
+        if (state.history.length > this.window) state.history.shift();
+        state.lastFrameIdx = lf.frameIdx;
+        state.culled = false;
+      };
+      const assign = (candidates: TrackState[]) => {
+        if (!pending.length || !candidates.length) return;
+        const similarity = pending.map((inst) =>
+          candidates.map((state) => this.similarity(inst, state.history)),
+        );
+        const pairs = linearSumAssignment(
+          similarity.map((row) =>
+            row.map((s) => (Number.isNaN(s) ? FORBIDDEN_COST : -s)),
+          ),
+        );
+        const matched = new Set<PredictedInstance>();
+        for (const [r, c] of pairs) {
+          if (Number.isNaN(similarity[r][c])) continue;
+          attach(pending[r], candidates[c], similarity[r][c]);
+          matched.add(pending[r]);
+        }
+        pending = pending.filter((inst) => !matched.has(inst));
+      };
+
+      assign(states.filter((state) => !state.culled));
+      if (this.reentry) assign(states.filter((state) => state.culled));
+
+      let openTracks = this.reentry
+        ? states.length
+        : states.filter((state) => !state.culled).length;
+      for (const inst of pending) {
+        if (this.maxTracks != null && openTracks >= this.maxTracks) {
+          inst.track = null;
+          inst.trackingScore = 0;
+          continue;
+        }
+        let name = `${this.trackNamePrefix}${nameCounter}`;
+        while (usedNames.has(name)) {
+          nameCounter += 1;
+          name = `${this.trackNamePrefix}${nameCounter}`;
+        }
+        usedNames.add(name);
+        const state: TrackState = {
+          track: new Track(name),
+          history: [],
+          lastFrameIdx: lf.frameIdx,
+          culled: false,
+        };
+        states.push(state);
+        openTracks += 1;
+        attach(inst, state, 0);
+      }
+    }
+
+    return states.map((state) => state.track);
+  }
+
+  /**
+   * Best {@link InstanceMatcher.similarity} of `inst` against a track's recent
+   * instances, or NaN if none passes the threshold.
+   */
+  private similarity(inst: Instance, history: Instance[]): number {
+    let best = Number.NaN;
+    for (const other of history) {
+      const score = this.matcher.similarity(inst, other);
+      if (!Number.isNaN(score) && !(score <= best)) best = score;
+    }
+    return best;
+  }
+}
@@ -5,14 +5,17 @@ import type {
 } from "../video/backend.js";
 import { CropVideoBackend } from "../video/crop-backend.js";
 import { GrayscaleVideoBackend } from "../video/grayscale-backend.js";
+import { ResizeVideoBackend } from "../video/resize-backend.js";
 import {
   cropPoints,
   uncropPoints,
+  scalePoints,
+  unscalePoints,
   type CropRect,
   type FlatPoints,
   type PointPairs,
 } from "../transform/points.js";
-import type { Fill } from "../transform/frame.js";
+import type { Fill, ResizeInterpolation } from "../transform/frame.js";
 import { headOrRangeProbe, isUrl } from "../io/remote.js";
 
 /**
@@ -54,6 +57,18 @@ export interface CropOptions {
   shareDecode?: boolean;
 }
 
+/** Options for {@link Video.resize}. */
+export interface ResizeOptions {
+  /** Resampling method. Default `"bilinear"`. */
+  interpolation?: ResizeInterpolation;
+  /**
+   * If `true` (the default), the resized view reuses this video's backend and
+   * does NOT own it (closing the view leaves this video open). Maps to
+   * `ownsInner = !shareDecode` on {@link ResizeVideoBackend.wrap}.
+   */
+  shareDecode?: boolean;
+}
+
 /**
  * Resolve a crop region spec into an integer `[x1, y1, x2, y2]` rect.
  *
@@ -143,7 +158,7 @@ export function resolveCropRect(
 /**
  * Why a video's backend could not be opened during load (the backend is then
  * left `null`). Drives the consumer's message/action — e.g. "locate image
- * folder" for an image-sequence, "unsupported format" for `.avi`/`.mpeg`.
+ * folder" for an image-sequence, "unsupported format" for `.mpeg`.
  */
 export type VideoBackendErrorKind =
   | "image-sequence"
@@ -368,6 +383,15 @@ export class Video {
           "port has no filesystem auto-open) before cropping.",
       );
     }
+    if (this.isResized) {
+      // Crop rects are in source pixels and the resize applies to the cropped
+      // view (Grayscale(Resize(Crop(raw)))); a crop of a resized view has no
+      // such representation.
+      throw new Error(
+        "Cannot crop a resized video: crop rects are in source pixels. Crop " +
+          "the source video first, then resize the cropped view.",
+      );
+    }
     const fill: Fill = opts.fill ?? 0;
     const shareDecode = opts.shareDecode ?? true;
 
@@ -424,6 +448,180 @@ export class Video {
     return cropped;
   }
 
+  /**
+   * Return a virtual, on-read resized view of this video.
+   *
+   * `scale` is either a factor relative to this video's current frame size
+   * (e.g. `0.5` halves both sides, rounding to whole pixels) or an explicit
+   * output `[height, width]`. Frames are decoded on read and resampled with
+   * `interpolation`; nothing is re-encoded. Resizing a resized video resizes
+   * its source once to the new size, and a cropped video is resized after the
+   * crop (the crop rect stays in source pixels).
+   *
+   * `sourceVideo` is set to this video, and `backendMetadata` is seeded with
+   * the resized `shape`, the unresized `source_shape`, the output size
+   * (`resize`), the factor `[sx, sy]` (`resize_scale`) and
+   * `resize_interpolation`. These ride `videos_json` through `saveSlp`, so a
+   * reload re-applies the resize. Map points between the frames with
+   * {@link toScaledCoords}/{@link toUnscaledCoords}.
+   *
+   * @param scale A positive factor, or the output `[height, width]`.
+   * @param opts `interpolation` and `shareDecode`.
+   * @returns A new `Video` exposing the resized view.
+   * @throws Error If there is no backend to resize, a factor is given but the
+   *   frame size is unknown, or the factor/size is invalid.
+   */
+  resize(scale: number | [number, number], opts: ResizeOptions = {}): Video {
+    if (this.backend == null) {
+      throw new Error(
+        "Cannot resize a video with no open backend. Provide a backend (the JS " +
+          "port has no filesystem auto-open) before resizing.",
+      );
+    }
+    const viewShape = this.shape;
+    let size: [number, number];
+    if (Array.isArray(scale)) {
+      size = [scale[0], scale[1]];
+    } else {
+      if (!(scale > 0 && Number.isFinite(scale))) {
+        throw new Error(
+          `Invalid resize factor ${scale}: expected a positive, finite number.`,
+        );
+      }
+      if (viewShape == null) {
+        throw new Error(
+          "Cannot resize by a factor: the video's frame size is unknown. Pass " +
+            "an explicit [height, width] instead.",
+        );
+      }
+      size = [
+        Math.max(1, Math.round(viewShape[1] * scale)),
+        Math.max(1, Math.round(viewShape[2] * scale)),
+      ];
+    }
+    const shareDecode = opts.shareDecode ?? true;
+
+    // Canonical wrap order is Grayscale(Resize(...)), as for crop.
+    const grayscaleLayer =
+      this.backend instanceof GrayscaleVideoBackend ? this.backend : null;
+    const inner = grayscaleLayer ? grayscaleLayer.inner : this.backend;
+    const resizedBackend = ResizeVideoBackend.wrap({
+      inner,
+      size,
+      interpolation: opts.interpolation,
+      ownsInner: !shareDecode,
+    });
+    const finalBackend = grayscaleLayer
+      ? GrayscaleVideoBackend.wrap({
+          inner: resizedBackend,
+          grayscale: grayscaleLayer.grayscale,
+        })
+      : resizedBackend;
+
+    const resized = new Video({
+      filename: this.filename,
+      backend: finalBackend,
+      sourceVideo: this,
+      openBackend: this.openBackend,
+    });
+    const [height, width] = resizedBackend.size;
+    resized.backendMetadata = {
+      ...this.backendMetadata,
+      shape:
+        viewShape != null
+          ? ([viewShape[0], height, width, viewShape[3]] as [
+              number,
+              number,
+              number,
+              number,
+            ])
+          : null,
+      // The raw source shape (already recorded when this video is a crop or a
+      // resize), so a closed re-serialize describes the full frame.
+      source_shape:
+        this.backendMetadata.source_shape ??
+        (viewShape != null ? [...viewShape] : null),
+      resize: [height, width],
+      resize_scale: resizedBackend.scale,
+      resize_interpolation: resizedBackend.interpolation,
+    };
+    return resized;
+  }
+
+  /** The resize layer of this video's backend (under any grayscale layer). */
+  private _resizeBackend(): ResizeVideoBackend | null {
+    const backend =
+      this.backend instanceof GrayscaleVideoBackend
+        ? this.backend.inner
+        : this.backend;
+    return backend instanceof ResizeVideoBackend ? backend : null;
+  }
+
+  /** Whether this video is a virtual resize of another video. */
+  get isResized(): boolean {
+    return (
+      this._resizeBackend() !== null || this.backendMetadata.resize != null
+    );
+  }
+
+  /**
+   * Resize factor `[sx, sy]` (resized over unresized width/height), or `null`
+   * if this video is not resized or the factor is unknown. Reads the open
+   * backend, else `backendMetadata.resize_scale` (closed path).
+   */
+  get resizeScale(): [number, number] | null {
+    const scale =
+      this._resizeBackend()?.scale ?? this.backendMetadata.resize_scale;
+    return scale != null
+      ? ([...(scale as number[])] as [number, number])
+      : null;
+  }
+
+  /**
+   * Map unresized `(x, y)` coordinates (source, or the cropped frame for a
+   * cropped video) into this video's resized frame. If this video is not
+   * resized, a copy of `points` is returned unchanged (NaN preserved).
+   * Accepts a flat interleaved buffer or an array of `[x, y]` pairs and
+   * returns the same kind.
+   *
+   * @throws Error If the video is resized but its factor is unknown.
+   */
+  toScaledCoords<T extends FlatPoints>(points: T): T;
+  toScaledCoords(points: PointPairs): [number, number][];
+  toScaledCoords(
+    points: FlatPoints | PointPairs,
+  ): FlatPoints | [number, number][] {
+    if (!this.isResized) return copyPoints(points);
+    return scalePoints(points as FlatPoints, this._requireResizeScale());
+  }
+
+  /**
+   * Map resized-frame `(x, y)` coordinates back to unresized coordinates.
+   * Inverse of {@link toScaledCoords}; compose with {@link toSourceCoords} to
+   * reach full-resolution source pixels for a cropped-and-resized video.
+   *
+   * @throws Error If the video is resized but its factor is unknown.
+   */
+  toUnscaledCoords<T extends FlatPoints>(points: T): T;
+  toUnscaledCoords(points: PointPairs): [number, number][];
+  toUnscaledCoords(
+    points: FlatPoints | PointPairs,
+  ): FlatPoints | [number, number][] {
+    if (!this.isResized) return copyPoints(points);
+    return unscalePoints(points as FlatPoints, this._requireResizeScale());
+  }
+
+  private _requireResizeScale(): [number, number] {
+    const scale = this.resizeScale;
+    if (scale == null) {
+      throw new Error(
+        "Cannot map coordinates for this resized video: its resize factor is " +
+          "unknown (the unresized frame size was never resolved).",
+      );
+    }
+    return scale;
+  }
+
   /**
    * Crop a `Video` and return a virtual cropped view.
    *
@@ -0,0 +1,399 @@
+// src/rendering/canvas-render.ts
+//
+// Browser-safe single-frame renderer: the default `renderFrame` of
+// encodeVideo() when render.ts (skia-canvas) is not loaded. Draws one
+// LabeledFrame with the per-frame options of `buildFrameRenderer` onto an
+// OffscreenCanvas (or a DOM canvas), using the same marker, trail and raster
+// overlay helpers as `renderImage`. Bounding-box and ROI overlays draw through
+// skia-canvas, so they are rejected here.
+
+import type { LabeledFrame } from "../model/labeled-frame.js";
+import type { Centroid } from "../model/centroid.js";
+import type { SegmentationMask } from "../model/mask.js";
+import type { LabelImage } from "../model/label-image.js";
+import type { PredictedInstance, Track } from "../model/instance.js";
+import type { Skeleton } from "../model/skeleton.js";
+import type { Overlay, PaletteName, RenderOptions, RGB } from "./types.js";
+import {
+  buildColorMap,
+  DEFAULT_COLOR,
+  determineColorScheme,
+  getPalette,
+  resolveColor,
+  rgbToCSS,
+} from "./colors.js";
+import { DEFAULT_RENDER_OPTIONS } from "./frames.js";
+import { drawCircle, drawTrails, getMarkerFunction } from "./shapes.js";
+import type { DrawTrailsOptions } from "./shapes.js";
+import {
+  collectTracks,
+  computeTrails,
+  nTrailPaletteColors,
+  resolveTrailNode,
+} from "./trails.js";
+import { RenderContext, InstanceContext } from "./context.js";
+import {
+  drawLabelImage,
+  drawMasks,
+  type RawLabelImage,
+} from "./overlays-raster.js";
+
+/** A 2D canvas and its context, from OffscreenCanvas or the DOM. */
+interface Surface {
+  canvas: CanvasImageSource;
+  ctx: CanvasRenderingContext2D;
+}
+
+function createSurface(width: number, height: number): Surface {
+  if (typeof OffscreenCanvas !== "undefined") {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    if (ctx) {
+      return { canvas, ctx: ctx as unknown as CanvasRenderingContext2D };
+    }
+  }
+  if (typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    if (ctx) return { canvas, ctx };
+  }
+  throw new Error(
+    "renderFrameCanvas needs OffscreenCanvas or a DOM canvas. In Node, " +
+      "import the main entry (which draws with renderImage) or pass " +
+      "renderFrame.",
+  );
+}
+
+/**
+ * Render poses on one frame with a 2D canvas, without skia-canvas.
+ *
+ * Draws what `renderImage` draws for a `LabeledFrame`, in the same order: the
+ * background (`image` or `background`), the raster overlay (segmentation masks
+ * or a label image; the frame's masks when no `overlay` is given) and
+ * centroids, motion trails, then edges and nodes, with the same callbacks.
+ * Frame size falls back to the video's shape when neither `image` nor
+ * `width`/`height` is given.
+ *
+ * @param frame - Labeled frame to render
+ * @param options - Rendering options, as built by `buildFrameRenderer`
+ * @returns ImageData with rendered poses
+ * @throws If the overlay holds bounding boxes or ROIs, or no canvas exists.
+ */
+export function renderFrameCanvas(
+  frame: LabeledFrame,
+  options: RenderOptions = {},
+): ImageData {
+  const opts = { ...DEFAULT_RENDER_OPTIONS, ...options };
+  const instances = frame.instances;
+  const skeleton = instances.length > 0 ? instances[0].skeleton : null;
+
+  const overlay: Overlay | undefined =
+    opts.overlay ?? (frame.masks.length > 0 ? [...frame.masks] : undefined);
+  const centroids: Centroid[] = frame.centroids ?? [];
+  const trailsPossible = opts.showTrails && opts.trailLength > 0;
+  if (
+    instances.length === 0 &&
+    !opts.image &&
+    overlay === undefined &&
+    centroids.length === 0 &&
+    !trailsPossible
+  ) {
+    throw new Error("No instances to render and no background image provided");
+  }
+
+  const shape = frame.video?.shape;
+  const width = opts.image?.width ?? opts.width ?? shape?.[2];
+  const height = opts.image?.height ?? opts.height ?? shape?.[1];
+  if (!width || !height) {
+    throw new Error(
+      "Cannot determine frame size. Provide image, width/height options, or ensure source has frame data.",
+    );
+  }
+
+  const scaledWidth = Math.round(width * opts.scale);
+  const scaledHeight = Math.round(height * opts.scale);
+  const surface = createSurface(scaledWidth, scaledHeight);
+  const ctx = surface.ctx;
+
+  if (opts.image) {
+    if (opts.scale === 1) {
+      ctx.putImageData(opts.image, 0, 0);
+    } else {
+      const source = createSurface(opts.image.width, opts.image.height);
+      source.ctx.putImageData(opts.image, 0, 0);
+      ctx.drawImage(source.canvas, 0, 0, scaledWidth, scaledHeight);
+    }
+  } else if (opts.background !== "transparent") {
+    ctx.fillStyle = rgbToCSS(resolveColor(opts.background));
+    ctx.fillRect(0, 0, scaledWidth, scaledHeight);
+  }
+
+  // Per-frame tracks, unless buildFrameRenderer passed the project's map.
+  const trackIndexMap: Map<Track, number> =
+    opts.overlayTrackIndexMap ??
+    new Map(
+      [
+        ...new Set(
+          instances.map((inst) => inst.track).filter((t) => t != null),
+        ),
+      ].map((t, i) => [t as Track, i]),
+    );
+  const tracks = Array.from(trackIndexMap.keys());
+  const colorScheme = determineColorScheme(
+    opts.colorBy,
+    instances.some((inst) => inst.track != null),
+    true,
+  );
+  const trackColor = (track: Track | null | undefined, palette: RGB[]) => {
+    const idx = track ? trackIndexMap.get(track) : undefined;
+    return idx !== undefined ? palette[idx % palette.length] : palette[0];
+  };
+
+  // Overlay and centroids are blended in source pixels, then scaled once, as
+  // in renderImage.
+  if (overlay !== undefined || centroids.length > 0) {
+    const source = opts.scale === 1 ? surface : createSurface(width, height);
+    if (source !== surface) {
+      source.ctx.drawImage(surface.canvas, 0, 0, width, height);
+    }
+    if (overlay !== undefined) {
+      const image = source.ctx.getImageData(0, 0, width, height);
+      const trackColored =
+        colorScheme === "track" &&
+        opts.overlayTrackIndexMap != null &&
+        trackIndexMap.size > 0;
+      applyRasterOverlay(image, overlay, opts, (masks) =>
+        trackColored
+          ? masks.map((mask) =>
+              trackColor(
+                mask.track,
+                getPalette(opts.palette as PaletteName, trackIndexMap.size),
+              ),
+            )
+          : null,
+      );
+      source.ctx.putImageData(image, 0, 0);
+    }
+    if (centroids.length > 0) {
+      const palette = getPalette(
+        opts.palette as PaletteName,
+        Math.max(tracks.length, 1),
+      );
+      for (const centroid of centroids) {
+        if (!Number.isFinite(centroid.x) || !Number.isFinite(centroid.y)) {
+          continue;
+        }
+        const color = trackColor(centroid.track, palette) ?? DEFAULT_COLOR;
+        drawCircle(
+          source.ctx,
+          centroid.x,
+          centroid.y,
+          opts.markerSize,
+          rgbToCSS(color, opts.alpha),
+        );
+      }
+    }
+    if (source !== surface) {
+      ctx.clearRect(0, 0, scaledWidth, scaledHeight);
+      ctx.drawImage(source.canvas, 0, 0, scaledWidth, scaledHeight);
+    }
+  }
+
+  const edgeInds = skeleton?.edgeIndices ?? [];
+  const nodeNames = skeleton?.nodeNames ?? [];
+  const colors = buildColorMap(
+    colorScheme,
+    instances,
+    nodeNames.length,
+    opts.palette,
+    tracks,
+    trackIndexMap,
+  );
+
+  const renderCtx = new RenderContext(
+    ctx,
+    frame.frameIdx,
+    [width, height],
+    instances,
+    edgeInds,
+    nodeNames,
+    opts.scale,
+    [0, 0],
+  );
+  opts.preRenderCallback?.(renderCtx);
+
+  if (trailsPossible) {
+    drawFrameTrails(ctx, frame, skeleton, opts);
+  }
+
+  const drawMarker = getMarkerFunction(opts.markerShape);
+  const scaledMarkerSize = opts.markerSize * opts.scale;
+  const scaledLineWidth = opts.lineWidth * opts.scale;
+
+  for (let instIdx = 0; instIdx < instances.length; instIdx++) {
+    const instance = instances[instIdx];
+    const points = instance.points.map((point) => [point.xy[0], point.xy[1]]);
+    const instanceColor: RGB =
+      colors.instanceColors?.[instIdx] ??
+      colors.instanceColors?.[0] ??
+      DEFAULT_COLOR;
+
+    if (opts.showEdges) {
+      for (const [srcIdx, dstIdx] of edgeInds) {
+        const [x1, y1] = points[srcIdx] ?? [Number.NaN, Number.NaN];
+        const [x2, y2] = points[dstIdx] ?? [Number.NaN, Number.NaN];
+        if ([x1, y1, x2, y2].some(Number.isNaN)) continue;
+        const edgeColor: RGB =
+          colorScheme === "node"
+            ? (colors.nodeColors?.[dstIdx] ?? instanceColor)
+            : instanceColor;
+        ctx.strokeStyle = rgbToCSS(edgeColor, opts.alpha);
+        ctx.lineWidth = scaledLineWidth;
+        ctx.lineCap = "round";
+        ctx.beginPath();
+        ctx.moveTo(x1 * opts.scale, y1 * opts.scale);
+        ctx.lineTo(x2 * opts.scale, y2 * opts.scale);
+        ctx.stroke();
+      }
+    }
+
+    if (opts.showNodes) {
+      for (let nodeIdx = 0; nodeIdx < points.length; nodeIdx++) {
+        const [x, y] = points[nodeIdx];
+        if (Number.isNaN(x) || Number.isNaN(y)) continue;
+        const nodeColor: RGB =
+          colorScheme === "node"
+            ? (colors.nodeColors?.[nodeIdx] ?? instanceColor)
+            : instanceColor;
+        drawMarker(
+          ctx,
+          x * opts.scale,
+          y * opts.scale,
+          scaledMarkerSize,
+          rgbToCSS(nodeColor, opts.alpha),
+        );
+      }
+    }
+
+    if (opts.perInstanceCallback) {
+      opts.perInstanceCallback(
+        new InstanceContext(
+          ctx,
+          instIdx,
+          points,
+          edgeInds,
+          nodeNames,
+          instance.track ? (trackIndexMap.get(instance.track) ?? null) : null,
+          instance.track?.name ?? null,
+          "score" in instance ? (instance as PredictedInstance).score : null,
+          opts.scale,
+          [0, 0],
+        ),
+      );
+    }
+  }
+
+  opts.postRenderCallback?.(renderCtx);
+
+  return ctx.getImageData(0, 0, scaledWidth, scaledHeight);
+}
+
+/**
+ * Blend a mask list or label image overlay into `image`. `maskColors` gives
+ * track colors for a mask list, or `null` for the positional overlay palette.
+ */
+function applyRasterOverlay(
+  image: ImageData,
+  overlay: Overlay,
+  opts: typeof DEFAULT_RENDER_OPTIONS,
+  maskColors: (masks: SegmentationMask[]) => RGB[] | null,
+): void {
+  if (
+    !Array.isArray(overlay) &&
+    "data" in overlay &&
+    overlay.data instanceof Int32Array
+  ) {
+    drawLabelImage(image, overlay as LabelImage | RawLabelImage, {
+      alpha: opts.overlayAlpha,
+      palette: opts.overlayPalette,
+      outline: opts.overlayOutline,
+      outlineWidth: opts.overlayOutlineWidth,
+      outlineColor: opts.overlayOutlineColor,
+    });
+    return;
+  }
+  const items: unknown[] = Array.isArray(overlay) ? overlay : [overlay];
+  if (items.length === 0) return;
+  if (
+    !items.every(
+      (item) =>
+        typeof item === "object" && item !== null && "rleCounts" in item,
+    )
+  ) {
+    throw new Error(
+      "Bounding-box and ROI overlays need skia-canvas: render them with " +
+        "renderImage in Node, or pass renderFrame.",
+    );
+  }
+  const masks = items as SegmentationMask[];
+  drawMasks(image, masks, {
+    colors:
+      maskColors(masks) ??
+      getPalette(opts.overlayPalette as PaletteName, masks.length),
+    alpha: opts.overlayAlpha,
+  });
+}
+
+/** Draw the motion trails of `frame`'s video behind its poses. */
+function drawFrameTrails(
+  ctx: CanvasRenderingContext2D,
+  frame: LabeledFrame,
+  frameSkeleton: Skeleton | null,
+  opts: typeof DEFAULT_RENDER_OPTIONS & RenderOptions,
+): void {
+  const framesByIdx =
+    opts.trailFrames instanceof Map
+      ? opts.trailFrames
+      : new Map((opts.trailFrames ?? [frame]).map((lf) => [lf.frameIdx, lf]));
+  // The current frame may be empty; take a skeleton from the trail context.
+  const skeleton =
+    frameSkeleton ??
+    [...framesByIdx.values()].find((lf) => lf.instances.length > 0)
+      ?.instances[0].skeleton;
+  if (!skeleton) return;
+
+  const trailTracks = opts.trailTracks ?? collectTracks(framesByIdx.values());
+  const hasTracks = trailTracks.length > 0;
+  const nColors = nTrailPaletteColors(
+    hasTracks,
+    trailTracks.length,
+    framesByIdx.values(),
+  );
+  const { trails, colors } = computeTrails({
+    frameIdx: frame.frameIdx,
+    frameIdxToLf: framesByIdx,
+    trailLength: opts.trailLength,
+    trailTargets: resolveTrailNode(opts.trailNode, skeleton),
+    trackIndexMap: new Map(trailTracks.map((t, i) => [t, i])),
+    paletteColors: getPalette(opts.palette as PaletteName, nColors),
+    hasTracks,
+    ptsCache: opts.trailPtsCache,
+  });
+  if (trails.length === 0) return;
+
+  const drawOpts: DrawTrailsOptions = {
+    lineWidth: opts.trailWidth,
+    alphaFade: opts.trailAlphaFade,
+    alpha: opts.trailAlpha,
+    scale: opts.scale,
+    offset: [0, 0],
+  };
+  if (opts.trailColor != null) {
+    drawOpts.color = resolveColor(opts.trailColor);
+  } else {
+    drawOpts.colors = colors;
+  }
+  drawTrails(ctx, trails, drawOpts);
+}
@@ -1,5 +1,6 @@
 // src/rendering/colors.ts
 
+import type { Instance, PredictedInstance, Track } from "../model/instance.js";
 import type { RGB, ColorSpec, PaletteName, ColorScheme } from "./types.js";
 
 /** Named CSS colors */
@@ -278,3 +279,62 @@ export function determineColorScheme(
 
   return "node";
 }
+
+/** Default fallback color */
+export const DEFAULT_COLOR: RGB = PALETTES.standard[0];
+
+/**
+ * Build color maps based on color scheme.
+ */
+export function buildColorMap(
+  scheme: ColorScheme,
+  instances: (Instance | PredictedInstance)[],
+  nNodes: number,
+  paletteName: string,
+  tracks: Track[],
+  trackIndexMap: Map<Track, number>,
+): { instanceColors?: RGB[]; nodeColors?: RGB[] } {
+  switch (scheme) {
+    case "instance":
+      return {
+        instanceColors: getPalette(
+          paletteName as PaletteName,
+          Math.max(1, instances.length),
+        ),
+      };
+
+    case "track": {
+      // Assign colors based on track index (O(1) Map lookup)
+      const nTracks = Math.max(1, tracks.length);
+      const trackPalette = getPalette(paletteName as PaletteName, nTracks);
+
+      const instanceColors = instances.map((inst) => {
+        if (inst.track) {
+          const trackIdx = trackIndexMap.get(inst.track);
+          if (trackIdx !== undefined) {
+            return trackPalette[trackIdx % trackPalette.length];
+          }
+        }
+        // Fallback to first color for untracked instances
+        return trackPalette[0];
+      });
+
+      return { instanceColors };
+    }
+
+    case "node":
+      return {
+        instanceColors: getPalette(paletteName as PaletteName, 1),
+        nodeColors: getPalette(paletteName as PaletteName, Math.max(1, nNodes)),
+      };
+
+    default:
+      // 'auto' should have been resolved by now, but fallback to instance
+      return {
+        instanceColors: getPalette(
+          paletteName as PaletteName,
+          Math.max(1, instances.length),
+        ),
+      };
+  }
+}
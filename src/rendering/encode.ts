@@ -0,0 +1,285 @@
+// src/rendering/encode.ts
+//
+// ffmpeg-free video export. Frames are encoded with mediabunny (WebCodecs:
+// H.264 into MP4 or VP9 into WebM) and the result is returned in memory, so
+// this works in browsers too. Where WebCodecs cannot encode (Node, Bun, older
+// browsers) it falls back to an animated PNG built with pako. Frames are drawn
+// with renderImage when the Node-only video.ts has registered it, and with the
+// canvas renderer in canvas-render.ts otherwise.
+
+import {
+  BufferTarget,
+  canEncodeVideo,
+  Mp4OutputFormat,
+  Output,
+  QUALITY_HIGH,
+  type Quality,
+  VideoSample,
+  VideoSampleSource,
+  WebMOutputFormat,
+} from "mediabunny";
+import { deflate } from "pako";
+import type { Labels } from "../model/labels.js";
+import type { LabeledFrame } from "../model/labeled-frame.js";
+import { crc32 } from "../io/zip.js";
+import { buildFrameRenderer } from "./frames.js";
+import { renderFrameCanvas } from "./canvas-render.js";
+import type { EncodeVideoOptions } from "./types.js";
+
+type RenderFrame = NonNullable<EncodeVideoOptions["renderFrame"]>;
+
+let defaultRenderFrame: RenderFrame = renderFrameCanvas;
+
+/**
+ * Register the renderer encodeVideo() uses when no `renderFrame` is given, in
+ * place of `renderFrameCanvas`. Called by the Node-only video.ts with
+ * `renderImage`.
+ * @internal
+ */
+export function _registerFrameRenderer(renderFrame: RenderFrame): void {
+  defaultRenderFrame = renderFrame;
+}
+
+/** An encoded video held in memory. */
+export interface EncodedVideo {
+  data: Uint8Array;
+  /** `video/mp4`, `video/webm` or `image/apng`. */
+  mimeType: string;
+  container: "mp4" | "webm" | "apng";
+  codec: "avc" | "vp9" | "png";
+  width: number;
+  height: number;
+  frameCount: number;
+  /** Wrap `data` in a `Blob` of `mimeType` (e.g. for an object URL). */
+  toBlob(): Blob;
+}
+
+/**
+ * Render frames with pose overlays and encode them into a video in memory,
+ * without ffmpeg.
+ *
+ * Takes the same frame selection (`frameInds` / `start` / `end`), `fps`,
+ * `onProgress` and render options as `renderVideo`. When WebCodecs can
+ * encode `codec` at the frame size, the output is an MP4 (H.264) or WebM
+ * (VP9); otherwise it is an animated PNG, unless `fallback` is `false`.
+ * Frames are drawn with `renderImage` in Node and with `renderFrameCanvas`
+ * (OffscreenCanvas) in the browser, unless `renderFrame` is given.
+ *
+ * @param source - Labels or array of LabeledFrames to render
+ * @param options - Encoding and rendering options
+ */
+export async function encodeVideo(
+  source: Labels | LabeledFrame[],
+  options: EncodeVideoOptions = {},
+): Promise<EncodedVideo> {
+  const renderFrame = options.renderFrame ?? defaultRenderFrame;
+  const container = options.container ?? "mp4";
+  const codec = options.codec ?? (container === "webm" ? "vp9" : "avc");
+  if (container === "webm" && codec === "avc") {
+    throw new Error("WebM cannot hold H.264 video; use codec 'vp9' or mp4.");
+  }
+
+  const { selectedFrames, optsForFrame } = buildFrameRenderer(source, options);
+  const total = selectedFrames.length;
+  const fps = options.fps ?? 30;
+
+  // Get frame dimensions from first frame
+  const render = (i: number) =>
+    renderFrame(selectedFrames[i], optsForFrame(selectedFrames[i], i));
+  const first = await render(0);
+  const { width, height } = first;
+
+  // Yield each frame, reporting progress once the encoder has taken it.
+  async function* frames(): AsyncGenerator<ImageData> {
+    for (let i = 0; i < total; i++) {
+      const image = i === 0 ? first : await render(i);
+      if (image.width !== width || image.height !== height) {
+        throw new Error(
+          `Frame ${i} is ${image.width}x${image.height} but the video is ` +
+            `${width}x${height}.`,
+        );
+      }
+      yield image;
+      options.onProgress?.(i + 1, total);
+    }
+  }
+
+  const bitrate = options.bitrate ?? QUALITY_HIGH;
+  let encoded: Pick<EncodedVideo, "data" | "mimeType" | "container" | "codec">;
+  if (await canEncodeVideo(codec, { width, height, bitrate })) {
+    const data = await encodeWithMediabunny(frames(), {
+      container,
+      codec,
+      fps,
+      bitrate,
+      keyFrameInterval: options.keyFrameInterval,
+    });
+    encoded = { data, mimeType: `video/${container}`, container, codec };
+  } else if (options.fallback === false) {
+    throw new Error(
+      `Cannot encode ${codec} video at ${width}x${height} here (no WebCodecs ` +
+        "encoder).",
+    );
+  } else {
+    const data = await encodeApng(frames(), width, height, total, fps);
+    encoded = { data, mimeType: "image/apng", container: "apng", codec: "png" };
+  }
+
+  const { data, mimeType } = encoded;
+  return {
+    ...encoded,
+    width,
+    height,
+    frameCount: total,
+    toBlob: () =>
+      new Blob([data as Uint8Array<ArrayBuffer>], { type: mimeType }),
+  };
+}
+
+/** Encode RGBA frames through a mediabunny `VideoSampleSource`. */
+async function encodeWithMediabunny(
+  frames: AsyncIterable<ImageData>,
+  settings: {
+    container: "mp4" | "webm";
+    codec: "avc" | "vp9";
+    fps: number;
+    bitrate: number | Quality;
+    keyFrameInterval?: number;
+  },
+): Promise<Uint8Array> {
+  const { container, codec, fps, bitrate, keyFrameInterval } = settings;
+  const target = new BufferTarget();
+  const output = new Output({
+    format:
+      container === "webm"
+        ? new WebMOutputFormat()
+        : new Mp4OutputFormat({ fastStart: "in-memory" }),
+    target,
+  });
+  const videoSource = new VideoSampleSource({
+    codec,
+    bitrate,
+    keyFrameInterval,
+  });
+  output.addVideoTrack(videoSource, { frameRate: fps });
+
+  try {
+    await output.start();
+    let i = 0;
+    for await (const image of frames) {
+      const sample = new VideoSample(image.data, {
+        format: "RGBA",
+        codedWidth: image.width,
+        codedHeight: image.height,
+        timestamp: i / fps,
+        duration: 1 / fps,
+      });
+      try {
+        // Resolves once the encoder has room for more (backpressure).
+        await videoSource.add(sample);
+      } finally {
+        sample.close();
+      }
+      i++;
+    }
+    await output.finalize();
+  } catch (err) {
+    await output.cancel();
+    throw err;
+  }
+  return new Uint8Array(target.buffer as ArrayBuffer);
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** A PNG chunk: length, type, data and the CRC of type + data. */
+function pngChunk(type: string, data: Uint8Array): Uint8Array {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/** Zlib-compressed scanlines of an RGBA image, each using the Up filter. */
+function compressScanlines(image: ImageData): Uint8Array {
+  const stride = image.width * 4;
+  const pixels = image.data;
+  const raw = new Uint8Array((stride + 1) * image.height);
+  for (let y = 0; y < image.height; y++) {
+    const row = y * stride;
+    const out = y * (stride + 1);
+    raw[out] = 2;
+    for (let x = 0; x < stride; x++) {
+      const above = y > 0 ? pixels[row - stride + x] : 0;
+      raw[out + 1 + x] = (pixels[row + x] - above) & 0xff;
+    }
+  }
+  return deflate(raw);
+}
+
+/**
+ * Write an animated PNG (APNG): IHDR and acTL, then per frame an fcTL
+ * followed by IDAT (first frame, so plain PNG viewers show it) or fdAT.
+ */
+async function encodeApng(
+  frames: AsyncIterable<ImageData>,
+  width: number,
+  height: number,
+  frameCount: number,
+  fps: number,
+): Promise<Uint8Array> {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, no interlace
+
+  const animation = new Uint8Array(8);
+  new DataView(animation.buffer).setUint32(0, frameCount); // loop forever
+
+  // Frame delay as a fraction of a second; both terms must fit in 16 bits.
+  const delayDen = Math.round(fps * 1000);
+  const [num, den] =
+    delayDen <= 0xffff ? [1000, delayDen] : [1, Math.round(fps)];
+
+  const parts: Uint8Array[] = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk("IHDR", header),
+    pngChunk("acTL", animation),
+  ];
+  let sequence = 0;
+  let i = 0;
+  for await (const image of frames) {
+    const control = new Uint8Array(26);
+    const view = new DataView(control.buffer);
+    view.setUint32(0, sequence++);
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    view.setUint16(20, num);
+    view.setUint16(22, den);
+    parts.push(pngChunk("fcTL", control));
+
+    const compressed = compressScanlines(image);
+    if (i === 0) {
+      parts.push(pngChunk("IDAT", compressed));
+    } else {
+      const data = new Uint8Array(4 + compressed.length);
+      new DataView(data.buffer).setUint32(0, sequence++);
+      data.set(compressed, 4);
+      parts.push(pngChunk("fdAT", data));
+    }
+    i++;
+  }
+  parts.push(pngChunk("IEND", new Uint8Array(0)));
+
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
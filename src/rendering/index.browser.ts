@@ -11,6 +11,7 @@ export type {
   MarkerShape,
   RenderOptions,
   VideoOptions,
+  EncodeVideoOptions,
 } from "./types.js";
 
 // Color utilities
@@ -48,6 +49,11 @@ export type { TrailTarget, Trail } from "./trails.js";
 // Context classes
 export { RenderContext, InstanceContext } from "./context.js";
 
+// ffmpeg-free video encoding (mediabunny, APNG fallback)
+export { encodeVideo } from "./encode.js";
+export { renderFrameCanvas } from "./canvas-render.js";
+export type { EncodedVideo } from "./encode.js";
+
 // Browser-safe RASTER overlay drawing (segmentation masks + integer label
 // images). These mutate an `ImageData` in place with no Node dependency, so a
 // consuming UI can composite masks onto a canvas client-side. The vector
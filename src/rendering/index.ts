@@ -10,6 +10,7 @@ export type {
   MarkerShape,
   RenderOptions,
   VideoOptions,
+  EncodeVideoOptions,
   Overlay,
   VideoOverlay,
 } from "./types.js";
@@ -61,6 +62,11 @@ export {
 // Video rendering
 export { renderVideo, checkFfmpeg } from "./video.js";
 
+// ffmpeg-free video encoding (mediabunny, APNG fallback)
+export { encodeVideo } from "./encode.js";
+export { renderFrameCanvas } from "./canvas-render.js";
+export type { EncodedVideo } from "./encode.js";
+
 // Overlay drawing (Node-only raster/vector overlays for segmentation masks,
 // label images, bounding boxes, and ROIs). Not exported from the browser entry.
 export {
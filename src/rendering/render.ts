@@ -5,20 +5,16 @@ import type { LabeledFrame } from "../model/labeled-frame.js";
 import type { Instance, PredictedInstance, Track } from "../model/instance.js";
 import type { Centroid } from "../model/centroid.js";
 import type { Skeleton } from "../model/skeleton.js";
-import type {
-  RenderOptions,
-  RGB,
-  ColorScheme,
-  PaletteName,
-  Overlay,
-} from "./types.js";
+import type { RenderOptions, RGB, PaletteName, Overlay } from "./types.js";
 import {
   getPalette,
   resolveColor,
   rgbToCSS,
   determineColorScheme,
-  PALETTES,
+  buildColorMap,
+  DEFAULT_COLOR,
 } from "./colors.js";
+import { DEFAULT_RENDER_OPTIONS } from "./frames.js";
 import { getMarkerFunction, drawTrails } from "./shapes.js";
 import type { DrawTrailsOptions } from "./shapes.js";
 import {
@@ -30,57 +26,6 @@ import {
 import { RenderContext, InstanceContext } from "./context.js";
 import { applyOverlay, drawCentroids } from "./overlays.js";
 
-// Default options
-const DEFAULT_OPTIONS: Required<
-  Omit<
-    RenderOptions,
-    | "image"
-    | "preRenderCallback"
-    | "postRenderCallback"
-    | "perInstanceCallback"
-    | "width"
-    | "height"
-    | "trailFrames"
-    | "trailTracks"
-    | "trailPtsCache"
-    // `overlay` is absence-checked (undefined = no overlay), so it has no
-    // default value; `overlayOutlineColor` is null by default below.
-    | "overlay"
-    // `overlayTrackIndexMap` is absence-checked (null/undefined = derive from
-    // a Labels source), so it has no default value.
-    | "overlayTrackIndexMap"
-  >
-> = {
-  colorBy: "auto",
-  palette: "standard",
-  markerShape: "circle",
-  markerSize: 4,
-  lineWidth: 2,
-  alpha: 1,
-  showNodes: true,
-  showEdges: true,
-  scale: 1,
-  background: "transparent",
-  // Motion trails (off by default; appearance-neutral when enabled).
-  showTrails: false,
-  trailLength: 10,
-  trailNode: "centroid",
-  trailWidth: 2,
-  trailAlphaFade: true,
-  trailAlpha: 1,
-  trailColor: null,
-  // Segmentation / annotation overlay (off by default). Mirrors Python
-  // render_image overlay params (overlay=None, overlay_alpha=0.3, etc.).
-  overlayAlpha: 0.3,
-  overlayPalette: "distinct",
-  overlayOutline: false,
-  overlayOutlineWidth: 1,
-  overlayOutlineColor: null,
-};
-
-/** Default fallback color */
-const DEFAULT_COLOR: RGB = PALETTES.standard[0];
-
 /** Extracted data from source for rendering */
 interface SourceData {
   instances: (Instance | PredictedInstance)[];
@@ -103,7 +48,7 @@ export async function renderImage(
   options: RenderOptions = {},
 ): Promise<ImageData> {
   // Merge with defaults
-  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const opts = { ...DEFAULT_RENDER_OPTIONS, ...options };
 
   // Extract instances and metadata from source
   const { instances, skeleton, frameSize, frameIdx, tracks, trackIndexMap } =
@@ -753,62 +698,6 @@ function getInstancePoints(instance: Instance | PredictedInstance): number[][] {
   return instance.points.map((point) => [point.xy[0], point.xy[1]]);
 }
 
-/**
- * Build color maps based on color scheme.
- */
-function buildColorMap(
-  scheme: ColorScheme,
-  instances: (Instance | PredictedInstance)[],
-  nNodes: number,
-  paletteName: string,
-  tracks: Track[],
-  trackIndexMap: Map<Track, number>,
-): { instanceColors?: RGB[]; nodeColors?: RGB[] } {
-  switch (scheme) {
-    case "instance":
-      return {
-        instanceColors: getPalette(
-          paletteName as PaletteName,
-          Math.max(1, instances.length),
-        ),
-      };
-
-    case "track": {
-      // Assign colors based on track index (O(1) Map lookup)
-      const nTracks = Math.max(1, tracks.length);
-      const trackPalette = getPalette(paletteName as PaletteName, nTracks);
-
-      const instanceColors = instances.map((inst) => {
-        if (inst.track) {
-          const trackIdx = trackIndexMap.get(inst.track);
-          if (trackIdx !== undefined) {
-            return trackPalette[trackIdx % trackPalette.length];
-          }
-        }
-        // Fallback to first color for untracked instances
-        return trackPalette[0];
-      });
-
-      return { instanceColors };
-    }
-
-    case "node":
-      return {
-        instanceColors: getPalette(paletteName as PaletteName, 1),
-        nodeColors: getPalette(paletteName as PaletteName, Math.max(1, nNodes)),
-      };
-
-    default:
-      // 'auto' should have been resolved by now, but fallback to instance
-      return {
-        instanceColors: getPalette(
-          paletteName as PaletteName,
-          Math.max(1, instances.length),
-        ),
-      };
-  }
-}
-
 // Export utilities
 
 /**
@@ -193,3 +193,31 @@ export interface VideoOptions extends Omit<RenderOptions, "overlay"> {
   // Progress
   onProgress?: (current: number, total: number) => void;
 }
+
+/**
+ * Options for encodeVideo(): the frame selection, fps and progress options of
+ * {@link VideoOptions} with mediabunny encoder settings instead of ffmpeg's.
+ */
+export interface EncodeVideoOptions
+  extends Omit<VideoOptions, "codec" | "crf" | "preset"> {
+  // Encoding
+  container?: "mp4" | "webm"; // Default: 'mp4'
+  codec?: "avc" | "vp9"; // Default: 'avc' for mp4, 'vp9' for webm
+  bitrate?: number; // Bits per second. Default: mediabunny QUALITY_HIGH
+  keyFrameInterval?: number; // Seconds. Default: 5
+  /**
+   * What to produce when the codec cannot be encoded here (no WebCodecs, e.g.
+   * in Node or Bun): `"apng"` (default) writes an animated PNG instead;
+   * `false` throws.
+   */
+  fallback?: "apng" | false;
+
+  /**
+   * Draws one frame. Defaults to `renderImage` in Node and to
+   * `renderFrameCanvas` (an `OffscreenCanvas`) in the browser.
+   */
+  renderFrame?: (
+    frame: LabeledFrame,
+    options: RenderOptions,
+  ) => ImageData | Promise<ImageData>;
+}
@@ -1,15 +1,16 @@
 /**
- * Frame-level crop transform for virtual cropping.
+ * Frame-level crop and resize transforms for virtual cropping and resizing.
  *
  * Ported from Python `sleap_io/transform/frame.py` ({@link crop_frame}). Crops a
  * decoded frame to a rectangle, padding any out-of-bounds region with a fill
  * value (the OOB region is padded, NOT clamped — pixels outside the source are
- * the fill value, not the nearest edge pixel).
+ * the fill value, not the nearest edge pixel). {@link resizeFrame} resamples a
+ * frame to a new size.
  *
- * This function is PURE and synchronous: it reads pixels directly. It therefore
- * cannot accept a raw `ImageBitmap` (whose pixels are not synchronously
- * readable) and throws a clear error if given one — the video backend is
- * responsible for rasterizing an `ImageBitmap` to `ImageData` first.
+ * These functions are PURE and synchronous: they read pixels directly. They
+ * therefore cannot accept a raw `ImageBitmap` (whose pixels are not
+ * synchronously readable) and throw a clear error if given one — the video
+ * backend is responsible for rasterizing an `ImageBitmap` to `ImageData` first.
  *
  * Browser-safe: no Node-only imports.
  */
@@ -219,6 +220,146 @@ export function cropFrame(
   return { data: out, width: cropW, height: cropH, channels };
 }
 
+/**
+ * Resampling method for {@link resizeFrame}:
+ *
+ * - `"nearest"`: the source pixel under each output pixel center.
+ * - `"bilinear"`: linear blend of the four nearest source pixels (half-pixel
+ *   centers, as OpenCV's `INTER_LINEAR`).
+ * - `"area"`: average of the source pixels each output pixel covers (OpenCV's
+ *   `INTER_AREA`); the best choice for downscaling. Falls back to bilinear
+ *   along an axis that is being enlarged.
+ */
+export type ResizeInterpolation = "nearest" | "bilinear" | "area";
+
+const RESIZE_INTERPOLATIONS: ResizeInterpolation[] = [
+  "nearest",
+  "bilinear",
+  "area",
+];
+
+/** Source taps `[index, weight]` contributing to each output index on one axis. */
+function axisTaps(
+  src: number,
+  dst: number,
+  interpolation: ResizeInterpolation,
+): [number, number][][] {
+  const ratio = src / dst;
+  const taps: [number, number][][] = [];
+  for (let i = 0; i < dst; i++) {
+    if (interpolation === "nearest") {
+      taps.push([[Math.min(src - 1, Math.floor((i + 0.5) * ratio)), 1]]);
+    } else if (interpolation === "area" && ratio > 1) {
+      const start = i * ratio;
+      const end = (i + 1) * ratio;
+      const row: [number, number][] = [];
+      for (let j = Math.floor(start); j < Math.min(src, Math.ceil(end)); j++) {
+        const overlap = Math.min(end, j + 1) - Math.max(start, j);
+        if (overlap > 0) row.push([j, overlap / ratio]);
+      }
+      taps.push(row);
+    } else {
+      const f = Math.min(Math.max((i + 0.5) * ratio - 0.5, 0), src - 1);
+      const j0 = Math.floor(f);
+      const t = f - j0;
+      taps.push(
+        t === 0
+          ? [[j0, 1]]
+          : [
+              [j0, 1 - t],
+              [Math.min(j0 + 1, src - 1), t],
+            ],
+      );
+    }
+  }
+  return taps;
+}
+
+/**
+ * Resize a decoded frame to `size` (`[height, width]`).
+ *
+ * Every channel (including an `ImageData` alpha lane) is resampled the same
+ * way and rounded back to 8 bits. The channel count is preserved from the
+ * input.
+ *
+ * @param frame Decoded source frame (`ImageData` RGBA or a {@link RawFrame}).
+ *   A raw `ImageBitmap` is rejected — rasterize it first.
+ * @param size Output `[height, width]` in pixels (positive integers).
+ * @param interpolation Resampling method. Default `"bilinear"`.
+ * @returns For an `ImageData` input, an `ImageData`-shaped RGBA result; for a
+ *   {@link RawFrame} input, a {@link RawFrame} with the same channel count.
+ * @throws Error If `size` is not a pair of positive integers.
+ */
+export function resizeFrame(
+  frame: ImageData,
+  size: [number, number],
+  interpolation?: ResizeInterpolation,
+): ImageData;
+export function resizeFrame(
+  frame: RawFrame,
+  size: [number, number],
+  interpolation?: ResizeInterpolation,
+): RawFrame;
+export function resizeFrame(
+  frame: FrameLike,
+  size: [number, number],
+  interpolation: ResizeInterpolation = "bilinear",
+): ImageData | RawFrame {
+  if (isImageBitmap(frame)) {
+    throw new Error(
+      "resizeFrame cannot resize a raw ImageBitmap: its pixels are not " +
+        "synchronously readable. Rasterize it to an ImageData first.",
+    );
+  }
+  const [outH, outW] = size;
+  if (
+    !(Number.isInteger(outH) && Number.isInteger(outW) && outH > 0 && outW > 0)
+  ) {
+    throw new Error(
+      `Invalid resize size [${outH}, ${outW}]: expected positive integer ` +
+        "[height, width].",
+    );
+  }
+  if (!RESIZE_INTERPOLATIONS.includes(interpolation)) {
+    throw new Error(
+      `Unknown resize interpolation '${interpolation}': expected one of ` +
+        `${RESIZE_INTERPOLATIONS.join(", ")}.`,
+    );
+  }
+
+  const { data, width: w, height: h, channels } = frameInfo(frame);
+  const xTaps = axisTaps(w, outW, interpolation);
+  const yTaps = axisTaps(h, outH, interpolation);
+  const outLen = outW * outH * channels;
+  const out =
+    data instanceof Uint8ClampedArray
+      ? new Uint8ClampedArray(outLen)
+      : new Uint8Array(outLen);
+  const acc = new Float64Array(channels);
+
+  for (let y = 0; y < outH; y++) {
+    for (let x = 0; x < outW; x++) {
+      acc.fill(0);
+      for (const [sy, wy] of yTaps[y]) {
+        for (const [sx, wx] of xTaps[x]) {
+          const weight = wy * wx;
+          const base = (sy * w + sx) * channels;
+          for (let c = 0; c < channels; c++) acc[c] += data[base + c] * weight;
+        }
+      }
+      const dst = (y * outW + x) * channels;
+      for (let c = 0; c < channels; c++) {
+        out[dst + c] = Math.min(255, Math.max(0, Math.round(acc[c])));
+      }
+    }
+  }
+
+  if (isImageData(frame)) {
+    return asImageData(out as Uint8ClampedArray<ArrayBuffer>, outW, outH);
+  }
+  return { data: out, width: outW, height: outH, channels };
+}
+
 /**
  * Detect whether a decoded frame is grayscale by comparing its first and last
  * color channel for exact equality across every pixel — parity with Python
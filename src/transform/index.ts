@@ -4,21 +4,28 @@
  * Pure, browser-safe ports of the Python `sleap_io.transform` crop helpers:
  * coordinate offsetting ({@link cropPoints}/{@link uncropPoints}), frame
  * cropping with out-of-bounds pad-fill ({@link cropFrame}), and grayscale
- * detection/collapsing ({@link detectGrayscale}/{@link grayscaleFrame}).
+ * detection/collapsing ({@link detectGrayscale}/{@link grayscaleFrame}). The
+ * resize counterparts ({@link scalePoints}/{@link unscalePoints},
+ * {@link resizeFrame}) back virtual resizing.
  */
 
 export {
   cropPoints,
   uncropPoints,
+  scalePoints,
+  unscalePoints,
   type CropRect,
   type FlatPoints,
   type PointPairs,
+  type ScaleFactor,
 } from "./points.js";
 export {
   cropFrame,
   detectGrayscale,
   grayscaleFrame,
+  resizeFrame,
   type FrameLike,
   type RawFrame,
   type Fill,
+  type ResizeInterpolation,
 } from "./frame.js";
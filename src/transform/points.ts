@@ -1,10 +1,11 @@
 /**
- * Point coordinate transformation functions for virtual cropping.
+ * Point coordinate transformation functions for virtual cropping and resizing.
  *
  * Ported from Python `sleap_io/transform/points.py` ({@link crop_points},
  * {@link uncrop_points}). These adjust landmark coordinates to match a cropped
- * video frame. Both operations are copy-based (the input is never mutated) and
- * NaN-preserving (`NaN ± c` stays `NaN` naturally).
+ * video frame; {@link scalePoints}/{@link unscalePoints} do the same for a
+ * resized one. All operations are copy-based (the input is never mutated) and
+ * NaN-preserving (`NaN ± c` and `NaN * c` stay `NaN` naturally).
  *
  * Browser-safe: no Node-only imports.
  */
@@ -26,6 +27,12 @@ export type FlatPoints = Float64Array | Float32Array | number[];
 /** An array of `[x, y]` coordinate pairs (the `(..., 2)` numpy analog). */
 export type PointPairs = ReadonlyArray<readonly [number, number]>;
 
+/**
+ * A resize factor: one scalar for both axes, or `[sx, sy]` (output size over
+ * input size along x and y).
+ */
+export type ScaleFactor = number | [number, number];
+
 /**
  * Offset interleaved coordinates by `(dx, dy)`, returning a same-typed copy.
  *
@@ -124,6 +131,107 @@ export function uncropPoints(
   return offsetFlat(points, x1, y1);
 }
 
+/**
+ * Apply `fx` to every x lane and `fy` to every y lane of an interleaved buffer,
+ * returning a same-typed copy. The typed/plain-array handling mirrors
+ * {@link offsetFlat}.
+ */
+function mapFlat<T extends FlatPoints>(
+  points: T,
+  fx: (x: number) => number,
+  fy: (y: number) => number,
+): T {
+  const out = points.slice() as T;
+  for (let i = 0; i + 1 < out.length; i += 2) {
+    out[i] = fx(points[i]);
+    out[i + 1] = fy(points[i + 1]);
+  }
+  return out;
+}
+
+/** Expand a {@link ScaleFactor} into `[sx, sy]`, rejecting non-positive factors. */
+function resolveScale(scale: ScaleFactor): [number, number] {
+  const [sx, sy] = Array.isArray(scale) ? scale : [scale, scale];
+  if (!(sx > 0 && sy > 0 && Number.isFinite(sx) && Number.isFinite(sy))) {
+    throw new Error(
+      `Invalid scale factor ${JSON.stringify(scale)}: expected positive, ` +
+        "finite values.",
+    );
+  }
+  return [sx, sy];
+}
+
+/**
+ * Adjust point coordinates for a resize transformation.
+ *
+ * Multiplies x by `sx` and y by `sy`, mapping source coordinates into the
+ * resized frame. NaN coordinates are preserved.
+ *
+ * Accepts either a flat interleaved buffer or an array of `[x, y]` pairs, and
+ * returns the same kind.
+ *
+ * @param points Source-frame coordinates.
+ * @param scale Resize factor: a scalar, or `[sx, sy]` per axis.
+ * @returns Resized-frame coordinates (a copy; input unmutated).
+ * @throws Error If a factor is not positive and finite.
+ */
+export function scalePoints<T extends FlatPoints>(
+  points: T,
+  scale: ScaleFactor,
+): T;
+export function scalePoints(
+  points: PointPairs,
+  scale: ScaleFactor,
+): [number, number][];
+export function scalePoints(
+  points: FlatPoints | PointPairs,
+  scale: ScaleFactor,
+): FlatPoints | [number, number][] {
+  const [sx, sy] = resolveScale(scale);
+  if (isPairs(points)) {
+    return points.map(([x, y]) => [x * sx, y * sy] as [number, number]);
+  }
+  return mapFlat(
+    points,
+    (x) => x * sx,
+    (y) => y * sy,
+  );
+}
+
+/**
+ * Map resized-frame point coordinates back to source coordinates.
+ *
+ * Inverse of {@link scalePoints}: divides x by `sx` and y by `sy`. NaN
+ * coordinates are preserved.
+ *
+ * @param points Resized-frame coordinates.
+ * @param scale The resize factor the points were scaled by.
+ * @returns Source-frame coordinates (a copy; input unmutated).
+ * @throws Error If a factor is not positive and finite.
+ */
+export function unscalePoints<T extends FlatPoints>(
+  points: T,
+  scale: ScaleFactor,
+): T;
+export function unscalePoints(
+  points: PointPairs,
+  scale: ScaleFactor,
+): [number, number][];
+export function unscalePoints(
+  points: FlatPoints | PointPairs,
+  scale: ScaleFactor,
+): FlatPoints | [number, number][] {
+  const [sx, sy] = resolveScale(scale);
+  if (isPairs(points)) {
+    return points.map(([x, y]) => [x / sx, y / sy] as [number, number]);
+  }
+  return mapFlat(
+    points,
+    (x) => x / sx,
+    (y) => y / sy,
+  );
+}
+
 /** Narrow to the array-of-pairs layout (vs a flat interleaved buffer). */
 function isPairs(points: FlatPoints | PointPairs): points is PointPairs {
   return (
@@ -0,0 +1,683 @@
+// src/video/avi-video.ts
+//
+// Backend for reading AVI (RIFF) video files with MJPEG or uncompressed frames,
+// the formats most legacy rig capture software writes.
+//
+// Format overview:
+//   - RIFF 'AVI ' file: a `hdrl` LIST (main `avih` header plus one `strl` LIST
+//     per stream with `strh` / `strf` and, for OpenDML files, an `indx` super
+//     index), a `movi` LIST holding the frame chunks (`00dc` / `00db`), and an
+//     optional `idx1` index. Files over 1 GB continue in `RIFF 'AVIX'` chunks
+//     that only the OpenDML index covers.
+//   - Frames are located through the OpenDML index when present, else `idx1`,
+//     else by walking the `movi` chunks. Only the headers and indexes are read
+//     up front; each `getFrame` reads just that frame's bytes.
+//   - MJPEG frames are JPEGs (often without Huffman tables, which are implied
+//     by the AVI1 variant); uncompressed frames are bottom-up BGR DIB rows.
+//
+// Like `seq-video.ts` this module is browser-reachable, so file access goes
+// through a `ByteSource`: a `Blob`, a `RangeSource`, or the `node:fs` source
+// that `seq-node.ts` registers for paths.
+
+import type { RangeSource, VideoBackend, VideoFrame } from "./backend.js";
+import { isRangeSource } from "./backend.js";
+import { decodeEncoded } from "./image-decode.js";
+import {
+  BlobByteSource,
+  RangeByteSource,
+  createFileByteSource,
+  makeImageData,
+  type ByteSource,
+} from "./seq-video.js";
+import { UnsupportedVideoFormatError } from "./unsupported-format.js";
+
+/** `biCompression` FourCCs whose frames are (Motion) JPEG images. */
+const MJPEG_FOURCCS = new Set(["MJPG", "AVRN", "AVDJ", "DMB1", "JPEG"]);
+/** `biCompression` FourCCs for 8-bit grayscale, top-down frames. */
+const GRAY_FOURCCS = new Set(["Y800", "Y8  ", "GREY"]);
+
+// =============================================================================
+// Header
+// =============================================================================
+
+/** Parsed headers of the first video stream in an AVI file. */
+export class AviHeader {
+  /** Microseconds per frame from the main `avih` header. */
+  microSecPerFrame = 0;
+  /** Frame count from `avih` (first RIFF chunk only in OpenDML files). */
+  totalFrames = 0;
+  /** Index of the video stream; its chunks are named `NNdc` / `NNdb`. */
+  streamIndex = 0;
+  /** `strh` rate / scale, in frames per second when both are set. */
+  rate = 0;
+  scale = 0;
+  width = 0;
+  height = 0;
+  /** Whether DIB rows are stored bottom-up (positive `biHeight`). */
+  bottomUp = false;
+  bitCount = 24;
+  /** `biCompression` as a FourCC, or `"BI_RGB"` for uncompressed frames. */
+  compression = "BI_RGB";
+  /** RGB palette for 8-bit frames (`strf` color table), if any. */
+  palette: Uint8Array | null = null;
+  /** Offset and size of the OpenDML `indx` chunk data, if present. */
+  superIndex: { offset: number; size: number } | null = null;
+
+  /** Frame rate from `strh`, else from `avih`. */
+  get fps(): number | undefined {
+    if (this.rate > 0 && this.scale > 0) return this.rate / this.scale;
+    if (this.microSecPerFrame > 0) return 1_000_000 / this.microSecPerFrame;
+    return undefined;
+  }
+
+  /** Whether frames are JPEG images. */
+  get isMjpeg(): boolean {
+    return MJPEG_FOURCCS.has(this.compression.toUpperCase());
+  }
+
+  /** Whether uncompressed 8-bit frames are grayscale (no colored palette). */
+  get isGray(): boolean {
+    if (GRAY_FOURCCS.has(this.compression.toUpperCase())) return true;
+    if (this.compression !== "BI_RGB" || this.bitCount !== 8) return false;
+    const palette = this.palette;
+    if (!palette) return true;
+    for (let i = 0; i < palette.length; i += 3) {
+      if (palette[i] !== palette[i + 1] || palette[i] !== palette[i + 2]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Parse the `hdrl` LIST contents (after its `hdrl` FourCC). `baseOffset` is
+   * the file offset of `bytes`, used to locate the OpenDML `indx` chunk.
+   *
+   * @throws If the file has no video stream or an unsupported frame format.
+   */
+  static fromHdrl(bytes: Uint8Array, baseOffset: number): AviHeader {
+    const header = new AviHeader();
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let streams = 0;
+    let found = false;
+
+    for (const chunk of chunks(bytes, 0, bytes.length)) {
+      if (chunk.id === "avih") {
+        header.microSecPerFrame = dv.getUint32(chunk.start, true);
+        header.totalFrames = dv.getUint32(chunk.start + 16, true);
+      } else if (chunk.id === "LIST" && chunk.listType === "strl") {
+        const stream = streams++;
+        if (found) continue;
+        const strl = [...chunks(bytes, chunk.start + 4, chunk.end)];
+        const strh = strl.find((c) => c.id === "strh");
+        if (!strh || fourcc(bytes, strh.start) !== "vids") continue;
+        found = true;
+        header.streamIndex = stream;
+        header.scale = dv.getUint32(strh.start + 20, true);
+        header.rate = dv.getUint32(strh.start + 24, true);
+
+        const strf = strl.find((c) => c.id === "strf");
+        if (!strf) throw new Error("AVI video stream has no format (strf)");
+        const biSize = dv.getUint32(strf.start, true);
+        const biHeight = dv.getInt32(strf.start + 8, true);
+        header.width = dv.getInt32(strf.start + 4, true);
+        header.height = Math.abs(biHeight);
+        header.bitCount = dv.getUint16(strf.start + 14, true);
+        const compression = dv.getUint32(strf.start + 16, true);
+        header.compression =
+          compression === 0 ? "BI_RGB" : fourcc(bytes, strf.start + 16);
+        if (header.compression === "RGB " || header.compression === "DIB ") {
+          header.compression = "BI_RGB";
+        }
+        header.bottomUp = header.compression === "BI_RGB" && biHeight > 0;
+        if (header.bitCount === 8 && header.compression === "BI_RGB") {
+          // RGBQUAD color table (B, G, R, reserved) after the BITMAPINFOHEADER.
+          const used = dv.getUint32(strf.start + 32, true) || 256;
+          const table = strf.start + biSize;
+          const count = Math.min(used, Math.floor((strf.end - table) / 4));
+          if (count > 0) {
+            header.palette = new Uint8Array(256 * 3);
+            for (let i = 0; i < count; i++) {
+              header.palette[i * 3] = bytes[table + i * 4 + 2];
+              header.palette[i * 3 + 1] = bytes[table + i * 4 + 1];
+              header.palette[i * 3 + 2] = bytes[table + i * 4];
+            }
+          }
+        }
+
+        const indx = strl.find((c) => c.id === "indx");
+        if (indx) {
+          header.superIndex = {
+            offset: baseOffset + indx.start,
+            size: indx.end - indx.start,
+          };
+        }
+      }
+    }
+
+    if (!found) throw new Error("AVI file has no video stream");
+    const uncompressed =
+      (header.compression === "BI_RGB" &&
+        [8, 24, 32].includes(header.bitCount)) ||
+      GRAY_FOURCCS.has(header.compression.toUpperCase());
+    if (!header.isMjpeg && !uncompressed) {
+      throw new UnsupportedVideoFormatError(
+        "avi",
+        `Unsupported AVI codec '${header.compression}' ` +
+          `(${header.bitCount}-bit). Only MJPEG and uncompressed 8/24/32-bit ` +
+          "frames can be read; transcode to MP4 (H.264) first.",
+      );
+    }
+    return header;
+  }
+}
+
+// =============================================================================
+// Frame index
+// =============================================================================
+
+/** Byte offset and size of each video frame's data (cf. `SeqIndex`). */
+export class AviIndex {
+  offsets: number[];
+  sizes: number[];
+
+  constructor(offsets: number[], sizes: number[]) {
+    this.offsets = offsets;
+    this.sizes = sizes;
+  }
+
+  get numFrames(): number {
+    return this.offsets.length;
+  }
+
+  /** Append a frame. A zero-size chunk repeats the previous (dropped) frame. */
+  push(offset: number, size: number): void {
+    const n = this.offsets.length;
+    if (size === 0 && n > 0) {
+      this.offsets.push(this.offsets[n - 1]);
+      this.sizes.push(this.sizes[n - 1]);
+    } else {
+      this.offsets.push(offset);
+      this.sizes.push(size);
+    }
+  }
+
+  /**
+   * Build the index from the OpenDML super index: each entry points at a
+   * standard (`ix##`) index whose offsets are relative to its base offset and
+   * point at the frame data itself.
+   */
+  static async fromOpenDml(
+    source: ByteSource,
+    superIndex: { offset: number; size: number },
+  ): Promise<AviIndex | null> {
+    const raw = await source.read(superIndex.offset, superIndex.size);
+    const dv = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+    if (raw.length < 24 || dv.getUint8(3) !== 0) return null; // not index of indexes
+    const longsPerEntry = dv.getUint16(0, true);
+    const entries = dv.getUint32(4, true);
+
+    const index = new AviIndex([], []);
+    for (let e = 0; e < entries; e++) {
+      const at = 24 + e * longsPerEntry * 4;
+      if (at + 12 > raw.length) break;
+      const chunkOffset = Number(dv.getBigUint64(at, true));
+      const head = await source.read(chunkOffset, 32);
+      if (head.length < 32) break;
+      const hv = new DataView(head.buffer, head.byteOffset, 32);
+      const count = hv.getUint32(12, true);
+      const stdLongs = hv.getUint16(8, true) || 2;
+      const base = Number(hv.getBigUint64(20, true));
+      const body = await source.read(chunkOffset + 32, count * stdLongs * 4);
+      const bv = new DataView(body.buffer, body.byteOffset, body.byteLength);
+      for (let i = 0; i + 1 < body.length >> 2; i += stdLongs) {
+        // The high bit of the size flags a delta (non-key) frame.
+        index.push(
+          base + bv.getUint32(i * 4, true),
+          bv.getUint32(i * 4 + 4, true) & 0x7fffffff,
+        );
+      }
+    }
+    return index.numFrames > 0 ? index : null;
+  }
+
+  /**
+   * Build the index from the legacy `idx1` chunk. Its offsets are usually
+   * relative to the `movi` FourCC but some writers store absolute offsets, so
+   * the first video entry is checked against both.
+   */
+  static async fromIdx1(
+    source: ByteSource,
+    idx1: { offset: number; size: number },
+    moviStart: number,
+    streamIndex: number,
+  ): Promise<AviIndex | null> {
+    const raw = await source.read(idx1.offset, idx1.size);
+    const dv = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+    const prefix = streamPrefix(streamIndex);
+    const entries: [number, number][] = [];
+    for (let at = 0; at + 16 <= raw.length; at += 16) {
+      if (isFrameChunk(fourcc(raw, at), prefix)) {
+        entries.push([dv.getUint32(at + 8, true), dv.getUint32(at + 12, true)]);
+      }
+    }
+    if (entries.length === 0) return null;
+
+    let base = moviStart;
+    const [first] = entries;
+    const probe = await source.read(moviStart + first[0], 4);
+    if (!isFrameChunk(fourcc(probe, 0), prefix)) {
+      const absolute = await source.read(first[0], 4);
+      if (isFrameChunk(fourcc(absolute, 0), prefix)) base = 0;
+    }
+
+    const index = new AviIndex([], []);
+    for (const [offset, size] of entries) index.push(base + offset + 8, size);
+    return index;
+  }
+
+  /** Build the index by walking the `movi` LIST (files with no index). */
+  static async fromMovi(
+    source: ByteSource,
+    movi: { start: number; end: number }[],
+    streamIndex: number,
+  ): Promise<AviIndex> {
+    const prefix = streamPrefix(streamIndex);
+    const index = new AviIndex([], []);
+    for (const { start, end } of movi) {
+      let pos = start;
+      while (pos + 8 <= end) {
+        const head = await source.read(pos, 12);
+        if (head.length < 8) break;
+        const id = fourcc(head, 0);
+        const size = new DataView(head.buffer, head.byteOffset, 8).getUint32(
+          4,
+          true,
+        );
+        if (id === "LIST") {
+          pos += 12; // descend into 'rec ' lists
+          continue;
+        }
+        if (isFrameChunk(id, prefix)) index.push(pos + 8, size);
+        pos += 8 + size + (size & 1);
+      }
+    }
+    return index;
+  }
+}
+
+// =============================================================================
+// RIFF helpers
+// =============================================================================
+
+interface RiffChunk {
+  id: string;
+  /** Offset of the chunk data (after the 8-byte header). */
+  start: number;
+  /** End of the chunk data (exclusive, before padding). */
+  end: number;
+  /** For `LIST` / `RIFF` chunks, the list type FourCC. */
+  listType?: string;
+}
+
+function fourcc(bytes: Uint8Array, at: number): string {
+  return String.fromCharCode(
+    bytes[at] ?? 0,
+    bytes[at + 1] ?? 0,
+    bytes[at + 2] ?? 0,
+    bytes[at + 3] ?? 0,
+  );
+}
+
+/** Iterate the chunks in `bytes[from, to)`, clamping truncated sizes. */
+function* chunks(
+  bytes: Uint8Array,
+  from: number,
+  to: number,
+): Generator<RiffChunk> {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = from;
+  while (pos + 8 <= to) {
+    const id = fourcc(bytes, pos);
+    const size = dv.getUint32(pos + 4, true);
+    const start = pos + 8;
+    const end = Math.min(start + size, to);
+    yield {
+      id,
+      start,
+      end,
+      listType: id === "LIST" ? fourcc(bytes, start) : undefined,
+    };
+    pos = start + size + (size & 1);
+  }
+}
+
+function streamPrefix(streamIndex: number): string {
+  return String(streamIndex).padStart(2, "0");
+}
+
+/** `NNdc` (compressed) or `NNdb` (uncompressed DIB) for stream `NN`. */
+function isFrameChunk(id: string, prefix: string): boolean {
+  return id.startsWith(prefix) && (id.endsWith("dc") || id.endsWith("db"));
+}
+
+// =============================================================================
+// MJPEG helpers
+// =============================================================================
+
+/**
+ * The standard JPEG Huffman tables (ITU T.81 Annex K.3) as one DHT segment.
+ * MJPEG frames in AVI1 form omit them, which image decoders reject.
+ */
+const DEFAULT_DHT: Uint8Array = (() => {
+  const tables: [number, number[], number[]][] = [
+    [0x00, [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], range(12)],
+    [0x01, [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], range(12)],
+    [
+      0x10,
+      [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+      [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06,
+        0x13, 0x51, 0x61, 0x07, 0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08,
+        0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0, 0x24, 0x33, 0x62, 0x72,
+        0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45,
+        0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59,
+        0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75,
+        0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3,
+        0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6,
+        0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9,
+        0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+        0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4,
+        0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+      ],
+    ],
+    [
+      0x11,
+      [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+      [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41,
+        0x51, 0x07, 0x61, 0x71, 0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91,
+        0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0, 0x15, 0x62, 0x72, 0xd1,
+        0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+        0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44,
+        0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58,
+        0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74,
+        0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a,
+        0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4,
+        0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7,
+        0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+        0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4,
+        0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+      ],
+    ],
+  ];
+  const body = tables.flatMap(([tc, bits, values]) => [tc, ...bits, ...values]);
+  const length = body.length + 2;
+  return new Uint8Array([0xff, 0xc4, length >> 8, length & 0xff, ...body]);
+})();
+
+function range(n: number): number[] {
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+/**
+ * Walk the JPEG marker segments up to the scan. Returns the offset of the SOS
+ * marker, whether a DHT segment was seen, and the SOF component count.
+ */
+function scanJpegHeader(jpeg: Uint8Array): {
+  sos: number;
+  hasDht: boolean;
+  components: number;
+} {
+  let hasDht = false;
+  let components = 3;
+  let pos = 2; // after SOI
+  while (pos + 4 <= jpeg.length && jpeg[pos] === 0xff) {
+    const marker = jpeg[pos + 1];
+    if (marker === 0xff) {
+      pos++; // fill byte
+      continue;
+    }
+    if (marker === 0xda) return { sos: pos, hasDht, components };
+    if (marker === 0xc4) hasDht = true;
+    // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC).
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      components = jpeg[pos + 9] ?? components;
+    }
+    pos += 2 + ((jpeg[pos + 2] << 8) | jpeg[pos + 3]);
+  }
+  return { sos: -1, hasDht, components };
+}
+
+/** Insert the standard Huffman tables into a JPEG that lacks them. */
+function withHuffmanTables(jpeg: Uint8Array): Uint8Array {
+  const { sos, hasDht } = scanJpegHeader(jpeg);
+  if (hasDht || sos < 0) return jpeg;
+  const out = new Uint8Array(jpeg.length + DEFAULT_DHT.length);
+  out.set(jpeg.subarray(0, sos));
+  out.set(DEFAULT_DHT, sos);
+  out.set(jpeg.subarray(sos), sos + DEFAULT_DHT.length);
+  return out;
+}
+
+// =============================================================================
+// Backend
+// =============================================================================
+
+/**
+ * Video backend for reading AVI files with MJPEG or uncompressed (8-bit
+ * grayscale / palette, 24-bit BGR, 32-bit BGRX) frames.
+ *
+ * Construct via {@link AviVideoBackend.create} (async; parses the headers and
+ * builds the frame index without reading any frame data beyond the first).
+ */
+export class AviVideoBackend implements VideoBackend {
+  filename: string;
+  dataset?: string | null = null;
+  shape: [number, number, number, number];
+  fps?: number;
+
+  private source: ByteSource;
+  private headerData: AviHeader;
+  private index: AviIndex;
+
+  private constructor(
+    filename: string,
+    source: ByteSource,
+    header: AviHeader,
+    index: AviIndex,
+    channels: number,
+  ) {
+    this.filename = filename;
+    this.source = source;
+    this.headerData = header;
+    this.index = index;
+    this.fps = header.fps;
+    this.shape = [index.numFrames, header.height, header.width, channels];
+  }
+
+  /**
+   * Open an AVI file from a path (Node), a `File`/`Blob` (browser), or a
+   * {@link RangeSource} (pass `filename` to name it).
+   */
+  static async create(
+    source: string | File | Blob | RangeSource,
+    filename?: string,
+  ): Promise<AviVideoBackend> {
+    let byteSource: ByteSource;
+    let name: string;
+    if (isRangeSource(source)) {
+      byteSource = new RangeByteSource(source);
+      name = filename ?? "";
+    } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+      byteSource = new BlobByteSource(source);
+      name = filename ?? (source as File).name ?? "";
+    } else {
+      byteSource = createFileByteSource(source as string);
+      name = filename ?? (source as string);
+    }
+
+    try {
+      const fileSize = await byteSource.size();
+      const riff = await byteSource.read(0, 12);
+      if (fourcc(riff, 0) !== "RIFF" || fourcc(riff, 8) !== "AVI ") {
+        throw new Error(`Not an AVI file: ${name || "<blob>"}`);
+      }
+
+      // Walk the top-level chunks of every RIFF ('AVI ' then 'AVIX') chunk.
+      let header: AviHeader | null = null;
+      let idx1: { offset: number; size: number } | null = null;
+      let moviStart = 0;
+      const movi: { start: number; end: number }[] = [];
+      for (let riffPos = 0; riffPos + 12 <= fileSize; ) {
+        const head = await byteSource.read(riffPos, 12);
+        if (fourcc(head, 0) !== "RIFF") break;
+        const riffSize = new DataView(head.buffer, head.byteOffset).getUint32(
+          4,
+          true,
+        );
+        const riffEnd = Math.min(riffPos + 8 + riffSize, fileSize);
+        for (let pos = riffPos + 12; pos + 8 <= riffEnd; ) {
+          const chunk = await byteSource.read(pos, 12);
+          if (chunk.length < 8) break;
+          const id = fourcc(chunk, 0);
+          const size = new DataView(chunk.buffer, chunk.byteOffset).getUint32(
+            4,
+            true,
+          );
+          const listType = id === "LIST" ? fourcc(chunk, 8) : "";
+          if (listType === "hdrl" && !header) {
+            const hdrl = await byteSource.read(pos + 12, size - 4);
+            header = AviHeader.fromHdrl(hdrl, pos + 12);
+          } else if (listType === "movi") {
+            if (movi.length === 0) moviStart = pos + 8;
+            movi.push({
+              start: pos + 12,
+              end: Math.min(pos + 8 + size, riffEnd),
+            });
+          } else if (id === "idx1" && !idx1) {
+            idx1 = { offset: pos + 8, size };
+          }
+          pos += 8 + size + (size & 1);
+        }
+        riffPos += 8 + riffSize + (riffSize & 1);
+      }
+      if (!header) throw new Error("AVI file has no header list (hdrl)");
+
+      const index =
+        (header.superIndex &&
+          (await AviIndex.fromOpenDml(byteSource, header.superIndex))) ||
+        (idx1 &&
+          (await AviIndex.fromIdx1(
+            byteSource,
+            idx1,
+            moviStart,
+            header.streamIndex,
+          ))) ||
+        (await AviIndex.fromMovi(byteSource, movi, header.streamIndex));
+
+      let channels = header.isGray ? 1 : 3;
+      if (header.isMjpeg && index.numFrames > 0) {
+        const first = await byteSource.read(index.offsets[0], index.sizes[0]);
+        channels = scanJpegHeader(first).components === 1 ? 1 : 3;
+      }
+      return new AviVideoBackend(name, byteSource, header, index, channels);
+    } catch (err) {
+      byteSource.close();
+      throw err;
+    }
+  }
+
+  /** The parsed headers of the video stream. */
+  get header(): AviHeader {
+    return this.headerData;
+  }
+
+  /** Number of frames in the video. */
+  get numFrames(): number {
+    return this.index.numFrames;
+  }
+
+  /**
+   * The stored bytes of a frame without decoding: a complete JPEG for MJPEG
+   * (with the implied Huffman tables restored), else the raw DIB rows.
+   */
+  async getFrameBytes(frameIndex: number): Promise<Uint8Array | null> {
+    let idx = frameIndex;
+    if (idx < 0) idx = this.index.numFrames + idx;
+    if (idx < 0 || idx >= this.index.numFrames) return null;
+    const data = await this.source.read(
+      this.index.offsets[idx],
+      this.index.sizes[idx],
+    );
+    return this.headerData.isMjpeg ? withHuffmanTables(data) : data;
+  }
+
+  async getFrame(frameIndex: number): Promise<VideoFrame | null> {
+    const data = await this.getFrameBytes(frameIndex);
+    if (!data) return null;
+    if (this.headerData.isMjpeg) return decodeEncoded(data);
+    return decodeDib(this.headerData, data);
+  }
+
+  /** Presentation times in seconds: a constant `1 / fps` apart. */
+  async getFrameTimes(): Promise<number[] | null> {
+    const fps = this.fps;
+    if (!fps) return null;
+    return Array.from({ length: this.index.numFrames }, (_, i) => i / fps);
+  }
+
+  close(): void {
+    this.source.close();
+  }
+}
+
+/** Decode uncompressed DIB rows (bottom-up unless top-down) into RGBA. */
+async function decodeDib(
+  header: AviHeader,
+  data: Uint8Array,
+): Promise<ImageData> {
+  const { width: w, height: h, bitCount } = header;
+  const gray = GRAY_FOURCCS.has(header.compression.toUpperCase());
+  const bytesPerPixel = gray ? 1 : bitCount / 8;
+  // DIB rows are padded to 4 bytes; Y800 rows are packed.
+  const stride = gray ? w : ((w * bitCount + 31) >> 5) * 4;
+  const palette = header.palette;
+  const rgba = new Uint8ClampedArray(w * h * 4);
+
+  for (let y = 0; y < h; y++) {
+    const row = (header.bottomUp ? h - 1 - y : y) * stride;
+    for (let x = 0; x < w; x++) {
+      const src = row + x * bytesPerPixel;
+      const o = (y * w + x) * 4;
+      if (bytesPerPixel === 1) {
+        const v = data[src] ?? 0;
+        if (palette && !gray) {
+          rgba[o] = palette[v * 3];
+          rgba[o + 1] = palette[v * 3 + 1];
+          rgba[o + 2] = palette[v * 3 + 2];
+        } else {
+          rgba[o] = v;
+          rgba[o + 1] = v;
+          rgba[o + 2] = v;
+        }
+      } else {
+        // BGR(X) -> RGBA.
+        rgba[o] = data[src + 2] ?? 0;
+        rgba[o + 1] = data[src + 1] ?? 0;
+        rgba[o + 2] = data[src] ?? 0;
+      }
+      rgba[o + 3] = 255;
+    }
+  }
+  return makeImageData(rgba, w, h);
+}
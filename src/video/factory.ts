@@ -9,73 +9,63 @@ import {
   isLibavDecoderConfigured,
 } from "./libav-h264-decoder.js";
 import { SeqVideoBackend } from "./seq-video.js";
+import { AviVideoBackend } from "./avi-video.js";
+import { TiffStackVideoBackend } from "./tiff-video.js";
 import { ImageVideoBackend } from "./image-video.js";
+import { ZipImageSource } from "./zip-image-source.js";
+import { UnsupportedVideoFormatError } from "./unsupported-format.js";
 import { openH5File } from "../codecs/slp/h5.js";
 import { RemoteIOError, isUrl, redactUrl, resolveUrl } from "../io/remote.js";
 
+export { UnsupportedVideoFormatError };
+
 /** Supported video backend identifiers for user selection. */
 export type VideoBackendType = "mp4box" | "mediabunny" | "media";
 
 /**
  * File extensions that MediaBunny handles (non-MP4 formats). `ts` is MPEG-TS,
  * which MediaBunny demuxes (its typical H.264/H.265 payload is WebCodecs-decodable);
- * `.mpeg`/`.mpg` (MPEG program streams) and `.avi` are NOT here — MediaBunny has no
- * demuxer for them (see {@link UnsupportedVideoFormatError} and UNSUPPORTED_EXTENSIONS).
+ * `.mpeg`/`.mpg` (MPEG program streams) are NOT here — MediaBunny has no demuxer
+ * for them (see {@link UnsupportedVideoFormatError} and UNSUPPORTED_EXTENSIONS).
+ * `.avi` is read by {@link AviVideoBackend} (MJPEG / uncompressed payloads).
  */
 const MEDIABUNNY_EXTENSIONS = ["webm", "mkv", "ogg", "mov", "ts"];
 
 /**
- * File extensions no web video backend can decode. AVI has no demuxer in
- * MediaBunny, and AVI/MPEG payloads (MJPEG, Xvid/DivX, MPEG-1/2) are not
+ * File extensions no web video backend can decode. MPEG program streams have
+ * no demuxer in MediaBunny, and their MPEG-1/2 payloads are not
  * WebCodecs-decodable; routing them anywhere produces an opaque mid-decode
  * failure, so we reject them up front instead. Real support would need an
  * ffmpeg-class path (ffmpeg.wasm in the browser, or a native ffmpeg sidecar on
  * desktop) — tracked separately. Transcode to MP4 (H.264) as a workaround.
  */
-const UNSUPPORTED_EXTENSIONS = ["avi", "mpeg", "mpg"];
+const UNSUPPORTED_EXTENSIONS = ["mpeg", "mpg"];
 
 /**
  * Image-sequence frame extensions (parity with Python `ImageVideo.EXTS`): one
  * image per frame. PNG/JPEG/BMP decode in both a browser (`createImageBitmap`)
- * and Node (`skia-canvas`); TIFF has no web decoder yet, so a `.tif`/`.tiff`
- * source routes here but fails gracefully at decode (the SLP load guard records
- * it) until a wasm TIFF decoder is added.
+ * and Node (`skia-canvas`); TIFF has no web image decoder yet, so a LIST of
+ * `.tif`/`.tiff` files routes here but fails gracefully at decode (the SLP load
+ * guard records it). A single TIFF file is a stack (see below).
  */
 export const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "tif", "tiff", "bmp"];
 
+/**
+ * Extensions of a single file opened as a (multi-page) TIFF stack by
+ * {@link TiffStackVideoBackend}, mirroring Python `TiffVideo`. A one-page TIFF
+ * is a one-frame stack.
+ */
+const TIFF_STACK_EXTENSIONS = ["tif", "tiff"];
+
 /**
  * True if `source` denotes an image-sequence (ImageVideo): a LIST of image
- * paths, or a single image-extension filename. Used by the SLP loader to
- * classify a backend-creation failure.
+ * paths, or a single image-extension filename other than a TIFF stack. Used by
+ * the SLP loader to classify a backend-creation failure.
  */
 export function isImageSource(source: string | string[]): boolean {
   if (Array.isArray(source)) return true;
   const ext = source.split("?")[0]?.split(".").pop()?.toLowerCase() ?? "";
-  return IMAGE_EXTENSIONS.includes(ext);
-}
-
-/**
- * Thrown when a video file's container/codec cannot be decoded by any available
- * web backend (e.g. `.avi`, `.mpeg`, `.mpg`). This is a clean, catchable signal
- * so callers can show an actionable "unsupported format" message instead of
- * letting a backend fail opaquely mid-decode. Transcode to MP4 (H.264) first.
- */
-export class UnsupportedVideoFormatError extends Error {
-  /** The offending file extension (without the leading dot), e.g. `"avi"`. */
-  readonly extension: string;
-
-  constructor(extension: string) {
-    super(
-      `Unsupported video format ".${extension}". AVI and MPEG program streams ` +
-        `cannot be decoded in the browser or desktop app. Transcode to MP4 (H.264) ` +
-        `first, e.g. \`ffmpeg -i input.${extension} -c:v libx264 output.mp4\`.`,
-    );
-    this.name = "UnsupportedVideoFormatError";
-    this.extension = extension;
-    // Restore the prototype chain so `instanceof` holds even under older
-    // transpile targets (matches MergeError/SkeletonMismatchError convention).
-    Object.setPrototypeOf(this, new.target.prototype);
-  }
+  return IMAGE_EXTENSIONS.includes(ext) && !TIFF_STACK_EXTENSIONS.includes(ext);
 }
 
 export interface CreateVideoBackendOptions {
@@ -108,6 +98,25 @@ export interface CreateVideoBackendOptions {
    * {@link GrayscaleVideoBackend}; see that class for the wrapping contract.
    */
   grayscale?: boolean | null;
+  /**
+   * Glob selecting the frame entries of a `.zip` image sequence, as in
+   * {@link ZipImageSource.open}. Ignored for other sources.
+   */
+  pattern?: string;
+  /**
+   * Axis a TIFF stack's frames step along, as in
+   * {@link TiffStackVideoBackend.create}. This and the `t`/`z`/`c`/
+   * `intensityRange` plane options are ignored for other sources.
+   */
+  axis?: "T" | "Z";
+  /** TIFF stack time point shown when frames step along Z. */
+  t?: number;
+  /** TIFF stack Z plane shown when frames step along T. */
+  z?: number;
+  /** TIFF stack channel shown. */
+  c?: number;
+  /** TIFF stack sample values mapped to black and white. */
+  intensityRange?: [number, number];
 }
 
 /**
@@ -176,6 +185,38 @@ async function createConcreteVideoBackend(
     return SeqVideoBackend.create(source);
   }
 
+  // Multi-page TIFF stacks (Python `TiffVideo`): pages are read lazily by IFD
+  // offset. Comes before the single-image route, which has no TIFF decoder.
+  // The plane options are ignored for every other source.
+  if (TIFF_STACK_EXTENSIONS.includes(ext)) {
+    return TiffStackVideoBackend.create(source, {
+      axis: options?.axis,
+      t: options?.t,
+      z: options?.z,
+      c: options?.c,
+      intensityRange: options?.intensityRange,
+    });
+  }
+
+  // Zipped image sequence: the archive's image entries (or those matching
+  // `options.pattern`) are the frames, read and inflated on demand.
+  if (ext === "zip") {
+    const zip = await ZipImageSource.open(source, {
+      pattern: options?.pattern,
+    });
+    try {
+      return await ImageVideoBackend.create({
+        filename: zip.names,
+        reader: zip.reader,
+        shape: options?.shape,
+        onClose: () => zip.close(),
+      });
+    } catch (err) {
+      zip.close();
+      throw err;
+    }
+  }
+
   // Single image file (Python `ImageVideo` single-frame / from_filename): route
   // to ImageVideoBackend with a one-element list. Multi-image lists are handled
   // at the top of this function via Array.isArray. This must come before the
@@ -190,7 +231,8 @@ async function createConcreteVideoBackend(
   // For real remote VIDEO backends (below), resolve the URL through the scheme
   // gate: gs:// -> storage.googleapis.com, http(s) passthrough, s3/az/abfs ->
   // RemoteIOError, Google Drive video -> unsupported. Local paths and Blobs are
-  // left untouched. (HDF5/seq/image sources above are never resolved here.)
+  // left untouched. (HDF5/seq/TIFF/zip/image sources above are never resolved
+  // here.)
   const videoUrl =
     !isBlob && typeof filename === "string" && isUrl(filename)
       ? resolveVideoUrl(filename)
@@ -212,6 +254,13 @@ async function createConcreteVideoBackend(
     return new MediaVideoBackend(videoUrl);
   }
 
+  // AVI: MJPEG / uncompressed frames read straight from the RIFF index; other
+  // codecs (XVID, DivX, H.264, ...) throw UnsupportedVideoFormatError. Comes
+  // after the overrides so a forced backend still gets a chance.
+  if (ext === "avi") {
+    return AviVideoBackend.create(source);
+  }
+
   // Formats no web backend can decode: fail loudly with a clean, catchable
   // error rather than silently routing them to a backend that chokes mid-decode.
   // (Explicit `backend` overrides above are honored as an escape hatch.)
@@ -22,6 +22,8 @@ export interface ImageVideoOptions {
   filename: string[];
   /** Byte reader; defaults to the globally-injected reader (`image-source`). */
   reader?: ImageBytesReader;
+  /** Called by `close()` to release the reader (e.g. an open ZIP archive). */
+  onClose?: () => void;
   /**
    * Optional `[frames, H, W, C]` from `.slp` metadata. When given, H/W/C are
    * trusted (frame count is always `filename.length`) and the first frame is
@@ -76,6 +78,7 @@ export class ImageVideoBackend implements VideoBackend {
   filename: string[];
   shape: [number, number, number, number];
   private reader: ImageBytesReader;
+  private onClose?: () => void;
   // Two-tier cache: a large tier of raw encoded bytes (kills the network read on
   // revisit/prefetch) and a small tier of decoded frames (kills the re-decode).
   private bytesCache: LruCache<number, Uint8Array>;
@@ -169,6 +172,7 @@ export class ImageVideoBackend implements VideoBackend {
     // Seed the cache with frame 0 (decoded up front when no shape was given).
     if (seedBytes) be.bytesCache.set(0, seedBytes);
     if (seedFrame) be.decodedCache.set(0, seedFrame);
+    be.onClose = opts.onClose;
     return be;
   }
 
@@ -280,5 +284,6 @@ export class ImageVideoBackend implements VideoBackend {
     this.bytesCache.clear();
     this.decodedCache.clear();
     this.inflight.clear();
+    this.onClose?.();
   }
 }
@@ -0,0 +1,271 @@
+// src/video/resize-backend.ts
+//
+// Virtual, on-read resize wrapper for an inner `VideoBackend`.
+//
+// Wraps an inner backend and reports a resized `(F, h, w, c)` view: frames are
+// decoded by the inner backend, then resampled by the pure `resizeFrame`
+// primitive (`src/transform/frame.ts`). Nothing is re-encoded on disk; the
+// frame count and channels are unchanged. Points map between the two frames
+// with `scalePoints`/`unscalePoints` (`src/transform/points.ts`).
+//
+// The canonical wrap order is Grayscale(Resize(Crop(raw))): the crop rect stays
+// in source pixels and the resize applies to the cropped view (see
+// `Video.resize`).
+//
+// Browser-safe: this module never statically imports a Node-only decoder (it
+// delegates any such need to `image-decode.ts`'s `toReadableFrame`).
+
+import type { VideoBackend, VideoFrame, GetFrameOptions } from "./backend.js";
+import { resizeFrame, type ResizeInterpolation } from "../transform/frame.js";
+import {
+  scalePoints,
+  unscalePoints,
+  type FlatPoints,
+  type PointPairs,
+} from "../transform/points.js";
+import { toReadableFrame } from "./image-decode.js";
+
+/** Options for {@link ResizeVideoBackend.wrap}. */
+export interface ResizeWrapOptions {
+  /**
+   * The backend to wrap. An existing `ResizeVideoBackend` is replaced rather
+   * than nested (see {@link ResizeVideoBackend.wrap}).
+   */
+  inner: VideoBackend;
+  /** Output `[height, width]` in pixels. */
+  size: [number, number];
+  /** Resampling method. Default `"bilinear"`. */
+  interpolation?: ResizeInterpolation;
+  /** Whether `close()` cascades to `inner.close()`. Default `true`. */
+  ownsInner?: boolean;
+}
+
+/**
+ * Virtual, on-read resize of an inner {@link VideoBackend}.
+ *
+ * Implements the {@link VideoBackend} interface, reporting a `[F, h, w, c]`
+ * view: {@link getFrame} decodes the inner frame, normalizes it to readable
+ * pixels via {@link toReadableFrame}, then applies {@link resizeFrame}. A frame
+ * that is already the output size is returned as-is.
+ *
+ * Always construct via {@link ResizeVideoBackend.wrap} so the "inner is never
+ * a ResizeVideoBackend" invariant holds by construction.
+ */
+export class ResizeVideoBackend implements VideoBackend {
+  /** Derived from `inner.filename`. */
+  filename: string | string[];
+  /**
+   * The wrapped backend. Decodes full-size frames; this wrapper resamples
+   * them. Invariant: `inner` is never itself a `ResizeVideoBackend`.
+   */
+  readonly inner: VideoBackend;
+  /** Output `[height, width]` in pixels. */
+  readonly size: [number, number];
+  /** Resampling method passed to `resizeFrame`. */
+  readonly interpolation: ResizeInterpolation;
+  /** Whether {@link close} cascades to `inner.close()`. */
+  readonly ownsInner: boolean;
+
+  /**
+   * Private-by-convention constructor: prefer {@link ResizeVideoBackend.wrap},
+   * which enforces the "inner is never a resize" invariant.
+   */
+  private constructor(
+    inner: VideoBackend,
+    size: [number, number],
+    interpolation: ResizeInterpolation,
+    ownsInner: boolean,
+  ) {
+    this.inner = inner;
+    this.size = [size[0], size[1]];
+    this.interpolation = interpolation;
+    this.ownsInner = ownsInner;
+    this.filename = inner.filename;
+  }
+
+  /**
+   * Wrap `inner` in a resize view.
+   *
+   * `size` is absolute, so a resize of a resize is flattened: the existing
+   * resize layer is unwrapped and its inner resampled straight to the new
+   * size (one resampling pass instead of two). The flattened wrapper owns the
+   * inner only if the replaced one did.
+   *
+   * @throws Error If `size` is not a pair of positive integers.
+   */
+  static wrap(options: ResizeWrapOptions): ResizeVideoBackend {
+    const [height, width] = options.size;
+    if (
+      !(
+        Number.isInteger(height) &&
+        Number.isInteger(width) &&
+        height > 0 &&
+        width > 0
+      )
+    ) {
+      throw new Error(
+        `Invalid resize size [${height}, ${width}]: expected positive ` +
+          "integer [height, width].",
+      );
+    }
+    let { inner } = options;
+    let ownsInner = options.ownsInner ?? true;
+    if (inner instanceof ResizeVideoBackend) {
+      ownsInner = ownsInner && inner.ownsInner;
+      inner = inner.inner;
+    }
+    return new ResizeVideoBackend(
+      inner,
+      [height, width],
+      options.interpolation ?? "bilinear",
+      ownsInner,
+    );
+  }
+
+  /** Inner backend's dataset name (delegated; a resize is spatial). */
+  get dataset(): string | null | undefined {
+    return this.inner.dataset;
+  }
+
+  /** Inner backend's frame rate (delegated). */
+  get fps(): number | undefined {
+    return this.inner.fps;
+  }
+
+  /** Inner backend's embedded frame numbers (delegated; a resize is frame-preserving). */
+  get frameNumbers(): number[] | undefined {
+    return this.inner.frameNumbers;
+  }
+
+  /** Inner backend's embedded blob format (delegated). */
+  get embeddedFormat(): string | undefined {
+    return this.inner.embeddedFormat;
+  }
+
+  /** Inner backend's embedded blob channel order (delegated). */
+  get embeddedChannelOrder(): string | undefined {
+    return this.inner.embeddedChannelOrder;
+  }
+
+  /**
+   * Raw stored blob for `frameNumber`, delegated to the inner backend. The
+   * stored blobs are the full-size inner frames (the resize rides the video
+   * metadata), so re-embedding copies them verbatim.
+   */
+  getFrameBuffer(frameNumber: number): Promise<Uint8Array | null> {
+    return this.inner.getFrameBuffer
+      ? this.inner.getFrameBuffer(frameNumber)
+      : Promise.resolve(null);
+  }
+
+  /** Deferred-metadata load, delegated to the inner backend (no-op if absent). */
+  ensureLoaded(): Promise<void> {
+    return this.inner.ensureLoaded?.() ?? Promise.resolve();
+  }
+
+  /** Inner backend's per-frame presentation times (delegated; a resize is spatial). */
+  async getFrameTimes(): Promise<number[] | null> {
+    if (typeof this.inner.getFrameTimes === "function") {
+      return this.inner.getFrameTimes();
+    }
+    return null;
+  }
+
+  /** Inner backend's first-frame liveness probe (delegated; defaults to `true` if absent). */
+  async probeFirstFrame(): Promise<boolean> {
+    if (typeof this.inner.probeFirstFrame === "function") {
+      return this.inner.probeFirstFrame();
+    }
+    return true;
+  }
+
+  /**
+   * Resized frame shape `[F, h, w, c]`: frame and channel counts from the
+   * inner, height/width from {@link size}. `undefined` only when the inner has
+   * no resolved shape.
+   */
+  get shape(): [number, number, number, number] | undefined {
+    const innerShape = this.inner.shape;
+    if (!innerShape) return undefined;
+    return [innerShape[0], this.size[0], this.size[1], innerShape[3]];
+  }
+
+  /**
+   * Resize factor `[sx, sy]` (output over inner width/height), or `null` when
+   * the inner has no resolved shape.
+   */
+  get scale(): [number, number] | null {
+    const innerShape = this.inner.shape;
+    if (!innerShape) return null;
+    return [this.size[1] / innerShape[2], this.size[0] / innerShape[1]];
+  }
+
+  /**
+   * Read a single resized frame. Returns `null` when the inner returns `null`
+   * (no such frame).
+   */
+  async getFrame(
+    frameIndex: number,
+    opts?: GetFrameOptions,
+  ): Promise<VideoFrame | null> {
+    const src = await this.inner.getFrame(frameIndex, opts);
+    if (src == null) return null;
+    const readable = await toReadableFrame(src, this.inner.shape);
+    const [height, width] = this.size;
+    if (readable.width === width && readable.height === height) {
+      return readable as unknown as VideoFrame;
+    }
+    return resizeFrame(
+      readable as ImageData,
+      this.size,
+      this.interpolation,
+    ) as unknown as VideoFrame;
+  }
+
+  /**
+   * Map inner-frame `(x, y)` coordinates into the resized frame (copy-based,
+   * NaN-preserving). Accepts a flat interleaved buffer or an array of `[x, y]`
+   * pairs and returns the same kind.
+   *
+   * @throws Error If the inner has no resolved shape (the scale is unknown).
+   */
+  toResizedCoords<T extends FlatPoints>(points: T): T;
+  toResizedCoords(points: PointPairs): [number, number][];
+  toResizedCoords(
+    points: FlatPoints | PointPairs,
+  ): FlatPoints | [number, number][] {
+    return scalePoints(points as FlatPoints, this.requireScale());
+  }
+
+  /**
+   * Map resized-frame `(x, y)` coordinates back to inner-frame coordinates.
+   * Inverse of {@link toResizedCoords}.
+   *
+   * @throws Error If the inner has no resolved shape (the scale is unknown).
+   */
+  toSourceCoords<T extends FlatPoints>(points: T): T;
+  toSourceCoords(points: PointPairs): [number, number][];
+  toSourceCoords(
+    points: FlatPoints | PointPairs,
+  ): FlatPoints | [number, number][] {
+    return unscalePoints(points as FlatPoints, this.requireScale());
+  }
+
+  private requireScale(): [number, number] {
+    const scale = this.scale;
+    if (scale == null) {
+      throw new Error(
+        "ResizeVideoBackend cannot map coordinates: the inner backend has no " +
+          "resolved shape, so the resize factor is unknown.",
+      );
+    }
+    return scale;
+  }
+
+  /** Release the inner's handle, if owned. */
+  close(): void {
+    if (this.ownsInner) {
+      this.inner.close();
+    }
+  }
+}
@@ -1,6 +1,7 @@
 // src/video/seq-node.ts
 //
-// Node-only registration of a `node:fs`-backed byte source for `.seq` files.
+// Node-only registration of a `node:fs`-backed byte source for `.seq`, `.avi`,
+// TIFF stack and zipped image-sequence files.
 //
 // Imported by the Node entry point (`src/index.ts`) and the bun test preload
 // (`bunfig.toml`), but NEVER by the browser entry (`src/index.browser.ts`).
@@ -16,6 +16,7 @@
 // statically import `node:fs`. File access on Node is provided through an
 // injected byte-source factory (see `seq-node.ts`); browsers use a `Blob`.
 
+import type { RangeSource } from "./backend.js";
 import { VideoBackend, VideoFrame } from "./backend.js";
 
 /** Numeric image-format code → codec name (Python `_IMAGE_FORMAT_CODES`). */
@@ -80,6 +81,25 @@ export class BlobByteSource implements ByteSource {
   }
 }
 
+/** {@link RangeSource}-backed byte source (e.g. a desktop `read_range` bridge). */
+export class RangeByteSource implements ByteSource {
+  private source: RangeSource;
+  constructor(source: RangeSource) {
+    this.source = source;
+  }
+  async size(): Promise<number> {
+    return this.source.size;
+  }
+  async read(offset: number, length: number): Promise<Uint8Array> {
+    const end = Math.min(offset + length, this.source.size);
+    if (end <= offset) return new Uint8Array(0);
+    return this.source.readRange(offset, end - offset);
+  }
+  close(): void {
+    // The range source owns its handle.
+  }
+}
+
 /** Factory for a file-path byte source; registered by the Node entry point. */
 export type FileByteSourceFactory = (path: string) => ByteSource;
 
@@ -92,11 +112,13 @@ export function setSeqFileByteSourceFactory(
   fileByteSourceFactory = factory;
 }
 
-function createFileByteSource(path: string): ByteSource {
+/** Open `path` through the registered factory (shared with `avi-video.ts`). */
+export function createFileByteSource(path: string): ByteSource {
   if (!fileByteSourceFactory) {
     throw new Error(
-      "Reading .seq files from a path requires the Node entry point " +
-        "(`@talmolab/sleap-io.js`). In the browser, pass a File/Blob instead.",
+      "Reading .seq/.avi/.tif/.zip files from a path requires the Node entry " +
+        "point (`@talmolab/sleap-io.js`). In the browser, pass a File/Blob " +
+        "instead.",
     );
   }
   return fileByteSourceFactory(path);
@@ -322,7 +344,7 @@ const hasGlobalImageData =
   typeof (globalThis as { ImageData?: unknown }).ImageData !== "undefined";
 
 /** Construct an `ImageData` from RGBA bytes, in browser or Node (skia-canvas). */
-async function makeImageData(
+export async function makeImageData(
   rgba: Uint8ClampedArray<ArrayBuffer>,
   width: number,
   height: number,
@@ -0,0 +1,793 @@
+// src/video/tiff-video.ts
+//
+// Backend for reading multi-page TIFF stacks (microscopy time-lapses and
+// Z-stacks, including OME-TIFF and ImageJ hyperstacks) as a video.
+//
+// Format overview:
+//   - A TIFF (or BigTIFF) file is a header pointing at a chain of IFDs, one
+//     per page. Each IFD holds the page's tags, including where its strips or
+//     tiles live in the file.
+//   - Opening a stack walks the IFD chain to collect page offsets and parses
+//     the first page's tags; each `getFrame` then reads one IFD and that page's
+//     strips, so a multi-GB stack is never loaded whole.
+//   - OME-XML (`DimensionOrder`, `SizeT`/`SizeZ`/`SizeC`) or ImageJ
+//     (`frames=`/`slices=`/`channels=`) metadata in the first page's
+//     ImageDescription maps pages onto T/Z/C. Frames step along T (or Z for a
+//     single-timepoint Z-stack), at a fixed index on the other axes.
+//
+// Pages are decoded with the optional `tiff` package (lazy-imported, as in
+// `io/label-images.ts`): each page is repacked into a small single-page TIFF
+// so the decoder never sees the rest of the file. Like `seq-video.ts` this
+// module is browser-reachable, so file access goes through a `ByteSource`.
+
+import type { RangeSource, VideoBackend, VideoFrame } from "./backend.js";
+import { isRangeSource } from "./backend.js";
+import {
+  BlobByteSource,
+  RangeByteSource,
+  createFileByteSource,
+  makeImageData,
+  type ByteSource,
+} from "./seq-video.js";
+
+/** Byte size of one value of each TIFF field type. */
+const TYPE_SIZES: Record<number, number> = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  6: 1, // SBYTE
+  7: 1, // UNDEFINED
+  8: 2, // SSHORT
+  9: 4, // SLONG
+  10: 8, // SRATIONAL
+  11: 4, // FLOAT
+  12: 8, // DOUBLE
+  13: 4, // IFD
+  16: 8, // LONG8 (BigTIFF)
+  17: 8, // SLONG8 (BigTIFF)
+  18: 8, // IFD8 (BigTIFF)
+};
+
+const TAG_IMAGE_WIDTH = 256;
+const TAG_IMAGE_LENGTH = 257;
+const TAG_BITS_PER_SAMPLE = 258;
+const TAG_COMPRESSION = 259;
+const TAG_PHOTOMETRIC = 262;
+const TAG_IMAGE_DESCRIPTION = 270;
+const TAG_STRIP_OFFSETS = 273;
+const TAG_SAMPLES_PER_PIXEL = 277;
+const TAG_STRIP_BYTE_COUNTS = 279;
+const TAG_MAX_SAMPLE_VALUE = 281;
+const TAG_PLANAR_CONFIGURATION = 284;
+const TAG_TILE_OFFSETS = 324;
+const TAG_TILE_BYTE_COUNTS = 325;
+const TAG_SAMPLE_FORMAT = 339;
+
+/** Tags copied into the single-page TIFF handed to the decoder (ascending). */
+const DECODE_TAGS = [
+  256, 257, 258, 259, 262, 266, 273, 274, 277, 278, 279, 281, 284, 317, 320,
+  322, 323, 324, 325, 338, 339,
+];
+/** Of those, the tags written back as SHORT (the rest as LONG). */
+const SHORT_TAGS = new Set([
+  258, 259, 262, 266, 274, 277, 281, 284, 317, 320, 338, 339,
+]);
+
+/** Compression schemes the `tiff` decoder handles: none, LZW, Deflate. */
+const SUPPORTED_COMPRESSIONS = new Set([1, 5, 8, 32946]);
+
+/**
+ * Bytes read past each IFD or tag-value read and kept in the metadata window,
+ * so a page's out-of-line values (usually written right after its IFD) come
+ * from the same read.
+ */
+const METADATA_READ_AHEAD = 512;
+
+type TagValue = number[] | string;
+
+/** A parsed IFD: the tags of one page. */
+interface TiffPage {
+  tags: Map<number, TagValue>;
+}
+
+function numbers(page: TiffPage, tag: number): number[] | undefined {
+  const value = page.tags.get(tag);
+  return Array.isArray(value) ? value : undefined;
+}
+
+function number(page: TiffPage, tag: number, fallback: number): number {
+  return numbers(page, tag)?.[0] ?? fallback;
+}
+
+// =============================================================================
+// IFD reader
+// =============================================================================
+
+/** Reads the header, the IFD chain and page tags of a (Big)TIFF file. */
+class TiffReader {
+  readonly source: ByteSource;
+  readonly littleEndian: boolean;
+  readonly bigTiff: boolean;
+  readonly firstIfd: number;
+  private window: { offset: number; bytes: Uint8Array } = {
+    offset: 0,
+    bytes: new Uint8Array(0),
+  };
+
+  private constructor(
+    source: ByteSource,
+    littleEndian: boolean,
+    bigTiff: boolean,
+    firstIfd: number,
+  ) {
+    this.source = source;
+    this.littleEndian = littleEndian;
+    this.bigTiff = bigTiff;
+    this.firstIfd = firstIfd;
+  }
+
+  static async open(source: ByteSource, name: string): Promise<TiffReader> {
+    const head = await source.read(0, 16);
+    const order = String.fromCharCode(head[0] ?? 0, head[1] ?? 0);
+    const le = order === "II";
+    const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+    const version = head.length >= 8 ? view.getUint16(2, le) : 0;
+    if (
+      (order !== "II" && order !== "MM") ||
+      (version !== 42 && version !== 43)
+    )
+      throw new Error(`Not a TIFF file: ${name || "<blob>"}`);
+    const bigTiff = version === 43;
+    const firstIfd = bigTiff
+      ? Number(view.getBigUint64(8, le))
+      : view.getUint32(4, le);
+    return new TiffReader(source, le, bigTiff, firstIfd);
+  }
+
+  private get offsetSize(): number {
+    return this.bigTiff ? 8 : 4;
+  }
+
+  /** Read metadata bytes through a small cached window. */
+  private async bytes(offset: number, length: number): Promise<DataView> {
+    const { offset: start, bytes } = this.window;
+    let data: Uint8Array;
+    if (offset >= start && offset + length <= start + bytes.length) {
+      data = bytes.subarray(offset - start, offset - start + length);
+    } else {
+      const read = await this.source.read(offset, length + METADATA_READ_AHEAD);
+      this.window = { offset, bytes: read };
+      data = read.subarray(0, length);
+    }
+    if (data.length < length) {
+      throw new Error(`TIFF file is truncated at byte ${offset + length}`);
+    }
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  private offsetAt(view: DataView, pos: number): number {
+    return this.bigTiff
+      ? Number(view.getBigUint64(pos, this.littleEndian))
+      : view.getUint32(pos, this.littleEndian);
+  }
+
+  /** Number of entries in the IFD at `offset`. */
+  private async ifdHead(offset: number): Promise<number> {
+    const countSize = this.bigTiff ? 8 : 2;
+    const view = await this.bytes(offset, countSize);
+    return this.bigTiff
+      ? Number(view.getBigUint64(0, this.littleEndian))
+      : view.getUint16(0, this.littleEndian);
+  }
+
+  /** Offsets of every IFD in the chain, in page order. */
+  async pageOffsets(): Promise<number[]> {
+    const countSize = this.bigTiff ? 8 : 2;
+    const entrySize = this.bigTiff ? 20 : 12;
+    const offsets: number[] = [];
+    const seen = new Set<number>();
+    for (let offset = this.firstIfd; offset !== 0 && !seen.has(offset); ) {
+      seen.add(offset);
+      offsets.push(offset);
+      const count = await this.ifdHead(offset);
+      const entriesSize = count * entrySize;
+      const ifd = await this.bytes(
+        offset,
+        countSize + entriesSize + this.offsetSize,
+      );
+      offset = this.offsetAt(ifd, countSize + entriesSize);
+    }
+    return offsets;
+  }
+
+  /** Parse the tags of the IFD at `offset`. */
+  async readPage(offset: number): Promise<TiffPage> {
+    const countSize = this.bigTiff ? 8 : 2;
+    const entrySize = this.bigTiff ? 20 : 12;
+    const le = this.littleEndian;
+    const count = await this.ifdHead(offset);
+    const entries = await this.bytes(offset + countSize, count * entrySize);
+    const tags = new Map<number, TagValue>();
+    for (let i = 0; i < count; i++) {
+      const pos = i * entrySize;
+      const tag = entries.getUint16(pos, le);
+      const type = entries.getUint16(pos + 2, le);
+      const n = this.bigTiff
+        ? Number(entries.getBigUint64(pos + 4, le))
+        : entries.getUint32(pos + 4, le);
+      const typeSize = TYPE_SIZES[type];
+      if (!typeSize) continue;
+      const valuePos = pos + (this.bigTiff ? 12 : 8);
+      const size = typeSize * n;
+      const raw =
+        size <= this.offsetSize
+          ? new DataView(
+              entries.buffer,
+              entries.byteOffset + valuePos,
+              this.offsetSize,
+            )
+          : await this.bytes(this.offsetAt(entries, valuePos), size);
+      tags.set(tag, parseValues(raw, type, n, le));
+    }
+    return { tags };
+  }
+}
+
+function parseValues(
+  view: DataView,
+  type: number,
+  count: number,
+  le: boolean,
+): TagValue {
+  if (type === 2) {
+    let text = "";
+    for (let i = 0; i < count; i++)
+      text += String.fromCharCode(view.getUint8(i));
+    return text.replace(/\0+$/, "");
+  }
+  const values: number[] = [];
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case 3:
+        values.push(view.getUint16(i * 2, le));
+        break;
+      case 8:
+        values.push(view.getInt16(i * 2, le));
+        break;
+      case 4:
+      case 13:
+        values.push(view.getUint32(i * 4, le));
+        break;
+      case 9:
+        values.push(view.getInt32(i * 4, le));
+        break;
+      case 5:
+        values.push(view.getUint32(i * 8, le) / view.getUint32(i * 8 + 4, le));
+        break;
+      case 10:
+        values.push(view.getInt32(i * 8, le) / view.getInt32(i * 8 + 4, le));
+        break;
+      case 11:
+        values.push(view.getFloat32(i * 4, le));
+        break;
+      case 12:
+        values.push(view.getFloat64(i * 8, le));
+        break;
+      case 16:
+      case 18:
+        values.push(Number(view.getBigUint64(i * 8, le)));
+        break;
+      case 17:
+        values.push(Number(view.getBigInt64(i * 8, le)));
+        break;
+      case 6:
+        values.push(view.getInt8(i));
+        break;
+      default:
+        values.push(view.getUint8(i));
+    }
+  }
+  return values;
+}
+
+// =============================================================================
+// Stack axes
+// =============================================================================
+
+/** How the pages of a stack map onto time, Z and channel. */
+export interface TiffStackAxes {
+  /** Page order, fastest-varying axis first (e.g. `"ZCT"`). */
+  order: string;
+  sizeT: number;
+  sizeZ: number;
+  sizeC: number;
+  /** Seconds between time points, when the metadata records it. */
+  timeIncrement?: number;
+  /** Display range from the metadata (ImageJ `min`/`max`, OME bit depth). */
+  intensityRange?: [number, number];
+}
+
+/**
+ * Read the T/Z/C layout from OME-XML or ImageJ metadata. Falls back to a
+ * plain time series (one page per frame) when there is no usable metadata
+ * or it does not account for exactly `nPages` pages.
+ */
+export function parseStackAxes(
+  description: string | undefined,
+  nPages: number,
+): TiffStackAxes {
+  const plain: TiffStackAxes = {
+    order: "ZCT",
+    sizeT: nPages,
+    sizeZ: 1,
+    sizeC: 1,
+  };
+  const axes = description
+    ? (parseOmeAxes(description) ?? parseImageJAxes(description))
+    : null;
+  if (!axes || axes.sizeT * axes.sizeZ * axes.sizeC !== nPages) return plain;
+  return axes;
+}
+
+function parseOmeAxes(desc: string): TiffStackAxes | null {
+  if (!/<\s*OME[\s>]|openmicroscopy\.org/i.test(desc)) return null;
+  const pixels = desc.match(/<\s*Pixels\b[^>]*>/i)?.[0];
+  if (!pixels) return null;
+  const attr = (name: string): string | undefined =>
+    pixels.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, "i"))?.[1];
+  const size = (name: string) => Number.parseInt(attr(name) ?? "1", 10) || 1;
+
+  const order = (attr("DimensionOrder") ?? "XYZCT").toUpperCase().slice(2);
+  // RGB images store all channels of a <Channel SamplesPerPixel="3"> in one page.
+  const channels = desc.match(/<\s*Channel\b/gi)?.length ?? 0;
+  const axes: TiffStackAxes = {
+    order,
+    sizeT: size("SizeT"),
+    sizeZ: size("SizeZ"),
+    sizeC: channels > 0 ? Math.min(channels, size("SizeC")) : size("SizeC"),
+  };
+  const increment = Number.parseFloat(attr("TimeIncrement") ?? "");
+  if (increment > 0) {
+    const unit = attr("TimeIncrementUnit") ?? "s";
+    const scale =
+      unit === "ms" ? 1e-3 : unit === "µs" || unit === "us" ? 1e-6 : 1;
+    axes.timeIncrement = increment * scale;
+  }
+  const bits = Number.parseInt(attr("SignificantBits") ?? "", 10);
+  if (bits > 0 && bits < 32) axes.intensityRange = [0, 2 ** bits - 1];
+  return axes;
+}
+
+function parseImageJAxes(desc: string): TiffStackAxes | null {
+  if (!/(^|\n)ImageJ=/.test(desc)) return null;
+  const get = (key: string): number | undefined => {
+    const m = desc.match(new RegExp(`(?:^|\\n)${key}=([-\\d.eE+]+)`));
+    return m ? Number.parseFloat(m[1]) : undefined;
+  };
+  // ImageJ hyperstacks interleave channels fastest, then slices, then frames.
+  const axes: TiffStackAxes = {
+    order: "CZT",
+    sizeT: get("frames") ?? 1,
+    sizeZ: get("slices") ?? 1,
+    sizeC: get("channels") ?? 1,
+  };
+  const interval = get("finterval");
+  const fps = get("fps");
+  if (interval && interval > 0) axes.timeIncrement = interval;
+  else if (fps && fps > 0) axes.timeIncrement = 1 / fps;
+  const min = get("min");
+  const max = get("max");
+  if (min !== undefined && max !== undefined && max > min) {
+    axes.intensityRange = [min, max];
+  }
+  return axes;
+}
+
+// =============================================================================
+// Page decoding
+// =============================================================================
+
+// Minimal shape of a decoded page from the `tiff` package.
+interface DecodedTiffPage {
+  width: number;
+  height: number;
+  samplesPerPixel: number;
+  type: number;
+  palette?: [number, number, number][];
+  data: ArrayLike<number>;
+}
+
+type TiffModule = { decode: (b: Uint8Array) => DecodedTiffPage[] };
+
+let tiffModule: Promise<TiffModule> | null = null;
+
+/** Lazy-import the optional `tiff` decoder. */
+function loadTiff(): Promise<TiffModule> {
+  tiffModule ??= (import("tiff") as unknown as Promise<TiffModule>).catch(
+    () => {
+      tiffModule = null;
+      throw new Error(
+        "Reading TIFF stacks requires the optional `tiff` package. " +
+          "Install it with: npm install tiff",
+      );
+    },
+  );
+  return tiffModule;
+}
+
+/** Read the strips (or tiles) of a page, in one request when they are packed. */
+async function readPageData(
+  source: ByteSource,
+  offsets: number[],
+  counts: number[],
+): Promise<Uint8Array[]> {
+  const start = Math.min(...offsets);
+  const end = Math.max(...offsets.map((o, i) => o + (counts[i] ?? 0)));
+  const total = counts.reduce((n, c) => n + c, 0);
+  if (end - start <= total * 2) {
+    const span = await source.read(start, end - start);
+    return offsets.map((o, i) =>
+      span.subarray(o - start, o - start + counts[i]),
+    );
+  }
+  return Promise.all(offsets.map((o, i) => source.read(o, counts[i])));
+}
+
+/**
+ * Write one page as a standalone TIFF: the decoding tags from `page`, with
+ * strip (or tile) offsets pointing at `data` placed after the IFD. Keeps the
+ * source byte order, which multi-byte samples are stored in.
+ */
+function repackPage(
+  page: TiffPage,
+  data: Uint8Array[],
+  littleEndian: boolean,
+): Uint8Array {
+  const tiled = page.tags.has(TAG_TILE_OFFSETS);
+  const offsetTag = tiled ? TAG_TILE_OFFSETS : TAG_STRIP_OFFSETS;
+  const countTag = tiled ? TAG_TILE_BYTE_COUNTS : TAG_STRIP_BYTE_COUNTS;
+  const entries: { tag: number; type: number; values: number[] }[] = [];
+  for (const tag of DECODE_TAGS) {
+    const values = numbers(page, tag);
+    if (!values) continue;
+    entries.push({
+      tag,
+      type: SHORT_TAGS.has(tag) ? 3 : 4,
+      values: tag === countTag ? data.map((d) => d.length) : values,
+    });
+  }
+
+  // Layout: header, IFD, out-of-line values, then the page data.
+  let pos = 8 + 2 + entries.length * 12 + 4;
+  const valueOffsets = entries.map(({ type, values }) => {
+    const size = values.length * (type === 3 ? 2 : 4);
+    if (size <= 4) return -1;
+    const at = pos;
+    pos += size + (size & 1);
+    return at;
+  });
+  const dataOffsets = data.map((d) => {
+    const at = pos;
+    pos += d.length;
+    return at;
+  });
+  for (const entry of entries) {
+    if (entry.tag === offsetTag) entry.values = dataOffsets;
+  }
+
+  const out = new Uint8Array(pos);
+  const view = new DataView(out.buffer);
+  const le = littleEndian;
+  out.set(le ? [0x49, 0x49] : [0x4d, 0x4d]);
+  view.setUint16(2, 42, le);
+  view.setUint32(4, 8, le);
+  view.setUint16(8, entries.length, le);
+  entries.forEach(({ tag, type, values }, i) => {
+    const at = 10 + i * 12;
+    view.setUint16(at, tag, le);
+    view.setUint16(at + 2, type, le);
+    view.setUint32(at + 4, values.length, le);
+    let valuePos = at + 8;
+    if (valueOffsets[i] >= 0) {
+      view.setUint32(at + 8, valueOffsets[i], le);
+      valuePos = valueOffsets[i];
+    }
+    values.forEach((v, j) => {
+      if (type === 3) view.setUint16(valuePos + j * 2, v, le);
+      else view.setUint32(valuePos + j * 4, v, le);
+    });
+  });
+  data.forEach((d, i) => {
+    out.set(d, dataOffsets[i]);
+  });
+  return out;
+}
+
+/** Map decoded samples into RGBA, scaling `range` onto 0-255. */
+async function toImageData(
+  page: DecodedTiffPage,
+  range: [number, number],
+): Promise<ImageData> {
+  const { width: w, height: h, data, samplesPerPixel: spp } = page;
+  const [lo, hi] = range;
+  const scale = 255 / (hi - lo || 1);
+  const level = (v: number) =>
+    v <= lo ? 0 : v >= hi ? 255 : Math.round((v - lo) * scale);
+  // Palette entries are 16-bit.
+  const palette = page.type === 3 ? page.palette : undefined;
+  const rgba = new Uint8ClampedArray(w * h * 4);
+  for (let i = 0; i < w * h; i++) {
+    const src = i * spp;
+    const o = i * 4;
+    if (palette) {
+      const [r, g, b] = palette[data[src]] ?? [0, 0, 0];
+      rgba[o] = r >> 8;
+      rgba[o + 1] = g >> 8;
+      rgba[o + 2] = b >> 8;
+    } else if (spp >= 3) {
+      rgba[o] = level(data[src]);
+      rgba[o + 1] = level(data[src + 1]);
+      rgba[o + 2] = level(data[src + 2]);
+    } else {
+      const v = level(data[src]);
+      rgba[o] = v;
+      rgba[o + 1] = v;
+      rgba[o + 2] = v;
+    }
+    rgba[o + 3] = 255;
+  }
+  return makeImageData(rgba, w, h);
+}
+
+// =============================================================================
+// Backend
+// =============================================================================
+
+/** Options for {@link TiffStackVideoBackend.create}. */
+export interface TiffStackOptions {
+  /** Name for a `Blob` or {@link RangeSource} (defaults to the `File` name). */
+  filename?: string;
+  /**
+   * Axis frames step along. Defaults to `"T"`, or `"Z"` for a stack with a
+   * single time point and several Z planes.
+   */
+  axis?: "T" | "Z";
+  /** Time point shown when frames step along Z (default 0). */
+  t?: number;
+  /** Z plane shown when frames step along T (default 0). */
+  z?: number;
+  /** Channel shown (default 0). */
+  c?: number;
+  /**
+   * Sample values mapped to black and white. Defaults to the metadata display
+   * range (ImageJ `min`/`max`, OME `SignificantBits`), else the
+   * MaxSampleValue tag, else the full range of the sample type (`[0, 1]` for
+   * floating point).
+   */
+  intensityRange?: [number, number];
+}
+
+/**
+ * Video backend for multi-page TIFF stacks (OME-TIFF, ImageJ hyperstacks,
+ * plain multi-page and BigTIFF files).
+ *
+ * Pages are read lazily by IFD offset; uncompressed, LZW and Deflate pages
+ * with 8/16-bit integer or 32-bit float samples decode through the optional
+ * `tiff` package. Frames are RGBA `ImageData`; samples wider than 8 bits are
+ * scaled from {@link TiffStackVideoBackend.intensityRange}.
+ */
+export class TiffStackVideoBackend implements VideoBackend {
+  filename: string;
+  dataset?: string | null = null;
+  shape: [number, number, number, number];
+  fps?: number;
+
+  private reader: TiffReader;
+  private offsets: number[];
+  private axesData: TiffStackAxes;
+  private axisName: "T" | "Z";
+  private fixed: { t: number; z: number; c: number };
+  private range: [number, number];
+
+  private constructor(
+    filename: string,
+    reader: TiffReader,
+    offsets: number[],
+    axes: TiffStackAxes,
+    axis: "T" | "Z",
+    fixed: { t: number; z: number; c: number },
+    range: [number, number],
+    first: TiffPage,
+  ) {
+    this.filename = filename;
+    this.reader = reader;
+    this.offsets = offsets;
+    this.axesData = axes;
+    this.axisName = axis;
+    this.fixed = fixed;
+    this.range = range;
+    const photometric = number(first, TAG_PHOTOMETRIC, 1);
+    this.shape = [
+      axis === "T" ? axes.sizeT : axes.sizeZ,
+      number(first, TAG_IMAGE_LENGTH, 0),
+      number(first, TAG_IMAGE_WIDTH, 0),
+      photometric === 2 || photometric === 3 ? 3 : 1,
+    ];
+    if (axis === "T" && axes.timeIncrement) this.fps = 1 / axes.timeIncrement;
+  }
+
+  /**
+   * Open a TIFF stack from a path (Node), a `File`/`Blob` (browser), or a
+   * {@link RangeSource}.
+   */
+  static async create(
+    source: string | File | Blob | RangeSource,
+    options: TiffStackOptions = {},
+  ): Promise<TiffStackVideoBackend> {
+    let byteSource: ByteSource;
+    let name: string;
+    if (isRangeSource(source)) {
+      byteSource = new RangeByteSource(source);
+      name = options.filename ?? "";
+    } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+      byteSource = new BlobByteSource(source);
+      name = options.filename ?? (source as File).name ?? "";
+    } else {
+      byteSource = createFileByteSource(source as string);
+      name = options.filename ?? (source as string);
+    }
+
+    try {
+      const reader = await TiffReader.open(byteSource, name);
+      const offsets = await reader.pageOffsets();
+      if (offsets.length === 0)
+        throw new Error(`TIFF file has no pages: ${name}`);
+      const first = await reader.readPage(offsets[0]);
+      checkPage(first);
+
+      const description = first.tags.get(TAG_IMAGE_DESCRIPTION);
+      const axes = parseStackAxes(
+        typeof description === "string" ? description : undefined,
+        offsets.length,
+      );
+      const axis =
+        options.axis ?? (axes.sizeT === 1 && axes.sizeZ > 1 ? "Z" : "T");
+      const fixed = { t: options.t ?? 0, z: options.z ?? 0, c: options.c ?? 0 };
+      const sizes = { t: axes.sizeT, z: axes.sizeZ, c: axes.sizeC };
+      for (const key of ["t", "z", "c"] as const) {
+        if (fixed[key] < 0 || fixed[key] >= sizes[key]) {
+          throw new Error(
+            `${key} index ${fixed[key]} is out of range for a stack with ` +
+              `Size${key.toUpperCase()}=${sizes[key]}`,
+          );
+        }
+      }
+
+      return new TiffStackVideoBackend(
+        name,
+        reader,
+        offsets,
+        axes,
+        axis,
+        fixed,
+        options.intensityRange ?? axes.intensityRange ?? defaultRange(first),
+        first,
+      );
+    } catch (err) {
+      byteSource.close();
+      throw err;
+    }
+  }
+
+  /** The T/Z/C layout of the stack's pages. */
+  get axes(): TiffStackAxes {
+    return this.axesData;
+  }
+
+  /** The axis frames step along. */
+  get axis(): "T" | "Z" {
+    return this.axisName;
+  }
+
+  /** Number of pages (IFDs) in the file. */
+  get numPages(): number {
+    return this.offsets.length;
+  }
+
+  /** Sample values mapped to black and white. */
+  get intensityRange(): [number, number] {
+    return this.range;
+  }
+
+  /** The page holding `frameIndex`, or -1 when it is out of range. */
+  pageIndex(frameIndex: number): number {
+    const numFrames = this.shape[0];
+    let idx = frameIndex;
+    if (idx < 0) idx = numFrames + idx;
+    if (idx < 0 || idx >= numFrames) return -1;
+    const { order, sizeT, sizeZ, sizeC } = this.axesData;
+    const sizes: Record<string, number> = { T: sizeT, Z: sizeZ, C: sizeC };
+    const position: Record<string, number> = {
+      T: this.axisName === "T" ? idx : this.fixed.t,
+      Z: this.axisName === "Z" ? idx : this.fixed.z,
+      C: this.fixed.c,
+    };
+    let page = 0;
+    let stride = 1;
+    for (const dim of order) {
+      page += position[dim] * stride;
+      stride *= sizes[dim];
+    }
+    return page;
+  }
+
+  async getFrame(frameIndex: number): Promise<VideoFrame | null> {
+    const pageIdx = this.pageIndex(frameIndex);
+    if (pageIdx < 0) return null;
+    const page = await this.reader.readPage(this.offsets[pageIdx]);
+    checkPage(page);
+    const [, height, width] = this.shape;
+    const pageWidth = number(page, TAG_IMAGE_WIDTH, 0);
+    const pageHeight = number(page, TAG_IMAGE_LENGTH, 0);
+    if (pageWidth !== width || pageHeight !== height) {
+      throw new Error(
+        `TIFF page ${pageIdx} is ${pageWidth}x${pageHeight} but the stack is ` +
+          `${width}x${height}`,
+      );
+    }
+
+    const tiled = page.tags.has(TAG_TILE_OFFSETS);
+    const offsets =
+      numbers(page, tiled ? TAG_TILE_OFFSETS : TAG_STRIP_OFFSETS) ?? [];
+    const counts =
+      numbers(page, tiled ? TAG_TILE_BYTE_COUNTS : TAG_STRIP_BYTE_COUNTS) ?? [];
+    const data = await readPageData(this.reader.source, offsets, counts);
+    const tiff = await loadTiff();
+    const [decoded] = tiff.decode(
+      repackPage(page, data, this.reader.littleEndian),
+    );
+    return toImageData(decoded, this.range);
+  }
+
+  /** Presentation times in seconds, when the metadata has a time increment. */
+  async getFrameTimes(): Promise<number[] | null> {
+    const fps = this.fps;
+    if (!fps) return null;
+    return Array.from({ length: this.shape[0] }, (_, i) => i / fps);
+  }
+
+  close(): void {
+    this.reader.source.close();
+  }
+}
+
+/** Reject page layouts the decoder cannot read, with an actionable message. */
+function checkPage(page: TiffPage): void {
+  const compression = number(page, TAG_COMPRESSION, 1);
+  if (!SUPPORTED_COMPRESSIONS.has(compression)) {
+    throw new Error(
+      `Unsupported TIFF compression ${compression}. Only uncompressed, LZW ` +
+        "and Deflate stacks can be read; re-save the stack uncompressed.",
+    );
+  }
+  if (
+    number(page, TAG_PLANAR_CONFIGURATION, 1) === 2 &&
+    number(page, TAG_SAMPLES_PER_PIXEL, 1) > 1
+  ) {
+    throw new Error(
+      "Planar (channel-separated) multi-sample TIFF pages are not supported; " +
+        "save the stack with interleaved samples.",
+    );
+  }
+}
+
+/** The full sample range of a page's type, or its MaxSampleValue. */
+function defaultRange(page: TiffPage): [number, number] {
+  if (number(page, TAG_SAMPLE_FORMAT, 1) === 3) return [0, 1];
+  const bits = number(page, TAG_BITS_PER_SAMPLE, 1);
+  const max = numbers(page, TAG_MAX_SAMPLE_VALUE)?.[0];
+  if (max !== undefined && max > 0 && bits > 8) return [0, max];
+  return [0, 2 ** bits - 1];
+}
@@ -0,0 +1,37 @@
+// src/video/unsupported-format.ts
+//
+// The "no web backend can decode this" error, in its own module so both the
+// backend factory and individual backends (e.g. `avi-video.ts`, for codecs it
+// cannot read) can throw it without importing each other. Re-exported from
+// `factory.ts`, its public home.
+
+/**
+ * Thrown when a video file's container/codec cannot be decoded by any available
+ * web backend (e.g. `.mpeg`, `.mpg`, or an XVID/H.264 `.avi`). This is a clean,
+ * catchable signal so callers can show an actionable "unsupported format"
+ * message instead of letting a backend fail opaquely mid-decode. Transcode to
+ * MP4 (H.264) first.
+ */
+export class UnsupportedVideoFormatError extends Error {
+  /** The offending file extension (without the leading dot), e.g. `"avi"`. */
+  readonly extension: string;
+
+  /**
+   * @param extension - File extension without the leading dot.
+   * @param message - Overrides the default container-level message (e.g. to
+   *   name the unsupported codec inside a readable container).
+   */
+  constructor(extension: string, message?: string) {
+    super(
+      message ??
+        `Unsupported video format ".${extension}". MPEG program streams ` +
+          `cannot be decoded in the browser or desktop app. Transcode to MP4 (H.264) ` +
+          `first, e.g. \`ffmpeg -i input.${extension} -c:v libx264 output.mp4\`.`,
+    );
+    this.name = "UnsupportedVideoFormatError";
+    this.extension = extension;
+    // Restore the prototype chain so `instanceof` holds even under older
+    // transpile targets (matches MergeError/SkeletonMismatchError convention).
+    Object.setPrototypeOf(this, new.target.prototype);
+  }
+}
@@ -0,0 +1,181 @@
+// src/video/zip-image-source.ts
+//
+// Image-sequence frames read straight out of a ZIP archive (a zipped folder of
+// PNG/JPEG frames), without extracting it.
+//
+// Opening an archive reads only its central directory; each frame's entry is
+// then read and inflated (with `pako`, via `io/zip.ts`) when requested. The
+// archive is reached through a `ByteSource` like `.seq`/`.avi` files: a
+// `File`/`Blob` in the browser, a `RangeSource`, or the `node:fs` source that
+// `seq-node.ts` registers for paths. `ZipImageSource.reader` plugs into
+// `ImageVideoBackend`, which does the decoding and caching.
+
+import type { RangeSource } from "./backend.js";
+import { isRangeSource } from "./backend.js";
+import type { ImageBytesReader } from "./image-source.js";
+import {
+  BlobByteSource,
+  RangeByteSource,
+  createFileByteSource,
+  type ByteSource,
+} from "./seq-video.js";
+import {
+  findCentralDirectory,
+  inflateZipEntry,
+  parseCentralDirectory,
+  zipEntryDataOffset,
+  ZIP_TAIL_LENGTH,
+  type ZipEntry,
+} from "../io/zip.js";
+
+/** Entry extensions treated as frames when no `pattern` is given. */
+const FRAME_EXTENSIONS = ["png", "jpg", "jpeg", "bmp"];
+
+export interface ZipImageSourceOptions {
+  /** Name for a `Blob` or {@link RangeSource} (defaults to the `File` name). */
+  filename?: string;
+  /**
+   * Glob selecting the frame entries inside the archive, e.g.
+   * `"cam1/*.jpg"`. `*` and `?` stay within a folder, `**` crosses folders.
+   * Default: every PNG/JPEG/BMP entry.
+   */
+  pattern?: string;
+}
+
+/** Convert a glob to an anchored RegExp over archive paths. */
+export function globToRegExp(pattern: string): RegExp {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      // `**/` matches zero or more folders; a trailing `**` matches anything.
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (c === "*") source += "[^/]*";
+    else if (c === "?") source += "[^/]";
+    else source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/** Whether an entry is a frame: a file, not macOS metadata, matching. */
+function isFrameEntry(entry: ZipEntry, pattern: RegExp | null): boolean {
+  const { name } = entry;
+  if (name.endsWith("/") || name.startsWith("__MACOSX/")) return false;
+  const base = name.slice(name.lastIndexOf("/") + 1);
+  if (base.startsWith(".")) return false;
+  if (pattern) return pattern.test(name);
+  const ext = base.split(".").pop()?.toLowerCase() ?? "";
+  return base.includes(".") && FRAME_EXTENSIONS.includes(ext);
+}
+
+/**
+ * The image entries of a ZIP archive, sorted by path, with on-demand reads.
+ *
+ * ```ts
+ * const zip = await ZipImageSource.open(file);
+ * const backend = await ImageVideoBackend.create({
+ *   filename: zip.names,
+ *   reader: zip.reader,
+ *   onClose: () => zip.close(),
+ * });
+ * ```
+ */
+export class ZipImageSource {
+  readonly filename: string;
+  /** The frame entries, sorted by path. */
+  readonly entries: ZipEntry[];
+
+  private source: ByteSource;
+  private byName: Map<string, ZipEntry>;
+
+  private constructor(
+    filename: string,
+    source: ByteSource,
+    entries: ZipEntry[],
+  ) {
+    this.filename = filename;
+    this.source = source;
+    this.entries = entries;
+    this.byName = new Map(entries.map((e) => [e.name, e]));
+  }
+
+  /**
+   * Open an archive from a path (Node), a `File`/`Blob` (browser), or a
+   * {@link RangeSource}, reading its central directory.
+   */
+  static async open(
+    source: string | File | Blob | RangeSource,
+    options: ZipImageSourceOptions = {},
+  ): Promise<ZipImageSource> {
+    let byteSource: ByteSource;
+    let name: string;
+    if (isRangeSource(source)) {
+      byteSource = new RangeByteSource(source);
+      name = options.filename ?? "";
+    } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+      byteSource = new BlobByteSource(source);
+      name = options.filename ?? (source as File).name ?? "";
+    } else {
+      byteSource = createFileByteSource(source as string);
+      name = options.filename ?? (source as string);
+    }
+
+    try {
+      const size = await byteSource.size();
+      const tailStart = Math.max(0, size - ZIP_TAIL_LENGTH);
+      const tail = await byteSource.read(tailStart, size - tailStart);
+      const {
+        count,
+        offset,
+        size: dirSize,
+      } = findCentralDirectory(tail, tailStart);
+      const directory = await byteSource.read(offset, dirSize);
+      const pattern = options.pattern ? globToRegExp(options.pattern) : null;
+      const entries = parseCentralDirectory(directory, count)
+        .filter((e) => isFrameEntry(e, pattern))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+      if (entries.length === 0) {
+        const what = options.pattern
+          ? `entries matching '${options.pattern}'`
+          : "image entries";
+        throw new Error(`No ${what} in ZIP archive: ${name || "<blob>"}`);
+      }
+      return new ZipImageSource(name, byteSource, entries);
+    } catch (err) {
+      byteSource.close();
+      throw err;
+    }
+  }
+
+  /** Paths of the frame entries, in frame order. */
+  get names(): string[] {
+    return this.entries.map((e) => e.name);
+  }
+
+  /** Read and inflate the entry at `path`. */
+  async read(path: string): Promise<Uint8Array> {
+    const entry = this.byName.get(path);
+    if (!entry) {
+      throw new Error(`No entry '${path}' in ZIP archive: ${this.filename}`);
+    }
+    const header = await this.source.read(entry.offset, 30);
+    const start = zipEntryDataOffset(header, entry);
+    const data = await this.source.read(start, entry.compressedSize);
+    return inflateZipEntry(data, entry);
+  }
+
+  /** An {@link ImageBytesReader} over the archive's entries. */
+  get reader(): ImageBytesReader {
+    return (path) => this.read(path);
+  }
+
+  close(): void {
+    this.source.close();
+  }
+}
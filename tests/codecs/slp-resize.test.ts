@@ -0,0 +1,202 @@
+/**
+ * SLP round-trip tests for virtual resizes (`Video.resize`).
+ *
+ * A resized video serializes its full-frame source in videos_json plus the
+ * `resize` / `resize_scale` / `resize_interpolation` keys; a reload re-applies
+ * the resize (after any /video_crops crop) on both the open and closed paths.
+ */
+import { describe, it, expect } from "../bun-test";
+import { readSlp } from "../../src/codecs/slp/read.js";
+import { saveSlpToBytes } from "../../src/codecs/slp/write.js";
+import { Labels } from "../../src/model/labels.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import { Instance } from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { CropVideoBackend } from "../../src/video/crop-backend.js";
+import { GrayscaleVideoBackend } from "../../src/video/grayscale-backend.js";
+import { ImageVideoBackend } from "../../src/video/image-video.js";
+import { ResizeVideoBackend } from "../../src/video/resize-backend.js";
+import type { VideoBackend, VideoFrame } from "../../src/video/backend.js";
+import { ready, File as H5File } from "h5wasm/node";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+/** A stub source backend with a known shape (no real frames; for write tests). */
+function makeBackend(
+  width: number,
+  height: number,
+  filename: string | string[],
+): VideoBackend {
+  return {
+    filename,
+    shape: [2, height, width, 3],
+    dataset: null,
+    fps: 30,
+    async getFrame(): Promise<VideoFrame | null> {
+      return null;
+    },
+    close() {},
+  };
+}
+
+/**
+ * Two placeholder frame files (the stored shape means they are never decoded,
+ * but the reader's path resolver checks that they exist).
+ */
+function frameFiles(): { frames: string[]; cleanup: () => void } {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slp-resize-test-"));
+  const frames = ["f0.png", "f1.png"].map((name) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, new Uint8Array(8));
+    return file;
+  });
+  return {
+    frames,
+    cleanup: () => fs.rmSync(dir, { recursive: true }),
+  };
+}
+
+/** Labels with one labeled frame on `video`. */
+function labelsFor(video: Video): Labels {
+  const skel = new Skeleton({ name: "s", nodes: ["a"] });
+  const inst = Instance.fromArray([[10, 20]], skel);
+  const lf = new LabeledFrame({ video, frameIdx: 0, instances: [inst] });
+  return new Labels({
+    skeletons: [skel],
+    videos: [video],
+    labeledFrames: [lf],
+  });
+}
+
+/** Parse the `videos_json` entries of saved SLP bytes via h5wasm/node. */
+async function videosJson(
+  bytes: Uint8Array,
+): Promise<Array<Record<string, unknown>>> {
+  const module = await ready;
+  const memPath = `/tmp/slp_resize_inspect_${Date.now()}_${Math.random().toString(16).slice(2)}.slp`;
+  module.FS.writeFile(memPath, bytes);
+  const file = new H5File(memPath, "r");
+  try {
+    const vj = file.get("videos_json") as { value: string[] };
+    return vj.value.map((s) => JSON.parse(s));
+  } finally {
+    file.close();
+    module.FS.unlink(memPath);
+  }
+}
+
+describe("SLP resize persistence", () => {
+  it("writes the full-frame shape plus resize keys to videos_json", async () => {
+    const src = new Video({
+      filename: "/data/big.mp4",
+      backend: makeBackend(640, 480, "/data/big.mp4"),
+    });
+    const bytes = await saveSlpToBytes(
+      labelsFor(src.resize(0.5, { interpolation: "area" })),
+    );
+    const backend = (await videosJson(bytes))[0].backend as Record<
+      string,
+      unknown
+    >;
+    expect(backend.shape).toEqual([2, 480, 640, 3]);
+    expect(backend.resize).toEqual([240, 320]);
+    expect(backend.resize_scale).toEqual([0.5, 0.5]);
+    expect(backend.resize_interpolation).toBe("area");
+    expect(backend).not.toHaveProperty("source_shape");
+  });
+
+  it("reloads a resized image sequence open and closed", async () => {
+    const { frames, cleanup } = frameFiles();
+    const src = new Video({
+      filename: frames,
+      backend: makeBackend(640, 480, frames),
+    });
+    const bytes = await saveSlpToBytes(labelsFor(src.resize([120, 200])));
+
+    const open = (await readSlp(new Uint8Array(bytes).buffer)).videos[0];
+    expect(open.backend).toBeInstanceOf(ResizeVideoBackend);
+    const backend = open.backend as ResizeVideoBackend;
+    expect(backend.inner).toBeInstanceOf(ImageVideoBackend);
+    expect(open.shape).toEqual([2, 120, 200, 3]);
+    expect(open.resizeScale).toEqual([200 / 640, 120 / 480]);
+    expect(open.toUnscaledCoords([[50, 30]])).toEqual([[160, 120]]);
+
+    const closed = (
+      await readSlp(new Uint8Array(bytes).buffer, { openVideos: false })
+    ).videos[0];
+    expect(closed.backend).toBeNull();
+    expect(closed.shape).toEqual([2, 120, 200, 3]);
+    expect(closed.backendMetadata.source_shape).toEqual([2, 480, 640, 3]);
+    expect(closed.resizeScale).toEqual([200 / 640, 120 / 480]);
+    open.close();
+    cleanup();
+  });
+
+  it("round-trips a crop followed by a resize", async () => {
+    const { frames, cleanup } = frameFiles();
+    const src = new Video({
+      filename: frames,
+      backend: makeBackend(640, 480, frames),
+    });
+    const view = src.crop([100, 50, 300, 250]).resize(0.25);
+    const bytes = await saveSlpToBytes(labelsFor(view));
+    const backendJson = (await videosJson(bytes))[0].backend as Record<
+      string,
+      unknown
+    >;
+    expect(backendJson.shape).toEqual([2, 480, 640, 3]);
+    expect(backendJson).not.toHaveProperty("crop");
+
+    const open = (await readSlp(new Uint8Array(bytes).buffer)).videos[0];
+    const backend = open.backend as ResizeVideoBackend;
+    expect(backend.inner).toBeInstanceOf(CropVideoBackend);
+    expect(open.shape).toEqual([2, 50, 50, 3]);
+    expect(open.cropRect).toEqual([100, 50, 300, 250]);
+    expect(open.toSourceCoords(open.toUnscaledCoords([[10, 10]]))).toEqual([
+      [140, 90],
+    ]);
+    open.close();
+
+    // A closed reload re-serializes to the same videos_json entry.
+    const closed = (
+      await readSlp(new Uint8Array(bytes).buffer, { openVideos: false })
+    ).videos[0];
+    expect(closed.shape).toEqual([2, 50, 50, 3]);
+    expect(closed.backendMetadata.source_shape).toEqual([2, 480, 640, 3]);
+    const resaved = await saveSlpToBytes(labelsFor(closed));
+    expect((await videosJson(resaved))[0].backend).toMatchObject({
+      shape: [2, 480, 640, 3],
+      resize: [50, 50],
+      resize_scale: [0.25, 0.25],
+    });
+    cleanup();
+  });
+  it("round-trips a grayscale resized crop", async () => {
+    const { frames, cleanup } = frameFiles();
+    const src = new Video({
+      filename: frames,
+      backend: makeBackend(640, 480, frames),
+    });
+    const view = src.crop([100, 50, 300, 250]).resize(0.25);
+    view.grayscale = true;
+    expect(view.backend).toBeInstanceOf(GrayscaleVideoBackend);
+    const bytes = await saveSlpToBytes(labelsFor(view));
+    expect((await videosJson(bytes))[0].backend).toMatchObject({
+      shape: [2, 480, 640, 3],
+      resize: [50, 50],
+      resize_scale: [0.25, 0.25],
+      grayscale: true,
+    });
+
+    const open = (await readSlp(new Uint8Array(bytes).buffer)).videos[0];
+    const backend = open.backend as ResizeVideoBackend;
+    expect(backend.inner).toBeInstanceOf(CropVideoBackend);
+    expect(open.shape?.slice(0, 3)).toEqual([2, 50, 50]);
+    expect(open.cropRect).toEqual([100, 50, 300, 250]);
+    expect(open.backendMetadata.grayscale).toBe(true);
+    open.close();
+    cleanup();
+  });
+});
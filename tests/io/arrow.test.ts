@@ -0,0 +1,372 @@
+/**
+ * Tests for the Arrow IPC long-format pose export (`src/io/arrow.ts`).
+ *
+ * There is no Arrow reader among the dependencies, so `readArrow` below
+ * decodes the output straight from the spec (FlatBuffers metadata, one
+ * validity bitmap and data buffer per column, dictionary batches, the file
+ * footer).
+ */
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  iterArrowPoses,
+  saveArrowPoses,
+  writeArrowPoses,
+} from "../../src/io/arrow.js";
+import { saveFile } from "../../src/io/formats.js";
+import { loadSlp } from "../../src/io/main.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+
+const slpDir = fileURLToPath(new URL("../data/slp", import.meta.url));
+
+type Row = Record<string, unknown>;
+
+/** Minimal FlatBuffers table accessor. */
+function fbTable(view: DataView, pos: number) {
+  const vtable = pos - view.getInt32(pos, true);
+  const field = (id: number): number | null => {
+    if (4 + 2 * id >= view.getUint16(vtable, true)) return null;
+    const offset = view.getUint16(vtable + 4 + 2 * id, true);
+    return offset ? pos + offset : null;
+  };
+  const deref = (at: number) => at + view.getUint32(at, true);
+  return {
+    u8: (id: number) => {
+      const at = field(id);
+      return at === null ? 0 : view.getUint8(at);
+    },
+    i64: (id: number) => {
+      const at = field(id);
+      return at === null ? 0 : Number(view.getBigInt64(at, true));
+    },
+    table: (id: number) => {
+      const at = field(id);
+      return at === null ? null : fbTable(view, deref(at));
+    },
+    string: (id: number) => {
+      const at = deref(field(id) as number);
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + at + 4);
+      return new TextDecoder().decode(
+        bytes.subarray(0, view.getUint32(at, true)),
+      );
+    },
+    tables: (id: number) => {
+      const at = deref(field(id) as number);
+      return Array.from({ length: view.getUint32(at, true) }, (_, i) =>
+        fbTable(view, deref(at + 4 + 4 * i)),
+      );
+    },
+    /** A vector of structs as [start, count]. */
+    structs: (id: number): [number, number] => {
+      const at = deref(field(id) as number);
+      return [at + 4, view.getUint32(at, true)];
+    },
+  };
+}
+
+interface ArrowField {
+  name: string;
+  type: number;
+  nullable: boolean;
+  dictionary: number | null;
+}
+
+/** Decode an Arrow IPC file or stream into rows. */
+function readArrow(bytes: Uint8Array): {
+  fields: ArrowField[];
+  rows: Row[];
+  batchLengths: number[];
+  messageOffsets: number[];
+} {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const isFile = new TextDecoder().decode(bytes.subarray(0, 6)) === "ARROW1";
+  let pos = isFile ? 8 : 0;
+  let fields: ArrowField[] = [];
+  const dictionaries = new Map<number, string[]>();
+  const rows: Row[] = [];
+  const batchLengths: number[] = [];
+  const messageOffsets: number[] = [];
+
+  const readBatch = (
+    batch: ReturnType<typeof fbTable>,
+    body: number,
+    types: ArrowField[],
+  ): unknown[][] => {
+    const [nodesAt] = batch.structs(1);
+    const [buffersAt] = batch.structs(2);
+    let bufferIdx = 0;
+    const nextBuffer = () => {
+      const at = buffersAt + 16 * bufferIdx++;
+      return {
+        offset: body + Number(view.getBigInt64(at, true)),
+        length: Number(view.getBigInt64(at + 8, true)),
+      };
+    };
+    return types.map((field, col) => {
+      const length = Number(view.getBigInt64(nodesAt + 16 * col, true));
+      const nullCount = Number(view.getBigInt64(nodesAt + 16 * col + 8, true));
+      const validity = nextBuffer();
+      const bit = (offset: number, i: number) =>
+        (view.getUint8(offset + (i >> 3)) >> (i & 7)) & 1;
+      const isValid = (i: number) =>
+        nullCount === 0 || bit(validity.offset, i) === 1;
+      const values: unknown[] = [];
+      if (field.type === 5 && field.dictionary === null) {
+        const offsets = nextBuffer();
+        const data = nextBuffer();
+        for (let i = 0; i < length; i++) {
+          const start = view.getInt32(offsets.offset + 4 * i, true);
+          const end = view.getInt32(offsets.offset + 4 * i + 4, true);
+          values.push(
+            new TextDecoder().decode(
+              bytes.subarray(data.offset + start, data.offset + end),
+            ),
+          );
+        }
+        return values;
+      }
+      const data = nextBuffer();
+      for (let i = 0; i < length; i++) {
+        if (!isValid(i)) values.push(null);
+        else if (field.dictionary !== null) {
+          const index = view.getInt32(data.offset + 4 * i, true);
+          values.push(dictionaries.get(field.dictionary)?.[index]);
+        } else if (field.type === 2) {
+          values.push(view.getInt32(data.offset + 4 * i, true));
+        } else if (field.type === 3) {
+          values.push(view.getFloat64(data.offset + 8 * i, true));
+        } else values.push(bit(data.offset, i) === 1);
+      }
+      return values;
+    });
+  };
+
+  for (;;) {
+    expect(view.getUint32(pos, true)).toBe(0xffffffff);
+    const metaLength = view.getInt32(pos + 4, true);
+    if (metaLength === 0) break;
+    messageOffsets.push(pos);
+    const root = pos + 8 + view.getUint32(pos + 8, true);
+    const message = fbTable(view, root);
+    const body = pos + 8 + metaLength;
+    const header = message.table(2);
+    expect(message.u8(1)).toBeGreaterThan(0);
+    if (message.u8(1) === 1 && header) {
+      fields = header.tables(1).map((f) => {
+        const dictionary = f.table(4);
+        return {
+          name: f.string(0),
+          type: f.u8(2),
+          nullable: f.u8(1) === 1,
+          dictionary: dictionary ? dictionary.i64(0) : null,
+        };
+      });
+    } else if (message.u8(1) === 2 && header) {
+      const batch = header.table(1);
+      const [values] = readBatch(batch as ReturnType<typeof fbTable>, body, [
+        { name: "", type: 5, nullable: false, dictionary: null },
+      ]);
+      dictionaries.set(header.i64(0), values as string[]);
+    } else if (header) {
+      const columns = readBatch(header, body, fields);
+      batchLengths.push(header.i64(0));
+      for (let i = 0; i < header.i64(0); i++) {
+        rows.push(
+          Object.fromEntries(fields.map((f, c) => [f.name, columns[c][i]])),
+        );
+      }
+    }
+    pos = body + message.i64(3);
+  }
+
+  if (isFile) {
+    const footerLength = view.getInt32(bytes.length - 10, true);
+    expect(new TextDecoder().decode(bytes.subarray(bytes.length - 6))).toBe(
+      "ARROW1",
+    );
+    const footerAt = bytes.length - 10 - footerLength;
+    const footer = fbTable(view, footerAt + view.getUint32(footerAt, true));
+    const blockOffsets = [2, 3].flatMap((id) => {
+      const [at, count] = footer.structs(id);
+      return Array.from({ length: count }, (_, i) =>
+        Number(view.getBigInt64(at + 24 * i, true)),
+      );
+    });
+    // Dictionaries then record batches, after the schema message.
+    expect(blockOffsets).toEqual(messageOffsets.slice(1));
+  }
+  return { fields, rows, batchLengths, messageOffsets };
+}
+
+function makeLabels(): Labels {
+  const skeleton = new Skeleton({ nodes: ["head", "tail"] });
+  const video = new Video({ filename: "mice.mp4", openBackend: false });
+  const track = new Track("mouse");
+  return new Labels({
+    labeledFrames: [
+      new LabeledFrame({
+        video,
+        frameIdx: 4,
+        instances: [
+          PredictedInstance.fromNumpy({
+            pointsData: [
+              [1, 2, 0.9],
+              [Number.NaN, Number.NaN, Number.NaN],
+            ],
+            skeleton,
+            track,
+            score: 0.7,
+          }),
+          Instance.fromNumpy({
+            pointsData: [
+              [5, 6],
+              [7, 8],
+            ],
+            skeleton,
+          }),
+        ],
+      }),
+    ],
+    videos: [video],
+    skeletons: [skeleton],
+    tracks: [track],
+  });
+}
+
+describe("writeArrowPoses", () => {
+  it("writes one row per node with dictionary-encoded names", () => {
+    const { fields, rows } = readArrow(writeArrowPoses(makeLabels()));
+    expect(fields.map((f) => f.name)).toEqual([
+      "video",
+      "frame_idx",
+      "track",
+      "instance",
+      "node",
+      "x",
+      "y",
+      "score",
+      "visible",
+      "is_predicted",
+    ]);
+    expect(
+      fields.filter((f) => f.dictionary !== null).map((f) => f.name),
+    ).toEqual(["video", "track", "node"]);
+    expect(rows).toEqual([
+      {
+        video: "mice.mp4",
+        frame_idx: 4,
+        track: "mouse",
+        instance: 0,
+        node: "head",
+        x: 1,
+        y: 2,
+        score: 0.9,
+        visible: true,
+        is_predicted: true,
+      },
+      {
+        video: "mice.mp4",
+        frame_idx: 4,
+        track: "mouse",
+        instance: 0,
+        node: "tail",
+        x: null,
+        y: null,
+        score: null,
+        visible: false,
+        is_predicted: true,
+      },
+      {
+        video: "mice.mp4",
+        frame_idx: 4,
+        track: null,
+        instance: 1,
+        node: "head",
+        x: 5,
+        y: 6,
+        score: null,
+        visible: true,
+        is_predicted: false,
+      },
+      {
+        video: "mice.mp4",
+        frame_idx: 4,
+        track: null,
+        instance: 1,
+        node: "tail",
+        x: 7,
+        y: 8,
+        score: null,
+        visible: true,
+        is_predicted: false,
+      },
+    ]);
+  });
+
+  it("splits rows into batches and streams pieces", () => {
+    const labels = makeLabels();
+    const file = readArrow(writeArrowPoses(labels, { batchSize: 3 }));
+    expect(file.batchLengths).toEqual([3, 1]);
+
+    const pieces = [...iterArrowPoses(labels, { format: "stream" })];
+    expect(pieces.length).toBeGreaterThan(1);
+    const stream = writeArrowPoses(labels, { format: "stream" });
+    expect(stream.length).toBe(pieces.reduce((n, p) => n + p.length, 0));
+    expect(new TextDecoder().decode(stream.subarray(0, 6))).not.toBe("ARROW1");
+    expect(readArrow(stream).rows).toEqual(file.rows);
+
+    const other = new Video({ filename: "other.mp4", openBackend: false });
+    expect(readArrow(writeArrowPoses(labels, { video: other })).rows).toEqual(
+      [],
+    );
+  });
+
+  it("reads lazy labels from the store columns without materializing", async () => {
+    const source = path.join(slpDir, "centered_pair_predictions.slp");
+    const eager = await loadSlp(source, { openVideos: false });
+    const lazy = await loadSlp(source, { openVideos: false, lazy: true });
+
+    const expected = readArrow(writeArrowPoses(eager)).rows;
+    const actual = readArrow(writeArrowPoses(lazy, { batchSize: 10000 }));
+    expect(lazy.isLazy).toBe(true);
+    expect(lazy._lazyFrameList?.materializedCount).toBe(0);
+    expect(actual.batchLengths.length).toBeGreaterThan(1);
+    expect(actual.rows.length).toBe(expected.length);
+    expect(actual.rows[12345]).toEqual(expected[12345]);
+    expect(actual.rows.at(-1)).toEqual(expected.at(-1));
+  });
+});
+
+describe("saveArrowPoses", () => {
+  it("writes .feather files, also through saveFile", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "arrow-test-"));
+    try {
+      const labels = makeLabels();
+      const feather = path.join(dir, "poses.feather");
+      await saveArrowPoses(labels, feather, { batchSize: 2 });
+      expect(new Uint8Array(fs.readFileSync(feather))).toEqual(
+        writeArrowPoses(labels, { batchSize: 2 }),
+      );
+
+      const arrow = path.join(dir, "poses.arrow");
+      await saveFile(labels, arrow);
+      expect(
+        readArrow(new Uint8Array(fs.readFileSync(arrow))).rows,
+      ).toHaveLength(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
@@ -3,8 +3,20 @@ import * as os from "node:os";
 import * as path from "node:path";
 import { fileURLToPath } from "node:url";
 import { afterAll, beforeAll, describe, expect, it } from "../bun-test";
-import { loadCoco, loadCocoSet } from "../../src/io/coco-node.js";
+import {
+  loadCoco,
+  loadCocoSet,
+  saveCoco,
+  saveCocoSet,
+} from "../../src/io/coco-node.js";
+import { encodePng } from "../../src/io/ultralytics.js";
+import { Instance } from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { LabelsSet } from "../../src/model/labels-set.js";
 import "../../src/model/mask.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
 
 const fixtureRoot = fileURLToPath(new URL("../data", import.meta.url));
 const cocoRoot = path.join(fixtureRoot, "coco");
@@ -212,3 +224,91 @@ describe("loadCocoSet (Node)", () => {
     }
   });
 });
+
+describe("saveCoco / saveCocoSet (Node)", () => {
+  let tmpDir: string;
+  let imagePaths: string[];
+  const skeleton = new Skeleton({ nodes: ["a", "b"], name: "mouse" });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "coco-save-"));
+    const srcDir = path.join(tmpDir, "src");
+    fs.mkdirSync(srcDir);
+    imagePaths = [0, 1, 2].map((i) => {
+      const p = path.join(srcDir, `frame_${i}.png`);
+      fs.writeFileSync(p, encodePng(new Uint8Array(6 * 4 * 4), 6, 4));
+      return p;
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function makeLabels(frameIdxs: number[]): Labels {
+    const video = new Video({ filename: imagePaths, openBackend: false });
+    return new Labels({
+      labeledFrames: frameIdxs.map(
+        (frameIdx) =>
+          new LabeledFrame({
+            video,
+            frameIdx,
+            instances: [
+              Instance.fromArray(
+                [
+                  [frameIdx, 1],
+                  [frameIdx + 2, 3],
+                ],
+                skeleton,
+              ),
+            ],
+          }),
+      ),
+      skeletons: [skeleton],
+    });
+  }
+
+  it("exports images and round-trips through loadCoco", async () => {
+    const jsonPath = path.join(tmpDir, "out", "annotations.json");
+    await saveCoco(makeLabels([0, 2]), jsonPath);
+    const coco = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
+    expect(coco.images).toEqual([
+      { id: 1, file_name: "images/0000000.png", height: 4, width: 6 },
+      { id: 2, file_name: "images/0000001.png", height: 4, width: 6 },
+    ]);
+    expect(
+      fs.existsSync(path.join(tmpDir, "out", "images", "0000001.png")),
+    ).toBe(true);
+
+    const back = loadCoco(jsonPath);
+    expect(back.labeledFrames.length).toBe(2);
+    expect(back.labeledFrames[1].instances[0].numpy()).toEqual([
+      [2, 1],
+      [4, 3],
+    ]);
+    expect(back.skeletons[0].name).toBe("mouse");
+  });
+
+  it("references source images in place when saveImages is false", async () => {
+    const jsonPath = path.join(tmpDir, "ref.json");
+    await saveCoco(makeLabels([1]), jsonPath, { saveImages: false });
+    const coco = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
+    expect(coco.images[0].file_name).toBe("src/frame_1.png");
+    expect(loadCoco(jsonPath).labeledFrames.length).toBe(1);
+  });
+
+  it("writes one JSON per split and round-trips through loadCocoSet", async () => {
+    const outDir = path.join(tmpDir, "splits");
+    await saveCocoSet(
+      new LabelsSet({ train: makeLabels([0, 1]), val: makeLabels([2]) }),
+      outDir,
+    );
+    expect(
+      fs.existsSync(path.join(outDir, "images", "val", "0000000.png")),
+    ).toBe(true);
+    const result = loadCocoSet(outDir);
+    expect(Object.keys(result).sort()).toEqual(["train", "val"]);
+    expect(result.train.labeledFrames.length).toBe(2);
+    expect(result.val.labeledFrames[0].instances[0].numpy()[0]).toEqual([2, 1]);
+  });
+});
@@ -9,19 +9,30 @@ import {
   decodeCompressedRleCounts,
   decodeKeypoints,
   decodeSegmentation,
+  encodeCocoRle,
+  encodeCompressedRleCounts,
   isCocoData,
   parseCocoJson,
   readCoco,
   readCocoSet,
+  writeCoco,
 } from "../../src/io/coco.js";
 import "../../src/model/mask.js"; // register mask factory for ROI.toMask
 import { PredictedBoundingBox, UserBoundingBox } from "../../src/model/bbox.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
 import {
   PredictedSegmentationMask,
   UserSegmentationMask,
 } from "../../src/model/mask.js";
 import { PredictedROI, UserROI } from "../../src/model/roi.js";
 import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
 
 const fixtureRoot = fileURLToPath(new URL("../data", import.meta.url));
 const cocoRoot = path.join(fixtureRoot, "coco");
@@ -909,3 +920,176 @@ describe("readCocoSet (browser core)", () => {
     expect(result.train.provenance.split).toBe("train");
   });
 });
+
+describe("RLE encoders", () => {
+  it("encodeCompressedRleCounts inverts decodeCompressedRleCounts", () => {
+    expect(encodeCompressedRleCounts([0, 5, 20])).toBe("05d0");
+    const runs = [3, 1, 40, 2, 1000, 7, 0, 123456, 1];
+    expect(decodeCompressedRleCounts(encodeCompressedRleCounts(runs))).toEqual(
+      runs,
+    );
+  });
+
+  it("encodeCompressedRleCounts handles masks with a million runs", () => {
+    const runs = Array.from({ length: 1_000_000 }, (_, i) => 1 + (i % 3));
+    const counts = encodeCompressedRleCounts(runs);
+    expect(counts.length).toBeGreaterThanOrEqual(runs.length);
+    expect(decodeCompressedRleCounts(counts)).toEqual(runs);
+  });
+
+  it("encodeCocoRle round-trips through decodeCocoRle (column-major)", () => {
+    const mask = new Uint8Array([0, 1, 1, 0, 0, 1]); // 2 x 3, row-major
+    const rle = encodeCocoRle(mask, 2, 3, false);
+    // Columns: [0, 0], [1, 0], [1, 1].
+    expect(rle).toEqual({ counts: [2, 1, 1, 2], size: [2, 3] });
+    const compressed = encodeCocoRle(mask, 2, 3);
+    expect(decodeCocoRle(compressed.counts, compressed.size)).toEqual([
+      [false, true, true],
+      [false, false, true],
+    ]);
+  });
+});
+
+describe("writeCoco", () => {
+  const skeleton = new Skeleton({
+    nodes: ["head", "thorax", "tail"],
+    edges: [
+      ["head", "thorax"],
+      ["thorax", "tail"],
+    ],
+    name: "fly",
+  });
+
+  function makeLabels(): Labels {
+    const video = new Video({
+      filename: ["img_0.png", "img_1.png"],
+      openBackend: false,
+      backendMetadata: { shape: [2, 8, 10, 3] },
+    });
+    const track = new Track("a");
+    const user = Instance.fromArray(
+      [
+        [1, 1],
+        [3, 2],
+        [Number.NaN, Number.NaN],
+      ],
+      skeleton,
+    );
+    user.track = track;
+    user.points[1].visible = false;
+    const mask = new Uint8Array(80);
+    mask[2 * 10 + 3] = 1;
+    mask[2 * 10 + 4] = 1;
+    const frame0 = new LabeledFrame({ video, frameIdx: 0, instances: [user] });
+    frame0.masks.push(
+      UserSegmentationMask.fromArray(mask, 8, 10, { instance: user }),
+    );
+    frame0.rois.push(
+      UserROI.fromPolygon(
+        [
+          [0, 0],
+          [4, 0],
+          [4, 4],
+        ],
+        { category: "food" },
+      ),
+    );
+    const pred = PredictedInstance.fromArray(
+      [
+        [5, 5, 0.9],
+        [6, 6, 0.9],
+        [7, 7, 0.9],
+      ],
+      skeleton,
+      0.75,
+    );
+    pred.track = track;
+    const frame1 = new LabeledFrame({ video, frameIdx: 1, instances: [pred] });
+    frame1.bboxes.push(
+      UserBoundingBox.fromXywh(1, 2, 3, 4, { category: "egg" }),
+    );
+    return new Labels({
+      labeledFrames: [frame0, frame1],
+      skeletons: [skeleton],
+      tracks: [track],
+    });
+  }
+
+  it("writes categories, images and keypoint annotations", () => {
+    const coco = writeCoco(makeLabels());
+    expect(coco.images).toEqual([
+      { id: 1, file_name: "img_0.png", height: 8, width: 10 },
+      { id: 2, file_name: "img_1.png", height: 8, width: 10 },
+    ]);
+    expect(coco.categories.map((c) => c.name)).toEqual(["fly", "food", "egg"]);
+    expect(coco.categories[0].keypoints).toEqual(["head", "thorax", "tail"]);
+    expect(coco.categories[0].skeleton).toEqual([
+      [1, 2],
+      [2, 3],
+    ]);
+
+    const [user, roi, pred, box] = coco.annotations;
+    expect(user.keypoints).toEqual([1, 1, 2, 3, 2, 1, 0, 0, 0]);
+    expect(user.num_keypoints).toBe(2);
+    expect(user.track_id).toBe(1);
+    expect(user.area).toBe(2);
+    // Only visible keypoints span the default box.
+    expect(user.bbox).toEqual([1, 1, 0, 0]);
+    expect(user.segmentation).toEqual(
+      encodeCocoRle(
+        Uint8Array.from({ length: 80 }, (_, i) =>
+          i === 23 || i === 24 ? 1 : 0,
+        ),
+        8,
+        10,
+      ),
+    );
+    expect(roi.category_id).toBe(2);
+    expect(roi.segmentation).toEqual([[0, 0, 4, 0, 4, 4]]);
+    expect(pred.score).toBe(0.75);
+    expect(pred.image_id).toBe(2);
+    expect(box).toMatchObject({ category_id: 3, bbox: [1, 2, 3, 4], area: 12 });
+    expect(coco.annotations.map((a) => a.id)).toEqual([1, 2, 3, 4]);
+
+    const binary = writeCoco(makeLabels(), {
+      visibility: "binary",
+      includePredictions: false,
+      segmentationFormat: "polygon",
+    });
+    expect(binary.annotations[0].keypoints).toEqual([
+      1, 1, 1, 0, 0, 0, 0, 0, 0,
+    ]);
+    expect(binary.annotations[0].segmentation).toEqual([
+      [3, 2, 5, 2, 5, 3, 3, 3],
+    ]);
+    expect(binary.annotations.some((a) => a.score != null)).toBe(false);
+  });
+
+  it("round-trips through readCoco", () => {
+    const labels = makeLabels();
+    const back = readCoco(writeCoco(labels));
+    expect(back.labeledFrames.length).toBe(2);
+    expect(back.skeletons[0].nodeNames).toEqual(skeleton.nodeNames);
+    expect(back.skeletons[0].edges.length).toBe(2);
+
+    const [f0, f1] = back.labeledFrames;
+    const inst = f0.instances[0];
+    expect(inst.numpy().slice(0, 2)).toEqual([
+      [1, 1],
+      [3, 2],
+    ]);
+    expect(inst.points[2].visible).toBe(false);
+    // The unlinked ROI polygon is rasterized on read.
+    expect(f0.masks.length).toBe(2);
+    expect(f0.masks[0].instance).toBe(inst);
+    expect(Array.from(f0.masks[0].data)).toEqual(
+      Array.from(labels.labeledFrames[0].masks[0].data),
+    );
+    expect(f0.masks[1].category).toBe("food");
+    expect(f1.instances[0].track).toBe(inst.track);
+    // Pose annotations read back with a linked box, then the detection box.
+    expect(f1.bboxes[0].instance).toBe(f1.instances[0]);
+    expect(f1.bboxes[1].xyxy).toEqual([1, 2, 4, 6]);
+    expect(f1.bboxes[1].category).toBe("egg");
+  });
+});
@@ -5,8 +5,13 @@
 import { describe, it, expect } from "../bun-test";
 import { tmpdir } from "node:os";
 import { join } from "node:path";
-import { readFileSync, rmSync } from "node:fs";
-import { labelsToCsv, saveLabelsCsv } from "../../src/io/csv.js";
+import { readFileSync, rmSync, writeFileSync } from "node:fs";
+import {
+  labelsFromCsv,
+  labelsToCsv,
+  loadLabelsCsv,
+  saveLabelsCsv,
+} from "../../src/io/csv.js";
 import { Labels } from "../../src/model/labels.js";
 import { Video } from "../../src/model/video.js";
 import { Skeleton } from "../../src/model/skeleton.js";
@@ -321,3 +326,152 @@ describe("labelsToCsv — SLEAP Analysis format", () => {
     }
   });
 });
+
+describe("labelsFromCsv / loadLabelsCsv — SLEAP Analysis format", () => {
+  /** Tracked predictions on frames 1 and 3 plus one user instance. */
+  const mixedLabels = (video: Video) => {
+    const s = skel();
+    const tracks = [new Track("track0"), new Track("a,b")];
+    const pred = (f: number, t: number) => {
+      const inst = PredictedInstance.fromArray(
+        [
+          [10.5 + f, 20.25, 0.9],
+          [Number.NaN, Number.NaN, Number.NaN],
+        ],
+        s,
+        0.75 + t / 10,
+      );
+      inst.track = tracks[t];
+      return inst;
+    };
+    const user = new Instance({
+      points: { thorax: [1, 2], head: [3, 4] },
+      skeleton: s,
+    });
+    return new Labels({
+      labeledFrames: [
+        new LabeledFrame({
+          video,
+          frameIdx: 1,
+          instances: [user, pred(1, 0), pred(1, 1)],
+        }),
+        new LabeledFrame({ video, frameIdx: 3, instances: [pred(3, 0)] }),
+      ],
+      videos: [video],
+      skeletons: [s],
+      tracks,
+    });
+  };
+
+  it("rebuilds instances, tracks and scores", () => {
+    const labels = labelsFromCsv(
+      labelsToCsv(mixedLabels(new Video({ filename: "v.mp4" }))),
+    );
+    // Inferred skeleton follows the (alphabetical) column order.
+    expect(labels.skeletons[0].nodeNames).toEqual(["head", "thorax"]);
+    expect(labels.tracks.map((t) => t.name)).toEqual(["track0", "a,b"]);
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([1, 3]);
+
+    const [user, p0, p1] = labels.labeledFrames[0].instances;
+    expect(user).not.toBeInstanceOf(PredictedInstance);
+    expect(user.track).toBeNull();
+    expect(user.numpy()).toEqual([
+      [3, 4],
+      [1, 2],
+    ]);
+    expect(p0).toBeInstanceOf(PredictedInstance);
+    expect((p0 as PredictedInstance).score).toBeCloseTo(0.75);
+    expect(p0.track).toBe(labels.tracks[0]);
+    expect(p1.track).toBe(labels.tracks[1]);
+    expect(p0.points[0].visible).toBe(false);
+    expect(p0.points[1].xy).toEqual([11.5, 20.25]);
+    expect(p0.points[1].score).toBeCloseTo(0.9);
+  });
+
+  it("round-trips exactly through labelsToCsv", () => {
+    const source = mixedLabels(new Video({ filename: "v.mp4" }));
+    for (const options of [
+      {},
+      { includeScore: false },
+      { includeEmpty: true },
+    ]) {
+      const csv = labelsToCsv(source, options);
+      expect(labelsToCsv(labelsFromCsv(csv), options)).toBe(csv);
+    }
+
+    // includeEmpty padding past the last labeled frame is kept as the
+    // video's frame count.
+    const video = new Video({ filename: "v.mp4" });
+    video.shape = [6, 4, 4, 1];
+    const csv = labelsToCsv(mixedLabels(video), { includeEmpty: true });
+    const labels = labelsFromCsv(csv);
+    expect(labels.labeledFrames).toHaveLength(2);
+    expect(labels.video.shape?.[0]).toBe(6);
+    expect(labelsToCsv(labels, { includeEmpty: true })).toBe(csv);
+  });
+
+  it("maps columns onto a given skeleton and video", () => {
+    const csv = labelsToCsv(mixedLabels(new Video({ filename: "v.mp4" })));
+    const skeleton = new Skeleton({ nodes: ["thorax", "head", "tail"] });
+    const video = new Video({ filename: "session.mp4" });
+    const labels = labelsFromCsv(csv, { skeleton, video });
+    expect(labels.skeletons[0]).toBe(skeleton);
+    expect(labels.video).toBe(video);
+    const user = labels.labeledFrames[0].instances[0];
+    expect(user.points[0].xy).toEqual([1, 2]);
+    expect(user.points[2].visible).toBe(false);
+
+    expect(() =>
+      labelsFromCsv(csv, { skeleton: new Skeleton({ nodes: ["thorax"] }) }),
+    ).toThrow(/'head' is not in the skeleton/);
+    expect(() => labelsFromCsv("a,b\n1,2\n")).toThrow(/frame_idx/);
+  });
+
+  it("loadLabelsCsv reads a file path", async () => {
+    const source = mixedLabels(new Video({ filename: "v.mp4" }));
+    const csv = labelsToCsv(source);
+
+    const path = join(
+      tmpdir(),
+      `sleapio_csv_${Date.now()}_${Math.floor(Math.random() * 1e6)}.csv`,
+    );
+    try {
+      await saveLabelsCsv(source, path);
+      const labels = await loadLabelsCsv(path, { video: "v.mp4" });
+      expect(labels.video.filename).toBe("v.mp4");
+      expect(labels.provenance.filename).toBe(path);
+      expect(labelsToCsv(labels)).toBe(csv);
+    } finally {
+      rmSync(path, { force: true });
+    }
+  });
+
+  it("loadLabelsCsv reads CSV text given as { text }", async () => {
+    const source = mixedLabels(new Video({ filename: "v.mp4" }));
+    const csv = labelsToCsv(source);
+    const labels = await loadLabelsCsv({ text: csv }, { video: "v.mp4" });
+    expect(labels.video.filename).toBe("v.mp4");
+    expect(labelsToCsv(labels)).toBe(csv);
+  });
+
+  it("loadLabelsCsv treats a one-line source as a path", async () => {
+    const header = "track,frame_idx,instance.score,head.x,head.y,head.score";
+    expect(labelsFromCsv(header).instances).toHaveLength(0);
+    expect((await loadLabelsCsv({ text: header })).instances).toHaveLength(0);
+    await expect(loadLabelsCsv(header)).rejects.toThrow();
+
+    const path = join(
+      tmpdir(),
+      `sleapio_csv_${Date.now()}_${Math.floor(Math.random() * 1e6)}.csv`,
+    );
+    try {
+      writeFileSync(path, header);
+      const labels = await loadLabelsCsv(path);
+      expect(labels.instances).toHaveLength(0);
+      expect(labels.skeletons[0].nodeNames).toEqual(["head"]);
+      expect(labels.provenance.filename).toBe(path);
+    } finally {
+      rmSync(path, { force: true });
+    }
+  });
+});
@@ -0,0 +1,398 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { describe, expect, it } from "../bun-test";
+import { isCvatXml, readCvat, writeCvat } from "../../src/io/cvat.js";
+import { loadCvat, saveCvat } from "../../src/io/cvat-node.js";
+import { parseXml } from "../../src/io/xml-utils.js";
+import { PredictedBoundingBox, UserBoundingBox } from "../../src/model/bbox.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { UserROI } from "../../src/model/roi.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+
+const LABELS = `
+    <labels>
+      <label>
+        <name>mouse</name>
+        <type>skeleton</type>
+        <attributes></attributes>
+        <svg>&lt;line x1="1" y1="1" x2="2" y2="2" data-type="edge" data-node-from="2" data-node-to="1"&gt;&lt;/line&gt;
+&lt;circle r="1.5" data-type="element node" data-node-id="2" data-label-name="tail"&gt;&lt;/circle&gt;
+&lt;circle r="1.5" data-type="element node" data-node-id="1" data-label-name="head"&gt;&lt;/circle&gt;</svg>
+      </label>
+      <label><name>head</name><type>points</type><parent>mouse</parent></label>
+      <label><name>tail</name><type>points</type><parent>mouse</parent></label>
+      <label><name>body</name><type>rectangle</type></label>
+      <label><name>arena</name><type>polygon</type></label>
+    </labels>`;
+
+const IMAGES_XML = `<?xml version="1.0" encoding="utf-8"?>
+<annotations>
+  <version>1.1</version>
+  <meta>
+    <task>
+      <name>mice</name>
+      <mode>annotation</mode>
+      ${LABELS}
+    </task>
+  </meta>
+  <image id="0" name="img_a.png" width="640" height="480">
+    <skeleton label="mouse" source="manual" z_order="0" group_id="1">
+      <points label="head" source="manual" outside="0" occluded="0" points="10.50,20.00"/>
+      <points label="tail" source="manual" outside="0" occluded="1" points="30.00,40.00"/>
+    </skeleton>
+    <box label="body" source="manual" occluded="0" xtl="5.00" ytl="15.00" xbr="35.00" ybr="45.00" rotation="90.00" z_order="0" group_id="1"/>
+    <polygon label="arena" source="manual" occluded="0" points="0.00,0.00;100.00,0.00;100.00,50.00" z_order="0"/>
+    <skeleton label="mouse" source="manual" z_order="0">
+      <points label="head" outside="0" occluded="0" points="200.00,210.00"/>
+      <points label="tail" outside="1" occluded="0" points="0.00,0.00"/>
+    </skeleton>
+    <ellipse label="body" cx="1" cy="1" rx="1" ry="1"/>
+  </image>
+  <image id="1" name="img_b.png" width="640" height="480"/>
+  <image id="2" name="img_c.png" width="320" height="240">
+    <points label="tip" occluded="0" points="1.00,2.00;3.00,4.00"/>
+  </image>
+</annotations>
+`;
+
+const VIDEO_XML = `<?xml version="1.0" encoding="utf-8"?>
+<annotations>
+  <version>1.1</version>
+  <meta>
+    <task>
+      <name>session</name>
+      <mode>interpolation</mode>
+      <start_frame>10</start_frame>
+      <stop_frame>109</stop_frame>
+      <frame_filter>step=2</frame_filter>
+      ${LABELS}
+      <original_size><width>640</width><height>480</height></original_size>
+      <source>session.mp4</source>
+    </task>
+  </meta>
+  <track id="3" label="mouse" source="manual" group_id="1">
+    <skeleton frame="0" keyframe="1" outside="0" occluded="0" z_order="0">
+      <points label="head" keyframe="1" outside="0" occluded="0" points="0.00,0.00"/>
+      <points label="tail" keyframe="1" outside="0" occluded="0" points="10.00,10.00"/>
+    </skeleton>
+    <skeleton frame="4" keyframe="1" outside="0" occluded="0" z_order="0">
+      <points label="head" keyframe="1" outside="0" occluded="0" points="40.00,8.00"/>
+      <points label="tail" keyframe="1" outside="1" occluded="0" points="0.00,0.00"/>
+    </skeleton>
+    <skeleton frame="6" keyframe="1" outside="1" occluded="0" z_order="0">
+      <points label="head" keyframe="1" outside="0" occluded="0" points="0.00,0.00"/>
+      <points label="tail" keyframe="1" outside="0" occluded="0" points="0.00,0.00"/>
+    </skeleton>
+  </track>
+  <track id="4" label="body" source="manual" group_id="1">
+    <box frame="0" keyframe="1" outside="0" occluded="0" xtl="0.00" ytl="0.00" xbr="10.00" ybr="10.00" z_order="0"/>
+    <box frame="2" keyframe="1" outside="1" occluded="0" xtl="0.00" ytl="0.00" xbr="10.00" ybr="10.00" z_order="0"/>
+  </track>
+  <track id="5" label="mouse" source="manual">
+    <skeleton frame="2" keyframe="1" outside="0" occluded="0" z_order="0">
+      <points label="head" keyframe="1" outside="0" occluded="0" points="1.00,1.00"/>
+      <points label="tail" keyframe="1" outside="0" occluded="0" points="2.00,2.00"/>
+    </skeleton>
+  </track>
+</annotations>
+`;
+
+describe("parseXml", () => {
+  it("parses elements, attributes, entities and CDATA", () => {
+    const root = parseXml(
+      `<?xml version="1.0"?><!-- c --><a x='1 &amp; 2' y="&#x3e;"><b/>t&lt;<![CDATA[<raw>]]></a>`,
+    );
+    expect(root.name).toBe("a");
+    expect(root.attributes).toEqual({ x: "1 & 2", y: ">" });
+    expect(root.children.map((c) => c.name)).toEqual(["b"]);
+    expect(root.text).toBe("t<<raw>");
+    expect(() => parseXml("<a><b></a>")).toThrow(/Malformed XML/);
+    expect(() => parseXml("<a>")).toThrow(/unclosed <a>/);
+  });
+});
+
+describe("readCvat", () => {
+  it("detects CVAT XML", () => {
+    expect(isCvatXml(IMAGES_XML)).toBe(true);
+    expect(isCvatXml("<TrackMate><Model/></TrackMate>")).toBe(false);
+  });
+
+  it("reads an images export", () => {
+    const warn = console.warn;
+    const warnings: string[] = [];
+    console.warn = (msg: string) => warnings.push(msg);
+    let labels: Labels;
+    try {
+      labels = readCvat(IMAGES_XML);
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings).toEqual(["CVAT shapes not supported, skipped: ellipse."]);
+
+    const mouse = labels.skeletons[0];
+    expect(mouse.name).toBe("mouse");
+    expect(mouse.nodeNames).toEqual(["head", "tail"]);
+    expect(mouse.edgeIndices).toEqual([[1, 0]]);
+    expect(labels.skeletons[1].nodeNames).toEqual(["1", "2"]);
+
+    // Two image sizes, so two image-list videos.
+    expect(labels.videos.map((v) => v.filename)).toEqual([
+      ["img_a.png", "img_b.png"],
+      ["img_c.png"],
+    ]);
+    expect(labels.videos[0].shape).toEqual([2, 480, 640, 3]);
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 1, 0]);
+
+    const lf = labels.labeledFrames[0];
+    expect(lf.instances.length).toBe(2);
+    const [first, second] = lf.instances;
+    expect(first.numpy({ invisibleAsNaN: false })).toEqual([
+      [10.5, 20],
+      [30, 40],
+    ]);
+    expect(first.points[1].visible).toBe(false);
+    expect(Number.isNaN(second.numpy()[1][0])).toBe(true);
+
+    const box = lf.bboxes[0];
+    expect(box).toBeInstanceOf(UserBoundingBox);
+    expect(box.instance).toBe(first);
+    expect(box.category).toBe("body");
+    expect(box.angle).toBeCloseTo(Math.PI / 2, 12);
+    expect([box.xCenter, box.yCenter]).toEqual([20, 30]);
+
+    expect(lf.rois[0].category).toBe("arena");
+    expect(lf.rois[0].instance).toBeNull();
+    expect(labels.labeledFrames[2].instances[0].numpy()).toEqual([
+      [1, 2],
+      [3, 4],
+    ]);
+  });
+
+  it("reads a video export with keyframe interpolation", () => {
+    const labels = readCvat(VIDEO_XML);
+    expect(labels.videos.length).toBe(1);
+    expect(labels.video.filename).toBe("session.mp4");
+    expect(labels.video.shape).toEqual([110, 480, 640, 3]);
+    // CVAT frames 0-5 map to 10, 12, ..., 20 (start 10, step 2).
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([
+      10, 12, 14, 16, 18, 20,
+    ]);
+    expect(labels.tracks.map((t) => t.name)).toEqual(["track_3", "track_5"]);
+
+    const [group, other] = labels.tracks;
+    const at = (frameIdx: number) =>
+      labels.labeledFrames.find(
+        (lf) => lf.frameIdx === frameIdx,
+      ) as LabeledFrame;
+    const inst = (frameIdx: number) =>
+      at(frameIdx).instances.find((i) => i.track === group) as Instance;
+
+    expect(inst(10).numpy()).toEqual([
+      [0, 0],
+      [10, 10],
+    ]);
+    // Head interpolated; the tail leaves at the next keyframe, so it holds.
+    expect(inst(14).numpy()).toEqual([
+      [20, 4],
+      [10, 10],
+    ]);
+    expect(inst(18).numpy()[0]).toEqual([40, 8]);
+    expect(Number.isNaN(inst(18).numpy()[1][0])).toBe(true);
+    // Outside at frame 6, so the last keyframe holds through frame 5.
+    expect(inst(20).numpy()[0]).toEqual([40, 8]);
+
+    // The box track shares group 1, so it links to the skeleton's track.
+    expect(at(10).bboxes[0].track).toBe(group);
+    expect(at(10).bboxes[0].instance).toBe(inst(10));
+    expect(at(12).bboxes[0].instance).toBe(inst(12));
+    expect(at(14).bboxes.length).toBe(0);
+
+    expect(at(14).instances.map((i) => i.track)).toEqual([group, other]);
+
+    const raw = readCvat(VIDEO_XML, { interpolate: false, video: "x.mp4" });
+    expect(raw.video.filename).toBe("x.mp4");
+    expect(raw.labeledFrames.map((lf) => lf.frameIdx)).toEqual([10, 14, 18]);
+  });
+
+  it("rejects other XML documents", () => {
+    expect(() => readCvat("<TrackMate/>")).toThrow(/Not a CVAT XML document/);
+  });
+});
+
+describe("writeCvat", () => {
+  function makeLabels() {
+    const skeleton = new Skeleton({
+      nodes: ["head", "tail"],
+      edges: [[0, 1]],
+      name: "mouse",
+    });
+    const video = new Video({
+      filename: "session.mp4",
+      openBackend: false,
+      backendMetadata: { shape: [10, 48, 64, 3] },
+    });
+    const female = new Track("female");
+    const frames = [2, 3, 7].map((frameIdx) => {
+      const inst = Instance.fromNumpy({
+        pointsData: [
+          [frameIdx, 10],
+          [frameIdx + 1, 12, 0],
+        ],
+        skeleton,
+        track: female,
+      });
+      const lf = new LabeledFrame({ video, frameIdx, instances: [inst] });
+      lf.bboxes.push(
+        new UserBoundingBox({
+          x1: 1,
+          y1: 2,
+          x2: 11,
+          y2: 22,
+          category: "body",
+          instance: inst,
+          track: female,
+        }),
+      );
+      return lf;
+    });
+    frames[0].instances.push(
+      PredictedInstance.fromArray(
+        [
+          [30, 30, 0.9],
+          [Number.NaN, Number.NaN, 0],
+        ],
+        skeleton,
+        0.8,
+      ),
+    );
+    frames[0].bboxes.push(
+      new PredictedBoundingBox({ x1: 0, y1: 0, x2: 4, y2: 4, score: 0.5 }),
+    );
+    frames[0].rois.push(
+      UserROI.fromPolygon(
+        [
+          [0, 0],
+          [8, 0],
+          [8, 8],
+        ],
+        { category: "arena" },
+      ),
+    );
+    return new Labels({
+      labeledFrames: frames,
+      skeletons: [skeleton],
+      tracks: [female],
+    });
+  }
+
+  it("writes and reads back images mode", () => {
+    const labels = makeLabels();
+    const xml = writeCvat(labels, { mode: "images" });
+    expect(xml).toContain(
+      '<image id="2" name="frame_000002" width="64" height="48">',
+    );
+    expect(xml).toContain('<box label="object" source="auto"');
+    expect(xml).toContain(
+      '<points label="tail" source="manual" outside="0" occluded="1" points="3.00,12.00"/>',
+    );
+
+    const back = readCvat(xml, { video: labels.video });
+    expect(back.skeletons[0].nodeNames).toEqual(["head", "tail"]);
+    expect(back.skeletons[0].edgeIndices).toEqual([[0, 1]]);
+    expect(back.labeledFrames.map((lf) => lf.frameIdx)).toEqual([2, 3, 7]);
+    const lf = back.labeledFrames[0];
+    expect(lf.instances.length).toBe(2);
+    expect(lf.instances[0].numpy({ invisibleAsNaN: false })).toEqual([
+      [2, 10],
+      [3, 12],
+    ]);
+    expect(lf.instances[0].points[1].visible).toBe(false);
+    expect(Number.isNaN(lf.instances[1].numpy()[1][0])).toBe(true);
+    expect(lf.bboxes.map((b) => b.category)).toEqual(["body", "object"]);
+    expect(lf.bboxes[0].instance).toBe(lf.instances[0]);
+    expect(lf.bboxes[1].instance).toBeNull();
+    expect(lf.rois[0].category).toBe("arena");
+    expect(back.tracks).toEqual([]);
+  });
+
+  it("writes and reads back video mode", () => {
+    const labels = makeLabels();
+    const xml = writeCvat(labels);
+    expect(xml).toContain("<mode>interpolation</mode>");
+    expect(xml).toContain("<source>session.mp4</source>");
+    // Frames 2-3, outside at 4, keyed again at 7, outside at 8.
+    expect(xml).toContain('<skeleton frame="4" keyframe="1" outside="1"');
+    expect(xml).toContain('<skeleton frame="8" keyframe="1" outside="1"');
+
+    const back = readCvat(xml);
+    expect(back.video.filename).toBe("session.mp4");
+    expect(back.video.shape).toEqual([10, 48, 64, 3]);
+    expect(back.labeledFrames.map((lf) => lf.frameIdx)).toEqual([2, 3, 7]);
+    const [track] = back.tracks;
+    for (const lf of back.labeledFrames) {
+      const inst = lf.instances.find((i) => i.track === track) as Instance;
+      expect(inst.numpy()[0]).toEqual([lf.frameIdx, 10]);
+      const box = lf.bboxes.find((b) => b.category === "body");
+      expect(box?.instance).toBe(inst);
+      expect(box?.track).toBe(track);
+    }
+    // The untracked prediction becomes a one-frame track.
+    expect(back.tracks.length).toBe(4);
+  });
+
+  it("needs one video for video mode", () => {
+    const labels = makeLabels();
+    labels.labeledFrames[1].video = new Video({
+      filename: "other.mp4",
+      openBackend: false,
+    });
+    expect(() => writeCvat(labels, { mode: "video" })).toThrow(
+      /single video, got 2/,
+    );
+  });
+});
+
+describe("loadCvat / saveCvat", () => {
+  it("round-trips through disk and resolves image names", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cvat-"));
+    try {
+      fs.mkdirSync(path.join(dir, "images"));
+      fs.writeFileSync(path.join(dir, "images", "img_a.png"), "");
+      const xmlPath = path.join(dir, "annotations.xml");
+      fs.writeFileSync(xmlPath, IMAGES_XML);
+      const warn = console.warn;
+      console.warn = () => {};
+      let labels: Labels;
+      try {
+        labels = loadCvat(xmlPath);
+      } finally {
+        console.warn = warn;
+      }
+      expect(labels.videos[0].filename).toEqual([
+        path.join(dir, "images", "img_a.png"),
+        "img_b.png",
+      ]);
+
+      const outPath = path.join(dir, "out", "annotations.xml");
+      saveCvat(labels, outPath);
+      const back = loadCvat(outPath);
+      expect(back.labeledFrames[0].instances.length).toBe(2);
+      expect(back.labeledFrames[0].bboxes[0].instance).toBe(
+        back.labeledFrames[0].instances[0],
+      );
+      expect(() => loadCvat(path.join(dir, "missing.xml"))).toThrow(
+        /not found/,
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -18,9 +18,18 @@ import {
   readDlcConfig,
   readDlcSplit,
   readPickle,
+  saveDlc,
+  saveDlcProject,
   warnIfNonlexicographic,
+  writeDlcCsv,
 } from "../../src/io/dlc-node";
+import { encodePng } from "../../src/io/ultralytics";
+import { Instance, Track } from "../../src/model/instance";
+import { LabeledFrame } from "../../src/model/labeled-frame";
+import { Labels } from "../../src/model/labels";
 import { LabelsSet } from "../../src/model/labels-set";
+import { Skeleton } from "../../src/model/skeleton";
+import { Video } from "../../src/model/video";
 
 const fixtureRoot = fileURLToPath(new URL("../data", import.meta.url));
 const dlcDir = path.join(fixtureRoot, "dlc");
@@ -857,6 +866,28 @@ describe("loadDlcProject", () => {
     }
   });
 
+  it("orders nodes as the config lists them with configNodeOrder", () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dlc-order-"));
+    try {
+      const cfg = makeDlcProject(tmp);
+      const order = ["snout", "leftear", "rightear"];
+      expect(
+        loadDlcProject(cfg, { configNodeOrder: true }).skeletons[0].nodeNames,
+      ).toEqual(order);
+      const csv = path.join(
+        tmp,
+        "labeled-data",
+        "vid1",
+        "CollectedData_LM.csv",
+      );
+      expect(
+        loadDlc(csv, { configNodeOrder: true }).skeletons[0].nodeNames,
+      ).toEqual(order);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
   it("ignores benign loader kwargs (PR #488)", () => {
     expect(() =>
       loadDlcProject(configPath, {
@@ -1269,6 +1300,307 @@ describe("helpers", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Writing.
+// ---------------------------------------------------------------------------
+
+/**
+ * Two tracked animals over three 8 x 6 PNG frames of `<root>/frames/`, plus an
+ * untracked instance in the last frame. Nodes are deliberately unsorted.
+ */
+function makeWritableLabels(root: string): Labels {
+  const dir = path.join(root, "frames");
+  fs.mkdirSync(dir, { recursive: true });
+  const files = [0, 1, 2].map((i) => {
+    const file = path.join(dir, `f${i}.png`);
+    fs.writeFileSync(file, encodePng(new Uint8Array(8 * 6 * 4), 8, 6));
+    return file;
+  });
+  const skeleton = new Skeleton({
+    nodes: ["snout", "ear", "tail"],
+    edges: [
+      ["snout", "ear"],
+      ["ear", "tail"],
+    ],
+  });
+  const video = new Video({ filename: files, openBackend: false });
+  const tracks = [new Track("a"), new Track("b")];
+  const frames = [0, 1, 2].map((f) => {
+    const instances = tracks.map((track, t) => {
+      const inst = Instance.fromArray(
+        [
+          [f + t * 10, 1],
+          [f + t * 10 + 0.5, 2],
+          [f + t * 10 + 1, 3],
+        ],
+        skeleton,
+      );
+      inst.track = track;
+      return inst;
+    });
+    return new LabeledFrame({ video, frameIdx: f, instances });
+  });
+  frames[1].instances[1].points[2].xy = [Number.NaN, Number.NaN];
+  frames[2].instances.push(
+    Instance.fromArray(
+      [
+        [5, 5],
+        [6, 6],
+        [7, 7],
+      ],
+      skeleton,
+    ),
+  );
+  return new Labels({
+    labeledFrames: frames,
+    videos: [video],
+    skeletons: [skeleton],
+    tracks,
+  });
+}
+
+/** `node name -> [x, y]` of an instance. */
+function pointsByName(inst: Instance): Record<string, number[]> {
+  return Object.fromEntries(
+    inst.skeleton.nodeNames.map((name, n) => [name, [...inst.points[n].xy]]),
+  );
+}
+
+describe("saveDlc / saveDlcProject", () => {
+  let tmp: string;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dlc-write-"));
+  });
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("writes the single-animal CSV layout", () => {
+    const labels = makeWritableLabels(tmp);
+    labels.tracks = [];
+    for (const lf of labels.labeledFrames) {
+      lf.instances = lf.instances.slice(0, 1);
+      lf.instances[0].track = null;
+    }
+    const text = writeDlcCsv(labels, { scorer: "me" });
+    const lines = text.trimEnd().split("\n");
+    expect(lines.slice(0, 3)).toEqual([
+      "scorer,me,me,me,me,me,me",
+      "bodyparts,snout,snout,ear,ear,tail,tail",
+      "coords,x,y,x,y,x,y",
+    ]);
+    expect(lines[3]).toBe("labeled-data/frames/img0.png,0,1,0.5,2,1,3");
+    expect(lines.length).toBe(6);
+
+    labels.labeledFrames[0].instances.push(
+      labels.labeledFrames[1].instances[0],
+    );
+    expect(() => writeDlcCsv(labels, { multiAnimal: false })).toThrow(
+      /multiAnimal/,
+    );
+  });
+
+  it("writes the multi-animal CSV layout", () => {
+    const labels = makeWritableLabels(tmp);
+    const lines = writeDlcCsv(labels).trimEnd().split("\n");
+    expect(lines[1].split(",").slice(1, 8)).toEqual([
+      "a",
+      "a",
+      "a",
+      "a",
+      "a",
+      "a",
+      "b",
+    ]);
+    expect(lines[1].split(",").at(-1)).toBe("individual0");
+    // Frame 1: track b's tail is missing; nobody fills individual0.
+    expect(lines[5]).toBe(
+      "labeled-data/frames/img1.png,1,1,1.5,2,2,3,11,1,11.5,2,,,,,,,,",
+    );
+  });
+
+  it("writes invisible points as missing and reloads them hidden", async () => {
+    const labels = makeWritableLabels(tmp);
+    const hidden = labels.labeledFrames[0].instances[0].points[1];
+    hidden.xy = [3, 4];
+    hidden.visible = false;
+    const lines = writeDlcCsv(labels).trimEnd().split("\n");
+    expect(lines[4].split(",").slice(1, 7)).toEqual([
+      "0",
+      "1",
+      "",
+      "",
+      "1",
+      "3",
+    ]);
+
+    const project = path.join(tmp, "project");
+    await saveDlcProject(labels, project);
+    const inst = loadDlcProject(project).labeledFrames[0].instances[0];
+    const ear = inst.skeleton.nodeNames.indexOf("ear");
+    expect(inst.points[ear].visible).toBe(false);
+    expect(inst.numpy()[ear].every(Number.isNaN)).toBe(true);
+  });
+
+  it("round-trips a project through loadDlcProject", async () => {
+    const labels = makeWritableLabels(tmp);
+    const key = path.join(tmp, "frames");
+    labels.provenance.dlc_crops = { [key]: [2, 1, 8, 6] };
+    const project = path.join(tmp, "project");
+    fs.mkdirSync(project);
+    fs.writeFileSync(
+      path.join(project, "config.yaml"),
+      "scorer: LM\npcutoff: 0.3\n",
+    );
+    await saveDlcProject(labels, project, { task: "mice", date: "Oct19" });
+
+    const folder = path.join(project, "labeled-data", "frames");
+    expect(fs.readdirSync(folder).sort()).toEqual([
+      "CollectedData_LM.csv",
+      "img0.png",
+      "img1.png",
+      "img2.png",
+    ]);
+    const cfg = readDlcConfig(path.join(project, "config.yaml"))!;
+    expect(cfg.pcutoff).toBe(0.3);
+    expect(cfg.Task).toBe("mice");
+    expect(cfg.multianimalproject).toBe(true);
+    expect(cfg.individuals).toEqual(["a", "b", "individual0"]);
+    expect(cfg.multianimalbodyparts).toEqual(["snout", "ear", "tail"]);
+    expect(cfg.video_sets).toEqual({ [key]: { crop: "2, 8, 1, 6" } });
+
+    const loaded = loadDlcProject(project);
+    expect(loaded.provenance.dlc_scorer).toBe("LM");
+    expect(loaded.provenance.dlc_crops).toEqual({ [key]: [2, 1, 8, 6] });
+    expect(loaded.skeletons[0].name).toBe("mice");
+    expect(loaded.skeletons[0].nodeNames).toEqual(["ear", "snout", "tail"]);
+    expect(
+      loaded.skeletons[0].edges.map((e) => [e.source.name, e.destination.name]),
+    ).toEqual([
+      ["snout", "ear"],
+      ["ear", "tail"],
+    ]);
+    expect(loaded.tracks.map((t) => t.name)).toEqual(["a", "b", "individual0"]);
+    expect(loaded.videos[0].sourceVideo?.filename).toBe(key);
+    expect(loaded.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 1, 2]);
+    labels.labeledFrames.forEach((lf, f) => {
+      const got = loaded.labeledFrames[f].instances;
+      expect(got.map((inst) => inst.track?.name)).toEqual(
+        lf.instances.map((inst) => inst.track?.name ?? "individual0"),
+      );
+      lf.instances.forEach((inst, i) => {
+        expect(pointsByName(got[i])).toEqual(pointsByName(inst));
+      });
+    });
+  });
+
+  it("round-trips node order and source frame indices", async () => {
+    const dir = path.join(tmp, "frames");
+    fs.mkdirSync(dir);
+    const files = Array.from({ length: 8 }, (_, i) => {
+      const file = path.join(dir, `f${i}.png`);
+      fs.writeFileSync(file, encodePng(new Uint8Array(8 * 6 * 4), 8, 6));
+      return file;
+    });
+    const skeleton = new Skeleton({ nodes: ["snout", "ear", "tail"] });
+    const video = new Video({ filename: files, openBackend: false });
+    video.sourceVideo = new Video({
+      filename: "/data/mouse.mp4",
+      openBackend: false,
+    });
+    const frames = [2, 7].map(
+      (f) =>
+        new LabeledFrame({
+          video,
+          frameIdx: f,
+          instances: [
+            Instance.fromArray(
+              [
+                [f, 1],
+                [f, 2],
+                [f, 3],
+              ],
+              skeleton,
+            ),
+          ],
+        }),
+    );
+    const labels = new Labels({
+      labeledFrames: frames,
+      videos: [video],
+      skeletons: [skeleton],
+    });
+    const project = path.join(tmp, "project");
+    await saveDlcProject(labels, project);
+
+    const loaded = loadDlcProject(project, {
+      useSourceVideos: true,
+      configNodeOrder: true,
+    });
+    expect(loaded.skeletons[0].nodeNames).toEqual(["snout", "ear", "tail"]);
+    expect(loaded.videos.map((v) => v.filename)).toEqual(["/data/mouse.mp4"]);
+    expect(loaded.labeledFrames.map((lf) => lf.frameIdx)).toEqual([2, 7]);
+    expect(loaded.labeledFrames[1].instances[0].numpy()).toEqual([
+      [7, 1],
+      [7, 2],
+      [7, 3],
+    ]);
+
+    // By default the frames index the exported images by position and the
+    // nodes are sorted.
+    const byImage = loadDlcProject(project);
+    expect(byImage.skeletons[0].nodeNames).toEqual(["ear", "snout", "tail"]);
+    expect(byImage.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 1]);
+    expect(byImage.videos[0].sourceVideo?.filename).toBe("/data/mouse.mp4");
+  });
+
+  it("keeps a loaded project's config node order only with configNodeOrder", async () => {
+    const source = path.join(tmp, "source");
+    makeDlcProject(source);
+    const nodeOrder = async (configNodeOrder: boolean) => {
+      const out = path.join(tmp, `saved-${configNodeOrder}`);
+      await saveDlcProject(loadDlcProject(source, { configNodeOrder }), out);
+      return loadDlcProject(out, { configNodeOrder: true }).skeletons[0]
+        .nodeNames;
+    };
+    // A default load sorts the nodes, and the saved config lists them sorted.
+    expect(await nodeOrder(false)).toEqual(["leftear", "rightear", "snout"]);
+    expect(await nodeOrder(true)).toEqual(["snout", "leftear", "rightear"]);
+  });
+
+  it("quotes names holding commas or quotes", () => {
+    const labels = makeWritableLabels(tmp);
+    labels.tracks[0].name = 'mouse "a", left';
+    const text = writeDlcCsv(labels, { scorer: "lab, inc" });
+    const lines = text.split("\n");
+    expect(lines[0].startsWith('scorer,"lab, inc","lab, inc"')).toBe(true);
+    expect(lines[1]).toContain('"mouse ""a"", left"');
+
+    const csvPath = path.join(tmp, "quoted.csv");
+    fs.writeFileSync(csvPath, text);
+    const loaded = loadDlc(csvPath, { config: false });
+    expect(loaded.tracks.map((t) => t.name)).toEqual([
+      'mouse "a", left',
+      "b",
+      "individual0",
+    ]);
+  });
+
+  it("saves a CSV with its images next to it", async () => {
+    const labels = makeWritableLabels(tmp);
+    const csvPath = path.join(tmp, "out", "CollectedData_me.csv");
+    await saveDlc(labels, csvPath, { scorer: "me" });
+    expect(fs.existsSync(path.join(tmp, "out", "img2.png"))).toBe(true);
+
+    const loaded = loadDlc(csvPath, { config: false });
+    expect(loaded.labeledFrames.length).toBe(3);
+    expect(loaded.labeledFrames[2].instances.length).toBe(3);
+    expect(pointsByName(loaded.labeledFrames[0].instances[1])).toEqual(
+      pointsByName(labels.labeledFrames[0].instances[1]),
+    );
+  });
+});
+
 // ---------------------------------------------------------------------------
 // console.warn spy helper.
 // ---------------------------------------------------------------------------
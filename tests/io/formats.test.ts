@@ -0,0 +1,255 @@
+/**
+ * Tests for the `loadFile` / `saveFile` format dispatcher (`src/io/formats.ts`):
+ * suffix and content detection over the fixture files, save-by-suffix round
+ * trips, the custom-format registry and `UnknownFormatError`.
+ */
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  detectFormat,
+  listFormats,
+  loadFile,
+  registerFormat,
+  saveFile,
+  UnknownFormatError,
+  unregisterFormat,
+} from "../../src/io/formats.js";
+import { Instance, Track } from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+
+const dataDir = fileURLToPath(new URL("../data", import.meta.url));
+const data = (...parts: string[]) => path.join(dataDir, ...parts);
+
+function tmpDir(): string {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "formats-test-"));
+}
+
+/** Two tracked instances on one frame. */
+function makeLabels(): Labels {
+  const skeleton = new Skeleton({ nodes: ["head", "tail"] });
+  const video = new Video({ filename: "video.mp4", openBackend: false });
+  video.shape = [10, 64, 64, 1];
+  const tracks = [new Track("a"), new Track("b")];
+  const instances = tracks.map((track, i) =>
+    Instance.fromNumpy({
+      pointsData: [
+        [10 + i, 20],
+        [30 + i, 40],
+      ],
+      skeleton,
+      track,
+    }),
+  );
+  return new Labels({
+    labeledFrames: [new LabeledFrame({ video, frameIdx: 2, instances })],
+    videos: [video],
+    skeletons: [skeleton],
+    tracks,
+  });
+}
+
+describe("detectFormat", () => {
+  it("tells formats apart by suffix and content", async () => {
+    const cases: [string, string][] = [
+      [data("slp", "typical.slp"), "slp"],
+      [data("nwb", "minimal.pose.nwb"), "nwb"],
+      [data("analysis-h5", "centered_pair_matlab.analysis.h5"), "analysis_h5"],
+      [data("jabs", "example_pose_est_v5.h5"), "jabs"],
+      [data("coco", "flat_images", "annotations.json"), "coco"],
+      [data("dlc", "labeled-data", "video", "CollectedData_LM.csv"), "dlc"],
+      [data("ultralytics"), "ultralytics"],
+      [data("tiff", "frame_000.tif"), "label_images"],
+    ];
+    for (const [source, format] of cases) {
+      expect(await detectFormat(source)).toBe(format);
+    }
+  });
+
+  it("sniffs files whose suffix no format claims", async () => {
+    const dir = tmpDir();
+    try {
+      const copy = path.join(dir, "labels.bin");
+      fs.copyFileSync(data("slp", "typical.slp"), copy);
+      expect(await detectFormat(copy)).toBe("slp");
+
+      const config = path.join(dir, "config.yaml");
+      fs.copyFileSync(data("dlc", "madlc_230_config.yaml"), config);
+      expect(await detectFormat(config)).toBe("dlc_project");
+
+      const unknown = path.join(dir, "notes.txt");
+      fs.writeFileSync(unknown, "hello\n");
+      await expect(detectFormat(unknown)).rejects.toBeInstanceOf(
+        UnknownFormatError,
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
+
+describe("loadFile / saveFile", () => {
+  it("loads fixtures through the detected codec", async () => {
+    const slp = await loadFile(data("slp", "typical.slp"));
+    expect(slp.labeledFrames.length).toBeGreaterThan(0);
+
+    const analysis = await loadFile(
+      data("analysis-h5", "centered_pair_matlab.analysis.h5"),
+      { video: "video.mp4" },
+    );
+    expect(analysis.video.filename).toBe("video.mp4");
+
+    const coco = await loadFile(
+      data("coco", "flat_images", "annotations.json"),
+    );
+    expect(coco.instances.length).toBeGreaterThan(0);
+  });
+
+  it("saves by suffix and loads the result back", async () => {
+    const dir = tmpDir();
+    try {
+      const labels = makeLabels();
+      for (const [name, format] of [
+        ["out.json", "labelstudio"],
+        ["out.csv", "csv"],
+        ["out.xml", "cvat"],
+      ]) {
+        const dest = path.join(dir, name);
+        await saveFile(labels, dest);
+        expect(await detectFormat(dest)).toBe(format);
+        const loaded = await loadFile(dest);
+        expect(loaded.instances).toHaveLength(2);
+        expect(loaded.instances[1].numpy()).toEqual([
+          [11, 20],
+          [31, 40],
+        ]);
+      }
+
+      // An explicit format overrides the suffix.
+      const coco = path.join(dir, "coco.json");
+      await saveFile(labels, coco, { format: "coco", saveImages: false });
+      expect(await detectFormat(coco)).toBe("coco");
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it("throws UnknownFormatError for unusable formats", async () => {
+    const labels = makeLabels();
+    await expect(
+      loadFile("labels.slp", { format: "nope" }),
+    ).rejects.toBeInstanceOf(UnknownFormatError);
+    await expect(saveFile(labels, "out.txt")).rejects.toThrow(
+      /No format saves to 'out.txt'/,
+    );
+    await expect(
+      saveFile(labels, "out.tif", { format: "label_images" }),
+    ).rejects.toThrow(/cannot be saved/);
+
+    const error = await loadFile("x.slp", { format: "nope" }).catch(
+      (e: unknown) => e as UnknownFormatError,
+    );
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("UnknownFormatError");
+    expect(error.source).toBe("x.slp");
+    expect(error.format).toBe("nope");
+  });
+});
+
+describe("registerFormat", () => {
+  it("plugs in a custom codec ahead of the built-ins", async () => {
+    const dir = tmpDir();
+    const saved: string[] = [];
+    registerFormat({
+      name: "inhouse",
+      extensions: ["json", "ihl"],
+      sniff: (source) =>
+        fs.readFileSync(source, "utf-8").startsWith('{"inhouse"'),
+      load: () => makeLabels(),
+      save: (_labels, dest) => {
+        saved.push(dest);
+        fs.writeFileSync(dest, '{"inhouse": true}');
+      },
+    });
+    try {
+      expect(listFormats()[0].name).toBe("inhouse");
+
+      const own = path.join(dir, "a.json");
+      await saveFile(makeLabels(), own);
+      expect(saved).toEqual([own]);
+      expect(await detectFormat(own)).toBe("inhouse");
+      expect((await loadFile(own)).instances).toHaveLength(2);
+
+      // Other JSON files still go to the built-in codecs.
+      expect(
+        await detectFormat(data("coco", "flat_images", "annotations.json")),
+      ).toBe("coco");
+    } finally {
+      expect(unregisterFormat("inhouse")).toBe(true);
+      fs.rmSync(dir, { recursive: true });
+    }
+    expect(listFormats().some((f) => f.name === "inhouse")).toBe(false);
+  });
+
+  it("parses a JSON file once per detection", async () => {
+    const seen: unknown[] = [];
+    for (const name of ["peek_a", "peek_b"]) {
+      registerFormat({
+        name,
+        extensions: ["json"],
+        sniff: (_source, context) => {
+          seen.push(context.json(), context.json());
+          return false;
+        },
+        load: () => makeLabels(),
+      });
+    }
+    try {
+      const coco = data("coco", "flat_images", "annotations.json");
+      expect(await detectFormat(coco)).toBe("coco");
+      expect(seen).toHaveLength(4);
+      expect((seen[0] as { images: unknown[] }).images.length).toBeGreaterThan(
+        0,
+      );
+      expect(seen.every((doc) => doc === seen[0])).toBe(true);
+    } finally {
+      unregisterFormat("peek_a");
+      unregisterFormat("peek_b");
+    }
+  });
+  it("parses only files that open a JSON object or array", async () => {
+    const seen: unknown[] = [];
+    registerFormat({
+      name: "peek",
+      extensions: [],
+      sniff: (_source, context) => {
+        seen.push(context.json());
+        return false;
+      },
+      load: () => makeLabels(),
+    });
+    const dir = tmpDir();
+    try {
+      const files: [string, string][] = [
+        ["object", '\n  {"a": [1, NaN]}'],
+        ["array", "[1, 2]"],
+        ["string", '"quoted"'],
+        ["binary", "\x89HDF\r\n\x1a\n{}"],
+      ];
+      for (const [name, text] of files) {
+        fs.writeFileSync(path.join(dir, name), text);
+        await expect(detectFormat(path.join(dir, name))).rejects.toThrow();
+      }
+      expect(seen).toEqual([{ a: [1, null] }, [1, 2], undefined, undefined]);
+    } finally {
+      unregisterFormat("peek");
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
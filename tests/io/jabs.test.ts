@@ -1,9 +1,8 @@
 /**
- * Tests for the JABS pose-file reader (`src/io/jabs.ts`).
+ * Tests for the JABS pose-file reader and writer (`src/io/jabs.ts`).
  *
- * Mirrors the reader-relevant cases from the Python suite
- * `tests/io/test_jabs.py` (the writer half — `convert_labels` / `write_jabs_v*`
- * — is intentionally out of scope per issue #99). Uses the real JABS fixtures
+ * Mirrors the cases from the Python suite `tests/io/test_jabs.py`; writer
+ * output is checked by reading it back with `loadJabs`. Uses the real JABS fixtures
  * copied verbatim from the Python repo: `example_pose_est_v2.h5` (single mouse,
  * 100 frames) and `example_pose_est_v5.h5` (multi-mouse, 250 frames, with arena
  * corners as a static object).
@@ -15,8 +14,10 @@ import * as path from "node:path";
 import { fileURLToPath } from "node:url";
 
 import {
+  jabsNodeIndices,
   loadJabs,
   predictionToInstance,
+  saveJabs,
   makeSimpleSkeleton,
   staticObjectToRoi,
   makeJabsDefaultSkeleton,
@@ -24,9 +25,15 @@ import {
   JABS_DEFAULT_KEYPOINT_NAMES,
 } from "../../src/io/jabs.js";
 import { Labels } from "../../src/model/labels.js";
-import { PredictedInstance } from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
 import { Skeleton, Node } from "../../src/model/skeleton.js";
 import { Video } from "../../src/model/video.js";
+import { UserROI } from "../../src/model/roi.js";
 
 const jabsDir = fileURLToPath(new URL("../data/jabs", import.meta.url));
 const v2Path = path.join(jabsDir, "example_pose_est_v2.h5");
@@ -286,3 +293,214 @@ describe("staticObjectToRoi", () => {
     ).toBe(4);
   });
 });
+
+// ===========================================================================
+// saveJabs
+// ===========================================================================
+
+describe("saveJabs", () => {
+  const withTmp = async (fn: (dir: string) => Promise<void>) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jabs-write-"));
+    try {
+      await fn(dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  /** Per-frame [track name, points, scores] of every instance. */
+  const summarize = (labels: Labels) =>
+    labels.labeledFrames.map((lf) =>
+      lf.instances.map((inst) => [
+        inst.track?.name,
+        inst.numpy(),
+        (inst as PredictedInstance)
+          .numpy({ scores: true })
+          .map((p) => (Number.isNaN(p[2]) ? null : Math.round(p[2] * 1e4))),
+      ]),
+    );
+
+  it("round-trips a v5 file through loadJabs", async () => {
+    await withTmp(async (dir) => {
+      const labels = await loadJabs(v5Path);
+      const out = path.join(dir, "session_pose_est_v5.h5");
+      await saveJabs(labels, out);
+      const back = await loadJabs(out);
+      expect(back.labeledFrames.length).toBe(250);
+      expect(back.videos[0].filename).toBe(path.join(dir, "session.avi"));
+      expect(new Set(back.tracks.map((t) => t.name))).toEqual(
+        new Set(["1", "2", "3", "4"]),
+      );
+      expect(summarize(back)).toEqual(summarize(labels));
+      expect(back.staticRois.length).toBe(1);
+      expect(back.staticRois[0].name).toBe("corners");
+      expect(back.staticRois[0].geometry).toEqual(
+        labels.staticRois[0].geometry,
+      );
+    });
+  });
+
+  it("round-trips v2 and v3 files", async () => {
+    await withTmp(async (dir) => {
+      const v2 = await loadJabs(v2Path);
+      const out2 = path.join(dir, "a_pose_est_v2.h5");
+      await saveJabs(v2, out2, { version: 2 });
+      const back2 = await loadJabs(out2);
+      expect(back2.tracks.map((t) => t.name)).toEqual(["1"]);
+      expect(summarize(back2)).toEqual(summarize(v2));
+
+      const v5 = await loadJabs(v5Path);
+      const out3 = path.join(dir, "b_pose_est_v3.h5");
+      await saveJabs(v5, out3, { version: 3 });
+      const back3 = await loadJabs(out3);
+      expect(summarize(back3)).toEqual(summarize(v5));
+      expect(back3.staticRois.length).toBe(0);
+    });
+  });
+
+  it("maps other skeletons onto the JABS keypoints", async () => {
+    const skeleton = new Skeleton(["nose", "tail base", "Left-Ear", "wing"]);
+    expect(
+      jabsNodeIndices(skeleton, { "tail base": "BASE_TAIL" }).slice(0, 3),
+    ).toEqual([0, 2, -1]);
+    expect(jabsNodeIndices(skeleton, { "tail base": "BASE_TAIL" })[9]).toBe(1);
+    expect(() => jabsNodeIndices(skeleton, { wing: "WING" })).toThrow(
+      /Unknown JABS keypoint 'WING'/,
+    );
+    expect(() => jabsNodeIndices(new Skeleton(["a", "b"]))).toThrow(
+      /pass a nodeMap/,
+    );
+
+    await withTmp(async (dir) => {
+      const video = new Video({ filename: "mice.mp4", openBackend: false });
+      const male = new Track("male");
+      const labels = new Labels({
+        labeledFrames: [
+          new LabeledFrame({
+            video,
+            frameIdx: 3,
+            instances: [
+              Instance.fromArray(
+                [
+                  [10.4, 20.6],
+                  [30, 40],
+                  [Number.NaN, Number.NaN],
+                  [1, 1],
+                ],
+                skeleton,
+              ),
+              new Instance({
+                points: [
+                  { xy: [5, 6], visible: true, complete: false },
+                  { xy: [7, 8], visible: true, complete: false },
+                  { xy: [9, 9], visible: true, complete: false },
+                  { xy: [0, 0], visible: true, complete: false },
+                ],
+                skeleton,
+                track: male,
+              }),
+            ],
+          }),
+        ],
+        tracks: [male],
+      });
+      const out = path.join(dir, "mice_pose_est_v4.h5");
+      await saveJabs(labels, out, {
+        version: 4,
+        nodeMap: { "tail base": "BASE_TAIL" },
+      });
+      const back = await loadJabs(out);
+      expect(back.labeledFrames.length).toBe(4);
+      const [a, b] = back.labeledFrames[3].instances as PredictedInstance[];
+      // Untracked instances get the ids after the tracks.
+      expect(a.track?.name).toBe("2");
+      expect(b.track?.name).toBe("1");
+      expect(a.points[0].xy).toEqual([10, 21]);
+      expect(a.points[9].xy).toEqual([30, 40]);
+      expect(a.points[0].score).toBe(1);
+      expect(a.points[1].visible).toBe(false);
+      expect(b.points[1].xy).toEqual([9, 9]);
+    });
+  });
+
+  it("writes predicted scores as confidence, and 1 only for user points", async () => {
+    await withTmp(async (dir) => {
+      const skeleton = makeJabsDefaultSkeleton();
+      const video = new Video({ filename: "mice.mp4", openBackend: false });
+      const xy = (i: number) => [10 + i, 20 + i];
+      const predicted = PredictedInstance.fromArray(
+        JABS_DEFAULT_KEYPOINT_NAMES.map((_, i) => [
+          ...xy(i),
+          [0.5, 0, Number.NaN, -1][i] ?? 0.9,
+        ]),
+        skeleton,
+        0.5,
+      );
+      const user = Instance.fromArray(
+        JABS_DEFAULT_KEYPOINT_NAMES.map((_, i) => xy(i)),
+        skeleton,
+      );
+      const labels = new Labels({
+        labeledFrames: [
+          new LabeledFrame({ video, frameIdx: 0, instances: [predicted] }),
+          new LabeledFrame({ video, frameIdx: 1, instances: [user] }),
+        ],
+      });
+      const out = path.join(dir, "mice_pose_est_v4.h5");
+      await saveJabs(labels, out, { version: 4 });
+      const [a, b] = (await loadJabs(out)).labeledFrames.map(
+        (lf) => lf.instances[0],
+      );
+      expect(a.points[0].score).toBeCloseTo(0.5);
+      // Zero, missing and negative scores come back as absent keypoints.
+      expect(a.points.slice(1, 4).map((p) => p.visible)).toEqual([
+        false,
+        false,
+        false,
+      ]);
+      expect(a.points[4].score).toBeCloseTo(0.9);
+      expect(b.points.every((p) => p.visible && p.score === 1)).toBe(true);
+    });
+  });
+
+  it("removes its staging file when the HDF5 write fails", async () => {
+    const { getH5Module } = await import("../../src/codecs/slp/h5.js");
+    const { FS } = (await getH5Module()) as unknown as {
+      FS: { readdir(path: string): string[] };
+    };
+    const staged = () =>
+      FS.readdir("/tmp").filter((name) => name.startsWith("jabs_"));
+    const before = staged();
+    const labels = await loadJabs(v5Path);
+    // A polygon without rings fails while the pose file is being written.
+    labels.addStaticRoi(
+      new UserROI({
+        geometry: { type: "Polygon", coordinates: [] },
+        name: "lixit",
+        source: "jabs",
+      }),
+    );
+    await withTmp(async (dir) => {
+      await expect(
+        saveJabs(labels, path.join(dir, "x_pose_est_v5.h5")),
+      ).rejects.toThrow();
+    });
+    expect(staged()).toEqual(before);
+  });
+
+  it("rejects unsupported inputs", async () => {
+    const labels = await loadJabs(v5Path);
+    await expect(saveJabs(labels, "x.h5", { version: 7 })).rejects.toThrow(
+      /Unsupported JABS pose version: 7/,
+    );
+    await expect(saveJabs(labels, "x.h5", { version: 2 })).rejects.toThrow(
+      /single animal/,
+    );
+    labels.videos.push(
+      new Video({ filename: "other.avi", openBackend: false }),
+    );
+    await expect(saveJabs(labels, "x.h5")).rejects.toThrow(
+      /pass options.video/,
+    );
+  });
+});
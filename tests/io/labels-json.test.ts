@@ -0,0 +1,333 @@
+/**
+ * Tests for the legacy SLEAP labels JSON reader (`src/io/labels-json.ts`) and
+ * the ZIP reader behind `.json.zip` support (`src/io/zip.ts`).
+ *
+ * The documents follow the layout written by SLEAP's `LabelsJsonAdaptor`:
+ * index references for videos / skeletons / tracks / nodes, and jsonpickle
+ * skeleton graphs (integer node ids, or embedded `py/object` nodes with
+ * `py/id` back-references as in `mice_hc.json`).
+ */
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+import { deflateRaw } from "pako";
+
+import { readSlp } from "../../src/codecs/slp/read.js";
+import { saveSlpToBytes } from "../../src/codecs/slp/write.js";
+import { detectFormat, loadFile } from "../../src/io/formats.js";
+import {
+  isLabelsJsonData,
+  loadLabelsJson,
+  readLabelsJson,
+} from "../../src/io/labels-json.js";
+import { isZip, listZipEntries, readZipEntry } from "../../src/io/zip.js";
+import { PredictedInstance } from "../../src/model/instance.js";
+
+const slpDir = fileURLToPath(new URL("../data/slp", import.meta.url));
+
+const edgeType = {
+  "py/reduce": [{ "py/type": "sleap.skeleton.EdgeType" }, { "py/tuple": [1] }],
+};
+
+/** A SLEAP 1.x labels document with a user instance and its prediction. */
+function legacyDoc(): Record<string, unknown> {
+  return {
+    version: "2.0.0",
+    skeletons: [
+      {
+        directed: true,
+        graph: { name: "fly", num_edges_inserted: 2 },
+        links: [
+          { edge_insert_idx: 0, key: 0, source: 0, target: 1, type: edgeType },
+          {
+            edge_insert_idx: 1,
+            key: 0,
+            source: 1,
+            target: 2,
+            type: { "py/id": 1 },
+          },
+        ],
+        multigraph: true,
+        nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
+      },
+    ],
+    nodes: [
+      { name: "head", weight: 1.0 },
+      { name: "thorax", weight: 1.0 },
+      { name: "abdomen", weight: 1.0 },
+    ],
+    videos: [
+      {
+        backend: {
+          filename: "flies.mp4",
+          dataset: "",
+          grayscale: true,
+          bgr: true,
+        },
+      },
+    ],
+    tracks: [
+      [0, "fly_a"],
+      [3, "fly_b"],
+    ],
+    suggestions: [{ video: "0", frame_idx: 7, group: 0 }],
+    negative_anchors: {},
+    provenance: { sleap_version: "1.0.9" },
+    labels: [
+      {
+        video: "0",
+        frame_idx: 3,
+        _instances: [
+          {
+            skeleton: "0",
+            track: "0",
+            from_predicted: {
+              skeleton: "0",
+              track: "0",
+              score: 0.9,
+              _points: {
+                "0": { x: 1, y: 2, visible: true, complete: false, score: 0.8 },
+                "1": { x: 3, y: 4, visible: true, complete: false, score: 0.7 },
+              },
+            },
+            _points: {
+              "0": { x: 1.5, y: 2, visible: true, complete: true },
+              "1": { x: 3, y: 4, visible: false, complete: false },
+              "2": { x: 5, y: 6, visible: true, complete: true },
+            },
+          },
+          {
+            skeleton: "0",
+            track: "0",
+            score: 0.9,
+            tracking_score: 0.5,
+            _points: {
+              "0": { x: 1, y: 2, visible: true, complete: false, score: 0.8 },
+              "1": { x: 3, y: 4, visible: true, complete: false, score: 0.7 },
+            },
+          },
+          {
+            skeleton: "0",
+            track: "1",
+            from_predicted: null,
+            _points: {
+              "2": { x: 9, y: 10, visible: true, complete: true },
+            },
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/** Build an archive like Python's `zipfile` (stored or deflated entries). */
+function makeZip(files: Record<string, string>, method: 0 | 8 = 8): Uint8Array {
+  const encoder = new TextEncoder();
+  const local: Uint8Array[] = [];
+  const central: Uint8Array[] = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const raw = encoder.encode(text);
+    const data = method === 8 ? deflateRaw(raw) : raw;
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const hv = new DataView(header.buffer);
+    hv.setUint32(0, 0x04034b50, true);
+    hv.setUint16(8, method, true);
+    hv.setUint32(18, data.length, true);
+    hv.setUint32(22, raw.length, true);
+    hv.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const ev = new DataView(entry.buffer);
+    ev.setUint32(0, 0x02014b50, true);
+    ev.setUint16(10, method, true);
+    ev.setUint32(20, data.length, true);
+    ev.setUint32(24, raw.length, true);
+    ev.setUint16(28, nameBytes.length, true);
+    ev.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+
+    local.push(header, data);
+    central.push(entry);
+    offset += header.length + data.length;
+  }
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new Uint8Array(22);
+  const dv = new DataView(end.buffer);
+  dv.setUint32(0, 0x06054b50, true);
+  dv.setUint16(8, central.length, true);
+  dv.setUint16(10, central.length, true);
+  dv.setUint32(12, centralSize, true);
+  dv.setUint32(16, offset, true);
+
+  const parts = [...local, ...central, end];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+describe("zip", () => {
+  it("lists and extracts stored and deflated entries", () => {
+    for (const method of [0, 8] as const) {
+      const bytes = makeZip({ "a.json": "{}", "dir/b.txt": "hello" }, method);
+      expect(isZip(bytes)).toBe(true);
+      const entries = listZipEntries(bytes);
+      expect(entries.map((e) => e.name)).toEqual(["a.json", "dir/b.txt"]);
+      expect(new TextDecoder().decode(readZipEntry(bytes, entries[1]))).toBe(
+        "hello",
+      );
+    }
+    expect(isZip(new TextEncoder().encode("{}"))).toBe(false);
+    expect(() => listZipEntries(new Uint8Array(30))).toThrow(/Not a ZIP/);
+  });
+});
+
+describe("readLabelsJson", () => {
+  it("decodes index references into Labels", () => {
+    const doc = legacyDoc();
+    expect(isLabelsJsonData(doc)).toBe(true);
+    const labels = readLabelsJson(JSON.stringify(doc), {
+      filename: "old.json",
+    });
+
+    const skeleton = labels.skeletons[0];
+    expect(skeleton.name).toBe("fly");
+    expect(skeleton.nodeNames).toEqual(["head", "thorax", "abdomen"]);
+    expect(skeleton.edges).toHaveLength(2);
+    expect(labels.video.filename).toBe("flies.mp4");
+    expect(labels.video.backendMetadata.grayscale).toBe(true);
+    expect(labels.tracks.map((t) => t.name)).toEqual(["fly_a", "fly_b"]);
+    expect(labels.suggestions[0].frameIdx).toBe(7);
+    expect(labels.provenance).toEqual({
+      sleap_version: "1.0.9",
+      filename: "old.json",
+    });
+
+    const [frame] = labels.labeledFrames;
+    expect(frame.frameIdx).toBe(3);
+    const [user, predicted, other] = frame.instances;
+    expect(user.track).toBe(labels.tracks[0]);
+    expect(user.numpy()).toEqual([
+      [1.5, 2],
+      [Number.NaN, Number.NaN],
+      [5, 6],
+    ]);
+    expect(user.fromPredicted).toBe(predicted as PredictedInstance);
+    expect(predicted).toBeInstanceOf(PredictedInstance);
+    expect((predicted as PredictedInstance).score).toBe(0.9);
+    expect(predicted.trackingScore).toBe(0.5);
+    expect(other.track).toBe(labels.tracks[1]);
+    expect(other.nVisible).toBe(1);
+  });
+
+  it("reads embedded jsonpickle nodes, dict tracks and NaN tokens", () => {
+    const miceHc = JSON.parse(
+      fs.readFileSync(path.join(slpDir, "mice_hc.json"), "utf-8"),
+    );
+    const text = JSON.stringify({
+      skeletons: [miceHc],
+      videos: [{ backend: { filename: "mice.mp4" } }],
+      tracks: [{ spawned_on: 0, name: "mouse" }],
+      labels: [
+        {
+          video: 0,
+          frame_idx: 0,
+          _instances: [
+            {
+              skeleton: 0,
+              track: 0,
+              _points: {
+                "0": { x: 10, y: "__NAN__", visible: true, complete: false },
+                "1": { x: 11, y: 12, visible: true, complete: false },
+              },
+            },
+          ],
+        },
+      ],
+    }).replace('"__NAN__"', "NaN");
+
+    const labels = readLabelsJson(text);
+    expect(labels.skeletons[0].nodeNames).toContain("nose1");
+    expect(labels.tracks[0].name).toBe("mouse");
+    const points = labels.labeledFrames[0].instances[0].numpy();
+    expect(points[0][1]).toBeNaN();
+    expect(points[1]).toEqual([11, 12]);
+  });
+
+  it("rejects documents that are not labels", () => {
+    expect(isLabelsJsonData({ images: [] })).toBe(false);
+    expect(() => readLabelsJson("{}")).toThrow(/Not a SLEAP labels JSON/);
+    expect(() => readLabelsJson(makeZip({ "notes.txt": "x" }))).toThrow(
+      /No labels .json/,
+    );
+  });
+});
+
+describe("loadLabelsJson", () => {
+  it("loads .json.zip files and upgrades them to SLP", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labels-json-test-"));
+    try {
+      const zipped = path.join(dir, "project.json.zip");
+      fs.writeFileSync(
+        zipped,
+        makeZip({ "project.json": JSON.stringify(legacyDoc()) }),
+      );
+      const plain = path.join(dir, "project.json");
+      fs.writeFileSync(plain, JSON.stringify(legacyDoc()));
+      expect(await detectFormat(zipped)).toBe("sleap_json");
+      expect(await detectFormat(plain)).toBe("sleap_json");
+
+      const labels = await loadLabelsJson(zipped);
+      expect(labels.provenance.filename).toBe(zipped);
+      expect((await loadFile(plain)).instances).toHaveLength(3);
+
+      // Python writes missing points as bare NaN tokens.
+      const withNaN = path.join(dir, "nan.json");
+      const doc = legacyDoc();
+      const frame = (doc.labels as Array<Record<string, any>>)[0];
+      frame._instances[2]._points["0"] = {
+        x: "__NAN__",
+        y: "__NAN__",
+        visible: false,
+        complete: false,
+      };
+      fs.writeFileSync(
+        withNaN,
+        JSON.stringify(doc).replaceAll('"__NAN__"', "NaN"),
+      );
+      expect(await detectFormat(withNaN)).toBe("sleap_json");
+      const nanLabels = await loadFile(withNaN);
+      expect(nanLabels.instances).toHaveLength(3);
+      expect(nanLabels.labeledFrames[0].instances[2].numpy()[0]).toEqual([
+        Number.NaN,
+        Number.NaN,
+      ]);
+
+      const upgraded = await readSlp(
+        new Uint8Array(await saveSlpToBytes(labels)).buffer,
+        { openVideos: false },
+      );
+      expect(upgraded.video.filename).toBe("flies.mp4");
+      expect(upgraded.skeletons[0].nodeNames).toEqual(
+        labels.skeletons[0].nodeNames,
+      );
+      expect(upgraded.tracks.map((t) => t.name)).toEqual(["fly_a", "fly_b"]);
+      const [user, predicted] = upgraded.labeledFrames[0].instances;
+      expect(user.numpy()).toEqual(
+        labels.labeledFrames[0].instances[0].numpy(),
+      );
+      expect(user.fromPredicted).toBe(predicted as PredictedInstance);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,416 @@
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { describe, expect, it } from "../bun-test";
+import {
+  decodeLabelStudioRle,
+  encodeLabelStudioRle,
+  isLabelStudioData,
+  type LabelStudioTask,
+  labelStudioImagePath,
+  readLabelStudio,
+  writeLabelStudio,
+} from "../../src/io/labelstudio.js";
+import {
+  loadLabelStudio,
+  saveLabelStudio,
+} from "../../src/io/labelstudio-node.js";
+import { PredictedBoundingBox, UserBoundingBox } from "../../src/model/bbox.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { UserSegmentationMask } from "../../src/model/mask.js";
+import { UserROI } from "../../src/model/roi.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+
+const size = { original_width: 200, original_height: 100 };
+
+/** A keypoint region at pixel (x, y) of a 200 x 100 image. */
+function keypoint(id: string, label: string, x: number, y: number) {
+  return {
+    id,
+    type: "keypointlabels",
+    from_name: "kp",
+    to_name: "image",
+    ...size,
+    value: { x: x / 2, y, width: 0.5, keypointlabels: [label] },
+  };
+}
+
+/** Two animals (a rectangle plus two related keypoints each) and a polygon. */
+function makeTasks(): LabelStudioTask[] {
+  return [
+    {
+      id: 1,
+      data: { image: "/data/local-files/?d=frames%2Fimg_000.png" },
+      annotations: [
+        {
+          result: [
+            {
+              id: "box1",
+              type: "rectanglelabels",
+              ...size,
+              value: {
+                x: 5,
+                y: 10,
+                width: 10,
+                height: 20,
+                rotation: 0,
+                rectanglelabels: ["mouse"],
+              },
+              meta: { text: ["female"] },
+            },
+            keypoint("k1", "head", 12, 14),
+            keypoint("k2", "tail", 24, 26),
+            { type: "relation", from_id: "k1", to_id: "box1" },
+            { type: "relation", from_id: "k2", to_id: "box1" },
+            {
+              id: "box2",
+              type: "rectanglelabels",
+              ...size,
+              value: { x: 0, y: 0, width: 0, height: 0, rectanglelabels: [] },
+            },
+            keypoint("k3", "head", 100, 50),
+            { type: "relation", from_id: "k3", to_id: "box2" },
+            {
+              id: "poly",
+              type: "polygonlabels",
+              ...size,
+              value: {
+                points: [
+                  [0, 0],
+                  [50, 0],
+                  [50, 50],
+                ],
+                polygonlabels: ["arena"],
+              },
+            },
+          ],
+        },
+      ],
+    },
+  ];
+}
+
+describe("Label Studio helpers", () => {
+  it("detects Label Studio exports", () => {
+    expect(isLabelStudioData(makeTasks())).toBe(true);
+    expect(isLabelStudioData([])).toBe(false);
+    expect(isLabelStudioData({ images: [], annotations: [] })).toBe(false);
+  });
+
+  it("unwraps local-storage image URLs", () => {
+    expect(labelStudioImagePath("/data/local-files/?d=a%2Fb.png")).toBe(
+      "a/b.png",
+    );
+    expect(labelStudioImagePath("https://host/x.png?d=1")).toBe(
+      "https://host/x.png?d=1",
+    );
+  });
+
+  it("round-trips brush RLE", () => {
+    const values = new Uint8Array(5000);
+    values.fill(255, 10, 4010);
+    values[4500] = 7;
+    values[4501] = 9;
+    const rle = encodeLabelStudioRle(values);
+    expect(rle.length).toBeLessThan(40);
+    expect(decodeLabelStudioRle(rle)).toEqual(values);
+  });
+});
+
+describe("readLabelStudio", () => {
+  it("groups related keypoints into instances", () => {
+    const labels = readLabelStudio(JSON.stringify(makeTasks()));
+    expect(labels.skeletons[0].nodeNames).toEqual(["head", "tail"]);
+    expect(labels.videos.length).toBe(1);
+    expect(labels.video.filename).toEqual(["frames/img_000.png"]);
+    expect(labels.video.shape).toEqual([1, 100, 200, 3]);
+
+    const lf = labels.labeledFrames[0];
+    expect(lf.frameIdx).toBe(0);
+    expect(lf.instances.length).toBe(2);
+    const [female, other] = lf.instances;
+    expect(female.track?.name).toBe("female");
+    expect(female.numpy()).toEqual([
+      [12, 14],
+      [24, 26],
+    ]);
+    expect(other.track).toBeNull();
+    expect(other.numpy()[0]).toEqual([100, 50]);
+    expect(Number.isNaN(other.numpy()[1][0])).toBe(true);
+    expect(labels.tracks.map((t) => t.name)).toEqual(["female"]);
+
+    // The zero-size placeholder rectangle is dropped.
+    expect(lf.bboxes.length).toBe(1);
+    const box = lf.bboxes[0];
+    expect(box).toBeInstanceOf(UserBoundingBox);
+    expect([box.x1, box.y1, box.x2, box.y2]).toEqual([10, 10, 30, 30]);
+    expect(box.instance).toBe(female);
+    expect(box.category).toBe("mouse");
+
+    expect(lf.rois.length).toBe(1);
+    expect(lf.rois[0].category).toBe("arena");
+    expect(lf.rois[0].geometry.coordinates).toEqual([
+      [
+        [0, 0],
+        [100, 0],
+        [100, 50],
+        [0, 0],
+      ],
+    ]);
+  });
+
+  it("uses leftover keypoints as a single instance", () => {
+    const tasks: LabelStudioTask[] = [
+      {
+        data: { img: "a.png" },
+        completions: [
+          { result: [keypoint("k1", "b", 2, 4), keypoint("k2", "a", 6, 8)] },
+        ],
+      },
+      {
+        data: { img: "b.png" },
+        annotations: [{ result: [keypoint("k1", "a", 10, 12)] }],
+      },
+    ];
+    const labels = readLabelStudio(tasks, { skeleton: ["a", "b"] });
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 1]);
+    expect(labels.labeledFrames[0].instances[0].numpy()).toEqual([
+      [6, 8],
+      [2, 4],
+    ]);
+    expect(() =>
+      readLabelStudio(tasks, { skeleton: new Skeleton(["a"]) }),
+    ).toThrow(/'b' is not a node/);
+  });
+
+  it("reads rotated rectangles and brush masks", () => {
+    const rgba = new Uint8Array(10 * 20 * 4);
+    rgba.fill(255, (3 * 20 + 4) * 4, (3 * 20 + 8) * 4);
+    const tasks: LabelStudioTask[] = [
+      {
+        data: { image: "x.png" },
+        annotations: [
+          {
+            result: [
+              {
+                type: "rectanglelabels",
+                original_width: 20,
+                original_height: 10,
+                value: {
+                  x: 50,
+                  y: 0,
+                  width: 20,
+                  height: 20,
+                  rotation: 90,
+                  rectanglelabels: ["tag"],
+                },
+              },
+              {
+                type: "brushlabels",
+                original_width: 20,
+                original_height: 10,
+                value: {
+                  format: "rle",
+                  rle: encodeLabelStudioRle(rgba),
+                  brushlabels: ["body"],
+                },
+                meta: { text: ["male"] },
+              },
+            ],
+          },
+        ],
+      },
+    ];
+    const lf = readLabelStudio(tasks).labeledFrames[0];
+    expect(lf.instances.length).toBe(0);
+    const box = lf.bboxes[0];
+    // 4 x 2 px box hinged at its top-left corner (10, 0), turned 90 degrees.
+    expect(box.angle).toBeCloseTo(Math.PI / 2, 12);
+    expect(box.xCenter).toBeCloseTo(9, 12);
+    expect(box.yCenter).toBeCloseTo(2, 12);
+    const mask = lf.masks[0];
+    expect(mask).toBeInstanceOf(UserSegmentationMask);
+    expect(mask.area).toBe(4);
+    expect(mask.data[3 * 20 + 4]).toBe(1);
+    expect(mask.category).toBe("body");
+    expect(mask.track?.name).toBe("male");
+  });
+
+  it("throws on tasks without an image", () => {
+    expect(() =>
+      readLabelStudio([{ id: 7, data: {}, annotations: [{ result: [] }] }]),
+    ).toThrow(/task 7 has no image URL/);
+  });
+});
+
+describe("writeLabelStudio", () => {
+  function makeLabels() {
+    const skeleton = new Skeleton(["head", "tail"]);
+    const video = new Video({
+      filename: "session.mp4",
+      openBackend: false,
+      backendMetadata: { shape: [100, 40, 80, 1] },
+    });
+    const track = new Track("female");
+    const inst = Instance.fromNumpy({
+      pointsData: [
+        [10, 12],
+        [Number.NaN, Number.NaN],
+      ],
+      skeleton,
+      track,
+    });
+    const pred = PredictedInstance.fromArray(
+      [
+        [20, 22, 0.5],
+        [30, 32, 0.7],
+      ],
+      skeleton,
+      0.9,
+    );
+    const lf = new LabeledFrame({
+      video,
+      frameIdx: 5,
+      instances: [inst, pred],
+    });
+    lf.bboxes.push(
+      new UserBoundingBox({
+        x1: 4,
+        y1: 6,
+        x2: 24,
+        y2: 16,
+        angle: 0.3,
+        instance: inst,
+        track,
+        category: "mouse",
+      }),
+      new PredictedBoundingBox({ x1: 0, y1: 0, x2: 8, y2: 8, score: 0.4 }),
+    );
+    lf.rois.push(
+      UserROI.fromPolygon(
+        [
+          [0, 0],
+          [40, 0],
+          [40, 20],
+        ],
+        { category: "arena" },
+      ),
+    );
+    const maskData = new Uint8Array(40 * 80);
+    maskData.fill(1, 80 * 10 + 5, 80 * 10 + 15);
+    lf.masks.push(
+      UserSegmentationMask.fromArray(maskData, 40, 80, {
+        category: "body",
+        instance: inst,
+      }),
+    );
+    return new Labels({ labeledFrames: [lf], skeletons: [skeleton] });
+  }
+
+  it("writes tasks with relations and predictions", () => {
+    const [task] = writeLabelStudio(makeLabels());
+    expect(task.data).toEqual({});
+    expect(task.meta?.video).toEqual({
+      filename: "session.mp4",
+      frame_idx: 5,
+      shape: [100, 40, 80, 1],
+    });
+    const results = task.annotations?.[0].result ?? [];
+    expect(results.map((r) => r.type)).toEqual([
+      "rectanglelabels",
+      "keypointlabels",
+      "relation",
+      "brushlabels",
+      "relation",
+      "polygonlabels",
+    ]);
+    expect(results[0].meta).toEqual({ text: ["female"] });
+    expect(results[1].value?.x).toBeCloseTo(12.5, 12);
+    expect(results[1].value?.y).toBeCloseTo(30, 12);
+    expect(results[2]).toMatchObject({ from_id: "r1", to_id: "r0" });
+
+    const predicted = task.predictions?.[0].result ?? [];
+    expect(predicted.map((r) => r.type)).toEqual([
+      "rectanglelabels",
+      "keypointlabels",
+      "relation",
+      "keypointlabels",
+      "relation",
+      "rectanglelabels",
+    ]);
+    expect(predicted[0].score).toBe(0.9);
+    expect(predicted[3].score).toBe(0.7);
+
+    const [userOnly] = writeLabelStudio(makeLabels(), {
+      includePredictions: false,
+      imageUrl: (lf) => `/data/local-files/?d=frame_${lf.frameIdx}.png`,
+    });
+    expect(userOnly.predictions).toBeUndefined();
+    expect(userOnly.data).toEqual({
+      image: "/data/local-files/?d=frame_5.png",
+    });
+  });
+
+  it("round-trips through readLabelStudio", () => {
+    const labels = makeLabels();
+    const back = readLabelStudio(writeLabelStudio(labels), {
+      skeleton: labels.skeletons[0],
+    });
+    expect(back.video.filename).toBe("session.mp4");
+    expect(back.video.shape).toEqual([100, 40, 80, 1]);
+    const lf = back.labeledFrames[0];
+    expect(lf.frameIdx).toBe(5);
+    expect(lf.instances.length).toBe(1);
+    const inst = lf.instances[0];
+    expect(inst.track?.name).toBe("female");
+    expect(inst.numpy()[0][0]).toBeCloseTo(10, 9);
+    expect(inst.numpy()[0][1]).toBeCloseTo(12, 9);
+
+    const [box] = lf.bboxes;
+    expect(box.instance).toBe(inst);
+    expect(box.angle).toBeCloseTo(0.3, 12);
+    expect(box.x1).toBeCloseTo(4, 9);
+    expect(box.y1).toBeCloseTo(6, 9);
+    expect(box.x2).toBeCloseTo(24, 9);
+    expect(box.y2).toBeCloseTo(16, 9);
+
+    expect(lf.masks[0].instance).toBe(inst);
+    expect(lf.masks[0].data).toEqual(labels.labeledFrames[0].masks[0].data);
+    expect(lf.rois[0].category).toBe("arena");
+    expect(lf.rois[0].instance).toBeNull();
+  });
+});
+
+describe("loadLabelStudio / saveLabelStudio", () => {
+  it("round-trips through disk and resolves relative images", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labelstudio-"));
+    try {
+      fs.writeFileSync(path.join(dir, "img.png"), "");
+      const tasks = makeTasks();
+      tasks[0].data = { image: "/data/local-files/?d=img.png" };
+      const jsonPath = path.join(dir, "tasks.json");
+      fs.writeFileSync(jsonPath, JSON.stringify(tasks));
+      const labels = loadLabelStudio(jsonPath);
+      expect(labels.video.filename).toEqual([path.join(dir, "img.png")]);
+
+      const outPath = path.join(dir, "out", "tasks.json");
+      saveLabelStudio(labels, outPath);
+      const back = loadLabelStudio(outPath);
+      expect(back.labeledFrames[0].instances.length).toBe(2);
+      expect(back.labeledFrames[0].bboxes.length).toBe(1);
+      expect(back.video.filename).toEqual([path.join(dir, "img.png")]);
+      expect(() => loadLabelStudio(path.join(dir, "missing.json"))).toThrow(
+        /not found/,
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for the LEAP `.mat` reader (`src/io/leap.ts`).
+ *
+ * There is no LEAP fixture in the repo, so each test writes a small MATLAB
+ * v7.3-layout HDF5 file with h5wasm: dimensions reversed, `char` arrays as
+ * `uint16`, the `skeleton.nodes` cell as object references into `#refs#`, and
+ * 1-based edge indices.
+ */
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { ready, File as H5File } from "h5wasm/node";
+
+import { detectFormat } from "../../src/io/formats.js";
+import { loadLeap } from "../../src/io/leap.js";
+import { Instance } from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+
+const NODES = ["head", "thorax", "abdomen"];
+const NUM_FRAMES = 4;
+
+/** MATLAB `positions(node, xy, frame)`; frames 1 and 3 are labeled. */
+function leapPosition(node: number, xy: number, frame: number): number {
+  if (frame === 0 || frame === 2) return Number.NaN;
+  return 10 * (frame + 1) + node + (xy === 1 ? 0.5 : 0);
+}
+
+/** MATLAB `status(node, frame)`: frame 1 fully labeled, frame 3 partly. */
+function leapStatus(node: number, frame: number): number {
+  if (frame === 1) return 2;
+  if (frame === 3) return node === 2 ? 1 : 2;
+  return 0;
+}
+
+/** Write a MATLAB v7.3-layout LEAP labels file and return its path. */
+async function writeLeapMat(
+  dir: string,
+  { status = true }: { status?: boolean } = {},
+): Promise<string> {
+  const module = await ready;
+  const memPath = `/tmp/leap_${Date.now()}_${Math.random().toString(16).slice(2)}.mat`;
+  const f = new H5File(memPath, "w");
+  try {
+    const matChar = (group: any, name: string, text: string) => {
+      const ds = group.create_dataset({
+        name,
+        data: Uint16Array.from(text, (c) => c.charCodeAt(0)),
+        shape: [text.length, 1],
+        dtype: "<H",
+      });
+      ds.create_attribute("MATLAB_class", "char");
+      return ds;
+    };
+
+    // HDF5 (frames, 2, nodes) is MATLAB (nodes, 2, frames).
+    const positions = new Float64Array(NUM_FRAMES * 2 * NODES.length);
+    for (let t = 0; t < NUM_FRAMES; t++) {
+      for (let xy = 0; xy < 2; xy++) {
+        for (let n = 0; n < NODES.length; n++) {
+          positions[(t * 2 + xy) * NODES.length + n] = leapPosition(n, xy, t);
+        }
+      }
+    }
+    f.create_dataset({
+      name: "positions",
+      data: positions,
+      shape: [NUM_FRAMES, 2, NODES.length],
+      dtype: "<d",
+    });
+    if (status) {
+      const statusData = new Uint8Array(NUM_FRAMES * NODES.length);
+      for (let t = 0; t < NUM_FRAMES; t++) {
+        for (let n = 0; n < NODES.length; n++) {
+          statusData[t * NODES.length + n] = leapStatus(n, t);
+        }
+      }
+      f.create_dataset({
+        name: "status",
+        data: statusData,
+        shape: [NUM_FRAMES, NODES.length],
+        dtype: "<B",
+      });
+    }
+    matChar(f, "boxPath", "/data/flies/box.h5");
+
+    const refs = f.create_group("#refs#") as any;
+    const nodeRefs = NODES.map((name, i) =>
+      matChar(refs, `n${i}`, name).create_reference(),
+    );
+    const skeleton = f.create_group("skeleton") as any;
+    skeleton.create_attribute("MATLAB_class", "struct");
+    const nodes = skeleton.create_dataset({
+      name: "nodes",
+      data: nodeRefs,
+      shape: [NODES.length, 1],
+    });
+    nodes.create_attribute("MATLAB_class", "cell");
+    // MATLAB [1 2; 2 3] (edges, 2) is stored as HDF5 (2, edges).
+    skeleton.create_dataset({
+      name: "edges",
+      data: Float64Array.from([1, 2, 2, 3]),
+      shape: [2, 2],
+      dtype: "<d",
+    });
+  } finally {
+    f.close();
+  }
+  const filename = path.join(dir, "labels.mat");
+  fs.writeFileSync(filename, module.FS.readFile(memPath) as Uint8Array);
+  module.FS.unlink(memPath);
+  return filename;
+}
+
+function withTmpDir(fn: (dir: string) => Promise<void>): Promise<void> {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "leap-test-"));
+  return fn(dir).finally(() => fs.rmSync(dir, { recursive: true }));
+}
+
+describe("loadLeap", () => {
+  it("reads positions, skeleton, box video and status mask", () =>
+    withTmpDir(async (dir) => {
+      const filename = await writeLeapMat(dir);
+      const labels = await loadLeap(filename);
+
+      const skeleton = labels.skeletons[0];
+      expect(skeleton.nodeNames).toEqual(NODES);
+      expect(
+        skeleton.edges.map((e) => [e.source.name, e.destination.name]),
+      ).toEqual([
+        ["head", "thorax"],
+        ["thorax", "abdomen"],
+      ]);
+
+      expect(labels.video.filename).toBe("/data/flies/box.h5");
+      expect(labels.video.backendMetadata.dataset).toBe("box");
+      expect(labels.provenance.filename).toBe(filename);
+      expect(await detectFormat(filename)).toBe("leap");
+
+      expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([1, 3]);
+      const [first, second] = labels.labeledFrames.map((lf) => lf.instances[0]);
+      expect(first).toBeInstanceOf(Instance);
+      expect(first.numpy()).toEqual([
+        [20, 20.5],
+        [21, 21.5],
+        [22, 22.5],
+      ]);
+      // The abdomen on frame 3 was only initialized (status 1), never
+      // labeled: hidden, but its initialized position is kept.
+      expect(second.numpy()[1]).toEqual([41, 41.5]);
+      expect(second.numpy()[2].every(Number.isNaN)).toBe(true);
+      expect(second.nVisible).toBe(2);
+      expect(second.points[2].visible).toBe(false);
+      expect(second.points[2].xy).toEqual([42, 42.5]);
+      expect(second.numpy({ invisibleAsNaN: false })[2]).toEqual([42, 42.5]);
+    }));
+
+  it("falls back to finite positions when there is no status", () =>
+    withTmpDir(async (dir) => {
+      const labels = await loadLeap(await writeLeapMat(dir, { status: false }));
+      expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([1, 3]);
+      expect(labels.labeledFrames[1].instances[0].nVisible).toBe(3);
+    }));
+
+  it("merges into SLEAP labels on a shared skeleton and video", () =>
+    withTmpDir(async (dir) => {
+      const skeleton = new Skeleton({ nodes: NODES });
+      const video = new Video({ filename: "flies.mp4", openBackend: false });
+      const sleap = new Labels({
+        labeledFrames: [
+          new LabeledFrame({
+            video,
+            frameIdx: 0,
+            instances: [
+              Instance.fromNumpy({
+                pointsData: [
+                  [1, 2],
+                  [3, 4],
+                  [5, 6],
+                ],
+                skeleton,
+              }),
+            ],
+          }),
+        ],
+        videos: [video],
+        skeletons: [skeleton],
+      });
+      const leap = await loadLeap(await writeLeapMat(dir), {
+        skeleton,
+        video,
+      });
+      expect(leap.skeletons[0]).toBe(skeleton);
+      expect(leap.video).toBe(video);
+
+      await sleap.merge(leap);
+      expect(sleap.skeletons).toHaveLength(1);
+      expect(sleap.videos).toHaveLength(1);
+      expect(sleap.labeledFrames.map((lf) => lf.frameIdx).sort()).toEqual([
+        0, 1, 3,
+      ]);
+    }));
+
+  it("rejects missing files, non-HDF5 files and mismatched skeletons", () =>
+    withTmpDir(async (dir) => {
+      await expect(loadLeap(path.join(dir, "none.mat"))).rejects.toThrow(
+        /doesn't exist/,
+      );
+
+      const v7 = path.join(dir, "v7.mat");
+      fs.writeFileSync(v7, "MATLAB 5.0 MAT-file, Platform: GLNXA64");
+      await expect(loadLeap(v7)).rejects.toThrow(/MATLAB v7.3/);
+
+      const filename = await writeLeapMat(dir);
+      await expect(
+        loadLeap(filename, { skeleton: new Skeleton({ nodes: ["a"] }) }),
+      ).rejects.toThrow(/1 nodes but the LEAP file has 3/);
+    }));
+});
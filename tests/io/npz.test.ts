@@ -0,0 +1,246 @@
+/**
+ * Tests for the NumPy `.npy` / `.npz` codec (`src/io/npz.ts`) and the ZIP
+ * writer behind it (`src/io/zip.ts`).
+ */
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+import { detectFormat, loadFile, saveFile } from "../../src/io/formats.js";
+import {
+  decodeNpy,
+  encodeNpy,
+  loadNpz,
+  readNpz,
+  readNpzArrays,
+  writeNpz,
+} from "../../src/io/npz.js";
+import { listZipEntries, readZipEntry, writeZip } from "../../src/io/zip.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Labels } from "../../src/model/labels.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+
+/** Two tracks over frames 1 and 3: a prediction and a user instance. */
+function makeLabels(): Labels {
+  const skeleton = new Skeleton({
+    nodes: ["head", "tail"],
+    edges: [["head", "tail"]],
+  });
+  const video = new Video({ filename: "mice.mp4", openBackend: false });
+  const tracks = [new Track("mouse_a"), new Track("mouse_ü")];
+  return new Labels({
+    labeledFrames: [
+      new LabeledFrame({
+        video,
+        frameIdx: 1,
+        instances: [
+          PredictedInstance.fromNumpy({
+            pointsData: [
+              [1, 2, 0.9],
+              [3, 4, 0.8],
+            ],
+            skeleton,
+            track: tracks[0],
+            score: 0.7,
+          }),
+          Instance.fromNumpy({
+            pointsData: [
+              [5, 6],
+              [Number.NaN, Number.NaN],
+            ],
+            skeleton,
+            track: tracks[1],
+          }),
+        ],
+      }),
+      new LabeledFrame({
+        video,
+        frameIdx: 3,
+        instances: [
+          PredictedInstance.fromNumpy({
+            pointsData: [
+              [7, 8, 0.6],
+              [9, 10, 0.5],
+            ],
+            skeleton,
+            track: tracks[0],
+            score: 0.4,
+          }),
+        ],
+      }),
+    ],
+    videos: [video],
+    skeletons: [skeleton],
+    tracks,
+  });
+}
+
+describe("npy", () => {
+  it("round-trips numeric and string arrays", () => {
+    const floats = encodeNpy({
+      dtype: "<f8",
+      shape: [2, 3],
+      data: [1, 2, Number.NaN, 4, 5, 6],
+    });
+    // Magic, version 1.0 and a header padded to a multiple of 64 bytes.
+    expect(Array.from(floats.subarray(0, 8))).toEqual([
+      0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0,
+    ]);
+    const headerLength = floats[8] | (floats[9] << 8);
+    expect((10 + headerLength) % 64).toBe(0);
+    expect(
+      new TextDecoder().decode(floats.subarray(10, 10 + headerLength)),
+    ).toMatch(
+      /^\{'descr': '<f8', 'fortran_order': False, 'shape': \(2, 3\), \}\s*\n$/,
+    );
+    const decoded = decodeNpy(floats);
+    expect(decoded.shape).toEqual([2, 3]);
+    expect(Array.from(decoded.data as Float64Array)).toEqual([
+      1,
+      2,
+      Number.NaN,
+      4,
+      5,
+      6,
+    ]);
+
+    const names = decodeNpy(
+      encodeNpy({ dtype: "<U5", shape: [2], data: ["head", "tailü"] }),
+    );
+    expect(names).toEqual({
+      dtype: "<U5",
+      shape: [2],
+      data: ["head", "tailü"],
+    });
+
+    const ints = decodeNpy(
+      encodeNpy({ dtype: "<i8", shape: [3], data: [-1, 0, 2 ** 40] }),
+    );
+    expect(Array.from(ints.data as Float64Array)).toEqual([-1, 0, 2 ** 40]);
+  });
+
+  it("reorders Fortran-ordered and big-endian arrays", () => {
+    const header = "{'descr': '>i2', 'fortran_order': True, 'shape': (2, 3), }";
+    const padded = `${header.padEnd(128 - 10 - 1, " ")}\n`;
+    const bytes = new Uint8Array(128 + 12);
+    bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0, padded.length, 0]);
+    bytes.set(new TextEncoder().encode(padded), 10);
+    const view = new DataView(bytes.buffer);
+    // Column-major storage of [[1, 2, 3], [4, 5, 6]].
+    [1, 4, 2, 5, 3, 6].forEach((v, i) => {
+      view.setInt16(128 + i * 2, v, false);
+    });
+    const decoded = decodeNpy(bytes);
+    expect(decoded.shape).toEqual([2, 3]);
+    expect(Array.from(decoded.data as Float64Array)).toEqual([
+      1, 2, 3, 4, 5, 6,
+    ]);
+    expect(() => decodeNpy(new Uint8Array(16))).toThrow(/bad magic/);
+  });
+});
+
+describe("npz", () => {
+  it("writes the analysis arrays as .npy members", () => {
+    for (const compress of [false, true]) {
+      const bytes = writeNpz(makeLabels(), { compress });
+      const entries = listZipEntries(bytes);
+      expect(entries.map((e) => e.name)).toEqual([
+        "tracks.npy",
+        "track_occupancy.npy",
+        "point_scores.npy",
+        "instance_scores.npy",
+        "node_names.npy",
+        "track_names.npy",
+      ]);
+      expect(entries[0].method).toBe(compress ? 8 : 0);
+    }
+
+    const arrays = readNpzArrays(writeNpz(makeLabels()));
+    expect(arrays.tracks.dtype).toBe("<f8");
+    expect(arrays.tracks.shape).toEqual([4, 2, 2, 2]);
+    expect(Array.from(arrays.tracks.data as Float64Array).slice(8, 16)).toEqual(
+      [1, 2, 3, 4, 5, 6, Number.NaN, Number.NaN],
+    );
+    expect(arrays.track_occupancy.dtype).toBe("|u1");
+    expect(Array.from(arrays.track_occupancy.data as Float64Array)).toEqual([
+      0, 0, 1, 1, 0, 0, 1, 0,
+    ]);
+    expect(arrays.point_scores.shape).toEqual([4, 2, 2]);
+    expect(arrays.instance_scores.shape).toEqual([4, 2]);
+    expect(arrays.node_names.data).toEqual(["head", "tail"]);
+    expect(arrays.track_names).toEqual({
+      dtype: "<U7",
+      shape: [2],
+      data: ["mouse_a", "mouse_ü"],
+    });
+  });
+
+  it("reads Labels back from the bytes", () => {
+    const original = makeLabels();
+    const labels = readNpz(writeNpz(original), { video: "mice.mp4" });
+
+    expect(labels.video.filename).toBe("mice.mp4");
+    expect(labels.skeletons[0].nodeNames).toEqual(["head", "tail"]);
+    expect(labels.tracks.map((t) => t.name)).toEqual(["mouse_a", "mouse_ü"]);
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([1, 3]);
+
+    const [predicted, user] = labels.labeledFrames[0].instances;
+    expect(predicted).toBeInstanceOf(PredictedInstance);
+    expect((predicted as PredictedInstance).score).toBe(0.7);
+    expect(predicted.track).toBe(labels.tracks[0]);
+    expect(predicted.numpy()).toEqual(
+      original.labeledFrames[0].instances[0].numpy(),
+    );
+    expect(user).not.toBeInstanceOf(PredictedInstance);
+    expect(user.track).toBe(labels.tracks[1]);
+    expect(user.nVisible).toBe(1);
+
+    const skeleton = original.skeletons[0];
+    const shared = readNpz(writeNpz(original), { skeleton });
+    expect(shared.skeletons[0]).toBe(skeleton);
+    expect(() =>
+      readNpz(writeNpz(original), {
+        skeleton: new Skeleton({ nodes: ["a"] }),
+      }),
+    ).toThrow(/1 nodes but the NPZ has 2/);
+    expect(() =>
+      readNpz(
+        writeZip([
+          {
+            name: "x.npy",
+            data: encodeNpy({ dtype: "|u1", shape: [1], data: [1] }),
+          },
+        ]),
+      ),
+    ).toThrow(/no 'tracks'/);
+  });
+
+  it("saves and loads .npz files through the format registry", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "npz-test-"));
+    try {
+      const filename = path.join(dir, "tracks.npz");
+      await saveFile(makeLabels(), filename);
+      expect(await detectFormat(filename)).toBe("npz");
+
+      const bytes = new Uint8Array(fs.readFileSync(filename));
+      const entry = listZipEntries(bytes)[4];
+      expect(decodeNpy(readZipEntry(bytes, entry)).data).toEqual([
+        "head",
+        "tail",
+      ]);
+
+      const labels = await loadNpz(filename);
+      expect(labels.provenance.filename).toBe(filename);
+      expect((await loadFile(filename)).instances).toHaveLength(3);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
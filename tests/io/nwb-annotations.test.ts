@@ -19,14 +19,22 @@
 import { describe, it, expect } from "../bun-test";
 import { fileURLToPath } from "node:url";
 import path from "node:path";
-import { readNwb, isNwbFile } from "../../src/io/main.js";
+import { readNwb, isNwbFile, saveNwbToBytes } from "../../src/io/main.js";
 import {
   trackNameForId,
   annotationPointRows,
   type readNwbAnnotations,
 } from "../../src/io/nwb-annotations.js";
 import { readNumberAttr } from "../../src/io/h5-read-utils.js";
-import { Instance, PredictedInstance } from "../../src/model/instance.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
 
 const nwbDir = path.join(
   fileURLToPath(new URL("../data", import.meta.url)),
@@ -168,3 +176,123 @@ describe("NWB annotations import — known-answer fixture", () => {
     expect(instForTrack(f5, "track_0")!.points[1].xy).toEqual([35, 45]);
   });
 });
+
+describe("NWB annotations export", () => {
+  /** Two videos; frame 3 of the first holds a tracked user instance with an
+   * invisible node, an untracked one and a prediction. */
+  function makeLabels(): Labels {
+    const skeleton = new Skeleton({
+      nodes: ["a", "b", "c"],
+      edges: [
+        ["a", "b"],
+        ["b", "c"],
+      ],
+    });
+    const videos = [
+      new Video({ filename: "/data/one.mp4" }),
+      new Video({ filename: "/data/two.mp4" }),
+    ];
+    videos[0].shape = [10, 48, 64, 1];
+    videos[0].fps = 15;
+    const tracks = [new Track("left"), new Track("right")];
+    const tracked = Instance.fromArray(
+      [
+        [1, 2],
+        [3, 4],
+        [Number.NaN, Number.NaN],
+      ],
+      skeleton,
+    );
+    tracked.track = tracks[1];
+    const untracked = Instance.fromArray(
+      [
+        [5, 6],
+        [7, 8],
+        [9, 10],
+      ],
+      skeleton,
+    );
+    const predicted = PredictedInstance.fromArray(
+      [
+        [0, 0, 1],
+        [0, 0, 1],
+        [0, 0, 1],
+      ],
+      skeleton,
+      1,
+    );
+    return new Labels({
+      labeledFrames: [
+        new LabeledFrame({
+          video: videos[0],
+          frameIdx: 3,
+          instances: [tracked, untracked, predicted],
+        }),
+        new LabeledFrame({
+          video: videos[1],
+          frameIdx: 7,
+          instances: [
+            Instance.fromArray(
+              [
+                [1, 1],
+                [2, 2],
+                [3, 3],
+              ],
+              skeleton,
+            ),
+          ],
+        }),
+        new LabeledFrame({
+          video: videos[1],
+          frameIdx: 8,
+          instances: [predicted],
+        }),
+      ],
+      skeletons: [skeleton],
+      videos,
+      tracks,
+    });
+  }
+
+  it("round-trips user instances, frames, videos and track ids", async () => {
+    const bytes = await saveNwbToBytes(makeLabels(), { mode: "annotations" });
+    expect(await isNwbFile(bytes)).toBe(true);
+    const labels = await readNwb(bytes);
+
+    expect(labels.skeletons[0].nodeNames).toEqual(["a", "b", "c"]);
+    expect(labels.skeletons[0].edgeIndices).toEqual([
+      [0, 1],
+      [1, 2],
+    ]);
+    expect(labels.videos.map((v) => v.filename)).toEqual([
+      "/data/one.mp4",
+      "/data/two.mp4",
+    ]);
+    expect(labels.videos[0].shape).toEqual([10, 48, 64, 1]);
+    expect(labels.videos[1].shape).toBeNull();
+
+    // Predictions are not written: frame 8 (prediction only) is gone.
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([3, 7]);
+    const f3 = frameAt(labels, 3)!;
+    expect(f3.instances.length).toBe(2);
+    expect(f3.instances.some((i) => i instanceof PredictedInstance)).toBe(
+      false,
+    );
+    // Track names are not stored: "right" (index 1) reads back as track_1.
+    const t1 = instForTrack(f3, "track_1")!;
+    expect(t1.points[1].xy).toEqual([3, 4]);
+    expect(t1.points[2].visible).toBe(false);
+    expect(f3.instances.find((i) => i.track == null)!.points[2].xy).toEqual([
+      9, 10,
+    ]);
+    expect(frameAt(labels, 7)!.video).toBe(labels.videos[1]);
+  });
+
+  it("throws when there are no user instances", async () => {
+    const labels = makeLabels();
+    labels.labeledFrames = [labels.labeledFrames[2]];
+    await expect(
+      saveNwbToBytes(labels, { mode: "annotations" }),
+    ).rejects.toThrow(/No user instances/);
+  });
+});
@@ -17,12 +17,28 @@ import { fileURLToPath } from "node:url";
 import path from "node:path";
 import os from "node:os";
 import fs from "node:fs";
-import { loadNwb, readNwb, isNwbFile } from "../../src/io/main.js";
+import {
+  loadNwb,
+  readNwb,
+  isNwbFile,
+  saveNwb,
+  saveNwbToBytes,
+} from "../../src/io/main.js";
 import {
   parseTrackName,
   seriesSampleTimes,
   resolveTrackFrameIndices,
+  nwbSeriesTiming,
 } from "../../src/io/nwb-predictions.js";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
 
 const fixtureRoot = fileURLToPath(new URL("../data", import.meta.url));
 const nwbDir = path.join(fixtureRoot, "nwb");
@@ -69,6 +85,10 @@ describe("NWB predictions import — pure helpers", () => {
     it("defaults starting_time to 0 when absent", () => {
       expect(seriesSampleTimes(null, undefined, 3)).toEqual([0, 1, 2]);
     });
+    it("scales starting_time (seconds) by the rate", () => {
+      expect(seriesSampleTimes(null, 0.5, 2, 30)).toEqual([15, 16]);
+      expect(seriesSampleTimes(null, 4, 2, 1)).toEqual([4, 5]);
+    });
     it("returns [] for an empty series", () => {
       expect(seriesSampleTimes([], undefined, 0)).toEqual([]);
       expect(seriesSampleTimes(null, 0, 0)).toEqual([]);
@@ -187,6 +207,40 @@ describe("NWB predictions import — known-answer fixture", () => {
     expect(xy[0][1]).toBeCloseTo(21);
   });
 
+  it("reads sleap-io's rate-1 starting_time as frame indices", async () => {
+    // sleap-io writes `starting_time` with `rate = 1`, so scaling it by the
+    // rate leaves the frame indices of Python-written files unchanged.
+    const { openH5File } = await import("../../src/codecs/slp/h5.js");
+    const { file, close } = await openH5File(minimalNwb);
+    try {
+      const root = file as unknown as {
+        get(p: string): {
+          value: unknown;
+          attrs: Record<string, { value: unknown }>;
+        } | null;
+      };
+      for (const node of ["A", "B"]) {
+        const st = root.get(
+          `processing/SLEAP_VIDEO_000_minimal/track=1/${node}/starting_time`,
+        )!;
+        const rate = Number(st.attrs.rate.value);
+        expect(rate).toBe(1);
+        expect(st.attrs.unit.value).toBe("seconds");
+        expect(seriesSampleTimes(null, Number(st.value), 3, rate)).toEqual(
+          seriesSampleTimes(null, Number(st.value), 3),
+        );
+      }
+    } finally {
+      close();
+    }
+    const labels = await loadNwb(minimalNwb);
+    const track1 = labels.labeledFrames
+      .filter((lf) => instanceForTrack(lf, "1"))
+      .map((lf) => lf.frameIdx)
+      .sort((a, b) => a - b);
+    expect(track1).toEqual([0, 1, 2]);
+  });
+
   it("produces PredictedInstances", async () => {
     const labels = await loadNwb(minimalNwb);
     const f0 = frameAt(labels, 0)!;
@@ -201,3 +255,296 @@ describe("NWB predictions import — known-answer fixture", () => {
     }
   });
 });
+
+describe("NWB predictions export", () => {
+  describe("nwbSeriesTiming", () => {
+    it("falls back to the fps, then to frame-index timing", () => {
+      expect(nwbSeriesTiming(30, null)).toEqual({ rate: 30, startingTime: 0 });
+      expect(nwbSeriesTiming(null, null)).toEqual({ rate: 1, startingTime: 0 });
+    });
+    it("collapses uniform frame times to a rate", () => {
+      expect(nwbSeriesTiming(25, [0, 0.04, 0.08])).toEqual({
+        rate: 25,
+        startingTime: 0,
+      });
+      const inferred = nwbSeriesTiming(null, [0, 0.04, 0.08]);
+      expect((inferred as { rate: number }).rate).toBeCloseTo(25, 9);
+    });
+    it("starts the rate at the first frame's time", () => {
+      expect(nwbSeriesTiming(25, [2, 2.04, 2.08])).toEqual({
+        rate: 25,
+        startingTime: 2,
+      });
+    });
+    it("keeps non-uniform frame times as timestamps", () => {
+      expect(nwbSeriesTiming(30, [0, 0.1, 0.3])).toEqual({
+        timestamps: [0, 0.1, 0.3],
+      });
+    });
+  });
+
+  /** Two tracks plus an untracked user instance over sparse frames 0, 2, 5. */
+  function makeLabels(): Labels {
+    const skeleton = new Skeleton({
+      nodes: ["head", "tail"],
+      edges: [["head", "tail"]],
+      name: "mouse",
+    });
+    const video = new Video({ filename: "/data/session.mp4" });
+    video.fps = 30;
+    const tracks = [new Track("female"), new Track("male")];
+    const frames = [0, 2, 5].map((frameIdx) => {
+      const a = PredictedInstance.fromArray(
+        [
+          [frameIdx, 1, 0.9],
+          [frameIdx + 10, 2, 0.8],
+        ],
+        skeleton,
+        0.95,
+      );
+      a.track = tracks[0];
+      const instances: Instance[] = [a];
+      if (frameIdx !== 2) {
+        const b = PredictedInstance.fromArray(
+          [
+            [100, 100, 0.5],
+            [Number.NaN, Number.NaN, 0],
+          ],
+          skeleton,
+          0.5,
+        );
+        b.track = tracks[1];
+        instances.push(b);
+      }
+      if (frameIdx === 5) {
+        instances.push(
+          Instance.fromArray(
+            [
+              [7, 8],
+              [9, 10],
+            ],
+            skeleton,
+          ),
+        );
+      }
+      return new LabeledFrame({ video, frameIdx, instances });
+    });
+    return new Labels({ labeledFrames: frames, skeletons: [skeleton], tracks });
+  }
+
+  it("round-trips tracks, frame indices, points and scores", async () => {
+    const bytes = await saveNwbToBytes(makeLabels());
+    expect(await isNwbFile(bytes)).toBe(true);
+    const labels = await readNwb(bytes);
+
+    expect(labels.skeletons[0].nodeNames).toEqual(["head", "tail"]);
+    expect(labels.skeletons[0].edgeIndices).toEqual([[0, 1]]);
+    expect(labels.videos[0].filename).toBe("/data/session.mp4");
+    expect(labels.tracks.map((t) => t.name).sort()).toEqual(["female", "male"]);
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 2, 5]);
+
+    const f5 = frameAt(labels, 5)!;
+    expect(f5.instances.length).toBe(3);
+    const female = instanceForTrack(f5, "female") as PredictedInstance;
+    expect(female.numpy({ scores: true })).toEqual([
+      [5, 1, 0.9],
+      [15, 2, 0.8],
+    ]);
+    const male = instanceForTrack(f5, "male") as PredictedInstance;
+    expect(Number.isNaN(male.numpy()[1][0])).toBe(true);
+    // The user instance comes back untracked with confidence 1.
+    const user = f5.instances.find((i) => i.track == null) as PredictedInstance;
+    expect(user.numpy({ scores: true })).toEqual([
+      [7, 8, 1],
+      [9, 10, 1],
+    ]);
+    // Track "male" skips frame 2: the NaN gap row yields no instance.
+    expect(frameAt(labels, 2)!.instances.length).toBe(1);
+  });
+
+  it("writes PoseEstimation groups under per-video processing modules", async () => {
+    const { openH5File } = await import("../../src/codecs/slp/h5.js");
+    const bytes = await saveNwbToBytes(makeLabels());
+    const { file, close } = await openH5File(bytes);
+    try {
+      const root = file as unknown as {
+        get(p: string): { keys(): string[] } | null;
+        attrs: Record<string, { value: unknown }>;
+      };
+      expect(root.attrs.neurodata_type.value).toBe("NWBFile");
+      expect(root.get("processing")!.keys().sort()).toEqual([
+        "SLEAP_VIDEO_000_session",
+        "behavior",
+      ]);
+      expect(
+        root.get("processing/SLEAP_VIDEO_000_session")!.keys().sort(),
+      ).toEqual(["track=female", "track=male", "track=untracked"]);
+      expect(
+        root
+          .get("processing/SLEAP_VIDEO_000_session/track=female")!
+          .keys()
+          .sort(),
+      ).toEqual([
+        "camera_0",
+        "description",
+        "head",
+        "labeled_videos",
+        "mouse",
+        "original_videos",
+        "scorer",
+        "source_software",
+        "tail",
+      ]);
+    } finally {
+      close();
+    }
+  });
+
+  it("matches the layout of the sleap-io fixture", async () => {
+    // Compare against tests/data/nwb/minimal.pose.nwb, written by sleap-io.
+    const { openH5File } = await import("../../src/codecs/slp/h5.js");
+    type Entity = {
+      keys?(): string[];
+      attrs: Record<string, { value: unknown }>;
+    };
+    const describeFile = async (
+      source: string | Uint8Array,
+      posePath: string,
+      node: string,
+    ) => {
+      const { file, close } = await openH5File(source);
+      try {
+        const root = file as unknown as { get(p: string): Entity | null };
+        const device = root.get("general/devices/camera_0")!;
+        const linked = root.get(`${posePath}/camera_0`)!;
+        const series = root.get(`${posePath}/${node}`)!;
+        const start = root.get(`${posePath}/${node}/starting_time`)!;
+        const scorer = root.get(`${posePath}/scorer`) as { value: unknown };
+        return {
+          scorer: scorer.value,
+          deviceType: device.attrs.neurodata_type.value,
+          description: device.attrs.description.value,
+          manufacturer: device.attrs.manufacturer.value,
+          linked: linked.attrs.object_id.value === device.attrs.object_id.value,
+          seriesKeys: series.keys!().sort(),
+          startUnit: start.attrs.unit.value,
+        };
+      } finally {
+        close();
+      }
+    };
+    const labels = makeLabels();
+    labels.videos[0].filename = "/data/minimal.mp4";
+    const written = await describeFile(
+      await saveNwbToBytes(labels),
+      "processing/SLEAP_VIDEO_000_minimal/track=female",
+      "head",
+    );
+    const reference = await describeFile(
+      minimalNwb,
+      "processing/SLEAP_VIDEO_000_minimal/track=1",
+      "A",
+    );
+    expect(written).toEqual(reference);
+    expect(written.description).toBe("Camera for minimal.mp4");
+    expect(written.linked).toBe(true);
+  });
+
+  it("caches the schema under /specifications like the fixture", async () => {
+    const { openH5File } = await import("../../src/codecs/slp/h5.js");
+    type Entity = {
+      keys(): string[];
+      value: unknown;
+      path: string;
+      attrs: Record<string, { value: unknown }>;
+    };
+    type Root = {
+      get(p: string): Entity | null;
+      dereference(ref: unknown): Entity;
+      attrs: Record<string, { value: unknown }>;
+    };
+    /** `namespace/version/source` -> cached JSON text, and `.specloc`'s target. */
+    const cachedSpecs = async (source: string | Uint8Array) => {
+      const { file, close } = await openH5File(source);
+      try {
+        const root = file as unknown as Root;
+        const specs: Record<string, unknown> = {};
+        const specifications = root.get("specifications")!;
+        for (const name of specifications.keys()) {
+          if (name === "ndx-multisubjects") continue;
+          for (const version of root.get(`specifications/${name}`)!.keys()) {
+            const group = root.get(`specifications/${name}/${version}`)!;
+            for (const key of group.keys()) {
+              specs[`${name}/${version}/${key}`] = root.get(
+                `specifications/${name}/${version}/${key}`,
+              )!.value;
+            }
+          }
+        }
+        // h5wasm reads the scalar reference as a one-element array.
+        const [specloc] = root.attrs[".specloc"].value as unknown[];
+        return { specs, specloc: root.dereference(specloc).path };
+      } finally {
+        close();
+      }
+    };
+    const reference = await cachedSpecs(minimalNwb);
+    expect(reference.specloc).toBe("/specifications");
+    expect(Object.keys(reference.specs)).toContain(
+      "ndx-pose/0.2.0/ndx-pose.extensions",
+    );
+    for (const mode of ["predictions", "annotations"] as const) {
+      const written = await cachedSpecs(
+        await saveNwbToBytes(makeLabels(), { mode }),
+      );
+      expect(written).toEqual(reference);
+    }
+  });
+
+  it("keeps the first frame's time offset in starting_time", async () => {
+    const { openH5File } = await import("../../src/codecs/slp/h5.js");
+    const labels = makeLabels();
+    const video = labels.videos[0];
+    video.getFrameTimes = async () =>
+      Array.from({ length: 10 }, (_, i) => 2 + i / 30);
+    const bytes = await saveNwbToBytes(labels);
+    const { file, close } = await openH5File(bytes);
+    try {
+      const root = file as unknown as {
+        get(p: string): {
+          value: unknown;
+          attrs: Record<string, { value: unknown }>;
+        } | null;
+      };
+      // Track "male" starts at frame 0, the user instance at frame 5.
+      const base = "processing/SLEAP_VIDEO_000_session";
+      const male = root.get(`${base}/track=male/head/starting_time`)!;
+      expect(Number(male.value)).toBeCloseTo(2, 9);
+      expect(Number(male.attrs.rate.value)).toBeCloseTo(30, 9);
+      const user = root.get(`${base}/track=untracked/head/starting_time`)!;
+      expect(Number(user.value)).toBeCloseTo(2 + 5 / 30, 9);
+    } finally {
+      close();
+    }
+  });
+
+  it("saves to disk with saveNwb", async () => {
+    const out = path.join(os.tmpdir(), `nwb-export-${Date.now()}.nwb`);
+    try {
+      await saveNwb(makeLabels(), out);
+      const labels = await loadNwb(out);
+      expect(labels.labeledFrames.length).toBe(3);
+    } finally {
+      fs.rmSync(out, { force: true });
+    }
+  });
+
+  it("rejects an unknown mode and labels without instances", async () => {
+    await expect(
+      saveNwbToBytes(makeLabels(), {
+        mode: "bogus" as unknown as "predictions",
+      }),
+    ).rejects.toThrow(/Unknown NWB mode/);
+    await expect(saveNwbToBytes(new Labels())).rejects.toThrow(/No instances/);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect } from "../bun-test";
+import { linearSumAssignment } from "../../src/model/assignment.js";
+
+describe("linearSumAssignment", () => {
+  it("finds the optimal assignment, including rectangular inputs", () => {
+    expect(
+      linearSumAssignment([
+        [4, 1, 3],
+        [2, 0, 5],
+        [3, 2, 2],
+      ]),
+    ).toEqual([
+      [0, 1],
+      [1, 0],
+      [2, 2],
+    ]);
+    expect(linearSumAssignment([[5], [1], [3]])).toEqual([[1, 0]]);
+    expect(linearSumAssignment([[3, 1, 2]])).toEqual([[0, 1]]);
+    expect(linearSumAssignment([])).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect } from "../bun-test";
+import { Camera, CameraGroup, InstanceGroup } from "../../src/model/camera.js";
+import { PredictedInstance3D } from "../../src/model/instance3d.js";
+import { Instance } from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+
+const K = [
+  [800, 0, 320],
+  [0, 800, 240],
+  [0, 0, 1],
+];
+
+// Three cameras on a ring ~5 units from the origin, looking at it.
+function makeGroup(distortions?: number[]): CameraGroup {
+  const cameras = [0, 1, 2].map((i) => {
+    const angle = ((i - 1) * Math.PI) / 6;
+    return new Camera({
+      name: `cam${i}`,
+      rvec: [0, angle, 0],
+      tvec: [0, 0, 5],
+      matrix: K,
+      distortions,
+    });
+  });
+  return new CameraGroup({ cameras });
+}
+
+const points3d = [
+  [0, 0, 0],
+  [0.5, -0.3, 0.2],
+  [-0.4, 0.6, -0.1],
+];
+
+function expectClose(actual: number[][], expected: number[][], digits = 6) {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((row, i) => {
+    row.forEach((v, j) => {
+      expect(v).toBeCloseTo(expected[i][j], digits);
+    });
+  });
+}
+
+describe("Camera projection", () => {
+  it("worldToCamera and cameraToWorld are inverses", () => {
+    const camera = makeGroup().cameras[2];
+    const cam = camera.worldToCamera(points3d);
+    expectClose(camera.cameraToWorld(cam), points3d);
+    expect(camera.extrinsicMatrix[3]).toEqual([0, 0, 0, 1]);
+  });
+
+  it("projects through the pinhole model", () => {
+    const camera = new Camera({ rvec: [0, 0, 0], tvec: [0, 0, 2], matrix: K });
+    expectClose(camera.project([[0.2, -0.1, 0]]), [[400, 200]]);
+    const [nan] = camera.project([[Number.NaN, 0, 0]]);
+    expect(Number.isNaN(nan[0])).toBe(true);
+  });
+
+  it("undistortPoints inverts distorted projection", () => {
+    const camera = makeGroup([-0.2, 0.05, 0.001, -0.002, 0.01]).cameras[0];
+    const pixels = camera.project(points3d);
+    const ideal = camera
+      .worldToCamera(points3d)
+      .map(([x, y, z]) => [x / z, y / z]);
+    expectClose(camera.undistortPoints(pixels), ideal, 5);
+    const undistortedPx = camera.undistortPoints(pixels, { toPixels: true });
+    expectClose(
+      undistortedPx,
+      ideal.map(([x, y]) => [800 * x + 320, 800 * y + 240]),
+      2,
+    );
+  });
+
+  it("throws without intrinsics", () => {
+    const camera = new Camera({ name: "c", rvec: [0, 0, 0], tvec: [0, 0, 1] });
+    expect(() => camera.project([[0, 0, 0]])).toThrow(/intrinsic/);
+  });
+});
+
+describe("CameraGroup triangulation", () => {
+  it("recovers 3D points from distorted views", () => {
+    const group = makeGroup([-0.1, 0.02, 0, 0, 0]);
+    const views = group.project(points3d);
+    expect(views).toHaveLength(3);
+    expectClose(group.triangulate(views), points3d, 4);
+    for (const row of group.reprojectionErrors(points3d, views)) {
+      for (const err of row) expect(err).toBeLessThan(1e-6);
+    }
+  });
+
+  it("handles missing views", () => {
+    const group = makeGroup();
+    const views = group.project(points3d);
+    views[0][1] = [Number.NaN, Number.NaN];
+    views[1][2] = [Number.NaN, Number.NaN];
+    views[2][2] = [Number.NaN, Number.NaN];
+    const xyz = group.triangulate(views);
+    expectClose(xyz.slice(0, 2), points3d.slice(0, 2), 4);
+    expect(xyz[2].every(Number.isNaN)).toBe(true);
+    expect(Number.isNaN(group.reprojectionErrors(xyz, views)[0][1])).toBe(true);
+  });
+
+  it("ransac rejects an outlier view", () => {
+    const cameras = [-2, -1, 0, 1].map(
+      (i) =>
+        new Camera({
+          name: `cam${i}`,
+          rvec: [0, (i * Math.PI) / 8, 0],
+          tvec: [0, 0, 5],
+          matrix: K,
+        }),
+    );
+    const group = new CameraGroup({ cameras });
+    const views = group.project(points3d);
+    views[3][1] = [views[3][1][0] + 60, views[3][1][1] - 40];
+
+    const plain = group.triangulate(views);
+    const robust = group.triangulate(views, { ransac: { threshold: 2 } });
+    expect(Math.abs(plain[1][0] - points3d[1][0])).toBeGreaterThan(1e-3);
+    expectClose(robust, points3d, 4);
+  });
+
+  it("checks the number of views", () => {
+    expect(() => makeGroup().triangulate([[[0, 0]]])).toThrow(/3 cameras/);
+  });
+});
+
+describe("InstanceGroup.triangulate", () => {
+  it("builds a PredictedInstance3D from 2D instances", () => {
+    const skeleton = new Skeleton(["a", "b", "c"]);
+    const group = makeGroup();
+    const views = group.project(points3d);
+    const instanceByCamera = new Map<Camera, Instance>();
+    // Leave cam2 out: two views are enough.
+    for (const c of [0, 1]) {
+      instanceByCamera.set(
+        group.cameras[c],
+        Instance.fromArray(views[c], skeleton),
+      );
+    }
+    const instanceGroup = new InstanceGroup({ instanceByCamera });
+    const inst3d = instanceGroup.triangulate(group);
+
+    expect(inst3d).toBeInstanceOf(PredictedInstance3D);
+    expect(instanceGroup.instance3d).toBe(inst3d);
+    expect(inst3d.skeleton).toBe(skeleton);
+    expectClose(inst3d.points as number[][], points3d, 4);
+    const errors = inst3d.metadata.reprojectionErrors as Record<
+      string,
+      number[]
+    >;
+    expect(Object.keys(errors)).toEqual(["cam0", "cam1", "cam2"]);
+    expect(errors.cam0[0]).toBeLessThan(1e-6);
+    expect(Number.isNaN(errors.cam2[0])).toBe(true);
+  });
+
+  it("throws for an empty group", () => {
+    const group = new InstanceGroup({ instanceByCamera: new Map() });
+    expect(() => group.triangulate(makeGroup())).toThrow(/empty/);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect } from "../bun-test";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Instance, PredictedInstance } from "../../src/model/instance.js";
+import { InstanceMatcher, VideoMatcher } from "../../src/model/matching.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import { evaluatePredictions } from "../../src/model/evaluation.js";
+
+const skeleton = new Skeleton(["a", "b", "c"]);
+
+/** An L-shaped pose with a 10 x 10 bounding box at (x, y). */
+function pose(x: number, y: number): number[][] {
+  return [
+    [x, y],
+    [x + 10, y],
+    [x + 10, y + 10],
+  ];
+}
+
+function shift(points: number[][], dx: number, dy: number): number[][] {
+  return points.map(([x, y]) => [x + dx, y + dy]);
+}
+
+/**
+ * Ground truth: frame 0 holds two animals, frame 1 one animal. Predictions:
+ * frame 0 holds both animals (off by 1 px and 3 px) plus a stray detection,
+ * frame 1 is missing and frame 2 has no ground truth.
+ */
+function makePair(predSkeleton: Skeleton = skeleton) {
+  const gtVideo = new Video({ filename: "gt/session.mp4" });
+  const predVideo = new Video({ filename: "pred/session.mp4" });
+  const order = predSkeleton.nodeNames.map((n) => skeleton.index(n));
+  const predicted = (points: number[][], score: number) =>
+    PredictedInstance.fromArray(
+      order.map((k) => [...points[k], 1]),
+      predSkeleton,
+      score,
+    );
+
+  const gt = new Labels({
+    labeledFrames: [
+      new LabeledFrame({
+        video: gtVideo,
+        frameIdx: 0,
+        instances: [
+          Instance.fromArray(pose(0, 0), skeleton),
+          Instance.fromArray(pose(100, 100), skeleton),
+        ],
+      }),
+      new LabeledFrame({
+        video: gtVideo,
+        frameIdx: 1,
+        instances: [Instance.fromArray(pose(0, 0), skeleton)],
+      }),
+    ],
+    skeletons: [skeleton],
+  });
+  const pred = new Labels({
+    labeledFrames: [
+      new LabeledFrame({
+        video: predVideo,
+        frameIdx: 0,
+        instances: [
+          predicted(shift(pose(100, 100), 0, 3), 0.8),
+          predicted(shift(pose(0, 0), 1, 0), 0.9),
+          predicted(pose(500, 500), 0.1),
+        ],
+      }),
+      new LabeledFrame({
+        video: predVideo,
+        frameIdx: 2,
+        instances: [predicted(pose(0, 0), 0.5)],
+      }),
+    ],
+    skeletons: [predSkeleton],
+  });
+  return { gt, pred };
+}
+
+describe("evaluatePredictions", () => {
+  it("pairs instances and reports false positives and negatives", async () => {
+    const { gt, pred } = makePair();
+    const result = await evaluatePredictions(gt, pred);
+    expect(result.nFrames).toBe(2);
+    expect(result.nGroundTruth).toBe(3);
+    expect(result.nPredictions).toBe(3);
+    expect(result.matches.length).toBe(2);
+    expect(result.matches[0].groundTruth).toBe(
+      gt.labeledFrames[0].instances[0],
+    );
+    expect(result.matches[0].prediction).toBe(
+      pred.labeledFrames[0].instances[1],
+    );
+    expect(result.matches[0].video).toBe(gt.videos[0]);
+    expect(Array.from(result.matches[1].distances)).toEqual([3, 3, 3]);
+    expect(result.falsePositives.map((u) => u.instance)).toEqual([
+      pred.labeledFrames[0].instances[2],
+    ]);
+    expect(result.falseNegatives.map((u) => u.frameIdx)).toEqual([1]);
+    expect(result.precision).toBeCloseTo(2 / 3, 12);
+    expect(result.recall).toBeCloseTo(2 / 3, 12);
+  });
+
+  it("computes OKS with per-node sigmas", async () => {
+    const { gt, pred } = makePair();
+    // (2 * 0.1)² * 2 * area(100) = 8.
+    const result = await evaluatePredictions(gt, pred, { sigmas: 0.1 });
+    expect(result.matches[0].oks).toBeCloseTo(Math.exp(-1 / 8), 12);
+    expect(result.matches[1].oks).toBeCloseTo(Math.exp(-9 / 8), 12);
+    expect(result.meanOks).toBeCloseTo(
+      (Math.exp(-1 / 8) + Math.exp(-9 / 8)) / 2,
+      12,
+    );
+
+    const byName = await evaluatePredictions(gt, pred, {
+      sigmas: { a: 0.1, b: 0.1, c: 0.1 },
+    });
+    expect(byName.matches[0].oks).toBeCloseTo(Math.exp(-1 / 8), 12);
+    await expect(
+      evaluatePredictions(gt, pred, { sigmas: [0.1, 0.1] }),
+    ).rejects.toThrow(/Expected 3 sigmas/);
+  });
+
+  it("computes per-node errors and PCK", async () => {
+    const { gt, pred } = makePair();
+    const result = await evaluatePredictions(gt, pred, {
+      pckThresholds: [2, 5],
+    });
+    expect(result.nodes).toEqual(["a", "b", "c"]);
+    const a = result.nodeErrors[0];
+    expect(a.distances).toEqual([1, 3]);
+    expect(a.mean).toBe(2);
+    expect(a.median).toBe(2);
+    expect(a.p90).toBeCloseTo(2.8, 12);
+    expect(result.pck.thresholds).toEqual([2, 5]);
+    expect(result.pck.overall).toEqual([0.5, 1]);
+    expect(result.pck.perNode[2]).toEqual([0.5, 1]);
+  });
+
+  it("computes COCO-style mAP and mAR", async () => {
+    const { gt, pred } = makePair();
+    const result = await evaluatePredictions(gt, pred, {
+      sigmas: 0.1,
+      oksThresholds: [0.3, 0.5],
+    });
+    // 0.3: both pairs hit (recall 2/3); 0.5: only the 1 px pair (recall 1/3).
+    // The hits are the two best-scored detections, so precision stays 1.
+    expect(result.ap[0]).toBeCloseTo(67 / 101, 12);
+    expect(result.ap[1]).toBeCloseTo(34 / 101, 12);
+    expect(result.ar).toEqual([2 / 3, 1 / 3]);
+    expect(result.mAP).toBeCloseTo(101 / 202, 12);
+    expect(result.mAR).toBeCloseTo(0.5, 12);
+  });
+
+  it("aligns nodes by name across skeletons", async () => {
+    const { gt, pred } = makePair(new Skeleton(["c", "a", "b"]));
+    const result = await evaluatePredictions(gt, pred, { sigmas: 0.1 });
+    expect(result.matches.length).toBe(2);
+    expect(Array.from(result.matches[0].distances)).toEqual([1, 1, 1]);
+    expect(result.matches[0].oks).toBeCloseTo(Math.exp(-1 / 8), 12);
+  });
+
+  it("honors the instance and video matchers", async () => {
+    const { gt, pred } = makePair();
+    // IoU of the 3 px pair is 70/130: below the gate, so it splits into an
+    // FP and an FN.
+    const iou = await evaluatePredictions(gt, pred, {
+      instanceMatcher: new InstanceMatcher("iou", { threshold: 0.6 }),
+    });
+    expect(iou.matches.length).toBe(1);
+    expect(iou.falsePositives.length).toBe(2);
+    expect(iou.falseNegatives.length).toBe(2);
+
+    const unpaired = await evaluatePredictions(gt, pred, {
+      video: new VideoMatcher("path", { strict: true }),
+    });
+    expect(unpaired.nFrames).toBe(0);
+    expect(unpaired.matches).toEqual([]);
+    expect(Number.isNaN(unpaired.mAP)).toBe(true);
+  });
+});
@@ -0,0 +1,241 @@
+import { describe, it, expect } from "../bun-test";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import { readSlp } from "../../src/codecs/slp/read.js";
+import { saveSlpToBytes } from "../../src/codecs/slp/write.js";
+
+const skeleton = new Skeleton(["head", "tail"]);
+
+/** Labels with one tracked predicted instance per `frameIdx -> points`. */
+function makeLabels(
+  rows: Record<number, number[][]>,
+  track = new Track("t0"),
+  video = new Video({ filename: "v.mp4" }),
+): Labels {
+  const frames = Object.entries(rows).map(
+    ([f, pts]) =>
+      new LabeledFrame({
+        video,
+        frameIdx: Number(f),
+        instances: [
+          PredictedInstance.fromArray(
+            pts.map((p) => [...p, 0.5]),
+            skeleton,
+            0.8,
+          ),
+        ],
+      }),
+  );
+  for (const lf of frames) lf.instances[0].track = track;
+  return new Labels({
+    labeledFrames: frames,
+    skeletons: [skeleton],
+    tracks: [track],
+  });
+}
+
+function pointsAt(labels: Labels, frameIdx: number): number[][] | undefined {
+  return labels
+    .find({ video: labels.videos[0], frameIdx })[0]
+    ?.instances[0]?.numpy();
+}
+
+describe("Labels.interpolateTracks", () => {
+  it("fills missing frames with flagged PredictedInstances", () => {
+    const labels = makeLabels({
+      0: [
+        [0, 0],
+        [10, 0],
+      ],
+      3: [
+        [3, 6],
+        [13, 6],
+      ],
+    });
+    const result = labels.interpolateTracks();
+    expect(result).toEqual({ instancesAdded: 2, pointsFilled: 0 });
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 3, 1, 2]);
+    expect(pointsAt(labels, 1)).toEqual([
+      [1, 2],
+      [11, 2],
+    ]);
+    const inst = labels.find({ video: labels.videos[0], frameIdx: 2 })[0]
+      .instances[0] as PredictedInstance;
+    expect(inst.metadata).toEqual({ interpolated: true });
+    expect(inst.track).toBe(labels.tracks[0]);
+    expect(inst.score).toBeCloseTo(0.8, 6);
+    expect(inst.points[0].visible).toBe(true);
+  });
+
+  it("fills NaN points inside existing instances", () => {
+    const labels = makeLabels({
+      0: [
+        [0, 0],
+        [0, 0],
+      ],
+      1: [
+        [1, 1],
+        [Number.NaN, Number.NaN],
+      ],
+      2: [
+        [2, 2],
+        [4, 4],
+      ],
+    });
+    expect(labels.interpolateTracks()).toEqual({
+      instancesAdded: 0,
+      pointsFilled: 1,
+    });
+    const inst = labels.labeledFrames[1].instances[0];
+    expect(inst.numpy()).toEqual([
+      [1, 1],
+      [2, 2],
+    ]);
+    expect(inst.metadata).toEqual({ interpolatedNodes: ["tail"] });
+  });
+
+  it("respects maxGap and the node selection", () => {
+    const rows = {
+      0: [
+        [0, 0],
+        [0, 0],
+      ],
+      1: [
+        [Number.NaN, Number.NaN],
+        [Number.NaN, Number.NaN],
+      ],
+      4: [
+        [4, 4],
+        [4, 4],
+      ],
+    };
+    const capped = makeLabels(rows);
+    expect(capped.interpolateTracks({ maxGap: 2 })).toEqual({
+      instancesAdded: 0,
+      pointsFilled: 0,
+    });
+    // The node gap 0..4 (3 frames) exceeds maxGap, so nothing is filled and
+    // the empty new instances are discarded.
+    expect(capped.labeledFrames).toHaveLength(3);
+    expect(Number.isNaN(pointsAt(capped, 1)![0][0])).toBe(true);
+
+    const headOnly = makeLabels(rows);
+    headOnly.interpolateTracks({ nodes: ["head"] });
+    expect(pointsAt(headOnly, 2)![0]).toEqual([2, 2]);
+    expect(Number.isNaN(pointsAt(headOnly, 2)![1][0])).toBe(true);
+  });
+
+  it("cubic interpolation reproduces a smooth trajectory", () => {
+    // x = t², y = 0 sampled at 0, 2, 3, 5, 6 — fill 1 and 4.
+    const rows: Record<number, number[][]> = {};
+    for (const t of [0, 2, 3, 5, 6]) {
+      rows[t] = [
+        [t * t, 0],
+        [t, 0],
+      ];
+    }
+    const linear = makeLabels(rows);
+    linear.interpolateTracks();
+    expect(pointsAt(linear, 4)![0][0]).toBe(17);
+
+    const cubic = makeLabels(rows);
+    cubic.interpolateTracks({ method: "cubic" });
+    expect(Math.abs(pointsAt(cubic, 4)![0][0] - 16)).toBeLessThan(0.5);
+    expect(pointsAt(cubic, 4)![1][0]).toBeCloseTo(4, 6);
+    expect(() =>
+      cubic.interpolateTracks({ method: "spline" as never }),
+    ).toThrow(/Unknown interpolation method/);
+  });
+
+  it("never bridges tracks across videos and ignores untracked instances", () => {
+    const track = new Track("t0");
+    const a = makeLabels(
+      {
+        0: [
+          [0, 0],
+          [0, 0],
+        ],
+      },
+      track,
+    );
+    const b = makeLabels(
+      {
+        2: [
+          [2, 2],
+          [2, 2],
+        ],
+      },
+      track,
+      new Video({ filename: "w.mp4" }),
+    );
+    a.labeledFrames.push(...b.labeledFrames);
+    a.videos.push(b.videos[0]);
+    a.labeledFrames[0].instances.push(
+      Instance.fromArray(
+        [
+          [9, 9],
+          [9, 9],
+        ],
+        skeleton,
+      ),
+    );
+    expect(a.interpolateTracks()).toEqual({
+      instancesAdded: 0,
+      pointsFilled: 0,
+    });
+    expect(a.labeledFrames).toHaveLength(2);
+  });
+
+  it("keeps interpolation metadata through copy()", () => {
+    const labels = makeLabels({
+      0: [
+        [0, 0],
+        [0, 0],
+      ],
+      2: [
+        [2, 2],
+        [2, 2],
+      ],
+    });
+    labels.interpolateTracks();
+    const copied = labels.copy();
+    expect(copied.labeledFrames[2].instances[0].metadata).toEqual({
+      interpolated: true,
+    });
+  });
+
+  it("does not persist the interpolation flags through SLP", async () => {
+    const labels = makeLabels({
+      0: [
+        [0, 0],
+        [10, 0],
+      ],
+      2: [
+        [2, 2],
+        [12, 2],
+      ],
+    });
+    labels.interpolateTracks();
+    const reloaded = await readSlp(
+      new Uint8Array(await saveSlpToBytes(labels)).buffer,
+    );
+    const inst = reloaded.find({
+      video: reloaded.videos[0],
+      frameIdx: 1,
+    })[0].instances[0] as PredictedInstance;
+    expect(inst.metadata).toBeUndefined();
+    expect(inst.numpy()).toEqual([
+      [1, 1],
+      [11, 1],
+    ]);
+    // The NaN point scores still tell interpolated instances apart.
+    expect(inst.points.every((p) => Number.isNaN(p.score))).toBe(true);
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect } from "../bun-test";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { PredictedInstance, Track } from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import {
+  headings,
+  interAnimalDistances,
+  jointAngles,
+  nodeAccelerations,
+  nodeDistances,
+  nodeSpeeds,
+  nodeVelocities,
+  trackTrajectories,
+} from "../../src/model/kinematics.js";
+
+const skeleton = new Skeleton({
+  nodes: ["tail", "body", "head"],
+  edges: [
+    ["tail", "body"],
+    ["body", "head"],
+  ],
+});
+
+/**
+ * Two animals over 4 frames. Track 0 moves with x = f² (tail at x, body at
+ * x + 1, head at x + 1 shifted up by 1: a right angle at the body). Track 1
+ * sits still 10 px below, straight along x.
+ */
+function makeLabels(): Labels {
+  const video = new Video({ filename: "v.mp4" });
+  const tracks = [new Track("a"), new Track("b")];
+  const frames = [0, 1, 2, 3].map((f) => {
+    const x = f * f;
+    const a = PredictedInstance.fromArray(
+      [
+        [x, 0, 1],
+        [x + 1, 0, 1],
+        [x + 1, 1, 1],
+      ],
+      skeleton,
+      1,
+    );
+    const b = PredictedInstance.fromArray(
+      [
+        [0, 10, 1],
+        [1, 10, 1],
+        [2, 10, 1],
+      ],
+      skeleton,
+      1,
+    );
+    a.track = tracks[0];
+    b.track = tracks[1];
+    return new LabeledFrame({ video, frameIdx: f, instances: [a, b] });
+  });
+  return new Labels({ labeledFrames: frames, skeletons: [skeleton], tracks });
+}
+
+describe("kinematics", () => {
+  it("returns per-video, per-track trajectories", () => {
+    const labels = makeLabels();
+    const traj = trackTrajectories(labels).get(labels.videos[0])!;
+    expect([...traj.keys()]).toEqual(labels.tracks);
+    const a = traj.get(labels.tracks[0])!;
+    expect(a).toBeInstanceOf(Float64Array);
+    expect(a.length).toBe(4 * 3 * 2);
+    expect(Array.from(a.slice(3 * 6, 3 * 6 + 2))).toEqual([9, 0]);
+  });
+
+  it("computes velocities, speeds and accelerations", () => {
+    const labels = makeLabels();
+    const [ta, tb] = labels.tracks;
+    const video = labels.videos[0];
+    const vel = nodeVelocities(labels).get(video)!.get(ta)!;
+    // x = 0, 1, 4, 9 -> gradient 1, 2, 4, 5 (tail x component).
+    expect([0, 1, 2, 3].map((f) => vel[f * 6])).toEqual([1, 2, 4, 5]);
+    expect(vel[1]).toBe(0);
+
+    const speed = nodeSpeeds(labels).get(video)!;
+    expect(speed.get(ta)!.length).toBe(4 * 3);
+    expect(Array.from(speed.get(tb)!).every((s) => s === 0)).toBe(true);
+
+    const acc = nodeAccelerations(labels).get(video)!.get(ta)!;
+    expect([0, 1, 2, 3].map((f) => acc[f * 6])).toEqual([1, 1.5, 1.5, 1]);
+  });
+
+  it("scales rates by fps when perSecond is set", () => {
+    const labels = makeLabels();
+    const video = labels.videos[0];
+    expect(() => nodeVelocities(labels, { perSecond: true })).toThrow(/fps/);
+    video.fps = 30;
+    const vel = nodeVelocities(labels, { perSecond: true })
+      .get(video)!
+      .get(labels.tracks[0])!;
+    expect(vel[6]).toBe(60);
+    const acc = nodeAccelerations(labels, { perSecond: true })
+      .get(video)!
+      .get(labels.tracks[0])!;
+    expect(acc[0]).toBe(900);
+  });
+
+  it("computes node distances, joint angles and headings", () => {
+    const labels = makeLabels();
+    const [ta, tb] = labels.tracks;
+    const video = labels.videos[0];
+    const dist = nodeDistances(labels, [
+      ["tail", "head"],
+      [0, 1],
+    ]).get(video)!;
+    expect(dist.get(ta)![0]).toBeCloseTo(Math.SQRT2, 12);
+    expect(dist.get(ta)![1]).toBe(1);
+
+    // Default pairs: the two edges share "body".
+    const angles = jointAngles(labels).get(video)!;
+    expect(angles.get(ta)![0]).toBeCloseTo(Math.PI / 2, 12);
+    expect(angles.get(tb)![0]).toBeCloseTo(Math.PI, 12);
+    const explicit = jointAngles(labels, [[0, ["body", "head"]]]).get(video)!;
+    expect(explicit.get(ta)![2]).toBeCloseTo(Math.PI / 2, 12);
+
+    const heading = headings(labels, "tail", "head").get(video)!;
+    expect(heading.get(ta)![0]).toBeCloseTo(Math.atan2(1, 1), 12);
+    expect(heading.get(tb)![0]).toBe(0);
+  });
+
+  it("computes inter-animal distances by node or centroid", () => {
+    const labels = makeLabels();
+    const video = labels.videos[0];
+    const byTail = interAnimalDistances(labels, { node: "tail" }).get(video)!;
+    expect(byTail.tracks).toEqual(labels.tracks);
+    // Frame 0, a -> b: tails at (0, 0) and (0, 10).
+    expect(Array.from(byTail.data.slice(0, 4))).toEqual([0, 10, 10, 0]);
+
+    const byCentroid = interAnimalDistances(labels).get(video)!;
+    // Frame 0 centroids: a (2/3, 1/3), b (1, 10).
+    expect(byCentroid.data[1]).toBeCloseTo(Math.hypot(1 / 3, 29 / 3), 12);
+  });
+
+  it("propagates gaps as NaN", () => {
+    const labels = makeLabels();
+    labels.labeledFrames[1].instances[0].points[0].xy = [
+      Number.NaN,
+      Number.NaN,
+    ];
+    const vel = nodeVelocities(labels)
+      .get(labels.videos[0])!
+      .get(labels.tracks[0])!;
+    // Frame 1 missing: frame 0 has no finite neighbour left, frame 2 falls
+    // back to a forward difference.
+    expect(Number.isNaN(vel[6])).toBe(true);
+    expect(Number.isNaN(vel[0])).toBe(true);
+    expect(vel[12]).toBe(5);
+  });
+
+  it("keys series by Track and skips untracked instances", () => {
+    const labels = makeLabels();
+    for (const frame of labels.labeledFrames) {
+      frame.instances.unshift(
+        PredictedInstance.fromArray(
+          [
+            [500, 500, 1],
+            [500, 500, 1],
+            [500, 500, 1],
+          ],
+          skeleton,
+          1,
+        ),
+      );
+    }
+    // Track a is missing from frame 1, where only the untracked one is.
+    labels.labeledFrames[1].instances.splice(1, 1);
+
+    const a = trackTrajectories(labels)
+      .get(labels.videos[0])!
+      .get(labels.tracks[0])!;
+    expect(Number.isNaN(a[6])).toBe(true);
+    expect(Array.from(a.slice(3 * 6, 3 * 6 + 2))).toEqual([9, 0]);
+    const speeds = nodeSpeeds(labels).get(labels.videos[0])!;
+    expect([...speeds.keys()]).toEqual(labels.tracks);
+    // Frame 2 falls back to a forward difference over track a's own samples.
+    expect(speeds.get(labels.tracks[0])![6]).toBe(5);
+  });
+  it("measures the chosen skeleton's instances by its own nodes", () => {
+    const labels = makeLabels();
+    const fly = new Skeleton({ nodes: ["thorax", "head"] });
+    for (const frame of labels.labeledFrames) {
+      const inst = PredictedInstance.fromArray(
+        [
+          [100, 0, 1],
+          [100, frame.frameIdx, 1],
+        ],
+        fly,
+        1,
+      );
+      inst.track = labels.tracks[1];
+      frame.instances.push(inst);
+    }
+    labels.skeletons.push(fly);
+    const video = labels.videos[0];
+
+    // The default skeleton's series ignore the other skeleton's instances.
+    const b = trackTrajectories(labels).get(video)!.get(labels.tracks[1])!;
+    expect(b.length).toBe(4 * 3 * 2);
+    expect(Array.from(b.slice(0, 6))).toEqual([0, 10, 1, 10, 2, 10]);
+
+    const options = { skeleton: fly };
+    const flies = trackTrajectories(labels, options).get(video)!;
+    expect([...flies.keys()]).toEqual([labels.tracks[1]]);
+    expect(Array.from(flies.get(labels.tracks[1])!.slice(0, 8))).toEqual([
+      100, 0, 100, 0, 100, 0, 100, 1,
+    ]);
+    const lengths = nodeDistances(labels, [["thorax", "head"]], options)
+      .get(video)!
+      .get(labels.tracks[1])!;
+    expect(Array.from(lengths)).toEqual([0, 1, 2, 3]);
+    const speeds = nodeSpeeds(labels, options).get(video)!;
+    expect(Array.from(speeds.get(labels.tracks[1])!)).toEqual([
+      0, 1, 0, 1, 0, 1, 0, 1,
+    ]);
+    expect(() => headings(labels, "tail", "head", options)).toThrow();
+  });
+});
@@ -0,0 +1,54 @@
+// Tests for LabeledFrame.unusedPredictions, matching Python sleap-io: with
+// tracks in the frame, a prediction is used only when a USER instance claims
+// its track; without tracks, only when a user instance was created from it.
+
+import { describe, it, expect } from "../bun-test";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Video } from "../../src/model/video.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+
+const video = new Video({ filename: "v.mp4" });
+const skeleton = new Skeleton({ nodes: ["a"] });
+
+const predicted = (track?: Track) =>
+  new PredictedInstance({ points: { a: [1, 1] }, skeleton, score: 0.9, track });
+const user = (track?: Track, fromPredicted?: PredictedInstance) =>
+  new Instance({ points: { a: [1, 1] }, skeleton, track, fromPredicted });
+
+describe("LabeledFrame.unusedPredictions", () => {
+  it("counts a tracked prediction as unused when no user instance has its track", () => {
+    const mouse = new Track("mouse");
+    const pred = predicted(mouse);
+    const frame = new LabeledFrame({ video, frameIdx: 0, instances: [pred] });
+    expect(frame.unusedPredictions).toEqual([pred]);
+  });
+
+  it("counts a prediction as used when a user instance claims its track", () => {
+    const [mouse, rat] = [new Track("mouse"), new Track("rat")];
+    const claimed = predicted(mouse);
+    const free = predicted(rat);
+    const untracked = predicted();
+    const frame = new LabeledFrame({
+      video,
+      frameIdx: 0,
+      instances: [user(mouse), claimed, free, untracked],
+    });
+    expect(frame.unusedPredictions).toEqual([free, untracked]);
+  });
+
+  it("falls back to fromPredicted without tracks", () => {
+    const adopted = predicted();
+    const other = predicted();
+    const frame = new LabeledFrame({
+      video,
+      frameIdx: 0,
+      instances: [user(undefined, adopted), adopted, other],
+    });
+    expect(frame.unusedPredictions).toEqual([other]);
+  });
+});
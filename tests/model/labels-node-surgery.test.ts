@@ -0,0 +1,244 @@
+import { describe, it, expect } from "../bun-test";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import { Instance, PredictedInstance } from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import { Instance3D } from "../../src/model/instance3d.js";
+import {
+  Camera,
+  FrameGroup,
+  InstanceGroup,
+  RecordingSession,
+} from "../../src/model/camera.js";
+import { readSlp, readSlpLazy } from "../../src/codecs/slp/read.js";
+import { saveSlpToBytes } from "../../src/codecs/slp/write.js";
+
+function makeSkeleton(): Skeleton {
+  return new Skeleton({
+    nodes: ["head", "thorax", "tail"],
+    edges: [
+      ["head", "thorax"],
+      ["thorax", "tail"],
+    ],
+    symmetries: [["head", "tail"]],
+  });
+}
+
+function makeLabels(skeleton = makeSkeleton()): Labels {
+  const video = new Video({ filename: "v.mp4" });
+  const frames = [0, 1].map(
+    (f) =>
+      new LabeledFrame({
+        video,
+        frameIdx: f,
+        instances: [
+          Instance.fromArray(
+            [
+              [f, 1],
+              [f, 2],
+              [f, 3],
+            ],
+            skeleton,
+          ),
+          PredictedInstance.fromArray(
+            [
+              [f + 10, 1, 0.1],
+              [f + 10, 2, 0.2],
+              [f + 10, 3, 0.3],
+            ],
+            skeleton,
+            0.9,
+          ),
+        ],
+      }),
+  );
+  return new Labels({ labeledFrames: frames, skeletons: [skeleton] });
+}
+
+describe("Skeleton node surgery", () => {
+  it("removeNodes drops touching edges and symmetries", () => {
+    const skel = makeSkeleton();
+    skel.removeNodes(["tail"]);
+    expect(skel.nodeNames).toEqual(["head", "thorax"]);
+    expect(skel.edgeIndices).toEqual([[0, 1]]);
+    expect(skel.symmetries).toHaveLength(0);
+    expect(() => skel.index("tail")).toThrow();
+  });
+
+  it("renameNodes keeps node identity and rejects duplicates", () => {
+    const skel = makeSkeleton();
+    const head = skel.nodes[0];
+    skel.renameNodes({ head: "nose" });
+    expect(skel.nodes[0]).toBe(head);
+    expect(skel.index("nose")).toBe(0);
+    expect(() => skel.renameNodes({ nose: "tail" })).toThrow(/duplicate/);
+    skel.renameNodes(["a", "b", "c"]);
+    expect(skel.nodeNames).toEqual(["a", "b", "c"]);
+  });
+
+  it("reorderNodes requires a full permutation", () => {
+    const skel = makeSkeleton();
+    skel.reorderNodes(["tail", "head", "thorax"]);
+    expect(skel.nodeNames).toEqual(["tail", "head", "thorax"]);
+    expect(skel.edgeIndices).toEqual([
+      [1, 2],
+      [2, 0],
+    ]);
+    expect(() => skel.reorderNodes(["tail", "head"])).toThrow();
+    expect(() => skel.reorderNodes(["tail", "tail", "head"])).toThrow();
+  });
+});
+
+describe("Labels node surgery", () => {
+  it("removeNodes drops points from user and predicted instances", () => {
+    const labels = makeLabels();
+    labels.removeNodes(["thorax"]);
+    const [user, pred] = labels.labeledFrames[1].instances;
+    expect(user.numpy()).toEqual([
+      [1, 1],
+      [1, 3],
+    ]);
+    expect((pred as PredictedInstance).numpy({ scores: true })).toEqual([
+      [11, 1, 0.1],
+      [11, 3, 0.3],
+    ]);
+    expect(user.points[1].name).toBe("tail");
+  });
+
+  it("reorderNodes permutes instance points", () => {
+    const labels = makeLabels();
+    labels.reorderNodes(["tail", "head", "thorax"]);
+    expect(labels.labeledFrames[0].instances[0].numpy()).toEqual([
+      [0, 3],
+      [0, 1],
+      [0, 2],
+    ]);
+  });
+
+  it("renameNodes renames without moving points", () => {
+    const labels = makeLabels();
+    labels.renameNodes({ head: "nose" });
+    const inst = labels.labeledFrames[0].instances[0];
+    expect(inst.getPoint("nose").xy).toEqual([0, 1]);
+  });
+
+  it("replaceSkeleton maps points by name or explicit nodeMap", () => {
+    const labels = makeLabels();
+    const old = labels.skeletons[0];
+    const byName = new Skeleton(["tail", "head", "wing"]);
+    labels.replaceSkeleton(old, byName);
+    expect(labels.skeletons).toEqual([byName]);
+    const inst = labels.labeledFrames[0].instances[0];
+    expect(inst.skeleton).toBe(byName);
+    expect(inst.numpy()).toEqual([
+      [0, 3],
+      [0, 1],
+      [Number.NaN, Number.NaN],
+    ]);
+
+    const mapped = new Skeleton(["a", "b"]);
+    labels.replaceSkeleton(byName, mapped, { head: "a", wing: "b" });
+    expect(labels.labeledFrames[0].instances[0].numpy()).toEqual([
+      [0, 1],
+      [Number.NaN, Number.NaN],
+    ]);
+  });
+
+  it("requires an explicit skeleton when there are several", () => {
+    const labels = makeLabels();
+    labels.skeletons.push(new Skeleton(["x"]));
+    expect(() => labels.removeNodes(["tail"])).toThrow(/2 skeletons/);
+    expect(() =>
+      labels.replaceSkeleton(new Skeleton(["x"]), new Skeleton(["y"])),
+    ).toThrow(/not in these Labels/);
+  });
+
+  it("remaps session Instance3D points", () => {
+    const labels = makeLabels();
+    const skeleton = labels.skeletons[0];
+    const inst3d = new Instance3D({
+      points: [
+        [1, 1, 1],
+        [2, 2, 2],
+        [3, 3, 3],
+      ],
+      skeleton,
+    });
+    const group = new InstanceGroup({ instance3d: inst3d });
+    const session = new RecordingSession();
+    session.frameGroupByFrameIdx.set(
+      0,
+      new FrameGroup({ frameIdx: 0, instanceGroups: [group] }),
+    );
+    session.cameraGroup.cameras.push(
+      new Camera({ rvec: [0, 0, 0], tvec: [0, 0, 0] }),
+    );
+    labels.sessions.push(session);
+
+    labels.reorderNodes(["tail", "thorax", "head"]);
+    expect(group.points).toEqual([
+      [3, 3, 3],
+      [2, 2, 2],
+      [1, 1, 1],
+    ]);
+    labels.removeNodes(["thorax"]);
+    expect(inst3d.points).toEqual([
+      [3, 3, 3],
+      [1, 1, 1],
+    ]);
+  });
+
+  it("edits lazy Labels without materializing and saves consistent spans", async () => {
+    const bytes = await saveSlpToBytes(makeLabels());
+    const lazy = await readSlpLazy(new Uint8Array(bytes).buffer, {
+      openVideos: false,
+    });
+    // Materialize one frame up front so the cache must be invalidated.
+    expect(lazy.frameAt(0)!.instances[0].numpy()).toHaveLength(3);
+
+    lazy.removeNodes(["head"]);
+    lazy.reorderNodes(["tail", "thorax"]);
+    expect(lazy.isLazy).toBe(true);
+    expect(lazy.frameAt(0)!.instances[0].numpy()).toEqual([
+      [0, 3],
+      [0, 2],
+    ]);
+
+    const saved = await saveSlpToBytes(lazy);
+    expect(lazy.isLazy).toBe(true);
+    const loaded = await readSlp(new Uint8Array(saved).buffer, {
+      openVideos: false,
+    });
+    expect(loaded.skeletons[0].nodeNames).toEqual(["tail", "thorax"]);
+    const [user, pred] = loaded.labeledFrames[1].instances;
+    expect(user.numpy()).toEqual([
+      [1, 3],
+      [1, 2],
+    ]);
+    expect((pred as PredictedInstance).numpy({ scores: true })).toEqual([
+      [11, 3, expect.closeTo(0.3, 5)],
+      [11, 2, expect.closeTo(0.2, 5)],
+    ]);
+  });
+
+  it("replaceSkeleton on lazy Labels pads new nodes with empty points", async () => {
+    const bytes = await saveSlpToBytes(makeLabels());
+    const lazy = await readSlpLazy(new Uint8Array(bytes).buffer, {
+      openVideos: false,
+    });
+    const next = new Skeleton(["thorax", "wing"]);
+    lazy.replaceSkeleton(lazy.skeletons[0], next);
+    const saved = await saveSlpToBytes(lazy);
+    const loaded = await readSlp(new Uint8Array(saved).buffer, {
+      openVideos: false,
+    });
+    expect(loaded.skeletons[0].nodeNames).toEqual(["thorax", "wing"]);
+    const inst = loaded.labeledFrames[0].instances[0];
+    expect(inst.numpy()).toEqual([
+      [0, 2],
+      [Number.NaN, Number.NaN],
+    ]);
+    expect(inst.points[1].visible).toBe(false);
+  });
+});
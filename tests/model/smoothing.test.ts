@@ -0,0 +1,222 @@
+import { describe, it, expect } from "../bun-test";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import {
+  exponentialFilter,
+  kalmanFilter,
+  medianFilter,
+  savgolFilter,
+  smoothTrajectories,
+} from "../../src/model/smoothing.js";
+
+describe("smoothing filters", () => {
+  it("medianFilter removes spikes and keeps gaps", () => {
+    expect(Array.from(medianFilter([1, 1, 9, 1, 1, Number.NaN, 2], 3))).toEqual(
+      [1, 1, 1, 1, 1, Number.NaN, 2],
+    );
+    expect(() => medianFilter([1], 4)).toThrow(/odd/);
+  });
+
+  it("savgolFilter preserves polynomials up to polyorder", () => {
+    const quadratic = Array.from({ length: 9 }, (_, t) => 0.5 * t * t - t + 3);
+    const smoothed = savgolFilter(quadratic, 5, 2);
+    smoothed.forEach((v, t) => {
+      expect(v).toBeCloseTo(quadratic[t], 9);
+    });
+
+    const gappy = [...quadratic];
+    gappy[4] = Number.NaN;
+    const out = savgolFilter(gappy, 5, 2);
+    expect(Number.isNaN(out[4])).toBe(true);
+    expect(out[3]).toBeCloseTo(quadratic[3], 9);
+    expect(() => savgolFilter(quadratic, 5, 5)).toThrow(/polyorder/);
+  });
+
+  it("savgolFilter smooths noise like a moving fit", () => {
+    // polyorder 0 reduces to a centered moving average in the interior.
+    const out = savgolFilter([0, 3, 0, 3, 0, 3, 0], 3, 0);
+    expect(out[2]).toBeCloseTo(2, 9);
+    expect(out[3]).toBeCloseTo(1, 9);
+  });
+
+  it("exponentialFilter is causal and resets after gaps", () => {
+    expect(
+      Array.from(exponentialFilter([0, 4, 4, Number.NaN, 8, 0], 0.5)),
+    ).toEqual([0, 2, 3, Number.NaN, 8, 4]);
+    expect(() => exponentialFilter([1], 0)).toThrow(/alpha/);
+  });
+
+  it("kalmanFilter tracks a line through noise and keeps gaps", () => {
+    const truth = Array.from({ length: 60 }, (_, t) => 2 * t + 5);
+    const noise = truth.map((_, t) => (t % 2 ? 3 : -3));
+    const noisy = truth.map((v, t) => v + noise[t]);
+    noisy[30] = Number.NaN;
+    const out = kalmanFilter(noisy, {
+      processNoise: 0.01,
+      measurementNoise: 9,
+    });
+    expect(Number.isNaN(out[30])).toBe(true);
+    let rawErr = 0;
+    let filtErr = 0;
+    for (let t = 10; t < 50; t += 1) {
+      if (t === 30) continue;
+      rawErr += Math.abs(noisy[t] - truth[t]);
+      filtErr += Math.abs(out[t] - truth[t]);
+    }
+    expect(filtErr).toBeLessThan(rawErr / 3);
+    expect(
+      Array.from(kalmanFilter([Number.NaN, Number.NaN])).every(Number.isNaN),
+    ).toBe(true);
+  });
+
+  it("smoothTrajectories filters xy per track and node only", () => {
+    const skeleton = new Skeleton(["a", "b"]);
+    const arr = [0, 1, 2, 3, 4].map((f) => [
+      [
+        [f === 2 ? 10 : 0, 0, 0.9],
+        [f === 2 ? 10 : 0, 0, 0.9],
+      ],
+    ]);
+    const out = smoothTrajectories(
+      arr,
+      { method: "median", windowSize: 3, nodes: ["b"] },
+      skeleton,
+    );
+    expect(out[2][0][0]).toEqual([10, 0, 0.9]);
+    expect(out[2][0][1]).toEqual([0, 0, 0.9]);
+    expect(arr[2][0][1][0]).toBe(10);
+    expect(() => smoothTrajectories(arr, { method: "box" as never })).toThrow(
+      /Unknown smoothing method/,
+    );
+  });
+});
+
+describe("Labels.smooth", () => {
+  function makeLabels(): Labels {
+    const skeleton = new Skeleton(["a", "b"]);
+    const video = new Video({ filename: "v.mp4" });
+    const tracks = [new Track("t0"), new Track("t1")];
+    const frames = [0, 1, 2, 3, 4].map((f) => {
+      const spike = f === 2 ? 10 : 0;
+      const instances: Instance[] = tracks.map((track, t) => {
+        const inst = PredictedInstance.fromArray(
+          [
+            [f + spike, 100 * t, 0.9],
+            [f, 100 * t + 1, 0.9],
+          ],
+          skeleton,
+          0.9,
+        );
+        inst.track = track;
+        return inst;
+      });
+      return new LabeledFrame({ video, frameIdx: f, instances });
+    });
+    return new Labels({ labeledFrames: frames, skeletons: [skeleton], tracks });
+  }
+
+  it("writes smoothed points back and optionally keeps originals", () => {
+    const labels = makeLabels();
+    labels.smooth({ method: "median", windowSize: 3, keepOriginal: true });
+    const [t0, t1] = labels.labeledFrames[2].instances;
+    // Median of x over frames 1..3 is median(1, 12, 3).
+    expect(t0.numpy()).toEqual([
+      [3, 0],
+      [2, 1],
+    ]);
+    expect(t1.numpy()).toEqual([
+      [3, 100],
+      [2, 101],
+    ]);
+    expect(t0.metadata?.originalPoints).toEqual([
+      [12, 0],
+      [2, 1],
+    ]);
+  });
+
+  it("leaves gaps and user instances alone", () => {
+    const labels = makeLabels();
+    const frame = labels.labeledFrames[3];
+    frame.instances[0].points[0].visible = false;
+    frame.instances[0].points[0].xy = [Number.NaN, Number.NaN];
+    const user = Instance.fromArray(
+      [
+        [50, 50],
+        [50, 50],
+      ],
+      labels.skeletons[0],
+    );
+    labels.labeledFrames[4].instances.push(user);
+    labels.smooth({ method: "savgol", windowSize: 3, polyorder: 1 });
+    expect(Number.isNaN(frame.instances[0].numpy()[0][0])).toBe(true);
+    expect(user.numpy()).toEqual([
+      [50, 50],
+      [50, 50],
+    ]);
+    expect(user.metadata).toBeUndefined();
+  });
+
+  it("keeps untracked instances out of the track series", () => {
+    const labels = makeLabels();
+    // An untracked instance listed first, in every frame.
+    const untracked = labels.labeledFrames.map((frame) => {
+      const inst = PredictedInstance.fromArray(
+        [
+          [500, 500, 0.9],
+          [500, 500, 0.9],
+        ],
+        labels.skeletons[0],
+        0.9,
+      );
+      frame.instances.unshift(inst);
+      return inst;
+    });
+    labels.smooth({ method: "median", windowSize: 3 });
+    for (const inst of untracked) {
+      expect(inst.numpy()).toEqual([
+        [500, 500],
+        [500, 500],
+      ]);
+    }
+    const [, t0] = labels.labeledFrames[2].instances;
+    expect(t0.numpy()).toEqual([
+      [3, 0],
+      [2, 1],
+    ]);
+  });
+
+  it("smooths each skeleton separately and skips invisible points", () => {
+    const labels = makeLabels();
+    const other = new Skeleton(["c"]);
+    const track = labels.tracks[0];
+    labels.labeledFrames.forEach((frame, f) => {
+      const inst = PredictedInstance.fromArray(
+        [[f === 2 ? 50 : f, 7, 0.9]],
+        other,
+        0.9,
+      );
+      inst.track = track;
+      frame.instances.push(inst);
+    });
+    labels.skeletons.push(other);
+    // A hidden outlier keeps its coordinates but does not drag the median.
+    const hidden = labels.labeledFrames[1].instances[0].points[0];
+    hidden.xy = [-900, 0];
+    hidden.visible = false;
+
+    labels.smooth({ method: "median", windowSize: 3 });
+    const frame = labels.labeledFrames[2];
+    expect(frame.instances[0].numpy()[0]).toEqual([7.5, 0]);
+    expect(frame.instances[2].numpy()).toEqual([[3, 7]]);
+    expect(labels.labeledFrames[1].instances[0].points[0].xy).toEqual([
+      -900, 0,
+    ]);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect } from "../bun-test";
+import { Labels } from "../../src/model/labels.js";
+import { LabeledFrame } from "../../src/model/labeled-frame.js";
+import {
+  Instance,
+  PredictedInstance,
+  Track,
+} from "../../src/model/instance.js";
+import { Skeleton } from "../../src/model/skeleton.js";
+import { Video } from "../../src/model/video.js";
+import { InstanceMatcher } from "../../src/model/matching.js";
+import { Tracker } from "../../src/model/tracking.js";
+
+const skeleton = new Skeleton(["a", "b"]);
+
+function pred(x: number, y: number): PredictedInstance {
+  return PredictedInstance.fromArray(
+    [
+      [x, y],
+      [x + 4, y + 4],
+    ],
+    skeleton,
+    0.9,
+  );
+}
+
+/** One-video Labels with a predicted instance per `[x, y]`, per frame. */
+function makeLabels(
+  positions: Array<Array<[number, number]>>,
+  video = new Video({ filename: "v.mp4" }),
+): Labels {
+  const frames = positions.map(
+    (row, f) =>
+      new LabeledFrame({
+        video,
+        frameIdx: f,
+        instances: row.map(([x, y]) => pred(x, y)),
+      }),
+  );
+  return new Labels({ labeledFrames: frames, skeletons: [skeleton] });
+}
+
+function trackNames(labels: Labels): Array<Array<string | null>> {
+  return labels.labeledFrames.map((lf) =>
+    lf.instances.map((inst) => inst.track?.name ?? null),
+  );
+}
+
+describe("Labels.track", () => {
+  it("links instances frame to frame even when order swaps", () => {
+    const labels = makeLabels([
+      [
+        [0, 0],
+        [0, 100],
+      ],
+      [
+        [5, 100],
+        [5, 0],
+      ],
+      [
+        [10, 0],
+        [10, 100],
+      ],
+    ]);
+    const tracks = labels.track();
+    expect(tracks.map((t) => t.name)).toEqual(["track_0", "track_1"]);
+    expect(labels.tracks).toEqual(tracks);
+    expect(trackNames(labels)).toEqual([
+      ["track_0", "track_1"],
+      ["track_1", "track_0"],
+      ["track_0", "track_1"],
+    ]);
+    const inst = labels.labeledFrames[1].instances[0] as PredictedInstance;
+    expect(inst.trackingScore).toBeCloseTo(1 / 6, 6);
+    expect(
+      labels.getTrackAnnotations(labels.videos[0], tracks[0]),
+    ).toHaveLength(3);
+  });
+
+  it("spawns a new track when the gate rejects every live track", () => {
+    const labels = makeLabels([[[0, 0]], [[300, 300]]]);
+    labels.track({ threshold: 50 });
+    expect(trackNames(labels)).toEqual([["track_0"], ["track_1"]]);
+  });
+
+  it("caps the number of tracks", () => {
+    const labels = makeLabels([
+      [[0, 0]],
+      [
+        [2, 0],
+        [2, 100],
+      ],
+    ]);
+    labels.track({ maxTracks: 1 });
+    expect(trackNames(labels)).toEqual([["track_0"], ["track_0", null]]);
+  });
+
+  it("culls old tracks and optionally lets them re-enter", () => {
+    const positions: Array<Array<[number, number]>> = [
+      [[0, 0]],
+      [],
+      [],
+      [],
+      [[3, 0]],
+    ];
+    const culled = makeLabels(positions);
+    culled.track({ maxTrackAge: 2 });
+    expect(trackNames(culled)[4]).toEqual(["track_1"]);
+
+    const reentered = makeLabels(positions);
+    reentered.track({ maxTrackAge: 2, reentry: true });
+    expect(trackNames(reentered)[4]).toEqual(["track_0"]);
+  });
+
+  it("does not count culled tracks toward maxTracks without reentry", () => {
+    const positions: Array<Array<[number, number]>> = [
+      [[0, 0]],
+      [],
+      [],
+      [],
+      [[3, 0]],
+    ];
+    const culled = makeLabels(positions);
+    culled.track({ maxTracks: 1, maxTrackAge: 2 });
+    expect(trackNames(culled)[4]).toEqual(["track_1"]);
+
+    // With reentry the culled track can still match, so it holds the slot.
+    const reentered = makeLabels(positions);
+    reentered.track({ maxTracks: 1, maxTrackAge: 2, reentry: true });
+    expect(trackNames(reentered)[4]).toEqual(["track_0"]);
+  });
+
+  it("keeps a culled track and its instances after it is replaced", () => {
+    const labels = makeLabels([[[0, 0]], [], [], [], [[3, 0]]]);
+    const created = labels.track({ maxTrackAge: 2 });
+    expect(created.map((t) => t.name)).toEqual(["track_0", "track_1"]);
+    expect(labels.tracks).toEqual(created);
+    expect(trackNames(labels)[0]).toEqual(["track_0"]);
+    expect(trackNames(labels)[4]).toEqual(["track_1"]);
+  });
+
+  it("compares against the track window", () => {
+    // The animal drifts right then back left: the last frame is within the
+    // gate of the first position but not of the most recent one.
+    const positions: Array<Array<[number, number]>> = [
+      [[0, 0]],
+      [[9, 0]],
+      [[-8, 0]],
+    ];
+    const narrow = makeLabels(positions);
+    narrow.track({ threshold: 10, window: 1 });
+    expect(trackNames(narrow)).toEqual([["track_0"], ["track_0"], ["track_1"]]);
+
+    const wide = makeLabels(positions);
+    wide.track({ threshold: 10, window: 3 });
+    expect(trackNames(wide)).toEqual([["track_0"], ["track_0"], ["track_0"]]);
+  });
+
+  it("supports IOU matching and skips user instances", () => {
+    const labels = makeLabels([[[0, 0]], [[1, 1]]]);
+    const user = Instance.fromArray(
+      [
+        [0, 0],
+        [4, 4],
+      ],
+      skeleton,
+    );
+    labels.labeledFrames[1].instances.push(user);
+    labels.track({ matcher: new InstanceMatcher("iou", { threshold: 0.3 }) });
+    expect(trackNames(labels)).toEqual([["track_0"], ["track_0", null]]);
+  });
+
+  it("tracks videos independently and avoids existing track names", () => {
+    const a = makeLabels([[[0, 0]], [[1, 0]]]);
+    const b = makeLabels([[[0, 0]]], new Video({ filename: "w.mp4" }));
+    a.labeledFrames.push(...b.labeledFrames);
+    a.videos.push(b.videos[0]);
+    a.tracks.push(new Track("track_0"));
+    a.track();
+    expect(a.tracks.map((t) => t.name)).toEqual([
+      "track_0",
+      "track_1",
+      "track_2",
+    ]);
+    expect(trackNames(a)).toEqual([["track_1"], ["track_1"], ["track_2"]]);
+  });
+
+  it("rejects unsupported matchers", () => {
+    expect(() => new Tracker({ method: "identity" })).toThrow(/spatial or iou/);
+    expect(() => new Tracker({ window: 0 })).toThrow(/window/);
+  });
+});
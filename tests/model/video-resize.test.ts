@@ -0,0 +1,166 @@
+/**
+ * Unit tests for `Video.resize` and the resize facade (`src/model/video.ts`,
+ * `src/video/resize-backend.ts`): wrap order with crop/grayscale, flattening,
+ * metadata seeding, decode ownership, and point mapping.
+ */
+import { describe, it, expect } from "../bun-test";
+import { Video } from "../../src/model/video.js";
+import { CropVideoBackend } from "../../src/video/crop-backend.js";
+import { GrayscaleVideoBackend } from "../../src/video/grayscale-backend.js";
+import { ResizeVideoBackend } from "../../src/video/resize-backend.js";
+import type { VideoBackend, VideoFrame } from "../../src/video/backend.js";
+
+/**
+ * Fake backend with a known shape; getFrame returns an RGBA ImageData whose
+ * gray value at (x, y) is `x % 256`. `closed` counts close() calls.
+ */
+function makeBackend(
+  width: number,
+  height: number,
+): VideoBackend & { closed: number } {
+  return {
+    filename: "src.mp4",
+    shape: [1, height, width, 1],
+    dataset: null,
+    fps: 25,
+    closed: 0,
+    async getFrame(i: number): Promise<VideoFrame | null> {
+      if (i !== 0) return null;
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let p = 0; p < width * height; p++) {
+        const v = (p % width) % 256;
+        data.fill(v, p * 4, p * 4 + 3);
+        data[p * 4 + 3] = 255;
+      }
+      return { data, width, height, colorSpace: "srgb" } as ImageData;
+    },
+    close() {
+      this.closed++;
+    },
+  };
+}
+
+function makeVideo(width = 256, height = 192): Video {
+  return new Video({
+    filename: "src.mp4",
+    backend: makeBackend(width, height),
+  });
+}
+
+describe("Video.resize", () => {
+  it("resizes by a factor and seeds the resize metadata", async () => {
+    const src = makeVideo();
+    const v = src.resize(0.5);
+
+    expect(v.backend).toBeInstanceOf(ResizeVideoBackend);
+    expect(v.sourceVideo).toBe(src);
+    expect(v.shape).toEqual([1, 96, 128, 1]);
+    expect(v.isResized).toBe(true);
+    expect(src.isResized).toBe(false);
+    expect(v.resizeScale).toEqual([0.5, 0.5]);
+    expect(v.backendMetadata).toMatchObject({
+      shape: [1, 96, 128, 1],
+      source_shape: [1, 192, 256, 1],
+      resize: [96, 128],
+      resize_scale: [0.5, 0.5],
+      resize_interpolation: "bilinear",
+    });
+
+    const frame = (await v.getFrame(0)) as ImageData;
+    expect(frame.width).toBe(128);
+    expect(frame.height).toBe(96);
+    expect(await v.getFrame(1)).toBeNull();
+  });
+
+  it("resizes to an explicit [height, width] with the chosen interpolation", async () => {
+    const v = makeVideo().resize([48, 100], { interpolation: "nearest" });
+    expect(v.shape).toEqual([1, 48, 100, 1]);
+    expect(v.resizeScale).toEqual([100 / 256, 48 / 192]);
+
+    const frame = (await v.getFrame(0)) as ImageData;
+    expect(frame.width).toBe(100);
+    // Output column 10 samples source column floor(10.5 * 2.56) = 26.
+    expect(frame.data[10 * 4]).toBe(26);
+  });
+
+  it("resizes the cropped view, keeping the crop in source pixels", () => {
+    const v = makeVideo().crop([16, 32, 144, 160]).resize(0.5);
+    expect(v.shape).toEqual([1, 64, 64, 1]);
+    const backend = v.backend as ResizeVideoBackend;
+    expect(backend.inner).toBeInstanceOf(CropVideoBackend);
+    expect(v.cropRect).toEqual([16, 32, 144, 160]);
+    expect(v.backendMetadata.source_shape).toEqual([1, 192, 256, 1]);
+
+    // Resized -> cropped -> full-resolution source pixels, and back.
+    const view: [number, number][] = [[10, 10]];
+    const source = v.toSourceCoords(v.toUnscaledCoords(view));
+    expect(source).toEqual([[36, 52]]);
+    expect(v.toScaledCoords(v.toCropCoords(source))).toEqual(view);
+  });
+
+  it("flattens a resize of a resize into one pass over the source", () => {
+    const raw = makeBackend(256, 192);
+    const v = new Video({ filename: "src.mp4", backend: raw })
+      .resize(0.5)
+      .resize(0.5);
+    const backend = v.backend as ResizeVideoBackend;
+    expect(backend.inner).toBe(raw);
+    expect(backend.size).toEqual([48, 64]);
+    expect(v.resizeScale).toEqual([0.25, 0.25]);
+    expect(v.backendMetadata.source_shape).toEqual([1, 192, 256, 1]);
+  });
+
+  it("keeps a grayscale layer outermost", () => {
+    const src = makeVideo();
+    src.grayscale = true;
+    const v = src.resize(0.25);
+    expect(v.backend).toBeInstanceOf(GrayscaleVideoBackend);
+    expect((v.backend as GrayscaleVideoBackend).inner).toBeInstanceOf(
+      ResizeVideoBackend,
+    );
+    expect(v.shape).toEqual([1, 48, 64, 1]);
+    expect(v.resizeScale).toEqual([0.25, 0.25]);
+  });
+
+  it("shares the source decoder unless shareDecode is false", () => {
+    const raw = makeBackend(64, 64);
+    const src = new Video({ filename: "src.mp4", backend: raw });
+    src.resize(0.5).close();
+    expect(raw.closed).toBe(0);
+    src.resize(0.5, { shareDecode: false }).close();
+    expect(raw.closed).toBe(1);
+  });
+
+  it("maps points from metadata on a closed video", () => {
+    const closed = new Video({
+      filename: "src.mp4",
+      backendMetadata: { resize: [50, 50], resize_scale: [0.5, 0.25] },
+    });
+    expect(closed.isResized).toBe(true);
+    const out = closed.toUnscaledCoords(new Float64Array([4, 4, NaN, 1]));
+    expect(out).toBeInstanceOf(Float64Array);
+    expect([out[0], out[1], out[3]]).toEqual([8, 16, 4]);
+    expect(out[2]).toBeNaN();
+    // Not resized: an unchanged copy.
+    const pts: [number, number][] = [[1, 2]];
+    const copy = makeVideo().toScaledCoords(pts);
+    expect(copy).toEqual(pts);
+    expect(copy).not.toBe(pts);
+  });
+
+  it("rejects invalid requests", () => {
+    expect(() => new Video({ filename: "x.mp4" }).resize(0.5)).toThrow(
+      /no open backend/,
+    );
+    expect(() => makeVideo().resize(0)).toThrow(/Invalid resize factor 0/);
+    expect(() => makeVideo().resize([10, 0])).toThrow(/Invalid resize size/);
+    expect(() => makeVideo().resize(0.5).crop([0, 0, 10, 10])).toThrow(
+      /Cannot crop a resized video/,
+    );
+    const unknownShape = new Video({
+      filename: "src.mp4",
+      backend: { ...makeBackend(8, 8), shape: undefined },
+    });
+    expect(() => unknownShape.resize(0.5)).toThrow(/frame size is unknown/);
+  });
+});
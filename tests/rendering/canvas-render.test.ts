@@ -0,0 +1,183 @@
+// Tests for the browser-safe canvas renderer (`src/rendering/canvas-render.ts`).
+// Bun has no OffscreenCanvas, so a stand-in records the drawing calls and keeps
+// the pixels touched by fills, putImageData and drawImage.
+
+import { describe, it, expect } from "../bun-test";
+import { renderFrameCanvas } from "../../src/rendering/canvas-render";
+import { encodeVideo } from "../../src/rendering/encode";
+import { getPalette } from "../../src/rendering/colors";
+import { UserSegmentationMask } from "../../src/model/mask";
+import { UserBoundingBox } from "../../src/model/bbox";
+import { Instance, Track } from "../../src/model/instance";
+import { Skeleton } from "../../src/model/skeleton";
+import { LabeledFrame } from "../../src/model/labeled-frame";
+import { Labels } from "../../src/model/labels";
+import { Video } from "../../src/model/video";
+
+type Call = [string, ...unknown[]];
+
+/** Minimal OffscreenCanvas: solid fills and pixel copies, other calls logged. */
+class FakeCanvas {
+  static calls: Call[] = [];
+  pixels: Uint8ClampedArray;
+
+  constructor(
+    public width: number,
+    public height: number,
+  ) {
+    this.pixels = new Uint8ClampedArray(width * height * 4);
+  }
+
+  getContext(): unknown {
+    const canvas = this;
+    const ctx: Record<string, unknown> = {
+      fillStyle: "",
+      strokeStyle: "",
+      fillRect(x: number, y: number, w: number, h: number) {
+        const [r, g, b] = String(ctx.fillStyle).match(/\d+/g)!.map(Number);
+        for (let yy = y; yy < y + h; yy++) {
+          for (let xx = x; xx < x + w; xx++) {
+            canvas.pixels.set([r, g, b, 255], (yy * canvas.width + xx) * 4);
+          }
+        }
+      },
+      putImageData(image: ImageData) {
+        canvas.pixels.set(image.data);
+      },
+      getImageData(x: number, y: number, w: number, h: number) {
+        expect([x, y, w, h]).toEqual([0, 0, canvas.width, canvas.height]);
+        return { data: canvas.pixels.slice(), width: w, height: h };
+      },
+      drawImage(src: FakeCanvas, x: number, y: number, w: number, h: number) {
+        for (let yy = 0; yy < h; yy++) {
+          for (let xx = 0; xx < w; xx++) {
+            const sx = Math.floor((xx * src.width) / w);
+            const sy = Math.floor((yy * src.height) / h);
+            const at = (sy * src.width + sx) * 4;
+            canvas.pixels.set(
+              src.pixels.subarray(at, at + 4),
+              ((y + yy) * canvas.width + x + xx) * 4,
+            );
+          }
+        }
+      },
+    };
+    return new Proxy(ctx, {
+      get(target, key: string) {
+        if (key in target) return target[key];
+        return (...args: unknown[]) => FakeCanvas.calls.push([key, ...args]);
+      },
+    });
+  }
+}
+
+/** Run `fn` with the stand-in installed as the global OffscreenCanvas. */
+async function withFakeCanvas<T>(fn: () => T | Promise<T>): Promise<T> {
+  const g = globalThis as { OffscreenCanvas?: unknown };
+  const previous = g.OffscreenCanvas;
+  g.OffscreenCanvas = FakeCanvas;
+  FakeCanvas.calls = [];
+  try {
+    return await fn();
+  } finally {
+    g.OffscreenCanvas = previous;
+  }
+}
+
+function px(img: ImageData, x: number, y: number): number[] {
+  const i = (y * img.width + x) * 4;
+  return Array.from(img.data.subarray(i, i + 4));
+}
+
+const skeleton = new Skeleton({ nodes: ["a", "b"], edges: [["a", "b"]] });
+const video = new Video({
+  filename: "test.mp4",
+  openBackend: false,
+  backendMetadata: { shape: [10, 8, 16, 3] },
+});
+
+function frameWith(options: Partial<{ track: Track; masks: unknown[] }> = {}) {
+  return new LabeledFrame({
+    video,
+    frameIdx: 0,
+    instances: [
+      new Instance({
+        points: { a: [2, 2], b: [6, 4] },
+        skeleton,
+        track: options.track,
+      }),
+    ],
+    masks: options.masks as UserSegmentationMask[] | undefined,
+  });
+}
+
+describe("renderFrameCanvas", () => {
+  it("draws the background, edges and nodes at the video's size", async () => {
+    await withFakeCanvas(() => {
+      const img = renderFrameCanvas(frameWith(), {
+        background: "black",
+        scale: 2,
+      });
+      expect([img.width, img.height]).toEqual([32, 16]);
+      expect(px(img, 31, 15)).toEqual([0, 0, 0, 255]);
+
+      const calls = FakeCanvas.calls;
+      expect(calls).toContainEqual(["moveTo", 4, 4]);
+      expect(calls).toContainEqual(["lineTo", 12, 8]);
+      // Circle markers of radius markerSize * scale at both nodes.
+      const arcs = calls.filter((c) => c[0] === "arc");
+      expect(arcs.map((c) => c.slice(1, 4))).toEqual([
+        [4, 4, 8],
+        [12, 8, 8],
+      ]);
+    });
+  });
+
+  it("blends the frame's masks and colors them by track", async () => {
+    const track = new Track("mouse");
+    const binary = new Uint8Array(8 * 16);
+    binary.fill(1, 0, 16);
+    const mask = UserSegmentationMask.fromArray(binary, 8, 16, { track });
+    await withFakeCanvas(() => {
+      const img = renderFrameCanvas(frameWith({ track, masks: [mask] }), {
+        background: "black",
+        colorBy: "track",
+        overlayAlpha: 1,
+        overlayTrackIndexMap: new Map([[track, 0]]),
+      });
+      expect(px(img, 10, 0).slice(0, 3)).toEqual(getPalette("standard", 1)[0]);
+      expect(px(img, 10, 7)).toEqual([0, 0, 0, 255]);
+    });
+  });
+
+  it("rejects vector overlays and a missing canvas", async () => {
+    await withFakeCanvas(() => {
+      expect(() =>
+        renderFrameCanvas(frameWith(), {
+          overlay: [UserBoundingBox.fromXyxy(0, 0, 4, 4)],
+        }),
+      ).toThrow(/Bounding-box and ROI overlays need skia-canvas/);
+    });
+    expect(() => renderFrameCanvas(frameWith())).toThrow(
+      /needs OffscreenCanvas or a DOM canvas/,
+    );
+  });
+
+  it("renders encodeVideo frames", async () => {
+    const labels = new Labels({
+      labeledFrames: [frameWith(), frameWith()],
+      videos: [video],
+      skeletons: [skeleton],
+    });
+    const encoded = await withFakeCanvas(() =>
+      encodeVideo(labels, {
+        renderFrame: renderFrameCanvas,
+        background: "white",
+      }),
+    );
+    expect(encoded.container).toBe("apng");
+    expect([encoded.width, encoded.height, encoded.frameCount]).toEqual([
+      16, 8, 2,
+    ]);
+  });
+});
@@ -0,0 +1,227 @@
+// Tests for the ffmpeg-free encoder (`src/rendering/encode.ts`). Bun has no
+// WebCodecs, so the default path here is the APNG fallback; the mediabunny
+// path is driven through a registered stand-in encoder.
+
+import { describe, it, expect } from "../bun-test";
+import {
+  CustomVideoEncoder,
+  EncodedPacket,
+  Input,
+  BufferSource,
+  ALL_FORMATS,
+  registerEncoder,
+} from "mediabunny";
+import { inflate } from "pako";
+import { encodeVideo } from "../../src/rendering/encode";
+import "../../src/rendering/video";
+import { crc32 } from "../../src/io/zip";
+import { Instance } from "../../src/model/instance";
+import { Skeleton } from "../../src/model/skeleton";
+import { LabeledFrame } from "../../src/model/labeled-frame";
+import { Labels } from "../../src/model/labels";
+import { Video } from "../../src/model/video";
+
+function makeLabels(nFrames = 4): Labels {
+  const skeleton = new Skeleton({ nodes: ["a", "b"], edges: [["a", "b"]] });
+  const video = new Video({ filename: "test.mp4", openBackend: false });
+  const labeledFrames = Array.from(
+    { length: nFrames },
+    (_, i) =>
+      new LabeledFrame({
+        video,
+        frameIdx: i * 10,
+        instances: [
+          new Instance({
+            points: { a: [2, 2], b: [6, 4] },
+            skeleton,
+          }),
+        ],
+      }),
+  );
+  return new Labels({ labeledFrames, videos: [video], skeletons: [skeleton] });
+}
+
+/** A solid frame whose red channel is the source frame index. */
+function solidFrame(frame: LabeledFrame): ImageData {
+  const data = new Uint8ClampedArray(4 * 4 * 2);
+  for (let i = 0; i < data.length; i += 4)
+    data.set([frame.frameIdx, 0, 0, 255], i);
+  return { data, width: 4, height: 2 } as unknown as ImageData;
+}
+
+/** Split a PNG into chunks, checking each CRC. */
+function pngChunks(bytes: Uint8Array): { type: string; data: Uint8Array }[] {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let pos = 8; pos < bytes.length; ) {
+    const length = view.getUint32(pos);
+    const type = new TextDecoder().decode(bytes.subarray(pos + 4, pos + 8));
+    expect(view.getUint32(pos + 8 + length)).toBe(
+      crc32(bytes.subarray(pos + 4, pos + 8 + length)),
+    );
+    chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+  }
+  return chunks;
+}
+
+/** Decode one frame's Up-filtered scanlines back to RGBA. */
+function unfilter(compressed: Uint8Array, width: number, height: number) {
+  const raw = inflate(compressed);
+  const stride = width * 4;
+  const out = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    expect(raw[y * (stride + 1)]).toBe(2);
+    for (let x = 0; x < stride; x++) {
+      const above = y > 0 ? out[(y - 1) * stride + x] : 0;
+      out[y * stride + x] = (raw[y * (stride + 1) + 1 + x] + above) & 0xff;
+    }
+  }
+  return out;
+}
+
+describe("encodeVideo", () => {
+  it("falls back to an animated PNG without WebCodecs", async () => {
+    const progress: number[][] = [];
+    const video = await encodeVideo(makeLabels(), {
+      renderFrame: solidFrame,
+      start: 1,
+      fps: 25,
+      onProgress: (current, total) => progress.push([current, total]),
+    });
+    expect(video.container).toBe("apng");
+    expect(video.mimeType).toBe("image/apng");
+    expect([video.width, video.height, video.frameCount]).toEqual([4, 2, 3]);
+    expect(progress).toEqual([
+      [1, 3],
+      [2, 3],
+      [3, 3],
+    ]);
+    expect(Array.from(video.data.subarray(0, 8))).toEqual([
+      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ]);
+
+    const chunks = pngChunks(video.data);
+    expect(chunks.map((c) => c.type)).toEqual([
+      "IHDR",
+      "acTL",
+      "fcTL",
+      "IDAT",
+      "fcTL",
+      "fdAT",
+      "fcTL",
+      "fdAT",
+      "IEND",
+    ]);
+    const view = (c: { data: Uint8Array }) =>
+      new DataView(c.data.buffer, c.data.byteOffset, c.data.byteLength);
+    expect(view(chunks[1]).getUint32(0)).toBe(3);
+    // Sequence numbers run across fcTL and fdAT; delay is 1000/25000 s.
+    const control = view(chunks[4]);
+    expect(control.getUint32(0)).toBe(1);
+    expect([control.getUint16(20), control.getUint16(22)]).toEqual([
+      1000, 25000,
+    ]);
+    expect(view(chunks[5]).getUint32(0)).toBe(2);
+
+    expect(Array.from(unfilter(chunks[3].data, 4, 2).subarray(0, 4))).toEqual([
+      10, 0, 0, 255,
+    ]);
+    expect(
+      Array.from(unfilter(chunks[7].data.subarray(4), 4, 2).subarray(28)),
+    ).toEqual([30, 0, 0, 255]);
+
+    const blob = video.toBlob();
+    expect(blob.type).toBe("image/apng");
+    expect(blob.size).toBe(video.data.length);
+  });
+
+  it("draws frames with renderImage by default", async () => {
+    const video = await encodeVideo(makeLabels(2), {
+      width: 16,
+      height: 8,
+      background: "black",
+    });
+    expect([video.width, video.height, video.frameCount]).toEqual([16, 8, 2]);
+    expect(pngChunks(video.data).filter((c) => c.type === "fcTL")).toHaveLength(
+      2,
+    );
+  });
+
+  it("rejects unusable settings", async () => {
+    const labels = makeLabels();
+    await expect(
+      encodeVideo(labels, { renderFrame: solidFrame, fallback: false }),
+    ).rejects.toThrow(/Cannot encode avc video at 4x2/);
+    await expect(
+      encodeVideo(labels, {
+        renderFrame: solidFrame,
+        container: "webm",
+        codec: "avc",
+      }),
+    ).rejects.toThrow(/WebM cannot hold H.264/);
+    await expect(
+      encodeVideo(labels, {
+        renderFrame: (frame) =>
+          frame.frameIdx === 0
+            ? solidFrame(frame)
+            : ({
+                data: new Uint8ClampedArray(4),
+                width: 1,
+                height: 1,
+              } as unknown as ImageData),
+      }),
+    ).rejects.toThrow(/Frame 1 is 1x1 but the video is 4x2/);
+  });
+
+  it("encodes through mediabunny when an encoder is available", async () => {
+    const seen: { format: string | null; width: number }[] = [];
+
+    // Stand-in for a WebCodecs VP9 encoder: one key packet per sample.
+    class FakeVp9Encoder extends CustomVideoEncoder {
+      static supports(codec: string): boolean {
+        return codec === "vp9";
+      }
+      init(): void {}
+      encode(sample: import("mediabunny").VideoSample): void {
+        seen.push({ format: sample.format, width: sample.codedWidth });
+        this.onPacket(
+          new EncodedPacket(
+            new Uint8Array([seen.length]),
+            "key",
+            sample.timestamp,
+            sample.duration,
+          ),
+          {
+            decoderConfig: {
+              codec: "vp09.00.10.08",
+              codedWidth: sample.codedWidth,
+              codedHeight: sample.codedHeight,
+            },
+          },
+        );
+      }
+      flush(): void {}
+      close(): void {}
+    }
+    registerEncoder(FakeVp9Encoder);
+
+    const video = await encodeVideo(makeLabels(), {
+      renderFrame: solidFrame,
+      container: "webm",
+      fps: 10,
+    });
+    expect(video.container).toBe("webm");
+    expect(video.codec).toBe("vp9");
+    expect(video.mimeType).toBe("video/webm");
+    expect(seen).toEqual(Array(4).fill({ format: "RGBA", width: 4 }));
+
+    const input = new Input({
+      source: new BufferSource(video.data),
+      formats: ALL_FORMATS,
+    });
+    const track = await input.getPrimaryVideoTrack();
+    expect(track?.codec).toBe("vp9");
+    expect(await track?.computeDuration()).toBeCloseTo(0.4, 5);
+  });
+});
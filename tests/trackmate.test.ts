@@ -6,8 +6,20 @@ import {
   isTrackMateFile,
   readTrackMateCsv,
   loadTrackMate,
+  loadTrackMateXml,
+  saveTrackMate,
 } from "../src/io/trackmate.js";
-import { PredictedCentroid } from "../src/model/centroid.js";
+import {
+  isTrackMateXml,
+  readTrackMateXml,
+  writeTrackMateXml,
+  type TrackMateEvent,
+} from "../src/io/trackmate-xml.js";
+import { PredictedCentroid, UserCentroid } from "../src/model/centroid.js";
+import { Track } from "../src/model/instance.js";
+import { LabeledFrame } from "../src/model/labeled-frame.js";
+import { Labels } from "../src/model/labels.js";
+import { Video } from "../src/model/video.js";
 
 const SPOTS_HEADER =
   "LABEL,ID,TRACK_ID,QUALITY,POSITION_X,POSITION_Y,POSITION_Z," +
@@ -214,3 +226,267 @@ describe("loadTrackMate", () => {
     fs.rmSync(dir, { recursive: true });
   });
 });
+
+/**
+ * A calibrated (0.5 um/pixel) model: track 0 is a cell that divides after
+ * frame 1, track 1 is filtered out, and spot 7 is hidden.
+ */
+const MODEL_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<TrackMate version="7.13.2">
+  <Model spatialunits="micron" timeunits="sec">
+    <AllSpots nspots="8">
+      <SpotsInFrame frame="0">
+        <Spot ID="0" name="ID0" QUALITY="9.5" POSITION_X="5.0" POSITION_Y="10.0" POSITION_Z="0.0" POSITION_T="0.0" FRAME="0" RADIUS="2.5" VISIBILITY="1" />
+        <Spot ID="5" name="ID5" QUALITY="3.0" POSITION_X="40.0" POSITION_Y="40.0" POSITION_Z="0.0" POSITION_T="0.0" FRAME="0" RADIUS="2.5" VISIBILITY="1" />
+        <Spot ID="7" name="ID7" QUALITY="1.0" POSITION_X="1.0" POSITION_Y="1.0" POSITION_Z="0.0" POSITION_T="0.0" FRAME="0" RADIUS="2.5" VISIBILITY="0" />
+      </SpotsInFrame>
+      <SpotsInFrame frame="1">
+        <Spot ID="1" name="ID1" QUALITY="9.0" POSITION_X="6.0" POSITION_Y="10.0" POSITION_Z="0.0" POSITION_T="2.0" FRAME="1" RADIUS="2.5" VISIBILITY="1" />
+        <Spot ID="6" name="ID6" QUALITY="3.0" POSITION_X="41.0" POSITION_Y="40.0" POSITION_Z="0.0" POSITION_T="2.0" FRAME="1" RADIUS="2.5" VISIBILITY="1" />
+      </SpotsInFrame>
+      <SpotsInFrame frame="2">
+        <Spot ID="2" name="ID2" QUALITY="8.0" POSITION_X="4.0" POSITION_Y="12.0" POSITION_Z="0.0" POSITION_T="4.0" FRAME="2" RADIUS="2.5" VISIBILITY="1" />
+        <Spot ID="3" name="ID3" QUALITY="8.5" POSITION_X="8.0" POSITION_Y="12.0" POSITION_Z="0.0" POSITION_T="4.0" FRAME="2" RADIUS="2.5" VISIBILITY="1" />
+      </SpotsInFrame>
+      <SpotsInFrame frame="3">
+        <Spot ID="4" name="ID4" QUALITY="8.0" POSITION_X="4.0" POSITION_Y="14.0" POSITION_Z="0.0" POSITION_T="6.0" FRAME="3" RADIUS="2.5" VISIBILITY="1" />
+      </SpotsInFrame>
+    </AllSpots>
+    <AllTracks>
+      <Track name="Track_0" TRACK_ID="0" NUMBER_SPLITS="1">
+        <Edge SPOT_SOURCE_ID="0" SPOT_TARGET_ID="1" LINK_COST="0.5" />
+        <Edge SPOT_SOURCE_ID="1" SPOT_TARGET_ID="2" LINK_COST="1.5" />
+        <Edge SPOT_SOURCE_ID="3" SPOT_TARGET_ID="1" LINK_COST="2.5" />
+        <Edge SPOT_SOURCE_ID="2" SPOT_TARGET_ID="4" LINK_COST="0.25" />
+      </Track>
+      <Track name="Track_1" TRACK_ID="1">
+        <Edge SPOT_SOURCE_ID="5" SPOT_TARGET_ID="6" LINK_COST="0.1" />
+      </Track>
+    </AllTracks>
+    <FilteredTracks>
+      <TrackID TRACK_ID="0" />
+    </FilteredTracks>
+  </Model>
+  <Settings>
+    <ImageData filename="cells.tif" folder="/data/" width="64" height="48" nslices="1" nframes="4" pixelwidth="0.5" pixelheight="0.5" voxeldepth="1.0" timeinterval="2.0" />
+  </Settings>
+</TrackMate>
+`;
+
+describe("readTrackMateXml", () => {
+  it("reads spots as centroids in pixels", () => {
+    expect(isTrackMateXml(MODEL_XML)).toBe(true);
+    expect(isTrackMateXml("<annotations/>")).toBe(false);
+
+    const labels = readTrackMateXml(MODEL_XML);
+    // Spot 7 is hidden.
+    expect(labels.centroids).toHaveLength(7);
+    expect(labels.labeledFrames.map((lf) => lf.frameIdx)).toEqual([0, 1, 2, 3]);
+
+    const c0 = labels.labeledFrames[0].centroids[0] as PredictedCentroid;
+    expect(c0).toBeInstanceOf(PredictedCentroid);
+    expect(c0.xy).toEqual([10, 20]);
+    expect(c0.z).toBeNull();
+    expect(c0.score).toBeCloseTo(9.5);
+    expect(c0.name).toBe("ID0");
+    expect(c0.source).toBe("trackmate");
+
+    expect(labels.videos).toHaveLength(1);
+    expect(labels.videos[0].filename).toBe("/data/cells.tif");
+    expect(labels.videos[0].shape).toEqual([4, 48, 64, 1]);
+    expect(labels.provenance.trackmate_image).toMatchObject({
+      pixelWidth: 0.5,
+      spatialUnits: "micron",
+      timeInterval: 2,
+    });
+  });
+
+  it("cuts branching tracks into segments and records split events", () => {
+    const labels = readTrackMateXml(MODEL_XML);
+    expect(labels.tracks.map((t) => t.name)).toEqual([
+      "Track_0.0",
+      "Track_0.1",
+      "Track_0.2",
+    ]);
+
+    const byName = (name: string) =>
+      labels.centroids.filter((c) => c.track?.name === name);
+    expect(byName("Track_0.0").map((c) => c.name)).toEqual(["ID0", "ID1"]);
+    expect(byName("Track_0.1").map((c) => c.name)).toEqual(["ID2", "ID4"]);
+    expect(byName("Track_0.2").map((c) => c.name)).toEqual(["ID3"]);
+
+    // Edge 3 -> 1 is stored backwards; it is oriented forward in time.
+    expect(byName("Track_0.2")[0].trackingScore).toBeCloseTo(2.5);
+    expect(byName("Track_0.1")[1].trackingScore).toBeCloseTo(0.25);
+    expect(byName("Track_0.0")[0].trackingScore).toBeNull();
+
+    // Track 1 is not in <FilteredTracks>: its spots are untracked.
+    expect(
+      labels.centroids.filter((c) => c.name === "ID5")[0].track,
+    ).toBeNull();
+
+    expect(labels.provenance.trackmate_events).toEqual([
+      {
+        type: "split",
+        frameIdx: 1,
+        parents: ["Track_0.0"],
+        children: ["Track_0.1", "Track_0.2"],
+      },
+    ] satisfies TrackMateEvent[]);
+  });
+
+  it("records merge events and reads unfiltered models", () => {
+    const merged = MODEL_XML.replace(
+      '<Spot ID="4" name="ID4" QUALITY="8.0" POSITION_X="4.0"',
+      '<Spot ID="4" name="ID4" QUALITY="8.0" POSITION_X="6.0"',
+    ).replace(
+      '<Edge SPOT_SOURCE_ID="2" SPOT_TARGET_ID="4" LINK_COST="0.25" />',
+      '<Edge SPOT_SOURCE_ID="2" SPOT_TARGET_ID="4" LINK_COST="0.25" />\n' +
+        '        <Edge SPOT_SOURCE_ID="3" SPOT_TARGET_ID="4" LINK_COST="0.75" />',
+    );
+    const labels = readTrackMateXml(merged, { filteredOnly: false });
+    expect(labels.centroids).toHaveLength(8);
+    expect(labels.tracks.map((t) => t.name)).toEqual([
+      "Track_0.0",
+      "Track_0.1",
+      "Track_0.2",
+      "Track_0.3",
+      "Track_1",
+    ]);
+    const events = labels.provenance.trackmate_events as TrackMateEvent[];
+    expect(events.map((e) => e.type)).toEqual(["split", "merge"]);
+    expect(events[1]).toEqual({
+      type: "merge",
+      frameIdx: 3,
+      parents: ["Track_0.1", "Track_0.2"],
+      children: ["Track_0.3"],
+    });
+  });
+
+  it("throws for other XML", () => {
+    expect(() => readTrackMateXml("<annotations/>")).toThrow(
+      /Not a TrackMate XML/,
+    );
+  });
+});
+
+describe("writeTrackMateXml", () => {
+  it("round-trips spots, tracks, splits and calibration", () => {
+    const labels = readTrackMateXml(MODEL_XML);
+    const xml = writeTrackMateXml(labels);
+    expect(isTrackMateXml(xml)).toBe(true);
+    expect(xml).toContain('spatialunits="micron"');
+    expect(xml).toContain('filename="cells.tif" folder="/data/"');
+
+    const again = readTrackMateXml(xml);
+    expect(again.centroids).toHaveLength(7);
+    expect(again.centroids.map((c) => c.xy)).toEqual(
+      labels.centroids.map((c) => c.xy),
+    );
+    expect(again.tracks.map((t) => t.name)).toEqual(
+      labels.tracks.map((t) => t.name),
+    );
+    expect(again.provenance.trackmate_events).toEqual(
+      labels.provenance.trackmate_events,
+    );
+    const scores = (l: Labels) =>
+      l.centroids.map((c) => [(c as PredictedCentroid).score, c.trackingScore]);
+    expect(scores(again)).toEqual(scores(labels));
+  });
+
+  it("writes user centroids and tracks in pixels", () => {
+    const video = new Video({ filename: "movie.mp4", openBackend: false });
+    video.shape = [10, 100, 200, 1];
+    const mouse = new Track("mouse");
+    const labels = new Labels({
+      labeledFrames: [0, 2, 3].map(
+        (frameIdx) =>
+          new LabeledFrame({
+            video,
+            frameIdx,
+            centroids: [
+              new UserCentroid({ x: frameIdx, y: 5, track: mouse }),
+              new UserCentroid({ x: 50, y: 50 }),
+            ],
+          }),
+      ),
+      videos: [video],
+      tracks: [mouse],
+    });
+
+    const xml = writeTrackMateXml(labels, { radius: 3 });
+    expect(xml).toContain('spatialunits="pixel"');
+    expect(xml).toContain('width="200" height="100"');
+    expect(xml).toContain('NUMBER_GAPS="1"');
+
+    const again = readTrackMateXml(xml);
+    expect(again.centroids).toHaveLength(6);
+    expect(again.tracks.map((t) => t.name)).toEqual(["mouse"]);
+    expect(again.centroids.filter((c) => c.track).map((c) => c.x)).toEqual([
+      0, 2, 3,
+    ]);
+    expect(again.centroids.filter((c) => !c.track)).toHaveLength(3);
+    expect(again.provenance.trackmate_events).toBeUndefined();
+  });
+
+  it("writes one SpotsInFrame per frame index", () => {
+    const video = new Video({ filename: "movie.mp4", openBackend: false });
+    const labels = new Labels({
+      labeledFrames: [1, 2, 5].map(
+        (x) =>
+          new LabeledFrame({
+            video,
+            frameIdx: x === 5 ? 1 : 0,
+            centroids: [new UserCentroid({ x, y: 1 })],
+          }),
+      ),
+      videos: [video],
+    });
+
+    const xml = writeTrackMateXml(labels);
+    expect(xml.match(/<SpotsInFrame frame="0">/g)).toHaveLength(1);
+    expect(xml.match(/<SpotsInFrame frame="1">/g)).toHaveLength(1);
+    const again = readTrackMateXml(xml);
+    expect(again.centroids.map((c) => c.x)).toEqual([1, 2, 5]);
+  });
+
+  it("throws for centroids on several videos", () => {
+    const labels = new Labels({
+      labeledFrames: ["a.mp4", "b.mp4"].map(
+        (filename) =>
+          new LabeledFrame({
+            video: new Video({ filename, openBackend: false }),
+            frameIdx: 0,
+            centroids: [new UserCentroid({ x: 1, y: 1 })],
+          }),
+      ),
+    });
+    expect(() => writeTrackMateXml(labels)).toThrow(/single video/);
+  });
+});
+
+describe("loadTrackMateXml / saveTrackMate", () => {
+  it("saves and loads through the file system", () => {
+    const dir = tmpDir();
+    const xmlPath = path.join(dir, "model.xml");
+    fs.writeFileSync(xmlPath, MODEL_XML);
+    fs.writeFileSync(path.join(dir, "cells.tif"), "");
+    expect(isTrackMateFile(xmlPath)).toBe(true);
+
+    // The missing /data/cells.tif is found next to the XML file.
+    const labels = loadTrackMate(xmlPath);
+    expect(labels.videos[0].filename).toBe(path.join(dir, "cells.tif"));
+    expect(labels.provenance.filename).toBe(xmlPath);
+
+    const outPath = path.join(dir, "out", "export.xml");
+    saveTrackMate(labels, outPath);
+    const again = loadTrackMateXml(outPath);
+    expect(again.centroids).toHaveLength(7);
+    expect(again.tracks).toHaveLength(3);
+    expect(() => loadTrackMateXml(path.join(dir, "missing.xml"))).toThrow(
+      /not found/,
+    );
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
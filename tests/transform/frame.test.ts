@@ -19,10 +19,15 @@
  *     crop (2,0,4,2) f=[10,20,30,40]       -> per-channel pad
  *
  * Also asserts cropFrame THROWS on a raw ImageBitmap (its pixels are not
- * synchronously readable; rasterization is the backend's job).
+ * synchronously readable; rasterization is the backend's job), and covers
+ * `resizeFrame` on small hand-computed inputs.
  */
 import { describe, it, expect } from "../bun-test";
-import { cropFrame, type RawFrame } from "../../src/transform/frame.js";
+import {
+  cropFrame,
+  resizeFrame,
+  type RawFrame,
+} from "../../src/transform/frame.js";
 
 /** A deterministic grayscale RawFrame: data[i] = i, shape (h, w, 1). */
 function grayFrame(w: number, h: number): RawFrame {
@@ -144,3 +149,70 @@ describe("cropFrame — rejects a raw ImageBitmap", () => {
     ).toThrow(/ImageBitmap/);
   });
 });
+
+describe("resizeFrame", () => {
+  it("downscales a 4x4 frame with each interpolation", () => {
+    const nearest = resizeFrame(grayFrame(4, 4), [2, 2], "nearest");
+    expect(nearest.width).toBe(2);
+    expect(nearest.height).toBe(2);
+    expect(nearest.channels).toBe(1);
+    // Source pixel under each output center: rows/cols 1 and 3.
+    expect(Array.from(nearest.data)).toEqual([5, 7, 13, 15]);
+
+    // 2x2 block means (2.5, 4.5, 10.5, 12.5), rounded half up.
+    const area = resizeFrame(grayFrame(4, 4), [2, 2], "area");
+    expect(Array.from(area.data)).toEqual([3, 5, 11, 13]);
+    // At an exact 2x reduction bilinear samples between the same pixels.
+    const bilinear = resizeFrame(grayFrame(4, 4), [2, 2]);
+    expect(Array.from(bilinear.data)).toEqual([3, 5, 11, 13]);
+  });
+
+  it("upscales with half-pixel centers and edge clamping", () => {
+    const src: RawFrame = {
+      data: new Uint8Array([0, 100]),
+      width: 2,
+      height: 1,
+      channels: 1,
+    };
+    const bilinear = resizeFrame(src, [1, 4], "bilinear");
+    expect(Array.from(bilinear.data)).toEqual([0, 25, 75, 100]);
+    // Area falls back to bilinear when enlarging.
+    expect(Array.from(resizeFrame(src, [1, 4], "area").data)).toEqual([
+      0, 25, 75, 100,
+    ]);
+    expect(Array.from(resizeFrame(src, [1, 4], "nearest").data)).toEqual([
+      0, 0, 100, 100,
+    ]);
+  });
+
+  it("resamples every RGBA lane and keeps ImageData output", () => {
+    const imageData = {
+      data: new Uint8ClampedArray([
+        0, 10, 20, 255, 40, 50, 60, 255, 80, 90, 100, 255, 120, 130, 140, 255,
+      ]),
+      width: 2,
+      height: 2,
+      colorSpace: "srgb",
+    } as ImageData;
+    const out = resizeFrame(imageData, [1, 1], "area");
+    expect((out as unknown as RawFrame).channels).toBeUndefined();
+    expect(out.data).toBeInstanceOf(Uint8ClampedArray);
+    expect(Array.from(out.data)).toEqual([60, 70, 80, 255]);
+  });
+
+  it("rejects invalid sizes, unknown methods and ImageBitmaps", () => {
+    expect(() => resizeFrame(grayFrame(4, 4), [0, 2])).toThrow(
+      /Invalid resize size \[0, 2\]/,
+    );
+    expect(() => resizeFrame(grayFrame(4, 4), [2, 2.5])).toThrow(
+      /positive integer/,
+    );
+    expect(() =>
+      resizeFrame(grayFrame(4, 4), [2, 2], "cubic" as "area"),
+    ).toThrow(/Unknown resize interpolation 'cubic'/);
+    const fakeBitmap = { width: 4, height: 4, close() {} };
+    expect(() =>
+      resizeFrame(fakeBitmap as unknown as ImageData, [2, 2]),
+    ).toThrow(/ImageBitmap/);
+  });
+});
@@ -1,5 +1,6 @@
 /**
- * Unit tests for the crop point-coordinate transforms (`src/transform/points.ts`).
+ * Unit tests for the crop (and resize) point-coordinate transforms
+ * (`src/transform/points.ts`).
  *
  * Ports the behavior of Python `sleap_io/transform/points.py`
  * (`crop_points`/`uncrop_points`). Golden values were computed from the
@@ -17,6 +18,8 @@ import { describe, it, expect } from "../bun-test";
 import {
   cropPoints,
   uncropPoints,
+  scalePoints,
+  unscalePoints,
   type CropRect,
 } from "../../src/transform/points.js";
 
@@ -122,3 +125,40 @@ describe("cropPoints / uncropPoints — flat interleaved buffers", () => {
     expect(Array.from(restored)).toEqual(Array.from(buf));
   });
 });
+
+describe("scalePoints / unscalePoints", () => {
+  it("scales pairs per axis and preserves NaN", () => {
+    const out = scalePoints(
+      [
+        [10, 20],
+        [NaN, 4],
+      ],
+      [0.5, 0.25],
+    );
+    expect(out[0]).toEqual([5, 5]);
+    expect(out[1][0]).toBeNaN();
+    expect(out[1][1]).toBe(1);
+    expect(unscalePoints(out, [0.5, 0.25])[0]).toEqual([10, 20]);
+  });
+
+  it("scales typed and plain flat buffers by a scalar, copy-based", () => {
+    const buf = new Float32Array([3, 6, 9, 12]);
+    const out = scalePoints(buf, 2);
+    expect(out).toBeInstanceOf(Float32Array);
+    expect(Array.from(out)).toEqual([6, 12, 18, 24]);
+    expect(Array.from(buf)).toEqual([3, 6, 9, 12]); // input unmutated
+
+    const plain = [7, 11];
+    expect(unscalePoints(scalePoints(plain, 0.25), 0.25)).toEqual(plain);
+  });
+
+  it("rejects non-positive or non-finite factors", () => {
+    expect(() => scalePoints([1, 2], 0)).toThrow(/Invalid scale factor 0/);
+    expect(() => unscalePoints([1, 2], [1, -2])).toThrow(
+      /Invalid scale factor \[1,-2\]/,
+    );
+    expect(() => scalePoints([1, 2], Number.POSITIVE_INFINITY)).toThrow(
+      /Invalid scale factor/,
+    );
+  });
+});
@@ -0,0 +1,501 @@
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import {
+  AviVideoBackend,
+  AviHeader,
+  AviIndex,
+} from "../../src/video/avi-video";
+import { RangeByteSource } from "../../src/video/seq-video";
+import "../../src/video/seq-node"; // register node:fs byte source
+import {
+  createVideoBackend,
+  UnsupportedVideoFormatError,
+} from "../../src/video/factory";
+import { loadVideo } from "../../src/io/main";
+
+// ---------------------------------------------------------------------------
+// AVI builder
+// ---------------------------------------------------------------------------
+
+const ascii = (s: string) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  for (const p of parts) {
+    out.set(p, off);
+    off += p.length;
+  }
+  return out;
+}
+
+function u32s(...values: number[]): Uint8Array {
+  const buf = new Uint8Array(values.length * 4);
+  const dv = new DataView(buf.buffer);
+  values.forEach((v, i) => {
+    dv.setUint32(i * 4, v, true);
+  });
+  return buf;
+}
+
+/** A RIFF chunk with its header and pad byte. */
+function chunk(id: string, data: Uint8Array): Uint8Array {
+  const pad = data.length & 1 ? [new Uint8Array(1)] : [];
+  return concat([ascii(id), u32s(data.length), data, ...pad]);
+}
+
+function list(type: string, ...children: Uint8Array[]): Uint8Array {
+  return chunk("LIST", concat([ascii(type), ...children]));
+}
+
+interface AviSpec {
+  width: number;
+  height: number;
+  bitCount: number;
+  compression?: string; // FourCC; BI_RGB when omitted
+  rate?: number;
+  scale?: number;
+  topDown?: boolean;
+  palette?: [number, number, number][];
+  frames: Uint8Array[]; // zero-length = dropped frame
+  index?: "idx1" | "idx1-absolute" | "odml" | "none";
+  audioFirst?: boolean;
+}
+
+function buildAvi(spec: AviSpec): Uint8Array {
+  const stream = spec.audioFirst ? "01" : "00";
+  const tag = `${stream}${spec.compression ? "dc" : "db"}`;
+  const index = spec.index ?? "idx1";
+
+  const assemble = (ixOffset: number) => {
+    const strh = concat([
+      ascii("vids"),
+      ascii(spec.compression ?? "\0\0\0\0"),
+      u32s(0, 0, 0),
+      u32s(spec.scale ?? 1, spec.rate ?? 25, 0, spec.frames.length),
+      new Uint8Array(24),
+    ]);
+    const bih = new Uint8Array(40);
+    const dv = new DataView(bih.buffer);
+    dv.setUint32(0, 40, true);
+    dv.setInt32(4, spec.width, true);
+    dv.setInt32(8, spec.topDown ? -spec.height : spec.height, true);
+    dv.setUint16(12, 1, true);
+    dv.setUint16(14, spec.bitCount, true);
+    if (spec.compression) bih.set(ascii(spec.compression), 16);
+    dv.setUint32(32, spec.palette?.length ?? 0, true);
+    const palette = (spec.palette ?? []).map(([r, g, b]) =>
+      Uint8Array.of(b, g, r, 0),
+    );
+    const strl = [
+      chunk("strh", strh),
+      chunk("strf", concat([bih, ...palette])),
+    ];
+    if (index === "odml") {
+      const indx = new Uint8Array(24 + 16);
+      const iv = new DataView(indx.buffer);
+      iv.setUint16(0, 4, true);
+      iv.setUint32(4, 1, true);
+      indx.set(ascii(tag), 8);
+      iv.setBigUint64(24, BigInt(ixOffset), true);
+      strl.push(chunk("indx", indx));
+    }
+    const audio = spec.audioFirst
+      ? [
+          list(
+            "strl",
+            chunk("strh", concat([ascii("auds"), new Uint8Array(52)])),
+            chunk("strf", new Uint8Array(18)),
+          ),
+        ]
+      : [];
+    const avih = u32s(
+      Math.round(1e6 / ((spec.rate ?? 25) / (spec.scale ?? 1))),
+      0,
+      0,
+      0,
+      spec.frames.length,
+      0,
+      audio.length + 1,
+      0,
+      spec.width,
+      spec.height,
+      0,
+      0,
+      0,
+      0,
+    );
+    const hdrl = list(
+      "hdrl",
+      chunk("avih", avih),
+      ...audio,
+      list("strl", ...strl),
+    );
+
+    // movi chunks, a JUNK chunk first so the data is not at the list start.
+    const moviStart = 12 + hdrl.length + 8; // the 'movi' FourCC
+    const chunks: Uint8Array[] = [chunk("JUNK", new Uint8Array(3))];
+    const positions: number[] = [];
+    let pos = moviStart + 4 + chunks[0].length;
+    for (const frame of spec.frames) {
+      positions.push(pos);
+      const c = chunk(tag, frame);
+      chunks.push(c);
+      pos += c.length;
+    }
+    const ixPos = pos;
+    if (index === "odml") {
+      const ix = new Uint8Array(24 + spec.frames.length * 8);
+      const xv = new DataView(ix.buffer);
+      xv.setUint16(0, 2, true);
+      xv.setUint8(3, 1);
+      xv.setUint32(4, spec.frames.length, true);
+      ix.set(ascii(tag), 8);
+      xv.setBigUint64(12, BigInt(moviStart), true);
+      spec.frames.forEach((frame, i) => {
+        xv.setUint32(24 + i * 8, positions[i] + 8 - moviStart, true);
+        xv.setUint32(28 + i * 8, frame.length | (i > 0 ? 0x80000000 : 0), true);
+      });
+      chunks.push(chunk(`ix${stream}`, ix));
+    }
+    const movi = list("movi", ...chunks);
+
+    const tail: Uint8Array[] = [];
+    if (index === "idx1" || index === "idx1-absolute") {
+      const entries = spec.frames.map((frame, i) =>
+        concat([
+          ascii(tag),
+          u32s(
+            0x10,
+            index === "idx1" ? positions[i] - moviStart : positions[i],
+            frame.length,
+          ),
+        ]),
+      );
+      tail.push(chunk("idx1", concat(entries)));
+    }
+    const body = concat([ascii("AVI "), hdrl, movi, ...tail]);
+    return { bytes: concat([ascii("RIFF"), u32s(body.length), body]), ixPos };
+  };
+
+  return assemble(assemble(0).ixPos).bytes;
+}
+
+/** Bottom-up (or top-down) BGR DIB rows, padded to 4 bytes, from RGB rows. */
+function dib24(
+  rows: [number, number, number][][],
+  topDown = false,
+): Uint8Array {
+  const width = rows[0].length;
+  const stride = Math.ceil((width * 3) / 4) * 4;
+  const out = new Uint8Array(stride * rows.length);
+  const ordered = topDown ? rows : [...rows].reverse();
+  ordered.forEach((row, y) => {
+    row.forEach(([r, g, b], x) => {
+      out.set([b, g, r], y * stride + x * 3);
+    });
+  });
+  return out;
+}
+
+function px(img: ImageData, x: number, y: number): number[] {
+  const i = (y * img.width + x) * 4;
+  return Array.from(img.data.subarray(i, i + 4));
+}
+
+const blobOf = (bytes: Uint8Array): Blob =>
+  new Blob([bytes.buffer as ArrayBuffer]);
+
+/** A solid 3x2 frame. */
+const solid = (rgb: [number, number, number]) =>
+  dib24([
+    [rgb, rgb, rgb],
+    [rgb, rgb, rgb],
+  ]);
+
+/** A minimal JPEG header with `components` channels and no DHT segment. */
+function jpegStub(components: number, dht = false): Uint8Array {
+  const sof = [0xff, 0xc0, 0, 8 + 3 * components, 8, 0, 2, 0, 3, components];
+  for (let c = 0; c < components; c++) sof.push(c + 1, 0x11, 0);
+  return Uint8Array.from([
+    0xff,
+    0xd8,
+    ...[0xff, 0xe0, 0, 8, 0x41, 0x56, 0x49, 0x31, 0, 0], // APP0 "AVI1"
+    ...(dht ? [0xff, 0xc4, 0, 3, 0] : []),
+    ...sof,
+    ...[0xff, 0xda, 0, 8, 1, 1, 0, 0, 0x3f, 0],
+    0x12,
+    0x34,
+    0xff,
+    0xd9,
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe("AviVideoBackend", () => {
+  it("reads uncompressed 24-bit frames through idx1", async () => {
+    const frame = dib24([
+      [
+        [255, 0, 0],
+        [0, 255, 0],
+        [0, 0, 255],
+      ],
+      [
+        [10, 20, 30],
+        [40, 50, 60],
+        [70, 80, 90],
+      ],
+    ]);
+    const bytes = buildAvi({
+      width: 3,
+      height: 2,
+      bitCount: 24,
+      rate: 30000,
+      scale: 1001,
+      frames: [frame, solid([1, 2, 3]), solid([4, 5, 6])],
+    });
+    const backend = await AviVideoBackend.create(blobOf(bytes), "rig.avi");
+
+    expect(backend.filename).toBe("rig.avi");
+    expect(backend.shape).toEqual([3, 2, 3, 3]);
+    expect(backend.fps).toBeCloseTo(29.97, 2);
+    expect(backend.header.compression).toBe("BI_RGB");
+    expect(backend.header.bottomUp).toBe(true);
+
+    const img = (await backend.getFrame(0)) as ImageData;
+    expect([img.width, img.height]).toEqual([3, 2]);
+    expect(px(img, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(px(img, 2, 0)).toEqual([0, 0, 255, 255]);
+    expect(px(img, 1, 1)).toEqual([40, 50, 60, 255]);
+    expect(px((await backend.getFrame(-1)) as ImageData, 2, 1)).toEqual([
+      4, 5, 6, 255,
+    ]);
+    expect(await backend.getFrame(3)).toBeNull();
+
+    const times = (await backend.getFrameTimes()) as number[];
+    expect(times[2]).toBeCloseTo(2002 / 30000, 9);
+    backend.close();
+  });
+
+  it("finds frames with absolute idx1 offsets, a later stream, or no index", async () => {
+    const frames = [solid([9, 9, 9]), solid([7, 8, 9])];
+    for (const spec of [
+      { index: "idx1-absolute" as const },
+      { index: "idx1" as const, audioFirst: true },
+      { index: "none" as const, audioFirst: true },
+    ]) {
+      const backend = await AviVideoBackend.create(
+        blobOf(
+          buildAvi({ width: 3, height: 2, bitCount: 24, frames, ...spec }),
+        ),
+      );
+      expect(backend.header.streamIndex).toBe(spec.audioFirst ? 1 : 0);
+      expect(backend.numFrames).toBe(2);
+      expect(px((await backend.getFrame(1)) as ImageData, 0, 0)).toEqual([
+        7, 8, 9, 255,
+      ]);
+    }
+  });
+
+  it("reads the OpenDML index and repeats dropped frames", async () => {
+    const bytes = buildAvi({
+      width: 3,
+      height: 2,
+      bitCount: 24,
+      index: "odml",
+      frames: [solid([1, 1, 1]), new Uint8Array(0), solid([3, 3, 3])],
+    });
+    const backend = await AviVideoBackend.create(blobOf(bytes));
+    expect(backend.header.superIndex).not.toBeNull();
+    expect(backend.numFrames).toBe(3);
+    const dropped = (await backend.getFrame(1)) as ImageData;
+    expect(px(dropped, 0, 0)).toEqual([1, 1, 1, 255]);
+    expect(px((await backend.getFrame(2)) as ImageData, 0, 0)).toEqual([
+      3, 3, 3, 255,
+    ]);
+  });
+
+  it("reads 8-bit grayscale and palette frames", async () => {
+    const gray = buildAvi({
+      width: 3,
+      height: 1,
+      bitCount: 8,
+      topDown: true,
+      palette: Array.from({ length: 256 }, (_, i) => [i, i, i]),
+      frames: [Uint8Array.of(0, 100, 200, 0)],
+    });
+    const grayBackend = await AviVideoBackend.create(blobOf(gray));
+    expect(grayBackend.shape).toEqual([1, 1, 3, 1]);
+    expect(px((await grayBackend.getFrame(0)) as ImageData, 1, 0)).toEqual([
+      100, 100, 100, 255,
+    ]);
+
+    const colored = buildAvi({
+      width: 2,
+      height: 1,
+      bitCount: 8,
+      palette: [
+        [0, 0, 0],
+        [255, 128, 0],
+      ],
+      frames: [Uint8Array.of(1, 0, 0, 0)],
+    });
+    const colorBackend = await AviVideoBackend.create(blobOf(colored));
+    expect(colorBackend.shape).toEqual([1, 1, 2, 3]);
+    expect(px((await colorBackend.getFrame(0)) as ImageData, 0, 0)).toEqual([
+      255, 128, 0, 255,
+    ]);
+
+    const y800 = buildAvi({
+      width: 2,
+      height: 2,
+      bitCount: 8,
+      compression: "Y800",
+      frames: [Uint8Array.of(1, 2, 3, 4)],
+    });
+    const y800Backend = await AviVideoBackend.create(blobOf(y800));
+    expect(y800Backend.shape).toEqual([1, 2, 2, 1]);
+    // Y800 rows are top-down and unpadded.
+    expect(px((await y800Backend.getFrame(0)) as ImageData, 0, 1)).toEqual([
+      3, 3, 3, 255,
+    ]);
+  });
+
+  it("restores the Huffman tables MJPEG frames omit", async () => {
+    const bytes = buildAvi({
+      width: 16,
+      height: 8,
+      bitCount: 24,
+      compression: "MJPG",
+      frames: [jpegStub(1), jpegStub(3, true)],
+    });
+    const backend = await AviVideoBackend.create(blobOf(bytes));
+    // The first frame's SOF has a single component.
+    expect(backend.shape).toEqual([2, 8, 16, 1]);
+    expect(backend.header.isMjpeg).toBe(true);
+
+    const restored = (await backend.getFrameBytes(0)) as Uint8Array;
+    const stub = jpegStub(1);
+    const sos = stub.indexOf(0xda) - 1;
+    expect(Array.from(restored.subarray(0, sos))).toEqual(
+      Array.from(stub.subarray(0, sos)),
+    );
+    expect([restored[sos], restored[sos + 1]]).toEqual([0xff, 0xc4]);
+    const dhtLength = (restored[sos + 2] << 8) | restored[sos + 3];
+    // Four tables: 17 bytes of class/counts each plus 12 + 12 + 162 + 162 values.
+    expect(dhtLength).toBe(2 + 4 * 17 + 12 + 12 + 162 + 162);
+    expect(Array.from(restored.subarray(sos + 2 + dhtLength))).toEqual(
+      Array.from(stub.subarray(sos)),
+    );
+
+    // Frames that carry their own tables are passed through untouched.
+    expect(await backend.getFrameBytes(1)).toEqual(jpegStub(3, true));
+  });
+
+  it("decodes MJPEG frames", async () => {
+    const sc = await import("skia-canvas");
+    const canvas = new sc.Canvas(8, 8);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "rgb(200, 40, 40)";
+    ctx.fillRect(0, 0, 8, 8);
+    const jpeg = new Uint8Array(await canvas.toBuffer("jpeg", { quality: 1 }));
+    const backend = await AviVideoBackend.create(
+      blobOf(
+        buildAvi({
+          width: 8,
+          height: 8,
+          bitCount: 24,
+          compression: "MJPG",
+          frames: [jpeg],
+        }),
+      ),
+    );
+    const [r, g, b] = px((await backend.getFrame(0)) as ImageData, 4, 4);
+    expect(Math.abs(r - 200)).toBeLessThan(8);
+    expect(Math.abs(g - 40)).toBeLessThan(8);
+    expect(Math.abs(b - 40)).toBeLessThan(8);
+  });
+
+  it("opens paths and RangeSources, through the factory too", async () => {
+    const bytes = buildAvi({
+      width: 3,
+      height: 2,
+      bitCount: 24,
+      frames: [solid([5, 6, 7])],
+    });
+    const reads: number[] = [];
+    const rangeBackend = await AviVideoBackend.create(
+      {
+        size: bytes.length,
+        readRange: async (offset, length) => {
+          reads.push(length);
+          return bytes.slice(offset, offset + length);
+        },
+      },
+      "remote.avi",
+    );
+    expect(rangeBackend.filename).toBe("remote.avi");
+    expect(reads.every((n) => n < bytes.length)).toBe(true);
+    expect(px((await rangeBackend.getFrame(0)) as ImageData, 0, 0)).toEqual([
+      5, 6, 7, 255,
+    ]);
+
+    const source = new RangeByteSource({
+      size: 4,
+      readRange: async () => new Uint8Array(2),
+    });
+    expect(await source.read(3, 10)).toHaveLength(2);
+    expect(await source.read(4, 10)).toHaveLength(0);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "avi-test-"));
+    try {
+      const filename = path.join(dir, "clip.avi");
+      fs.writeFileSync(filename, bytes);
+      const backend = await createVideoBackend(filename);
+      expect(backend).toBeInstanceOf(AviVideoBackend);
+      backend.close();
+      const video = await loadVideo(filename);
+      expect(video.shape).toEqual([1, 2, 3, 3]);
+      video.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it("rejects non-AVI files and unsupported codecs", async () => {
+    await expect(
+      AviVideoBackend.create(blobOf(ascii("RIFF\0\0\0\0WAVE"))),
+    ).rejects.toThrow(/Not an AVI file/);
+    const xvid = buildAvi({
+      width: 2,
+      height: 2,
+      bitCount: 12,
+      compression: "XVID",
+      frames: [new Uint8Array(4)],
+    });
+    const err = await AviVideoBackend.create(blobOf(xvid)).catch((e) => e);
+    expect(err).toBeInstanceOf(UnsupportedVideoFormatError);
+    expect(err.extension).toBe("avi");
+    expect(err.message).toMatch(/Unsupported AVI codec 'XVID'/);
+
+    // The factory surfaces the same class for an .avi path.
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "avi-xvid-"));
+    try {
+      const filename = path.join(dir, "xvid.avi");
+      fs.writeFileSync(filename, xvid);
+      const viaFactory = await createVideoBackend(filename).catch((e) => e);
+      expect(viaFactory).toBeInstanceOf(UnsupportedVideoFormatError);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+    expect(() => AviHeader.fromHdrl(new Uint8Array(0), 0)).toThrow(
+      /no video stream/,
+    );
+    expect(new AviIndex([], []).numFrames).toBe(0);
+  });
+});
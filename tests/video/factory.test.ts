@@ -87,10 +87,10 @@ describe("createVideoBackend", () => {
     await expect(createVideoBackend("stream.ts")).rejects.toThrow(/MediaBunny/);
   });
 
-  // .avi and MPEG program streams (.mpeg/.mpg) have no web decode path: reject
-  // them with a clean, catchable error instead of silently routing to MediaBunny
-  // (which has no AVI/MPEG-PS demuxer and would fail opaquely mid-decode).
-  for (const ext of ["avi", "mpeg", "mpg"]) {
+  // MPEG program streams (.mpeg/.mpg) have no web decode path: reject them
+  // with a clean, catchable error instead of silently routing to MediaBunny
+  // (which has no MPEG-PS demuxer and would fail opaquely mid-decode).
+  for (const ext of ["mpeg", "mpg"]) {
     it(`rejects .${ext} with a catchable UnsupportedVideoFormatError`, async () => {
       const { createVideoBackend, UnsupportedVideoFormatError } = await import(
         "../../src/video/factory.js"
@@ -111,11 +111,19 @@ describe("createVideoBackend", () => {
     });
   }
 
-  it("rejects a Blob/File with an .avi filename", async () => {
+  it("routes a Blob/File with an .avi filename to the AVI parser", async () => {
+    const { createVideoBackend } = await import("../../src/video/factory.js");
+    const file = new File([new Blob(["fake"])], "clip.avi");
+    await expect(createVideoBackend(file)).rejects.toThrow(
+      /Not an AVI file: clip.avi/,
+    );
+  });
+
+  it("rejects a Blob/File with an .mpg filename", async () => {
     const { createVideoBackend, UnsupportedVideoFormatError } = await import(
       "../../src/video/factory.js"
     );
-    const file = new File([new Blob(["fake"])], "clip.avi");
+    const file = new File([new Blob(["fake"])], "clip.mpg");
     await expect(createVideoBackend(file)).rejects.toThrow(
       UnsupportedVideoFormatError,
     );
@@ -0,0 +1,549 @@
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+import { deflate } from "pako";
+import { decode } from "tiff";
+import {
+  TiffStackVideoBackend,
+  parseStackAxes,
+} from "../../src/video/tiff-video";
+import "../../src/video/seq-node"; // register node:fs byte source
+import { createVideoBackend, isImageSource } from "../../src/video/factory";
+import { CropVideoBackend } from "../../src/video/crop-backend";
+import { GrayscaleVideoBackend } from "../../src/video/grayscale-backend";
+import { loadSlp, loadVideo } from "../../src/io/main";
+import { saveSlpToBytes } from "../../src/codecs/slp/write";
+import { Instance } from "../../src/model/instance";
+import { LabeledFrame } from "../../src/model/labeled-frame";
+import { Labels } from "../../src/model/labels";
+import { Skeleton } from "../../src/model/skeleton";
+import { Video } from "../../src/model/video";
+
+const tiffDir = fileURLToPath(new URL("../data/tiff", import.meta.url));
+
+// ---------------------------------------------------------------------------
+// TIFF builder
+// ---------------------------------------------------------------------------
+
+interface PageSpec {
+  width: number;
+  height: number;
+  /** Samples in file order (one per pixel and channel). */
+  samples: number[];
+  bits?: 8 | 16;
+  samplesPerPixel?: number;
+  photometric?: number;
+  compression?: number;
+  colorMap?: number[];
+  description?: string;
+  planar?: number;
+}
+
+interface Entry {
+  tag: number;
+  type: number;
+  values: number[] | string;
+}
+
+/**
+ * Write a multi-page TIFF: each page's strips (two when the page has more
+ * than one row), then its IFD and out-of-line values.
+ */
+function buildTiff(
+  pages: PageSpec[],
+  opts: { bigEndian?: boolean; bigTiff?: boolean } = {},
+): Uint8Array {
+  const le = !opts.bigEndian;
+  const big = opts.bigTiff ?? false;
+  const offsetSize = big ? 8 : 4;
+  const buf = new Uint8Array(1 << 20);
+  const dv = new DataView(buf.buffer);
+  const setOffset = (at: number, v: number) =>
+    big ? dv.setBigUint64(at, BigInt(v), le) : dv.setUint32(at, v, le);
+
+  buf.set(le ? [0x49, 0x49] : [0x4d, 0x4d]);
+  dv.setUint16(2, big ? 43 : 42, le);
+  if (big) dv.setUint16(4, 8, le);
+  let nextPointer = big ? 8 : 4;
+  let pos = big ? 16 : 8;
+
+  const encode = (type: number, values: number[] | string): Uint8Array => {
+    if (typeof values === "string") {
+      return Uint8Array.from(`${values}\0`, (c) => c.charCodeAt(0));
+    }
+    const size = { 3: 2, 4: 4, 5: 8, 16: 8 }[type] ?? 4;
+    const out = new Uint8Array(values.length * size);
+    const view = new DataView(out.buffer);
+    values.forEach((v, i) => {
+      if (type === 3) view.setUint16(i * 2, v, le);
+      else if (type === 16) view.setBigUint64(i * 8, BigInt(v), le);
+      else if (type === 5) {
+        view.setUint32(i * 8, v, le);
+        view.setUint32(i * 8 + 4, 1, le);
+      } else view.setUint32(i * 4, v, le);
+    });
+    return out;
+  };
+
+  for (const page of pages) {
+    const bits = page.bits ?? 8;
+    const spp = page.samplesPerPixel ?? 1;
+    const raw = new Uint8Array((page.samples.length * bits) / 8);
+    const rawView = new DataView(raw.buffer);
+    page.samples.forEach((v, i) => {
+      if (bits === 16) rawView.setUint16(i * 2, v, le);
+      else raw[i] = v;
+    });
+    const rowsPerStrip = Math.max(1, Math.ceil(page.height / 2));
+    const rowBytes = (raw.length / page.height) | 0;
+    const offsets: number[] = [];
+    const counts: number[] = [];
+    for (let y = 0; y < page.height; y += rowsPerStrip) {
+      let strip = raw.subarray(y * rowBytes, (y + rowsPerStrip) * rowBytes);
+      if (page.compression === 8) strip = deflate(strip);
+      offsets.push(pos);
+      counts.push(strip.length);
+      buf.set(strip, pos);
+      pos += strip.length + (strip.length & 1);
+    }
+
+    const offsetType = big ? 16 : 4;
+    const entries: Entry[] = [
+      { tag: 256, type: 3, values: [page.width] },
+      { tag: 257, type: 4, values: [page.height] },
+      { tag: 258, type: 3, values: Array(spp).fill(bits) },
+      { tag: 259, type: 3, values: [page.compression ?? 1] },
+      { tag: 262, type: 3, values: [page.photometric ?? 1] },
+      ...(page.description
+        ? [{ tag: 270, type: 2, values: page.description }]
+        : []),
+      { tag: 273, type: offsetType, values: offsets },
+      { tag: 277, type: 3, values: [spp] },
+      { tag: 278, type: 4, values: [rowsPerStrip] },
+      { tag: 279, type: offsetType, values: counts },
+      { tag: 282, type: 5, values: [72] },
+      ...(page.planar ? [{ tag: 284, type: 3, values: [page.planar] }] : []),
+      ...(page.colorMap ? [{ tag: 320, type: 3, values: page.colorMap }] : []),
+    ];
+
+    const ifd = pos;
+    setOffset(nextPointer, ifd);
+    const entrySize = big ? 20 : 12;
+    if (big) dv.setBigUint64(ifd, BigInt(entries.length), le);
+    else dv.setUint16(ifd, entries.length, le);
+    const first = ifd + (big ? 8 : 2);
+    nextPointer = first + entries.length * entrySize;
+    let extra = nextPointer + offsetSize;
+    entries.forEach(({ tag, type, values }, i) => {
+      const at = first + i * entrySize;
+      const bytes = encode(type, values);
+      dv.setUint16(at, tag, le);
+      dv.setUint16(at + 2, type, le);
+      const count = typeof values === "string" ? bytes.length : values.length;
+      if (big) dv.setBigUint64(at + 4, BigInt(count), le);
+      else dv.setUint32(at + 4, count, le);
+      const valueAt = at + (big ? 12 : 8);
+      if (bytes.length <= offsetSize) buf.set(bytes, valueAt);
+      else {
+        setOffset(valueAt, extra);
+        buf.set(bytes, extra);
+        extra += bytes.length + (bytes.length & 1);
+      }
+    });
+    setOffset(nextPointer, 0);
+    pos = extra;
+  }
+  return buf.slice(0, pos);
+}
+
+/** A gray page filled with `value`. */
+const flat = (value: number, extra: Partial<PageSpec> = {}): PageSpec => ({
+  width: 3,
+  height: 2,
+  samples: Array(6).fill(value),
+  ...extra,
+});
+
+function px(img: ImageData, x: number, y: number): number[] {
+  const i = (y * img.width + x) * 4;
+  return Array.from(img.data.subarray(i, i + 4));
+}
+
+const blobOf = (bytes: Uint8Array): Blob =>
+  new Blob([bytes.buffer as ArrayBuffer]);
+
+const frameAt = async (backend: TiffStackVideoBackend, i: number) =>
+  (await backend.getFrame(i)) as ImageData;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe("TiffStackVideoBackend", () => {
+  it("walks the IFD chain and reads one page per frame", async () => {
+    const bytes = buildTiff([
+      flat(10),
+      { width: 3, height: 2, samples: [1, 2, 3, 4, 5, 6] },
+      flat(30),
+    ]);
+    const reads: [number, number][] = [];
+    const backend = await TiffStackVideoBackend.create(
+      {
+        size: bytes.length,
+        readRange: async (offset, length) => {
+          reads.push([offset, length]);
+          return bytes.slice(offset, offset + length);
+        },
+      },
+      { filename: "stack.tif" },
+    );
+    expect(backend.filename).toBe("stack.tif");
+    expect(backend.shape).toEqual([3, 2, 3, 1]);
+    expect(backend.numPages).toBe(3);
+    expect(backend.axis).toBe("T");
+    expect(backend.fps).toBeUndefined();
+    expect(await backend.getFrameTimes()).toBeNull();
+
+    reads.length = 0;
+    const img = await frameAt(backend, 1);
+    expect([img.width, img.height]).toEqual([3, 2]);
+    expect(px(img, 0, 0)).toEqual([1, 1, 1, 255]);
+    expect(px(img, 2, 1)).toEqual([6, 6, 6, 255]);
+    // Only that page's IFD and strips were read.
+    expect(reads.every(([offset]) => offset >= 20)).toBe(true);
+    expect(px(await frameAt(backend, -1), 0, 0)).toEqual([30, 30, 30, 255]);
+    expect(await backend.getFrame(3)).toBeNull();
+    backend.close();
+  });
+
+  it("sizes metadata reads to the IFD instead of a large window", async () => {
+    const bytes = buildTiff(
+      Array.from({ length: 4 }, (_, i) => ({
+        width: 64,
+        height: 64,
+        samples: new Array(64 * 64).fill(i),
+      })),
+    );
+    const reads: [number, number][] = [];
+    const backend = await TiffStackVideoBackend.create(
+      {
+        size: bytes.length,
+        readRange: async (offset, length) => {
+          reads.push([offset, length]);
+          return bytes.slice(offset, offset + length);
+        },
+      },
+      { filename: "stack.tif" },
+    );
+    expect(backend.numPages).toBe(4);
+    // Each read covers one IFD or tag value plus the read-ahead.
+    expect(reads.length).toBeGreaterThan(4);
+    expect(reads.every(([, length]) => length <= 1024)).toBe(true);
+    backend.close();
+  });
+
+  it("reads big-endian 16-bit, BigTIFF and Deflate pages", async () => {
+    const wide = buildTiff(
+      [{ width: 2, height: 1, bits: 16, samples: [32768, 65535] }],
+      { bigEndian: true },
+    );
+    const backend = await TiffStackVideoBackend.create(blobOf(wide));
+    expect(backend.intensityRange).toEqual([0, 65535]);
+    const img = await frameAt(backend, 0);
+    expect(px(img, 0, 0)).toEqual([128, 128, 128, 255]);
+    expect(px(img, 1, 0)).toEqual([255, 255, 255, 255]);
+
+    const ranged = await TiffStackVideoBackend.create(blobOf(wide), {
+      intensityRange: [32768, 65535],
+    });
+    expect(px(await frameAt(ranged, 0), 0, 0)).toEqual([0, 0, 0, 255]);
+
+    const packed = buildTiff([flat(7, { compression: 8 }), flat(9)], {
+      bigTiff: true,
+    });
+    const bigBackend = await TiffStackVideoBackend.create(blobOf(packed));
+    expect(bigBackend.shape).toEqual([2, 2, 3, 1]);
+    expect(px(await frameAt(bigBackend, 0), 2, 1)).toEqual([7, 7, 7, 255]);
+    expect(px(await frameAt(bigBackend, 1), 2, 1)).toEqual([9, 9, 9, 255]);
+  });
+
+  it("maps OME-TIFF planes onto frames along T or Z", async () => {
+    const ome =
+      '<?xml version="1.0"?><OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06">' +
+      '<Image ID="Image:0"><Pixels DimensionOrder="XYZCT" SizeX="3" SizeY="2" ' +
+      'SizeZ="2" SizeC="2" SizeT="3" Type="uint8" TimeIncrement="500" ' +
+      'TimeIncrementUnit="ms"><Channel ID="Channel:0:0"/>' +
+      '<Channel ID="Channel:0:1"/></Pixels></Image></OME>';
+    // Page p holds the value 10 * p.
+    const pages = Array.from({ length: 12 }, (_, p) =>
+      flat(10 * p, p === 0 ? { description: ome } : {}),
+    );
+    const blob = blobOf(buildTiff(pages));
+
+    const backend = await TiffStackVideoBackend.create(blob);
+    expect(backend.axes).toMatchObject({
+      order: "ZCT",
+      sizeT: 3,
+      sizeZ: 2,
+      sizeC: 2,
+      timeIncrement: 0.5,
+    });
+    expect(backend.shape).toEqual([3, 2, 3, 1]);
+    expect(backend.fps).toBe(2);
+    expect(await backend.getFrameTimes()).toEqual([0, 0.5, 1]);
+    // z + 2 * (c + 2 * t)
+    expect(px(await frameAt(backend, 2), 0, 0)[0]).toBe(80);
+
+    const plane = await TiffStackVideoBackend.create(blob, { z: 1, c: 1 });
+    expect(plane.pageIndex(2)).toBe(11);
+    expect(px(await frameAt(plane, 2), 0, 0)[0]).toBe(110);
+
+    const zStack = await TiffStackVideoBackend.create(blob, {
+      axis: "Z",
+      t: 2,
+    });
+    expect(zStack.shape[0]).toBe(2);
+    expect(zStack.fps).toBeUndefined();
+    expect(px(await frameAt(zStack, 1), 0, 0)[0]).toBe(90);
+
+    await expect(TiffStackVideoBackend.create(blob, { c: 2 })).rejects.toThrow(
+      /c index 2 is out of range for a stack with SizeC=2/,
+    );
+  });
+
+  it("reads ImageJ hyperstacks with their display range", async () => {
+    const description =
+      "ImageJ=1.54f\nimages=6\nchannels=2\nslices=3\nhyperstack=true\n" +
+      "min=0.0\nmax=100.0\n";
+    const pages = Array.from({ length: 6 }, (_, p) =>
+      flat(10 * p, p === 0 ? { description } : {}),
+    );
+    const backend = await TiffStackVideoBackend.create(
+      blobOf(buildTiff(pages)),
+    );
+    // A single time point: frames step through the Z slices of channel 0.
+    expect(backend.axis).toBe("Z");
+    expect(backend.shape[0]).toBe(3);
+    expect(backend.intensityRange).toEqual([0, 100]);
+    expect(backend.pageIndex(2)).toBe(4);
+    expect(px(await frameAt(backend, 2), 0, 0)[0]).toBe(102);
+
+    // Metadata that does not account for every page is ignored.
+    expect(parseStackAxes("ImageJ=1.54f\nframes=4\n", 3)).toEqual({
+      order: "ZCT",
+      sizeT: 3,
+      sizeZ: 1,
+      sizeC: 1,
+    });
+    expect(
+      parseStackAxes("ImageJ=1.54f\nimages=4\nframes=4\nfinterval=0.25\n", 4),
+    ).toMatchObject({ sizeT: 4, timeIncrement: 0.25 });
+  });
+
+  it("decodes RGB and palette pages", async () => {
+    const rgb = await TiffStackVideoBackend.create(
+      blobOf(
+        buildTiff([
+          {
+            width: 2,
+            height: 1,
+            samplesPerPixel: 3,
+            photometric: 2,
+            samples: [255, 0, 0, 1, 2, 3],
+          },
+        ]),
+      ),
+    );
+    expect(rgb.shape).toEqual([1, 1, 2, 3]);
+    expect(px(await frameAt(rgb, 0), 1, 0)).toEqual([1, 2, 3, 255]);
+
+    const colorMap = Array(768).fill(0);
+    colorMap[1] = 0xff00; // red of index 1
+    colorMap[256 + 1] = 0x8000; // green of index 1
+    const palette = await TiffStackVideoBackend.create(
+      blobOf(
+        buildTiff([
+          { width: 2, height: 1, photometric: 3, colorMap, samples: [0, 1] },
+        ]),
+      ),
+    );
+    expect(palette.shape).toEqual([1, 1, 2, 3]);
+    expect(px(await frameAt(palette, 0), 1, 0)).toEqual([255, 128, 0, 255]);
+  });
+
+  it("opens files through the factory and matches the tiff decoder", async () => {
+    const fixture = path.join(tiffDir, "multipage.tif");
+    expect(isImageSource(fixture)).toBe(false);
+    expect(isImageSource([fixture])).toBe(true);
+
+    const backend = await createVideoBackend(fixture);
+    expect(backend).toBeInstanceOf(TiffStackVideoBackend);
+    expect(backend.shape).toEqual([8, 128, 128, 1]);
+    const expected = decode(fs.readFileSync(fixture), { pages: [5] })[0].data;
+    const img = (await backend.getFrame(5)) as ImageData;
+    for (const i of [0, 4321, 128 * 128 - 1]) {
+      expect(img.data[i * 4]).toBe(expected[i]);
+    }
+    backend.close();
+
+    const video = await loadVideo(path.join(tiffDir, "single_page.tif"));
+    expect(video.shape).toEqual([1, 128, 128, 1]);
+    video.close();
+  });
+
+  it("composes with the crop and grayscale wrappers", async () => {
+    const bytes = buildTiff([
+      {
+        width: 3,
+        height: 2,
+        samplesPerPixel: 3,
+        photometric: 2,
+        samples: Array.from({ length: 18 }, (_, i) => i * 10),
+      },
+    ]);
+    const cropped = CropVideoBackend.wrap({
+      inner: await TiffStackVideoBackend.create(blobOf(bytes)),
+      crop: [1, 1, 3, 2],
+    });
+    expect(cropped.shape).toEqual([1, 1, 2, 3]);
+    const crop = (await cropped.getFrame(0)) as unknown as {
+      width: number;
+      height: number;
+      data: Uint8Array;
+    };
+    expect([crop.width, crop.height]).toEqual([2, 1]);
+    // Pixel (1, 1) of the source is samples 12..14.
+    expect(Array.from(crop.data.subarray(0, 3))).toEqual([120, 130, 140]);
+
+    const gray = GrayscaleVideoBackend.wrap({
+      inner: await TiffStackVideoBackend.create(blobOf(bytes)),
+      grayscale: true,
+    });
+    expect(gray.shape).toEqual([1, 2, 3, 1]);
+    const frame = (await gray.getFrame(0)) as unknown as { channels: number };
+    expect(frame.channels).toBe(1);
+  });
+
+  it("embeds stack frames into a .pkg.slp", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiff-test-"));
+    try {
+      const filename = path.join(dir, "cells.tif");
+      fs.writeFileSync(filename, buildTiff([flat(50), flat(60), flat(70)]));
+      const skeleton = new Skeleton({ nodes: ["a"] });
+      const video = new Video({
+        filename,
+        backend: await TiffStackVideoBackend.create(filename),
+      });
+      const labels = new Labels({
+        labeledFrames: [
+          new LabeledFrame({
+            video,
+            frameIdx: 1,
+            instances: [new Instance({ points: { a: [1, 1] }, skeleton })],
+          }),
+        ],
+        videos: [video],
+        skeletons: [skeleton],
+      });
+      const bytes = await saveSlpToBytes(labels, { embed: "all" });
+      const out = await loadSlp(bytes, { openVideos: true });
+      expect(out.videos[0].embeddedFrameIndices).toEqual([1]);
+      const img = (await out.videos[0].getFrame(1)) as ImageData;
+      expect(px(img, 2, 1).slice(0, 3)).toEqual([60, 60, 60]);
+      out.videos[0].close();
+      video.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it("keeps loadVideo's plane options through a save and reload", async () => {
+    const ome =
+      '<?xml version="1.0"?><OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06">' +
+      '<Image ID="Image:0"><Pixels DimensionOrder="XYZCT" SizeX="3" SizeY="2" ' +
+      'SizeZ="2" SizeC="2" SizeT="3" Type="uint16"/></Image></OME>';
+    // Page p holds the value 100 * p.
+    const pages = Array.from({ length: 12 }, (_, p) =>
+      flat(100 * p, { bits: 16, ...(p === 0 ? { description: ome } : {}) }),
+    );
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiff-test-"));
+    try {
+      const filename = path.join(dir, "cells.ome.tif");
+      fs.writeFileSync(filename, buildTiff(pages));
+      const options = {
+        axis: "Z" as const,
+        t: 1,
+        c: 1,
+        intensityRange: [0, 1100] as [number, number],
+      };
+      const backend = await createVideoBackend(filename, options);
+      expect(backend.shape[0]).toBe(2);
+      backend.close();
+
+      const video = await loadVideo(filename, options);
+      expect(video.backendMetadata).toEqual({
+        axis: "Z",
+        t: 1,
+        c: 1,
+        intensity_range: [0, 1100],
+      });
+      // z + 2 * (c + 2 * t) = 7 for Z plane 1: 700 of 1100.
+      const before = px((await video.getFrame(1)) as ImageData, 0, 0);
+      expect(before[0]).toBe(Math.round((700 / 1100) * 255));
+
+      const labels = new Labels({ videos: [video] });
+      const out = await loadSlp(await saveSlpToBytes(labels), {
+        openVideos: true,
+      });
+      const reloaded = out.videos[0];
+      expect(reloaded.backend).toBeInstanceOf(TiffStackVideoBackend);
+      const stack = reloaded.backend as TiffStackVideoBackend;
+      expect(stack.axis).toBe("Z");
+      expect(stack.intensityRange).toEqual([0, 1100]);
+      expect(stack.pageIndex(1)).toBe(7);
+      expect(px((await reloaded.getFrame(1)) as ImageData, 0, 0)).toEqual(
+        before,
+      );
+      reloaded.close();
+      video.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it("rejects non-TIFF files and unreadable page layouts", async () => {
+    await expect(
+      TiffStackVideoBackend.create(blobOf(new Uint8Array(16)), {
+        filename: "x.tif",
+      }),
+    ).rejects.toThrow(/Not a TIFF file: x.tif/);
+    await expect(
+      TiffStackVideoBackend.create(
+        blobOf(buildTiff([flat(0, { compression: 7 })])),
+      ),
+    ).rejects.toThrow(/Unsupported TIFF compression 7/);
+    await expect(
+      TiffStackVideoBackend.create(
+        blobOf(
+          buildTiff([
+            flat(0, {
+              samplesPerPixel: 3,
+              photometric: 2,
+              planar: 2,
+              samples: Array(18).fill(0),
+            }),
+          ]),
+        ),
+      ),
+    ).rejects.toThrow(/Planar/);
+
+    const mixed = await TiffStackVideoBackend.create(
+      blobOf(buildTiff([flat(0), { width: 1, height: 1, samples: [0] }])),
+    );
+    await expect(mixed.getFrame(1)).rejects.toThrow(
+      /TIFF page 1 is 1x1 but the stack is 3x2/,
+    );
+  });
+});
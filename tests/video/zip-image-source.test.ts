@@ -0,0 +1,326 @@
+import { describe, it, expect } from "../bun-test";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ZipImageSource, globToRegExp } from "../../src/video/zip-image-source";
+import "../../src/video/seq-node"; // register node:fs byte source
+import { createVideoBackend } from "../../src/video/factory";
+import { ImageVideoBackend } from "../../src/video/image-video";
+import { loadVideo } from "../../src/io/main";
+import {
+  findCentralDirectory,
+  listZipEntries,
+  readZipEntry,
+  writeZip,
+} from "../../src/io/zip";
+
+const imgDir = fileURLToPath(new URL("../data/videos/imgs", import.meta.url));
+/** `frames/` with img.00.jpg and img.01.jpg, written by Info-ZIP `zip -fz`. */
+const zip64Fixture = fileURLToPath(
+  new URL("../data/videos/frames_zip64.zip", import.meta.url),
+);
+const jpegs = [0, 1, 2].map(
+  (i) => new Uint8Array(fs.readFileSync(path.join(imgDir, `img.0${i}.jpg`))),
+);
+
+const text = (s: string) => new TextEncoder().encode(s);
+
+const blobOf = (bytes: Uint8Array): Blob =>
+  new Blob([bytes.buffer as ArrayBuffer]);
+
+/** A zipped folder of frames, listed out of order, with clutter. */
+function framesZip(compress = true): Uint8Array {
+  return writeZip(
+    [
+      { name: "frames/", data: new Uint8Array(0) },
+      { name: "frames/img_002.jpg", data: jpegs[2] },
+      { name: "frames/img_000.jpg", data: jpegs[0] },
+      { name: "frames/notes.txt", data: text("not a frame") },
+      { name: "__MACOSX/frames/._img_000.jpg", data: text("resource fork") },
+      { name: "frames/.hidden.jpg", data: text("dotfile") },
+      { name: "frames/img_001.jpg", data: jpegs[1] },
+      { name: "thumbs/cover.png", data: text("cover") },
+    ],
+    { compress },
+  );
+}
+
+/**
+ * Rewrite a {@link writeZip} archive as ZIP64: every entry's sizes and offset,
+ * and the directory's count, size and offset, are saturated in the 32-bit
+ * fields and carried by ZIP64 extra fields and the ZIP64 end record.
+ */
+function toZip64(zip: Uint8Array): Uint8Array {
+  const { count, offset } = findCentralDirectory(zip);
+  const entries = listZipEntries(zip);
+  const parts: Uint8Array[] = [zip.subarray(0, offset)];
+  let pos = offset;
+  for (const entry of entries) {
+    const view = new DataView(zip.buffer, zip.byteOffset + pos);
+    const nameLength = view.getUint16(28, true);
+    const header = zip.slice(pos, pos + 46 + nameLength);
+    const hv = new DataView(header.buffer);
+    hv.setUint32(20, 0xffffffff, true);
+    hv.setUint32(24, 0xffffffff, true);
+    hv.setUint32(42, 0xffffffff, true);
+    hv.setUint16(30, 28, true);
+    const extra = new Uint8Array(28);
+    const xv = new DataView(extra.buffer);
+    xv.setUint16(0, 0x0001, true);
+    xv.setUint16(2, 24, true);
+    xv.setBigUint64(4, BigInt(entry.size), true);
+    xv.setBigUint64(12, BigInt(entry.compressedSize), true);
+    xv.setBigUint64(20, BigInt(entry.offset), true);
+    parts.push(header, extra);
+    pos += 46 + nameLength;
+  }
+  const dirSize = parts.slice(1).reduce((sum, p) => sum + p.length, 0);
+  const recordOffset = offset + dirSize;
+
+  const end = new Uint8Array(56 + 20 + 22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06064b50, true);
+  ev.setBigUint64(4, 44n, true);
+  ev.setUint16(12, 45, true);
+  ev.setBigUint64(24, BigInt(count), true);
+  ev.setBigUint64(32, BigInt(count), true);
+  ev.setBigUint64(40, BigInt(dirSize), true);
+  ev.setBigUint64(48, BigInt(offset), true);
+  ev.setUint32(56, 0x07064b50, true);
+  ev.setBigUint64(64, BigInt(recordOffset), true);
+  ev.setUint32(72, 1, true);
+  ev.setUint32(76, 0x06054b50, true);
+  ev.setUint16(84, 0xffff, true);
+  ev.setUint16(86, 0xffff, true);
+  ev.setUint32(88, 0xffffffff, true);
+  ev.setUint32(92, 0xffffffff, true);
+  parts.push(end);
+
+  const out = new Uint8Array(recordOffset + end.length);
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
+
+function withTmpDir(fn: (dir: string) => Promise<void>): Promise<void> {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-video-test-"));
+  return fn(dir).finally(() => fs.rmSync(dir, { recursive: true }));
+}
+
+describe("ZipImageSource", () => {
+  it("lists the sorted image entries and inflates them on demand", async () => {
+    const zip = await ZipImageSource.open(blobOf(framesZip()), {
+      filename: "frames.zip",
+    });
+    expect(zip.filename).toBe("frames.zip");
+    expect(zip.names).toEqual([
+      "frames/img_000.jpg",
+      "frames/img_001.jpg",
+      "frames/img_002.jpg",
+      "thumbs/cover.png",
+    ]);
+    expect(zip.entries[0].method).toBe(8);
+    expect(await zip.read("frames/img_001.jpg")).toEqual(jpegs[1]);
+    expect(await zip.reader("frames/img_002.jpg")).toEqual(jpegs[2]);
+    await expect(zip.read("frames/missing.jpg")).rejects.toThrow(
+      /No entry 'frames\/missing.jpg' in ZIP archive: frames.zip/,
+    );
+    zip.close();
+  });
+
+  it("selects frames with a glob", async () => {
+    const zip = await ZipImageSource.open(blobOf(framesZip(false)), {
+      pattern: "frames/img_00?.jpg",
+    });
+    expect(zip.names).toEqual([
+      "frames/img_000.jpg",
+      "frames/img_001.jpg",
+      "frames/img_002.jpg",
+    ]);
+    expect(await zip.read("frames/img_000.jpg")).toEqual(jpegs[0]);
+
+    expect(globToRegExp("**/*.png").test("thumbs/cover.png")).toBe(true);
+    expect(globToRegExp("**/*.png").test("cover.png")).toBe(true);
+    expect(globToRegExp("*.png").test("thumbs/cover.png")).toBe(false);
+    expect(globToRegExp("a+b?.jpg").test("a+b1.jpg")).toBe(true);
+
+    await expect(
+      ZipImageSource.open(blobOf(framesZip()), { pattern: "*.bmp" }),
+    ).rejects.toThrow(/No entries matching '\*.bmp' in ZIP archive/);
+  });
+
+  it("reads only the central directory and the requested entries", async () => {
+    const bytes = framesZip();
+    const reads: [number, number][] = [];
+    const zip = await ZipImageSource.open({
+      size: bytes.length,
+      readRange: async (offset, length) => {
+        reads.push([offset, length]);
+        return bytes.slice(offset, offset + length);
+      },
+    });
+    expect(zip.names).toHaveLength(4);
+    reads.length = 0;
+    expect(await zip.read("frames/img_002.jpg")).toEqual(jpegs[2]);
+    const entry = zip.entries[2];
+    expect(reads).toHaveLength(2);
+    expect(reads[0]).toEqual([entry.offset, 30]);
+    expect(reads[1][1]).toBe(entry.compressedSize);
+  });
+
+  it("reads ZIP64 archives", async () => {
+    const zip = await ZipImageSource.open(zip64Fixture);
+    expect(zip.names).toEqual(["frames/img.00.jpg", "frames/img.01.jpg"]);
+    expect(zip.entries[1].size).toBe(jpegs[1].length);
+    expect(await zip.read("frames/img.01.jpg")).toEqual(jpegs[1]);
+    zip.close();
+
+    const plain = framesZip();
+    const bytes = toZip64(plain);
+    const entries = listZipEntries(bytes);
+    expect(entries).toEqual(listZipEntries(plain));
+    expect(readZipEntry(bytes, entries[2])).toEqual(jpegs[0]);
+  });
+
+  it("finds the ZIP64 end record from a range read of the tail", async () => {
+    // A stored entry larger than the tail read, so the tail starts mid-file.
+    const bytes = toZip64(
+      writeZip([
+        { name: "padding.bin", data: new Uint8Array(0x12000) },
+        { name: "img_000.jpg", data: jpegs[0] },
+      ]),
+    );
+    const zip = await ZipImageSource.open({
+      size: bytes.length,
+      readRange: async (offset, length) => bytes.slice(offset, offset + length),
+    });
+    expect(zip.names).toEqual(["img_000.jpg"]);
+    expect(zip.entries[0].offset).toBeGreaterThan(0x12000);
+    expect(await zip.read("img_000.jpg")).toEqual(jpegs[0]);
+  });
+
+  it("finds the ZIP64 records behind a maximal archive comment", async () => {
+    const zip64 = toZip64(
+      writeZip([
+        { name: "padding.bin", data: new Uint8Array(0x12000) },
+        { name: "img_000.jpg", data: jpegs[0] },
+      ]),
+    );
+    const bytes = new Uint8Array(zip64.length + 0xffff);
+    bytes.set(zip64);
+    new DataView(bytes.buffer).setUint16(zip64.length - 2, 0xffff, true);
+    const zip = await ZipImageSource.open({
+      size: bytes.length,
+      readRange: async (offset, length) => bytes.slice(offset, offset + length),
+    });
+    expect(zip.names).toEqual(["img_000.jpg"]);
+    expect(await zip.read("img_000.jpg")).toEqual(jpegs[0]);
+  });
+
+  it("refuses to write archives that need ZIP64 records", () => {
+    const empty = new Uint8Array(0);
+    const many = Array.from({ length: 0x10000 }, (_, i) => ({
+      name: `f${i}`,
+      data: empty,
+    }));
+    expect(() => writeZip(many)).toThrow(
+      /entry count \(65536\) needs ZIP64 records/,
+    );
+    expect(writeZip(many.slice(1)).length).toBeGreaterThan(0);
+    // Only the length is read before the size check.
+    const huge = { length: 2 ** 32 } as Uint8Array;
+    expect(() => writeZip([{ name: "huge.bin", data: huge }])).toThrow(
+      /size of huge.bin \(4294967296\) needs ZIP64 records/,
+    );
+  });
+
+  it("rejects archives without frames", async () => {
+    await expect(
+      ZipImageSource.open(blobOf(text("not a zip at all, just some text"))),
+    ).rejects.toThrow(/Not a ZIP archive/);
+    await expect(
+      ZipImageSource.open(
+        blobOf(writeZip([{ name: "a.txt", data: text("a") }])),
+        { filename: "docs.zip" },
+      ),
+    ).rejects.toThrow(/No image entries in ZIP archive: docs.zip/);
+  });
+});
+
+describe("createVideoBackend (zipped image sequence)", () => {
+  it("routes a .zip path to an ImageVideoBackend over the archive", async () => {
+    await withTmpDir(async (dir) => {
+      const filename = path.join(dir, "frames.zip");
+      fs.writeFileSync(filename, framesZip());
+      const backend = await createVideoBackend(filename, {
+        shape: [4, 480, 640, 3],
+      });
+      expect(backend).toBeInstanceOf(ImageVideoBackend);
+      expect(backend.filename).toEqual([
+        "frames/img_000.jpg",
+        "frames/img_001.jpg",
+        "frames/img_002.jpg",
+        "thumbs/cover.png",
+      ]);
+      expect(backend.shape?.[0]).toBe(4);
+      expect(await backend.probeFirstFrame?.()).toBe(true);
+      backend.close();
+    });
+  });
+
+  it("forwards a pattern to the archive", async () => {
+    await withTmpDir(async (dir) => {
+      const filename = path.join(dir, "frames.zip");
+      fs.writeFileSync(filename, framesZip());
+      const backend = await createVideoBackend(filename, {
+        shape: [3, 480, 640, 3],
+        pattern: "frames/*.jpg",
+      });
+      expect(backend.filename).toEqual([
+        "frames/img_000.jpg",
+        "frames/img_001.jpg",
+        "frames/img_002.jpg",
+      ]);
+      backend.close();
+    });
+  });
+
+  it("loads a zipped folder of frames with loadVideo", async () => {
+    await withTmpDir(async (dir) => {
+      const filename = path.join(dir, "frames.zip");
+      fs.writeFileSync(
+        filename,
+        writeZip(jpegs.map((data, i) => ({ name: `img.0${i}.jpg`, data }))),
+      );
+      const video = await loadVideo(filename);
+      const list = await ImageVideoBackend.create({
+        filename: jpegs.map((_, i) => path.join(imgDir, `img.0${i}.jpg`)),
+      });
+      expect(video.filename).toBe(filename);
+      expect(video.shape).toEqual(list.shape);
+      const frame = (await video.getFrame(2)) as ImageData;
+      const expected = (await list.getFrame(2)) as ImageData;
+      expect(frame.data).toEqual(expected.data);
+      video.close();
+      list.close();
+    });
+  });
+
+  it("selects frames with loadVideo's pattern", async () => {
+    await withTmpDir(async (dir) => {
+      const filename = path.join(dir, "frames.zip");
+      fs.writeFileSync(filename, framesZip());
+      const video = await loadVideo(filename, { pattern: "frames/*.jpg" });
+      expect(video.backend?.filename).toEqual([
+        "frames/img_000.jpg",
+        "frames/img_001.jpg",
+        "frames/img_002.jpg",
+      ]);
+      video.close();
+    });
+  });
+});